@@ -1,5 +1,5 @@
 // SPDX-License-Identifier: Apache-2.0
-pragma solidity >=0.8.0 <0.9.0;
+pragma solidity >=0.8.4 <0.9.0;
 
 import "./HederaResponseCodes.sol";
 
@@ -12,6 +12,38 @@ import "./HederaResponseCodes.sol";
  * 2. Verification of biodiversity claims by authorized entities
  * 3. Interaction with Hedera Token Service (HTS) for token association and transfers
  * 
+ * Parcel records:
+ * - The full parcel record (boundaries, species, conservation status, ...) is published on the
+ *   registry topic; the contract stores the sha256 hash of its canonical JSON and of its boundary
+ *   polygon, with the declared area and the number of notable species (see lib/parcel-record)
+ * - Every submission of parcel data is appended to the parcel's assessment history, so earlier
+ *   versions stay readable after the registrant changes the data
+ * 
+ * Access control:
+ * - The owner (the deploying account) grants and revokes verifiers
+ * - Parcel data can only be changed by the account that first submitted it (its registrant)
+ * - The registrant role moves with the parcel: the registrant (or the owner, e.g. when the
+ *   parcel NFT changed hands outside the registry tools) hands it to the new holder
+ * - Only registered verifiers can verify parcel data, and never their own
+ * - Accounts can only associate themselves with tokens, and tokens can only be moved from an
+ *   account by the account itself or by a transfer operator it approved (e.g. a marketplace)
+ * 
+ * Verification:
+ * - Each verifier submits an independent attestation (approve or reject, with its own score and notes)
+ * - Parcel data is approved or rejected once `requiredAttestations` verifiers agree
+ * - During the challenge window after approval another verifier can dispute the approval, once;
+ *   the owner then upholds the dispute (rejecting the data) or dismisses it
+ * - Credits should only be issued once `canIssueCredits` is true
+ * 
+ * Re-assessment:
+ * - Approvals lapse `validityPeriod` seconds after they were made (0 = never); anyone can then
+ *   mark them Expired, and the owner can expire an approval at any time
+ * - The registrant or the owner can request a re-assessment of rejected or expired data, or of an
+ *   approval that has lapsed, which starts a new round of attestations on the same data; an
+ *   approval that still holds has to be expired first, so each round of credits follows the last
+ * - Every decision appends the verifiers' average score to the parcel's score history, which is
+ *   kept across re-assessments and data changes
+ * 
  * Use cases:
  * - Environmental organizations can register land parcels and their biodiversity value
  * - Third parties can verify biodiversity claims, adding transparency
@@ -36,12 +68,109 @@ contract BiodiversityLandParcel {
         uint256 verificationTimestamp; // When the data was last verified (Unix timestamp)
         address verifier;              // Address of the entity that verified the data
         bool isVerified;               // Whether the data has been verified by an authorized entity
+        address registrant;            // Account that submitted the data; the only one allowed to change it
+        VerificationStatus status;     // Where the data is in the verification workflow
+        uint256 approvals;             // Attestations of current verifiers approving the data, at the last attestation
+        uint256 rejections;            // Attestations of current verifiers rejecting the data, at the last attestation
+        bytes32 recordHash;            // sha256 of the canonical parcel record published on the registry topic
+        bytes32 geometryHash;          // sha256 of the canonical boundary polygon
+        uint256 areaSquareMeters;      // Declared area of the parcel in square metres
+        uint256 speciesCount;          // Number of notable species in the parcel record
+    }
+    
+    /**
+     * @dev Verification workflow states of a parcel's data
+     * Unverified: no attestations yet; Pending: attestations below quorum;
+     * Approved / Rejected: quorum reached; Disputed: approval challenged, awaiting the owner;
+     * Expired: approval lapsed after the validity period, or withdrawn by the owner
+     */
+    enum VerificationStatus { Unverified, Pending, Approved, Rejected, Disputed, Expired }
+    
+    /**
+     * @dev One verifier's independent assessment of a parcel's data
+     */
+    struct Attestation {
+        address verifier;              // Verifier that submitted the attestation
+        bool approved;                 // Whether the verifier approves the data
+        uint256 score;                 // The verifier's own biodiversity score (0-100)
+        string notes;                  // The verifier's notes or a reference to its report
+        uint256 timestamp;             // When the attestation was submitted (Unix timestamp)
+    }
+    
+    /**
+     * @dev A challenge to an approval, raised within the challenge window
+     */
+    struct Dispute {
+        address challenger;            // Verifier that raised the dispute
+        string reason;                 // Why the approval is disputed
+        uint256 timestamp;             // When the dispute was raised (Unix timestamp)
+        bool resolved;                 // Whether the owner has resolved it
+        bool upheld;                   // Whether the owner agreed with the challenger
+    }
+    
+    /**
+     * @dev One version of a parcel's data, as its registrant submitted it
+     */
+    struct Assessment {
+        uint256 biodiversityScore;     // The registrant's biodiversity score (0-100)
+        string ecosystemType;          // Type of ecosystem
+        bytes32 recordHash;            // sha256 of the canonical parcel record
+        bytes32 geometryHash;          // sha256 of the canonical boundary polygon
+        uint256 areaSquareMeters;      // Declared area in square metres
+        uint256 speciesCount;          // Number of notable species
+        address registrant;            // Account that submitted this version
+        uint256 timestamp;             // When it was submitted (Unix timestamp)
+    }
+    
+    /**
+     * @dev Outcome of one verification round, kept in the parcel's score history
+     */
+    struct ScoreRecord {
+        uint256 score;                 // Average score of the attestations that decided the round (0-100)
+        bool approved;                 // Whether the round approved the data
+        uint256 timestamp;             // When the round was decided (Unix timestamp)
+        uint256 assessment;            // Position in the assessment history of the data the round decided
     }
     
     // Maps token IDs to their biodiversity data
     // Each token (representing a land parcel) has its own biodiversity attributes
     mapping(address => BiodiversityData) public landParcels;
     
+    // Account that manages the verifier registry
+    address public owner;
+    
+    // Registered verifiers, with their position in verifierList (1-based; 0 when not a verifier)
+    mapping(address => uint256) private verifierIndex;
+    address[] private verifierList;
+    
+    // Attestations on the current data of each parcel (cleared when the data changes)
+    mapping(address => Attestation[]) private attestations;
+    
+    // Latest dispute of each parcel's current data
+    mapping(address => Dispute) public disputes;
+    
+    // Verification round (length of the score history) each verifier last disputed, per parcel
+    // (parcel => verifier => round); a verifier disputes each approval once
+    mapping(address => mapping(address => uint256)) private disputedRounds;
+    
+    // Matching attestations needed to approve or reject parcel data
+    uint256 public requiredAttestations;
+    
+    // Seconds after approval during which the approval can be disputed
+    uint256 public challengeWindow;
+    
+    // Seconds after approval until the approval lapses (0 = approvals never lapse)
+    uint256 public validityPeriod;
+    
+    // Every verification decision of each parcel, oldest first (never cleared)
+    mapping(address => ScoreRecord[]) private scoreHistory;
+    
+    // Every version of each parcel's data, oldest first (never cleared); the last one is current
+    mapping(address => Assessment[]) private assessmentHistory;
+    
+    // Accounts each holder lets move its tokens through transferToken (holder => operator => approved)
+    mapping(address => mapping(address => bool)) private transferOperators;
+    
     // Events for tracking important contract actions
     
     /**
@@ -52,6 +181,15 @@ contract BiodiversityLandParcel {
      */
     event BiodiversityDataAdded(address tokenId, uint256 biodiversityScore, string ecosystemType);
     
+    /**
+     * @dev Emitted when a version of a parcel's data is added to its assessment history
+     * @param tokenId The token ID representing the land parcel
+     * @param assessment Position of the version in the assessment history
+     * @param recordHash sha256 of the canonical parcel record
+     * @param geometryHash sha256 of the canonical boundary polygon
+     */
+    event AssessmentRecorded(address indexed tokenId, uint256 assessment, bytes32 recordHash, bytes32 geometryHash);
+    
     /**
      * @dev Emitted when biodiversity data is verified by an authorized entity
      * @param tokenId The token ID representing the land parcel
@@ -60,62 +198,616 @@ contract BiodiversityLandParcel {
      */
     event BiodiversityDataVerified(address tokenId, address verifier, uint256 timestamp);
     
+    /**
+     * @dev Emitted when the owner grants the verifier role to an account
+     * @param verifier The account that can now verify parcel data
+     * @param grantedBy The owner that granted the role
+     */
+    event VerifierGranted(address indexed verifier, address indexed grantedBy);
+    
+    /**
+     * @dev Emitted when the owner revokes the verifier role from an account
+     * @param verifier The account that can no longer verify parcel data
+     * @param revokedBy The owner that revoked the role
+     */
+    event VerifierRevoked(address indexed verifier, address indexed revokedBy);
+    
+    /**
+     * @dev Emitted when ownership of the verifier registry moves to another account
+     * @param previousOwner The former owner
+     * @param newOwner The new owner
+     */
+    event OwnershipTransferred(address indexed previousOwner, address indexed newOwner);
+    
+    /**
+     * @dev Emitted when a verifier submits an attestation
+     * @param tokenId The token ID representing the land parcel
+     * @param verifier The verifier that submitted the attestation
+     * @param approved Whether the verifier approves the data
+     * @param score The verifier's own biodiversity score
+     */
+    event AttestationSubmitted(address indexed tokenId, address indexed verifier, bool approved, uint256 score);
+    
+    /**
+     * @dev Emitted whenever the verification status of a parcel changes
+     * @param tokenId The token ID representing the land parcel
+     * @param status The new status
+     */
+    event VerificationStatusChanged(address indexed tokenId, VerificationStatus status);
+    
+    /**
+     * @dev Emitted when a verifier disputes an approval
+     * @param tokenId The token ID representing the land parcel
+     * @param challenger The verifier that raised the dispute
+     * @param reason Why the approval is disputed
+     */
+    event VerificationDisputed(address indexed tokenId, address indexed challenger, string reason);
+    
+    /**
+     * @dev Emitted when the owner resolves a dispute
+     * @param tokenId The token ID representing the land parcel
+     * @param upheld True when the dispute was upheld and the data rejected
+     */
+    event DisputeResolved(address indexed tokenId, bool upheld);
+    
+    /**
+     * @dev Emitted when the owner changes the quorum, the challenge window or the validity period
+     * @param requiredAttestations Matching attestations needed for a decision
+     * @param challengeWindow Seconds after approval during which it can be disputed
+     * @param validityPeriod Seconds after approval until it lapses (0 = never)
+     */
+    event VerificationPolicyUpdated(uint256 requiredAttestations, uint256 challengeWindow, uint256 validityPeriod);
+    
+    /**
+     * @dev Emitted when a verification round is decided and its score added to the history
+     * @param tokenId The token ID representing the land parcel
+     * @param score Average score of the attestations that decided the round
+     * @param approved Whether the round approved the data
+     */
+    event ScoreRecorded(address indexed tokenId, uint256 score, bool approved);
+    
+    /**
+     * @dev Emitted when a new round of attestations is requested for decided data
+     * @param tokenId The token ID representing the land parcel
+     * @param requestedBy The registrant or owner that requested it
+     */
+    event ReassessmentRequested(address indexed tokenId, address indexed requestedBy);
+    
+    /**
+     * @dev Emitted when a parcel's registrant role moves to another account
+     * @param tokenId The token ID representing the land parcel
+     * @param previousRegistrant The former registrant
+     * @param newRegistrant The account that can now change the parcel data
+     */
+    event RegistrantTransferred(address indexed tokenId, address indexed previousRegistrant, address indexed newRegistrant);
+    
+    /**
+     * @dev Emitted when a holder approves or revokes a transfer operator
+     * @param holder The account whose tokens the operator can move
+     * @param operator The account moving them
+     * @param approved Whether the operator can now move the holder's tokens
+     */
+    event TransferOperatorUpdated(address indexed holder, address indexed operator, bool approved);
+    
+    // Errors for refused Hedera Token Service calls, carrying the HTS response code (see HederaResponseCodes)
+    
+    /**
+     * @dev Raised when HTS refuses to associate a token with an account
+     * @param accountId The account to associate
+     * @param tokenId The token to associate
+     * @param responseCode The HTS response code, e.g. TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT
+     */
+    error TokenAssociationFailed(address accountId, address tokenId, int responseCode);
+    
+    /**
+     * @dev Raised when HTS refuses a token transfer
+     * @param tokenId The token to transfer
+     * @param fromAccountId The sender account
+     * @param toAccountId The recipient account
+     * @param responseCode The HTS response code, e.g. ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN
+     */
+    error TokenTransferFailed(address tokenId, address fromAccountId, address toAccountId, int responseCode);
+    
+    /**
+     * @dev Restricts a function to the owner
+     */
+    modifier onlyOwner() {
+        require(msg.sender == owner, "Caller is not the owner");
+        _;
+    }
+    
+    /**
+     * @dev Restricts a function to registered verifiers
+     */
+    modifier onlyVerifier() {
+        require(verifierIndex[msg.sender] != 0, "Caller is not a registered verifier");
+        _;
+    }
+    
     /**
      * @dev Constructor initializes the contract with access to Hedera Token Service
      * This enables token-related operations through the HTS precompiled contract
+     * The deploying account becomes the owner; it has no verifier role until it grants itself one
      */
     constructor() {
         // Initialize the Hedera Token Service interface with the precompiled contract address
         tokenService = IHederaTokenService(PRECOMPILED_TOKEN_SERVICE);
+        owner = msg.sender;
+        emit OwnershipTransferred(address(0), msg.sender);
+        
+        // A single attestation, no challenge window and no expiry until the owner sets a policy
+        requiredAttestations = 1;
+        emit VerificationPolicyUpdated(requiredAttestations, challengeWindow, validityPeriod);
+    }
+    
+    /**
+     * @dev Set how many matching attestations decide a verification, how long an approval
+     * can be disputed and how long it stays valid; the quorum applies to decisions made after
+     * the change, the window and validity period also to existing approvals
+     * 
+     * @param quorum Matching attestations needed to approve or reject parcel data (at least 1)
+     * @param window Seconds after approval during which it can be disputed
+     * @param validity Seconds after approval until it lapses (0 = never)
+     */
+    function setVerificationPolicy(uint256 quorum, uint256 window, uint256 validity) external onlyOwner {
+        require(quorum > 0, "Quorum must be at least 1");
+        require(validity == 0 || validity > window, "Validity period must exceed the challenge window");
+        
+        requiredAttestations = quorum;
+        challengeWindow = window;
+        validityPeriod = validity;
+        emit VerificationPolicyUpdated(quorum, window, validity);
+    }
+    
+    /**
+     * @dev Grant the verifier role to an account
+     * 
+     * @param verifier The account to register as a verifier
+     */
+    function grantVerifier(address verifier) external onlyOwner {
+        require(verifier != address(0), "Verifier cannot be the zero address");
+        require(verifierIndex[verifier] == 0, "Account is already a verifier");
+        
+        verifierList.push(verifier);
+        verifierIndex[verifier] = verifierList.length;
+        
+        emit VerifierGranted(verifier, msg.sender);
+    }
+    
+    /**
+     * @dev Revoke the verifier role from an account
+     * Its attestations stay on record but no longer count towards a quorum, so an approval
+     * it helped decide cannot earn credits unless the remaining attestations still meet it
+     * 
+     * @param verifier The account to remove from the verifiers
+     */
+    function revokeVerifier(address verifier) external onlyOwner {
+        uint256 index = verifierIndex[verifier];
+        require(index != 0, "Account is not a verifier");
+        
+        // Move the last verifier into the freed slot to keep the list dense
+        address last = verifierList[verifierList.length - 1];
+        verifierList[index - 1] = last;
+        verifierIndex[last] = index;
+        verifierList.pop();
+        delete verifierIndex[verifier];
+        
+        emit VerifierRevoked(verifier, msg.sender);
+    }
+    
+    /**
+     * @dev Check whether an account is a registered verifier
+     * 
+     * @param account The account to check
+     * @return bool True when the account can verify parcel data
+     */
+    function isVerifier(address account) external view returns (bool) {
+        return verifierIndex[account] != 0;
+    }
+    
+    /**
+     * @dev List every registered verifier (in no particular order)
+     * 
+     * @return address[] The registered verifiers
+     */
+    function getVerifiers() external view returns (address[] memory) {
+        return verifierList;
+    }
+    
+    /**
+     * @dev Hand the verifier registry over to another account
+     * 
+     * @param newOwner The account that becomes the owner
+     */
+    function transferOwnership(address newOwner) external onlyOwner {
+        require(newOwner != address(0), "Owner cannot be the zero address");
+        
+        emit OwnershipTransferred(owner, newOwner);
+        owner = newOwner;
     }
     
     /**
      * @dev Add biodiversity data for a tokenized land parcel
      * This function registers initial biodiversity information that can later be verified
+     * The first caller for a parcel becomes its registrant; only the registrant can update the
+     * data afterwards, and every update clears the parcel's verification. Every version is also
+     * appended to the parcel's assessment history.
      * 
      * @param tokenId The token ID representing the land parcel
      * @param biodiversityScore Score from 0-100 representing biodiversity value
      * @param ecosystemType Type of ecosystem on the land parcel (e.g., "forest", "wetland")
+     * @param areaSquareMeters Declared area of the parcel in square metres
+     * @param speciesCount Number of notable species in the parcel record
+     * @param recordHash sha256 of the canonical parcel record published on the registry topic
+     * @param geometryHash sha256 of the canonical boundary polygon
      */
     function addBiodiversityData(
         address tokenId,
         uint256 biodiversityScore,
-        string memory ecosystemType
+        string memory ecosystemType,
+        uint256 areaSquareMeters,
+        uint256 speciesCount,
+        bytes32 recordHash,
+        bytes32 geometryHash
     ) external {
         // Validate the score is in a valid range
         require(biodiversityScore <= 100, "Biodiversity score must be 0-100");
+        require(areaSquareMeters > 0, "Area must be greater than 0");
+        require(recordHash != bytes32(0) && geometryHash != bytes32(0), "Record and geometry hashes are required");
+        
+        // Only the registrant can change data that already exists
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.registrant == address(0) || data.registrant == msg.sender, "Caller is not the parcel registrant");
         
         // Store the biodiversity data with initial verification status as false
-        landParcels[tokenId] = BiodiversityData({
-            biodiversityScore: biodiversityScore,
-            ecosystemType: ecosystemType,
-            verificationTimestamp: 0,
-            verifier: address(0),
-            isVerified: false
-        });
+        // (field by field: a struct literal of this size does not fit on the stack)
+        data.biodiversityScore = biodiversityScore;
+        data.ecosystemType = ecosystemType;
+        data.verificationTimestamp = 0;
+        data.verifier = address(0);
+        data.isVerified = false;
+        data.registrant = msg.sender;
+        data.status = VerificationStatus.Unverified;
+        data.approvals = 0;
+        data.rejections = 0;
+        data.recordHash = recordHash;
+        data.geometryHash = geometryHash;
+        data.areaSquareMeters = areaSquareMeters;
+        data.speciesCount = speciesCount;
+        
+        Assessment storage assessment = assessmentHistory[tokenId].push();
+        assessment.biodiversityScore = biodiversityScore;
+        assessment.ecosystemType = ecosystemType;
+        assessment.recordHash = recordHash;
+        assessment.geometryHash = geometryHash;
+        assessment.areaSquareMeters = areaSquareMeters;
+        assessment.speciesCount = speciesCount;
+        assessment.registrant = msg.sender;
+        assessment.timestamp = block.timestamp;
+        
+        // Attestations and disputes were about the previous data
+        delete attestations[tokenId];
+        delete disputes[tokenId];
         
         // Emit event for off-chain tracking and transparency
         emit BiodiversityDataAdded(tokenId, biodiversityScore, ecosystemType);
+        emit AssessmentRecorded(tokenId, assessmentHistory[tokenId].length - 1, recordHash, geometryHash);
+        emit VerificationStatusChanged(tokenId, VerificationStatus.Unverified);
+    }
+    
+    /**
+     * @dev Hand a parcel's registrant role to another account, e.g. the new holder of the parcel NFT
+     * The data and its verification are unchanged
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @param newRegistrant The account that becomes the registrant
+     */
+    function transferRegistrant(address tokenId, address newRegistrant) external {
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.registrant != address(0), "No biodiversity data exists for this token");
+        require(msg.sender == data.registrant || msg.sender == owner, "Caller is not the registrant or the owner");
+        require(newRegistrant != address(0), "Registrant cannot be the zero address");
+        
+        emit RegistrantTransferred(tokenId, data.registrant, newRegistrant);
+        data.registrant = newRegistrant;
+    }
+    
+    /**
+     * @dev Approve biodiversity data for a tokenized land parcel with the data's own score
+     * Shorthand for an approving attestation without notes
+     * 
+     * @param tokenId The token ID representing the land parcel
+     */
+    function verifyBiodiversityData(address tokenId) external onlyVerifier {
+        _attest(tokenId, true, landParcels[tokenId].biodiversityScore, "");
+    }
+    
+    /**
+     * @dev Submit an independent attestation on a parcel's data
+     * Each registered verifier attests once per version of the data, never for data it registered.
+     * The data is approved or rejected once `requiredAttestations` attestations agree.
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @param approved Whether the verifier approves the data
+     * @param score The verifier's own biodiversity score (0-100)
+     * @param notes The verifier's notes or a reference to its report
+     */
+    function attestBiodiversityData(address tokenId, bool approved, uint256 score, string memory notes) external onlyVerifier {
+        _attest(tokenId, approved, score, notes);
+    }
+    
+    /**
+     * @dev Dispute an approval during the challenge window
+     * Only a registered verifier that did not approve the data (and did not register it) can dispute;
+     * a verifier that rejected it can. Each verifier disputes an approval once: after a dismissal,
+     * only other verifiers can dispute it again within the window
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @param reason Why the approval is disputed
+     */
+    function disputeVerification(address tokenId, string memory reason) external onlyVerifier {
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.status == VerificationStatus.Approved, "Only approved data can be disputed");
+        require(block.timestamp < data.verificationTimestamp + challengeWindow, "Challenge window has closed");
+        require(data.registrant != msg.sender, "Registrant cannot dispute its own data");
+        require(!_hasApproved(tokenId, msg.sender), "Verifier approved this data");
+        uint256 round = scoreHistory[tokenId].length;
+        require(disputedRounds[tokenId][msg.sender] != round, "Verifier already disputed this approval");
+        
+        disputedRounds[tokenId][msg.sender] = round;
+        disputes[tokenId] = Dispute({
+            challenger: msg.sender,
+            reason: reason,
+            timestamp: block.timestamp,
+            resolved: false,
+            upheld: false
+        });
+        data.isVerified = false;
+        _setStatus(tokenId, VerificationStatus.Disputed);
+        
+        emit VerificationDisputed(tokenId, msg.sender, reason);
+    }
+    
+    /**
+     * @dev Resolve a dispute: upholding it rejects the data, dismissing it restores the approval
+     * The challenge window keeps running from the approval, so a dismissal does not end it early
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @param upheld Whether the dispute is upheld
+     */
+    function resolveDispute(address tokenId, bool upheld) external onlyOwner {
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.status == VerificationStatus.Disputed, "Parcel data is not disputed");
+        
+        disputes[tokenId].resolved = true;
+        disputes[tokenId].upheld = upheld;
+        data.isVerified = !upheld;
+        _setStatus(tokenId, upheld ? VerificationStatus.Rejected : VerificationStatus.Approved);
+        
+        emit DisputeResolved(tokenId, upheld);
+    }
+    
+    /**
+     * @dev Mark an approval as expired
+     * Anyone can expire an approval once its validity period has passed; the owner can also
+     * withdraw one earlier, e.g. when the land has changed since it was verified.
+     * A re-assessment (or new data from the registrant) restarts verification.
+     * 
+     * @param tokenId The token ID representing the land parcel
+     */
+    function expireVerification(address tokenId) external {
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.status == VerificationStatus.Approved, "Only approved data can expire");
+        require(msg.sender == owner || _hasLapsed(data), "Verification has not lapsed");
+        
+        data.isVerified = false;
+        _setStatus(tokenId, VerificationStatus.Expired);
+    }
+    
+    /**
+     * @dev Start a new round of attestations on decided data: rejected, expired or approved data
+     * whose approval has lapsed. An approval that still holds is not re-assessed, since every new
+     * approval allows new credits; the owner can expire it first.
+     * The data stays the same; its attestations and dispute are cleared and the verifiers attest again.
+     * Only the registrant or the owner can request it.
+     * 
+     * @param tokenId The token ID representing the land parcel
+     */
+    function requestReassessment(address tokenId) external {
+        BiodiversityData storage data = landParcels[tokenId];
+        require(data.registrant != address(0), "No biodiversity data exists for this token");
+        require(msg.sender == data.registrant || msg.sender == owner, "Caller is not the registrant or the owner");
+        require(
+            data.status == VerificationStatus.Approved ||
+            data.status == VerificationStatus.Rejected ||
+            data.status == VerificationStatus.Expired,
+            "Verification of this data is not decided"
+        );
+        require(data.status != VerificationStatus.Approved || _hasLapsed(data), "Approval has not lapsed");
+        
+        delete attestations[tokenId];
+        delete disputes[tokenId];
+        data.isVerified = false;
+        data.approvals = 0;
+        data.rejections = 0;
+        _setStatus(tokenId, VerificationStatus.Unverified);
+        
+        emit ReassessmentRequested(tokenId, msg.sender);
     }
     
     /**
-     * @dev Verify biodiversity data for a tokenized land parcel
-     * This function is called by authorized verifiers to confirm biodiversity claims
-     * In a production environment, this should include access control for authorized verifiers
+     * @dev When a parcel's approval lapses
      * 
      * @param tokenId The token ID representing the land parcel
+     * @return uint256 Unix timestamp, or 0 when the data is not approved or approvals never lapse
      */
-    function verifyBiodiversityData(address tokenId) external {
-        // Ensure biodiversity data exists for this token
-        require(landParcels[tokenId].biodiversityScore > 0, "No biodiversity data exists for this token");
+    function verificationExpiresAt(address tokenId) external view returns (uint256) {
+        BiodiversityData storage data = landParcels[tokenId];
+        if (validityPeriod == 0 || data.status != VerificationStatus.Approved) {
+            return 0;
+        }
+        return data.verificationTimestamp + validityPeriod;
+    }
+    
+    /**
+     * @dev Retrieve the outcome of every verification round of a parcel
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @return ScoreRecord[] The decisions, oldest first
+     */
+    function getScoreHistory(address tokenId) external view returns (ScoreRecord[] memory) {
+        return scoreHistory[tokenId];
+    }
+    
+    /**
+     * @dev Retrieve every version of a parcel's data
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @return Assessment[] The versions, oldest first; the last one is the current data
+     */
+    function getAssessmentHistory(address tokenId) external view returns (Assessment[] memory) {
+        return assessmentHistory[tokenId];
+    }
+    
+    /**
+     * @dev Whether credits can be issued for a parcel: its data is approved, the challenge
+     * window has passed (even when a dispute was dismissed within it), the approval has not
+     * lapsed and the approving attestations of current verifiers still meet the quorum that
+     * decided it
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @return bool True when credits can be issued
+     */
+    function canIssueCredits(address tokenId) external view returns (bool) {
+        BiodiversityData storage data = landParcels[tokenId];
+        if (data.status != VerificationStatus.Approved || _hasLapsed(data)) {
+            return false;
+        }
+        // data.approvals is the quorum at the time of the decision
+        if (_attestationCount(tokenId, true) < data.approvals) {
+            return false;
+        }
+        return block.timestamp >= data.verificationTimestamp + challengeWindow;
+    }
+    
+    /**
+     * @dev Retrieve every attestation on a parcel's current data
+     * 
+     * @param tokenId The token ID representing the land parcel
+     * @return Attestation[] The attestations, in submission order
+     */
+    function getAttestations(address tokenId) external view returns (Attestation[] memory) {
+        return attestations[tokenId];
+    }
+    
+    // Record an attestation and decide the verification once the quorum agrees
+    function _attest(address tokenId, bool approved, uint256 score, string memory notes) private {
+        BiodiversityData storage data = landParcels[tokenId];
+        
+        // Ensure biodiversity data exists for this token and is still undecided
+        require(data.registrant != address(0), "No biodiversity data exists for this token");
+        require(data.registrant != msg.sender, "Registrant cannot verify its own data");
+        require(
+            data.status == VerificationStatus.Unverified || data.status == VerificationStatus.Pending,
+            "Verification of this data is already decided"
+        );
+        require(!_hasAttested(tokenId, msg.sender), "Verifier already attested this data");
+        require(score <= 100, "Biodiversity score must be 0-100");
         
-        // Update verification status with current timestamp and verifier address
-        landParcels[tokenId].isVerified = true;
-        landParcels[tokenId].verificationTimestamp = block.timestamp;
-        landParcels[tokenId].verifier = msg.sender;
+        attestations[tokenId].push(Attestation({
+            verifier: msg.sender,
+            approved: approved,
+            score: score,
+            notes: notes,
+            timestamp: block.timestamp
+        }));
+        emit AttestationSubmitted(tokenId, msg.sender, approved, score);
         
-        // Emit verification event for transparency and audit trail
-        emit BiodiversityDataVerified(tokenId, msg.sender, block.timestamp);
+        // Recounted, so attestations of verifiers revoked since do not count
+        data.approvals = _attestationCount(tokenId, true);
+        data.rejections = _attestationCount(tokenId, false);
+        
+        if (data.approvals >= requiredAttestations) {
+            // Update verification status with current timestamp and the verifier completing the quorum
+            data.isVerified = true;
+            data.verificationTimestamp = block.timestamp;
+            data.verifier = msg.sender;
+            _setStatus(tokenId, VerificationStatus.Approved);
+            
+            // Emit verification event for transparency and audit trail
+            emit BiodiversityDataVerified(tokenId, msg.sender, block.timestamp);
+            _recordScore(tokenId, true);
+        } else if (data.rejections >= requiredAttestations) {
+            _setStatus(tokenId, VerificationStatus.Rejected);
+            _recordScore(tokenId, false);
+        } else {
+            _setStatus(tokenId, VerificationStatus.Pending);
+        }
+    }
+    
+    // Append the average score of the attestations that decided the round to the history
+    function _recordScore(address tokenId, bool approved) private {
+        Attestation[] storage submitted = attestations[tokenId];
+        uint256 total = 0;
+        uint256 count = 0;
+        for (uint256 i = 0; i < submitted.length; i++) {
+            if (submitted[i].approved == approved && verifierIndex[submitted[i].verifier] != 0) {
+                total += submitted[i].score;
+                count += 1;
+            }
+        }
+        
+        uint256 score = total / count;
+        scoreHistory[tokenId].push(ScoreRecord({
+            score: score,
+            approved: approved,
+            timestamp: block.timestamp,
+            assessment: assessmentHistory[tokenId].length - 1
+        }));
+        emit ScoreRecorded(tokenId, score, approved);
+    }
+    
+    function _hasLapsed(BiodiversityData storage data) private view returns (bool) {
+        return validityPeriod != 0 && block.timestamp >= data.verificationTimestamp + validityPeriod;
+    }
+    
+    function _hasAttested(address tokenId, address verifier) private view returns (bool) {
+        Attestation[] storage submitted = attestations[tokenId];
+        for (uint256 i = 0; i < submitted.length; i++) {
+            if (submitted[i].verifier == verifier) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    function _hasApproved(address tokenId, address verifier) private view returns (bool) {
+        Attestation[] storage submitted = attestations[tokenId];
+        for (uint256 i = 0; i < submitted.length; i++) {
+            if (submitted[i].verifier == verifier && submitted[i].approved) {
+                return true;
+            }
+        }
+        return false;
+    }
+    
+    // Attestations with the given verdict from accounts that are still verifiers
+    function _attestationCount(address tokenId, bool approved) private view returns (uint256) {
+        Attestation[] storage submitted = attestations[tokenId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < submitted.length; i++) {
+            if (submitted[i].approved == approved && verifierIndex[submitted[i].verifier] != 0) {
+                count += 1;
+            }
+        }
+        return count;
+    }
+    
+    function _setStatus(address tokenId, VerificationStatus status) private {
+        if (landParcels[tokenId].status != status) {
+            landParcels[tokenId].status = status;
+            emit VerificationStatusChanged(tokenId, status);
+        }
     }
     
     /**
@@ -128,21 +820,51 @@ contract BiodiversityLandParcel {
         return landParcels[tokenId];
     }
     
+    /**
+     * @dev Let an account move the caller's tokens through transferToken, or stop it
+     * HTS still applies the token's own controls (KYC, freeze, pause) to every transfer
+     * 
+     * @param operator The account, e.g. a marketplace
+     * @param approved Whether the operator can move the caller's tokens
+     */
+    function setTransferOperator(address operator, bool approved) external {
+        require(operator != address(0), "Operator cannot be the zero address");
+        require(operator != msg.sender, "Caller cannot be its own operator");
+        
+        transferOperators[msg.sender][operator] = approved;
+        emit TransferOperatorUpdated(msg.sender, operator, approved);
+    }
+    
+    /**
+     * @dev Check whether an account can move a holder's tokens through transferToken
+     * 
+     * @param holder The account holding the tokens
+     * @param operator The account to check
+     * @return bool True for the holder itself and for operators it approved
+     */
+    function isTransferOperator(address holder, address operator) public view returns (bool) {
+        return operator == holder || transferOperators[holder][operator];
+    }
+    
     /**
      * @dev Associate a token with an account using Hedera Token Service
      * This is required before an account can receive a token on Hedera
+     * Only the account itself can ask for the association; a refusal by HTS reverts
+     * with TokenAssociationFailed and its response code
      * 
      * @param accountId Account to associate with the token
      * @param tokenId Token to be associated
      * @return int Response code from the Hedera Token Service
      */
     function associateToken(address accountId, address tokenId) external returns (int) {
+        require(msg.sender == accountId, "Caller can only associate its own account");
+        
         // Call the HTS precompiled contract to perform the association
         int response = tokenService.associateToken(accountId, tokenId);
         
         // Check for successful response
         if (response != HederaResponseCodes.SUCCESS) {
-            revert("Token association failed");
+            revert TokenAssociationFailed(accountId, tokenId, response);
         }
         
         return response;
@@ -151,6 +873,8 @@ contract BiodiversityLandParcel {
     /**
      * @dev Transfer a token from one account to another using Hedera Token Service
      * This allows land parcels to be transferred between owners
+     * Only the sending account or a transfer operator it approved can move its tokens; a refusal
+     * by HTS reverts with TokenTransferFailed and its response code
      * 
      * @param tokenId The token representing the land parcel
      * @param fromAccountId The sender account
@@ -159,12 +883,15 @@ contract BiodiversityLandParcel {
      * @return int Response code from the Hedera Token Service
      */
     function transferToken(address tokenId, address fromAccountId, address toAccountId, int64 amount) external returns (int) {
+        require(isTransferOperator(fromAccountId, msg.sender), "Caller cannot move tokens from this account");
+        require(amount > 0, "Amount must be positive");
+        
         // Call the HTS precompiled contract to perform the token transfer
         int response = tokenService.transferToken(tokenId, fromAccountId, toAccountId, amount);
         
         // Check for successful response
         if (response != HederaResponseCodes.SUCCESS) {
-            revert("Token transfer failed");
+            revert TokenTransferFailed(tokenId, fromAccountId, toAccountId, response);
         }
         
         return response;
@@ -3,14 +3,398 @@ pragma solidity >=0.8.0 <0.9.0;
 
 /**
  * @dev Response codes for Hedera network operations
+ * 
+ * The complete ResponseCodeEnum of the Hedera API, which the Hedera Token Service
+ * precompile returns from every call. Codes and descriptions follow the Hedera
+ * protobufs; a code's name is also the status the SDKs report for it.
  */
 library HederaResponseCodes {
-    // Success response code
-    int internal constant SUCCESS = 22;
-    
-    // Other common response codes
-    int internal constant INVALID_TRANSACTION = 7;
-    int internal constant TOKEN_NOT_ASSOCIATED_TO_ACCOUNT = 173;
-    int internal constant INSUFFICIENT_ACCOUNT_BALANCE = 15;
-    int internal constant INSUFFICIENT_TOKEN_BALANCE = 174;
+    int internal constant OK = 0;
+    int internal constant INVALID_TRANSACTION = 1; // For any error not handled by specific error codes listed below
+    int internal constant PAYER_ACCOUNT_NOT_FOUND = 2; // Payer account does not exist
+    int internal constant INVALID_NODE_ACCOUNT = 3; // Node Account provided does not match the node account of the node the transaction was submitted to
+    int internal constant TRANSACTION_EXPIRED = 4; // Pre-Check error when TransactionValidStart + transactionValidDuration is less than current consensus time
+    int internal constant INVALID_TRANSACTION_START = 5; // Transaction start time is greater than current consensus time
+    int internal constant INVALID_TRANSACTION_DURATION = 6; // The given transactionValidDuration was either non-positive, or greater than the maximum valid duration of 180 secs
+    int internal constant INVALID_SIGNATURE = 7; // The transaction signature is not valid
+    int internal constant MEMO_TOO_LONG = 8; // Transaction memo size exceeded 100 bytes
+    int internal constant INSUFFICIENT_TX_FEE = 9; // The fee provided in the transaction is insufficient for this type of transaction
+    int internal constant INSUFFICIENT_PAYER_BALANCE = 10; // The payer account has insufficient cryptocurrency to pay the transaction fee
+    int internal constant DUPLICATE_TRANSACTION = 11; // This transaction ID is a duplicate of one that was submitted to this node or reached consensus in the last 180 seconds (receipt period)
+    int internal constant BUSY = 12; // If API is throttled out
+    int internal constant NOT_SUPPORTED = 13; // The API is not currently supported
+    int internal constant INVALID_FILE_ID = 14; // The file id is invalid or does not exist
+    int internal constant INVALID_ACCOUNT_ID = 15; // The account id is invalid or does not exist
+    int internal constant INVALID_CONTRACT_ID = 16; // The contract id is invalid or does not exist
+    int internal constant INVALID_TRANSACTION_ID = 17; // Transaction id is not valid
+    int internal constant RECEIPT_NOT_FOUND = 18; // Receipt for given transaction id does not exist
+    int internal constant RECORD_NOT_FOUND = 19; // Record for given transaction id does not exist
+    int internal constant INVALID_SOLIDITY_ID = 20; // The solidity id is invalid or entity with this solidity id does not exist
+    int internal constant UNKNOWN = 21; // The responding node has submitted the transaction to the network
+    int internal constant SUCCESS = 22; // The transaction succeeded
+    int internal constant FAIL_INVALID = 23; // There was a system error and the transaction failed because of invalid request parameters
+    int internal constant FAIL_FEE = 24; // There was a system error while performing fee calculation, reserved for future
+    int internal constant FAIL_BALANCE = 25; // There was a system error while performing balance checks, reserved for future
+    int internal constant KEY_REQUIRED = 26; // Key not provided in the transaction body
+    int internal constant BAD_ENCODING = 27; // Unsupported algorithm/encoding used for keys in the transaction
+    int internal constant INSUFFICIENT_ACCOUNT_BALANCE = 28; // When the account balance is not sufficient for the transfer
+    int internal constant INVALID_SOLIDITY_ADDRESS = 29; // During an update transaction when the system is not able to find the Users Solidity address
+    int internal constant INSUFFICIENT_GAS = 30; // Not enough gas was supplied to execute transaction
+    int internal constant CONTRACT_SIZE_LIMIT_EXCEEDED = 31; // contract byte code size is over the limit
+    int internal constant LOCAL_CALL_MODIFICATION_EXCEPTION = 32; // local execution (query) is requested for a function which changes state
+    int internal constant CONTRACT_REVERT_EXECUTED = 33; // Contract REVERT OPCODE executed
+    int internal constant CONTRACT_EXECUTION_EXCEPTION = 34; // For any contract execution related error not handled by specific error codes listed above
+    int internal constant INVALID_RECEIVING_NODE_ACCOUNT = 35; // In Query validation, account with +ve(amount) value should be Receiving node account, the receiver account should be only one account in...
+    int internal constant MISSING_QUERY_HEADER = 36; // Header is missing in Query request
+    int internal constant ACCOUNT_UPDATE_FAILED = 37; // The update of the account failed
+    int internal constant INVALID_KEY_ENCODING = 38; // Provided key encoding was not supported by the system
+    int internal constant NULL_SOLIDITY_ADDRESS = 39; // null solidity address
+    int internal constant CONTRACT_UPDATE_FAILED = 40; // update of the contract failed
+    int internal constant INVALID_QUERY_HEADER = 41; // the query header is invalid
+    int internal constant INVALID_FEE_SUBMITTED = 42; // Invalid fee submitted
+    int internal constant INVALID_PAYER_SIGNATURE = 43; // Payer signature is invalid
+    int internal constant KEY_NOT_PROVIDED = 44; // The keys were not provided in the request
+    int internal constant INVALID_EXPIRATION_TIME = 45; // Expiration time provided in the transaction was invalid
+    int internal constant NO_WACL_KEY = 46; // WriteAccess Control Keys are not provided for the file
+    int internal constant FILE_CONTENT_EMPTY = 47; // The contents of file are provided as empty
+    int internal constant INVALID_ACCOUNT_AMOUNTS = 48; // The crypto transfer credit and debit do not sum equal to 0
+    int internal constant EMPTY_TRANSACTION_BODY = 49; // Transaction body provided is empty
+    int internal constant INVALID_TRANSACTION_BODY = 50; // Invalid transaction body provided
+    int internal constant INVALID_SIGNATURE_TYPE_MISMATCHING_KEY = 51; // the type of key (base ed25519 key, KeyList, or ThresholdKey) does not match the type of signature (base ed25519 signature, SignatureList,...
+    int internal constant INVALID_SIGNATURE_COUNT_MISMATCHING_KEY = 52; // the number of key (KeyList, or ThresholdKey) does not match that of signature (SignatureList, or ThresholdKeySignature)
+    int internal constant EMPTY_LIVE_HASH_BODY = 53; // the livehash body is empty
+    int internal constant EMPTY_LIVE_HASH = 54; // the livehash data is missing
+    int internal constant EMPTY_LIVE_HASH_KEYS = 55; // the keys for a livehash are missing
+    int internal constant INVALID_LIVE_HASH_SIZE = 56; // the livehash data is not the output of a SHA-384 digest
+    int internal constant EMPTY_QUERY_BODY = 57; // the query body is empty
+    int internal constant EMPTY_LIVE_HASH_QUERY = 58; // the crypto livehash query is empty
+    int internal constant LIVE_HASH_NOT_FOUND = 59; // the livehash is not present
+    int internal constant ACCOUNT_ID_DOES_NOT_EXIST = 60; // the account id passed has not yet been created
+    int internal constant LIVE_HASH_ALREADY_EXISTS = 61; // the livehash already exists for a given account
+    int internal constant INVALID_FILE_WACL = 62; // File WACL keys are invalid
+    int internal constant SERIALIZATION_FAILED = 63; // Serialization failure
+    int internal constant TRANSACTION_OVERSIZE = 64; // The size of the Transaction is greater than transactionMaxBytes
+    int internal constant TRANSACTION_TOO_MANY_LAYERS = 65; // The Transaction has more than 50 levels
+    int internal constant CONTRACT_DELETED = 66; // Contract is marked as deleted
+    int internal constant PLATFORM_NOT_ACTIVE = 67; // the platform node is either disconnected or lagging behind
+    int internal constant KEY_PREFIX_MISMATCH = 68; // one public key matches more than one prefixes on the signature map
+    int internal constant PLATFORM_TRANSACTION_NOT_CREATED = 69; // transaction not created by platform due to large backlog
+    int internal constant INVALID_RENEWAL_PERIOD = 70; // auto renewal period is not a positive number of seconds
+    int internal constant INVALID_PAYER_ACCOUNT_ID = 71; // the response code when a smart contract id is passed for a crypto API request
+    int internal constant ACCOUNT_DELETED = 72; // the account has been marked as deleted
+    int internal constant FILE_DELETED = 73; // the file has been marked as deleted
+    int internal constant ACCOUNT_REPEATED_IN_ACCOUNT_AMOUNTS = 74; // same accounts repeated in the transfer account list
+    int internal constant SETTING_NEGATIVE_ACCOUNT_BALANCE = 75; // attempting to set negative balance value for crypto account
+    int internal constant OBTAINER_REQUIRED = 76; // when deleting smart contract that has crypto balance either transfer account or transfer smart contract is required
+    int internal constant OBTAINER_SAME_CONTRACT_ID = 77; // when deleting smart contract that has crypto balance you can not use the same contract id as transferContractId as the one being deleted
+    int internal constant OBTAINER_DOES_NOT_EXIST = 78; // transferAccountId or transferContractId specified for contract delete does not exist
+    int internal constant MODIFYING_IMMUTABLE_CONTRACT = 79; // attempting to modify (update or delete a immutable smart contract, i.e
+    int internal constant FILE_SYSTEM_EXCEPTION = 80; // Unexpected exception thrown by file system functions
+    int internal constant AUTORENEW_DURATION_NOT_IN_RANGE = 81; // the duration is not a subset of [MINIMUM_AUTORENEW_DURATION,MAXIMUM_AUTORENEW_DURATION]
+    int internal constant ERROR_DECODING_BYTESTRING = 82; // Decoding the smart contract binary to a byte array failed
+    int internal constant CONTRACT_FILE_EMPTY = 83; // File to create a smart contract was of length zero
+    int internal constant CONTRACT_BYTECODE_EMPTY = 84; // Bytecode for smart contract is of length zero
+    int internal constant INVALID_INITIAL_BALANCE = 85; // Attempt to set negative initial balance
+    int internal constant INVALID_RECEIVE_RECORD_THRESHOLD = 86; // [Deprecated]
+    int internal constant INVALID_SEND_RECORD_THRESHOLD = 87; // [Deprecated]
+    int internal constant ACCOUNT_IS_NOT_GENESIS_ACCOUNT = 88; // Special Account Operations should be performed by only Genesis account, return this code if it is not Genesis Account
+    int internal constant PAYER_ACCOUNT_UNAUTHORIZED = 89; // The fee payer account doesn't have permission to submit such Transaction
+    int internal constant INVALID_FREEZE_TRANSACTION_BODY = 90; // FreezeTransactionBody is invalid
+    int internal constant FREEZE_TRANSACTION_BODY_NOT_FOUND = 91; // FreezeTransactionBody does not exist
+    int internal constant TRANSFER_LIST_SIZE_LIMIT_EXCEEDED = 92; // Exceeded the number of accounts (both from and to) allowed for crypto transfer list
+    int internal constant RESULT_SIZE_LIMIT_EXCEEDED = 93; // Smart contract result size greater than specified maxResultSize
+    int internal constant NOT_SPECIAL_ACCOUNT = 94; // The payer account is not a special account(account 0.0.55)
+    int internal constant CONTRACT_NEGATIVE_GAS = 95; // Negative gas was offered in smart contract call
+    int internal constant CONTRACT_NEGATIVE_VALUE = 96; // Negative value / initial balance was specified in a smart contract call / create
+    int internal constant INVALID_FEE_FILE = 97; // Failed to update fee file
+    int internal constant INVALID_EXCHANGE_RATE_FILE = 98; // Failed to update exchange rate file
+    int internal constant INSUFFICIENT_LOCAL_CALL_GAS = 99; // Payment tendered for contract local call cannot cover both the fee and the gas
+    int internal constant ENTITY_NOT_ALLOWED_TO_DELETE = 100; // Entities with Entity ID below 1000 are not allowed to be deleted
+    int internal constant AUTHORIZATION_FAILED = 101; // Violating one of these rules: 1) treasury account can update all entities below 0.0.1000, 2) account 0.0.50 can update all entities from...
+    int internal constant FILE_UPLOADED_PROTO_INVALID = 102; // Fee Schedule Proto uploaded but not valid (append or update is required)
+    int internal constant FILE_UPLOADED_PROTO_NOT_SAVED_TO_DISK = 103; // Fee Schedule Proto uploaded but not valid (append or update is required)
+    int internal constant FEE_SCHEDULE_FILE_PART_UPLOADED = 104; // Fee Schedule Proto File Part uploaded
+    int internal constant EXCHANGE_RATE_CHANGE_LIMIT_EXCEEDED = 105; // The change on Exchange Rate exceeds Exchange_Rate_Allowed_Percentage
+    int internal constant MAX_CONTRACT_STORAGE_EXCEEDED = 106; // Contract permanent storage exceeded the currently allowable limit
+    int internal constant TRANSFER_ACCOUNT_SAME_AS_DELETE_ACCOUNT = 107; // Transfer Account should not be same as Account to be deleted
+    int internal constant TOTAL_LEDGER_BALANCE_INVALID = 108;
+    int internal constant EXPIRATION_REDUCTION_NOT_ALLOWED = 110; // The expiration date/time on a smart contract may not be reduced
+    int internal constant MAX_GAS_LIMIT_EXCEEDED = 111; // Gas exceeded currently allowable gas limit per transaction
+    int internal constant MAX_FILE_SIZE_EXCEEDED = 112; // File size exceeded the currently allowable limit
+    int internal constant RECEIVER_SIG_REQUIRED = 113; // When a valid signature is not provided for operations on account with receiverSigRequired=true
+    int internal constant INVALID_TOPIC_ID = 150; // The Topic ID specified is not in the system
+    int internal constant INVALID_ADMIN_KEY = 155; // A provided admin key was invalid
+    int internal constant INVALID_SUBMIT_KEY = 156; // A provided submit key was invalid
+    int internal constant UNAUTHORIZED = 157; // An attempted operation was not authorized (ie - a deleteTopic for a topic with no adminKey)
+    int internal constant INVALID_TOPIC_MESSAGE = 158; // A ConsensusService message is empty
+    int internal constant INVALID_AUTORENEW_ACCOUNT = 159; // The autoRenewAccount specified is not a valid, active account
+    int internal constant AUTORENEW_ACCOUNT_NOT_ALLOWED = 160; // An adminKey was not specified on the topic, so there must not be an autoRenewAccount
+    int internal constant TOPIC_EXPIRED = 162; // The topic has expired, was not automatically renewed, and is in a 7 day grace period before the topic will be deleted unrecoverably
+    int internal constant INVALID_CHUNK_NUMBER = 163; // chunk number must be from 1 to total (chunks) inclusive
+    int internal constant INVALID_CHUNK_TRANSACTION_ID = 164; // For every chunk, the payer account that is part of initialTransactionID must match the Payer Account of this transaction
+    int internal constant ACCOUNT_FROZEN_FOR_TOKEN = 165; // Account is frozen and cannot transact with the token
+    int internal constant TOKENS_PER_ACCOUNT_LIMIT_EXCEEDED = 166; // An involved account already has more than <tt>tokens.maxPerAccount</tt> associations with non-deleted tokens
+    int internal constant INVALID_TOKEN_ID = 167; // The token is invalid or does not exist
+    int internal constant INVALID_TOKEN_DECIMALS = 168; // Invalid token decimals
+    int internal constant INVALID_TOKEN_INITIAL_SUPPLY = 169; // Invalid token initial supply
+    int internal constant INVALID_TREASURY_ACCOUNT_FOR_TOKEN = 170; // Treasury Account does not exist or is deleted
+    int internal constant INVALID_TOKEN_SYMBOL = 171; // Token Symbol is not UTF-8 capitalized alphabetical string
+    int internal constant TOKEN_HAS_NO_FREEZE_KEY = 172; // Freeze key is not set on token
+    int internal constant TRANSFERS_NOT_ZERO_SUM_FOR_TOKEN = 173; // Amounts in transfer list are not net zero
+    int internal constant MISSING_TOKEN_SYMBOL = 174; // A token symbol was not provided
+    int internal constant TOKEN_SYMBOL_TOO_LONG = 175; // The provided token symbol was too long
+    int internal constant ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN = 176; // KYC must be granted and account does not have KYC granted
+    int internal constant TOKEN_HAS_NO_KYC_KEY = 177; // KYC key is not set on token
+    int internal constant INSUFFICIENT_TOKEN_BALANCE = 178; // Token balance is not sufficient for the transaction
+    int internal constant TOKEN_WAS_DELETED = 179; // Token transactions cannot be executed on deleted token
+    int internal constant TOKEN_HAS_NO_SUPPLY_KEY = 180; // Supply key is not set on token
+    int internal constant TOKEN_HAS_NO_WIPE_KEY = 181; // Wipe key is not set on token
+    int internal constant INVALID_TOKEN_MINT_AMOUNT = 182; // The requested token mint amount would cause an invalid total supply
+    int internal constant INVALID_TOKEN_BURN_AMOUNT = 183; // The requested token burn amount would cause an invalid total supply
+    int internal constant TOKEN_NOT_ASSOCIATED_TO_ACCOUNT = 184; // A required token-account relationship is missing
+    int internal constant CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT = 185; // The target of a wipe operation was the token treasury account
+    int internal constant INVALID_KYC_KEY = 186; // The provided KYC key was invalid
+    int internal constant INVALID_WIPE_KEY = 187; // The provided wipe key was invalid
+    int internal constant INVALID_FREEZE_KEY = 188; // The provided freeze key was invalid
+    int internal constant INVALID_SUPPLY_KEY = 189; // The provided supply key was invalid
+    int internal constant MISSING_TOKEN_NAME = 190; // Token Name is not provided
+    int internal constant TOKEN_NAME_TOO_LONG = 191; // Token Name is too long
+    int internal constant INVALID_WIPING_AMOUNT = 192; // The provided wipe amount must not be negative, zero or bigger than the token holder balance
+    int internal constant TOKEN_IS_IMMUTABLE = 193; // Token does not have Admin key set, thus update/delete transactions cannot be performed
+    int internal constant TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT = 194; // An <tt>associateToken</tt> operation specified a token already associated to the account
+    int internal constant TRANSACTION_REQUIRES_ZERO_TOKEN_BALANCES = 195; // An attempted operation is invalid until all token balances for the target account are zero
+    int internal constant ACCOUNT_IS_TREASURY = 196; // An attempted operation is invalid because the account is a treasury
+    int internal constant TOKEN_ID_REPEATED_IN_TOKEN_LIST = 197; // Same TokenIDs present in the token list
+    int internal constant TOKEN_TRANSFER_LIST_SIZE_LIMIT_EXCEEDED = 198; // Exceeded the number of token transfers (both from and to) allowed for token transfer list
+    int internal constant EMPTY_TOKEN_TRANSFER_BODY = 199; // TokenTransfersTransactionBody has no TokenTransferList
+    int internal constant EMPTY_TOKEN_TRANSFER_ACCOUNT_AMOUNTS = 200; // TokenTransfersTransactionBody has a TokenTransferList with no AccountAmounts
+    int internal constant INVALID_SCHEDULE_ID = 201; // The Scheduled entity does not exist; or has now expired, been deleted, or been executed
+    int internal constant SCHEDULE_IS_IMMUTABLE = 202; // The Scheduled entity cannot be modified
+    int internal constant INVALID_SCHEDULE_PAYER_ID = 203; // The provided Scheduled Payer does not exist
+    int internal constant INVALID_SCHEDULE_ACCOUNT_ID = 204; // The Schedule Create Transaction TransactionID account does not exist
+    int internal constant NO_NEW_VALID_SIGNATURES = 205; // The provided sig map did not contain any new valid signatures from required signers of the scheduled transaction
+    int internal constant UNRESOLVABLE_REQUIRED_SIGNERS = 206; // The required signers for a scheduled transaction cannot be resolved, for example because they do not exist or have been deleted
+    int internal constant SCHEDULED_TRANSACTION_NOT_IN_WHITELIST = 207; // Only whitelisted transaction types may be scheduled
+    int internal constant SOME_SIGNATURES_WERE_INVALID = 208; // At least one of the signatures in the provided sig map did not represent a valid signature for any required signer
+    int internal constant TRANSACTION_ID_FIELD_NOT_ALLOWED = 209; // The scheduled field in the TransactionID may not be set to true
+    int internal constant IDENTICAL_SCHEDULE_ALREADY_CREATED = 210; // A schedule already exists with the same identifying fields of an attempted ScheduleCreate (that is, all fields other than...
+    int internal constant INVALID_ZERO_BYTE_IN_STRING = 211; // A string field in the transaction has a UTF-8 encoding with the prohibited zero byte
+    int internal constant SCHEDULE_ALREADY_DELETED = 212; // A schedule being signed or deleted has already been deleted
+    int internal constant SCHEDULE_ALREADY_EXECUTED = 213; // A schedule being signed or deleted has already been executed
+    int internal constant MESSAGE_SIZE_TOO_LARGE = 214; // ConsensusSubmitMessage request's message size is larger than allowed
+    int internal constant OPERATION_REPEATED_IN_BUCKET_GROUPS = 215; // An operation was assigned to more than one throttle group in a given bucket
+    int internal constant BUCKET_CAPACITY_OVERFLOW = 216; // The capacity needed to satisfy all opsPerSec groups in a bucket overflowed a signed 8-byte integral type
+    int internal constant NODE_CAPACITY_NOT_SUFFICIENT_FOR_OPERATION = 217; // Given the network size in the address book, the node-level capacity for an operation would never be enough to accept a single request;...
+    int internal constant BUCKET_HAS_NO_THROTTLE_GROUPS = 218; // A bucket was defined without any throttle groups
+    int internal constant THROTTLE_GROUP_HAS_ZERO_OPS_PER_SEC = 219; // A throttle group was granted zero opsPerSec
+    int internal constant SUCCESS_BUT_MISSING_EXPECTED_OPERATION = 220; // The throttle definitions file was updated, but some supported operations were not assigned a bucket
+    int internal constant UNPARSEABLE_THROTTLE_DEFINITIONS = 221; // The new contents for the throttle definitions system file were not valid protobuf
+    int internal constant INVALID_THROTTLE_DEFINITIONS = 222; // The new throttle definitions system file were invalid, and no more specific error could be divined
+    int internal constant ACCOUNT_EXPIRED_AND_PENDING_REMOVAL = 223; // The transaction references an account which has passed its expiration without renewal funds available, and currently remains in the...
+    int internal constant INVALID_TOKEN_MAX_SUPPLY = 224; // Invalid token max supply
+    int internal constant INVALID_TOKEN_NFT_SERIAL_NUMBER = 225; // Invalid token nft serial number
+    int internal constant INVALID_NFT_ID = 226; // Invalid nft id
+    int internal constant METADATA_TOO_LONG = 227; // Nft metadata is too long
+    int internal constant BATCH_SIZE_LIMIT_EXCEEDED = 228; // Repeated operations count exceeds the limit
+    int internal constant INVALID_QUERY_RANGE = 229; // The range of data to be gathered is out of the set boundaries
+    int internal constant FRACTION_DIVIDES_BY_ZERO = 230; // A custom fractional fee set a denominator of zero
+    int internal constant INSUFFICIENT_PAYER_BALANCE_FOR_CUSTOM_FEE = 231; // The transaction payer could not afford a custom fee
+    int internal constant CUSTOM_FEES_LIST_TOO_LONG = 232; // More than 10 custom fees were specified
+    int internal constant INVALID_CUSTOM_FEE_COLLECTOR = 233; // Any of the feeCollector accounts for customFees is invalid
+    int internal constant INVALID_TOKEN_ID_IN_CUSTOM_FEES = 234; // Any of the token Ids in customFees is invalid
+    int internal constant TOKEN_NOT_ASSOCIATED_TO_FEE_COLLECTOR = 235; // Any of the token Ids in customFees are not associated to feeCollector
+    int internal constant TOKEN_MAX_SUPPLY_REACHED = 236; // A token cannot have more units minted due to its configured supply ceiling
+    int internal constant SENDER_DOES_NOT_OWN_NFT_SERIAL_NO = 237; // The transaction attempted to move an NFT serial number from an account other than its owner
+    int internal constant CUSTOM_FEE_NOT_FULLY_SPECIFIED = 238; // A custom fee schedule entry did not specify either a fixed or fractional fee
+    int internal constant CUSTOM_FEE_MUST_BE_POSITIVE = 239; // Only positive fees may be assessed at this time
+    int internal constant TOKEN_HAS_NO_FEE_SCHEDULE_KEY = 240; // Fee schedule key is not set on token
+    int internal constant CUSTOM_FEE_OUTSIDE_NUMERIC_RANGE = 241; // A fractional custom fee exceeded the range of a 64-bit signed integer
+    int internal constant ROYALTY_FRACTION_CANNOT_EXCEED_ONE = 242; // A royalty cannot exceed the total fungible value exchanged for an NFT
+    int internal constant FRACTIONAL_FEE_MAX_AMOUNT_LESS_THAN_MIN_AMOUNT = 243; // Each fractional custom fee must have its maximum_amount, if specified, at least its minimum_amount
+    int internal constant CUSTOM_SCHEDULE_ALREADY_HAS_NO_FEES = 244; // A fee schedule update tried to clear the custom fees from a token whose fee schedule was already empty
+    int internal constant CUSTOM_FEE_DENOMINATION_MUST_BE_FUNGIBLE_COMMON = 245; // Only tokens of type FUNGIBLE_COMMON can be used to as fee schedule denominations
+    int internal constant CUSTOM_FRACTIONAL_FEE_ONLY_ALLOWED_FOR_FUNGIBLE_COMMON = 246; // Only tokens of type FUNGIBLE_COMMON can have fractional fees
+    int internal constant INVALID_CUSTOM_FEE_SCHEDULE_KEY = 247; // The provided custom fee schedule key was invalid
+    int internal constant INVALID_TOKEN_MINT_METADATA = 248; // The requested token mint metadata was invalid
+    int internal constant INVALID_TOKEN_BURN_METADATA = 249; // The requested token burn metadata was invalid
+    int internal constant CURRENT_TREASURY_STILL_OWNS_NFTS = 250; // The treasury for a unique token cannot be changed until it owns no NFTs
+    int internal constant ACCOUNT_STILL_OWNS_NFTS = 251; // An account cannot be dissociated from a unique token if it owns NFTs for the token
+    int internal constant TREASURY_MUST_OWN_BURNED_NFT = 252; // A NFT can only be burned when owned by the unique token's treasury
+    int internal constant ACCOUNT_DOES_NOT_OWN_WIPED_NFT = 253; // An account did not own the NFT to be wiped
+    int internal constant ACCOUNT_AMOUNT_TRANSFERS_ONLY_ALLOWED_FOR_FUNGIBLE_COMMON = 254; // An AccountAmount token transfers list referenced a token type other than FUNGIBLE_COMMON
+    int internal constant MAX_NFTS_IN_PRICE_REGIME_HAVE_BEEN_MINTED = 255; // All the NFTs allowed in the current price regime have already been minted
+    int internal constant PAYER_ACCOUNT_DELETED = 256; // The payer account has been marked as deleted
+    int internal constant CUSTOM_FEE_CHARGING_EXCEEDED_MAX_RECURSION_DEPTH = 257; // The reference chain of custom fees for a transferred token exceeded the maximum length of 2
+    int internal constant CUSTOM_FEE_CHARGING_EXCEEDED_MAX_ACCOUNT_AMOUNTS = 258; // More than 20 balance adjustments were to satisfy a CryptoTransfer and its implied custom fee payments
+    int internal constant INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE = 259; // The sender account in the token transfer transaction could not afford a custom fee
+    int internal constant SERIAL_NUMBER_LIMIT_REACHED = 260; // Currently no more than 4,294,967,295 NFTs may be minted for a given unique token type
+    int internal constant CUSTOM_ROYALTY_FEE_ONLY_ALLOWED_FOR_NON_FUNGIBLE_UNIQUE = 261; // Only tokens of type NON_FUNGIBLE_UNIQUE can have royalty fees
+    int internal constant NO_REMAINING_AUTOMATIC_ASSOCIATIONS = 262; // The account has reached the limit on the automatic associations count
+    int internal constant EXISTING_AUTOMATIC_ASSOCIATIONS_EXCEED_GIVEN_LIMIT = 263; // Already existing automatic associations are more than the new maximum automatic associations
+    int internal constant REQUESTED_NUM_AUTOMATIC_ASSOCIATIONS_EXCEEDS_ASSOCIATION_LIMIT = 264; // Cannot set the number of automatic associations for an account more than the maximum allowed token associations...
+    int internal constant TOKEN_IS_PAUSED = 265; // Token is paused
+    int internal constant TOKEN_HAS_NO_PAUSE_KEY = 266; // Pause key is not set on token
+    int internal constant INVALID_PAUSE_KEY = 267; // The provided pause key was invalid
+    int internal constant FREEZE_UPDATE_FILE_DOES_NOT_EXIST = 268; // The update file in a freeze transaction body must exist
+    int internal constant FREEZE_UPDATE_FILE_HASH_DOES_NOT_MATCH = 269; // The hash of the update file in a freeze transaction body must match the in-memory hash
+    int internal constant NO_UPGRADE_HAS_BEEN_PREPARED = 270; // A FREEZE_UPGRADE transaction was handled with no previous update prepared
+    int internal constant NO_FREEZE_IS_SCHEDULED = 271; // A FREEZE_ABORT transaction was handled with no scheduled freeze
+    int internal constant UPDATE_FILE_HASH_CHANGED_SINCE_PREPARE_UPGRADE = 272; // The update file hash when handling a FREEZE_UPGRADE transaction differs from the file hash at the time of handling the PREPARE_UPGRADE...
+    int internal constant FREEZE_START_TIME_MUST_BE_FUTURE = 273; // The given freeze start time was in the (consensus) past
+    int internal constant PREPARED_UPDATE_FILE_IS_IMMUTABLE = 274; // The prepared update file cannot be updated or appended until either the upgrade has been completed, or a FREEZE_ABORT has been handled
+    int internal constant FREEZE_ALREADY_SCHEDULED = 275; // Once a freeze is scheduled, it must be aborted before any other type of freeze can can be performed
+    int internal constant FREEZE_UPGRADE_IN_PROGRESS = 276; // If an NMT upgrade has been prepared, the following operation must be a FREEZE_UPGRADE
+    int internal constant UPDATE_FILE_ID_DOES_NOT_MATCH_PREPARED = 277; // If an NMT upgrade has been prepared, the subsequent FREEZE_UPGRADE transaction must confirm the id of the file to be used in the upgrade
+    int internal constant UPDATE_FILE_HASH_DOES_NOT_MATCH_PREPARED = 278; // If an NMT upgrade has been prepared, the subsequent FREEZE_UPGRADE transaction must confirm the hash of the file to be used in the upgrade
+    int internal constant CONSENSUS_GAS_EXHAUSTED = 279; // Consensus throttle did not allow execution of this transaction
+    int internal constant REVERTED_SUCCESS = 280; // A precompiled contract succeeded, but was later reverted
+    int internal constant MAX_STORAGE_IN_PRICE_REGIME_HAS_BEEN_USED = 281; // All contract storage allocated to the current price regime has been consumed
+    int internal constant INVALID_ALIAS_KEY = 282; // An alias used in a CryptoTransfer transaction is not the serialization of a primitive Key message--that is, a Key with a single Ed25519...
+    int internal constant UNEXPECTED_TOKEN_DECIMALS = 283; // A fungible token transfer expected a different number of decimals than the involved type actually has
+    int internal constant INVALID_PROXY_ACCOUNT_ID = 284; // The proxy account id is invalid or does not exist
+    int internal constant INVALID_TRANSFER_ACCOUNT_ID = 285; // The transfer account id in CryptoDelete transaction is invalid or does not exist
+    int internal constant INVALID_FEE_COLLECTOR_ACCOUNT_ID = 286; // The fee collector account id in TokenFeeScheduleUpdate is invalid or does not exist
+    int internal constant ALIAS_IS_IMMUTABLE = 287; // The alias already set on an account cannot be updated using CryptoUpdate transaction
+    int internal constant SPENDER_ACCOUNT_SAME_AS_OWNER = 288; // An approved allowance specifies a spender account that is the same as the hbar/token owner account
+    int internal constant AMOUNT_EXCEEDS_TOKEN_MAX_SUPPLY = 289; // The establishment or adjustment of an approved allowance cause the token allowance to exceed the token maximum supply
+    int internal constant NEGATIVE_ALLOWANCE_AMOUNT = 290; // The specified amount for an approved allowance cannot be negative
+    int internal constant CANNOT_APPROVE_FOR_ALL_FUNGIBLE_COMMON = 291; // The approveForAll flag cannot be set for a fungible token
+    int internal constant SPENDER_DOES_NOT_HAVE_ALLOWANCE = 292; // The spender does not have an existing approved allowance with the hbar/token owner
+    int internal constant AMOUNT_EXCEEDS_ALLOWANCE = 293; // The transfer amount exceeds the current approved allowance for the spender account
+    int internal constant MAX_ALLOWANCES_EXCEEDED = 294; // The payer account of an approveAllowances or adjustAllowance transaction is attempting to go beyond the maximum allowed number of allowances
+    int internal constant EMPTY_ALLOWANCES = 295; // No allowances have been specified in the approval/adjust transaction
+    int internal constant SPENDER_ACCOUNT_REPEATED_IN_ALLOWANCES = 296; // Spender is repeated more than once in Crypto or Token or NFT allowance lists in a single CryptoApproveAllowance or CryptoAdjustAllowance...
+    int internal constant REPEATED_SERIAL_NUMS_IN_NFT_ALLOWANCES = 297; // Serial numbers are repeated in nft allowance for a single spender account
+    int internal constant FUNGIBLE_TOKEN_IN_NFT_ALLOWANCES = 298; // Fungible common token used in NFT allowances
+    int internal constant NFT_IN_FUNGIBLE_TOKEN_ALLOWANCES = 299; // Non fungible token used in fungible token allowances
+    int internal constant INVALID_ALLOWANCE_OWNER_ID = 300; // The account id specified as the owner is invalid or does not exist
+    int internal constant INVALID_ALLOWANCE_SPENDER_ID = 301; // The account id specified as the spender is invalid or does not exist
+    int internal constant REPEATED_ALLOWANCES_TO_DELETE = 302; // If the CryptoDeleteAllowance transaction has repeated crypto or token or Nft allowances to delete
+    int internal constant INVALID_DELEGATING_SPENDER = 303; // If the account Id specified as the delegating spender is invalid or does not exist
+    int internal constant DELEGATING_SPENDER_CANNOT_GRANT_APPROVE_FOR_ALL = 304; // The delegating Spender cannot grant approveForAll allowance on a NFT token type for another spender
+    int internal constant DELEGATING_SPENDER_DOES_NOT_HAVE_APPROVE_FOR_ALL = 305; // The delegating Spender cannot grant allowance on a NFT serial for another spender as it doesnt not have approveForAll granted on token-owner
+    int internal constant SCHEDULE_EXPIRATION_TIME_TOO_FAR_IN_FUTURE = 306; // The scheduled transaction could not be created because it's expiration_time was too far in the future
+    int internal constant SCHEDULE_EXPIRATION_TIME_MUST_BE_HIGHER_THAN_CONSENSUS_TIME = 307; // The scheduled transaction could not be created because it's expiration_time was less than or equal to the consensus time
+    int internal constant SCHEDULE_FUTURE_THROTTLE_EXCEEDED = 308; // The scheduled transaction could not be created because it would cause throttles to be violated on the specified expiration_time
+    int internal constant SCHEDULE_FUTURE_GAS_LIMIT_EXCEEDED = 309; // The scheduled transaction could not be created because it would cause the gas limit to be violated on the specified expiration_time
+    int internal constant INVALID_ETHEREUM_TRANSACTION = 310; // The ethereum transaction either failed parsing or failed signature validation, or some other EthereumTransaction error not covered by...
+    int internal constant WRONG_CHAIN_ID = 311; // EthereumTransaction was signed against a chainId that this network does not support
+    int internal constant WRONG_NONCE = 312; // This transaction specified an ethereumNonce that is not the current ethereumNonce of the account
+    int internal constant ACCESS_LIST_UNSUPPORTED = 313; // The ethereum transaction specified an access list, which the network does not support
+    int internal constant SCHEDULE_PENDING_EXPIRATION = 314; // The scheduled transaction is pending expiration
+    int internal constant CONTRACT_IS_TOKEN_TREASURY = 315; // A selfdestruct or ContractDelete targeted a contract that is a token treasury
+    int internal constant CONTRACT_HAS_NON_ZERO_TOKEN_BALANCES = 316; // A selfdestruct or ContractDelete targeted a contract with non-zero token balances
+    int internal constant CONTRACT_EXPIRED_AND_PENDING_REMOVAL = 317; // A contract referenced by a transaction is "detached"; that is, expired and lacking any hbar funds for auto-renewal payment---but still...
+    int internal constant CONTRACT_HAS_NO_AUTO_RENEW_ACCOUNT = 318; // A ContractUpdate requested removal of a contract's auto-renew account, but that contract has no auto-renew account
+    int internal constant PERMANENT_REMOVAL_REQUIRES_SYSTEM_INITIATION = 319; // A delete transaction submitted via HAPI set permanent_removal=true
+    int internal constant PROXY_ACCOUNT_ID_FIELD_IS_DEPRECATED = 320;
+    int internal constant SELF_STAKING_IS_NOT_ALLOWED = 321; // An account set the staked_account_id to itself in CryptoUpdate or ContractUpdate transactions
+    int internal constant INVALID_STAKING_ID = 322; // The staking account id or staking node id given is invalid or does not exist
+    int internal constant STAKING_NOT_ENABLED = 323; // Native staking, while implemented, has not yet enabled by the council
+    int internal constant INVALID_PRNG_RANGE = 324; // The range provided in PRNG transaction is negative
+    int internal constant MAX_ENTITIES_IN_PRICE_REGIME_HAVE_BEEN_CREATED = 325; // The maximum number of entities allowed in the current price regime have been created
+    int internal constant INVALID_FULL_PREFIX_SIGNATURE_FOR_PRECOMPILE = 326; // The full prefix signature for precompile is not valid
+    int internal constant INSUFFICIENT_BALANCES_FOR_STORAGE_RENT = 327; // The combined balances of a contract and its auto-renew account (if any) did not cover the rent charged for net new storage used in a...
+    int internal constant MAX_CHILD_RECORDS_EXCEEDED = 328; // A contract transaction tried to use more than the allowed number of child records, via either system contract records or internal...
+    int internal constant INSUFFICIENT_BALANCES_FOR_RENEWAL_FEES = 329; // The combined balances of a contract and its auto-renew account (if any) or balance of an account did not cover the auto-renewal fees in a...
+    int internal constant TRANSACTION_HAS_UNKNOWN_FIELDS = 330; // A transaction's protobuf message includes unknown fields; could mean that a client expects not-yet-released functionality to be available
+    int internal constant ACCOUNT_IS_IMMUTABLE = 331; // The account cannot be modified
+    int internal constant ALIAS_ALREADY_ASSIGNED = 332; // An alias that is assigned to an account or contract cannot be assigned to another account or contract
+    int internal constant INVALID_METADATA_KEY = 333; // A provided metadata key was invalid
+    int internal constant TOKEN_HAS_NO_METADATA_KEY = 334; // Metadata key is not set on token
+    int internal constant MISSING_TOKEN_METADATA = 335; // Token Metadata is not provided
+    int internal constant MISSING_SERIAL_NUMBERS = 336; // NFT serial numbers are missing in the TokenUpdateNftsTransactionBody
+    int internal constant TOKEN_HAS_NO_ADMIN_KEY = 337; // Admin key is not set on token
+    int internal constant NODE_DELETED = 338; // The node has been marked as deleted
+    int internal constant INVALID_NODE_ID = 339; // A node is not found during update and delete node transaction
+    int internal constant INVALID_GOSSIP_ENDPOINT = 340; // gossip_endpoint has a fully qualified domain name instead of ip
+    int internal constant INVALID_NODE_ACCOUNT_ID = 341; // The node account_id is invalid
+    int internal constant INVALID_NODE_DESCRIPTION = 342; // The node description is invalid
+    int internal constant INVALID_SERVICE_ENDPOINT = 343; // service_endpoint is invalid
+    int internal constant INVALID_GOSSIP_CA_CERTIFICATE = 344; // gossip_ca_certificate is invalid
+    int internal constant INVALID_GRPC_CERTIFICATE = 345; // grpc_certificate_hash is invalid
+    int internal constant INVALID_MAX_AUTO_ASSOCIATIONS = 346; // The maximum automatic associations value is not valid
+    int internal constant MAX_NODES_CREATED = 347; // The maximum number of nodes allowed in the address book have been created
+    int internal constant IP_FQDN_CANNOT_BE_SET_FOR_SAME_ENDPOINT = 348; // In ServiceEndpoint, domain_name and ipAddressV4 are mutually exclusive
+    int internal constant GOSSIP_ENDPOINT_CANNOT_HAVE_FQDN = 349; // Fully qualified domain name is not allowed in gossip_endpoint
+    int internal constant FQDN_SIZE_TOO_LARGE = 350; // In ServiceEndpoint, domain_name size too large
+    int internal constant INVALID_ENDPOINT = 351; // ServiceEndpoint is invalid
+    int internal constant GOSSIP_ENDPOINTS_EXCEEDED_LIMIT = 352; // The number of gossip endpoints exceeds the limit
+    int internal constant TOKEN_REFERENCE_REPEATED = 353; // The transaction attempted to use duplicate `TokenReference`.<br/> This affects `TokenReject` attempting to reject same token reference...
+    int internal constant INVALID_OWNER_ID = 354; // The account id specified as the owner in `TokenReject` is invalid or does not exist
+    int internal constant TOKEN_REFERENCE_LIST_SIZE_LIMIT_EXCEEDED = 355; // The transaction attempted to use more than the allowed number of `TokenReference`
+    int internal constant SERVICE_ENDPOINTS_EXCEEDED_LIMIT = 356; // The number of service endpoints exceeds the limit
+    int internal constant INVALID_IPV4_ADDRESS = 357;
+    int internal constant EMPTY_TOKEN_REFERENCE_LIST = 358; // The transaction attempted to use empty `TokenReference` list
+    int internal constant UPDATE_NODE_ACCOUNT_NOT_ALLOWED = 359;
+    int internal constant TOKEN_HAS_NO_METADATA_OR_SUPPLY_KEY = 360;
+    int internal constant EMPTY_PENDING_AIRDROP_ID_LIST = 361; // The transaction attempted to the use an empty List of `PendingAirdropId`
+    int internal constant PENDING_AIRDROP_ID_REPEATED = 362; // The transaction attempted to the same `PendingAirdropId` twice
+    int internal constant PENDING_AIRDROP_ID_LIST_TOO_LONG = 363; // The transaction attempted to use more than the allowed number of `PendingAirdropId`
+    int internal constant PENDING_NFT_AIRDROP_ALREADY_EXISTS = 364;
+    int internal constant ACCOUNT_HAS_PENDING_AIRDROPS = 365;
+    int internal constant THROTTLED_AT_CONSENSUS = 366; // Consensus throttle did not allow execution of this transaction.<br/> The transaction should be retried after a modest delay
+    int internal constant INVALID_PENDING_AIRDROP_ID = 367; // The provided pending airdrop id is invalid.<br/> This pending airdrop MAY already be claimed or cancelled
+    int internal constant TOKEN_AIRDROP_WITH_FALLBACK_ROYALTY = 368; // The token to be airdropped has a fallback royalty fee and cannot be sent or claimed via an airdrop transaction
+    int internal constant INVALID_TOKEN_IN_PENDING_AIRDROP = 369; // This airdrop claim is for a pending airdrop with an invalid token.<br/> The token might be deleted, or the sender may not have enough...
+    int internal constant SCHEDULE_EXPIRY_IS_BUSY = 370; // A scheduled transaction configured to wait for expiry to execute was given an expiry time at which there is already too many transactions...
+    int internal constant INVALID_GRPC_CERTIFICATE_HASH = 371; // The provided gRPC certificate hash is invalid
+    int internal constant MISSING_EXPIRY_TIME = 372; // A scheduled transaction configured to wait for expiry to execute was not given an explicit expiration time
+    int internal constant NO_SCHEDULING_ALLOWED_AFTER_SCHEDULED_RECURSION = 373; // A contract operation attempted to schedule another transaction after it had already scheduled a recursive contract call
+    int internal constant RECURSIVE_SCHEDULING_LIMIT_REACHED = 374; // A contract can schedule recursive calls a finite number of times (this is approximately four million times with typical network...
+    int internal constant WAITING_FOR_LEDGER_ID = 375; // The target network is waiting for the ledger ID to be set, which is a side effect of finishing the network's TSS construction
+    int internal constant MAX_ENTRIES_FOR_FEE_EXEMPT_KEY_LIST_EXCEEDED = 376; // The provided fee exempt key list size exceeded the limit
+    int internal constant FEE_EXEMPT_KEY_LIST_CONTAINS_DUPLICATED_KEYS = 377; // The provided fee exempt key list contains duplicated keys
+    int internal constant INVALID_KEY_IN_FEE_EXEMPT_KEY_LIST = 378; // The provided fee exempt key list contains an invalid key
+    int internal constant INVALID_FEE_SCHEDULE_KEY = 379; // The provided fee schedule key contains an invalid key
+    int internal constant FEE_SCHEDULE_KEY_CANNOT_BE_UPDATED = 380; // If a fee schedule key is not set when we create a topic we cannot add it on update
+    int internal constant FEE_SCHEDULE_KEY_NOT_SET = 381; // If the topic's custom fees are updated the topic SHOULD have a fee schedule key
+    int internal constant MAX_CUSTOM_FEE_LIMIT_EXCEEDED = 382; // The fee amount is exceeding the amount that the payer is willing to pay
+    int internal constant NO_VALID_MAX_CUSTOM_FEE = 383; // There are no corresponding custom fees
+    int internal constant INVALID_MAX_CUSTOM_FEES = 384; // The provided list contains invalid max custom fee
+    int internal constant DUPLICATE_DENOMINATION_IN_MAX_CUSTOM_FEE_LIST = 385; // The provided max custom fee list contains fees with duplicate denominations
+    int internal constant DUPLICATE_ACCOUNT_ID_IN_MAX_CUSTOM_FEE_LIST = 386; // The provided max custom fee list contains fees with duplicate account id
+    int internal constant MAX_CUSTOM_FEES_IS_NOT_SUPPORTED = 387; // Max custom fees list is not supported for this operation
+    int internal constant BATCH_LIST_EMPTY = 388; // The list of batch transactions is empty
+    int internal constant BATCH_LIST_CONTAINS_DUPLICATES = 389; // The list of batch transactions contains duplicated transactions
+    int internal constant BATCH_TRANSACTION_IN_BLACKLIST = 390; // The list of batch transactions contains a transaction type that is in the AtomicBatch blacklist as configured in the network
+    int internal constant INNER_TRANSACTION_FAILED = 391; // The inner transaction of a batch transaction failed
+    int internal constant MISSING_BATCH_KEY = 392; // The inner transaction of a batch transaction is missing a batch key
+    int internal constant BATCH_KEY_SET_ON_NON_INNER_TRANSACTION = 393; // The batch key is set for a non batch transaction
+    int internal constant INVALID_BATCH_KEY = 394; // The batch key is not valid
+    int internal constant SCHEDULE_EXPIRY_NOT_CONFIGURABLE = 395; // The schedule expiry is not configurable
+    int internal constant CREATING_SYSTEM_ENTITIES = 396; // Creating system entities
+    int internal constant THROTTLE_GROUP_LCM_OVERFLOW = 397; // The least common multiple of the throttle group's milliOpsPerSec is too large and it's overflowing
+    int internal constant AIRDROP_CONTAINS_MULTIPLE_SENDERS_FOR_A_TOKEN = 398; // Token airdrop transactions can not contain multiple senders for a single token
+    int internal constant GRPC_WEB_PROXY_NOT_SUPPORTED = 399; // The GRPC proxy endpoint is set in the NodeCreate or NodeUpdate transaction, which the network does not support
+    int internal constant NFT_TRANSFERS_ONLY_ALLOWED_FOR_NON_FUNGIBLE_UNIQUE = 400; // An NFT transfers list referenced a token type other than NON_FUNGIBLE_UNIQUE
+    int internal constant INVALID_SERIALIZED_TX_MESSAGE_HASH_ALGORITHM = 401; // invalid serialized tx message hash algorithm
+    int internal constant WRONG_HOOK_ENTITY_TYPE = 499; // wrong hook entity type
+    int internal constant EVM_HOOK_GAS_THROTTLED = 500; // evm hook gas throttled
+    int internal constant HOOK_ID_IN_USE = 501; // hook id in use
+    int internal constant BAD_HOOK_REQUEST = 502; // bad hook request
+    int internal constant REJECTED_BY_ACCOUNT_ALLOWANCE_HOOK = 503; // rejected by account allowance hook
+    int internal constant HOOK_NOT_FOUND = 504; // hook not found
+    int internal constant LAMBDA_STORAGE_UPDATE_BYTES_TOO_LONG = 505; // lambda storage update bytes too long
+    int internal constant LAMBDA_STORAGE_UPDATE_BYTES_MUST_USE_MINIMAL_REPRESENTATION = 506; // lambda storage update bytes must use minimal representation
+    int internal constant INVALID_HOOK_ID = 507; // invalid hook id
+    int internal constant EMPTY_LAMBDA_STORAGE_UPDATE = 508; // empty lambda storage update
+    int internal constant HOOK_ID_REPEATED_IN_CREATION_DETAILS = 509; // hook id repeated in creation details
+    int internal constant HOOKS_NOT_ENABLED = 510; // hooks not enabled
+    int internal constant HOOK_IS_NOT_A_LAMBDA = 511; // hook is not a lambda
+    int internal constant HOOK_DELETED = 512; // hook deleted
+    int internal constant TOO_MANY_LAMBDA_STORAGE_UPDATES = 513; // too many lambda storage updates
+    int internal constant HOOK_CREATION_BYTES_MUST_USE_MINIMAL_REPRESENTATION = 514; // hook creation bytes must use minimal representation
+    int internal constant HOOK_CREATION_BYTES_TOO_LONG = 515; // hook creation bytes too long
+    int internal constant INVALID_HOOK_CREATION_SPEC = 516; // invalid hook creation spec
+    int internal constant HOOK_EXTENSION_EMPTY = 517; // hook extension empty
+    int internal constant INVALID_HOOK_ADMIN_KEY = 518; // invalid hook admin key
+    int internal constant HOOK_DELETION_REQUIRES_ZERO_STORAGE_SLOTS = 519; // hook deletion requires zero storage slots
+    int internal constant CANNOT_SET_HOOKS_AND_APPROVAL = 520; // cannot set hooks and approval
+    int internal constant TRANSACTION_REQUIRES_ZERO_HOOKS = 521; // transaction requires zero hooks
+    int internal constant INVALID_HOOK_CALL = 522; // invalid hook call
+    int internal constant HOOKS_ARE_NOT_SUPPORTED_IN_AIRDROPS = 523; // hooks are not supported in airdrops
+    int internal constant ACCOUNT_IS_LINKED_TO_A_NODE = 524; // account is linked to a node
+    int internal constant HOOKS_EXECUTIONS_REQUIRE_TOP_LEVEL_CRYPTO_TRANSFER = 525; // hooks executions require top level crypto transfer
+    int internal constant NODE_ACCOUNT_HAS_ZERO_BALANCE = 526; // node account has zero balance
 }
@@ -0,0 +1,109 @@
+// SPDX-License-Identifier: Apache-2.0
+pragma solidity >=0.8.4 <0.9.0;
+
+import "../HederaResponseCodes.sol";
+import "../HederaTokenService.sol";
+
+/**
+ * @title MockHederaTokenService
+ * @dev Stand-in for the Hedera Token Service precompile on the local Hardhat network
+ *
+ * Tests install its runtime code at the precompile address (0x167) with hardhat_setCode, so
+ * BiodiversityLandParcel's associateToken and transferToken run against it. It keeps token
+ * associations and balances and answers with the response codes HTS would:
+ * - associating an account with a token twice: TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT
+ * - a transfer from or to an account not associated with the token: TOKEN_NOT_ASSOCIATED_TO_ACCOUNT
+ * - a transfer of more than the sender holds: INSUFFICIENT_TOKEN_BALANCE
+ * setResponseCode makes the calls fail with any other code, e.g. ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN,
+ * until it is set back to OK (a one-off failure would be undone by the caller's revert).
+ *
+ * The code is installed without running a constructor, so all state starts empty. Unlike HTS
+ * it checks no signatures or keys: any caller can associate and move any account's tokens.
+ */
+contract MockHederaTokenService is IHederaTokenService {
+    // Association of each account with each token, by token
+    mapping(address => mapping(address => bool)) private associations;
+
+    // Balance of each account, by token
+    mapping(address => mapping(address => int64)) private balances;
+
+    // Response code every call fails with (OK, the default, means none)
+    int private forcedResponseCode;
+
+    /**
+     * @dev Emitted when an account is associated with a token
+     */
+    event TokenAssociated(address indexed account, address indexed token);
+
+    /**
+     * @dev Emitted when tokens move between accounts
+     */
+    event TokenTransferred(address indexed token, address indexed from, address indexed to, int64 amount);
+
+    /**
+     * @dev Associate an account with a token
+     * @return responseCode SUCCESS, or TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT
+     */
+    function associateToken(address account, address token) external override returns (int responseCode) {
+        if (forcedResponseCode != HederaResponseCodes.OK) {
+            return forcedResponseCode;
+        }
+        if (associations[token][account]) {
+            return HederaResponseCodes.TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT;
+        }
+
+        associations[token][account] = true;
+        emit TokenAssociated(account, token);
+        return HederaResponseCodes.SUCCESS;
+    }
+
+    /**
+     * @dev Move tokens between two associated accounts
+     * @return responseCode SUCCESS, TOKEN_NOT_ASSOCIATED_TO_ACCOUNT or INSUFFICIENT_TOKEN_BALANCE
+     */
+    function transferToken(address token, address from, address to, int64 amount) external override returns (int responseCode) {
+        if (forcedResponseCode != HederaResponseCodes.OK) {
+            return forcedResponseCode;
+        }
+        if (!associations[token][from] || !associations[token][to]) {
+            return HederaResponseCodes.TOKEN_NOT_ASSOCIATED_TO_ACCOUNT;
+        }
+        if (balances[token][from] < amount) {
+            return HederaResponseCodes.INSUFFICIENT_TOKEN_BALANCE;
+        }
+
+        balances[token][from] -= amount;
+        balances[token][to] += amount;
+        emit TokenTransferred(token, from, to, amount);
+        return HederaResponseCodes.SUCCESS;
+    }
+
+    /**
+     * @dev Give an account a balance of a token, associating it with the token
+     */
+    function setBalance(address token, address account, int64 amount) external {
+        associations[token][account] = true;
+        balances[token][account] = amount;
+    }
+
+    /**
+     * @dev Make associateToken and transferToken fail with a response code (OK to stop)
+     */
+    function setResponseCode(int responseCode) external {
+        forcedResponseCode = responseCode;
+    }
+
+    /**
+     * @dev Whether an account is associated with a token
+     */
+    function isAssociated(address token, address account) external view returns (bool) {
+        return associations[token][account];
+    }
+
+    /**
+     * @dev The balance an account holds of a token
+     */
+    function balanceOf(address token, address account) external view returns (int64) {
+        return balances[token][account];
+    }
+}
@@ -1,40 +1,57 @@
 require("@nomicfoundation/hardhat-toolbox");
 require("dotenv").config();
+const { extendEnvironment } = require("hardhat/config");
+const { NETWORK_PROFILES } = require("./lib/network-profiles");
+const { hardhatAccounts } = require("./lib/operator-key");
 
-// Helper function to handle Hedera private key format
-function getPrivateKeyForHardhat() {
-  const operatorKey = process.env.OPERATOR_KEY;
-  if (!operatorKey) return [];
-  
-  // This specific format in your .env file is DER encoded
-  // For JSON-RPC relay, we need a standard Ethereum private key
-  // This is your specific key from the .env file
-  if (operatorKey === '3030020100300706052b8104000a04220420b2dab86159d86ee9bb8b4328988c8c6447b91b7d74833dfd2c6bd45887ae4cb8') {
-    // For testing purposes, let's use the extracted key portion
-    const extractedKey = 'b2dab86159d86ee9bb8b4328988c8c6447b91b7d74833dfd2c6bd45887ae4cb8';
-    return [`0x${extractedKey}`];
+// EVM account for the JSON-RPC relay, derived from OPERATOR_KEY. An invalid or
+// non-ECDSA key only fails once a network other than the in-memory one is
+// selected, so local compilation and tests keep working.
+let hederaAccounts = [];
+let operatorKeyError = null;
+try {
+  hederaAccounts = hardhatAccounts();
+} catch (error) {
+  operatorKeyError = error;
+}
+
+extendEnvironment((hre) => {
+  if (operatorKeyError && hre.network.name !== "hardhat") {
+    throw operatorKeyError;
   }
+});
 
-  // For regular private keys, return as-is but ensure they have the 0x prefix
-  return [operatorKey.startsWith('0x') ? operatorKey : `0x${operatorKey}`];
+// One Hardhat network per Hedera network profile, deploying through the profile's relay
+function hederaNetworks() {
+  return Object.fromEntries(Object.values(NETWORK_PROFILES).map((profile) => [profile.hardhatNetwork, {
+    url: profile.relayUrl,
+    accounts: hederaAccounts,
+    chainId: profile.chainId,
+    // Without a fixed price, ask the relay for the network's current gas price
+    gasPrice: profile.gasPrice || "auto",
+    gas: 4000000 // Gas limit (deploying BiodiversityLandParcel takes about 2.7M)
+  }]));
 }
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
-  solidity: "0.8.18",
+  solidity: {
+    version: "0.8.18",
+    // Keeps BiodiversityLandParcel's bytecode (and deployment gas) small
+    settings: {
+      optimizer: { enabled: true, runs: 200 }
+    }
+  },
   networks: {
     // Local development network
     hardhat: {
-      chainId: 31337
+      chainId: 31337,
+      // Fixed genesis time so simulated ledger runs are reproducible
+      initialDate: "2025-01-01T00:00:00Z"
     },
-    // Hedera testnet using JSON-RPC relay
-    hederaTestnet: {
-      url: "https://testnet.hashio.io/api", // HashIO JSON-RPC relay endpoint for Testnet
-      accounts: getPrivateKeyForHardhat(),
-      chainId: 296, // Hedera Testnet chainId
-      gasPrice: 510000000000, // Updated to match minimum required gas price
-      gas: 2000000     // Gas limit
-    }
+    // Hedera networks through their JSON-RPC relay: hederaLocal, hederaPreviewnet,
+    // hederaTestnet and hederaMainnet (see lib/network-profiles)
+    ...hederaNetworks()
   },
   paths: {
     sources: "./contracts",
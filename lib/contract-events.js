@@ -0,0 +1,166 @@
+/**
+ * Decoding of the BiodiversityLandParcel contract's event logs
+ *
+ * Logs are read back from the mirror node or a JSON-RPC relay (see
+ * lib/event-watcher) as raw topics and data. An event is recognized by its
+ * first topic, the keccak-256 hash of its signature; indexed arguments are
+ * the following topics and the others are ABI-encoded in the data, in
+ * declaration order. The hashes are kept here so decoding needs no ABI
+ * library at runtime; test/event-watcher.test.js checks them against the
+ * compiled contract.
+ */
+
+// Events by signature hash: name and arguments (name, type, whether indexed) in declaration order
+const CONTRACT_EVENTS = {
+  // BiodiversityDataAdded(address,uint256,string)
+  '0x35dc4d41ac5595fb45a043c698b03de2956aea3ad181e27a81e5b8db993a2463': {
+    name: 'BiodiversityDataAdded',
+    inputs: [['tokenId', 'address'], ['biodiversityScore', 'uint256'], ['ecosystemType', 'string']]
+  },
+  // AssessmentRecorded(address,uint256,bytes32,bytes32)
+  '0x2a3af844b8f05630b8f2d33cf69e9898efecff6d3af61d94ad68a8cd2a569072': {
+    name: 'AssessmentRecorded',
+    inputs: [['tokenId', 'address', true], ['assessment', 'uint256'], ['recordHash', 'bytes32'],
+      ['geometryHash', 'bytes32']]
+  },
+  // BiodiversityDataVerified(address,address,uint256)
+  '0x7352a40ddf91658bacb6d0c1a9ffcf8eeca59fa642b75125408520862ef1a9ee': {
+    name: 'BiodiversityDataVerified',
+    inputs: [['tokenId', 'address'], ['verifier', 'address'], ['timestamp', 'uint256']]
+  },
+  // VerifierGranted(address,address)
+  '0x8a0c75501cc08717088881dbadc4eac47b178e3a240aa7ec195c0f61bc31868e': {
+    name: 'VerifierGranted',
+    inputs: [['verifier', 'address', true], ['grantedBy', 'address', true]]
+  },
+  // VerifierRevoked(address,address)
+  '0x15aef436ad9f2e91cfca5e2e5a35b72449aa333319b82cfb86f9fde560dcd636': {
+    name: 'VerifierRevoked',
+    inputs: [['verifier', 'address', true], ['revokedBy', 'address', true]]
+  },
+  // OwnershipTransferred(address,address)
+  '0x8be0079c531659141344cd1fd0a4f28419497f9722a3daafe3b4186f6b6457e0': {
+    name: 'OwnershipTransferred',
+    inputs: [['previousOwner', 'address', true], ['newOwner', 'address', true]]
+  },
+  // AttestationSubmitted(address,address,bool,uint256)
+  '0x37c9d97bcfad91ec9e280e9e232e4fbd667adecc91ece00ea5646ccad497abc0': {
+    name: 'AttestationSubmitted',
+    inputs: [['tokenId', 'address', true], ['verifier', 'address', true], ['approved', 'bool'], ['score', 'uint256']]
+  },
+  // VerificationStatusChanged(address,uint8)
+  '0xc64fb3c0e81b06643c1b073c3af5437acd6a5d9986c32cce9fd2682b4c264a15': {
+    name: 'VerificationStatusChanged',
+    inputs: [['tokenId', 'address', true], ['status', 'status']]
+  },
+  // VerificationDisputed(address,address,string)
+  '0xc8dd40f4deab14381923b66a12539906c006bff8fea9992ac440b81296ff9416': {
+    name: 'VerificationDisputed',
+    inputs: [['tokenId', 'address', true], ['challenger', 'address', true], ['reason', 'string']]
+  },
+  // DisputeResolved(address,bool)
+  '0xcea2bc33eef9c2bacf266c2b7b17f8f2db3c22582cb56c00467843e85d98021e': {
+    name: 'DisputeResolved',
+    inputs: [['tokenId', 'address', true], ['upheld', 'bool']]
+  },
+  // VerificationPolicyUpdated(uint256,uint256,uint256)
+  '0x78d710c16c15e0ea13b682617991dd789a1aed344ac0350e623d26f8d3cc15f1': {
+    name: 'VerificationPolicyUpdated',
+    inputs: [['requiredAttestations', 'uint256'], ['challengeWindow', 'uint256'], ['validityPeriod', 'uint256']]
+  },
+  // ScoreRecorded(address,uint256,bool)
+  '0x2b70d22480b9321b6ed111d19d5343c78140cb72139d51393db42487fd3c7208': {
+    name: 'ScoreRecorded',
+    inputs: [['tokenId', 'address', true], ['score', 'uint256'], ['approved', 'bool']]
+  },
+  // ReassessmentRequested(address,address)
+  '0x5fc3c738ee0a9ffc7db270923091323a9bdfdf87225dc2fab021dbe022d2cff1': {
+    name: 'ReassessmentRequested',
+    inputs: [['tokenId', 'address', true], ['requestedBy', 'address', true]]
+  },
+  // RegistrantTransferred(address,address,address)
+  '0x67dcaf1bfef7b29713e081f315cae9340bf1bf43db088579bb6660186f704517': {
+    name: 'RegistrantTransferred',
+    inputs: [['tokenId', 'address', true], ['previousRegistrant', 'address', true],
+      ['newRegistrant', 'address', true]]
+  },
+  // TransferOperatorUpdated(address,address,bool)
+  '0x6c14fdee9380cb681291625dee4ac1c8759f5a40515946ebb929b0a5ddc759e5': {
+    name: 'TransferOperatorUpdated',
+    inputs: [['holder', 'address', true], ['operator', 'address', true], ['approved', 'bool']]
+  }
+};
+
+// The contract's VerificationStatus enum, by value, named like the indexed verification status
+const VERIFICATION_STATUSES = ['unverified', 'pending', 'approved', 'rejected', 'disputed', 'expired'];
+
+/**
+ * @typedef {object} DecodedContractEvent
+ * @property {string} name Event name, e.g. "BiodiversityDataVerified"
+ * @property {Object<string, *>} args Arguments by name: addresses as lowercase 0x hex, uint256 as
+ *   numbers (decimal strings when beyond Number.MAX_SAFE_INTEGER), bytes32 as hex without 0x,
+ *   the verification status by name
+ * @property {?string} parcelId Parcel the event is about (its tokenId address without 0x, which is
+ *   the parcel ID of lib/registry-messages), or null for contract-wide events
+ */
+
+/**
+ * Decode a BiodiversityLandParcel event log
+ *
+ * @param {object} log
+ * @param {string[]} log.topics 0x hex topics, the event's signature hash first
+ * @param {string} log.data 0x hex data
+ * @returns {?DecodedContractEvent} The event, or null for a log the contract does not emit
+ */
+function decodeContractLog({ topics, data }) {
+  const event = topics && topics.length > 0 ? CONTRACT_EVENTS[topics[0].toLowerCase()] : null;
+  if (!event) {
+    return null;
+  }
+
+  const payload = Buffer.from((data || '0x').replace(/^0x/, ''), 'hex');
+  const args = {};
+  let topicIndex = 1;
+  let wordIndex = 0;
+  for (const [name, type, indexed] of event.inputs) {
+    const word = indexed
+      ? Buffer.from(topics[topicIndex++].replace(/^0x/, ''), 'hex')
+      : payload.subarray(wordIndex * 32, ++wordIndex * 32);
+    args[name] = decodeValue(word, type, payload);
+  }
+  return {
+    name: event.name,
+    args,
+    parcelId: args.tokenId ? args.tokenId.slice(2) : null
+  };
+}
+
+function decodeValue(word, type, payload) {
+  if (word.length !== 32) {
+    throw new Error(`Event log is too short for its ${type} argument`);
+  }
+  if (type === 'address') {
+    return `0x${word.subarray(12).toString('hex')}`;
+  }
+  if (type === 'bytes32') {
+    return word.toString('hex');
+  }
+  if (type === 'string') {
+    const offset = Number(BigInt(`0x${word.toString('hex')}`));
+    const length = Number(BigInt(`0x${payload.subarray(offset, offset + 32).toString('hex')}`));
+    return payload.subarray(offset + 32, offset + 32 + length).toString('utf8');
+  }
+  const value = BigInt(`0x${word.toString('hex')}`);
+  if (type === 'bool') {
+    return value !== 0n;
+  }
+  if (type === 'status') {
+    return VERIFICATION_STATUSES[Number(value)] || `unknown (${value})`;
+  }
+  return value <= BigInt(Number.MAX_SAFE_INTEGER) ? Number(value) : value.toString();
+}
+
+module.exports = {
+  CONTRACT_EVENTS,
+  decodeContractLog
+};
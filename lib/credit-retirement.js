@@ -0,0 +1,468 @@
+/**
+ * Credit retirement
+ *
+ * Retiring BIO credits takes them out of circulation for good, so they can be
+ * claimed as an offset once and never sold again. Credits still in the token's
+ * treasury are burned; credits a buyer holds are wiped from the buyer's
+ * account with the token's wipe key. Either way the token's total supply
+ * drops by the retired amount.
+ *
+ * Each retirement names the parcels its credits were issued for. A
+ * credits.retired event is published for every source parcel, and the
+ * registry indexer refuses to retire more credits from a parcel than were
+ * issued for it, so the same credits cannot be retired twice. A retirement is
+ * only certified once the indexer recorded every one of its events: when one
+ * is rejected, e.g. because a concurrent retirement took the parcel's credits
+ * first, it fails with a RetirementNotRecordedError instead. The retirement
+ * certificate references the burn or wipe transaction and every event with
+ * their consensus timestamps, so anyone can check it against the network.
+ *
+ * Like the registration pipeline, a retirement is checkpointed to a store
+ * (see lib/registry-store) before anything is burned, and the ID of every
+ * transaction before it is sent. A retirement that stops between the burn and
+ * its events is resumed with resume(): the burn and any event that went out
+ * are settled from their receipts or the mirror node (see
+ * lib/transaction-settlement) rather than sent again, and the events still
+ * missing are published. A new retirement is refused until then.
+ */
+const crypto = require('crypto');
+const { InsufficientCreditsError, PipelineCheckpointError, RetirementNotRecordedError } = require('./errors');
+const { publishAfterIndexedHead } = require('./registry-indexer');
+const { canonicalJson } = require('./registry-messages');
+const { MemoryRegistryStore } = require('./registry-store');
+const { settleTransaction } = require('./transaction-settlement');
+
+const CERTIFICATE_VERSION = 1;
+
+// Checkpoint format version
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * @typedef {object} RetirementCertificate
+ * @property {number} version Certificate format version
+ * @property {string} certificateId Retirement ID, also in the transaction memo and every event
+ * @property {string} issuedAt When the retirement was requested (ISO 8601)
+ * @property {string} beneficiary On whose behalf the credits were retired
+ * @property {string} reason Why the credits were retired
+ * @property {{tokenId: string, amount: number, method: string, retiredFrom: string}} credits
+ *   method is "burn" (from the treasury) or "wipe" (from another account)
+ * @property {{transactionId: string, consensusTimestamp: string, totalSupplyAfter: ?string}} retirementTransaction
+ *   totalSupplyAfter is null when a resumed retirement settled the burn from the mirror node
+ * @property {string} registryTopicId
+ * @property {Array<object>} sources Per source parcel: parcelId, name, amount, parcelNft,
+ *   issuanceTransactionIds and the credits.retired event (transactionId, sequenceNumber, consensusTimestamp)
+ */
+
+/**
+ * @typedef {object} RetirementCheckpoint
+ * @property {number} version
+ * @property {string} operatorId Account retiring the credits
+ * @property {string} tokenId
+ * @property {string} topicId
+ * @property {string} retirementId
+ * @property {string} issuedAt
+ * @property {string} beneficiary
+ * @property {string} reason
+ * @property {Array<{parcelId: string, name: string, amount: number}>} sources
+ * @property {{tokenId: string, amount: number, method: string, retiredFrom: string}} credits
+ * @property {?{transactionId: string, consensusTimestamp: ?string, totalSupplyAfter: ?string}} retired
+ *   The burn or wipe, once it went through
+ * @property {object} events credits.retired event (transactionId, sequenceNumber) per published parcel ID
+ * @property {?{step: string, parcelId: ?string, transactions: SubmittedTransaction[]}} pending
+ *   Transactions of the step that was running, in the order they were sent
+ * @property {boolean} finished Whether the retirement was certified or its event rejected
+ */
+
+class CreditRetirement {
+  /**
+   * @param {object} options
+   * @param {BiodiversityRegistryClient} options.registry Client holding the token's supply and wipe keys
+   * @param {string} options.topicId Registry topic
+   * @param {string} options.tokenId Credit token
+   * @param {RegistryIndexer} options.indexer Indexer of the registry topic
+   * @param {object} [options.store] Checkpoint store with async load() and save(checkpoint)
+   *   (defaults to memory)
+   * @param {number} [options.retries] Extra syncs while the indexer has not seen a published event
+   * @param {number} [options.retryDelay] Milliseconds between those syncs
+   */
+  constructor({ registry, topicId, tokenId, indexer, store, retries = 5, retryDelay = 2000 }) {
+    if (!registry || !topicId || !tokenId || !indexer) {
+      throw new Error('CreditRetirement needs a registry client, the registry topic ID, the credit token ID and a registry indexer');
+    }
+    this.registry = registry;
+    this.topicId = topicId.toString();
+    this.tokenId = tokenId.toString();
+    this.indexer = indexer;
+    this.store = store || new MemoryRegistryStore();
+    this.retries = retries;
+    this.retryDelay = retryDelay;
+  }
+
+  /**
+   * Retire credits, record the retirement on the registry topic and produce its certificate
+   *
+   * @param {object} retirement
+   * @param {Array<{parcelId?: string, name?: string, amount: number}>} retirement.sources Parcels the
+   *   credits were issued for, by ID (or by a name no other parcel carries), with the amount retired from each
+   * @param {string} retirement.beneficiary On whose behalf the credits are retired
+   * @param {string} retirement.reason Why the credits are retired (e.g. "2025 scope 1 offset")
+   * @param {string} [retirement.from] Account holding the credits (defaults to the treasury)
+   * @returns {Promise<RetirementCertificate>}
+   * @throws {InsufficientCreditsError} When a source parcel has fewer unretired credits than asked for
+   * @throws {RetirementNotRecordedError} When the indexer rejects or does not show an event of the retirement
+   * @throws {PipelineCheckpointError} UNFINISHED_RETIREMENT while the store holds a retirement
+   *   that stopped halfway
+   */
+  async retire({ sources, beneficiary, reason, from = null }) {
+    checkRequest({ sources, beneficiary, reason });
+    const saved = await this.store.load();
+    if (saved && !saved.finished) {
+      throw new PipelineCheckpointError(
+        `Retirement ${saved.retirementId} stopped before it was recorded; resume it before retiring more credits`,
+        'UNFINISHED_RETIREMENT', { step: saved.pending && saved.pending.step });
+    }
+
+    // Check every source before anything is taken out of circulation
+    const parcels = await this._checkAvailable(sources);
+
+    const amount = sources.reduce((total, source) => total + source.amount, 0);
+    const issuedAt = new Date().toISOString();
+    const { treasuryAccountId } = await this.registry.getTokenInfo(this.tokenId);
+    const method = from && from.toString() !== treasuryAccountId ? 'wipe' : 'burn';
+    return this._run({
+      version: CHECKPOINT_VERSION,
+      operatorId: this.registry.operatorId.toString(),
+      tokenId: this.tokenId,
+      topicId: this.topicId,
+      retirementId: retirementIdFor({ tokenId: this.tokenId, sources, beneficiary, reason, issuedAt }),
+      issuedAt,
+      beneficiary,
+      reason,
+      sources: sources.map((source, index) => ({ parcelId: parcels[index].parcelId, name: parcels[index].name, amount: source.amount })),
+      credits: {
+        tokenId: this.tokenId,
+        amount,
+        method,
+        retiredFrom: method === 'wipe' ? from.toString() : treasuryAccountId
+      },
+      retired: null,
+      events: {},
+      pending: null,
+      finished: false
+    });
+  }
+
+  /**
+   * Finish the retirement saved in the store, which stopped halfway
+   *
+   * @returns {Promise<RetirementCertificate>}
+   * @throws {PipelineCheckpointError} NOTHING_TO_RESUME when no retirement stopped halfway,
+   *   CHECKPOINT_MISMATCH when it was another account's, token's or topic's,
+   *   UNCONFIRMED_TRANSACTION when a transaction it sent may still reach consensus
+   * @throws {RetirementNotRecordedError} When the indexer rejects or does not show an event of the retirement
+   */
+  async resume() {
+    const checkpoint = await this.store.load();
+    if (!checkpoint || checkpoint.finished) {
+      throw new PipelineCheckpointError('No retirement stopped halfway, so there is nothing to resume', 'NOTHING_TO_RESUME');
+    }
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new PipelineCheckpointError(`Checkpoint version ${checkpoint.version} is not supported`, 'CHECKPOINT_MISMATCH');
+    }
+    if (checkpoint.operatorId !== this.registry.operatorId.toString() || checkpoint.tokenId !== this.tokenId ||
+      checkpoint.topicId !== this.topicId) {
+      throw new PipelineCheckpointError(
+        `Retirement ${checkpoint.retirementId} is account ${checkpoint.operatorId}'s retirement of token ` +
+        `${checkpoint.tokenId} on topic ${checkpoint.topicId}, not ${this.registry.operatorId}'s of token ` +
+        `${this.tokenId} on topic ${this.topicId}`, 'CHECKPOINT_MISMATCH');
+    }
+    return this._run(checkpoint);
+  }
+
+  async _run(checkpoint) {
+    await this._save(checkpoint);
+    const onSubmit = this.registry.onSubmit;
+    this.registry.onSubmit = async (transaction) => {
+      checkpoint.pending.transactions.push(transaction);
+      await this._save(checkpoint);
+    };
+    try {
+      if (!checkpoint.retired) {
+        checkpoint.retired = await this._step(checkpoint, { step: 'retireCredits' },
+          () => this._retireCredits(checkpoint),
+          (outcome) => ({
+            transactionId: outcome.transactionId,
+            consensusTimestamp: outcome.consensusTimestamp,
+            totalSupplyAfter: outcome.totalSupply
+          }));
+        await this._save(checkpoint);
+      }
+      for (const source of checkpoint.sources) {
+        if (!checkpoint.events[source.parcelId]) {
+          checkpoint.events[source.parcelId] = await this._step(checkpoint, { step: 'recordRetirement', parcelId: source.parcelId },
+            () => this._recordRetirement(checkpoint, source),
+            (outcome, pending) => ({ transactionId: pending.transactions[0].transactionId, sequenceNumber: outcome.sequenceNumber }));
+          await this._save(checkpoint);
+        }
+      }
+    } finally {
+      this.registry.onSubmit = onSubmit;
+    }
+
+    const { retired } = checkpoint;
+    const consensusTimestamp = retired.consensusTimestamp ||
+      (await this.registry.getTransactionRecord(retired.transactionId)).consensusTimestamp;
+    const certificateSources = [];
+    for (const source of checkpoint.sources) {
+      const recorded = await this._confirm(checkpoint, source);
+      const event = checkpoint.events[source.parcelId];
+      const parcel = await this.indexer.getParcel(source.parcelId);
+      certificateSources.push({
+        parcelId: source.parcelId,
+        name: source.name,
+        amount: source.amount,
+        parcelNft: (parcel && parcel.nft) || null,
+        issuanceTransactionIds: parcel ? parcel.issuances.map((issuance) => issuance.mintTransactionId).filter(Boolean) : [],
+        event: {
+          transactionId: event.transactionId,
+          sequenceNumber: recorded ? recorded.sequenceNumber : event.sequenceNumber,
+          consensusTimestamp: recorded ? recorded.consensusTimestamp : null
+        }
+      });
+    }
+    checkpoint.finished = true;
+    await this._save(checkpoint);
+
+    return {
+      version: CERTIFICATE_VERSION,
+      certificateId: checkpoint.retirementId,
+      issuedAt: checkpoint.issuedAt,
+      beneficiary: checkpoint.beneficiary,
+      reason: checkpoint.reason,
+      credits: checkpoint.credits,
+      retirementTransaction: { transactionId: retired.transactionId, consensusTimestamp, totalSupplyAfter: retired.totalSupplyAfter },
+      registryTopicId: this.topicId,
+      sources: certificateSources
+    };
+  }
+
+  // Run a step, or complete it from the outcome of the transaction an interrupted run sent for it
+  async _step(checkpoint, { step, parcelId = null }, run, recover) {
+    const { pending } = checkpoint;
+    if (pending && pending.step === step && pending.parcelId === parcelId && pending.transactions.length > 0) {
+      // Transactions go out one after another, so the last one sent decides
+      const last = pending.transactions[pending.transactions.length - 1];
+      const outcome = await settleTransaction(this.registry, this.indexer.mirrorNode, last.transactionId, { step });
+      // An event stopped between its chunks is incomplete, however its last chunk went
+      if (outcome.status === 'SUCCESS' && (!last.chunks || last.chunk === last.chunks)) {
+        checkpoint.pending = null;
+        return recover(outcome, pending);
+      }
+      // The step did not go through, so it runs again with new transactions
+    }
+
+    checkpoint.pending = { step, parcelId, transactions: [] };
+    await this._save(checkpoint);
+    const output = await run();
+    checkpoint.pending = null;
+    return output;
+  }
+
+  // Burn or wipe the credits, once the sources are checked again: a resumed retirement may run long after it was requested
+  async _retireCredits(checkpoint) {
+    try {
+      await this._checkAvailable(checkpoint.sources);
+    } catch (error) {
+      // Nothing was retired, so the retirement is over
+      checkpoint.finished = true;
+      await this._save(checkpoint);
+      throw error;
+    }
+    const { method, amount, retiredFrom } = checkpoint.credits;
+    const memo = `BIO retirement ${checkpoint.retirementId}`;
+    const retired = method === 'wipe'
+      ? await this.registry.wipeCredits(this.tokenId, retiredFrom, amount, { memo })
+      : await this.registry.burnCredits(this.tokenId, amount, { memo });
+    return { transactionId: retired.transactionId, consensusTimestamp: null, totalSupplyAfter: retired.totalSupply };
+  }
+
+  // Publish the source's credits.retired event, after the parcel's latest event
+  async _recordRetirement(checkpoint, source) {
+    const event = await publishAfterIndexedHead(this.registry, this.indexer, source, (parcelId) => this.registry.recordRetirement(this.topicId, {
+      parcelId,
+      retirementId: checkpoint.retirementId,
+      amount: source.amount,
+      tokenId: this.tokenId,
+      beneficiary: checkpoint.beneficiary,
+      reason: checkpoint.reason,
+      retirementTransactionId: checkpoint.retired.transactionId
+    }));
+    return { transactionId: event.transactionId, sequenceNumber: event.sequenceNumber };
+  }
+
+  // The source's retirement as the indexer recorded it, once it has indexed the event
+  async _confirm(checkpoint, source) {
+    if (this.registry.dryRun) {
+      // A dry run publishes nothing
+      return null;
+    }
+    const event = checkpoint.events[source.parcelId];
+    for (let attempt = 0; ; attempt++) {
+      await this.indexer.sync();
+      const { parcels, rejected } = this.indexer.state;
+      const recorded = (parcels[source.parcelId].retirements || [])
+        .find((retirement) => retirement.retirementId === checkpoint.retirementId);
+      if (recorded) {
+        return recorded;
+      }
+      const rejection = event.sequenceNumber ? rejected.find((entry) => entry.sequenceNumber === event.sequenceNumber) : null;
+      if (rejection || attempt >= this.retries) {
+        if (rejection) {
+          // Resuming cannot change the indexer's verdict
+          checkpoint.finished = true;
+          await this._save(checkpoint);
+        }
+        throw new RetirementNotRecordedError(checkpoint.retirementId, source.name, {
+          retirementTransactionId: checkpoint.retired.transactionId,
+          reason: rejection ? rejection.reason : null
+        });
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+    }
+  }
+
+  // Indexed parcel of every source, when each has the credits asked for left
+  async _checkAvailable(sources) {
+    await this.indexer.sync();
+    const parcels = [];
+    for (const source of sources) {
+      const parcel = await this.indexer.getParcel(source.parcelId || source.name);
+      const available = parcel ? parcel.creditsMinted - (parcel.creditsRetired || 0) : 0;
+      if (source.amount > available) {
+        throw new InsufficientCreditsError(source.name || source.parcelId, source.amount, available);
+      }
+      parcels.push(parcel);
+    }
+    return parcels;
+  }
+
+  // A dry run leaves no checkpoint behind, as it retires nothing
+  async _save(checkpoint) {
+    if (!this.registry.dryRun) {
+      await this.store.save(checkpoint);
+    }
+  }
+}
+
+function checkRequest({ sources, beneficiary, reason }) {
+  if (!Array.isArray(sources) || sources.length === 0) {
+    throw new Error('A retirement needs at least one source parcel');
+  }
+  for (const source of sources) {
+    if (!source || (typeof source.parcelId !== 'string' && typeof source.name !== 'string') ||
+      !Number.isSafeInteger(source.amount) || source.amount <= 0) {
+      throw new Error('Every retirement source needs a parcel ID or name and a positive whole amount');
+    }
+  }
+  if (new Set(sources.map((source) => source.parcelId || source.name)).size !== sources.length) {
+    throw new Error('A parcel can only be listed once per retirement');
+  }
+  for (const [field, value] of Object.entries({ beneficiary, reason })) {
+    if (typeof value !== 'string' || value.trim() === '') {
+      throw new Error(`A retirement needs a ${field}`);
+    }
+  }
+}
+
+// Short ID for the retirement, derived from its request
+function retirementIdFor(request) {
+  const digest = crypto.createHash('sha256').update(canonicalJson(request)).digest('hex');
+  return `RET-${digest.slice(0, 16).toUpperCase()}`;
+}
+
+/**
+ * Render a retirement certificate as a standalone, printable HTML page
+ *
+ * Print it from a browser (or "Save as PDF") for a PDF copy.
+ *
+ * @param {RetirementCertificate} certificate
+ * @returns {string} HTML document
+ */
+function renderCertificateHtml(certificate) {
+  const { credits, retirementTransaction } = certificate;
+  const rows = certificate.sources.map((source) => `
+        <tr>
+          <td>${escapeHtml(source.name)}<br><code>${escapeHtml(source.parcelId)}</code></td>
+          <td>${source.parcelNft ? `<code>${escapeHtml(`${source.parcelNft.tokenId}#${source.parcelNft.serial}`)}</code>` : '-'}</td>
+          <td class="amount">${source.amount}</td>
+          <td><code>${escapeHtml(source.event.transactionId)}</code><br>#${source.event.sequenceNumber} at ${escapeHtml(formatConsensusTimestamp(source.event.consensusTimestamp))}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Retirement Certificate ${escapeHtml(certificate.certificateId)}</title>
+  <style>
+    body { font-family: Georgia, serif; max-width: 52rem; margin: 2rem auto; color: #1d3b2a; }
+    h1 { text-align: center; border-bottom: 3px double #1d3b2a; padding-bottom: 0.5rem; }
+    .statement { font-size: 1.2rem; text-align: center; margin: 1.5rem 0; }
+    table { width: 100%; border-collapse: collapse; margin: 1rem 0; font-size: 0.9rem; }
+    th, td { border: 1px solid #9bb5a5; padding: 0.4rem; text-align: left; vertical-align: top; }
+    .amount { text-align: right; }
+    code { font-size: 0.85em; word-break: break-all; }
+    footer { font-size: 0.8rem; margin-top: 2rem; }
+    @media print { body { margin: 0; } }
+  </style>
+</head>
+<body>
+  <h1>Biodiversity Credit Retirement Certificate</h1>
+  <p class="statement">
+    <strong>${credits.amount} BIO</strong> credits (token <code>${escapeHtml(credits.tokenId)}</code>)
+    were permanently retired on behalf of <strong>${escapeHtml(certificate.beneficiary)}</strong>.
+  </p>
+  <table>
+    <tr><th>Certificate</th><td><code>${escapeHtml(certificate.certificateId)}</code></td></tr>
+    <tr><th>Reason</th><td>${escapeHtml(certificate.reason)}</td></tr>
+    <tr><th>Method</th><td>${credits.method === 'wipe' ? 'Wiped from' : 'Burned from the treasury'} <code>${escapeHtml(credits.retiredFrom)}</code></td></tr>
+    <tr><th>Transaction</th><td><code>${escapeHtml(retirementTransaction.transactionId)}</code></td></tr>
+    <tr><th>Consensus time</th><td>${escapeHtml(formatConsensusTimestamp(retirementTransaction.consensusTimestamp))}</td></tr>
+    <tr><th>Supply after retirement</th><td>${retirementTransaction.totalSupplyAfter === null ? '-' : escapeHtml(retirementTransaction.totalSupplyAfter)}</td></tr>
+    <tr><th>Registry topic</th><td><code>${escapeHtml(certificate.registryTopicId)}</code></td></tr>
+  </table>
+  <h2>Source parcels</h2>
+  <table>
+    <thead>
+      <tr><th>Parcel</th><th>Parcel NFT</th><th class="amount">Credits</th><th>Registry event</th></tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <footer>
+    Issued ${escapeHtml(certificate.issuedAt)}. Every transaction and event above can be looked up
+    on a Hedera mirror node; the credits.retired events on the registry topic carry this certificate's ID.
+  </footer>
+</body>
+</html>
+`;
+}
+
+// "seconds.nanos" as an ISO 8601 time with the consensus timestamp itself
+function formatConsensusTimestamp(timestamp) {
+  const seconds = Number(timestamp.split('.')[0]);
+  return `${new Date(seconds * 1000).toISOString()} (${timestamp})`;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+module.exports = {
+  CreditRetirement,
+  renderCertificateHtml
+};
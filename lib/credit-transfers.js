@@ -0,0 +1,173 @@
+/**
+ * Compliant credit transfers
+ *
+ * BIO credit tokens carry KYC, freeze and pause keys (see
+ * BiodiversityRegistryClient#createCreditToken). An account can only hold
+ * credits once it has associated itself with the token and the holder of the
+ * KYC key has granted it KYC; a frozen account cannot send or receive them,
+ * and while the token is paused nothing moves at all. HTS enforces all of
+ * this, so CreditTransfers turns its refusals into CreditTransferErrors that
+ * say what is missing and who has to act.
+ *
+ * Each operation runs as the client's account: associate and transfer as the
+ * holder, the KYC, freeze and pause operations as the holder of those keys.
+ */
+const { CreditTransferError, HederaTransactionError } = require('./errors');
+
+class CreditTransfers {
+  /**
+   * @param {object} options
+   * @param {BiodiversityRegistryClient} options.registry Client of the account taking the actions
+   * @param {string} options.tokenId Credit token
+   */
+  constructor({ registry, tokenId }) {
+    if (!registry || !tokenId) {
+      throw new Error('CreditTransfers needs a registry client and the credit token ID');
+    }
+    this.registry = registry;
+    this.tokenId = tokenId.toString();
+  }
+
+  /**
+   * Associate the client's account with the token, so it can be granted KYC and hold credits
+   *
+   * @returns {Promise<{transactionId: ?string, alreadyAssociated: boolean}>}
+   */
+  async associate() {
+    const accountId = this.registry.operatorId.toString();
+    try {
+      const { transactionId } = await this.registry.associateTokens([this.tokenId]);
+      return { transactionId, alreadyAssociated: false };
+    } catch (error) {
+      if (error.code === 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT') {
+        return { transactionId: null, alreadyAssociated: true };
+      }
+      throw this._explain('associateTokens', error, [accountId]);
+    }
+  }
+
+  /**
+   * Grant an account KYC for the token (the account must be associated first)
+   *
+   * @param {string} accountId
+   * @returns {Promise<TransactionResult>}
+   */
+  async grantKyc(accountId) {
+    return this._run('grantKyc', [accountId], () => this.registry.grantKyc(this.tokenId, accountId));
+  }
+
+  /**
+   * Revoke an account's KYC for the token; its credits stay but can no longer move
+   *
+   * @param {string} accountId
+   * @returns {Promise<TransactionResult>}
+   */
+  async revokeKyc(accountId) {
+    return this._run('revokeKyc', [accountId], () => this.registry.revokeKyc(this.tokenId, accountId));
+  }
+
+  /**
+   * Freeze an account's credits
+   *
+   * @param {string} accountId
+   * @returns {Promise<TransactionResult>}
+   */
+  async freeze(accountId) {
+    return this._run('freezeAccount', [accountId], () => this.registry.freezeAccount(this.tokenId, accountId));
+  }
+
+  /**
+   * Unfreeze an account's credits
+   *
+   * @param {string} accountId
+   * @returns {Promise<TransactionResult>}
+   */
+  async unfreeze(accountId) {
+    return this._run('unfreezeAccount', [accountId], () => this.registry.unfreezeAccount(this.tokenId, accountId));
+  }
+
+  /**
+   * Pause the token: no transfers, mints, burns or wipes until it is unpaused
+   *
+   * @returns {Promise<TransactionResult>}
+   */
+  async pause() {
+    return this._run('pauseToken', [], () => this.registry.pauseToken(this.tokenId));
+  }
+
+  /**
+   * Unpause the token
+   *
+   * @returns {Promise<TransactionResult>}
+   */
+  async unpause() {
+    return this._run('unpauseToken', [], () => this.registry.unpauseToken(this.tokenId));
+  }
+
+  /**
+   * Transfer credits from the client's account
+   *
+   * @param {string} toAccountId Receiving account, associated with the token and granted KYC
+   * @param {number} amount Credits to transfer
+   * @returns {Promise<TransactionResult & {from: string, to: string, amount: number}>}
+   * @throws {CreditTransferError} When HTS refuses the transfer for a compliance reason
+   */
+  async transfer(toAccountId, amount) {
+    if (!Number.isSafeInteger(amount) || amount <= 0) {
+      throw new Error('Credits to transfer must be a positive whole amount');
+    }
+    const from = this.registry.operatorId.toString();
+    const to = toAccountId.toString();
+    const { transactionId } = await this._run('transferCredits', [from, to],
+      () => this.registry.transferCredits(this.tokenId, to, amount));
+    return { transactionId, from, to, amount };
+  }
+
+  async _run(operation, accountIds, action) {
+    try {
+      return await action();
+    } catch (error) {
+      throw this._explain(operation, error, accountIds);
+    }
+  }
+
+  // A CreditTransferError for the HTS refusals with a known meaning, the error itself otherwise
+  _explain(operation, error, accountIds) {
+    const reason = error instanceof HederaTransactionError
+      ? refusalReason(error.status, { tokenId: this.tokenId, accountIds })
+      : null;
+    return reason ? new CreditTransferError(operation, error, reason) : error;
+  }
+}
+
+// What an HTS response code means for a credit operation on the given accounts
+function refusalReason(status, { tokenId, accountIds }) {
+  // HTS does not say which side of a transfer was refused
+  const accounts = accountIds.join(' or ');
+  switch (status) {
+    case 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT':
+      return `${accounts} is not associated with ${tokenId}; the account has to associate it first`;
+    case 'ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN':
+      return `${accounts} has not been granted KYC for ${tokenId}`;
+    case 'ACCOUNT_FROZEN_FOR_TOKEN':
+      return `${accounts} is frozen for ${tokenId}`;
+    case 'TOKEN_IS_PAUSED':
+      return `${tokenId} is paused`;
+    case 'INSUFFICIENT_TOKEN_BALANCE':
+      return `${accountIds[0]} does not hold enough ${tokenId}`;
+    case 'TOKEN_HAS_NO_KYC_KEY':
+      return `${tokenId} has no KYC key, so anyone associated with it can hold it`;
+    case 'TOKEN_HAS_NO_FREEZE_KEY':
+      return `${tokenId} has no freeze key`;
+    case 'TOKEN_HAS_NO_PAUSE_KEY':
+      return `${tokenId} has no pause key`;
+    case 'INVALID_SIGNATURE':
+      return `the transaction was not signed with the key of ${tokenId} this operation needs`;
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  CreditTransfers
+};
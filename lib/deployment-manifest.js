@@ -0,0 +1,194 @@
+/**
+ * Deployment manifest
+ *
+ * A JSON file (deployments.json, or DEPLOYMENT_MANIFEST) recording, for each
+ * network, the IDs of the BiodiversityLandParcel contract, the BIO credit
+ * token, the parcel NFT collection and the registry topic. Deploying the
+ * contract and creating the token, collection or topic record them, and every
+ * script reads them back, so the same commands run against any network
+ * without editing IDs into the source or the environment.
+ *
+ * Environment variables still win: an entity ID set in the environment (or on
+ * the command line of scripts/biodiversity.js) is used instead of the
+ * manifest's.
+ *
+ *   {
+ *     "version": 1,
+ *     "networks": {
+ *       "testnet": { "contractId": "0.0.1234", "contractEvmAddress": "0x...", "tokenId": "0.0.1235",
+ *                    "topicId": "0.0.1236", "updatedAt": "2025-01-01T00:00:00.000Z" }
+ *     }
+ *   }
+ */
+const fs = require('fs');
+const path = require('path');
+const { NetworkConfigError } = require('./errors');
+const { DEFAULT_NETWORK, getNetworkProfile } = require('./network-profiles');
+
+const MANIFEST_VERSION = 1;
+const DEFAULT_MANIFEST_FILE = 'deployments.json';
+
+// Manifest entries with an entity ID, and the environment variables that override them
+const MANIFEST_VARIABLES = Object.freeze({
+  contractId: 'LAND_REGISTRY_CONTRACT_ID',
+  tokenId: 'BIO_TOKEN_ID',
+  parcelNftTokenId: 'PARCEL_NFT_TOKEN_ID',
+  topicId: 'LAND_REGISTRY_TOPIC_ID'
+});
+
+const ENTITY_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+const EVM_ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * @typedef {object} NetworkDeployment
+ * @property {string} [contractId] BiodiversityLandParcel contract
+ * @property {string} [contractEvmAddress] EVM address of the contract
+ * @property {string} [tokenId] BIO credit token
+ * @property {string} [parcelNftTokenId] Parcel NFT collection
+ * @property {string} [topicId] Registry topic
+ * @property {string} [updatedAt] When an entry was last recorded (ISO 8601)
+ */
+
+class DeploymentManifest {
+  /**
+   * Use DeploymentManifest.load or DeploymentManifest.fromEnv to read an existing file
+   *
+   * @param {object} options
+   * @param {string} options.filePath File the manifest is kept in
+   * @param {Object<string, NetworkDeployment>} [options.networks] Deployments by network name
+   */
+  constructor({ filePath, networks = {} }) {
+    this.filePath = filePath;
+    this.networks = networks;
+  }
+
+  /**
+   * Read a manifest file; a missing file is an empty manifest
+   *
+   * @param {string} [filePath] Manifest file (defaults to deployments.json)
+   * @returns {DeploymentManifest}
+   * @throws {NetworkConfigError} INVALID_MANIFEST when the file is not a valid manifest
+   */
+  static load(filePath = DEFAULT_MANIFEST_FILE) {
+    let contents;
+    try {
+      contents = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return new DeploymentManifest({ filePath });
+      }
+      throw error;
+    }
+
+    let manifest;
+    try {
+      manifest = JSON.parse(contents);
+    } catch (error) {
+      throw invalid(filePath, `not JSON (${error.message})`);
+    }
+    if (!manifest || manifest.version !== MANIFEST_VERSION || typeof manifest.networks !== 'object' || !manifest.networks) {
+      throw invalid(filePath, `expected {"version": ${MANIFEST_VERSION}, "networks": {...}}`);
+    }
+    for (const [network, deployment] of Object.entries(manifest.networks)) {
+      getNetworkProfile(network);
+      checkDeployment(filePath, network, deployment);
+    }
+    return new DeploymentManifest({ filePath, networks: manifest.networks });
+  }
+
+  /**
+   * Read the manifest named by DEPLOYMENT_MANIFEST (defaults to deployments.json)
+   *
+   * @param {object} [env] Environment variables (defaults to process.env)
+   * @returns {DeploymentManifest}
+   * @throws {NetworkConfigError} INVALID_MANIFEST when the file is not a valid manifest
+   */
+  static fromEnv(env = process.env) {
+    return DeploymentManifest.load(env.DEPLOYMENT_MANIFEST || DEFAULT_MANIFEST_FILE);
+  }
+
+  /**
+   * Get what is deployed on a network
+   *
+   * @param {string} network Network name
+   * @returns {NetworkDeployment} Empty when nothing was recorded for the network
+   */
+  get(network) {
+    return { ...(this.networks[network] || {}) };
+  }
+
+  /**
+   * Record entities deployed on a network and save the manifest
+   *
+   * Entries not given are kept.
+   *
+   * @param {string} network Network name
+   * @param {NetworkDeployment} entities
+   * @returns {NetworkDeployment} What is now recorded for the network
+   * @throws {NetworkConfigError} For an unknown network or a malformed ID
+   */
+  record(network, entities) {
+    getNetworkProfile(network);
+    const deployment = { ...this.get(network), ...entities, updatedAt: new Date().toISOString() };
+    checkDeployment(this.filePath, network, deployment);
+    this.networks[network] = deployment;
+    this.save();
+    return this.get(network);
+  }
+
+  /**
+   * Write the manifest, replacing the file atomically
+   */
+  save() {
+    fs.mkdirSync(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+    fs.writeFileSync(temporaryPath, `${JSON.stringify({ version: MANIFEST_VERSION, networks: this.networks }, null, 2)}\n`);
+    fs.renameSync(temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * Fill the entity ID variables HEDERA_NETWORK's deployment does not set from the manifest
+ *
+ * Scripts call this once, after loading .env, so every fromEnv factory sees the manifest's IDs.
+ *
+ * @param {object} [env] Environment variables to fill (defaults to process.env)
+ * @returns {DeploymentManifest} The manifest that was read
+ * @throws {NetworkConfigError} For an unknown HEDERA_NETWORK or an invalid manifest
+ */
+function applyDeploymentManifest(env = process.env) {
+  const network = getNetworkProfile(env.HEDERA_NETWORK || DEFAULT_NETWORK).name;
+  const manifest = DeploymentManifest.fromEnv(env);
+  const deployment = manifest.get(network);
+  for (const [entry, variable] of Object.entries(MANIFEST_VARIABLES)) {
+    if (!env[variable] && deployment[entry]) {
+      env[variable] = deployment[entry];
+    }
+  }
+  return manifest;
+}
+
+function checkDeployment(filePath, network, deployment) {
+  if (!deployment || typeof deployment !== 'object' || Array.isArray(deployment)) {
+    throw invalid(filePath, `the deployment of ${network} must be an object`);
+  }
+  for (const entry of Object.keys(MANIFEST_VARIABLES)) {
+    if (deployment[entry] !== undefined && !ENTITY_ID_PATTERN.test(deployment[entry])) {
+      throw invalid(filePath, `${network}.${entry} must be an entity ID like 0.0.1234, not "${deployment[entry]}"`);
+    }
+  }
+  if (deployment.contractEvmAddress !== undefined && !EVM_ADDRESS_PATTERN.test(deployment.contractEvmAddress)) {
+    throw invalid(filePath, `${network}.contractEvmAddress must be a 0x-prefixed EVM address`);
+  }
+}
+
+function invalid(filePath, reason) {
+  return new NetworkConfigError(`Deployment manifest ${filePath} is invalid: ${reason}`, 'INVALID_MANIFEST');
+}
+
+module.exports = {
+  DEFAULT_MANIFEST_FILE,
+  DeploymentManifest,
+  MANIFEST_VARIABLES,
+  applyDeploymentManifest
+};
@@ -0,0 +1,242 @@
+/**
+ * EVM address <-> Hedera entity ID resolution
+ *
+ * Hedera entities are addressed either by ID (0.0.x) or by a 20-byte EVM
+ * address. Long-zero addresses (shard and realm followed by the entity number)
+ * map to IDs arithmetically and are resolved locally. Every other address (a
+ * contract deployed through the JSON-RPC relay, an ECDSA account alias) is
+ * only known to the network, so it is looked up through the mirror node REST
+ * API. Mirror node answers are cached in both directions.
+ */
+const { AccountId, ContractId, TokenId } = require('@hashgraph/sdk');
+const { EntityResolutionError, MirrorNodeError } = require('./errors');
+const { MirrorNodeClient, mirrorNodeUrlFromEnv } = require('./mirror-node');
+
+// Entity kinds, with the SDK ID class and the mirror node path and ID field of each
+// (tokens always have long-zero addresses, so they are never looked up)
+const ENTITY_TYPES = {
+  contract: { IdClass: ContractId, path: 'contracts', idField: 'contract_id' },
+  account: { IdClass: AccountId, path: 'accounts', idField: 'account' },
+  token: { IdClass: TokenId }
+};
+
+const EVM_ADDRESS_PATTERN = /^(0x)?[0-9a-fA-F]{40}$/;
+
+class EntityResolver {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.mirrorNodeUrl] Mirror node base URL (defaults to testnet)
+   * @param {number} [options.shard] Shard of the entities handled by this resolver
+   * @param {number} [options.realm] Realm of the entities handled by this resolver
+   * @param {number} [options.retries] Extra attempts when the mirror node does not know an
+   *   entity yet (it lags consensus by a few seconds)
+   * @param {number} [options.retryDelay] Milliseconds between those attempts
+   * @param {number} [options.timeout] Milliseconds before a mirror node request is abandoned
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.mirrorNode = new MirrorNodeClient({ url: options.mirrorNodeUrl, timeout: options.timeout, fetch: options.fetch });
+    this.shard = options.shard || 0;
+    this.realm = options.realm || 0;
+    this.retries = options.retries !== undefined ? options.retries : 3;
+    this.retryDelay = options.retryDelay !== undefined ? options.retryDelay : 2000;
+    this.cache = new Map();
+  }
+
+  /**
+   * Create a resolver from HEDERA_MIRROR_NODE_URL (or HEDERA_NETWORK)
+   *
+   * @param {object} [env] Environment variables (defaults to process.env)
+   * @param {object} [options] Other EntityResolver options
+   * @returns {EntityResolver}
+   * @throws {MirrorNodeError} When no mirror node is configured for the network
+   */
+  static fromEnv(env = process.env, options = {}) {
+    return new EntityResolver({ ...options, mirrorNodeUrl: mirrorNodeUrlFromEnv(env) });
+  }
+
+  /**
+   * Resolve a contract's EVM address to its contract ID
+   *
+   * @param {string} evmAddress 20-byte EVM address, with or without 0x
+   * @returns {Promise<string>} Contract ID (shard.realm.num)
+   */
+  async resolveContractId(evmAddress) {
+    return this._resolveId('contract', evmAddress);
+  }
+
+  /**
+   * Resolve an account's EVM address (long-zero or ECDSA alias) to its account ID
+   *
+   * @param {string} evmAddress 20-byte EVM address, with or without 0x
+   * @returns {Promise<string>} Account ID (shard.realm.num)
+   */
+  async resolveAccountId(evmAddress) {
+    return this._resolveId('account', evmAddress);
+  }
+
+  /**
+   * Resolve a token's EVM address to its token ID
+   *
+   * @param {string} evmAddress 20-byte EVM address, with or without 0x
+   * @returns {Promise<string>} Token ID (shard.realm.num)
+   */
+  async resolveTokenId(evmAddress) {
+    return this._resolveId('token', evmAddress);
+  }
+
+  /**
+   * Get the EVM address a contract is called at
+   *
+   * @param {string} contractId Contract ID (shard.realm.num)
+   * @returns {Promise<string>} 0x-prefixed, lowercase EVM address
+   */
+  async contractEvmAddress(contractId) {
+    return this._resolveEvmAddress('contract', contractId);
+  }
+
+  /**
+   * Get the EVM address of an account (its alias when it has one, long-zero otherwise)
+   *
+   * @param {string} accountId Account ID (shard.realm.num)
+   * @returns {Promise<string>} 0x-prefixed, lowercase EVM address
+   */
+  async accountEvmAddress(accountId) {
+    return this._resolveEvmAddress('account', accountId);
+  }
+
+  /**
+   * Get the EVM address of a token (always its long-zero address)
+   *
+   * @param {string} tokenId Token ID (shard.realm.num)
+   * @returns {Promise<string>} 0x-prefixed, lowercase EVM address
+   */
+  async tokenEvmAddress(tokenId) {
+    return this._resolveEvmAddress('token', tokenId);
+  }
+
+  /**
+   * Get the account currently holding an NFT
+   *
+   * Not cached: NFTs change hands, so every call asks the mirror node.
+   *
+   * @param {string} tokenId Token ID of the NFT collection (shard.realm.num)
+   * @param {number} serial Serial number of the NFT
+   * @returns {Promise<?string>} Account ID, or null when the mirror node does not know the NFT
+   *   (or it was burned)
+   * @throws {MirrorNodeError} When the mirror node cannot be read
+   */
+  async nftOwner(tokenId, serial) {
+    const nft = await this.mirrorNode.get(`/api/v1/tokens/${encodeURIComponent(tokenId.toString())}/nfts/${Number(serial)}`);
+    if (!nft || nft.deleted || !nft.account_id) {
+      return null;
+    }
+    return nft.account_id;
+  }
+
+  /**
+   * Forget every cached mirror node answer
+   */
+  clearCache() {
+    this.cache.clear();
+  }
+
+  async _resolveId(type, evmAddress) {
+    const address = normalizeEvmAddress(evmAddress);
+    const longZeroId = this._longZeroId(type, address);
+    if (longZeroId) {
+      return longZeroId;
+    }
+    if (type === 'token') {
+      throw new EntityResolutionError(`${address} is not a token address`, 'ENTITY_NOT_FOUND');
+    }
+
+    const cached = this.cache.get(`${type}:${address}`);
+    if (cached) {
+      return cached.id;
+    }
+    const entity = await this._lookup(type, address);
+    return entity.id;
+  }
+
+  async _resolveEvmAddress(type, entityId) {
+    const id = parseEntityId(type, entityId);
+    if (type === 'token') {
+      return `0x${id.toSolidityAddress()}`;
+    }
+
+    const cached = this.cache.get(`${type}:${id}`);
+    if (cached) {
+      return cached.evmAddress;
+    }
+    const entity = await this._lookup(type, id.toString());
+    return entity.evmAddress;
+  }
+
+  // Decode a long-zero address in this resolver's shard and realm
+  _longZeroId(type, address) {
+    const bytes = Buffer.from(address.slice(2), 'hex');
+    const shard = bytes.readUInt32BE(0);
+    const realm = bytes.readBigUInt64BE(4);
+    if (shard !== this.shard || realm !== BigInt(this.realm)) {
+      return null;
+    }
+    const num = bytes.readBigUInt64BE(12);
+    return new ENTITY_TYPES[type].IdClass(shard, Number(realm), Number(num)).toString();
+  }
+
+  // Look an entity up by ID or EVM address and cache it under both keys
+  async _lookup(type, key) {
+    const { path, idField } = ENTITY_TYPES[type];
+    const body = await this._get(`/api/v1/${path}/${key}`, `${type} ${key}`);
+    if (!body[idField] || !body.evm_address) {
+      throw new MirrorNodeError(`Mirror node response for ${type} ${key} has no ${idField} or evm_address`);
+    }
+
+    const entity = { id: body[idField], evmAddress: normalizeEvmAddress(body.evm_address) };
+    this.cache.set(`${type}:${entity.id}`, entity);
+    this.cache.set(`${type}:${entity.evmAddress}`, entity);
+    return entity;
+  }
+
+  // Retry 404s, which also cover entities the mirror node has not ingested yet
+  async _get(path, description) {
+    for (let attempt = 0; ; attempt++) {
+      const body = await this.mirrorNode.get(path);
+      if (body) {
+        return body;
+      }
+      if (attempt >= this.retries) {
+        throw new EntityResolutionError(`The mirror node does not know ${description}`, 'ENTITY_NOT_FOUND');
+      }
+      await new Promise((resolve) => setTimeout(resolve, this.retryDelay));
+    }
+  }
+}
+
+/**
+ * Check an EVM address and return it 0x-prefixed and lowercase
+ *
+ * @param {string} evmAddress
+ * @returns {string}
+ * @throws {EntityResolutionError} When the value is not a 20-byte hex address
+ */
+function normalizeEvmAddress(evmAddress) {
+  if (typeof evmAddress !== 'string' || !EVM_ADDRESS_PATTERN.test(evmAddress)) {
+    throw new EntityResolutionError(`"${evmAddress}" is not a 20-byte EVM address`, 'INVALID_ENTITY');
+  }
+  return `0x${evmAddress.replace(/^0x/, '').toLowerCase()}`;
+}
+
+function parseEntityId(type, entityId) {
+  try {
+    return ENTITY_TYPES[type].IdClass.fromString(entityId.toString());
+  } catch (error) {
+    throw new EntityResolutionError(`"${entityId}" is not a valid ${type} ID`, 'INVALID_ENTITY');
+  }
+}
+
+module.exports = {
+  EntityResolver,
+  normalizeEvmAddress
+};
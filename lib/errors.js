@@ -0,0 +1,478 @@
+/**
+ * Error classes shared by the biodiversity registry modules
+ *
+ * Every error carries a stable `code` so callers can branch on the kind of
+ * failure without parsing messages.
+ */
+const { PrecheckStatusError, ReceiptStatusError, StatusError } = require('@hashgraph/sdk');
+const { decodeRevert, describeStatus, isTransientFailure } = require('./hedera-status');
+
+/**
+ * Base class for all errors raised by the registry modules
+ */
+class BiodiversityRegistryError extends Error {
+  /**
+   * @param {string} message Human-readable description of the failure
+   * @param {string} code Stable machine-readable error code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+  }
+}
+
+/**
+ * Raised when a land parcel record does not match the parcel schema
+ */
+class ParcelValidationError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the invalid parcel (or a placeholder)
+   * @param {Array<{field: string, message: string}>} errors Per-field validation errors
+   */
+  constructor(parcelName, errors) {
+    const details = errors.map((error) => `  - ${error.field}: ${error.message}`).join('\n');
+    super(`Invalid land parcel "${parcelName}":\n${details}`, 'PARCEL_VALIDATION_FAILED');
+    this.parcelName = parcelName;
+    this.errors = errors;
+  }
+}
+
+/**
+ * Raised when a parcel's declared acreage does not match its boundary polygon
+ */
+class AreaMismatchError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {object} check Result of checkDeclaredArea for the parcel
+   */
+  constructor(parcelName, check) {
+    super(
+      `Declared area of "${parcelName}" (${check.declaredAcres} acres) differs from its boundary area ` +
+      `(${check.computedAcres} acres) by ${(check.difference * 100).toFixed(1)}%, ` +
+      `more than the ${(check.tolerance * 100).toFixed(1)}% tolerance`,
+      'AREA_MISMATCH'
+    );
+    this.parcelName = parcelName;
+    this.check = check;
+  }
+}
+
+/**
+ * Raised when a parcel's boundary polygon overlaps registered parcels by more than the tolerance
+ */
+class ParcelOverlapError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {object} check Result of ParcelSpatialIndex#checkOverlap for the parcel
+   */
+  constructor(parcelName, check) {
+    const overlaps = check.overlaps
+      .filter((overlap) => overlap.ratio > check.tolerance)
+      .map((overlap) => `"${overlap.name}" (${overlap.sharedAcres} acres, ${(overlap.ratio * 100).toFixed(1)}%)`);
+    super(
+      `Boundaries of "${parcelName}" overlap ${overlaps.join(', ')}, ` +
+      `more than the ${(check.tolerance * 100).toFixed(1)}% tolerance`,
+      'PARCEL_OVERLAP'
+    );
+    this.parcelName = parcelName;
+    this.check = check;
+  }
+}
+
+/**
+ * Raised when a GeoJSON document cannot be read as land parcels
+ */
+class GeoJsonError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message What is wrong with the document
+   */
+  constructor(message) {
+    super(message, 'INVALID_GEOJSON');
+  }
+}
+
+/**
+ * Raised when a Hedera transaction or query fails, on the network or the simulated ledger
+ *
+ * Failures the network reports (the SDK's PrecheckStatusError and
+ * ReceiptStatusError) carry the status as the code, with an explanation;
+ * failures that never reached a node (gRPC and timeout errors) have code
+ * HEDERA_ERROR. `retryable` tells whether sending the operation again can succeed.
+ */
+class HederaTransactionError extends BiodiversityRegistryError {
+  /**
+   * @param {string} operation Registry operation that failed (e.g. "mintCredits")
+   * @param {Error} cause Underlying SDK error
+   */
+  constructor(operation, cause) {
+    const status = cause instanceof StatusError ? cause.status.toString() : null;
+    const description = status ? describeStatus(status) : null;
+    super(`${operation} failed: ${status ? `${status} (${description.explanation})` : cause.message}`,
+      status || 'HEDERA_ERROR');
+    this.operation = operation;
+    this.status = status;
+    this.explanation = description ? description.explanation : cause.message;
+    this.retryable = description ? description.retryable : isTransientFailure(cause);
+    // Whether the node refused the transaction or query up front, or it failed at consensus
+    this.phase = cause instanceof PrecheckStatusError ? 'precheck' : cause instanceof ReceiptStatusError ? 'receipt' : null;
+    this.transactionId = cause.transactionId ? cause.transactionId.toString() : null;
+    this.cause = cause;
+  }
+
+  /**
+   * Wrap an SDK failure in the most specific error: a ContractRevertError when a contract
+   * reverted with data, a HederaTransactionError otherwise
+   *
+   * @param {string} operation Registry operation that failed
+   * @param {Error} cause Underlying SDK error
+   * @param {?string} [revertData] Revert data of a failed contract transaction (from its
+   *   record; a failed contract query carries it in the error already)
+   * @returns {HederaTransactionError}
+   */
+  static from(operation, cause, revertData = null) {
+    const result = cause.contractFunctionResult;
+    const revert = decodeRevert(revertData || (result && result.errorMessage));
+    return revert ? new ContractRevertError(operation, cause, revert) : new HederaTransactionError(operation, cause);
+  }
+}
+
+/**
+ * Raised when a BiodiversityLandParcel transaction or call reverts, with the decoded reason:
+ * the revert string, a panic, or the HTS response code of a refused token association
+ * or transfer; the code stays the transaction status (CONTRACT_REVERT_EXECUTED)
+ */
+class ContractRevertError extends HederaTransactionError {
+  /**
+   * @param {string} operation Registry operation that failed
+   * @param {Error} cause Underlying SDK error
+   * @param {DecodedRevert} revert Decoded revert data (see lib/hedera-status)
+   */
+  constructor(operation, cause, revert) {
+    super(operation, cause);
+    this.message = `${operation} failed: ${revert.reason} (${this.status})`;
+    this.reason = revert.reason;
+    this.errorName = revert.errorName;
+    this.errorArgs = revert.args;
+    this.responseCode = revert.responseCode;
+    this.responseStatus = revert.responseStatus;
+  }
+}
+
+/**
+ * Raised when HTS refuses a credit transfer or a KYC, freeze or pause operation for a
+ * compliance reason (missing association or KYC, frozen account, paused token); the
+ * code is the HTS response code, as for HederaTransactionError
+ */
+class CreditTransferError extends HederaTransactionError {
+  /**
+   * @param {string} operation Registry operation that failed (e.g. "transferCredits")
+   * @param {HederaTransactionError} error The failure as raised by the registry client
+   * @param {string} reason What the response code means for this operation
+   */
+  constructor(operation, error, reason) {
+    super(operation, error.cause || error);
+    this.message = `${operation} failed: ${reason} (${this.status})`;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when the operator private key is missing, malformed or of the wrong type
+ */
+class OperatorKeyError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the problem (never includes the key itself)
+   */
+  constructor(message) {
+    super(message, 'INVALID_OPERATOR_KEY');
+  }
+}
+
+/**
+ * Raised when an EVM address or entity ID cannot be resolved
+ */
+class EntityResolutionError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the failure
+   * @param {string} code ENTITY_NOT_FOUND or INVALID_ENTITY
+   */
+  constructor(message, code) {
+    super(message, code);
+  }
+}
+
+/**
+ * Raised when a mirror node request fails or returns an error status
+ */
+class MirrorNodeError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the failure
+   * @param {number} [httpStatus] HTTP status returned by the mirror node
+   * @param {boolean} [retryable] Whether the request can succeed when sent again (by default
+   *   for rate limiting and server errors)
+   */
+  constructor(message, httpStatus = null, retryable = httpStatus === 429 || httpStatus >= 500) {
+    super(message, 'MIRROR_NODE_ERROR');
+    this.httpStatus = httpStatus;
+    this.retryable = retryable;
+  }
+}
+
+/**
+ * Raised when a JSON-RPC relay request fails or returns an error
+ */
+class JsonRpcError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the failure
+   * @param {?number} [rpcCode] JSON-RPC error code, or null when the request itself failed
+   */
+  constructor(message, rpcCode = null) {
+    super(message, 'JSON_RPC_ERROR');
+    this.rpcCode = rpcCode;
+  }
+}
+
+/**
+ * Raised when a webhook does not accept an event after every attempt
+ */
+class WebhookDeliveryError extends BiodiversityRegistryError {
+  /**
+   * @param {string} url Webhook URL
+   * @param {string} eventId ID of the event that was not delivered
+   * @param {number} attempts Requests sent
+   * @param {string} reason Outcome of the last request
+   * @param {?number} [httpStatus] HTTP status of the last response
+   */
+  constructor(url, eventId, attempts, reason, httpStatus = null) {
+    super(`Webhook ${url} did not accept event ${eventId} after ${attempts} attempt(s): ${reason}`,
+      'WEBHOOK_DELIVERY_FAILED');
+    this.url = url;
+    this.eventId = eventId;
+    this.attempts = attempts;
+    this.httpStatus = httpStatus;
+  }
+}
+
+/**
+ * Raised when a registry topic message does not follow the registry message protocol
+ */
+class RegistryMessageError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Why the message was rejected
+   */
+  constructor(message) {
+    super(message, 'INVALID_REGISTRY_MESSAGE');
+  }
+}
+
+/**
+ * Raised when a parcel cannot be identified: MISSING_PARCEL_ID when a parcel record has no
+ * parcel ID yet, AMBIGUOUS_PARCEL_NAME when several registered parcels carry the name looked up
+ */
+class ParcelIdentityError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {string} reason What is wrong, following the parcel name
+   * @param {string} code MISSING_PARCEL_ID or AMBIGUOUS_PARCEL_NAME
+   * @param {string[]} [parcelIds] IDs of the parcels the name matches
+   */
+  constructor(parcelName, reason, code, parcelIds = []) {
+    super(`"${parcelName}" ${reason}`, code);
+    this.parcelName = parcelName;
+    this.parcelIds = parcelIds;
+  }
+}
+
+/**
+ * Raised when credits are requested for a parcel whose verification is not complete:
+ * no quorum yet, rejected, disputed, expired, still inside the challenge window or approved by
+ * verifiers that were revoked since
+ */
+class VerificationIncompleteError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {object} state Verification state of the parcel (see lib/verification-workflow)
+   */
+  constructor(parcelName, state) {
+    let reason = `its verification is ${state.status} (${state.approvals} of ${state.requiredAttestations} approvals)`;
+    if (state.status === 'approved') {
+      reason = state.currentApprovals < state.approvals
+        ? `only ${state.currentApprovals} of the ${state.approvals} approvals that decided it are from current verifiers`
+        : `its challenge window is open until ${new Date(state.challengeEndsAt * 1000).toISOString()}`;
+    }
+    super(`Credits cannot be issued for "${parcelName}": ${reason}`, 'VERIFICATION_INCOMPLETE');
+    this.parcelName = parcelName;
+    this.state = state;
+  }
+}
+
+/**
+ * Raised when a parcel has to be tokenized for an operation (e.g. a transfer) but has no NFT yet
+ */
+class ParcelNotTokenizedError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   */
+  constructor(parcelName) {
+    super(`"${parcelName}" has no parcel NFT yet`, 'PARCEL_NOT_TOKENIZED');
+    this.parcelName = parcelName;
+  }
+}
+
+/**
+ * Raised when a retirement asks for more credits than a source parcel has left unretired
+ */
+class InsufficientCreditsError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the source parcel
+   * @param {number} requested Credits asked for
+   * @param {number} available Credits issued for the parcel and not yet retired
+   */
+  constructor(parcelName, requested, available) {
+    super(`Cannot retire ${requested} credits from "${parcelName}": only ${available} are issued and unretired`,
+      'INSUFFICIENT_CREDITS');
+    this.parcelName = parcelName;
+    this.requested = requested;
+    this.available = available;
+  }
+}
+
+/**
+ * Raised when the registry indexer does not record a retirement whose credits were burned or
+ * wiped: its credits.retired event was rejected (e.g. a concurrent retirement took the parcel's
+ * credits first) or has not been indexed. No certificate is issued for it.
+ */
+class RetirementNotRecordedError extends BiodiversityRegistryError {
+  /**
+   * @param {string} retirementId Retirement ID
+   * @param {string} parcelName Source parcel whose event was not recorded
+   * @param {object} details
+   * @param {string} details.retirementTransactionId Burn or wipe transaction of the credits
+   * @param {?string} details.reason Why the indexer rejected the event, or null when it has not indexed it
+   */
+  constructor(retirementId, parcelName, { retirementTransactionId, reason }) {
+    super(`Retirement ${retirementId} is not recorded for "${parcelName}": ` +
+      `${reason || 'the registry indexer has not seen its credits.retired event yet'} ` +
+      `(credits retired in ${retirementTransactionId})`, 'RETIREMENT_NOT_RECORDED');
+    this.retirementId = retirementId;
+    this.parcelName = parcelName;
+    this.retirementTransactionId = retirementTransactionId;
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised when minting credits for a parcel would exceed what its verification allows:
+ * DUPLICATE_ISSUANCE when the verification round's credits were all issued already,
+ * EXCESS_ISSUANCE when the amount asked for is more than the round has left,
+ * METHODOLOGY_MISMATCH when the round's first issuance used another methodology
+ */
+class IssuanceLimitError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {string} code DUPLICATE_ISSUANCE, EXCESS_ISSUANCE or METHODOLOGY_MISMATCH
+   * @param {{verifiedAt: number, allowed: number, issued: number, requested: number,
+   *   methodology?: string, requestedMethodology?: string}} entitlement
+   */
+  constructor(parcelName, code, { verifiedAt, allowed, issued, requested, methodology = null, requestedMethodology = null }) {
+    const round = `the verification of ${new Date(verifiedAt * 1000).toISOString()}`;
+    const messages = {
+      DUPLICATE_ISSUANCE: `Credits for "${parcelName}" were already issued for ${round} (${issued} of ${allowed})`,
+      EXCESS_ISSUANCE: `Cannot issue ${requested} credits for "${parcelName}": ${round} allows ${allowed}, ` +
+        `${issued} of which are issued`,
+      METHODOLOGY_MISMATCH: `Credits for "${parcelName}" under ${round} are issued with ${methodology}, ` +
+        `not ${requestedMethodology}`
+    };
+    super(messages[code], code);
+    this.parcelName = parcelName;
+    this.verifiedAt = verifiedAt;
+    this.allowed = allowed;
+    this.issued = issued;
+    this.requested = requested;
+    this.methodology = methodology;
+    this.requestedMethodology = requestedMethodology;
+  }
+}
+
+/**
+ * Raised when a parcel record does not match the record hash anchored in the
+ * BiodiversityLandParcel contract, e.g. a stale or edited copy of the record
+ */
+class ParcelRecordMismatchError extends BiodiversityRegistryError {
+  /**
+   * @param {string} parcelName Name of the parcel
+   * @param {string} recordHash Hash of the record given (see lib/parcel-record)
+   * @param {string} contractRecordHash Hash the contract holds for the parcel
+   */
+  constructor(parcelName, recordHash, contractRecordHash) {
+    super(`The record given for "${parcelName}" (${recordHash}) is not the record the contract verified ` +
+      `(${contractRecordHash})`, 'RECORD_MISMATCH');
+    this.parcelName = parcelName;
+    this.recordHash = recordHash;
+    this.contractRecordHash = contractRecordHash;
+  }
+}
+
+/**
+ * Raised when a registration pipeline or credit retirement checkpoint cannot be resumed:
+ * CHECKPOINT_MISMATCH when it belongs to another operator, parcel, token or topic,
+ * UNCONFIRMED_TRANSACTION when the outcome of a transaction the interrupted run sent cannot
+ * be established yet, UNFINISHED_RETIREMENT when a new retirement would replace one that
+ * stopped halfway, NOTHING_TO_RESUME when no retirement stopped halfway
+ */
+class PipelineCheckpointError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the failure
+   * @param {string} code CHECKPOINT_MISMATCH, UNCONFIRMED_TRANSACTION, UNFINISHED_RETIREMENT or NOTHING_TO_RESUME
+   * @param {object} [details]
+   * @param {string} [details.step] Step the checkpoint stopped at
+   * @param {string} [details.transactionId] Transaction whose outcome is unknown
+   */
+  constructor(message, code, { step = null, transactionId = null } = {}) {
+    super(message, code);
+    this.step = step;
+    this.transactionId = transactionId;
+  }
+}
+
+/**
+ * Raised when the network configuration cannot be used: UNKNOWN_NETWORK for a network
+ * without a profile (see lib/network-profiles), INVALID_MANIFEST for a deployment manifest
+ * that cannot be read or holds malformed entries
+ */
+class NetworkConfigError extends BiodiversityRegistryError {
+  /**
+   * @param {string} message Description of the problem
+   * @param {string} code UNKNOWN_NETWORK or INVALID_MANIFEST
+   */
+  constructor(message, code) {
+    super(message, code);
+  }
+}
+
+module.exports = {
+  BiodiversityRegistryError,
+  ParcelValidationError,
+  AreaMismatchError,
+  ParcelOverlapError,
+  GeoJsonError,
+  HederaTransactionError,
+  ContractRevertError,
+  CreditTransferError,
+  OperatorKeyError,
+  EntityResolutionError,
+  MirrorNodeError,
+  JsonRpcError,
+  WebhookDeliveryError,
+  RegistryMessageError,
+  ParcelIdentityError,
+  VerificationIncompleteError,
+  ParcelNotTokenizedError,
+  InsufficientCreditsError,
+  RetirementNotRecordedError,
+  IssuanceLimitError,
+  ParcelRecordMismatchError,
+  PipelineCheckpointError,
+  NetworkConfigError
+};
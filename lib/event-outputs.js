@@ -0,0 +1,285 @@
+/**
+ * Outputs the event watcher sends registry events to
+ *
+ * Every output takes the normalized events of lib/event-watcher, optionally
+ * only some event types, and has an async send(event):
+ *
+ * - WebhookOutput POSTs the event as JSON to a URL. The body is signed with
+ *   HMAC-SHA256 over "<timestamp>.<body>" using a shared secret, so the
+ *   receiver can check it came from the watcher (see verifyWebhookSignature).
+ *   Network failures, rate limiting and server errors are retried with
+ *   exponential backoff; other responses fail at once.
+ * - JsonlFileOutput appends each event as one line of JSON to a file.
+ * - StdoutOutput prints a one-line summary of each event (or the JSON).
+ *
+ * A failed send stops the watcher before it saves its position, so events
+ * are delivered at least once: receivers drop repeats by the event ID.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { WebhookDeliveryError } = require('./errors');
+const { isTransientFailure } = require('./hedera-status');
+
+// Headers of a webhook request
+const WEBHOOK_HEADERS = Object.freeze({
+  event: 'x-biodiversity-event',
+  eventId: 'x-biodiversity-event-id',
+  timestamp: 'x-biodiversity-timestamp',
+  signature: 'x-biodiversity-signature'
+});
+
+// Retries of webhook requests that failed for a transient reason
+const DEFAULT_WEBHOOK_RETRY = {
+  attempts: 5,
+  minDelay: 1000,
+  maxDelay: 30000,
+  delay: (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds))
+};
+
+// Seconds a signed webhook timestamp may differ from the receiver's clock by default
+const DEFAULT_SIGNATURE_TOLERANCE = 300;
+
+/**
+ * Base of the outputs: the event type filter
+ */
+class EventOutput {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.events] Event types to send (a trailing * matches any suffix,
+   *   e.g. "credits.*"); every event when omitted
+   */
+  constructor({ events } = {}) {
+    this.events = events && events.length > 0 ? events : null;
+  }
+
+  /**
+   * Whether the output takes an event of this type
+   *
+   * @param {object} event Normalized event
+   * @returns {boolean}
+   */
+  accepts(event) {
+    return !this.events || this.events.some((pattern) => (pattern.endsWith('*')
+      ? event.type.startsWith(pattern.slice(0, -1))
+      : event.type === pattern));
+  }
+}
+
+class WebhookOutput extends EventOutput {
+  /**
+   * @param {object} options
+   * @param {string} options.url URL the events are POSTed to
+   * @param {string} [options.secret] Shared secret the requests are signed with (unsigned without)
+   * @param {string[]} [options.events] Event types to send
+   * @param {RetryOptions} [options.retry] Retries of requests that failed for a transient reason
+   * @param {number} [options.timeout] Milliseconds before a request is abandoned
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor({ url, secret = null, events, retry = {}, timeout = 10000, fetch }) {
+    super({ events });
+    if (!url) {
+      throw new Error('WebhookOutput needs a URL');
+    }
+    this.url = url;
+    this.secret = secret || null;
+    this.retry = { ...DEFAULT_WEBHOOK_RETRY, ...retry };
+    this.timeout = timeout;
+    this.fetch = fetch || globalThis.fetch;
+    this.name = `webhook ${url}`;
+  }
+
+  /**
+   * POST an event, retrying transient failures
+   *
+   * @param {object} event Normalized event
+   * @returns {Promise<void>}
+   * @throws {WebhookDeliveryError} When the webhook refuses the event or every attempt fails
+   */
+  async send(event) {
+    const body = JSON.stringify(event);
+    for (let attempt = 1; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'content-type': 'application/json',
+        'user-agent': 'biodiversity-event-watcher',
+        [WEBHOOK_HEADERS.event]: event.type,
+        [WEBHOOK_HEADERS.eventId]: event.id,
+        [WEBHOOK_HEADERS.timestamp]: String(timestamp)
+      };
+      if (this.secret) {
+        headers[WEBHOOK_HEADERS.signature] = signWebhook(this.secret, timestamp, body);
+      }
+
+      let reason;
+      let status = null;
+      let retryable;
+      try {
+        const response = await this.fetch(this.url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(this.timeout)
+        });
+        if (response.ok) {
+          return;
+        }
+        status = response.status;
+        reason = `HTTP ${status}`;
+        retryable = status === 408 || status === 429 || status >= 500;
+      } catch (error) {
+        reason = error.message;
+        retryable = isTransientFailure(error);
+      }
+
+      if (!retryable || attempt >= this.retry.attempts) {
+        throw new WebhookDeliveryError(this.url, event.id, attempt, reason, status);
+      }
+      await this.retry.delay(Math.min(this.retry.minDelay * 2 ** (attempt - 1), this.retry.maxDelay));
+    }
+  }
+}
+
+class JsonlFileOutput extends EventOutput {
+  /**
+   * @param {object} options
+   * @param {string} options.filePath File the events are appended to
+   * @param {string[]} [options.events] Event types to write
+   */
+  constructor({ filePath, events }) {
+    super({ events });
+    if (!filePath) {
+      throw new Error('JsonlFileOutput needs a file path');
+    }
+    this.filePath = filePath;
+    this.name = `file ${filePath}`;
+  }
+
+  /**
+   * Append an event as one line of JSON
+   *
+   * @param {object} event Normalized event
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    await fs.promises.mkdir(path.dirname(path.resolve(this.filePath)), { recursive: true });
+    await fs.promises.appendFile(this.filePath, `${JSON.stringify(event)}\n`);
+  }
+}
+
+class StdoutOutput extends EventOutput {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.events] Event types to print
+   * @param {string} [options.format] "text" for a one-line summary, "json" for the event as JSON
+   * @param {object} [options.stream] Stream written to (defaults to process.stdout)
+   */
+  constructor({ events, format = 'text', stream = process.stdout } = {}) {
+    super({ events });
+    if (format !== 'text' && format !== 'json') {
+      throw new Error(`Unknown stdout format "${format}"; use "text" or "json"`);
+    }
+    this.format = format;
+    this.stream = stream;
+    this.name = 'stdout';
+  }
+
+  /**
+   * Print an event
+   *
+   * @param {object} event Normalized event
+   * @returns {Promise<void>}
+   */
+  async send(event) {
+    this.stream.write(`${this.format === 'json' ? JSON.stringify(event) : summarizeEvent(event)}\n`);
+  }
+}
+
+/**
+ * @typedef {object} OutputSpec
+ * @property {string} type "webhook", "jsonl" or "stdout"
+ * @property {string} [url] Webhook URL
+ * @property {string} [secret] Webhook secret (defaults to WEBHOOK_SECRET)
+ * @property {string} [file] JSONL file
+ * @property {string} [format] Stdout format
+ * @property {string[]} [events] Event types sent to the output
+ */
+
+/**
+ * Create the outputs described by a watcher configuration
+ *
+ * @param {OutputSpec[]} specs
+ * @param {object} [env] Environment variables, for the default webhook secret (defaults to process.env)
+ * @param {object} [options] Options passed to every webhook (e.g. retry, fetch)
+ * @returns {Array<EventOutput>}
+ */
+function createEventOutputs(specs, env = process.env, options = {}) {
+  return specs.map((spec, index) => {
+    if (spec.type === 'webhook') {
+      return new WebhookOutput({ ...options, ...spec, secret: spec.secret || env.WEBHOOK_SECRET });
+    }
+    if (spec.type === 'jsonl') {
+      return new JsonlFileOutput({ filePath: spec.file, events: spec.events });
+    }
+    if (spec.type === 'stdout') {
+      return new StdoutOutput({ format: spec.format, events: spec.events });
+    }
+    throw new Error(`Output ${index + 1} has unknown type "${spec.type}"; use webhook, jsonl or stdout`);
+  });
+}
+
+/**
+ * Compute the signature header of a webhook request
+ *
+ * @param {string} secret Shared secret
+ * @param {number} timestamp Unix seconds sent in the timestamp header
+ * @param {string} body Request body
+ * @returns {string} "sha256=" and the hex HMAC-SHA256 of "<timestamp>.<body>"
+ */
+function signWebhook(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check a webhook request's signature, for receivers of the events
+ *
+ * @param {string} secret Shared secret
+ * @param {object} request
+ * @param {string} request.body Raw request body
+ * @param {string|number} request.timestamp Value of the x-biodiversity-timestamp header
+ * @param {string} request.signature Value of the x-biodiversity-signature header
+ * @param {object} [options]
+ * @param {number} [options.tolerance] Seconds the timestamp may differ from now (replay protection)
+ * @param {number} [options.now] Current Unix seconds
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(secret, { body, timestamp, signature }, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_SIGNATURE_TOLERANCE;
+  const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+  if (!signature || !/^\d+$/.test(String(timestamp)) || Math.abs(now - Number(timestamp)) > tolerance) {
+    return false;
+  }
+  const expected = Buffer.from(signWebhook(secret, Number(timestamp), body));
+  const actual = Buffer.from(signature);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// One line per event: timestamp, type, parcel and the event's plain values
+function summarizeEvent(event) {
+  const parcel = event.parcelName ? `"${event.parcelName}"` : event.parcelId;
+  const values = Object.entries(event.data || {})
+    .filter(([, value]) => value === null || typeof value !== 'object')
+    .map(([key, value]) => `${key}=${value}`);
+  return [event.occurredAt, event.type, parcel, values.join(' ')].filter(Boolean).join('  ');
+}
+
+module.exports = {
+  EventOutput,
+  JsonlFileOutput,
+  StdoutOutput,
+  WEBHOOK_HEADERS,
+  WebhookOutput,
+  createEventOutputs,
+  signWebhook,
+  verifyWebhookSignature
+};
@@ -0,0 +1,395 @@
+/**
+ * Watcher of contract and registry activity
+ *
+ * Turns the contract's event logs and the registry topic's events into one
+ * stream of normalized events and sends each to the configured outputs (see
+ * lib/event-outputs), so downstream systems can react when a parcel is
+ * verified or credits are issued:
+ *
+ * - Registry events come from a RegistryIndexer (see lib/registry-indexer):
+ *   only events the registry state accepts are sent, typed as in
+ *   lib/registry-messages (e.g. "parcel.verified", "credits.issued").
+ * - Contract events come from a log source, the mirror node
+ *   (MirrorNodeLogSource) or a JSON-RPC relay (JsonRpcLogSource), decoded
+ *   with lib/contract-events and typed by their Solidity name (e.g.
+ *   "BiodiversityDataVerified").
+ *
+ * The watcher saves its position in the contract logs after each batch, and
+ * the indexer its state after each page, once every event in them was sent.
+ * An interrupted or failed poll resumes from there, so an event can be sent
+ * twice but never skipped; its `id` is stable for receivers to drop repeats.
+ */
+const { decodeContractLog } = require('./contract-events');
+const { JsonRpcError, MirrorNodeError } = require('./errors');
+const { MirrorNodeClient } = require('./mirror-node');
+const { MemoryRegistryStore } = require('./registry-store');
+
+// Logs per mirror node page (the mirror node maximum)
+const DEFAULT_LOG_PAGE_SIZE = 100;
+
+// Blocks per eth_getLogs request (the Hedera JSON-RPC relay's default limit)
+const DEFAULT_BLOCK_RANGE = 1000;
+
+/**
+ * @typedef {object} RegistryNotification
+ * @property {string} id Stable event ID: "topic:<topicId>:<sequenceNumber>" or
+ *   "contract:<transactionHash>:<logIndex>"
+ * @property {string} type Registry event type or contract event name
+ * @property {string} source "topic" or "contract"
+ * @property {?string} consensusTimestamp Consensus timestamp ("seconds.nanos"; null for logs read over JSON-RPC)
+ * @property {string} occurredAt When the event reached consensus (ISO 8601)
+ * @property {?string} parcelId Parcel the event is about (null for contract-wide events)
+ * @property {?string} parcelName Name of that parcel, when the registry topic knows it
+ * @property {object} data Event payload (registry events) or decoded arguments (contract events)
+ * @property {string} [topicId] Registry topic (registry events)
+ * @property {number} [sequenceNumber] Sequence number of the message completing the event (registry events)
+ * @property {string} [contract] Contract ID or EVM address the log was read for (contract events)
+ * @property {string} [transactionHash] Transaction that emitted the log (contract events)
+ * @property {number} [logIndex] Position of the log in the transaction's logs (contract events)
+ * @property {?number} [blockNumber] Block of the transaction (contract events)
+ */
+
+/**
+ * @typedef {object} ContractLog
+ * @property {string[]} topics 0x hex topics
+ * @property {string} data 0x hex data
+ * @property {string} transactionHash
+ * @property {number} logIndex
+ * @property {?number} blockNumber
+ * @property {?string} consensusTimestamp
+ * @property {string} occurredAt ISO 8601
+ */
+
+/**
+ * @typedef {object} LogBatch
+ * @property {ContractLog[]} logs Logs after the cursor, in order
+ * @property {object} cursor Position after the last log of the batch
+ * @property {boolean} more Whether more logs may follow right away
+ */
+
+/**
+ * Contract logs read from the mirror node, in consensus order
+ */
+class MirrorNodeLogSource {
+  /**
+   * @param {object} options
+   * @param {string} options.contractId Contract whose logs are read
+   * @param {string} [options.mirrorNodeUrl] Mirror node base URL (defaults to testnet)
+   * @param {number} [options.pageSize] Logs per mirror node request
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor({ contractId, mirrorNodeUrl, pageSize = DEFAULT_LOG_PAGE_SIZE, fetch }) {
+    if (!contractId) {
+      throw new Error('MirrorNodeLogSource needs the contract ID');
+    }
+    this.contract = contractId.toString();
+    this.mirrorNode = new MirrorNodeClient({ url: mirrorNodeUrl, fetch });
+    this.pageSize = pageSize;
+    this.key = `mirror:${this.contract}`;
+  }
+
+  /**
+   * Read the next page of logs
+   *
+   * @param {?{timestamp: string, index: number}} cursor Last log read (null to start from the first)
+   * @returns {Promise<LogBatch>}
+   * @throws {MirrorNodeError} When the mirror node cannot be read or does not know the contract
+   */
+  async nextBatch(cursor) {
+    const base = `/api/v1/contracts/${this.contract}/results/logs?order=asc&limit=${this.pageSize}`;
+    let entries = [];
+    if (cursor) {
+      // Logs of the cursor's transaction that did not fit on the previous page
+      entries = (await this._getPage(`${base}&timestamp=${cursor.timestamp}&index=gt:${cursor.index}`)).logs || [];
+    }
+    const rest = entries.length > 0;
+    if (!rest) {
+      entries = (await this._getPage(cursor ? `${base}&timestamp=gt:${cursor.timestamp}` : base)).logs || [];
+    }
+
+    const logs = entries.map((log) => ({
+      topics: log.topics,
+      data: log.data,
+      transactionHash: log.transaction_hash,
+      logIndex: log.index,
+      blockNumber: log.block_number !== undefined ? log.block_number : null,
+      consensusTimestamp: log.timestamp,
+      occurredAt: timestampToIso(log.timestamp)
+    }));
+    const last = logs[logs.length - 1];
+    return {
+      logs,
+      cursor: last ? { timestamp: last.consensusTimestamp, index: last.logIndex } : cursor,
+      more: rest || entries.length === this.pageSize
+    };
+  }
+
+  async _getPage(path) {
+    const page = await this.mirrorNode.get(path);
+    if (!page) {
+      throw new MirrorNodeError(`The mirror node does not know contract ${this.contract}`, 404);
+    }
+    return page;
+  }
+}
+
+/**
+ * Contract logs read from a JSON-RPC relay with eth_getLogs, block range by block range
+ */
+class JsonRpcLogSource {
+  /**
+   * @param {object} options
+   * @param {string} options.contractAddress EVM address of the contract
+   * @param {string} [options.rpcUrl] JSON-RPC endpoint (e.g. the network profile's relayUrl)
+   * @param {function(string, Array): Promise<*>} [options.request] Sends a JSON-RPC request and
+   *   returns its result (defaults to POSTing to rpcUrl)
+   * @param {number} [options.fromBlock] First block read when there is no cursor yet
+   * @param {number} [options.blockRange] Blocks per eth_getLogs request
+   * @param {number} [options.timeout] Milliseconds before a request is abandoned
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor({ contractAddress, rpcUrl, request, fromBlock = 0, blockRange = DEFAULT_BLOCK_RANGE,
+    timeout = 10000, fetch }) {
+    if (!/^0x[0-9a-fA-F]{40}$/.test(contractAddress || '')) {
+      throw new Error('JsonRpcLogSource needs the contract\'s 0x-prefixed EVM address');
+    }
+    if (!request && !rpcUrl) {
+      throw new Error('JsonRpcLogSource needs a JSON-RPC URL');
+    }
+    this.contract = contractAddress.toLowerCase();
+    this.request = request || createJsonRpcRequest(rpcUrl, { timeout, fetch });
+    this.fromBlock = fromBlock;
+    this.blockRange = blockRange;
+    this.key = `json-rpc:${this.contract}`;
+  }
+
+  /**
+   * Read the logs of the next range of blocks
+   *
+   * Only blocks that exist when the range is read are included, and blocks
+   * are final once they exist, so the cursor is simply the next block.
+   *
+   * @param {?{nextBlock: number}} cursor First block not read yet (null to start at fromBlock)
+   * @returns {Promise<LogBatch>}
+   * @throws {JsonRpcError} When the relay cannot be read
+   */
+  async nextBatch(cursor) {
+    const from = cursor ? cursor.nextBlock : this.fromBlock;
+    const latest = Number(await this.request('eth_blockNumber', []));
+    if (from > latest) {
+      return { logs: [], cursor: { nextBlock: from }, more: false };
+    }
+    const to = Math.min(from + this.blockRange - 1, latest);
+    const entries = await this.request('eth_getLogs', [{
+      address: this.contract,
+      fromBlock: toQuantity(from),
+      toBlock: toQuantity(to)
+    }]);
+
+    const blockTimes = new Map();
+    const logs = [];
+    for (const log of entries.filter((entry) => !entry.removed)) {
+      const blockNumber = Number(log.blockNumber);
+      if (!blockTimes.has(blockNumber)) {
+        const block = await this.request('eth_getBlockByNumber', [toQuantity(blockNumber), false]);
+        blockTimes.set(blockNumber, new Date(Number(block.timestamp) * 1000).toISOString());
+      }
+      logs.push({
+        topics: log.topics,
+        data: log.data,
+        transactionHash: log.transactionHash,
+        logIndex: Number(log.logIndex),
+        blockNumber,
+        consensusTimestamp: null,
+        occurredAt: blockTimes.get(blockNumber)
+      });
+    }
+    logs.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+    return { logs, cursor: { nextBlock: to + 1 }, more: to < latest };
+  }
+}
+
+/**
+ * @typedef {object} PollResult
+ * @property {number} registryEvents Registry events read from the topic
+ * @property {number} contractEvents Contract events read from the logs
+ * @property {number} deliveries Events sent to outputs (an event sent to two outputs counts twice)
+ */
+
+class RegistryEventWatcher {
+  /**
+   * @param {object} options
+   * @param {RegistryIndexer} [options.indexer] Indexer of the registry topic (no registry events without)
+   * @param {MirrorNodeLogSource|JsonRpcLogSource} [options.logSource] Contract logs (no contract events without)
+   * @param {Array<EventOutput>} options.outputs Where events are sent (see lib/event-outputs)
+   * @param {object} [options.store] Store of the contract log position, with async load() and save(state)
+   *   (defaults to memory)
+   */
+  constructor({ indexer = null, logSource = null, outputs, store }) {
+    if (!indexer && !logSource) {
+      throw new Error('RegistryEventWatcher needs a registry indexer, a contract log source or both');
+    }
+    if (!outputs || outputs.length === 0) {
+      throw new Error('RegistryEventWatcher needs at least one output');
+    }
+    this.indexer = indexer;
+    this.logSource = logSource;
+    this.outputs = outputs;
+    this.store = store || new MemoryRegistryStore();
+  }
+
+  /**
+   * Send every registry and contract event since the last poll
+   *
+   * Registry events are read first, so contract events about a parcel
+   * registered since the last poll already carry its name.
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.deliver] Send the events (false to only move past them, e.g. to skip
+   *   the history on a first run)
+   * @returns {Promise<PollResult>}
+   * @throws {WebhookDeliveryError} When an output does not take an event; the next poll sends it again
+   * @throws {MirrorNodeError|JsonRpcError} When events cannot be read
+   */
+  async poll({ deliver = true } = {}) {
+    const send = async (event) => (deliver ? this._send(event) : 0);
+    const result = { registryEvents: 0, contractEvents: 0, deliveries: 0 };
+
+    if (this.indexer) {
+      const { topicId } = this.indexer;
+      this.indexer.onEvent = async (applied) => {
+        result.registryEvents += 1;
+        result.deliveries += await send(fromRegistryEvent(topicId, applied));
+      };
+      try {
+        await this.indexer.sync();
+      } finally {
+        this.indexer.onEvent = null;
+      }
+    }
+
+    if (this.logSource) {
+      const saved = await this.store.load();
+      if (saved && saved.source !== this.logSource.key) {
+        throw new Error(`The store holds the position of ${saved.source}, not ${this.logSource.key}`);
+      }
+      let cursor = saved ? saved.cursor : null;
+      let batch;
+      do {
+        batch = await this.logSource.nextBatch(cursor);
+        for (const log of batch.logs) {
+          const decoded = decodeContractLog(log);
+          if (decoded) {
+            result.contractEvents += 1;
+            result.deliveries += await send(await this._fromContractLog(log, decoded));
+          }
+        }
+        cursor = batch.cursor;
+        await this.store.save({ source: this.logSource.key, cursor });
+      } while (batch.more);
+    }
+
+    return result;
+  }
+
+  // Send an event to every output that takes it; returns the number of outputs
+  async _send(event) {
+    let sent = 0;
+    for (const output of this.outputs) {
+      if (output.accepts(event)) {
+        await output.send(event);
+        sent += 1;
+      }
+    }
+    return sent;
+  }
+
+  async _fromContractLog(log, { name, args, parcelId }) {
+    const parcel = parcelId && this.indexer ? await this.indexer.getParcel(parcelId) : null;
+    return {
+      id: `contract:${log.transactionHash}:${log.logIndex}`,
+      type: name,
+      source: 'contract',
+      consensusTimestamp: log.consensusTimestamp,
+      occurredAt: log.occurredAt,
+      parcelId,
+      parcelName: parcel ? parcel.name : null,
+      data: args,
+      contract: this.logSource.contract,
+      transactionHash: log.transactionHash,
+      logIndex: log.logIndex,
+      blockNumber: log.blockNumber
+    };
+  }
+}
+
+/**
+ * Send JSON-RPC requests to a URL
+ *
+ * @param {string} url JSON-RPC endpoint
+ * @param {object} [options]
+ * @param {number} [options.timeout] Milliseconds before a request is abandoned
+ * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+ * @returns {function(string, Array): Promise<*>} Sends a request and resolves to its result
+ */
+function createJsonRpcRequest(url, { timeout = 10000, fetch = globalThis.fetch } = {}) {
+  let id = 0;
+  return async (method, params) => {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: 'POST',
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: ++id, method, params }),
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      throw new JsonRpcError(`JSON-RPC request ${method} failed: ${error.message}`);
+    }
+    if (!response.ok) {
+      throw new JsonRpcError(`JSON-RPC request ${method} failed with HTTP ${response.status}`);
+    }
+    const body = await response.json();
+    if (body.error) {
+      throw new JsonRpcError(`JSON-RPC request ${method} failed: ${body.error.message}`, body.error.code);
+    }
+    return body.result;
+  };
+}
+
+// Normalize a registry event the indexer applied
+function fromRegistryEvent(topicId, { envelope, consensusTimestamp, sequenceNumber, parcel }) {
+  return {
+    id: `topic:${topicId}:${sequenceNumber}`,
+    type: envelope.type,
+    source: 'topic',
+    consensusTimestamp,
+    occurredAt: timestampToIso(consensusTimestamp),
+    parcelId: envelope.parcelId,
+    parcelName: parcel ? parcel.name : null,
+    data: envelope.payload,
+    topicId,
+    sequenceNumber
+  };
+}
+
+function toNanos(timestamp) {
+  const [seconds, nanos = ''] = timestamp.split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+// "seconds.nanos" to ISO 8601 (millisecond precision)
+function timestampToIso(timestamp) {
+  return new Date(Number(toNanos(timestamp) / 1000000n)).toISOString();
+}
+
+function toQuantity(number) {
+  return `0x${number.toString(16)}`;
+}
+
+module.exports = {
+  JsonRpcLogSource,
+  MirrorNodeLogSource,
+  RegistryEventWatcher,
+  createJsonRpcRequest
+};
@@ -0,0 +1,261 @@
+/**
+ * Geodesic area of land parcel boundary polygons
+ *
+ * Declared acreage drives how many credits a parcel earns, so registration
+ * derives the area from the boundary coordinates and compares the two.
+ * Areas are computed on the WGS84 authalic sphere (the sphere with the same
+ * surface area as the WGS84 ellipsoid), which is accurate to well under 1%
+ * for parcel-sized polygons.
+ */
+const { AreaMismatchError } = require('./errors');
+
+// Radius of the WGS84 authalic sphere in metres
+const AUTHALIC_RADIUS_METERS = 6371007.1809;
+
+const SQUARE_METERS_PER_ACRE = 4046.8564224;
+
+// Relative difference between declared and computed area accepted by default
+const DEFAULT_AREA_TOLERANCE = 0.1;
+
+/**
+ * Compute the area enclosed by a boundary polygon
+ *
+ * @param {Array<{latitude: number, longitude: number}>} boundaries Polygon vertices,
+ *   with or without an explicit closing vertex
+ * @returns {number} Area in square metres
+ */
+function polygonAreaSquareMeters(boundaries) {
+  const ring = openRing(boundaries);
+  if (ring.length < 3) {
+    return 0;
+  }
+
+  // Spherical excess of the polygon from the line integral over its edges
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const current = ring[i];
+    const next = ring[(i + 1) % ring.length];
+    const deltaLongitude = toRadians(normalizeLongitudeDelta(next.longitude - current.longitude));
+    sum += deltaLongitude * (2 + Math.sin(toRadians(current.latitude)) + Math.sin(toRadians(next.latitude)));
+  }
+
+  return Math.abs(sum * AUTHALIC_RADIUS_METERS * AUTHALIC_RADIUS_METERS / 2);
+}
+
+/**
+ * Compute the area two boundary polygons share
+ *
+ * Both polygons are mapped to the cylindrical equal-area plane of the
+ * authalic sphere, in which polygonAreaSquareMeters measures them, so a
+ * polygon shares exactly its own area with itself. The polygons may be
+ * concave: each is split into a fan of signed triangles around a common
+ * origin, and the shared area is the signed sum of the overlaps of every
+ * pair of triangles, each of which is convex.
+ *
+ * @param {Array<{latitude: number, longitude: number}>} first Polygon vertices
+ * @param {Array<{latitude: number, longitude: number}>} second Polygon vertices
+ * @returns {number} Shared area in square metres (0 when the polygons only touch or are apart)
+ */
+function polygonIntersectionSquareMeters(first, second) {
+  const ringA = openRing(first);
+  const ringB = openRing(second);
+  if (ringA.length < 3 || ringB.length < 3) {
+    return 0;
+  }
+
+  // Plane coordinates relative to the first vertex, which is also the fan origin
+  const origin = ringA[0];
+  const project = ({ latitude, longitude }) => ({
+    x: AUTHALIC_RADIUS_METERS * toRadians(normalizeLongitudeDelta(longitude - origin.longitude)),
+    y: AUTHALIC_RADIUS_METERS * (Math.sin(toRadians(latitude)) - Math.sin(toRadians(origin.latitude)))
+  });
+  const fanA = fanTriangles(ringA.map(project));
+  const fanB = fanTriangles(ringB.map(project));
+
+  let sum = 0;
+  for (const a of fanA) {
+    for (const b of fanB) {
+      sum += a.sign * b.sign * convexPolygonArea(clipConvex(a.vertices, b.vertices));
+    }
+  }
+  return Math.abs(sum);
+}
+
+/**
+ * Compute the latitude and longitude range of a boundary polygon
+ *
+ * A polygon crossing the antimeridian keeps contiguous longitudes, so its
+ * east edge is beyond 180 (or its west edge below -180).
+ *
+ * @param {Array<{latitude: number, longitude: number}>} boundaries Polygon vertices
+ * @returns {{south: number, north: number, west: number, east: number}}
+ */
+function polygonBounds(boundaries) {
+  const start = boundaries[0].longitude;
+  const longitudes = boundaries.map(({ longitude }) => start + normalizeLongitudeDelta(longitude - start));
+  const latitudes = boundaries.map(({ latitude }) => latitude);
+  return {
+    south: Math.min(...latitudes),
+    north: Math.max(...latitudes),
+    west: Math.min(...longitudes),
+    east: Math.max(...longitudes)
+  };
+}
+
+/**
+ * Compute the area enclosed by a boundary polygon in acres
+ *
+ * @param {Array<{latitude: number, longitude: number}>} boundaries Polygon vertices
+ * @returns {number} Area in acres
+ */
+function polygonAreaAcres(boundaries) {
+  return polygonAreaSquareMeters(boundaries) / SQUARE_METERS_PER_ACRE;
+}
+
+/**
+ * Compare a parcel's declared acreage with the area of its boundary polygon
+ *
+ * @param {object} parcel Parcel record with `boundaries` and `areaInAcres`
+ * @param {object} [options]
+ * @param {number} [options.tolerance] Accepted relative difference (0.1 = 10%)
+ * @returns {{declaredAcres: number, computedAcres: number, difference: number,
+ *   tolerance: number, withinTolerance: boolean, overDeclared: boolean}}
+ *   `difference` is relative to the computed area
+ */
+function checkDeclaredArea(parcel, options = {}) {
+  const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_AREA_TOLERANCE;
+  const declaredAcres = parcel.areaInAcres;
+  const computedAcres = polygonAreaAcres(parcel.boundaries);
+  const difference = computedAcres > 0
+    ? Math.abs(declaredAcres - computedAcres) / computedAcres
+    : Infinity;
+
+  return {
+    declaredAcres,
+    computedAcres: Math.round(computedAcres * 100) / 100,
+    difference: Math.round(difference * 10000) / 10000,
+    tolerance,
+    withinTolerance: difference <= tolerance,
+    overDeclared: declaredAcres > computedAcres
+  };
+}
+
+/**
+ * Check a parcel's declared acreage and throw if it is outside the tolerance
+ *
+ * @param {object} parcel Parcel record with `name`, `boundaries` and `areaInAcres`
+ * @param {object} [options] Same options as checkDeclaredArea
+ * @returns {object} The area check, when within tolerance
+ * @throws {AreaMismatchError} When declared and computed area differ too much
+ */
+function assertDeclaredArea(parcel, options = {}) {
+  const check = checkDeclaredArea(parcel, options);
+  if (!check.withinTolerance) {
+    throw new AreaMismatchError(parcel.name, check);
+  }
+  return check;
+}
+
+// Drop an explicit closing vertex so each edge is visited once
+function openRing(boundaries) {
+  const first = boundaries[0];
+  const last = boundaries[boundaries.length - 1];
+  if (boundaries.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+    return boundaries.slice(0, -1);
+  }
+  return boundaries;
+}
+
+/**
+ * Take the short way around for a longitude difference that crosses the antimeridian
+ *
+ * @param {number} delta Difference of two longitudes in degrees, from -360 to 360
+ * @returns {number} The same difference from -180 to 180
+ */
+function normalizeLongitudeDelta(delta) {
+  if (delta > 180) {
+    return delta - 360;
+  }
+  if (delta < -180) {
+    return delta + 360;
+  }
+  return delta;
+}
+
+// Triangles from the first vertex to every edge, counter-clockwise, with the sign of their orientation
+function fanTriangles(points) {
+  const [origin] = points;
+  const triangles = [];
+  for (let i = 1; i < points.length - 1; i++) {
+    const turn = cross(origin, points[i], points[i + 1]);
+    if (turn !== 0) {
+      triangles.push({
+        sign: Math.sign(turn),
+        vertices: turn > 0 ? [origin, points[i], points[i + 1]] : [origin, points[i + 1], points[i]]
+      });
+    }
+  }
+  return triangles;
+}
+
+// Clip a convex polygon to a counter-clockwise convex polygon (Sutherland-Hodgman)
+function clipConvex(subject, clip) {
+  let output = subject;
+  for (let i = 0; i < clip.length && output.length > 0; i++) {
+    const edgeStart = clip[i];
+    const edgeEnd = clip[(i + 1) % clip.length];
+    const input = output;
+    output = [];
+    for (let j = 0; j < input.length; j++) {
+      const current = input[j];
+      const previous = input[(j + input.length - 1) % input.length];
+      const currentSide = cross(edgeStart, edgeEnd, current);
+      const previousSide = cross(edgeStart, edgeEnd, previous);
+      if (currentSide >= 0) {
+        if (previousSide < 0) {
+          output.push(edgeCrossing(previous, current, previousSide, currentSide));
+        }
+        output.push(current);
+      } else if (previousSide >= 0) {
+        output.push(edgeCrossing(previous, current, previousSide, currentSide));
+      }
+    }
+  }
+  return output;
+}
+
+// Where the segment from one point to the next crosses the clipping edge
+function edgeCrossing(from, to, fromSide, toSide) {
+  const t = fromSide / (fromSide - toSide);
+  return { x: from.x + t * (to.x - from.x), y: from.y + t * (to.y - from.y) };
+}
+
+function convexPolygonArea(points) {
+  let sum = 0;
+  for (let i = 0; i < points.length; i++) {
+    const next = points[(i + 1) % points.length];
+    sum += points[i].x * next.y - next.x * points[i].y;
+  }
+  return Math.abs(sum) / 2;
+}
+
+// Twice the signed area of the triangle a, b, c: positive when it turns counter-clockwise
+function cross(a, b, c) {
+  return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+module.exports = {
+  DEFAULT_AREA_TOLERANCE,
+  SQUARE_METERS_PER_ACRE,
+  polygonAreaSquareMeters,
+  polygonAreaAcres,
+  polygonIntersectionSquareMeters,
+  polygonBounds,
+  normalizeLongitudeDelta,
+  checkDeclaredArea,
+  assertDeclaredArea
+};
@@ -0,0 +1,234 @@
+/**
+ * Hedera response codes and contract revert data, explained
+ *
+ * The error layer (see HederaTransactionError) uses this module to say what a
+ * failed transaction or query means and whether retrying it can succeed, and
+ * to decode the revert data of BiodiversityLandParcel calls: revert strings,
+ * panics, and the HTS response code its TokenAssociationFailed and
+ * TokenTransferFailed errors carry.
+ */
+const { MaxAttemptsOrTimeoutError, Status } = require('@hashgraph/sdk');
+
+// Statuses of a transient network condition: the same operation can succeed when sent again
+const RETRYABLE_STATUSES = new Set([
+  'BUSY',
+  'PLATFORM_TRANSACTION_NOT_CREATED',
+  'PLATFORM_NOT_ACTIVE',
+  'UNKNOWN',
+  'INVALID_NODE_ACCOUNT',
+  'TRANSACTION_EXPIRED',
+  'INVALID_TRANSACTION_START',
+  'RECEIPT_NOT_FOUND',
+  'RECORD_NOT_FOUND',
+  'THROTTLED_AT_CONSENSUS',
+  'CONSENSUS_GAS_EXHAUSTED'
+]);
+
+// gRPC failures of a node that another attempt (or node) can get past
+const RETRYABLE_GRPC_STATUSES = new Set(['UNAVAILABLE', 'DEADLINE_EXCEEDED', 'RESOURCE_EXHAUSTED', 'ABORTED']);
+
+// Socket errors of a connection that dropped or never came up
+const RETRYABLE_SOCKET_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE']);
+
+// What the statuses the registry runs into mean; others are explained by their name
+const EXPLANATIONS = {
+  INVALID_SIGNATURE: 'a key the operation needs (of the payer, token, topic or account) did not sign the transaction',
+  INSUFFICIENT_PAYER_BALANCE: 'the paying account cannot cover the transaction fee',
+  INSUFFICIENT_TX_FEE: 'the maximum transaction fee is below what the network charges',
+  INSUFFICIENT_ACCOUNT_BALANCE: 'the account does not hold enough HBAR',
+  DUPLICATE_TRANSACTION: 'a transaction with this ID was already submitted',
+  BUSY: 'the node is throttling transactions',
+  PLATFORM_TRANSACTION_NOT_CREATED: 'the node could not submit the transaction to the network',
+  PLATFORM_NOT_ACTIVE: 'the node is not taking part in consensus right now',
+  UNKNOWN: 'the node submitted the transaction, but its outcome is not known yet',
+  INVALID_NODE_ACCOUNT: 'the transaction was sent to a node other than the one it names',
+  TRANSACTION_EXPIRED: 'the transaction did not reach consensus within its valid duration',
+  INVALID_TRANSACTION_START: 'the transaction starts after network time; check the local clock',
+  RECEIPT_NOT_FOUND: 'the network has no receipt for the transaction (yet)',
+  RECORD_NOT_FOUND: 'the network has no record of the transaction (yet)',
+  THROTTLED_AT_CONSENSUS: 'the network throttled the transaction at consensus',
+  CONSENSUS_GAS_EXHAUSTED: 'the network ran out of gas capacity for this second',
+  INVALID_ACCOUNT_ID: 'the account does not exist',
+  INVALID_TOKEN_ID: 'the token does not exist',
+  INVALID_TOPIC_ID: 'the topic does not exist',
+  INVALID_CONTRACT_ID: 'the contract does not exist',
+  ACCOUNT_DELETED: 'the account was deleted',
+  TOKEN_WAS_DELETED: 'the token was deleted',
+  INVALID_TOPIC_MESSAGE: 'the topic message is empty or malformed',
+  MESSAGE_SIZE_TOO_LARGE: 'the topic message is larger than a transaction allows',
+  TOKEN_NOT_ASSOCIATED_TO_ACCOUNT: 'an account in the transaction has not associated the token',
+  TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT: 'the account has already associated the token',
+  ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN: 'an account in the transaction has not been granted KYC for the token',
+  ACCOUNT_FROZEN_FOR_TOKEN: 'an account in the transaction is frozen for the token',
+  TOKEN_IS_PAUSED: 'the token is paused',
+  INSUFFICIENT_TOKEN_BALANCE: 'the sending account does not hold enough of the token',
+  TOKEN_MAX_SUPPLY_REACHED: 'the mint would take the token past its maximum supply',
+  INVALID_TOKEN_MAX_SUPPLY: 'the maximum supply is not valid for the token\'s supply type',
+  INVALID_TOKEN_MINT_AMOUNT: 'the amount to mint is not valid',
+  INVALID_TOKEN_BURN_AMOUNT: 'the amount to burn is not valid or more than the treasury holds',
+  INVALID_WIPING_AMOUNT: 'the amount to wipe is not valid or more than the account holds',
+  CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT: 'credits in the treasury are burned, not wiped',
+  TOKEN_HAS_NO_SUPPLY_KEY: 'the token has no supply key, so its supply cannot change',
+  TOKEN_HAS_NO_KYC_KEY: 'the token has no KYC key',
+  TOKEN_HAS_NO_FREEZE_KEY: 'the token has no freeze key',
+  TOKEN_HAS_NO_PAUSE_KEY: 'the token has no pause key',
+  TOKEN_HAS_NO_WIPE_KEY: 'the token has no wipe key',
+  INVALID_NFT_ID: 'the NFT serial does not exist',
+  SENDER_DOES_NOT_OWN_NFT_SERIAL_NO: 'the sending account does not hold the NFT',
+  CONTRACT_REVERT_EXECUTED: 'the contract reverted the call',
+  INSUFFICIENT_GAS: 'the contract call ran out of gas',
+  MAX_GAS_LIMIT_EXCEEDED: 'the gas limit is above what the network allows per transaction',
+  LOCAL_CALL_MODIFICATION_EXCEPTION: 'a read-only call tried to change contract state'
+};
+
+// Selector of the Solidity Error(string) and Panic(uint256) revert payloads, and the contract's custom errors
+const REVERT_ERRORS = {
+  '0x08c379a0': { name: 'Error', inputs: ['string'] },
+  '0x4e487b71': { name: 'Panic', inputs: ['uint256'] },
+  // TokenAssociationFailed(address,address,int256)
+  '0xa6db1382': { name: 'TokenAssociationFailed', inputs: ['address', 'address', 'int256'], action: 'token association' },
+  // TokenTransferFailed(address,address,address,int256)
+  '0x1e533d13': { name: 'TokenTransferFailed', inputs: ['address', 'address', 'address', 'int256'], action: 'token transfer' }
+};
+
+// Solidity panic codes
+const PANIC_REASONS = {
+  0x01: 'assertion failed',
+  0x11: 'arithmetic overflow or underflow',
+  0x12: 'division by zero',
+  0x21: 'invalid enum value',
+  0x32: 'array index out of bounds'
+};
+
+/**
+ * @typedef {object} StatusDescription
+ * @property {string} status Status name, e.g. "TOKEN_IS_PAUSED"
+ * @property {?number} code Numeric response code (null for a name the SDK does not know)
+ * @property {string} explanation What the status means
+ * @property {boolean} retryable Whether the same operation can succeed when sent again
+ */
+
+/**
+ * Explain a Hedera response code
+ *
+ * @param {Status|string|number} status SDK Status, status name or numeric response code
+ * @returns {StatusDescription}
+ */
+function describeStatus(status) {
+  const resolved = resolveStatus(status);
+  const name = resolved ? resolved.toString() : String(status);
+  return {
+    status: name,
+    code: resolved ? resolved._code : null,
+    explanation: EXPLANATIONS[name] || name.toLowerCase().replace(/_/g, ' '),
+    retryable: RETRYABLE_STATUSES.has(name)
+  };
+}
+
+/**
+ * Whether an error that carries no Hedera status (a gRPC, timeout or socket failure) is transient
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isTransientFailure(error) {
+  if (!error) {
+    return false;
+  }
+  // The SDK's MaxAttemptsOrTimeoutError does not set its name
+  if (error instanceof MaxAttemptsOrTimeoutError || error.name === 'MaxAttemptsOrTimeoutError' || error.name === 'TimeoutError') {
+    return true;
+  }
+  if (error.name === 'GrpcServiceError') {
+    return RETRYABLE_GRPC_STATUSES.has(String(error.status));
+  }
+  return RETRYABLE_SOCKET_ERRORS.has(error.code) || isTransientFailure(error.cause);
+}
+
+/**
+ * @typedef {object} DecodedRevert
+ * @property {?string} errorName Solidity error, e.g. "Error", "Panic" or "TokenTransferFailed" (null when unknown)
+ * @property {Array} args Decoded error arguments (addresses as 0x hex, integers as BigInt)
+ * @property {string} reason Human-readable reason for the revert
+ * @property {?number} responseCode HTS response code carried by the error
+ * @property {?string} responseStatus Status name of that response code
+ */
+
+/**
+ * Decode the revert data of a contract call
+ *
+ * Hedera reports it in the call's ContractFunctionResult#errorMessage as 0x
+ * hex; plain text (e.g. from a node that explains the failure) is passed
+ * through as the reason.
+ *
+ * @param {?string} revertData Revert data or error message
+ * @returns {?DecodedRevert} null when the call reverted without data
+ */
+function decodeRevert(revertData) {
+  if (!revertData || revertData === '0x') {
+    return null;
+  }
+  if (!/^0x([0-9a-f]{2})*$/i.test(revertData)) {
+    return { errorName: null, args: [], reason: revertData, responseCode: null, responseStatus: null };
+  }
+
+  const selector = revertData.slice(0, 10).toLowerCase();
+  const error = REVERT_ERRORS[selector];
+  const payload = Buffer.from(revertData.slice(10), 'hex');
+  if (!error || payload.length < 32 * error.inputs.length) {
+    return { errorName: null, args: [], reason: `unknown contract error ${selector}`, responseCode: null, responseStatus: null };
+  }
+
+  const args = error.inputs.map((type, index) => decodeWord(payload, index, type));
+  const decoded = { errorName: error.name, args, reason: null, responseCode: null, responseStatus: null };
+  if (error.name === 'Error') {
+    decoded.reason = args[0];
+  } else if (error.name === 'Panic') {
+    const code = Number(args[0]);
+    decoded.reason = `panic 0x${code.toString(16).padStart(2, '0')} (${PANIC_REASONS[code] || 'unknown panic'})`;
+  } else {
+    // The HTS errors carry the response code last
+    const { status, explanation } = describeStatus(Number(args[args.length - 1]));
+    decoded.responseCode = Number(args[args.length - 1]);
+    decoded.responseStatus = status;
+    decoded.reason = `HTS refused the ${error.action}: ${status} (${explanation})`;
+  }
+  return decoded;
+}
+
+function resolveStatus(status) {
+  if (status instanceof Status) {
+    return status;
+  }
+  try {
+    if (typeof status === 'number') {
+      return Status._fromCode(status);
+    }
+    const name = String(status).toLowerCase().replace(/(^|_)([a-z])/g, (match, separator, letter) => letter.toUpperCase());
+    return Status[name] instanceof Status ? Status[name] : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Decode the ABI word (or, for a string, the dynamic value it points to) at an argument position
+function decodeWord(payload, index, type) {
+  const word = payload.subarray(index * 32, index * 32 + 32);
+  if (type === 'address') {
+    return `0x${word.subarray(12).toString('hex')}`;
+  }
+  if (type === 'string') {
+    const offset = Number(BigInt(`0x${word.toString('hex')}`));
+    const length = Number(BigInt(`0x${payload.subarray(offset, offset + 32).toString('hex')}`));
+    return payload.subarray(offset + 32, offset + 32 + length).toString('utf8');
+  }
+  const value = BigInt(`0x${word.toString('hex')}`);
+  return type === 'int256' ? BigInt.asIntN(256, value) : value;
+}
+
+module.exports = {
+  RETRYABLE_STATUSES,
+  decodeRevert,
+  describeStatus,
+  isTransientFailure
+};
@@ -0,0 +1,68 @@
+/**
+ * Public entry point of the biodiversity registry library
+ */
+const errors = require('./errors');
+const contractEvents = require('./contract-events');
+const creditRetirement = require('./credit-retirement');
+const creditTransfers = require('./credit-transfers');
+const deploymentManifest = require('./deployment-manifest');
+const entityResolver = require('./entity-resolver');
+const eventOutputs = require('./event-outputs');
+const eventWatcher = require('./event-watcher');
+const parcelValidation = require('./parcel-validation');
+const geoArea = require('./geo-area');
+const hederaStatus = require('./hedera-status');
+const issuanceLedger = require('./issuance-ledger');
+const issuanceMethodology = require('./issuance-methodology');
+const mirrorNode = require('./mirror-node');
+const networkProfiles = require('./network-profiles');
+const operatorKey = require('./operator-key');
+const parcelGeoJson = require('./parcel-geojson');
+const parcelNfts = require('./parcel-nfts');
+const parcelOnboarding = require('./parcel-onboarding');
+const parcelOverlap = require('./parcel-overlap');
+const parcelRecord = require('./parcel-record');
+const reassessmentScheduler = require('./reassessment-scheduler');
+const registrationPipeline = require('./registration-pipeline');
+const registryClient = require('./registry-client');
+const registryIndexer = require('./registry-indexer');
+const registryMessages = require('./registry-messages');
+const registryState = require('./registry-state');
+const registryStore = require('./registry-store');
+const simulation = require('./simulation');
+const transactionSettlement = require('./transaction-settlement');
+const verificationWorkflow = require('./verification-workflow');
+
+module.exports = {
+  ...errors,
+  ...contractEvents,
+  ...creditRetirement,
+  ...creditTransfers,
+  ...deploymentManifest,
+  ...entityResolver,
+  ...eventOutputs,
+  ...eventWatcher,
+  ...parcelValidation,
+  ...geoArea,
+  ...hederaStatus,
+  ...issuanceLedger,
+  ...issuanceMethodology,
+  ...mirrorNode,
+  ...networkProfiles,
+  ...operatorKey,
+  ...parcelGeoJson,
+  ...parcelNfts,
+  ...parcelOnboarding,
+  ...parcelOverlap,
+  ...parcelRecord,
+  ...reassessmentScheduler,
+  ...registrationPipeline,
+  ...registryClient,
+  ...registryIndexer,
+  ...registryMessages,
+  ...registryState,
+  ...registryStore,
+  ...simulation,
+  ...transactionSettlement,
+  ...verificationWorkflow
+};
@@ -0,0 +1,206 @@
+/**
+ * Issuance ledger
+ *
+ * Keeps the credits minted for each parcel within what its verified
+ * assessment allows. Every approval in the BiodiversityLandParcel contract
+ * starts a verification round, identified by its `verificationTimestamp`;
+ * a round allows the amount its issuance methodology calculates, and the
+ * credits.issued events on the registry topic (tagged with the round's
+ * `verifiedAt`) count against it. The round's first issuance fixes its
+ * methodology and allowance, so later parts of the round cannot raise the
+ * cap by calculating with another methodology. Minting again for a round
+ * whose credits were all issued, or minting more than it has left, is
+ * refused before anything reaches the token.
+ *
+ * The ledger also reconciles the registry with the token itself: the
+ * credits issued minus the credits retired on the topic must equal the
+ * token's `totalSupply` from TokenInfoQuery.
+ */
+const { IssuanceLimitError } = require('./errors');
+const { parcelIdOf } = require('./registry-messages');
+
+/**
+ * @typedef {object} IssuanceEntitlement
+ * @property {string} parcelId
+ * @property {string} name Name of the parcel
+ * @property {number} verifiedAt Verification round (Unix seconds)
+ * @property {number} allowed Credits the round allows: what its first issuance recorded, once there is one
+ * @property {?object} opening First issuance of the round, with its `methodology`, `asOf` and
+ *   `allowed` (null until something is issued for the round)
+ * @property {number} issued Credits already issued for the round, including mints not indexed yet
+ * @property {number} remaining Credits the round has left
+ */
+
+/**
+ * @typedef {object} SupplyReconciliation
+ * @property {string} tokenId Credit token
+ * @property {number} totalSupply The token's total supply on the network
+ * @property {?number} maxSupply The token's supply cap (null for an uncapped token)
+ * @property {number} issued Credits of the token issued on the registry topic
+ * @property {number} retired Credits of the token retired on the registry topic
+ * @property {number} expectedSupply issued - retired
+ * @property {number} difference totalSupply - expectedSupply: positive when credits were minted
+ *   without a credits.issued event, negative when recorded credits are missing from the token
+ * @property {boolean} consistent Whether the difference is 0
+ * @property {Array<{parcelId: string, name: string, issued: number, retired: number}>} parcels
+ *   Parcels with credits of the token
+ */
+
+class IssuanceLedger {
+  /**
+   * @param {object} options
+   * @param {RegistryIndexer} options.indexer Indexer of the registry topic
+   * @param {BiodiversityRegistryClient} [options.registry] Client to read the token with (for reconcile)
+   * @param {string} [options.tokenId] Credit token (for reconcile)
+   */
+  constructor({ indexer, registry = null, tokenId = null }) {
+    if (!indexer) {
+      throw new Error('IssuanceLedger needs a registry indexer');
+    }
+    this.indexer = indexer;
+    this.registry = registry;
+    this.tokenId = tokenId ? tokenId.toString() : null;
+    // Mints made through this ledger, by parcel ID, until their credits.issued event is indexed
+    this.pending = {};
+  }
+
+  /**
+   * Get what a parcel's verification round allows and what was issued for it
+   *
+   * Issuances without a `verifiedAt` were recorded before rounds were tagged;
+   * they count against the round that was current when they were published.
+   * Once the round has an issuance that recorded its allowance, that
+   * allowance applies instead of the one given.
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {object} round
+   * @param {number} round.verifiedAt When the contract approved the parcel's data (Unix seconds)
+   * @param {number} [round.allowed] Credits the round's assessment allows, for a round without issuances
+   * @returns {Promise<IssuanceEntitlement>}
+   */
+  async getEntitlement(parcel, { verifiedAt, allowed = 0 }) {
+    const parcelId = parcelIdOf(parcel);
+    await this.indexer.sync();
+    const indexed = await this.indexer.getParcel(parcelId);
+    const issuances = indexed ? indexed.issuances : [];
+
+    const recorded = new Set(issuances.map((issuance) => issuance.mintTransactionId));
+    this.pending[parcelId] = (this.pending[parcelId] || []).filter((mint) => !recorded.has(mint.mintTransactionId));
+
+    const round = [...issuances, ...this.pending[parcelId]]
+      .filter((issuance) => (issuance.verifiedAt ? issuance.verifiedAt === verifiedAt : publishedAt(issuance) >= verifiedAt));
+    const issued = round.reduce((total, issuance) => total + issuance.amount, 0);
+    const opening = round.length > 0 ? round[0] : null;
+    const roundAllowed = opening && opening.allowed ? opening.allowed : allowed;
+
+    return {
+      parcelId,
+      name: parcel.name,
+      verifiedAt,
+      allowed: roundAllowed,
+      opening,
+      issued,
+      remaining: Math.max(roundAllowed - issued, 0)
+    };
+  }
+
+  /**
+   * Check that credits can be minted for a parcel's verification round
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {object} request
+   * @param {number} request.verifiedAt When the contract approved the parcel's data (Unix seconds)
+   * @param {number} request.allowed Credits the round's assessment allows (see getEntitlement)
+   * @param {number} [request.amount] Credits to mint (defaults to what the round has left)
+   * @returns {Promise<IssuanceEntitlement & {amount: number}>}
+   * @throws {IssuanceLimitError} DUPLICATE_ISSUANCE when nothing is left, EXCESS_ISSUANCE when the
+   *   amount is more than what is left
+   */
+  async authorize(parcel, { verifiedAt, allowed, amount }) {
+    const entitlement = await this.getEntitlement(parcel, { verifiedAt, allowed });
+    const requested = amount === undefined ? entitlement.remaining : amount;
+    const details = { verifiedAt, allowed: entitlement.allowed, issued: entitlement.issued, requested };
+    if (entitlement.remaining === 0) {
+      throw new IssuanceLimitError(parcel.name, 'DUPLICATE_ISSUANCE', details);
+    }
+    if (!Number.isSafeInteger(requested) || requested <= 0) {
+      throw new Error(`Credits to issue must be a positive whole amount, not ${amount}`);
+    }
+    if (requested > entitlement.remaining) {
+      throw new IssuanceLimitError(parcel.name, 'EXCESS_ISSUANCE', details);
+    }
+    return { ...entitlement, amount: requested };
+  }
+
+  /**
+   * Count a mint against its round until its credits.issued event is indexed
+   *
+   * Call it right after the mint succeeds, so a second issuance from this
+   * process is refused even before the mirror node shows the first one.
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {{verifiedAt: number, amount: number, mintTransactionId: string, methodology?: string,
+   *   asOf?: number, allowed?: number}} mint
+   */
+  record(parcel, { verifiedAt, amount, mintTransactionId, methodology = null, asOf = null, allowed = null }) {
+    const parcelId = parcelIdOf(parcel);
+    this.pending[parcelId] = [
+      ...(this.pending[parcelId] || []),
+      { verifiedAt, amount, mintTransactionId, methodology, asOf, allowed }
+    ];
+  }
+
+  /**
+   * Compare the credits issued and retired on the registry topic with the token's total supply
+   *
+   * @returns {Promise<SupplyReconciliation>}
+   */
+  async reconcile() {
+    if (!this.registry || !this.tokenId) {
+      throw new Error('Reconciling the issuance ledger needs a registry client and the credit token ID');
+    }
+
+    await this.indexer.sync();
+    const parcels = [];
+    for (const parcel of await this.indexer.getParcels()) {
+      const issued = sumForToken(parcel.issuances, this.tokenId);
+      const retired = sumForToken(parcel.retirements || [], this.tokenId);
+      if (issued > 0 || retired > 0) {
+        parcels.push({ parcelId: parcel.parcelId, name: parcel.name, issued, retired });
+      }
+    }
+
+    const info = await this.registry.getTokenInfo(this.tokenId);
+    const issued = parcels.reduce((total, parcel) => total + parcel.issued, 0);
+    const retired = parcels.reduce((total, parcel) => total + parcel.retired, 0);
+    const totalSupply = Number(info.totalSupply);
+    const expectedSupply = issued - retired;
+
+    return {
+      tokenId: this.tokenId,
+      totalSupply,
+      maxSupply: info.supplyType === 'FINITE' ? Number(info.maxSupply) : null,
+      issued,
+      retired,
+      expectedSupply,
+      difference: totalSupply - expectedSupply,
+      consistent: totalSupply === expectedSupply,
+      parcels
+    };
+  }
+}
+
+// When an issuance was published on the topic (Unix seconds)
+function publishedAt(issuance) {
+  return issuance.consensusTimestamp ? Number(issuance.consensusTimestamp.split('.')[0]) : 0;
+}
+
+function sumForToken(records, tokenId) {
+  return records
+    .filter((record) => record.tokenId === tokenId)
+    .reduce((total, record) => total + record.amount, 0);
+}
+
+module.exports = {
+  IssuanceLedger
+};
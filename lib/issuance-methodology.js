@@ -0,0 +1,273 @@
+/**
+ * Versioned credit issuance methodologies
+ *
+ * A methodology turns a verified land parcel into an amount of BIO credits.
+ * Methodologies are immutable once published: a change to any formula,
+ * weight or reference list is released as a new version, so every past
+ * issuance can be recomputed from the methodology ID recorded with its mint
+ * and the inputs stored alongside it.
+ *
+ * A superseded methodology stays published so its issuances can still be
+ * recomputed, but new credits are only issued with current methodologies.
+ */
+const { polygonAreaAcres } = require('./geo-area');
+
+const SECONDS_PER_YEAR = 365.25 * 24 * 60 * 60;
+
+/**
+ * Original formula used by the demo scripts: declared area × biodiversity rating
+ */
+const AREA_RATING_V1 = Object.freeze({
+  id: 'area-rating@1.0.0',
+  description: 'Declared area in acres multiplied by the 1-5 biodiversity rating',
+  calculate(parcel) {
+    const factors = {
+      areaInAcres: parcel.areaInAcres,
+      biodiversityRating: parcel.biodiversityRating
+    };
+    return {
+      amount: Math.floor(parcel.areaInAcres * parcel.biodiversityRating),
+      factors
+    };
+  }
+});
+
+/**
+ * Weighted formula: area × rating, adjusted for ecosystem type, conservation
+ * status, protection duration and threatened species present on the parcel
+ */
+const WEIGHTED_V2 = Object.freeze({
+  id: 'weighted@2.0.0',
+  description: 'Area × rating weighted by ecosystem type, conservation status, ' +
+    'protection duration and threatened species count',
+
+  // Relative conservation value of each ecosystem type (default 1.0)
+  ecosystemWeights: Object.freeze({
+    'Coral Reef': 1.3,
+    'Mangrove': 1.3,
+    'Tropical Rainforest': 1.3,
+    'Old Growth Forest': 1.25,
+    'Peatland': 1.25,
+    'Cypress Wetland': 1.2,
+    'Alpine Wetland': 1.2,
+    'Freshwater Wetland': 1.2,
+    'Prairie Pothole': 1.15,
+    'Salt Marsh': 1.15,
+    'Estuary': 1.15,
+    'Coastal Sage Scrub': 1.1,
+    'Riparian Corridor': 1.1,
+    'Tropical Dry Forest': 1.1
+  }),
+
+  // Permanence of the legal protection, matched case-insensitively against
+  // conservationStatus in this order (first match wins)
+  conservationStatusWeights: Object.freeze([
+    Object.freeze({ match: 'national park', weight: 1.0 }),
+    Object.freeze({ match: 'conservation easement', weight: 1.0 }),
+    Object.freeze({ match: 'indigenous reserve', weight: 1.0 }),
+    Object.freeze({ match: 'land trust', weight: 0.95 }),
+    Object.freeze({ match: 'protected area', weight: 0.9 }),
+    Object.freeze({ match: 'conservation reserve', weight: 0.8 })
+  ]),
+  defaultConservationStatusWeight: 0.75,
+
+  // +1% per full year of protection, capped at +25%
+  protectionYearBonus: 0.01,
+  maxProtectionBonus: 0.25,
+
+  // +5% per threatened species, capped at +25%
+  threatenedSpeciesBonus: 0.05,
+  maxThreatenedSpeciesBonus: 0.25,
+
+  // Species listed as threatened (IUCN Red List VU/EN/CR or ESA listed)
+  threatenedSpecies: Object.freeze([
+    'Amazonian Manatee',
+    'Boreal Toad',
+    'California Gnatcatcher',
+    'Ghost Orchid',
+    'Giant Otter',
+    'Marbled Murrelet',
+    'Northern Spotted Owl',
+    'Piping Plover',
+    'Wood Stork',
+    'Yellow-billed Cuckoo'
+  ]),
+
+  calculate(parcel, { asOf }) {
+    const ecosystemWeight = this.ecosystemWeights[parcel.ecosystemType] || 1.0;
+
+    const status = parcel.conservationStatus.toLowerCase();
+    const statusRule = this.conservationStatusWeights.find((rule) => status.includes(rule.match));
+    const conservationStatusWeight = statusRule ? statusRule.weight : this.defaultConservationStatusWeight;
+
+    const protectionYears = Math.max(0, Math.floor((asOf - parcel.protectionStartDate) / SECONDS_PER_YEAR));
+    const protectionWeight = 1 + Math.min(protectionYears * this.protectionYearBonus, this.maxProtectionBonus);
+
+    const threatened = parcel.notableSpecies.filter((species) => this.threatenedSpecies.includes(species));
+    const threatenedSpeciesWeight = 1 + Math.min(
+      threatened.length * this.threatenedSpeciesBonus,
+      this.maxThreatenedSpeciesBonus
+    );
+
+    const factors = {
+      areaInAcres: parcel.areaInAcres,
+      biodiversityRating: parcel.biodiversityRating,
+      ecosystemWeight,
+      conservationStatusWeight,
+      protectionYears,
+      protectionWeight,
+      threatenedSpecies: threatened,
+      threatenedSpeciesWeight
+    };
+    const amount = parcel.areaInAcres * parcel.biodiversityRating *
+      ecosystemWeight * conservationStatusWeight * protectionWeight * threatenedSpeciesWeight;
+
+    return {
+      // Round before flooring so floating point noise never costs a credit
+      amount: Math.floor(Math.round(amount * 1e6) / 1e6),
+      factors
+    };
+  }
+});
+
+/**
+ * area-rating@1.0.0 on the credited area: the lower of the declared area and
+ * the area of the boundary polygon, so over-declared acreage earns nothing
+ */
+const AREA_RATING_V1_1 = Object.freeze({
+  id: 'area-rating@1.1.0',
+  description: 'The lower of the declared and the boundary area in acres multiplied by the 1-5 biodiversity rating',
+  calculate(parcel, options) {
+    const area = creditedArea(parcel);
+    const credited = { ...parcel, areaInAcres: area.creditedAreaInAcres };
+    const { amount, factors } = AREA_RATING_V1.calculate(credited, options);
+    return { amount, factors: { ...factors, ...area } };
+  }
+});
+
+/**
+ * weighted@2.0.0 on the credited area: the lower of the declared area and
+ * the area of the boundary polygon, so over-declared acreage earns nothing
+ */
+const WEIGHTED_V2_1 = Object.freeze({
+  ...WEIGHTED_V2,
+  id: 'weighted@2.1.0',
+  description: 'The lower of the declared and the boundary area × rating weighted by ecosystem type, ' +
+    'conservation status, protection duration and threatened species count',
+  calculate(parcel, options) {
+    const area = creditedArea(parcel);
+    const credited = { ...parcel, areaInAcres: area.creditedAreaInAcres };
+    const { amount, factors } = WEIGHTED_V2.calculate.call(this, credited, options);
+    return { amount, factors: { ...factors, ...area } };
+  }
+});
+
+// Every published methodology, keyed by ID. Never edit or remove an entry.
+const METHODOLOGIES = Object.freeze({
+  [AREA_RATING_V1.id]: AREA_RATING_V1,
+  [WEIGHTED_V2.id]: WEIGHTED_V2,
+  [AREA_RATING_V1_1.id]: AREA_RATING_V1_1,
+  [WEIGHTED_V2_1.id]: WEIGHTED_V2_1
+});
+
+// Methodologies no longer used for new issuances, with the version replacing each
+const SUPERSEDED_METHODOLOGIES = Object.freeze({
+  [AREA_RATING_V1.id]: AREA_RATING_V1_1.id,
+  [WEIGHTED_V2.id]: WEIGHTED_V2_1.id
+});
+
+const DEFAULT_METHODOLOGY = WEIGHTED_V2_1.id;
+
+/**
+ * Look up a published methodology
+ *
+ * @param {string} id Methodology ID, e.g. "weighted@2.0.0"
+ * @returns {object} The methodology
+ * @throws {Error} When no methodology has that ID
+ */
+function getMethodology(id) {
+  const methodology = METHODOLOGIES[id];
+  if (!methodology) {
+    throw new Error(`Unknown issuance methodology "${id}" (available: ${Object.keys(METHODOLOGIES).join(', ')})`);
+  }
+  return methodology;
+}
+
+/**
+ * Look up a methodology new credits can be issued with
+ *
+ * @param {string} id Methodology ID
+ * @returns {object} The methodology
+ * @throws {Error} When no methodology has that ID, or it was superseded
+ */
+function getIssuanceMethodology(id) {
+  const methodology = getMethodology(id);
+  if (SUPERSEDED_METHODOLOGIES[id]) {
+    throw new Error(`Issuance methodology "${id}" was superseded by "${SUPERSEDED_METHODOLOGIES[id]}"; ` +
+      'it only recomputes past issuances');
+  }
+  return methodology;
+}
+
+/**
+ * List the IDs and descriptions of all published methodologies
+ *
+ * @returns {Array<{id: string, description: string, supersededBy: ?string}>}
+ */
+function listMethodologies() {
+  return Object.values(METHODOLOGIES).map(({ id, description }) => ({
+    id,
+    description,
+    supersededBy: SUPERSEDED_METHODOLOGIES[id] || null
+  }));
+}
+
+/**
+ * Calculate the credits to issue for a verified parcel
+ *
+ * The returned record holds everything needed to recompute the amount:
+ * the methodology ID, the evaluation time and the factors that were applied.
+ * Superseded methodologies are refused unless `recompute` is set.
+ *
+ * @param {object} parcel Validated parcel record
+ * @param {object} [options]
+ * @param {string} [options.methodology] Methodology ID (defaults to DEFAULT_METHODOLOGY)
+ * @param {number} [options.asOf] Evaluation time in Unix seconds (defaults to now)
+ * @param {boolean} [options.recompute] Recompute a past issuance, which may use a superseded methodology
+ * @returns {{methodology: string, asOf: number, amount: number, factors: object}}
+ * @throws {Error} When the methodology is unknown, or superseded and not recomputing
+ */
+function calculateIssuance(parcel, options = {}) {
+  const id = options.methodology || DEFAULT_METHODOLOGY;
+  const methodology = options.recompute ? getMethodology(id) : getIssuanceMethodology(id);
+  const asOf = options.asOf !== undefined ? options.asOf : Math.floor(Date.now() / 1000);
+  const { amount, factors } = methodology.calculate(parcel, { asOf });
+
+  return {
+    methodology: methodology.id,
+    asOf,
+    amount,
+    factors
+  };
+}
+
+// The declared area, the boundary polygon's area (rounded like the registered computedAreaInAcres)
+// and the lower of the two, which is what earns credits
+function creditedArea(parcel) {
+  const computedAreaInAcres = Math.round(polygonAreaAcres(parcel.boundaries) * 100) / 100;
+  return {
+    areaInAcres: parcel.areaInAcres,
+    computedAreaInAcres,
+    creditedAreaInAcres: Math.min(parcel.areaInAcres, computedAreaInAcres)
+  };
+}
+
+module.exports = {
+  METHODOLOGIES,
+  SUPERSEDED_METHODOLOGIES,
+  DEFAULT_METHODOLOGY,
+  getMethodology,
+  getIssuanceMethodology,
+  listMethodologies,
+  calculateIssuance
+};
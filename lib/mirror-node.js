@@ -0,0 +1,79 @@
+/**
+ * Minimal client for the Hedera mirror node REST API
+ *
+ * Shared by every module that reads network state back from a mirror node
+ * (entity resolution, registry indexing). Requests time out, and failures
+ * surface as MirrorNodeError; a 404 is returned as null so callers can decide
+ * whether an unknown entity is an error.
+ */
+const { MirrorNodeError } = require('./errors');
+const { isTransientFailure } = require('./hedera-status');
+const { NETWORK_PROFILES } = require('./network-profiles');
+
+// Mirror node REST endpoints by network name (see lib/network-profiles)
+const MIRROR_NODE_URLS = Object.fromEntries(
+  Object.values(NETWORK_PROFILES).map(({ name, mirrorNodeUrl }) => [name, mirrorNodeUrl])
+);
+
+class MirrorNodeClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] Mirror node base URL (defaults to testnet)
+   * @param {number} [options.timeout] Milliseconds before a request is abandoned
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor(options = {}) {
+    this.url = (options.url || MIRROR_NODE_URLS.testnet).replace(/\/+$/, '');
+    this.timeout = options.timeout || 10000;
+    this.fetch = options.fetch || globalThis.fetch;
+  }
+
+  /**
+   * GET a mirror node path
+   *
+   * @param {string} path Path and query, e.g. /api/v1/contracts/0.0.1001 (also accepts `links.next` values)
+   * @returns {Promise<?object>} Parsed JSON body, or null when the mirror node answers 404
+   * @throws {MirrorNodeError} When the request fails or the mirror node answers with another error
+   */
+  async get(path) {
+    let response;
+    try {
+      response = await this.fetch(`${this.url}${path}`, {
+        headers: { accept: 'application/json' },
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      throw new MirrorNodeError(`Mirror node request ${path} failed: ${error.message}`, null, isTransientFailure(error));
+    }
+
+    if (response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new MirrorNodeError(`Mirror node request ${path} failed with HTTP ${response.status}`, response.status);
+    }
+    return response.json();
+  }
+}
+
+/**
+ * Get the mirror node URL from HEDERA_MIRROR_NODE_URL, or the default for HEDERA_NETWORK
+ *
+ * @param {object} [env] Environment variables (defaults to process.env)
+ * @returns {string}
+ * @throws {MirrorNodeError} When neither gives a mirror node
+ */
+function mirrorNodeUrlFromEnv(env = process.env) {
+  const network = env.HEDERA_NETWORK || 'testnet';
+  const url = env.HEDERA_MIRROR_NODE_URL || MIRROR_NODE_URLS[network];
+  if (!url) {
+    throw new MirrorNodeError(`No mirror node known for network "${network}"; set HEDERA_MIRROR_NODE_URL`);
+  }
+  return url;
+}
+
+module.exports = {
+  MIRROR_NODE_URLS,
+  MirrorNodeClient,
+  mirrorNodeUrlFromEnv
+};
@@ -0,0 +1,134 @@
+/**
+ * Network profiles
+ *
+ * Everything that differs between the networks the registry runs on, in one
+ * place: the SDK network, the mirror node, the JSON-RPC relay and chain ID
+ * used to deploy the contract, the matching Hardhat network (see
+ * hardhat.config.js) and the explorer. The same code moves from a local node
+ * to mainnet by changing HEDERA_NETWORK; the IDs deployed on each network are
+ * kept in the deployment manifest (see lib/deployment-manifest).
+ *
+ * `local` is the Hedera local node (hiero-local-node), with its default
+ * ports. Runs without any node use the simulated ledger instead (see
+ * lib/simulation), which runs the contract on Hardhat's in-memory network.
+ */
+const { NetworkConfigError } = require('./errors');
+
+/**
+ * @typedef {object} NetworkProfile
+ * @property {string} name Network name, the value of HEDERA_NETWORK
+ * @property {string} sdkNetwork Network name for the SDK's Client.forName
+ * @property {string} mirrorNodeUrl Mirror node REST API
+ * @property {string} relayUrl JSON-RPC relay the contract is deployed through
+ * @property {number} chainId EVM chain ID
+ * @property {string} hardhatNetwork Hardhat network deploying through the relay
+ * @property {?number} gasPrice Gas price for deployments, in weibars (null to ask the relay)
+ * @property {?string} explorerUrl HashScan base URL (null when no explorer indexes the network)
+ */
+
+const NETWORK_PROFILES = Object.freeze({
+  local: Object.freeze({
+    name: 'local',
+    sdkNetwork: 'local-node',
+    mirrorNodeUrl: 'http://localhost:5551',
+    relayUrl: 'http://localhost:7546',
+    chainId: 298,
+    hardhatNetwork: 'hederaLocal',
+    gasPrice: null,
+    explorerUrl: null
+  }),
+  previewnet: Object.freeze({
+    name: 'previewnet',
+    sdkNetwork: 'previewnet',
+    mirrorNodeUrl: 'https://previewnet.mirrornode.hedera.com',
+    relayUrl: 'https://previewnet.hashio.io/api',
+    chainId: 297,
+    hardhatNetwork: 'hederaPreviewnet',
+    gasPrice: null,
+    explorerUrl: 'https://hashscan.io/previewnet'
+  }),
+  testnet: Object.freeze({
+    name: 'testnet',
+    sdkNetwork: 'testnet',
+    mirrorNodeUrl: 'https://testnet.mirrornode.hedera.com',
+    relayUrl: 'https://testnet.hashio.io/api',
+    chainId: 296,
+    hardhatNetwork: 'hederaTestnet',
+    // The relay refuses deployments priced below the network's minimum
+    gasPrice: 510000000000,
+    explorerUrl: 'https://hashscan.io/testnet'
+  }),
+  mainnet: Object.freeze({
+    name: 'mainnet',
+    sdkNetwork: 'mainnet',
+    mirrorNodeUrl: 'https://mainnet.mirrornode.hedera.com',
+    relayUrl: 'https://mainnet.hashio.io/api',
+    chainId: 295,
+    hardhatNetwork: 'hederaMainnet',
+    gasPrice: null,
+    explorerUrl: 'https://hashscan.io/mainnet'
+  })
+});
+
+const DEFAULT_NETWORK = 'testnet';
+
+/**
+ * Get the profile of a network
+ *
+ * @param {string} [name] Network name (defaults to testnet)
+ * @returns {NetworkProfile}
+ * @throws {NetworkConfigError} When the network has no profile
+ */
+function getNetworkProfile(name = DEFAULT_NETWORK) {
+  const profile = Object.prototype.hasOwnProperty.call(NETWORK_PROFILES, name) ? NETWORK_PROFILES[name] : null;
+  if (!profile) {
+    throw new NetworkConfigError(
+      `Unknown network "${name}"; use one of: ${Object.keys(NETWORK_PROFILES).join(', ')}`,
+      'UNKNOWN_NETWORK'
+    );
+  }
+  return profile;
+}
+
+/**
+ * Get the profile of HEDERA_NETWORK
+ *
+ * @param {object} [env] Environment variables (defaults to process.env)
+ * @returns {NetworkProfile}
+ * @throws {NetworkConfigError} When the network has no profile
+ */
+function networkProfileFromEnv(env = process.env) {
+  return getNetworkProfile(env.HEDERA_NETWORK || DEFAULT_NETWORK);
+}
+
+/**
+ * Get the profile whose Hardhat network deploys through the relay
+ *
+ * @param {string} hardhatNetwork Hardhat network name, e.g. "hederaTestnet"
+ * @returns {?NetworkProfile} null for networks without a profile (e.g. the in-memory "hardhat")
+ */
+function networkProfileForHardhat(hardhatNetwork) {
+  return Object.values(NETWORK_PROFILES).find((profile) => profile.hardhatNetwork === hardhatNetwork) || null;
+}
+
+/**
+ * Link to an entity on the network's explorer
+ *
+ * @param {NetworkProfile|string} network Network profile or name
+ * @param {string} type "contract", "token", "topic", "account" or "transaction"
+ * @param {string} id Entity ID, EVM address or transaction ID
+ * @returns {?string} null when no explorer indexes the network
+ */
+function explorerLink(network, type, id) {
+  const profile = typeof network === 'string' ? getNetworkProfile(network) : network;
+  return profile.explorerUrl ? `${profile.explorerUrl}/${type}/${id}` : null;
+}
+
+module.exports = {
+  DEFAULT_NETWORK,
+  NETWORK_PROFILES,
+  explorerLink,
+  getNetworkProfile,
+  networkProfileForHardhat,
+  networkProfileFromEnv
+};
@@ -0,0 +1,144 @@
+/**
+ * Operator key loading
+ *
+ * Parses the operator private key from the formats Hedera tools hand out:
+ * - DER-encoded ED25519 keys (hex starting with 302e)
+ * - DER-encoded ECDSA secp256k1 keys (hex starting with 3030 or 3074)
+ * - raw 32-byte hex keys, with or without a 0x prefix
+ *
+ * A raw key does not say which algorithm it belongs to. 0x-prefixed keys are
+ * read as ECDSA, the convention of EVM tooling; bare hex keys need
+ * OPERATOR_KEY_TYPE. A key that cannot be parsed is always an error.
+ */
+const { PrivateKey } = require('@hashgraph/sdk');
+const { OperatorKeyError } = require('./errors');
+
+const KEY_TYPES = ['ed25519', 'ecdsa'];
+
+// DER prefixes of PKCS#8 private keys, by algorithm
+const DER_PREFIXES = {
+  ed25519: ['302e020100300506032b657004220420'],
+  ecdsa: ['3030020100300706052b8104000a04220420', '307402010104']
+};
+
+const RAW_KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Parse an operator private key
+ *
+ * @param {string} keyString DER or raw hex key
+ * @param {object} [options]
+ * @param {string} [options.keyType] "ed25519" or "ecdsa"; required for bare raw hex keys
+ *   and checked against the algorithm of DER keys
+ * @returns {PrivateKey}
+ * @throws {OperatorKeyError} When the key is missing, malformed or of the wrong type
+ */
+function parseOperatorKey(keyString, { keyType } = {}) {
+  if (typeof keyString !== 'string' || keyString.trim() === '') {
+    throw new OperatorKeyError('Operator key is empty');
+  }
+  const type = keyType ? keyType.trim().toLowerCase() : null;
+  if (type && !KEY_TYPES.includes(type)) {
+    throw new OperatorKeyError(`Unknown operator key type "${keyType}" (expected one of: ${KEY_TYPES.join(', ')})`);
+  }
+
+  const trimmed = keyString.trim();
+  const prefixed = /^0x/i.test(trimmed);
+  const hex = (prefixed ? trimmed.slice(2) : trimmed).toLowerCase();
+  if (!/^[0-9a-f]+$/.test(hex)) {
+    throw new OperatorKeyError('Operator key must be hex encoded');
+  }
+
+  const derType = detectDerType(hex);
+  if (derType) {
+    if (type && type !== derType) {
+      throw new OperatorKeyError(`Operator key is a DER-encoded ${derType} key, but the key type is set to ${type}`);
+    }
+    return decode(() => PrivateKey.fromStringDer(hex), `DER-encoded ${derType}`);
+  }
+
+  if (!RAW_KEY_PATTERN.test(hex)) {
+    throw new OperatorKeyError(
+      `Operator key is neither a DER-encoded key nor a raw 32-byte key (got ${hex.length / 2} bytes)`
+    );
+  }
+
+  const rawType = type || (prefixed ? 'ecdsa' : null);
+  if (!rawType) {
+    throw new OperatorKeyError(
+      'Operator key is a raw hex key, which does not say whether it is ED25519 or ECDSA; ' +
+      'set OPERATOR_KEY_TYPE to "ed25519" or "ecdsa", or use the DER-encoded key'
+    );
+  }
+  return rawType === 'ecdsa'
+    ? decode(() => PrivateKey.fromStringECDSA(hex), 'raw ECDSA')
+    : decode(() => PrivateKey.fromStringED25519(hex), 'raw ED25519');
+}
+
+/**
+ * Load the operator key from OPERATOR_KEY (and OPERATOR_KEY_TYPE)
+ *
+ * @param {object} [env] Environment variables (defaults to process.env)
+ * @returns {PrivateKey}
+ * @throws {OperatorKeyError} When OPERATOR_KEY is missing or cannot be parsed
+ */
+function loadOperatorKey(env = process.env) {
+  if (!env.OPERATOR_KEY) {
+    throw new OperatorKeyError('Environment variable OPERATOR_KEY must be present');
+  }
+  return parseOperatorKey(env.OPERATOR_KEY, { keyType: env.OPERATOR_KEY_TYPE });
+}
+
+/**
+ * Get the 0x-prefixed EVM private key for an operator key
+ *
+ * Only ECDSA secp256k1 keys can sign EVM transactions.
+ *
+ * @param {PrivateKey} privateKey
+ * @returns {string}
+ * @throws {OperatorKeyError} When the key is not an ECDSA secp256k1 key
+ */
+function toEvmPrivateKey(privateKey) {
+  if (privateKey.type !== 'secp256k1') {
+    throw new OperatorKeyError(
+      `Operator key is an ${privateKey.type} key, which cannot sign EVM transactions; ` +
+      'use an ECDSA secp256k1 account for the JSON-RPC relay'
+    );
+  }
+  return `0x${privateKey.toStringRaw()}`;
+}
+
+/**
+ * Get the accounts list for a Hardhat JSON-RPC network from OPERATOR_KEY
+ *
+ * @param {object} [env] Environment variables (defaults to process.env)
+ * @returns {string[]} The EVM private key, or an empty list when OPERATOR_KEY is not set
+ * @throws {OperatorKeyError} When OPERATOR_KEY is invalid or not an ECDSA key
+ */
+function hardhatAccounts(env = process.env) {
+  if (!env.OPERATOR_KEY) {
+    return [];
+  }
+  return [toEvmPrivateKey(loadOperatorKey(env))];
+}
+
+function detectDerType(hex) {
+  return KEY_TYPES.find((type) => DER_PREFIXES[type].some((prefix) => hex.startsWith(prefix))) || null;
+}
+
+// Run an SDK decoder, reporting failures without echoing the key
+function decode(parse, description) {
+  try {
+    return parse();
+  } catch (error) {
+    throw new OperatorKeyError(`Operator key is not a valid ${description} key: ${error.message}`);
+  }
+}
+
+module.exports = {
+  KEY_TYPES,
+  hardhatAccounts,
+  loadOperatorKey,
+  parseOperatorKey,
+  toEvmPrivateKey
+};
@@ -0,0 +1,178 @@
+/**
+ * GeoJSON import and export of land parcels
+ *
+ * GIS tools such as QGIS read and write GeoJSON (RFC 7946): a
+ * FeatureCollection with one Polygon feature per parcel, whose ring holds the
+ * parcel's boundaries as [longitude, latitude] positions and whose properties
+ * hold the rest of the parcel record. Parcels exported with parcelsToGeoJson
+ * import back to the same records: the ring keeps its closing position, as
+ * parcel boundaries do, and positions keep their order, so the record and
+ * geometry hashes (see lib/parcel-record) do not change.
+ *
+ * Parcel boundaries are a single ring, so polygons with holes cannot be
+ * imported. A MultiPolygon of one polygon, as some GIS tools save every
+ * polygon layer, is read as that polygon.
+ */
+const fs = require('fs');
+const { GeoJsonError } = require('./errors');
+const { parcelGeometry } = require('./parcel-record');
+
+// Indexed parcel fields exported as feature properties by registryToGeoJson
+const REGISTRY_PROPERTIES = [
+  'parcelId',
+  'name',
+  'owner',
+  'ecosystemType',
+  'areaInAcres',
+  'computedAreaInAcres',
+  'conservationStatus',
+  'protectionStartDate',
+  'biodiversityRating',
+  'verificationStatus',
+  'verificationExpiresAt',
+  'creditsMinted',
+  'creditsRetired',
+  'areaReviewRequired',
+  'overlapReviewRequired',
+  'recordHash',
+  'geometryHash',
+  'registeredAt'
+];
+
+/**
+ * Build the GeoJSON Feature of a parcel record
+ *
+ * The record's parcelId and nonce stay among the properties, so a registered
+ * parcel imports back with its ID.
+ *
+ * @param {object} parcel Parcel record
+ * @returns {object} Feature with the parcel ID as its id, once the record has one
+ */
+function parcelFeature(parcel) {
+  const { boundaries, ...properties } = parcel;
+  return {
+    type: 'Feature',
+    ...(parcel.parcelId ? { id: parcel.parcelId } : {}),
+    geometry: parcelGeometry(boundaries),
+    properties
+  };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of parcel records
+ *
+ * @param {object[]} parcels Parcel records
+ * @returns {object}
+ */
+function parcelsToGeoJson(parcels) {
+  return { type: 'FeatureCollection', features: parcels.map(parcelFeature) };
+}
+
+/**
+ * Build a GeoJSON FeatureCollection of the registered parcels, for viewing the registry in GIS tools
+ *
+ * Each feature carries the parcel's registration, verification status and
+ * credits as flat properties; the parcel NFT becomes nftTokenId and nftSerial.
+ *
+ * @param {Array<ParcelState>} parcels Indexed parcels (see RegistryIndexer#getParcels)
+ * @returns {object}
+ */
+function registryToGeoJson(parcels) {
+  return {
+    type: 'FeatureCollection',
+    features: parcels.map((parcel) => {
+      const properties = {};
+      for (const field of REGISTRY_PROPERTIES) {
+        if (parcel[field] !== undefined) {
+          properties[field] = parcel[field];
+        }
+      }
+      if (parcel.nft) {
+        properties.nftTokenId = parcel.nft.tokenId;
+        properties.nftSerial = parcel.nft.serial;
+      }
+      return { type: 'Feature', id: parcel.parcelId, geometry: parcelGeometry(parcel.boundaries), properties };
+    })
+  };
+}
+
+/**
+ * Read parcel records from a GeoJSON FeatureCollection or Feature
+ *
+ * The records are not validated; pass them to validateParcel or assertValidParcel
+ * (see lib/parcel-validation) before registering them.
+ *
+ * @param {object} document GeoJSON FeatureCollection or Feature
+ * @returns {object[]} One parcel record per feature
+ * @throws {GeoJsonError} When a feature is not a single polygon without holes
+ */
+function parcelsFromGeoJson(document) {
+  let features;
+  if (document && document.type === 'FeatureCollection' && Array.isArray(document.features)) {
+    ({ features } = document);
+  } else if (document && document.type === 'Feature') {
+    features = [document];
+  } else {
+    throw new GeoJsonError('Expected a GeoJSON FeatureCollection or Feature');
+  }
+
+  return features.map((feature, index) => {
+    const label = feature && feature.properties && feature.properties.name
+      ? `Feature "${feature.properties.name}"`
+      : `Feature ${index + 1}`;
+    const ring = outerRing(feature && feature.geometry, label);
+    const boundaries = ring.map((position) => {
+      if (!Array.isArray(position) || position.length < 2) {
+        throw new GeoJsonError(`${label} has a position that is not [longitude, latitude]`);
+      }
+      return { latitude: position[1], longitude: position[0] };
+    });
+    return { ...(feature.properties || {}), boundaries };
+  });
+}
+
+/**
+ * Read a parcels file: a JSON parcel record, an array of them, or GeoJSON
+ *
+ * @param {string} filePath
+ * @returns {object[]} Parcel records
+ * @throws {GeoJsonError} When a GeoJSON file holds features that are not parcels
+ */
+function readParcelsFile(filePath) {
+  const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (contents && (contents.type === 'FeatureCollection' || contents.type === 'Feature')) {
+    return parcelsFromGeoJson(contents);
+  }
+  return Array.isArray(contents) ? contents : [contents];
+}
+
+function outerRing(geometry, label) {
+  if (!geometry) {
+    throw new GeoJsonError(`${label} has no geometry`);
+  }
+  let rings = geometry.coordinates;
+  if (geometry.type === 'MultiPolygon') {
+    if (!Array.isArray(rings) || rings.length !== 1) {
+      throw new GeoJsonError(`${label} is a MultiPolygon of ${Array.isArray(rings) ? rings.length : 0} polygons; ` +
+        'a parcel is a single polygon');
+    }
+    [rings] = rings;
+  } else if (geometry.type !== 'Polygon') {
+    throw new GeoJsonError(`${label} is a ${geometry.type}; a parcel is a Polygon`);
+  }
+  if (!Array.isArray(rings) || !Array.isArray(rings[0])) {
+    throw new GeoJsonError(`${label} has no polygon ring`);
+  }
+  if (rings.length > 1) {
+    throw new GeoJsonError(`${label} has holes, which parcel boundaries cannot represent`);
+  }
+  return rings[0];
+}
+
+module.exports = {
+  parcelFeature,
+  parcelsFromGeoJson,
+  parcelsToGeoJson,
+  readParcelsFile,
+  registryToGeoJson
+};
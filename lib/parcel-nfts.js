@@ -0,0 +1,221 @@
+/**
+ * Parcel NFTs
+ *
+ * Each registered parcel is minted as one unique NFT in the parcel
+ * collection. The NFT's metadata points at the parcel's entry on the registry
+ * topic, and the parcel.tokenized event points back at the NFT, so either can
+ * be found from the other. BIO credit issuances name the parcel's NFT, so
+ * every credit traces back to the serial it was issued for.
+ *
+ * Whoever holds the NFT owns the parcel: transferring it through this module
+ * also hands the parcel's registrant role in the BiodiversityLandParcel
+ * contract to the new holder and publishes a parcel.transferred event. NFTs
+ * moved outside this module (e.g. from a wallet) are picked up by reconcile,
+ * which compares the holder on the mirror node with the owner on the topic.
+ */
+const { ParcelNotTokenizedError } = require('./errors');
+const { parcelAddress } = require('./registry-client');
+const { publishAfterIndexedHead } = require('./registry-indexer');
+const { parcelIdOf } = require('./registry-messages');
+
+// HTS accepts at most 100 bytes of metadata per NFT
+const MAX_METADATA_SIZE = 100;
+
+/**
+ * Build the metadata of a parcel's NFT: a URI naming the registry topic and the parcel ID
+ *
+ * @param {string} topicId Registry topic
+ * @param {object} parcel Parcel record with its `parcelId`
+ * @returns {string} e.g. "hcs://biodiversity-registry/0.0.1234/<parcel ID>"
+ */
+function parcelNftMetadata(topicId, parcel) {
+  const metadata = `hcs://biodiversity-registry/${topicId}/${parcelIdOf(parcel)}`;
+  if (Buffer.byteLength(metadata) > MAX_METADATA_SIZE) {
+    throw new Error(`Parcel NFT metadata is longer than ${MAX_METADATA_SIZE} bytes: ${metadata}`);
+  }
+  return metadata;
+}
+
+/**
+ * @typedef {object} ParcelNft
+ * @property {string} tokenId NFT collection
+ * @property {number} serial Serial number of the parcel's NFT
+ */
+
+class ParcelNfts {
+  /**
+   * @param {object} options
+   * @param {BiodiversityRegistryClient} options.registry Client of the account taking the actions
+   *   (the collection's supply key for tokenize, the NFT holder for transfer)
+   * @param {string} options.topicId Registry topic
+   * @param {string} options.collectionId Parcel NFT collection
+   * @param {RegistryIndexer} options.indexer Indexer of the registry topic
+   * @param {string} [options.contractId] BiodiversityLandParcel contract whose registrant follows the NFT
+   * @param {EntityResolver} [options.resolver] Resolver for NFT holders and their EVM addresses
+   *   (needed by reconcile and by transfers without an explicit toAddress)
+   */
+  constructor({ registry, topicId, collectionId, indexer, contractId = null, resolver = null }) {
+    if (!registry || !topicId || !collectionId || !indexer) {
+      throw new Error('ParcelNfts needs a registry client, the registry topic ID, the NFT collection ID and a registry indexer');
+    }
+    this.registry = registry;
+    this.topicId = topicId.toString();
+    this.collectionId = collectionId.toString();
+    this.indexer = indexer;
+    this.contractId = contractId ? contractId.toString() : null;
+    this.resolver = resolver;
+  }
+
+  /**
+   * Get a parcel's NFT from the registry topic
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @returns {Promise<?ParcelNft>} null when the parcel is not tokenized
+   */
+  async getNft(parcel) {
+    await this.indexer.sync();
+    const indexed = await this.indexer.getParcel(parcelIdOf(parcel));
+    return indexed && indexed.nft ? indexed.nft : null;
+  }
+
+  /**
+   * Mint a registered parcel's NFT and publish the parcel.tokenized event
+   *
+   * A parcel that is already tokenized keeps its NFT, so tokenizing is safe to retry.
+   * A dry run plans the mint only, and its serial is null.
+   *
+   * @param {object} parcel Registered parcel record with its `parcelId`
+   * @returns {Promise<ParcelNft & {mintTransactionId: ?string, alreadyTokenized: boolean}>}
+   */
+  async tokenize(parcel) {
+    const existing = await this.getNft(parcel);
+    if (existing) {
+      return { ...existing, mintTransactionId: null, alreadyTokenized: true };
+    }
+
+    const metadata = parcelNftMetadata(this.topicId, parcel);
+    const mint = await this.registry.mintNft(this.collectionId, metadata);
+    if (this.registry.dryRun) {
+      // A dry run does not learn the serial, which the parcel.tokenized event names
+      return { tokenId: this.collectionId, serial: null, mintTransactionId: mint.transactionId, alreadyTokenized: false };
+    }
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordTokenization(this.topicId, {
+      parcelId,
+      tokenId: this.collectionId,
+      serial: mint.serial,
+      metadata,
+      mintTransactionId: mint.transactionId
+    }));
+
+    return { tokenId: this.collectionId, serial: mint.serial, mintTransactionId: mint.transactionId, alreadyTokenized: false };
+  }
+
+  /**
+   * Transfer a parcel's NFT from this client's account, move the parcel's
+   * registrant role in the contract and publish the parcel.transferred event
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {object} options
+   * @param {string} options.to Receiving account (must be associated with the collection)
+   * @param {string} [options.toAddress] EVM address the receiver calls the contract from
+   *   (defaults to the account's address on the mirror node)
+   * @returns {Promise<ParcelNft & {transferTransactionId: string, registrantTransactionId: ?string}>}
+   * @throws {ParcelNotTokenizedError} When the parcel has no NFT
+   */
+  async transfer(parcel, { to, toAddress }) {
+    const nft = await this.getNft(parcel);
+    if (!nft) {
+      throw new ParcelNotTokenizedError(parcel.name);
+    }
+
+    const { transactionId } = await this.registry.transferNft(nft.tokenId, nft.serial, to);
+    const registrantTransactionId = await this._moveRegistrant(parcel, to, toAddress);
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordTransfer(this.topicId, {
+      parcelId,
+      from: this.registry.operatorId.toString(),
+      to: to.toString(),
+      tokenId: nft.tokenId,
+      serial: nft.serial,
+      transferTransactionId: transactionId,
+      registrantTransactionId
+    }));
+
+    return { ...nft, transferTransactionId: transactionId, registrantTransactionId };
+  }
+
+  /**
+   * Record the transfers of parcel NFTs that moved outside this module
+   *
+   * Compares the holder of every parcel NFT on the mirror node with the
+   * parcel's owner on the registry topic and, for each difference, publishes
+   * a parcel.transferred event and hands the registrant role to the holder.
+   * Moving the registrant role of another account's parcel needs the contract
+   * owner's account.
+   *
+   * @returns {Promise<Array<{name: string, from: string, to: string, status: string, error?: string, errorCode?: string, retryable?: boolean}>>}
+   *   One entry per parcel whose owner changed
+   */
+  async reconcile() {
+    if (!this.resolver) {
+      throw new Error('ParcelNfts needs an entity resolver to reconcile NFT holders');
+    }
+    await this.indexer.sync();
+
+    const results = [];
+    for (const parcel of await this.indexer.getParcels()) {
+      if (!parcel.nft) {
+        continue;
+      }
+      const holder = await this.resolver.nftOwner(parcel.nft.tokenId, parcel.nft.serial);
+      if (!holder || holder === parcel.owner) {
+        continue;
+      }
+
+      const result = { name: parcel.name, from: parcel.owner, to: holder };
+      try {
+        const registrantTransactionId = await this._moveRegistrant(parcel, holder);
+        await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordTransfer(this.topicId, {
+          parcelId,
+          from: parcel.owner,
+          to: holder,
+          tokenId: parcel.nft.tokenId,
+          serial: parcel.nft.serial,
+          registrantTransactionId
+        }));
+        results.push({ ...result, status: 'transferred' });
+      } catch (error) {
+        results.push({
+          ...result,
+          status: 'failed',
+          error: error.message,
+          errorCode: error.code || null,
+          retryable: Boolean(error.retryable)
+        });
+      }
+    }
+    return results;
+  }
+
+  // Hand the parcel's registrant role to the new holder; null without a contract
+  async _moveRegistrant(parcel, to, toAddress) {
+    if (!this.contractId) {
+      return null;
+    }
+    const address = toAddress || await this._resolverOrFail().accountEvmAddress(to.toString());
+    const { transactionId } = await this.registry.transferRegistrant(this.contractId, parcelAddress(parcel), address);
+    return transactionId;
+  }
+
+  _resolverOrFail() {
+    if (!this.resolver) {
+      throw new Error('ParcelNfts needs an entity resolver to find the EVM address of the new holder');
+    }
+    return this.resolver;
+  }
+}
+
+module.exports = {
+  MAX_METADATA_SIZE,
+  ParcelNfts,
+  parcelNftMetadata
+};
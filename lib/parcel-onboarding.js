@@ -0,0 +1,235 @@
+/**
+ * Parcel onboarding
+ *
+ * The steps that put one checked parcel on the registry, shared by the batch
+ * registration script and the `biodiversity parcel register` command:
+ * 1. The parcel.registered event on the registry topic, with the area and
+ *    overlap checks
+ * 2. The parcel's biodiversity data in the BiodiversityLandParcel contract,
+ *    for the verifiers to attest
+ * 3. The parcel's NFT and the parcel.tokenized event linking the two (see
+ *    lib/parcel-nfts)
+ *
+ * A parcel whose declared area is outside the tolerance, or that overlaps
+ * registered land beyond the overlap tolerance, only gets step 1: the
+ * discrepancy is recorded on the topic so it can be reviewed before anything
+ * can be verified. No credits are minted here.
+ *
+ * onboardParcels takes the batch registration script's records through the
+ * checks and these steps one parcel at a time, recording the outcome of each
+ * instead of stopping at the first failure.
+ */
+const { DEFAULT_AREA_TOLERANCE, checkDeclaredArea } = require('./geo-area');
+const { DEFAULT_OVERLAP_TOLERANCE } = require('./parcel-overlap');
+const { validateParcel } = require('./parcel-validation');
+const { assignParcelId, parcelIdOf } = require('./registry-messages');
+const { ratingToScore } = require('./registry-client');
+
+/**
+ * @typedef {object} ParcelOnboarding
+ * @property {string} name Parcel name
+ * @property {string} parcelId
+ * @property {?string} nonce Nonce of the parcel ID, to keep with the record
+ * @property {object} areaCheck Declared area compared with the boundaries (see lib/geo-area)
+ * @property {OverlapCheck} overlapCheck Overlaps with registered parcels (see lib/parcel-overlap)
+ * @property {string} status "awaiting-verification", "review" or "failed"
+ * @property {string} [registrationTransactionId]
+ * @property {string} [topicSequenceNumber] Sequence number of the registration on the topic
+ * @property {string[]} [reviewReasons] "area" and/or "overlap", for a parcel registered for review
+ * @property {string} [contractTransactionId]
+ * @property {?number} [nftSerial] Serial of the parcel's NFT (null on a dry run, which does not learn it)
+ * @property {?string} [nftMintTransactionId] null when an earlier run minted the NFT
+ * @property {string} [failedStep] "registration", "contract" or "nft"
+ * @property {string} [error]
+ * @property {?string} [errorCode]
+ * @property {boolean} [retryable] Whether the failure was temporary, so onboarding again can succeed
+ */
+
+/**
+ * Register a parcel on the topic and, unless it needs review, add its data to
+ * the contract and mint its NFT
+ *
+ * A failure is recorded in the result, with the step that failed, instead of
+ * being thrown, so a batch can carry on with its other parcels.
+ *
+ * @param {object} context
+ * @param {BiodiversityRegistryClient} context.registry Client of the registrant
+ * @param {ParcelNfts} context.nfts Parcel NFTs of the registry topic (whose indexer links the events)
+ * @param {string} context.contractId BiodiversityLandParcel contract
+ * @param {?string} [context.tokenId] BIO credit token named in the registration
+ * @param {object} parcel Parcel record with its `parcelId` (see lib/registry-messages)
+ * @param {object} checks
+ * @param {object} checks.areaCheck Result of checkDeclaredArea
+ * @param {OverlapCheck} checks.overlapCheck Result of ParcelSpatialIndex#checkOverlap
+ * @returns {Promise<ParcelOnboarding>}
+ */
+async function onboardParcel({ registry, nfts, contractId, tokenId = null }, parcel, { areaCheck, overlapCheck }) {
+  const result = {
+    name: parcel.name,
+    parcelId: parcelIdOf(parcel),
+    nonce: parcel.nonce || null,
+    areaCheck,
+    overlapCheck,
+    status: 'pending'
+  };
+  const areaReview = !areaCheck.withinTolerance;
+  const overlapReview = !overlapCheck.withinTolerance;
+  let step = 'registration';
+
+  try {
+    // A parcel registered before links its registration to its latest event (as of the last sync)
+    const { state } = nfts.indexer;
+    registry.followIndexedHead(result.parcelId, state ? state.eventHeads[result.parcelId] : null);
+    const registration = await registry.registerParcel(nfts.topicId, parcel, {
+      ...(tokenId ? { tokenId } : {}),
+      parcelAddress: result.parcelId,
+      computedAreaInAcres: areaCheck.computedAcres,
+      areaReviewRequired: areaReview,
+      ...(overlapCheck.overlaps.length > 0 ? { overlaps: overlapCheck.overlaps } : {}),
+      overlapReviewRequired: overlapReview
+    });
+    result.registrationTransactionId = registration.transactionId;
+    result.topicSequenceNumber = String(registration.sequenceNumber);
+
+    if (areaReview || overlapReview) {
+      result.reviewReasons = [...(areaReview ? ['area'] : []), ...(overlapReview ? ['overlap'] : [])];
+      result.status = 'review';
+      return result;
+    }
+
+    step = 'contract';
+    const contractData = await registry.addBiodiversityData(
+      contractId,
+      result.parcelId,
+      ratingToScore(parcel.biodiversityRating),
+      parcel
+    );
+    result.contractTransactionId = contractData.transactionId;
+
+    // An NFT minted by an earlier run is kept
+    step = 'nft';
+    const nft = await nfts.tokenize(parcel);
+    result.nftSerial = nft.serial;
+    result.nftMintTransactionId = nft.mintTransactionId;
+
+    // Credits wait for the verifiers' quorum and the challenge window
+    result.status = 'awaiting-verification';
+  } catch (error) {
+    result.status = 'failed';
+    result.failedStep = step;
+    result.error = error.message;
+    result.errorCode = error.code || null;
+    result.retryable = Boolean(error.retryable);
+  }
+
+  return result;
+}
+
+/**
+ * Check and onboard a batch of parcel records, one at a time
+ *
+ * Each record is validated, given the ID this account registered it under
+ * (or a new one) and checked for its declared area and its overlaps before
+ * onboardParcel puts it on the registry. A record that fails one of these
+ * checks is recorded as failed at that step ("validation", "identification",
+ * "area-check" or "overlap-check") and skipped; a failure never stops the
+ * batch. Every parcel that reaches the topic joins the spatial index, so
+ * later parcels in the batch are measured against it too.
+ *
+ * @param {object} context
+ * @param {BiodiversityRegistryClient} context.registry Client of the registrant
+ * @param {ParcelNfts} context.nfts Parcel NFTs of the registry topic (whose indexer identifies the records)
+ * @param {string} context.contractId BiodiversityLandParcel contract
+ * @param {?string} [context.tokenId] BIO credit token named in the registrations
+ * @param {ParcelSpatialIndex} context.spatialIndex Registered parcels to measure overlaps against
+ * @param {object[]} records Parcel records, with or without their `parcelId`
+ * @param {object} [options]
+ * @param {number} [options.areaTolerance] Fraction the declared area may differ by (defaults to 0.1)
+ * @param {string} [options.areaMismatchAction] "review" (default) or "reject"
+ * @param {number} [options.overlapTolerance] Fraction of the smaller parcel an overlap may cover (defaults to 0.01)
+ * @param {string} [options.overlapAction] "review" (default) or "reject"
+ * @param {function(object, number): void} [options.onResult] Called with the result and index of each record
+ *   once it is done
+ * @returns {Promise<object[]>} One result per record: a ParcelOnboarding, or the failed check
+ */
+async function onboardParcels(context, records, {
+  areaTolerance = DEFAULT_AREA_TOLERANCE,
+  areaMismatchAction = 'review',
+  overlapTolerance = DEFAULT_OVERLAP_TOLERANCE,
+  overlapAction = 'review',
+  onResult = () => {}
+} = {}) {
+  const results = [];
+  for (const [index, record] of records.entries()) {
+    const result = await checkAndOnboard(context, record, { areaTolerance, areaMismatchAction, overlapTolerance, overlapAction });
+    results.push(result);
+    onResult(result, index);
+  }
+  return results;
+}
+
+// Check one record of a batch and onboard it, or record the check it failed
+async function checkAndOnboard({ registry, nfts, contractId, tokenId = null, spatialIndex }, record,
+  { areaTolerance, areaMismatchAction, overlapTolerance, overlapAction }) {
+  const { errors } = validateParcel(record);
+  if (errors.length > 0) {
+    return {
+      name: record && record.name,
+      status: 'failed',
+      failedStep: 'validation',
+      error: 'Parcel failed schema validation',
+      validationErrors: errors
+    };
+  }
+
+  const operatorId = registry.operatorId.toString();
+  // The ID this account registered the parcel under, or a new one
+  let parcel;
+  try {
+    parcel = assignParcelId(await nfts.indexer.identifyParcel(record, operatorId), operatorId);
+  } catch (error) {
+    return {
+      name: record.name,
+      status: 'failed',
+      failedStep: 'identification',
+      error: error.message,
+      errorCode: error.code || null,
+      parcelIds: error.parcelIds || []
+    };
+  }
+
+  const areaCheck = checkDeclaredArea(parcel, { tolerance: areaTolerance });
+  if (!areaCheck.withinTolerance && areaMismatchAction === 'reject') {
+    return {
+      name: parcel.name,
+      status: 'failed',
+      failedStep: 'area-check',
+      error: 'Declared area does not match the boundary polygon',
+      areaCheck
+    };
+  }
+
+  const overlapCheck = spatialIndex.checkOverlap(parcel, { tolerance: overlapTolerance });
+  if (!overlapCheck.withinTolerance && overlapAction === 'reject') {
+    return {
+      name: parcel.name,
+      status: 'failed',
+      failedStep: 'overlap-check',
+      error: 'Boundaries overlap a registered parcel',
+      areaCheck,
+      overlapCheck
+    };
+  }
+
+  const result = await onboardParcel({ registry, nfts, contractId, tokenId }, parcel, { areaCheck, overlapCheck });
+  // Once on the topic, the parcel's land is registered for the rest of the batch too
+  if (result.registrationTransactionId) {
+    spatialIndex.add(parcel);
+  }
+  return result;
+}
+
+module.exports = {
+  onboardParcel,
+  onboardParcels
+};
@@ -0,0 +1,214 @@
+/**
+ * Spatial index of registered parcel boundaries
+ *
+ * Credits are earned per parcel, so the same land registered as two parcels
+ * would earn them twice. The index holds the boundary polygon of every
+ * registered parcel, rebuilt from the registry topic (see
+ * lib/registry-indexer), and finds the parcels a new boundary overlaps and by
+ * how much. Polygons are bucketed in a grid of latitude/longitude cells, so
+ * only parcels in the same cells are measured.
+ *
+ * An overlap is measured against the smaller of the two parcels: a parcel
+ * inside a larger one overlaps it completely, as does a large parcel drawn
+ * around a small one. Shared edges do not overlap.
+ */
+const { ParcelOverlapError } = require('./errors');
+const {
+  SQUARE_METERS_PER_ACRE,
+  polygonAreaSquareMeters,
+  polygonBounds,
+  polygonIntersectionSquareMeters
+} = require('./geo-area');
+const { parcelIdOf } = require('./registry-messages');
+
+// Share of the smaller parcel two parcels may have in common by default (survey tolerance)
+const DEFAULT_OVERLAP_TOLERANCE = 0.01;
+
+// Size of the grid cells in degrees (about 11 km of latitude)
+const DEFAULT_CELL_SIZE = 0.1;
+
+/**
+ * @typedef {object} ParcelOverlap
+ * @property {string} parcelId Registered parcel the boundary overlaps
+ * @property {string} name Name of that parcel
+ * @property {number} sharedAreaSquareMeters Area both parcels claim
+ * @property {number} sharedAcres The same in acres (two decimals)
+ * @property {number} ratio Shared area relative to the smaller of the two parcels (0-1)
+ */
+
+/**
+ * @typedef {object} OverlapCheck
+ * @property {ParcelOverlap[]} overlaps Every registered parcel the boundary overlaps, largest overlap first
+ * @property {number} tolerance Accepted ratio
+ * @property {boolean} withinTolerance Whether no overlap's ratio exceeds the tolerance
+ */
+
+class ParcelSpatialIndex {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.cellSize] Grid cell size in degrees
+   */
+  constructor({ cellSize = DEFAULT_CELL_SIZE } = {}) {
+    if (!(cellSize > 0 && cellSize <= 180)) {
+      throw new Error('The grid cell size must be more than 0 and at most 180 degrees');
+    }
+    this.cellSize = cellSize;
+    this.parcels = new Map();
+    this.cells = new Map();
+  }
+
+  /**
+   * Index every parcel of the registry
+   *
+   * @param {Array<ParcelState>} parcels Indexed parcels (see RegistryIndexer#getParcels)
+   * @param {object} [options] ParcelSpatialIndex options
+   * @returns {ParcelSpatialIndex}
+   */
+  static fromRegistry(parcels, options = {}) {
+    const index = new ParcelSpatialIndex(options);
+    parcels.forEach((parcel) => index.add(parcel));
+    return index;
+  }
+
+  /**
+   * Number of indexed parcels
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.parcels.size;
+  }
+
+  /**
+   * Add a parcel, replacing the boundaries it was indexed with before
+   *
+   * @param {object} parcel Parcel record or indexed parcel state, with `parcelId`, `name` and `boundaries`
+   */
+  add(parcel) {
+    const parcelId = parcelIdOf(parcel);
+    this.remove(parcelId);
+    const entry = {
+      parcelId,
+      name: parcel.name,
+      boundaries: parcel.boundaries,
+      areaSquareMeters: polygonAreaSquareMeters(parcel.boundaries),
+      cells: this._cellsOf(parcel.boundaries)
+    };
+    this.parcels.set(parcelId, entry);
+    for (const cell of entry.cells) {
+      if (!this.cells.has(cell)) {
+        this.cells.set(cell, new Set());
+      }
+      this.cells.get(cell).add(parcelId);
+    }
+  }
+
+  /**
+   * Remove a parcel
+   *
+   * @param {string} parcelId
+   * @returns {boolean} Whether the parcel was indexed
+   */
+  remove(parcelId) {
+    const entry = this.parcels.get(parcelId);
+    if (!entry) {
+      return false;
+    }
+    for (const cell of entry.cells) {
+      const ids = this.cells.get(cell);
+      ids.delete(parcelId);
+      if (ids.size === 0) {
+        this.cells.delete(cell);
+      }
+    }
+    return this.parcels.delete(parcelId);
+  }
+
+  /**
+   * Find the indexed parcels a parcel's boundaries overlap
+   *
+   * The parcel itself (a parcel registered again, by its ID) is left out;
+   * another parcel of the same name is not.
+   *
+   * @param {object} parcel Parcel record with `boundaries`, and its `parcelId` once registered
+   * @returns {ParcelOverlap[]} Largest overlap first
+   */
+  findOverlaps(parcel) {
+    const parcelId = parcel.parcelId ? parcelIdOf(parcel) : null;
+    const areaSquareMeters = polygonAreaSquareMeters(parcel.boundaries);
+    const candidates = new Set();
+    for (const cell of this._cellsOf(parcel.boundaries)) {
+      (this.cells.get(cell) || []).forEach((id) => candidates.add(id));
+    }
+    candidates.delete(parcelId);
+
+    const overlaps = [];
+    for (const id of candidates) {
+      const other = this.parcels.get(id);
+      const shared = polygonIntersectionSquareMeters(parcel.boundaries, other.boundaries);
+      const smaller = Math.min(areaSquareMeters, other.areaSquareMeters);
+      if (shared > 0 && smaller > 0) {
+        overlaps.push({
+          parcelId: id,
+          name: other.name,
+          sharedAreaSquareMeters: Math.round(shared),
+          sharedAcres: Math.round(shared / SQUARE_METERS_PER_ACRE * 100) / 100,
+          ratio: Math.round(Math.min(shared / smaller, 1) * 10000) / 10000
+        });
+      }
+    }
+    return overlaps.sort((a, b) => b.sharedAreaSquareMeters - a.sharedAreaSquareMeters);
+  }
+
+  /**
+   * Check whether a parcel overlaps indexed parcels by more than the tolerance
+   *
+   * @param {object} parcel Parcel record with `name` and `boundaries`
+   * @param {object} [options]
+   * @param {number} [options.tolerance] Accepted ratio of the smaller parcel (0.01 = 1%)
+   * @returns {OverlapCheck}
+   */
+  checkOverlap(parcel, options = {}) {
+    const tolerance = options.tolerance !== undefined ? options.tolerance : DEFAULT_OVERLAP_TOLERANCE;
+    const overlaps = this.findOverlaps(parcel);
+    return {
+      overlaps,
+      tolerance,
+      withinTolerance: overlaps.every((overlap) => overlap.ratio <= tolerance)
+    };
+  }
+
+  /**
+   * Check a parcel's overlaps and throw if one is beyond the tolerance
+   *
+   * @param {object} parcel Parcel record with `name` and `boundaries`
+   * @param {object} [options] Same options as checkOverlap
+   * @returns {OverlapCheck} The check, when within tolerance
+   * @throws {ParcelOverlapError} When the parcel overlaps a registered parcel too much
+   */
+  assertNoOverlap(parcel, options = {}) {
+    const check = this.checkOverlap(parcel, options);
+    if (!check.withinTolerance) {
+      throw new ParcelOverlapError(parcel.name, check);
+    }
+    return check;
+  }
+
+  // Keys of the grid cells a polygon's bounds cover; columns wrap at the antimeridian
+  _cellsOf(boundaries) {
+    const { south, north, west, east } = polygonBounds(boundaries);
+    const columns = Math.round(360 / this.cellSize);
+    const keys = [];
+    for (let row = Math.floor((south + 90) / this.cellSize); row <= Math.floor((north + 90) / this.cellSize); row++) {
+      for (let column = Math.floor(west / this.cellSize); column <= Math.floor(east / this.cellSize); column++) {
+        keys.push(`${row}:${((column % columns) + columns) % columns}`);
+      }
+    }
+    return keys;
+  }
+}
+
+module.exports = {
+  DEFAULT_OVERLAP_TOLERANCE,
+  ParcelSpatialIndex
+};
@@ -0,0 +1,127 @@
+/**
+ * Canonical parcel records and their hashes
+ *
+ * The full parcel record is published on the registry topic; the
+ * BiodiversityLandParcel contract only stores what it needs to check it
+ * against: the sha256 hash of the canonical record, the sha256 hash of the
+ * boundary polygon, the declared area in square metres and the number of
+ * notable species. Anyone holding the record (from the parcel.registered
+ * event, or the parcels file it came from) can recompute them and compare
+ * them with the contract.
+ *
+ * The canonical record holds the parcel schema fields only (see
+ * lib/parcel-validation), so what a publisher adds to the event (owner,
+ * parcel address, NFT) does not change the hash. It is serialized with
+ * canonicalJson (see lib/registry-messages). The boundary polygon is hashed
+ * as a GeoJSON Polygon with a closed ring of [longitude, latitude] positions,
+ * so boundaries with and without a closing vertex hash the same.
+ */
+const crypto = require('crypto');
+const { SQUARE_METERS_PER_ACRE } = require('./geo-area');
+const { PARCEL_SCHEMA } = require('./parcel-validation');
+const { canonicalJson } = require('./registry-messages');
+
+/**
+ * @typedef {object} ParcelFacts
+ * @property {string} recordHash sha256 of the canonical parcel record (64 hex characters)
+ * @property {string} geometryHash sha256 of the canonical boundary polygon (64 hex characters)
+ * @property {number} areaSquareMeters Declared area, rounded to whole square metres
+ * @property {number} speciesCount Number of notable species
+ */
+
+/**
+ * Reduce a parcel record to the fields of the parcel schema
+ *
+ * @param {object} parcel Parcel record, or the payload of its parcel.registered event
+ * @returns {object}
+ */
+function canonicalParcelRecord(parcel) {
+  const record = {};
+  for (const field of Object.keys(PARCEL_SCHEMA)) {
+    if (parcel[field] !== undefined && parcel[field] !== null) {
+      record[field] = field === 'boundaries'
+        ? parcel.boundaries.map(({ latitude, longitude }) => ({ latitude, longitude }))
+        : parcel[field];
+    }
+  }
+  return record;
+}
+
+/**
+ * Build the GeoJSON Polygon of a parcel's boundaries
+ *
+ * @param {Array<{latitude: number, longitude: number}>} boundaries Polygon vertices,
+ *   with or without an explicit closing vertex
+ * @returns {{type: string, coordinates: Array<Array<number[]>>}}
+ */
+function parcelGeometry(boundaries) {
+  const ring = boundaries.map(({ latitude, longitude }) => [longitude, latitude]);
+  const [first] = ring;
+  const last = ring[ring.length - 1];
+  if (first && (first[0] !== last[0] || first[1] !== last[1])) {
+    ring.push([...first]);
+  }
+  return { type: 'Polygon', coordinates: [ring] };
+}
+
+/**
+ * Hash a parcel's canonical record
+ *
+ * @param {object} parcel Parcel record, or the payload of its parcel.registered event
+ * @returns {string} 64 hex characters
+ */
+function parcelRecordHash(parcel) {
+  return sha256(canonicalJson(canonicalParcelRecord(parcel)));
+}
+
+/**
+ * Hash a parcel's boundary polygon
+ *
+ * @param {Array<{latitude: number, longitude: number}>} boundaries Polygon vertices
+ * @returns {string} 64 hex characters
+ */
+function geometryHash(boundaries) {
+  return sha256(canonicalJson(parcelGeometry(boundaries)));
+}
+
+/**
+ * Compute what the contract stores about a parcel record
+ *
+ * @param {object} parcel Parcel record
+ * @returns {ParcelFacts}
+ */
+function parcelFacts(parcel) {
+  return {
+    recordHash: parcelRecordHash(parcel),
+    geometryHash: geometryHash(parcel.boundaries),
+    areaSquareMeters: Math.round(parcel.areaInAcres * SQUARE_METERS_PER_ACRE),
+    speciesCount: parcel.notableSpecies.length
+  };
+}
+
+/**
+ * Compare a parcel record with the data the contract holds for it
+ *
+ * @param {object} parcel Parcel record, or the payload of its parcel.registered event
+ * @param {object} data Contract data (see BiodiversityRegistryClient#getBiodiversityData)
+ * @returns {Array<{field: string, expected: *, actual: *}>} Every field that differs; empty when they match
+ */
+function compareParcelData(parcel, data) {
+  const expected = { ...parcelFacts(parcel), ecosystemType: parcel.ecosystemType };
+  return Object.entries(expected)
+    .filter(([field, value]) => data[field] !== value)
+    .map(([field, value]) => ({ field, expected: value, actual: data[field] }));
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+module.exports = {
+  canonicalParcelRecord,
+  compareParcelData,
+  geometryHash,
+  parcelFacts,
+  parcelGeometry,
+  parcelRecordHash
+};
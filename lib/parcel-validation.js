@@ -0,0 +1,336 @@
+/**
+ * Schema validation for land parcel records
+ *
+ * Parcel records follow the shape of sample-data/sample-land-parcels.json.
+ * Every script validates its parcels with this module before submitting an
+ * HCS message or a contract call, because anything written to the registry
+ * topic or the contract can never be corrected afterwards.
+ */
+const { ParcelValidationError } = require('./errors');
+const { normalizeLongitudeDelta } = require('./geo-area');
+
+// Ecosystem types accepted by the registry
+const ECOSYSTEM_TYPES = [
+  'Alpine Meadow',
+  'Alpine Wetland',
+  'Boreal Forest',
+  'Coastal Dune',
+  'Coastal Sage Scrub',
+  'Coral Reef',
+  'Cypress Wetland',
+  'Desert',
+  'Estuary',
+  'Freshwater Wetland',
+  'Grassland',
+  'Mangrove',
+  'Old Growth Forest',
+  'Peatland',
+  'Prairie Pothole',
+  'Riparian Corridor',
+  'Salt Marsh',
+  'Savanna',
+  'Temperate Forest',
+  'Tropical Dry Forest',
+  'Tropical Rainforest',
+  'Tundra'
+];
+
+// Earliest accepted protection start date (1900-01-01T00:00:00Z, Unix seconds)
+const EARLIEST_PROTECTION_DATE = -2208988800;
+
+/**
+ * Formal schema for a land parcel record.
+ * Each field lists its type, whether it is required, and a rule returning
+ * the list of problems found with a present value.
+ */
+const PARCEL_SCHEMA = {
+  name: {
+    type: 'string',
+    required: true,
+    rule: (value) => (value.trim().length === 0 ? ['must not be empty'] : [])
+  },
+  boundaries: {
+    type: 'array',
+    required: true,
+    rule: validateBoundaries
+  },
+  areaInAcres: {
+    type: 'number',
+    required: true,
+    rule: (value) => (value > 0 ? [] : ['must be greater than 0'])
+  },
+  ecosystemType: {
+    type: 'string',
+    required: true,
+    rule: (value) => (ECOSYSTEM_TYPES.includes(value)
+      ? []
+      : [`must be one of the known ecosystem types (${ECOSYSTEM_TYPES.join(', ')})`])
+  },
+  conservationStatus: {
+    type: 'string',
+    required: true,
+    rule: (value) => (value.trim().length === 0 ? ['must not be empty'] : [])
+  },
+  protectionStartDate: {
+    type: 'number',
+    required: true,
+    rule: validateProtectionStartDate
+  },
+  notableSpecies: {
+    type: 'array',
+    required: true,
+    rule: validateNotableSpecies
+  },
+  biodiversityRating: {
+    type: 'number',
+    required: true,
+    rule: (value) => (Number.isInteger(value) && value >= 1 && value <= 5
+      ? []
+      : ['must be an integer from 1 to 5'])
+  },
+  verificationNotes: {
+    type: 'string',
+    required: false,
+    rule: () => []
+  }
+};
+
+/**
+ * Validate a land parcel record against the parcel schema
+ *
+ * @param {object} parcel The parcel record to validate
+ * @param {object} [options]
+ * @param {number} [options.now] Current time in Unix seconds (defaults to the system clock)
+ * @returns {{valid: boolean, errors: Array<{field: string, message: string}>}}
+ */
+function validateParcel(parcel, options = {}) {
+  if (parcel === null || typeof parcel !== 'object' || Array.isArray(parcel)) {
+    return { valid: false, errors: [{ field: '(record)', message: 'must be an object' }] };
+  }
+
+  const errors = [];
+  for (const [field, spec] of Object.entries(PARCEL_SCHEMA)) {
+    const value = parcel[field];
+
+    if (value === undefined || value === null) {
+      if (spec.required) {
+        errors.push({ field, message: 'is required' });
+      }
+      continue;
+    }
+
+    if (!hasType(value, spec.type)) {
+      errors.push({ field, message: `must be of type ${spec.type}` });
+      continue;
+    }
+
+    for (const problem of spec.rule(value, options)) {
+      if (typeof problem === 'string') {
+        errors.push({ field, message: problem });
+      } else {
+        errors.push({ field: `${field}${problem.path}`, message: problem.message });
+      }
+    }
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a parcel and throw if it does not match the schema
+ *
+ * @param {object} parcel The parcel record to validate
+ * @param {object} [options] Same options as validateParcel
+ * @throws {ParcelValidationError} When the parcel has one or more invalid fields
+ */
+function assertValidParcel(parcel, options = {}) {
+  const { valid, errors } = validateParcel(parcel, options);
+  if (!valid) {
+    const name = parcel && typeof parcel.name === 'string' ? parcel.name : '(unnamed parcel)';
+    throw new ParcelValidationError(name, errors);
+  }
+}
+
+// Check a value against a schema type
+function hasType(value, type) {
+  if (type === 'array') {
+    return Array.isArray(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return typeof value === type;
+}
+
+// Validate the boundary polygon: coordinate ranges, closure and simplicity
+function validateBoundaries(boundaries) {
+  const problems = [];
+
+  boundaries.forEach((point, index) => {
+    if (point === null || typeof point !== 'object') {
+      problems.push({ path: `[${index}]`, message: 'must be an object with latitude and longitude' });
+      return;
+    }
+    if (typeof point.latitude !== 'number' || !Number.isFinite(point.latitude) ||
+        point.latitude < -90 || point.latitude > 90) {
+      problems.push({ path: `[${index}].latitude`, message: 'must be a number from -90 to 90' });
+    }
+    if (typeof point.longitude !== 'number' || !Number.isFinite(point.longitude) ||
+        point.longitude < -180 || point.longitude > 180) {
+      problems.push({ path: `[${index}].longitude`, message: 'must be a number from -180 to 180' });
+    }
+  });
+
+  // Geometry checks only make sense once every vertex is a valid coordinate
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  // GeoJSON linear rings repeat their first position as their last
+  if (boundaries.length > 0 && !samePoint(boundaries[0], boundaries[boundaries.length - 1])) {
+    return [{ path: '', message: 'must be a closed ring whose last vertex repeats the first' }];
+  }
+
+  const ring = contiguousRing(boundaries.slice(0, -1));
+  if (ring.length < 3) {
+    return [{ path: '', message: 'must describe a closed polygon with at least 3 distinct vertices' }];
+  }
+
+  if (planarArea(ring) === 0) {
+    return [{ path: '', message: 'must enclose a non-zero area (vertices are collinear)' }];
+  }
+
+  // The closing vertex is the last of the boundaries, so vertex i + 1 follows ring[i]
+  for (let i = 0; i < ring.length; i++) {
+    if (samePoint(ring[i], ring[(i + 1) % ring.length])) {
+      problems.push({ path: `[${i + 1}]`, message: 'repeats the previous vertex' });
+    }
+  }
+
+  const crossing = findSelfIntersection(ring);
+  if (crossing) {
+    problems.push({
+      path: '',
+      message: `polygon must not intersect itself (edge ${crossing[0]} crosses edge ${crossing[1]})`
+    });
+  }
+
+  return problems;
+}
+
+// Shift longitudes by 360° where an edge crosses the antimeridian, so the
+// planar checks see the polygon in one piece (east of 180 or west of -180)
+function contiguousRing(ring) {
+  if (ring.length === 0) {
+    return ring;
+  }
+  const start = ring[0].longitude;
+  return ring.map(({ latitude, longitude }) => ({
+    latitude,
+    longitude: start + normalizeLongitudeDelta(longitude - start)
+  }));
+}
+
+// Shoelace area in squared degrees, used only to detect degenerate polygons
+function planarArea(ring) {
+  let sum = 0;
+  for (let i = 0; i < ring.length; i++) {
+    const next = ring[(i + 1) % ring.length];
+    sum += ring[i].longitude * next.latitude - next.longitude * ring[i].latitude;
+  }
+  return Math.abs(sum) / 2;
+}
+
+function samePoint(a, b) {
+  return a.latitude === b.latitude && a.longitude === b.longitude;
+}
+
+// Find the first pair of non-adjacent polygon edges that intersect
+function findSelfIntersection(ring) {
+  const count = ring.length;
+  for (let i = 0; i < count; i++) {
+    for (let j = i + 1; j < count; j++) {
+      // Adjacent edges share a vertex and always "touch"
+      if (j === i + 1 || (i === 0 && j === count - 1)) {
+        continue;
+      }
+      if (segmentsIntersect(ring[i], ring[(i + 1) % count], ring[j], ring[(j + 1) % count])) {
+        return [i, j];
+      }
+    }
+  }
+  return null;
+}
+
+// Planar segment intersection test, treating longitude as x and latitude as y
+function segmentsIntersect(p1, p2, q1, q2) {
+  const d1 = orientation(q1, q2, p1);
+  const d2 = orientation(q1, q2, p2);
+  const d3 = orientation(p1, p2, q1);
+  const d4 = orientation(p1, p2, q2);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+      ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    return true;
+  }
+
+  return (d1 === 0 && onSegment(q1, q2, p1)) ||
+    (d2 === 0 && onSegment(q1, q2, p2)) ||
+    (d3 === 0 && onSegment(p1, p2, q1)) ||
+    (d4 === 0 && onSegment(p1, p2, q2));
+}
+
+function orientation(a, b, c) {
+  return (b.longitude - a.longitude) * (c.latitude - a.latitude) -
+    (b.latitude - a.latitude) * (c.longitude - a.longitude);
+}
+
+function onSegment(a, b, point) {
+  return Math.min(a.longitude, b.longitude) <= point.longitude &&
+    point.longitude <= Math.max(a.longitude, b.longitude) &&
+    Math.min(a.latitude, b.latitude) <= point.latitude &&
+    point.latitude <= Math.max(a.latitude, b.latitude);
+}
+
+// Protection dates are Unix seconds, no earlier than 1900 and not in the future
+function validateProtectionStartDate(value, options) {
+  const now = options.now !== undefined ? options.now : Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(value)) {
+    return ['must be a whole number of seconds since the Unix epoch'];
+  }
+  if (value > now) {
+    return value > now * 100
+      ? ['is in the future (the value looks like milliseconds; use Unix seconds)']
+      : ['must not be in the future'];
+  }
+  if (value < EARLIEST_PROTECTION_DATE) {
+    return ['must not be earlier than 1900-01-01'];
+  }
+  return [];
+}
+
+// Species lists hold unique, non-empty names
+function validateNotableSpecies(species) {
+  const problems = [];
+  const seen = new Set();
+
+  species.forEach((name, index) => {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      problems.push({ path: `[${index}]`, message: 'must be a non-empty string' });
+    } else if (seen.has(name)) {
+      problems.push({ path: `[${index}]`, message: `duplicates "${name}"` });
+    } else {
+      seen.add(name);
+    }
+  });
+
+  return problems;
+}
+
+module.exports = {
+  ECOSYSTEM_TYPES,
+  PARCEL_SCHEMA,
+  validateParcel,
+  assertValidParcel
+};
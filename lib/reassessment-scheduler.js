@@ -0,0 +1,149 @@
+/**
+ * Verification expiry and re-assessment scheduling
+ *
+ * Approvals in the BiodiversityLandParcel contract lapse after the contract's
+ * validity period, so a parcel verified years ago does not count as verified
+ * forever. The scheduler goes through every parcel on the registry topic,
+ * reads its verification from the contract and reports the parcels whose
+ * approval is about to lapse, has lapsed but is still marked approved, or has
+ * expired and waits for a re-assessment. Lapsed approvals can then be marked
+ * expired, on the contract and on the topic.
+ */
+const { parcelAddress } = require('./registry-client');
+
+// Report approvals that lapse within 30 days by default
+const DEFAULT_WARNING_PERIOD = 30 * 24 * 60 * 60;
+
+/**
+ * @typedef {object} DueParcel
+ * @property {string} name
+ * @property {string} parcelId See lib/registry-messages
+ * @property {string} due "expiring" (lapses within the warning period), "lapsed" (lapsed but
+ *   still approved in the contract) or "expired" (waiting for a re-assessment)
+ * @property {string} contractStatus Verification status in the contract
+ * @property {?string} topicStatus Verification status on the registry topic
+ * @property {?number} expiresAt When the approval lapses (Unix seconds; null once expired)
+ */
+
+class ReassessmentScheduler {
+  /**
+   * @param {object} options
+   * @param {VerificationWorkflow} options.workflow Workflow of the account taking the actions
+   * @param {RegistryIndexer} options.indexer Indexer of the registry topic, listing the parcels
+   * @param {number} [options.warningPeriod] Seconds before expiry from which an approval is reported
+   */
+  constructor({ workflow, indexer, warningPeriod = DEFAULT_WARNING_PERIOD }) {
+    if (!workflow || !indexer) {
+      throw new Error('ReassessmentScheduler needs a verification workflow and a registry indexer');
+    }
+    this.workflow = workflow;
+    this.indexer = indexer;
+    this.warningPeriod = warningPeriod;
+  }
+
+  /**
+   * Find the parcels whose verification is expiring, lapsed or expired
+   *
+   * @param {object} [options]
+   * @param {number} [options.now] Current time (Unix seconds; defaults to the system clock)
+   * @returns {Promise<DueParcel[]>} Due parcels, soonest expiry first (expired parcels last)
+   */
+  async findDue({ now = Math.floor(Date.now() / 1000) } = {}) {
+    await this.indexer.sync();
+    const { registry, contractId } = this.workflow;
+
+    const due = [];
+    for (const parcel of await this.indexer.getParcels()) {
+      const address = parcelAddress(parcel);
+      const { status } = await registry.getBiodiversityData(contractId, address);
+      const expiresAt = status === 'approved' ? await registry.getVerificationExpiry(contractId, address) : null;
+
+      let reason = null;
+      if (status === 'expired') {
+        reason = 'expired';
+      } else if (expiresAt !== null && expiresAt <= now) {
+        reason = 'lapsed';
+      } else if (expiresAt !== null && expiresAt - now <= this.warningPeriod) {
+        reason = 'expiring';
+      }
+      if (reason) {
+        due.push({
+          name: parcel.name,
+          parcelId: parcel.parcelId,
+          due: reason,
+          contractStatus: status,
+          topicStatus: parcel.verificationStatus,
+          expiresAt
+        });
+      }
+    }
+
+    return due.sort((a, b) => (a.expiresAt === null) - (b.expiresAt === null) || a.expiresAt - b.expiresAt);
+  }
+
+  /**
+   * Mark every lapsed approval as expired, on the contract and on the topic
+   *
+   * @param {DueParcel[]} due Result of findDue
+   * @returns {Promise<Array<{name: string, status: string, error?: string, errorCode?: string, retryable?: boolean}>>} Outcome per lapsed parcel
+   */
+  async expireLapsed(due) {
+    const results = [];
+    for (const parcel of due.filter((candidate) => candidate.due === 'lapsed')) {
+      try {
+        const state = await this.workflow.expire(parcel);
+        results.push({ name: parcel.name, status: state.status });
+      } catch (error) {
+        results.push({
+          name: parcel.name,
+          status: 'failed',
+          error: error.message,
+          errorCode: error.code || null,
+          retryable: Boolean(error.retryable)
+        });
+      }
+    }
+    return results;
+  }
+}
+
+/**
+ * Summarize whether a parcel's assessed biodiversity is trending up or down
+ *
+ * Only approving rounds count: a rejected round says the data was wrong,
+ * not that the biodiversity changed.
+ *
+ * @param {Array<{score: number, approved: boolean}>} history Score history, oldest first
+ *   (see BiodiversityRegistryClient#getScoreHistory)
+ * @returns {{direction: ?string, change: ?number, first: ?number, latest: ?number, rounds: number}}
+ *   direction is "up", "down" or "stable", or null with fewer than two approving rounds
+ */
+function scoreTrend(history) {
+  const scores = history.filter((record) => record.approved).map((record) => record.score);
+  if (scores.length < 2) {
+    return {
+      direction: null,
+      change: null,
+      first: scores.length > 0 ? scores[0] : null,
+      latest: scores.length > 0 ? scores[0] : null,
+      rounds: scores.length
+    };
+  }
+
+  const first = scores[0];
+  const latest = scores[scores.length - 1];
+  const change = latest - first;
+  return {
+    direction: change > 0 ? 'up' : change < 0 ? 'down' : 'stable',
+    change,
+    first,
+    latest,
+    rounds: scores.length
+  };
+}
+
+module.exports = {
+  DEFAULT_WARNING_PERIOD,
+  ReassessmentScheduler,
+  scoreTrend
+};
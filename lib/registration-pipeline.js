@@ -0,0 +1,337 @@
+/**
+ * Resumable registration → verification → mint pipeline
+ *
+ * Takes a parcel from nothing to minted credits: it creates the credit token
+ * and the registry topic, registers the parcel on the topic and its data in
+ * the BiodiversityLandParcel contract, then mints its credits and records the
+ * issuance. The verification is not the pipeline's to give: the issuance
+ * goes through VerificationWorkflow.authorizeIssuance, which refuses with a
+ * VerificationIncompleteError until the contract's verifiers approved the
+ * data and the contract reports `canIssueCredits`. The run stops there, and
+ * is resumed once they have.
+ *
+ * The run is checkpointed to a store (see lib/registry-store) after every
+ * step, and the ID of every transaction is checkpointed before it is sent,
+ * so a run that stops halfway resumes without creating a second token or
+ * topic or minting twice:
+ * - completed steps are skipped and the entity IDs they created are reused
+ * - the step that was running is settled from the receipt of its last
+ *   transaction, or from the mirror node once the network no longer keeps the
+ *   receipt (see lib/transaction-settlement); when the transaction succeeded
+ *   the step is completed from it, when it failed or never reached consensus
+ *   the step runs again
+ *
+ * A parcel record without a parcel ID gets a new one (see lib/registry-messages)
+ * when the run starts; the checkpoint keeps the ID and its nonce, so a resumed
+ * run registers the same parcel.
+ *
+ * Transient failures within a step are retried by the registry client (see
+ * BiodiversityRegistryClient); a failure that outlasts the retries stops the
+ * run, and the checkpoint says where.
+ */
+const { PipelineCheckpointError } = require('./errors');
+const { MirrorNodeClient } = require('./mirror-node');
+const { ratingToScore } = require('./registry-client');
+const { RegistryIndexer, publishAfterIndexedHead } = require('./registry-indexer');
+const { assignParcelId, parcelIdOf } = require('./registry-messages');
+const { MemoryRegistryStore } = require('./registry-store');
+const { settleTransaction } = require('./transaction-settlement');
+const { VerificationWorkflow } = require('./verification-workflow');
+
+// Checkpoint format version
+const CHECKPOINT_VERSION = 3;
+
+/**
+ * @typedef {object} PipelineStep
+ * @property {string} name Step name, the key of its output in the checkpoint
+ * @property {string} description What the step does
+ * @property {function(RegistrationPipeline, object): Promise<object>} run Run the step with the
+ *   outputs of the steps before it
+ * @property {function(RegistrationPipeline, TransactionOutcome, object, object): object} [recover]
+ *   Output of the step from the outcome of its last transaction, its pending transactions and
+ *   the outputs of the steps before it (steps without transactions simply run again)
+ */
+
+/**
+ * @typedef {object} PipelineCheckpoint
+ * @property {number} version
+ * @property {string} operatorId Account the run pays with
+ * @property {string} contractId BiodiversityLandParcel contract the parcel data goes to
+ * @property {string} parcelId Parcel the run registers
+ * @property {string} parcelName Name of the parcel when the run started
+ * @property {?string} nonce Nonce of a parcel ID the run assigned (null when the record came with its ID)
+ * @property {string[]} completedSteps Names of the completed steps, in order
+ * @property {object} outputs Output of each completed step by name
+ * @property {?string} parcelHead Hash of the parcel's latest registry event
+ * @property {?{step: string, transactions: SubmittedTransaction[]}} pending Transactions of the
+ *   step that was running, in the order they were sent
+ */
+
+// The steps, in order; each event step's output carries the eventHash the next event links to
+const STEPS = [
+  {
+    name: 'createCreditToken',
+    description: 'Create the credit token',
+    run: (pipeline) => pipeline.registry.createCreditToken(pipeline.tokenOptions),
+    recover: (pipeline, outcome) => ({ transactionId: outcome.transactionId, tokenId: outcome.tokenId })
+  },
+  {
+    name: 'createRegistryTopic',
+    description: 'Create the registry topic',
+    run: (pipeline) => pipeline.registry.createRegistryTopic(),
+    recover: (pipeline, outcome) => ({ transactionId: outcome.transactionId, topicId: outcome.topicId })
+  },
+  {
+    name: 'registerParcel',
+    description: 'Register the parcel',
+    run: (pipeline, outputs) => pipeline.registry.registerParcel(outputs.createRegistryTopic.topicId, pipeline.parcel),
+    recover: (pipeline, outcome, pending, outputs) => recoverEvent(pipeline, outcome, pending, outputs)
+  },
+  {
+    name: 'addBiodiversityData',
+    description: 'Submit the parcel data to the contract',
+    run: (pipeline) => pipeline.registry.addBiodiversityData(
+      pipeline.contractId,
+      pipeline.parcelId,
+      ratingToScore(pipeline.parcel.biodiversityRating),
+      pipeline.parcel
+    ),
+    recover: (pipeline, outcome) => ({ transactionId: outcome.transactionId })
+  },
+  {
+    // Stops the run until the verifiers approved the data and the contract reports canIssueCredits.
+    // Checkpointed on its own, so a resumed mint and its issuance record use the same calculation
+    name: 'authorizeIssuance',
+    description: 'Check the verification and calculate the issuance',
+    run: (pipeline, outputs) => pipeline.workflow(outputs).authorizeIssuance(pipeline.parcel, {
+      methodology: pipeline.methodology
+    })
+  },
+  {
+    name: 'mintCredits',
+    description: 'Mint the credits',
+    run: async (pipeline, outputs) => {
+      // Checked again, as the round may have been issued since the authorization was checkpointed
+      const { verifiedAt, allowed, amount, methodology } = outputs.authorizeIssuance;
+      await pipeline.workflow(outputs).issuanceLedger.authorize(pipeline.parcel, { verifiedAt, allowed, amount });
+      return pipeline.registry.mintCredits(outputs.createCreditToken.tokenId, amount, { memo: `BIO issuance ${methodology}` });
+    },
+    recover: (pipeline, outcome) => ({ transactionId: outcome.transactionId, totalSupply: outcome.totalSupply })
+  },
+  {
+    name: 'recordIssuance',
+    description: 'Record the issuance',
+    run: async (pipeline, outputs) => {
+      // The verifiers' events came after the registration, so the issuance links to the latest one
+      const { indexer } = pipeline.workflow(outputs);
+      const { biodiversityRating, ...issuance } = outputs.authorizeIssuance;
+      const { topicId } = outputs.createRegistryTopic;
+      return publishAfterIndexedHead(pipeline.registry, indexer, { parcelId: pipeline.parcelId }, (parcelId) => pipeline.registry.recordIssuance(topicId, {
+        parcelId,
+        tokenId: outputs.createCreditToken.tokenId,
+        mintTransactionId: outputs.mintCredits.transactionId,
+        ...issuance
+      }));
+    },
+    recover: (pipeline, outcome, pending, outputs) => recoverEvent(pipeline, outcome, pending, outputs)
+  }
+];
+
+class RegistrationPipeline {
+  /**
+   * @param {object} options
+   * @param {BiodiversityRegistryClient} options.registry Client of the paying account, the parcel's registrant
+   * @param {object} options.parcel Validated parcel record, with its biodiversityRating
+   * @param {string} options.contractId BiodiversityLandParcel contract whose verifiers verify the parcel
+   * @param {string} options.mirrorNodeUrl Mirror node, to index the registry topic for the issuance
+   *   and to settle transactions whose receipt the network no longer keeps
+   * @param {object} [options.store] Checkpoint store with async load() and save(checkpoint)
+   *   (defaults to memory)
+   * @param {object} [options.tokenOptions] Options for createCreditToken
+   * @param {string} [options.methodology] Issuance methodology ID (defaults to the current one)
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor({ registry, parcel, contractId, mirrorNodeUrl, store, tokenOptions = {}, methodology, fetch }) {
+    if (!registry || !parcel || !contractId || !mirrorNodeUrl) {
+      throw new Error('RegistrationPipeline needs a registry client, a parcel, the contract ID and a mirror node URL');
+    }
+    this.registry = registry;
+    // The record with its parcel ID, the checkpoint's once a run resumes
+    this.parcel = assignParcelId(parcel, registry.operatorId.toString());
+    this.parcelId = parcelIdOf(this.parcel);
+    // Whether the record came without an ID, so a resumed run takes the checkpoint's
+    this._assignedId = !parcel.parcelId;
+    this.contractId = contractId.toString();
+    this.mirrorNodeUrl = mirrorNodeUrl;
+    this.fetch = fetch;
+    this.store = store || new MemoryRegistryStore();
+    this.tokenOptions = tokenOptions;
+    this.methodology = methodology;
+    this.mirrorNode = new MirrorNodeClient({ url: mirrorNodeUrl, fetch });
+    this._workflow = null;
+    /**
+     * Called after each step with its name, output and how it completed: "completed" when it
+     * ran, "recovered" when an interrupted run's transaction did it, "skipped" when a
+     * resumed run had completed it already
+     * @type {?function({step: string, description: string, output: object, status: string})}
+     */
+    this.onStep = null;
+  }
+
+  /**
+   * Names of the pipeline steps, in order
+   *
+   * @returns {string[]}
+   */
+  static get steps() {
+    return STEPS.map((step) => step.name);
+  }
+
+  /**
+   * Verification workflow of the run's registrant, on the run's contract and registry topic
+   *
+   * @param {object} outputs Outputs of the completed steps, with the registry topic
+   * @returns {VerificationWorkflow}
+   */
+  workflow(outputs) {
+    if (!this._workflow) {
+      const { topicId } = outputs.createRegistryTopic;
+      this._workflow = new VerificationWorkflow({
+        registry: this.registry,
+        contractId: this.contractId,
+        topicId,
+        indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: this.mirrorNodeUrl, fetch: this.fetch })
+      });
+    }
+    return this._workflow;
+  }
+
+  /**
+   * Run the pipeline
+   *
+   * Without resume a new run starts, replacing any saved checkpoint. With
+   * resume the saved run continues (a fresh one starts when nothing was saved).
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.resume] Continue the run saved in the store
+   * @returns {Promise<object>} Output of each step by name
+   * @throws {PipelineCheckpointError} When the saved run cannot be resumed
+   * @throws {HederaTransactionError} When a step fails; resume to continue from it
+   */
+  async run({ resume = false } = {}) {
+    const saved = resume ? await this.store.load() : null;
+    const checkpoint = saved ? this._checkResumable(saved) : this._newCheckpoint();
+    await this.store.save(checkpoint);
+    if (checkpoint.parcelHead) {
+      this.registry.setParcelHead(this.parcelId, checkpoint.parcelHead);
+    }
+
+    const onSubmit = this.registry.onSubmit;
+    this.registry.onSubmit = async (transaction) => {
+      checkpoint.pending.transactions.push(transaction);
+      await this.store.save(checkpoint);
+    };
+    try {
+      for (const step of STEPS) {
+        if (checkpoint.completedSteps.includes(step.name)) {
+          this._report(step, checkpoint.outputs[step.name], 'skipped');
+          continue;
+        }
+        await this._runStep(step, checkpoint);
+      }
+    } finally {
+      this.registry.onSubmit = onSubmit;
+    }
+    return checkpoint.outputs;
+  }
+
+  async _runStep(step, checkpoint) {
+    const pending = checkpoint.pending && checkpoint.pending.step === step.name ? checkpoint.pending : null;
+    if (pending && pending.transactions.length > 0) {
+      // Transactions go out one after another, so the last one sent decides
+      const last = pending.transactions[pending.transactions.length - 1];
+      const outcome = await settleTransaction(this.registry, this.mirrorNode, last.transactionId, { step: step.name });
+      // An event stopped between its chunks is incomplete, however its last chunk went
+      if (outcome.status === 'SUCCESS' && (!last.chunks || last.chunk === last.chunks)) {
+        await this._complete(step, checkpoint, step.recover(this, outcome, pending, checkpoint.outputs), 'recovered');
+        return;
+      }
+      // The step did not go through, so it runs again with new transactions
+    }
+
+    checkpoint.pending = { step: step.name, transactions: [] };
+    await this.store.save(checkpoint);
+    const output = await step.run(this, checkpoint.outputs);
+    await this._complete(step, checkpoint, output, 'completed');
+  }
+
+  async _complete(step, checkpoint, output, status) {
+    checkpoint.outputs[step.name] = output;
+    checkpoint.completedSteps.push(step.name);
+    checkpoint.pending = null;
+    if (output.eventHash) {
+      checkpoint.parcelHead = output.eventHash;
+      this.registry.setParcelHead(this.parcelId, output.eventHash);
+    }
+    await this.store.save(checkpoint);
+    this._report(step, output, status);
+  }
+
+  _checkResumable(checkpoint) {
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new PipelineCheckpointError(`Checkpoint version ${checkpoint.version} is not supported`, 'CHECKPOINT_MISMATCH');
+    }
+    if (this._assignedId && checkpoint.parcelName === this.parcel.name && checkpoint.nonce) {
+      // The same record again: continue with the ID the interrupted run assigned it
+      this.parcel = { ...this.parcel, parcelId: checkpoint.parcelId, nonce: checkpoint.nonce };
+      this.parcelId = checkpoint.parcelId;
+      this._assignedId = false;
+    }
+    if (checkpoint.operatorId !== this.registry.operatorId.toString() || checkpoint.parcelId !== this.parcelId ||
+      checkpoint.contractId !== this.contractId) {
+      throw new PipelineCheckpointError(
+        `The checkpoint is a run of account ${checkpoint.operatorId} for parcel ${checkpoint.parcelId} ` +
+        `in contract ${checkpoint.contractId}, not of ${this.registry.operatorId} for "${this.parcel.name}" ` +
+        `in contract ${this.contractId}`, 'CHECKPOINT_MISMATCH');
+    }
+    return checkpoint;
+  }
+
+  _newCheckpoint() {
+    return {
+      version: CHECKPOINT_VERSION,
+      operatorId: this.registry.operatorId.toString(),
+      contractId: this.contractId,
+      parcelId: this.parcelId,
+      parcelName: this.parcel.name,
+      nonce: this._assignedId ? this.parcel.nonce : null,
+      completedSteps: [],
+      outputs: {},
+      parcelHead: null,
+      pending: null
+    };
+  }
+
+  _report(step, output, status) {
+    if (this.onStep) {
+      this.onStep({ step: step.name, description: step.description, output, status });
+    }
+  }
+}
+
+// RegistryEventResult of an event step from its settled transactions
+function recoverEvent(pipeline, outcome, pending, outputs) {
+  const last = pending.transactions[pending.transactions.length - 1];
+  return {
+    transactionId: pending.transactions[0].transactionId,
+    topicId: outputs.createRegistryTopic.topicId,
+    sequenceNumber: outcome.sequenceNumber,
+    parcelId: pipeline.parcelId,
+    eventHash: last.eventHash,
+    chunks: pending.transactions.length
+  };
+}
+
+module.exports = {
+  RegistrationPipeline
+};
@@ -0,0 +1,584 @@
+/**
+ * Contract operations of the registry client
+ *
+ * Parcel data and its verification in the BiodiversityLandParcel contract.
+ * Each function takes the client it runs on as its first argument;
+ * BiodiversityRegistryClient exposes them as methods.
+ */
+const {
+  ContractCallQuery,
+  ContractExecuteTransaction,
+  ContractFunctionParameters,
+  ContractId
+} = require('@hashgraph/sdk');
+const { parcelFacts } = require('../parcel-record');
+const { assertValidParcel } = require('../parcel-validation');
+const { parcelIdOf } = require('../registry-messages');
+
+// Gas limit for BiodiversityLandParcel state changes and queries
+const CONTRACT_GAS = 300000;
+
+// Gas limit for addBiodiversityData, which also appends to the assessment history
+const PARCEL_DATA_GAS = 600000;
+
+// Gas limit for verifications and attestations, which may decide the data and record its score
+const VERIFICATION_GAS = 400000;
+
+// BiodiversityLandParcel VerificationStatus values, in enum order
+const CONTRACT_VERIFICATION_STATUSES = ['unverified', 'pending', 'approved', 'rejected', 'disputed', 'expired'];
+
+/**
+ * @typedef {object} BiodiversityData
+ * @property {number} biodiversityScore Score from 0-100
+ * @property {string} ecosystemType
+ * @property {number} verificationTimestamp Unix seconds (0 when unverified)
+ * @property {string} verifier EVM address of the verifier
+ * @property {boolean} isVerified
+ * @property {string} registrant EVM address of the account that submitted the data
+ * @property {string} status One of CONTRACT_VERIFICATION_STATUSES
+ * @property {number} approvals Attestations approving the current data
+ * @property {number} rejections Attestations rejecting the current data
+ * @property {string} recordHash sha256 of the canonical parcel record (64 hex characters; see lib/parcel-record)
+ * @property {string} geometryHash sha256 of the canonical boundary polygon (64 hex characters)
+ * @property {number} areaSquareMeters Declared area in square metres
+ * @property {number} speciesCount Number of notable species
+ */
+
+/**
+ * @typedef {object} Assessment
+ * @property {number} biodiversityScore Score from 0-100
+ * @property {string} ecosystemType
+ * @property {string} recordHash sha256 of the canonical parcel record (64 hex characters)
+ * @property {string} geometryHash sha256 of the canonical boundary polygon (64 hex characters)
+ * @property {number} areaSquareMeters Declared area in square metres
+ * @property {number} speciesCount Number of notable species
+ * @property {string} registrant EVM address of the account that submitted this version
+ * @property {number} timestamp Unix seconds
+ */
+
+/**
+ * @typedef {object} VerificationPolicy
+ * @property {number} requiredAttestations Matching attestations needed to approve or reject parcel data
+ * @property {number} challengeWindow Seconds after approval during which it can be disputed
+ * @property {number} validityPeriod Seconds after approval until it lapses (0 = never)
+ */
+
+/**
+ * @typedef {object} Attestation
+ * @property {string} verifier EVM address of the verifier
+ * @property {boolean} approved
+ * @property {number} score The verifier's own score from 0-100
+ * @property {string} notes
+ * @property {number} timestamp Unix seconds
+ */
+
+/**
+ * @typedef {object} ScoreRecord
+ * @property {number} score Average score of the attestations that decided the round (0-100)
+ * @property {boolean} approved Whether the round approved the data
+ * @property {number} timestamp Unix seconds
+ * @property {number} assessment Position in the assessment history of the data the round decided
+ */
+
+/**
+ * @typedef {object} Dispute
+ * @property {string} challenger EVM address of the disputing verifier
+ * @property {string} reason
+ * @property {number} timestamp Unix seconds
+ * @property {boolean} resolved
+ * @property {boolean} upheld
+ */
+
+/**
+ * Store biodiversity data for a parcel in the BiodiversityLandParcel contract
+ *
+ * Along with the score and ecosystem type, the contract stores the hashes
+ * of the canonical parcel record and boundary polygon, the declared area
+ * and the number of notable species (see lib/parcel-record), and appends
+ * them to the parcel's assessment history.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel (with or without 0x)
+ * @param {number} biodiversityScore Score from 0-100
+ * @param {object} parcel Parcel record, as published on the registry topic
+ * @returns {Promise<TransactionResult>}
+ * @throws {ParcelValidationError} When the parcel record is not valid
+ */
+async function addBiodiversityData(client, contractId, parcelAddress, biodiversityScore, parcel) {
+  assertValidParcel(parcel);
+  const { recordHash, geometryHash, areaSquareMeters, speciesCount } = parcelFacts(parcel);
+  return executeContract(client, 'addBiodiversityData', contractId, 'addBiodiversityData',
+    new ContractFunctionParameters()
+      .addAddress(stripHexPrefix(parcelAddress))
+      .addUint256(biodiversityScore)
+      .addString(parcel.ecosystemType)
+      .addUint256(areaSquareMeters)
+      .addUint256(speciesCount)
+      .addBytes32(Buffer.from(recordHash, 'hex'))
+      .addBytes32(Buffer.from(geometryHash, 'hex')),
+    PARCEL_DATA_GAS);
+}
+
+/**
+ * Verify a parcel's biodiversity data in the BiodiversityLandParcel contract
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<TransactionResult>}
+ */
+async function verifyBiodiversityData(client, contractId, parcelAddress) {
+  return executeContract(client, 'verifyBiodiversityData', contractId, 'verifyBiodiversityData',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)), VERIFICATION_GAS);
+}
+
+/**
+ * Read a parcel's biodiversity data from the BiodiversityLandParcel contract
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<BiodiversityData>}
+ */
+async function getBiodiversityData(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getBiodiversityData', contractId, 'landParcels',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+
+  return {
+    biodiversityScore: Number(result.getUint256(0).toString()),
+    ecosystemType: result.getString(1),
+    verificationTimestamp: Number(result.getUint256(2).toString()),
+    verifier: `0x${result.getAddress(3)}`,
+    isVerified: result.getBool(4),
+    registrant: `0x${result.getAddress(5)}`,
+    status: CONTRACT_VERIFICATION_STATUSES[Number(result.getUint8(6))],
+    approvals: Number(result.getUint256(7).toString()),
+    rejections: Number(result.getUint256(8).toString()),
+    recordHash: Buffer.from(result.getBytes32(9)).toString('hex'),
+    geometryHash: Buffer.from(result.getBytes32(10)).toString('hex'),
+    areaSquareMeters: Number(result.getUint256(11).toString()),
+    speciesCount: Number(result.getUint256(12).toString())
+  };
+}
+
+/**
+ * Get every version of a parcel's data, oldest first; the last one is the current data
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<Assessment[]>}
+ */
+async function getAssessmentHistory(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getAssessmentHistory', contractId, 'getAssessmentHistory',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  const [assessments] = result.getResult([
+    'tuple(uint256 biodiversityScore, string ecosystemType, bytes32 recordHash, bytes32 geometryHash, ' +
+      'uint256 areaSquareMeters, uint256 speciesCount, address registrant, uint256 timestamp)[]'
+  ]);
+  return assessments.map((assessment) => ({
+    biodiversityScore: Number(assessment.biodiversityScore.toString()),
+    ecosystemType: assessment.ecosystemType,
+    recordHash: stripHexPrefix(assessment.recordHash),
+    geometryHash: stripHexPrefix(assessment.geometryHash),
+    areaSquareMeters: Number(assessment.areaSquareMeters.toString()),
+    speciesCount: Number(assessment.speciesCount.toString()),
+    registrant: assessment.registrant.toLowerCase(),
+    timestamp: Number(assessment.timestamp.toString())
+  }));
+}
+
+/**
+ * Submit this account's attestation on a parcel's data (registered verifiers only)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @param {object} attestation
+ * @param {boolean} [attestation.approved] Whether the data is approved (defaults to true)
+ * @param {number} attestation.score The verifier's own score from 0-100
+ * @param {string} [attestation.notes] Notes or a reference to the verifier's report
+ * @returns {Promise<TransactionResult>}
+ */
+async function attestBiodiversityData(client, contractId, parcelAddress, { approved = true, score, notes = '' }) {
+  return executeContract(client, 'attestBiodiversityData', contractId, 'attestBiodiversityData',
+    new ContractFunctionParameters()
+      .addAddress(stripHexPrefix(parcelAddress))
+      .addBool(approved)
+      .addUint256(score)
+      .addString(notes),
+    VERIFICATION_GAS);
+}
+
+/**
+ * Dispute a parcel's approval during the challenge window (registered verifiers only)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @param {string} reason Why the approval is disputed
+ * @returns {Promise<TransactionResult>}
+ */
+async function disputeVerification(client, contractId, parcelAddress, reason) {
+  return executeContract(client, 'disputeVerification', contractId, 'disputeVerification',
+    new ContractFunctionParameters()
+      .addAddress(stripHexPrefix(parcelAddress))
+      .addString(reason));
+}
+
+/**
+ * Resolve a dispute (owner only): upholding it rejects the data, dismissing it restores the approval
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @param {boolean} upheld Whether the dispute is upheld
+ * @returns {Promise<TransactionResult>}
+ */
+async function resolveDispute(client, contractId, parcelAddress, upheld) {
+  return executeContract(client, 'resolveDispute', contractId, 'resolveDispute',
+    new ContractFunctionParameters()
+      .addAddress(stripHexPrefix(parcelAddress))
+      .addBool(upheld));
+}
+
+/**
+ * Mark a parcel's approval as expired (anyone once it has lapsed, the owner at any time)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<TransactionResult>}
+ */
+async function expireVerification(client, contractId, parcelAddress) {
+  return executeContract(client, 'expireVerification', contractId, 'expireVerification',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+}
+
+/**
+ * Start a new round of attestations on a parcel's rejected, expired or lapsed data (registrant or owner)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<TransactionResult>}
+ */
+async function requestReassessment(client, contractId, parcelAddress) {
+  return executeContract(client, 'requestReassessment', contractId, 'requestReassessment',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+}
+
+/**
+ * Hand a parcel's registrant role to another account (registrant or owner)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @param {string} newRegistrant EVM address the new registrant calls the contract from
+ * @returns {Promise<TransactionResult>}
+ */
+async function transferRegistrant(client, contractId, parcelAddress, newRegistrant) {
+  return executeContract(client, 'transferRegistrant', contractId, 'transferRegistrant',
+    new ContractFunctionParameters()
+      .addAddress(stripHexPrefix(parcelAddress))
+      .addAddress(stripHexPrefix(newRegistrant)));
+}
+
+/**
+ * Set the verification quorum, challenge window and validity period (owner only)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {object} policy
+ * @param {number} policy.requiredAttestations Matching attestations needed to approve or reject parcel data
+ * @param {number} policy.challengeWindow Seconds after approval during which it can be disputed
+ * @param {number} [policy.validityPeriod] Seconds after approval until it lapses (defaults to 0, never)
+ * @returns {Promise<TransactionResult>}
+ */
+async function setVerificationPolicy(client, contractId, { requiredAttestations, challengeWindow, validityPeriod = 0 }) {
+  return executeContract(client, 'setVerificationPolicy', contractId, 'setVerificationPolicy',
+    new ContractFunctionParameters()
+      .addUint256(requiredAttestations)
+      .addUint256(challengeWindow)
+      .addUint256(validityPeriod));
+}
+
+/**
+ * Get the verification quorum, challenge window and validity period
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @returns {Promise<VerificationPolicy>}
+ */
+async function getVerificationPolicy(client, contractId) {
+  const quorum = await callContract(client, 'getVerificationPolicy', contractId, 'requiredAttestations');
+  const window = await callContract(client, 'getVerificationPolicy', contractId, 'challengeWindow');
+  const validity = await callContract(client, 'getVerificationPolicy', contractId, 'validityPeriod');
+  return {
+    requiredAttestations: Number(quorum.getUint256(0).toString()),
+    challengeWindow: Number(window.getUint256(0).toString()),
+    validityPeriod: Number(validity.getUint256(0).toString())
+  };
+}
+
+/**
+ * Get when a parcel's approval lapses
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<?number>} Unix seconds, or null when the data is not approved or approvals never lapse
+ */
+async function getVerificationExpiry(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getVerificationExpiry', contractId, 'verificationExpiresAt',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  const expiresAt = Number(result.getUint256(0).toString());
+  return expiresAt === 0 ? null : expiresAt;
+}
+
+/**
+ * Get the outcome of every verification round of a parcel, oldest first
+ *
+ * The history is kept across re-assessments and data changes, so it shows
+ * how the parcel's biodiversity developed.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<ScoreRecord[]>}
+ */
+async function getScoreHistory(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getScoreHistory', contractId, 'getScoreHistory',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  const [records] = result.getResult(['tuple(uint256 score, bool approved, uint256 timestamp, uint256 assessment)[]']);
+  return records.map((record) => ({
+    score: Number(record.score.toString()),
+    approved: record.approved,
+    timestamp: Number(record.timestamp.toString()),
+    assessment: Number(record.assessment.toString())
+  }));
+}
+
+/**
+ * Whether credits can be issued for a parcel: its data is approved, the
+ * challenge window has passed and its approvals still come from current verifiers
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<boolean>}
+ */
+async function canIssueCredits(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'canIssueCredits', contractId, 'canIssueCredits',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  return result.getBool(0);
+}
+
+/**
+ * Get every attestation on a parcel's current data
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<Attestation[]>}
+ */
+async function getAttestations(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getAttestations', contractId, 'getAttestations',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  const [attestations] = result.getResult(['tuple(address verifier, bool approved, uint256 score, string notes, uint256 timestamp)[]']);
+  return attestations.map((attestation) => ({
+    verifier: attestation.verifier.toLowerCase(),
+    approved: attestation.approved,
+    score: Number(attestation.score.toString()),
+    notes: attestation.notes,
+    timestamp: Number(attestation.timestamp.toString())
+  }));
+}
+
+/**
+ * Get the latest dispute of a parcel's current data
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} parcelAddress EVM address identifying the parcel
+ * @returns {Promise<?Dispute>} null when the data was never disputed
+ */
+async function getDispute(client, contractId, parcelAddress) {
+  const result = await callContract(client, 'getDispute', contractId, 'disputes',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(parcelAddress)));
+  const challenger = `0x${result.getAddress(0)}`;
+  if (/^0x0{40}$/.test(challenger)) {
+    return null;
+  }
+  return {
+    challenger,
+    reason: result.getString(1),
+    timestamp: Number(result.getUint256(2).toString()),
+    resolved: result.getBool(3),
+    upheld: result.getBool(4)
+  };
+}
+
+/**
+ * Grant the verifier role in the BiodiversityLandParcel contract (owner only)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} verifierAddress EVM address the verifier calls the contract from
+ * @returns {Promise<TransactionResult>}
+ */
+async function grantVerifier(client, contractId, verifierAddress) {
+  return executeContract(client, 'grantVerifier', contractId, 'grantVerifier',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(verifierAddress)));
+}
+
+/**
+ * Revoke the verifier role in the BiodiversityLandParcel contract (owner only)
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} verifierAddress EVM address of the verifier
+ * @returns {Promise<TransactionResult>}
+ */
+async function revokeVerifier(client, contractId, verifierAddress) {
+  return executeContract(client, 'revokeVerifier', contractId, 'revokeVerifier',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(verifierAddress)));
+}
+
+/**
+ * List the registered verifiers of the BiodiversityLandParcel contract
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @returns {Promise<string[]>} 0x-prefixed, lowercase EVM addresses
+ */
+async function getVerifiers(client, contractId) {
+  const result = await callContract(client, 'getVerifiers', contractId, 'getVerifiers');
+  return result.getResult(['address[]'])[0].map((address) => address.toLowerCase());
+}
+
+/**
+ * Let an account (e.g. a marketplace) move this client's tokens through the
+ * BiodiversityLandParcel contract's transferToken, or stop it
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} operatorAddress EVM address of the operator
+ * @param {boolean} approved Whether the operator can move this client's tokens
+ * @returns {Promise<TransactionResult>}
+ */
+async function setTransferOperator(client, contractId, operatorAddress, approved) {
+  return executeContract(client, 'setTransferOperator', contractId, 'setTransferOperator',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(operatorAddress)).addBool(approved));
+}
+
+/**
+ * Check whether an account can move a holder's tokens through the contract's transferToken
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @param {string} holderAddress EVM address of the holder
+ * @param {string} operatorAddress EVM address of the account to check
+ * @returns {Promise<boolean>} True for the holder itself and the operators it approved
+ */
+async function isTransferOperator(client, contractId, holderAddress, operatorAddress) {
+  const result = await callContract(client, 'isTransferOperator', contractId, 'isTransferOperator',
+    new ContractFunctionParameters().addAddress(stripHexPrefix(holderAddress)).addAddress(stripHexPrefix(operatorAddress)));
+  return result.getBool(0);
+}
+
+/**
+ * Get the owner of the BiodiversityLandParcel contract's verifier registry
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} contractId Contract ID
+ * @returns {Promise<string>} 0x-prefixed EVM address
+ */
+async function getContractOwner(client, contractId) {
+  const result = await callContract(client, 'getContractOwner', contractId, 'owner');
+  return `0x${result.getAddress(0)}`;
+}
+
+async function executeContract(client, operation, contractId, functionName, parameters, gas = CONTRACT_GAS) {
+  const { transactionId } = await client._submit(operation, new ContractExecuteTransaction()
+    .setContractId(ContractId.fromString(contractId.toString()))
+    .setGas(gas)
+    .setFunction(functionName, parameters));
+
+  return { transactionId };
+}
+
+async function callContract(client, operation, contractId, functionName, parameters) {
+  return client._query(operation, new ContractCallQuery()
+    .setContractId(ContractId.fromString(contractId.toString()))
+    .setGas(CONTRACT_GAS)
+    .setFunction(functionName, parameters));
+}
+
+/**
+ * EVM address of a parcel's record in the contract
+ *
+ * This is the parcel's ID in registry events (see lib/registry-messages).
+ *
+ * @param {object} parcel Parcel record with its `parcelId`
+ * @returns {string} 40 hex characters, without 0x prefix
+ * @throws {ParcelIdentityError} MISSING_PARCEL_ID when the record has no ID yet
+ */
+function parcelAddress(parcel) {
+  return parcelIdOf(parcel);
+}
+
+/**
+ * Convert a 1-5 biodiversity rating to the contract's 0-100 score
+ *
+ * @param {number} rating Biodiversity rating from 1 to 5
+ * @returns {number}
+ */
+function ratingToScore(rating) {
+  return rating * 20;
+}
+
+/**
+ * Convert a 0-100 score back to the nearest 1-5 biodiversity rating
+ *
+ * @param {number} score Score from 0 to 100
+ * @returns {number}
+ */
+function scoreToRating(score) {
+  return Math.min(5, Math.max(1, Math.round(score / 20)));
+}
+
+function stripHexPrefix(address) {
+  return address.startsWith('0x') ? address.slice(2) : address;
+}
+
+module.exports = {
+  CONTRACT_VERIFICATION_STATUSES,
+  addBiodiversityData,
+  attestBiodiversityData,
+  canIssueCredits,
+  disputeVerification,
+  expireVerification,
+  getAssessmentHistory,
+  getAttestations,
+  getBiodiversityData,
+  getContractOwner,
+  getDispute,
+  getScoreHistory,
+  getVerificationExpiry,
+  getVerificationPolicy,
+  getVerifiers,
+  grantVerifier,
+  isTransferOperator,
+  parcelAddress,
+  ratingToScore,
+  requestReassessment,
+  resolveDispute,
+  revokeVerifier,
+  scoreToRating,
+  setTransferOperator,
+  setVerificationPolicy,
+  transferRegistrant,
+  verifyBiodiversityData
+};
@@ -0,0 +1,812 @@
+/**
+ * Biodiversity registry client
+ *
+ * One service layer for every registry operation: creating the BIO credit
+ * token, the parcel NFT collection and the registry topic, registering and
+ * verifying parcels, minting, transferring and retiring credits, KYC and
+ * freeze controls, minting parcel NFTs, and working with the
+ * BiodiversityLandParcel contract. The same
+ * client runs against the Hedera network or the simulated ledger, and every
+ * failure surfaces as a HederaTransactionError (a ContractRevertError, with
+ * the decoded reason, when a contract reverts).
+ *
+ * Transactions a node turns away for a transient reason (BUSY,
+ * PLATFORM_TRANSACTION_NOT_CREATED, a dropped connection) are sent again with
+ * backoff. A retry resends the same signed transaction, so the network runs
+ * it at most once: when an earlier attempt did get through and only its
+ * response was lost, the retry is refused as a duplicate and the earlier
+ * attempt's receipt is returned.
+ *
+ * A client created with `dryRun` freezes and signs every transaction but
+ * sends none: each is described in `plannedTransactions` instead, and the
+ * operation goes on as if it had succeeded. Queries still run, so a dry run
+ * is checked against the current state of the network.
+ *
+ * The operations themselves live in ./token-operations, ./topic-operations
+ * and ./contract-operations, as functions that take the client as their
+ * first argument; the class exposes each of them as a method.
+ */
+const {
+  AccountId,
+  Client,
+  PrecheckStatusError,
+  PrivateKey,
+  ReceiptStatusError,
+  Status,
+  TopicMessageSubmitTransaction,
+  TransactionReceiptQuery,
+  TransactionRecordQuery,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const { HederaTransactionError } = require('../errors');
+const { getNetworkProfile } = require('../network-profiles');
+const { loadOperatorKey } = require('../operator-key');
+const tokenOperations = require('./token-operations');
+const topicOperations = require('./topic-operations');
+const contractOperations = require('./contract-operations');
+const { DEFAULT_CREDIT_MAX_SUPPLY } = tokenOperations;
+const { CONTRACT_VERIFICATION_STATUSES, parcelAddress, ratingToScore, scoreToRating } = contractOperations;
+
+// Retries of transactions turned away for a transient reason. The backoff
+// doubles from minDelay to maxDelay; all attempts stay well within the
+// transaction's 120 second valid duration, so the same signed transaction can
+// be resent each time.
+const DEFAULT_RETRY = {
+  attempts: 5,
+  minDelay: 500,
+  maxDelay: 8000,
+  delay: (milliseconds) => new Promise((resolve) => setTimeout(resolve, milliseconds))
+};
+
+// Stands in for the receipt of a transaction a dry run did not send: whatever
+// only the network assigns (new entity IDs, supply, sequence numbers) is unknown
+const DRY_RUN_RECEIPT = Object.freeze({
+  tokenId: 'unknown',
+  topicId: 'unknown',
+  totalSupply: 'unknown',
+  topicSequenceNumber: 'unknown',
+  serials: Object.freeze(['unknown'])
+});
+
+// Transaction fields shown in the description of a planned transaction, when the transaction has them
+const DESCRIBED_FIELDS = [
+  'tokenName', 'tokenSymbol', 'decimals', 'maxSupply', 'treasuryAccountId', 'topicMemo',
+  'tokenId', 'tokenIds', 'accountId', 'topicId', 'contractId', 'gas', 'amount'
+];
+
+/**
+ * @typedef {object} TransactionResult
+ * @property {string} transactionId ID of the executed transaction
+ */
+
+/**
+ * @typedef {object} RetryOptions
+ * @property {number} [attempts] Attempts per transaction, including the first
+ * @property {number} [minDelay] Milliseconds before the first retry
+ * @property {number} [maxDelay] Longest wait between attempts, in milliseconds
+ * @property {function(number): Promise<void>} [delay] Waits the given milliseconds
+ */
+
+/**
+ * @typedef {object} SubmittedTransaction
+ * @property {string} operation Registry operation sending the transaction
+ * @property {string} transactionId ID of the signed transaction, before it is sent
+ * @property {string} [eventHash] Hash of the registry event a topic message belongs to
+ * @property {number} [chunk] Which of the event's messages it is, from 1
+ * @property {number} [chunks] Number of messages the event is split into
+ */
+
+/**
+ * @typedef {object} PlannedTransaction
+ * @property {string} operation Registry operation that would send the transaction
+ * @property {string} type SDK transaction type, e.g. "TokenMintTransaction"
+ * @property {string} transactionId ID the signed transaction was given
+ * @property {string} memo Transaction memo
+ * @property {object} fields The transaction's entity IDs, amounts and settings, as strings
+ * @property {Array<{tokenId: string, accountId: string, amount: string}>} [tokenTransfers]
+ * @property {number} [messageBytes] Size of a topic message
+ * @property {string} [eventHash] Hash of the registry event a topic message belongs to
+ * @property {number} [chunk] Which of the event's messages it is, from 1
+ * @property {number} [chunks] Number of messages the event is split into
+ */
+
+/**
+ * @typedef {object} ReceiptSummary
+ * @property {string} transactionId
+ * @property {string} status Receipt status, e.g. "SUCCESS" or "TOKEN_IS_PAUSED"
+ * @property {?string} tokenId Token the transaction created
+ * @property {?string} topicId Topic the transaction created
+ * @property {?string} contractId Contract the transaction created
+ * @property {?number} sequenceNumber Sequence number of a submitted topic message
+ * @property {?string} totalSupply Token supply after a mint, burn or wipe
+ */
+
+class BiodiversityRegistryClient {
+  /**
+   * Use one of the static factories (forNetwork, forSimulation, fromEnv) instead
+   *
+   * @param {object} options
+   * @param {string} options.operatorId Account paying for and signing transactions
+   * @param {PrivateKey} options.operatorKey Key of the operator account
+   * @param {Client} [options.client] SDK client, when running against a network
+   * @param {object} [options.ledger] Simulated ledger, when running offline
+   * @param {RetryOptions} [options.retry] Retries of transactions turned away for a transient reason
+   * @param {boolean} [options.dryRun] Describe transactions in plannedTransactions instead of sending them
+   */
+  constructor({ operatorId, operatorKey, client, ledger, retry = {}, dryRun = false }) {
+    if (!client && !ledger) {
+      throw new Error('BiodiversityRegistryClient needs either an SDK client or a simulated ledger');
+    }
+    this.operatorId = AccountId.fromString(operatorId.toString());
+    this.operatorKey = operatorKey;
+    this.client = client || null;
+    this.ledger = ledger || null;
+    this.retry = { ...DEFAULT_RETRY, ...retry };
+    /**
+     * Called with a SubmittedTransaction before each transaction is first sent,
+     * e.g. to checkpoint its ID; the transaction waits for a returned promise
+     * @type {?function(SubmittedTransaction): (void|Promise<void>)}
+     */
+    this.onSubmit = null;
+    this.dryRun = dryRun;
+    /**
+     * Transactions a dry run signed but did not send, in order
+     * @type {PlannedTransaction[]}
+     */
+    this.plannedTransactions = [];
+    // Event hash of the latest event per parcel ID, for the previousHash link
+    this.parcelHeads = new Map();
+    // Hashes of every event this client published
+    this.publishedEvents = new Set();
+  }
+
+  /**
+   * Create a client for a Hedera network
+   *
+   * @param {object} options
+   * @param {string} options.operatorId Operator account ID
+   * @param {PrivateKey} options.operatorKey Operator private key
+   * @param {string} [options.network] Network name: "local", "previewnet", "testnet" or "mainnet"
+   *   (see lib/network-profiles)
+   * @param {RetryOptions} [options.retry] Retries of transactions turned away for a transient reason
+   * @param {boolean} [options.dryRun] Describe transactions instead of sending them
+   * @returns {BiodiversityRegistryClient}
+   */
+  static forNetwork({ operatorId, operatorKey, network = 'testnet', retry, dryRun }) {
+    const client = Client.forName(getNetworkProfile(network).sdkNetwork);
+    client.setOperator(AccountId.fromString(operatorId), operatorKey);
+    return new BiodiversityRegistryClient({ operatorId, operatorKey, client, retry, dryRun });
+  }
+
+  /**
+   * Create a client for the simulated ledger
+   *
+   * @param {object} options
+   * @param {object} options.ledger Simulated ledger (see lib/simulation)
+   * @param {string} [options.operatorId] Paying account (defaults to the ledger's operator;
+   *   other accounts must exist, see ledger.createAccount)
+   * @param {PrivateKey} [options.operatorKey] Operator key (signatures are not checked)
+   * @param {RetryOptions} [options.retry] Retries of transactions the ledger turns away (see
+   *   SimulatedLedger#injectFailure)
+   * @param {boolean} [options.dryRun] Describe transactions instead of sending them
+   * @returns {BiodiversityRegistryClient}
+   */
+  static forSimulation({
+    ledger,
+    operatorId = ledger.operatorId,
+    operatorKey = PrivateKey.generateED25519(),
+    retry,
+    dryRun
+  }) {
+    return new BiodiversityRegistryClient({ operatorId, operatorKey, ledger, retry, dryRun });
+  }
+
+  /**
+   * Create a network client from OPERATOR_ID, OPERATOR_KEY and HEDERA_NETWORK
+   *
+   * @param {object} [env] Environment variables (defaults to process.env)
+   * @param {object} [options]
+   * @param {string} [options.network] Network name, overriding HEDERA_NETWORK
+   * @param {boolean} [options.dryRun] Describe transactions instead of sending them
+   * @returns {BiodiversityRegistryClient}
+   * @throws {OperatorKeyError} When OPERATOR_KEY cannot be parsed (see lib/operator-key)
+   * @throws {NetworkConfigError} When the network has no profile
+   */
+  static fromEnv(env = process.env, { network, dryRun } = {}) {
+    if (!env.OPERATOR_ID || !env.OPERATOR_KEY) {
+      throw new Error('Environment variables OPERATOR_ID and OPERATOR_KEY must be present');
+    }
+    return BiodiversityRegistryClient.forNetwork({
+      operatorId: env.OPERATOR_ID,
+      operatorKey: loadOperatorKey(env),
+      network: network || env.HEDERA_NETWORK || 'testnet',
+      dryRun
+    });
+  }
+
+  /**
+   * Whether this client runs against the simulated ledger
+   *
+   * @returns {boolean}
+   */
+  get isSimulated() {
+    return this.ledger !== null;
+  }
+
+  // Tokens: the BIO credit token, parcel NFTs and their controls (see ./token-operations)
+
+  /**
+   * Create the fungible token that represents biodiversity credits
+   */
+  createCreditToken(options) {
+    return tokenOperations.createCreditToken(this, options);
+  }
+
+  /**
+   * Grant an account KYC for a token, so it can send and receive it
+   */
+  grantKyc(tokenId, accountId) {
+    return tokenOperations.grantKyc(this, tokenId, accountId);
+  }
+
+  /**
+   * Revoke an account's KYC for a token; its balance stays but can no longer move
+   */
+  revokeKyc(tokenId, accountId) {
+    return tokenOperations.revokeKyc(this, tokenId, accountId);
+  }
+
+  /**
+   * Freeze an account's holding of a token, stopping transfers from and to it
+   */
+  freezeAccount(tokenId, accountId) {
+    return tokenOperations.freezeAccount(this, tokenId, accountId);
+  }
+
+  /**
+   * Unfreeze an account's holding of a token
+   */
+  unfreezeAccount(tokenId, accountId) {
+    return tokenOperations.unfreezeAccount(this, tokenId, accountId);
+  }
+
+  /**
+   * Pause a token: no transfers, mints, burns or wipes until it is unpaused
+   */
+  pauseToken(tokenId) {
+    return tokenOperations.pauseToken(this, tokenId);
+  }
+
+  /**
+   * Unpause a paused token
+   */
+  unpauseToken(tokenId) {
+    return tokenOperations.unpauseToken(this, tokenId);
+  }
+
+  /**
+   * Create the NFT collection in which each parcel is minted as a unique token
+   */
+  createParcelCollection(options) {
+    return tokenOperations.createParcelCollection(this, options);
+  }
+
+  /**
+   * Mint credits into the token's treasury
+   */
+  mintCredits(tokenId, amount, options) {
+    return tokenOperations.mintCredits(this, tokenId, amount, options);
+  }
+
+  /**
+   * Burn credits from the token's treasury, taking them out of circulation
+   */
+  burnCredits(tokenId, amount, options) {
+    return tokenOperations.burnCredits(this, tokenId, amount, options);
+  }
+
+  /**
+   * Wipe credits from an account other than the treasury, taking them out of circulation
+   */
+  wipeCredits(tokenId, accountId, amount, options) {
+    return tokenOperations.wipeCredits(this, tokenId, accountId, amount, options);
+  }
+
+  /**
+   * Transfer credits from this client's account
+   */
+  transferCredits(tokenId, toAccountId, amount) {
+    return tokenOperations.transferCredits(this, tokenId, toAccountId, amount);
+  }
+
+  /**
+   * Mint one NFT into the collection's treasury
+   */
+  mintNft(tokenId, metadata) {
+    return tokenOperations.mintNft(this, tokenId, metadata);
+  }
+
+  /**
+   * Associate tokens with this client's account, so it can hold them
+   */
+  associateTokens(tokenIds) {
+    return tokenOperations.associateTokens(this, tokenIds);
+  }
+
+  /**
+   * Transfer an NFT from this client's account
+   */
+  transferNft(tokenId, serial, toAccountId) {
+    return tokenOperations.transferNft(this, tokenId, serial, toAccountId);
+  }
+
+  /**
+   * Get the current state of a token
+   */
+  getTokenInfo(tokenId) {
+    return tokenOperations.getTokenInfo(this, tokenId);
+  }
+
+  // Registry topic: parcels and the events published about them (see ./topic-operations)
+
+  /**
+   * Create the topic used as the land parcel registry
+   */
+  createRegistryTopic(options) {
+    return topicOperations.createRegistryTopic(this, options);
+  }
+
+  /**
+   * Validate a parcel and publish a parcel.registered event for it
+   */
+  registerParcel(topicId, parcel, extra) {
+    return topicOperations.registerParcel(this, topicId, parcel, extra);
+  }
+
+  /**
+   * Publish a parcel.verified event
+   */
+  recordVerification(topicId, verification) {
+    return topicOperations.recordVerification(this, topicId, verification);
+  }
+
+  /**
+   * Publish an attestation.submitted event for one verifier's assessment
+   */
+  recordAttestation(topicId, attestation) {
+    return topicOperations.recordAttestation(this, topicId, attestation);
+  }
+
+  /**
+   * Publish a verification.disputed event
+   */
+  recordDispute(topicId, dispute) {
+    return topicOperations.recordDispute(this, topicId, dispute);
+  }
+
+  /**
+   * Publish a dispute.resolved event
+   */
+  recordDisputeResolution(topicId, resolution) {
+    return topicOperations.recordDisputeResolution(this, topicId, resolution);
+  }
+
+  /**
+   * Publish a verification.expired event
+   */
+  recordExpiry(topicId, expiry) {
+    return topicOperations.recordExpiry(this, topicId, expiry);
+  }
+
+  /**
+   * Publish a reassessment.requested event, which starts a new verification round
+   */
+  recordReassessmentRequest(topicId, request) {
+    return topicOperations.recordReassessmentRequest(this, topicId, request);
+  }
+
+  /**
+   * Publish a parcel.tokenized event, linking a parcel to its NFT
+   */
+  recordTokenization(topicId, tokenization) {
+    return topicOperations.recordTokenization(this, topicId, tokenization);
+  }
+
+  /**
+   * Publish a parcel.transferred event, moving the parcel to the new holder of its NFT
+   */
+  recordTransfer(topicId, transfer) {
+    return topicOperations.recordTransfer(this, topicId, transfer);
+  }
+
+  /**
+   * Publish a credits.issued event so auditors can recompute the issuance
+   */
+  recordIssuance(topicId, issuance) {
+    return topicOperations.recordIssuance(this, topicId, issuance);
+  }
+
+  /**
+   * Publish a credits.retired event for the share of a retirement drawn from one parcel
+   */
+  recordRetirement(topicId, retirement) {
+    return topicOperations.recordRetirement(this, topicId, retirement);
+  }
+
+  /**
+   * Publish a registry event, linked to the last event this client published
+   * (or was told about) for the same parcel
+   */
+  publishEvent(operation, topicId, event) {
+    return topicOperations.publishEvent(this, operation, topicId, event);
+  }
+
+  /**
+   * Set the hash of a parcel's latest event, e.g. from the registry indexer,
+   * so the next event this client publishes for the parcel links to it
+   */
+  setParcelHead(parcelId, hash) {
+    return topicOperations.setParcelHead(this, parcelId, hash);
+  }
+
+  /**
+   * Link the next event of a parcel to its latest indexed event, when another
+   * publisher wrote that event
+   */
+  followIndexedHead(parcelId, indexedHead) {
+    return topicOperations.followIndexedHead(this, parcelId, indexedHead);
+  }
+
+  /**
+   * Submit a JSON message to a topic
+   */
+  submitMessage(operation, topicId, message) {
+    return topicOperations.submitMessage(this, operation, topicId, message);
+  }
+
+  // BiodiversityLandParcel contract (see ./contract-operations)
+
+  /**
+   * Store biodiversity data for a parcel in the BiodiversityLandParcel contract
+   */
+  addBiodiversityData(contractId, parcelAddress, biodiversityScore, parcel) {
+    return contractOperations.addBiodiversityData(this, contractId, parcelAddress, biodiversityScore, parcel);
+  }
+
+  /**
+   * Verify a parcel's biodiversity data in the BiodiversityLandParcel contract
+   */
+  verifyBiodiversityData(contractId, parcelAddress) {
+    return contractOperations.verifyBiodiversityData(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Read a parcel's biodiversity data from the BiodiversityLandParcel contract
+   */
+  getBiodiversityData(contractId, parcelAddress) {
+    return contractOperations.getBiodiversityData(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Get every version of a parcel's data, oldest first; the last one is the current data
+   */
+  getAssessmentHistory(contractId, parcelAddress) {
+    return contractOperations.getAssessmentHistory(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Submit this account's attestation on a parcel's data (registered verifiers only)
+   */
+  attestBiodiversityData(contractId, parcelAddress, attestation) {
+    return contractOperations.attestBiodiversityData(this, contractId, parcelAddress, attestation);
+  }
+
+  /**
+   * Dispute a parcel's approval during the challenge window (registered verifiers only)
+   */
+  disputeVerification(contractId, parcelAddress, reason) {
+    return contractOperations.disputeVerification(this, contractId, parcelAddress, reason);
+  }
+
+  /**
+   * Resolve a dispute (owner only): upholding it rejects the data, dismissing it restores the approval
+   */
+  resolveDispute(contractId, parcelAddress, upheld) {
+    return contractOperations.resolveDispute(this, contractId, parcelAddress, upheld);
+  }
+
+  /**
+   * Mark a parcel's approval as expired (anyone once it has lapsed, the owner at any time)
+   */
+  expireVerification(contractId, parcelAddress) {
+    return contractOperations.expireVerification(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Start a new round of attestations on a parcel's rejected, expired or lapsed data (registrant or owner)
+   */
+  requestReassessment(contractId, parcelAddress) {
+    return contractOperations.requestReassessment(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Hand a parcel's registrant role to another account (registrant or owner)
+   */
+  transferRegistrant(contractId, parcelAddress, newRegistrant) {
+    return contractOperations.transferRegistrant(this, contractId, parcelAddress, newRegistrant);
+  }
+
+  /**
+   * Set the verification quorum, challenge window and validity period (owner only)
+   */
+  setVerificationPolicy(contractId, policy) {
+    return contractOperations.setVerificationPolicy(this, contractId, policy);
+  }
+
+  /**
+   * Get the verification quorum, challenge window and validity period
+   */
+  getVerificationPolicy(contractId) {
+    return contractOperations.getVerificationPolicy(this, contractId);
+  }
+
+  /**
+   * Get when a parcel's approval lapses
+   */
+  getVerificationExpiry(contractId, parcelAddress) {
+    return contractOperations.getVerificationExpiry(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Get the outcome of every verification round of a parcel, oldest first
+   */
+  getScoreHistory(contractId, parcelAddress) {
+    return contractOperations.getScoreHistory(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Whether credits can be issued for a parcel: its data is approved, the
+   * challenge window has passed and its approvals still come from current verifiers
+   */
+  canIssueCredits(contractId, parcelAddress) {
+    return contractOperations.canIssueCredits(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Get every attestation on a parcel's current data
+   */
+  getAttestations(contractId, parcelAddress) {
+    return contractOperations.getAttestations(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Get the latest dispute of a parcel's current data
+   */
+  getDispute(contractId, parcelAddress) {
+    return contractOperations.getDispute(this, contractId, parcelAddress);
+  }
+
+  /**
+   * Grant the verifier role in the BiodiversityLandParcel contract (owner only)
+   */
+  grantVerifier(contractId, verifierAddress) {
+    return contractOperations.grantVerifier(this, contractId, verifierAddress);
+  }
+
+  /**
+   * Revoke the verifier role in the BiodiversityLandParcel contract (owner only)
+   */
+  revokeVerifier(contractId, verifierAddress) {
+    return contractOperations.revokeVerifier(this, contractId, verifierAddress);
+  }
+
+  /**
+   * List the registered verifiers of the BiodiversityLandParcel contract
+   */
+  getVerifiers(contractId) {
+    return contractOperations.getVerifiers(this, contractId);
+  }
+
+  /**
+   * Let an account (e.g. a marketplace) move this client's tokens through the
+   * BiodiversityLandParcel contract's transferToken, or stop it
+   */
+  setTransferOperator(contractId, operatorAddress, approved) {
+    return contractOperations.setTransferOperator(this, contractId, operatorAddress, approved);
+  }
+
+  /**
+   * Check whether an account can move a holder's tokens through the contract's transferToken
+   */
+  isTransferOperator(contractId, holderAddress, operatorAddress) {
+    return contractOperations.isTransferOperator(this, contractId, holderAddress, operatorAddress);
+  }
+
+  /**
+   * Get the owner of the BiodiversityLandParcel contract's verifier registry
+   */
+  getContractOwner(contractId) {
+    return contractOperations.getContractOwner(this, contractId);
+  }
+
+  /**
+   * Get when a transaction reached consensus, e.g. to reference it in a certificate
+   *
+   * @param {string} transactionId
+   * @returns {Promise<{transactionId: string, consensusTimestamp: ?string, memo: string}>}
+   *   consensusTimestamp as "seconds.nanos" (null for a transaction a dry run did not send)
+   */
+  async getTransactionRecord(transactionId) {
+    // A transaction a dry run did not send has no record yet
+    const planned = this.plannedTransactions.find((transaction) => transaction.transactionId === transactionId.toString());
+    if (planned) {
+      return { transactionId: planned.transactionId, consensusTimestamp: null, memo: planned.memo };
+    }
+    const record = await this._query('getTransactionRecord', new TransactionRecordQuery()
+      .setTransactionId(transactionId.toString()));
+
+    return {
+      transactionId: record.transactionId.toString(),
+      consensusTimestamp: record.consensusTimestamp.toString(),
+      memo: record.transactionMemo || ''
+    };
+  }
+
+  /**
+   * Get the receipt of a transaction, e.g. one an interrupted run sent
+   *
+   * The network keeps receipts for about three minutes after consensus; after
+   * that this fails with RECEIPT_NOT_FOUND and only the mirror node knows the
+   * outcome.
+   *
+   * @param {string} transactionId
+   * @returns {Promise<ReceiptSummary>} The receipt, whether the transaction succeeded or failed
+   */
+  async getReceipt(transactionId) {
+    const receipt = await this._query('getReceipt', new TransactionReceiptQuery()
+      .setTransactionId(transactionId.toString())
+      .setValidateStatus(false));
+
+    const status = receipt.status.toString();
+    return {
+      transactionId: transactionId.toString(),
+      status,
+      tokenId: receipt.tokenId ? receipt.tokenId.toString() : null,
+      topicId: receipt.topicId ? receipt.topicId.toString() : null,
+      contractId: receipt.contractId ? receipt.contractId.toString() : null,
+      sequenceNumber: status === 'SUCCESS' && receipt.topicSequenceNumber && !receipt.topicSequenceNumber.isZero()
+        ? Number(receipt.topicSequenceNumber.toString())
+        : null,
+      totalSupply: receipt.totalSupply ? receipt.totalSupply.toString() : null
+    };
+  }
+
+  /**
+   * Release the network connections held by the client
+   */
+  close() {
+    if (this.client) {
+      this.client.close();
+    }
+  }
+
+  // Freeze, sign and execute a transaction, returning its ID and receipt. Transient
+  // failures are retried with the same signed transaction (see the module doc).
+  async _submit(operation, transaction, context = {}) {
+    let signed;
+    try {
+      const frozen = this.ledger
+        ? this.ledger.freeze(transaction, this.operatorId.toString())
+        : transaction.freezeWith(this.client);
+      signed = await frozen.sign(this.operatorKey);
+    } catch (error) {
+      throw HederaTransactionError.from(operation, error);
+    }
+    const transactionId = signed.transactionId.toString();
+    if (this.dryRun) {
+      this.plannedTransactions.push(describeTransaction(operation, signed, transactionId, context));
+      return { transactionId, receipt: DRY_RUN_RECEIPT };
+    }
+    if (this.onSubmit) {
+      await this.onSubmit({ operation, transactionId, ...context });
+    }
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const response = this.ledger ? await this.ledger.execute(signed) : await signed.execute(this.client);
+        const receipt = await response.getReceipt(this.client);
+        return { transactionId, receipt };
+      } catch (error) {
+        if (attempt > 1 && error instanceof PrecheckStatusError && error.status === Status.DuplicateTransaction) {
+          // An earlier attempt reached the network after all
+          return { transactionId, receipt: await this._receiptOf(operation, transactionId) };
+        }
+        const failure = HederaTransactionError.from(operation, error, await this._revertData(error));
+        if (!canResend(failure) || attempt >= this.retry.attempts) {
+          throw failure;
+        }
+        await this.retry.delay(Math.min(this.retry.minDelay * 2 ** (attempt - 1), this.retry.maxDelay));
+      }
+    }
+  }
+
+  // Receipt of a transaction this client sent, failing like _submit when the transaction failed
+  async _receiptOf(operation, transactionId) {
+    const query = new TransactionReceiptQuery().setTransactionId(transactionId);
+    try {
+      return this.ledger ? await this.ledger.query(query) : await query.execute(this.client);
+    } catch (error) {
+      throw HederaTransactionError.from(operation, error, await this._revertData(error));
+    }
+  }
+
+  // Revert data of a contract transaction that reverted, from its record (receipts do not carry it)
+  async _revertData(error) {
+    if (!(error instanceof ReceiptStatusError) || error.status !== Status.ContractRevertExecuted) {
+      return null;
+    }
+    try {
+      const query = new TransactionRecordQuery()
+        .setTransactionId(error.transactionId)
+        .setValidateReceiptStatus(false);
+      const record = this.ledger ? await this.ledger.query(query) : await query.execute(this.client);
+      return record.contractFunctionResult ? record.contractFunctionResult.errorMessage : null;
+    } catch (recordError) {
+      // The revert reason is a detail; the failure is reported without it
+      return null;
+    }
+  }
+
+  async _query(operation, query) {
+    try {
+      return this.ledger ? await this.ledger.query(query) : await query.execute(this.client);
+    } catch (error) {
+      throw HederaTransactionError.from(operation, error);
+    }
+  }
+}
+
+// Whether resending the same signed transaction can get past a failure: not once it reached
+// consensus (the network would refuse it as a duplicate), and not once it expired
+function canResend(failure) {
+  return failure.retryable && failure.phase !== 'receipt' && failure.status !== 'TRANSACTION_EXPIRED';
+}
+
+// What a dry run shows of a transaction it did not send
+function describeTransaction(operation, transaction, transactionId, context) {
+  const fields = {};
+  for (const field of DESCRIBED_FIELDS) {
+    const value = transaction[field];
+    if (value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0)) {
+      fields[field] = Array.isArray(value) ? value.map(String) : value.toString();
+    }
+  }
+  const planned = {
+    operation,
+    type: transaction.constructor.name,
+    transactionId,
+    memo: transaction.transactionMemo || '',
+    fields
+  };
+  if (transaction instanceof TransferTransaction) {
+    planned.tokenTransfers = [];
+    for (const [tokenId, transfers] of transaction.tokenTransfers) {
+      for (const [accountId, amount] of transfers) {
+        planned.tokenTransfers.push({ tokenId: tokenId.toString(), accountId: accountId.toString(), amount: amount.toString() });
+      }
+    }
+  }
+  if (transaction instanceof TopicMessageSubmitTransaction) {
+    planned.messageBytes = transaction.message.length;
+  }
+  return { ...planned, ...context };
+}
+
+module.exports = {
+  BiodiversityRegistryClient,
+  CONTRACT_VERIFICATION_STATUSES,
+  DEFAULT_CREDIT_MAX_SUPPLY,
+  parcelAddress,
+  ratingToScore,
+  scoreToRating
+};
@@ -0,0 +1,398 @@
+/**
+ * Token operations of the registry client
+ *
+ * The HTS tokens of the registry: creating, minting and moving the BIO credit
+ * token and the parcel NFTs, and the controls held by the token's keys. Each
+ * function takes the client it runs on as its first argument;
+ * BiodiversityRegistryClient exposes them as methods.
+ */
+const {
+  AccountId,
+  TokenAssociateTransaction,
+  TokenBurnTransaction,
+  TokenCreateTransaction,
+  TokenFreezeTransaction,
+  TokenGrantKycTransaction,
+  TokenId,
+  TokenInfoQuery,
+  TokenMintTransaction,
+  TokenPauseTransaction,
+  TokenRevokeKycTransaction,
+  TokenSupplyType,
+  TokenType,
+  TokenUnfreezeTransaction,
+  TokenUnpauseTransaction,
+  TokenWipeTransaction,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+
+// Default cap on BIO credits ever minted (decimals 0): far above any real
+// registry, low enough that a runaway mint loop hits it
+const DEFAULT_CREDIT_MAX_SUPPLY = 1000000000;
+
+/**
+ * @typedef {object} TokenInfo
+ * @property {string} tokenId
+ * @property {string} name
+ * @property {string} symbol
+ * @property {number} decimals
+ * @property {string} totalSupply Total supply in the smallest unit (string to avoid precision loss)
+ * @property {string} treasuryAccountId
+ * @property {string} supplyType "INFINITE" or "FINITE"
+ * @property {string} maxSupply Maximum supply ("0" for infinite tokens)
+ * @property {boolean} kycRequired Whether accounts need KYC to hold the token (it has a KYC key)
+ * @property {?boolean} freezeDefault Whether new holders start frozen (null without a freeze key)
+ * @property {?boolean} paused Whether the token is paused (null without a pause key)
+ */
+
+/**
+ * Create the fungible token that represents biodiversity credits
+ *
+ * The operator's key becomes the token's admin, supply, wipe, KYC, freeze
+ * and pause key. Accounts can only hold the credits once they are associated
+ * with the token and granted KYC; the treasury is granted KYC by HTS.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {object} [options]
+ * @param {string} [options.name] Token name
+ * @param {string} [options.symbol] Token symbol
+ * @param {number} [options.decimals] Token decimals
+ * @param {string} [options.treasuryAccountId] Treasury account (defaults to the operator)
+ * @param {?(number|string)} [options.maxSupply] Most credits that can ever be minted, in the
+ *   smallest unit (defaults to DEFAULT_CREDIT_MAX_SUPPLY; null for an uncapped token)
+ * @returns {Promise<TransactionResult & {tokenId: string}>}
+ */
+async function createCreditToken(client, {
+  name = 'Biodiversity Credits',
+  symbol = 'BIO',
+  decimals = 0,
+  treasuryAccountId = client.operatorId.toString(),
+  maxSupply = DEFAULT_CREDIT_MAX_SUPPLY
+} = {}) {
+  const transaction = new TokenCreateTransaction()
+    .setTokenName(name)
+    .setTokenSymbol(symbol)
+    .setDecimals(decimals)
+    .setInitialSupply(0)
+    .setTreasuryAccountId(AccountId.fromString(treasuryAccountId))
+    .setAdminKey(client.operatorKey.publicKey)
+    .setSupplyKey(client.operatorKey.publicKey)
+    // Retiring credits held outside the treasury wipes them
+    .setWipeKey(client.operatorKey.publicKey)
+    // Compliance controls: only KYC'd accounts hold credits, and holders or the whole token can be frozen
+    .setKycKey(client.operatorKey.publicKey)
+    .setFreezeKey(client.operatorKey.publicKey)
+    .setFreezeDefault(false)
+    .setPauseKey(client.operatorKey.publicKey);
+  // HTS refuses any mint past a finite token's maxSupply, whatever the caller checked
+  if (maxSupply === null) {
+    transaction.setSupplyType(TokenSupplyType.Infinite);
+  } else {
+    if (!/^[1-9]\d*$/.test(String(maxSupply))) {
+      throw new Error(`Credit token maxSupply must be a positive whole number, not "${maxSupply}"`);
+    }
+    transaction.setSupplyType(TokenSupplyType.Finite).setMaxSupply(BigInt(String(maxSupply)));
+  }
+  const { transactionId, receipt } = await client._submit('createCreditToken', transaction);
+
+  return { transactionId, tokenId: receipt.tokenId.toString() };
+}
+
+/**
+ * Grant an account KYC for a token, so it can send and receive it
+ *
+ * Runs as the holder of the token's KYC key. The account must be associated with the token.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a KYC key
+ * @param {string} accountId Account that passed KYC
+ * @returns {Promise<TransactionResult>}
+ */
+async function grantKyc(client, tokenId, accountId) {
+  const { transactionId } = await client._submit('grantKyc', new TokenGrantKycTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAccountId(AccountId.fromString(accountId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Revoke an account's KYC for a token; its balance stays but can no longer move
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a KYC key
+ * @param {string} accountId
+ * @returns {Promise<TransactionResult>}
+ */
+async function revokeKyc(client, tokenId, accountId) {
+  const { transactionId } = await client._submit('revokeKyc', new TokenRevokeKycTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAccountId(AccountId.fromString(accountId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Freeze an account's holding of a token, stopping transfers from and to it
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a freeze key
+ * @param {string} accountId
+ * @returns {Promise<TransactionResult>}
+ */
+async function freezeAccount(client, tokenId, accountId) {
+  const { transactionId } = await client._submit('freezeAccount', new TokenFreezeTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAccountId(AccountId.fromString(accountId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Unfreeze an account's holding of a token
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a freeze key
+ * @param {string} accountId
+ * @returns {Promise<TransactionResult>}
+ */
+async function unfreezeAccount(client, tokenId, accountId) {
+  const { transactionId } = await client._submit('unfreezeAccount', new TokenUnfreezeTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAccountId(AccountId.fromString(accountId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Pause a token: no transfers, mints, burns or wipes until it is unpaused
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a pause key
+ * @returns {Promise<TransactionResult>}
+ */
+async function pauseToken(client, tokenId) {
+  const { transactionId } = await client._submit('pauseToken', new TokenPauseTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Unpause a paused token
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Token with a pause key
+ * @returns {Promise<TransactionResult>}
+ */
+async function unpauseToken(client, tokenId) {
+  const { transactionId } = await client._submit('unpauseToken', new TokenUnpauseTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString())));
+  return { transactionId };
+}
+
+/**
+ * Create the NFT collection in which each parcel is minted as a unique token
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {object} [options]
+ * @param {string} [options.name] Collection name
+ * @param {string} [options.symbol] Collection symbol
+ * @param {string} [options.treasuryAccountId] Treasury account (defaults to the operator)
+ * @returns {Promise<TransactionResult & {tokenId: string}>}
+ */
+async function createParcelCollection(client, {
+  name = 'Biodiversity Land Parcels',
+  symbol = 'BIOPARCEL',
+  treasuryAccountId = client.operatorId.toString()
+} = {}) {
+  const { transactionId, receipt } = await client._submit('createParcelCollection', new TokenCreateTransaction()
+    .setTokenName(name)
+    .setTokenSymbol(symbol)
+    .setTokenType(TokenType.NonFungibleUnique)
+    .setSupplyType(TokenSupplyType.Infinite)
+    .setDecimals(0)
+    .setInitialSupply(0)
+    .setTreasuryAccountId(AccountId.fromString(treasuryAccountId))
+    .setAdminKey(client.operatorKey.publicKey)
+    .setSupplyKey(client.operatorKey.publicKey));
+
+  return { transactionId, tokenId: receipt.tokenId.toString() };
+}
+
+/**
+ * Mint credits into the token's treasury
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Credit token
+ * @param {number} amount Amount in the smallest unit
+ * @param {object} [options]
+ * @param {string} [options.memo] Transaction memo (e.g. the issuance methodology)
+ * @returns {Promise<TransactionResult & {totalSupply: string}>}
+ */
+async function mintCredits(client, tokenId, amount, { memo } = {}) {
+  const transaction = new TokenMintTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAmount(amount);
+  if (memo) {
+    transaction.setTransactionMemo(memo);
+  }
+
+  const { transactionId, receipt } = await client._submit('mintCredits', transaction);
+  return { transactionId, totalSupply: receipt.totalSupply.toString() };
+}
+
+/**
+ * Burn credits from the token's treasury, taking them out of circulation
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Credit token
+ * @param {number} amount Amount in the smallest unit
+ * @param {object} [options]
+ * @param {string} [options.memo] Transaction memo (e.g. the retirement ID)
+ * @returns {Promise<TransactionResult & {totalSupply: string}>}
+ */
+async function burnCredits(client, tokenId, amount, { memo } = {}) {
+  const transaction = new TokenBurnTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAmount(amount);
+  if (memo) {
+    transaction.setTransactionMemo(memo);
+  }
+
+  const { transactionId, receipt } = await client._submit('burnCredits', transaction);
+  return { transactionId, totalSupply: receipt.totalSupply.toString() };
+}
+
+/**
+ * Wipe credits from an account other than the treasury, taking them out of circulation
+ *
+ * Needs the token's wipe key.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Credit token
+ * @param {string} accountId Account holding the credits
+ * @param {number} amount Amount in the smallest unit
+ * @param {object} [options]
+ * @param {string} [options.memo] Transaction memo (e.g. the retirement ID)
+ * @returns {Promise<TransactionResult & {totalSupply: string}>}
+ */
+async function wipeCredits(client, tokenId, accountId, amount, { memo } = {}) {
+  const transaction = new TokenWipeTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setAccountId(AccountId.fromString(accountId.toString()))
+    .setAmount(amount);
+  if (memo) {
+    transaction.setTransactionMemo(memo);
+  }
+
+  const { transactionId, receipt } = await client._submit('wipeCredits', transaction);
+  return { transactionId, totalSupply: receipt.totalSupply.toString() };
+}
+
+/**
+ * Transfer credits from this client's account
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId Credit token
+ * @param {string} toAccountId Receiving account (must be associated with the token and granted KYC)
+ * @param {number} amount Amount in the smallest unit
+ * @returns {Promise<TransactionResult>}
+ */
+async function transferCredits(client, tokenId, toAccountId, amount) {
+  const token = TokenId.fromString(tokenId.toString());
+  const { transactionId } = await client._submit('transferCredits', new TransferTransaction()
+    .addTokenTransfer(token, client.operatorId, -amount)
+    .addTokenTransfer(token, AccountId.fromString(toAccountId.toString()), amount));
+
+  return { transactionId };
+}
+
+/**
+ * Mint one NFT into the collection's treasury
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId NFT collection
+ * @param {string|Uint8Array} metadata NFT metadata (at most 100 bytes)
+ * @returns {Promise<TransactionResult & {serial: number}>}
+ */
+async function mintNft(client, tokenId, metadata) {
+  const { transactionId, receipt } = await client._submit('mintNft', new TokenMintTransaction()
+    .setTokenId(TokenId.fromString(tokenId.toString()))
+    .setMetadata([typeof metadata === 'string' ? Buffer.from(metadata, 'utf8') : metadata]));
+
+  return { transactionId, serial: Number(receipt.serials[0].toString()) };
+}
+
+/**
+ * Associate tokens with this client's account, so it can hold them
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string[]} tokenIds
+ * @returns {Promise<TransactionResult>}
+ */
+async function associateTokens(client, tokenIds) {
+  const { transactionId } = await client._submit('associateTokens', new TokenAssociateTransaction()
+    .setAccountId(client.operatorId)
+    .setTokenIds(tokenIds.map((tokenId) => TokenId.fromString(tokenId.toString()))));
+
+  return { transactionId };
+}
+
+/**
+ * Transfer an NFT from this client's account
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId NFT collection
+ * @param {number} serial Serial number
+ * @param {string} toAccountId Receiving account (must be associated with the collection)
+ * @returns {Promise<TransactionResult>}
+ */
+async function transferNft(client, tokenId, serial, toAccountId) {
+  const { transactionId } = await client._submit('transferNft', new TransferTransaction()
+    .addNftTransfer(TokenId.fromString(tokenId.toString()), serial, client.operatorId, AccountId.fromString(toAccountId.toString())));
+
+  return { transactionId };
+}
+
+/**
+ * Get the current state of a token
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} tokenId
+ * @returns {Promise<TokenInfo>}
+ */
+async function getTokenInfo(client, tokenId) {
+  const info = await client._query('getTokenInfo', new TokenInfoQuery()
+    .setTokenId(TokenId.fromString(tokenId.toString())));
+
+  return {
+    tokenId: info.tokenId.toString(),
+    name: info.name,
+    symbol: info.symbol,
+    decimals: Number(info.decimals),
+    totalSupply: info.totalSupply.toString(),
+    treasuryAccountId: info.treasuryAccountId ? info.treasuryAccountId.toString() : null,
+    supplyType: info.supplyType ? info.supplyType.toString() : 'INFINITE',
+    maxSupply: info.maxSupply ? info.maxSupply.toString() : '0',
+    // freezeDefault and paused are null when the token has no freeze or pause key
+    kycRequired: Boolean(info.kycKey),
+    freezeDefault: typeof info.defaultFreezeStatus === 'boolean' ? info.defaultFreezeStatus : null,
+    paused: typeof info.pauseStatus === 'boolean' ? info.pauseStatus : null
+  };
+}
+
+module.exports = {
+  DEFAULT_CREDIT_MAX_SUPPLY,
+  associateTokens,
+  burnCredits,
+  createCreditToken,
+  createParcelCollection,
+  freezeAccount,
+  getTokenInfo,
+  grantKyc,
+  mintCredits,
+  mintNft,
+  pauseToken,
+  revokeKyc,
+  transferCredits,
+  transferNft,
+  unfreezeAccount,
+  unpauseToken,
+  wipeCredits
+};
@@ -0,0 +1,434 @@
+/**
+ * Topic operations of the registry client
+ *
+ * The registry topic and the messages published on it about parcels,
+ * verifications and credits. Each function takes the client it runs on as its
+ * first argument; BiodiversityRegistryClient exposes them as methods.
+ */
+const {
+  TopicCreateTransaction,
+  TopicId,
+  TopicMessageSubmitTransaction
+} = require('@hashgraph/sdk');
+const { assertValidParcel } = require('../parcel-validation');
+const { EVENT_TYPES, assignParcelId, createEnvelope, encodeMessages, eventHash, parcelIdOf } = require('../registry-messages');
+
+/**
+ * @typedef {object} TopicMessageResult
+ * @property {string} transactionId ID of the message submit transaction
+ * @property {string} topicId Topic the message was submitted to
+ * @property {number} sequenceNumber Sequence number of the (last chunk of the) message
+ */
+
+/**
+ * @typedef {object} RegistryEventResult
+ * @property {string} transactionId ID of the (first) message submit transaction
+ * @property {string} topicId Registry topic
+ * @property {number} sequenceNumber Sequence number of the (last chunk of the) event
+ * @property {string} parcelId Parcel the event belongs to
+ * @property {string} eventHash Hash the parcel's next event links to
+ * @property {number} chunks Number of topic messages the event was split into
+ */
+
+/**
+ * Create the topic used as the land parcel registry
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {object} [options]
+ * @param {string} [options.memo] Topic memo
+ * @returns {Promise<TransactionResult & {topicId: string}>}
+ */
+async function createRegistryTopic(client, { memo = 'Biodiversity Land Registry' } = {}) {
+  const { transactionId, receipt } = await client._submit('createRegistryTopic', new TopicCreateTransaction()
+    .setAdminKey(client.operatorKey.publicKey)
+    .setSubmitKey(client.operatorKey.publicKey)
+    .setTopicMemo(memo));
+
+  return { transactionId, topicId: receipt.topicId.toString() };
+}
+
+/**
+ * Validate a parcel and publish a parcel.registered event for it
+ *
+ * A record without a parcel ID is registered as a new parcel, with an ID
+ * derived from this client's operator and a new nonce (see
+ * lib/registry-messages); keep the returned ID with the record. A record
+ * with its ID updates (or renames) that parcel, which only its registrant or
+ * owner can do.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} parcel Parcel record (see lib/parcel-validation), with its parcelId and nonce once assigned
+ * @param {object} [extra] Additional fields recorded with the registration
+ * @returns {Promise<RegistryEventResult>}
+ * @throws {ParcelValidationError} When the parcel does not match the schema
+ */
+async function registerParcel(client, topicId, parcel, extra = {}) {
+  assertValidParcel(parcel);
+  const registrant = client.operatorId.toString();
+  const { parcelId, ...record } = assignParcelId(parcel, registrant);
+  return publishEvent(client, 'registerParcel', topicId, {
+    type: EVENT_TYPES.PARCEL_REGISTERED,
+    parcelId: parcelIdOf({ ...record, parcelId }),
+    payload: {
+      ...record,
+      // The registrant the nonce derives the ID from (only checked by the first registration)
+      ...(record.nonce !== undefined ? { registrant } : {}),
+      owner: registrant,
+      ...extra
+    }
+  });
+}
+
+/**
+ * Publish a parcel.verified event
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} verification
+ * @param {string} verification.parcelId ID of the verified parcel
+ * @param {number} verification.biodiversityRating Assessed rating
+ * @param {string} [verification.verificationStatus] Outcome (defaults to "approved")
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordVerification(client, topicId, verification) {
+  const { parcelId, ...details } = verification;
+  return publishEvent(client, 'recordVerification', topicId, {
+    type: EVENT_TYPES.PARCEL_VERIFIED,
+    parcelId,
+    payload: {
+      verificationStatus: 'approved',
+      verifier: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish an attestation.submitted event for one verifier's assessment
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} attestation
+ * @param {string} attestation.parcelId ID of the assessed parcel
+ * @param {boolean} attestation.approved Whether the verifier approves the parcel data
+ * @param {number} attestation.biodiversityScore The verifier's own score from 0-100
+ * @param {string} [attestation.notes] The verifier's notes
+ * @param {string} [attestation.verifier] Verifying account (defaults to this client's operator)
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordAttestation(client, topicId, attestation) {
+  const { parcelId, ...details } = attestation;
+  return publishEvent(client, 'recordAttestation', topicId, {
+    type: EVENT_TYPES.ATTESTATION_SUBMITTED,
+    parcelId,
+    payload: {
+      verifier: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a verification.disputed event
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} dispute
+ * @param {string} dispute.parcelId ID of the disputed parcel
+ * @param {string} dispute.reason Why the approval is disputed
+ * @param {string} [dispute.challenger] Disputing account (defaults to this client's operator)
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordDispute(client, topicId, dispute) {
+  const { parcelId, ...details } = dispute;
+  return publishEvent(client, 'recordDispute', topicId, {
+    type: EVENT_TYPES.VERIFICATION_DISPUTED,
+    parcelId,
+    payload: {
+      challenger: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a dispute.resolved event
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} resolution
+ * @param {string} resolution.parcelId ID of the disputed parcel
+ * @param {boolean} resolution.upheld Whether the dispute was upheld (rejecting the parcel data)
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordDisputeResolution(client, topicId, resolution) {
+  const { parcelId, ...details } = resolution;
+  return publishEvent(client, 'recordDisputeResolution', topicId, {
+    type: EVENT_TYPES.DISPUTE_RESOLVED,
+    parcelId,
+    payload: {
+      resolvedBy: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a verification.expired event
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} expiry
+ * @param {string} expiry.parcelId ID of the parcel whose approval expired
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordExpiry(client, topicId, expiry) {
+  const { parcelId, ...details } = expiry;
+  return publishEvent(client, 'recordExpiry', topicId, {
+    type: EVENT_TYPES.VERIFICATION_EXPIRED,
+    parcelId,
+    payload: {
+      expiredBy: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a reassessment.requested event, which starts a new verification round
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} request
+ * @param {string} request.parcelId ID of the parcel to re-assess
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordReassessmentRequest(client, topicId, request) {
+  const { parcelId, ...details } = request;
+  return publishEvent(client, 'recordReassessmentRequest', topicId, {
+    type: EVENT_TYPES.REASSESSMENT_REQUESTED,
+    parcelId,
+    payload: {
+      requestedBy: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a parcel.tokenized event, linking a parcel to its NFT
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} tokenization
+ * @param {string} tokenization.parcelId ID of the parcel
+ * @param {string} tokenization.tokenId NFT collection
+ * @param {number} tokenization.serial Serial number of the parcel's NFT
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordTokenization(client, topicId, tokenization) {
+  const { parcelId, ...details } = tokenization;
+  return publishEvent(client, 'recordTokenization', topicId, {
+    type: EVENT_TYPES.PARCEL_TOKENIZED,
+    parcelId,
+    payload: details
+  });
+}
+
+/**
+ * Publish a parcel.transferred event, moving the parcel to the new holder of its NFT
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} transfer
+ * @param {string} transfer.parcelId ID of the parcel
+ * @param {string} transfer.to Account ID of the new owner
+ * @param {string} transfer.tokenId NFT collection
+ * @param {number} transfer.serial Serial number of the parcel's NFT
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordTransfer(client, topicId, transfer) {
+  const { parcelId, ...details } = transfer;
+  return publishEvent(client, 'recordTransfer', topicId, {
+    type: EVENT_TYPES.PARCEL_TRANSFERRED,
+    parcelId,
+    payload: {
+      recordedBy: client.operatorId.toString(),
+      ...details
+    }
+  });
+}
+
+/**
+ * Publish a credits.issued event so auditors can recompute the issuance
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} issuance
+ * @param {string} issuance.parcelId ID of the parcel the credits were issued for
+ * @param {string} issuance.tokenId Credit token
+ * @param {string} issuance.mintTransactionId ID of the mint transaction
+ * @param {string} issuance.methodology Methodology ID and version (see lib/issuance-methodology)
+ * @param {number} issuance.amount Amount minted
+ * @param {number} [issuance.verifiedAt] Verification round the credits were issued for: when the
+ *   contract approved the parcel's data (Unix seconds)
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordIssuance(client, topicId, issuance) {
+  const { parcelId, ...details } = issuance;
+  return publishEvent(client, 'recordIssuance', topicId, {
+    type: EVENT_TYPES.CREDITS_ISSUED,
+    parcelId,
+    payload: details
+  });
+}
+
+/**
+ * Publish a credits.retired event for the share of a retirement drawn from one parcel
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} topicId Registry topic
+ * @param {object} retirement
+ * @param {string} retirement.parcelId ID of the source parcel
+ * @param {string} retirement.retirementId ID shared by every event of the retirement
+ * @param {number} retirement.amount Credits retired from this parcel
+ * @param {string} retirement.tokenId Credit token
+ * @param {string} retirement.beneficiary On whose behalf the credits are retired
+ * @param {string} retirement.reason Why the credits are retired
+ * @param {string} retirement.retirementTransactionId Burn or wipe transaction
+ * @returns {Promise<RegistryEventResult>}
+ */
+async function recordRetirement(client, topicId, retirement) {
+  const { parcelId, ...details } = retirement;
+  return publishEvent(client, 'recordRetirement', topicId, {
+    type: EVENT_TYPES.CREDITS_RETIRED,
+    parcelId,
+    payload: details
+  });
+}
+
+/**
+ * Publish a registry event, linked to the last event this client published
+ * (or was told about) for the same parcel
+ *
+ * Envelopes over the HCS message size limit are submitted as several chunk
+ * frames, one transaction each.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} operation Name of the calling operation, used in errors
+ * @param {string} topicId Registry topic
+ * @param {object} event
+ * @param {string} event.type One of EVENT_TYPES (see lib/registry-messages)
+ * @param {string} event.parcelId
+ * @param {object} event.payload
+ * @returns {Promise<RegistryEventResult>}
+ * @throws {RegistryMessageError} When the event does not follow the message protocol
+ */
+async function publishEvent(client, operation, topicId, { type, parcelId, payload }) {
+  const envelope = createEnvelope({
+    type,
+    parcelId,
+    payload,
+    previousHash: client.parcelHeads.get(parcelId) || null
+  });
+
+  const hash = eventHash(envelope);
+  const messages = encodeMessages(envelope);
+  let first;
+  let last;
+  for (const [index, message] of messages.entries()) {
+    last = await submitTopicMessage(client, operation, topicId, message, { eventHash: hash, chunk: index + 1, chunks: messages.length });
+    first = first || last;
+  }
+
+  client.parcelHeads.set(parcelId, hash);
+  client.publishedEvents.add(hash);
+  return {
+    ...first,
+    sequenceNumber: last.sequenceNumber,
+    parcelId,
+    eventHash: hash,
+    chunks: messages.length
+  };
+}
+
+/**
+ * Set the hash of a parcel's latest event, e.g. from the registry indexer,
+ * so the next event this client publishes for the parcel links to it
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} parcelId
+ * @param {?string} hash Event hash, or null for a parcel without events
+ */
+function setParcelHead(client, parcelId, hash) {
+  if (hash) {
+    client.parcelHeads.set(parcelId, hash);
+  } else {
+    client.parcelHeads.delete(parcelId);
+  }
+}
+
+/**
+ * Link the next event of a parcel to its latest indexed event, when another
+ * publisher wrote that event
+ *
+ * An indexed head this client published itself may lag behind the events it
+ * published since (the mirror node trails consensus), so it is ignored.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} parcelId
+ * @param {?string} indexedHead Latest event hash of the parcel in the registry indexer
+ */
+function followIndexedHead(client, parcelId, indexedHead) {
+  if (indexedHead && !client.publishedEvents.has(indexedHead)) {
+    client.parcelHeads.set(parcelId, indexedHead);
+  }
+}
+
+/**
+ * Submit a JSON message to a topic
+ *
+ * Registry events should go through publishEvent; this is for other topics.
+ *
+ * @param {BiodiversityRegistryClient} client
+ * @param {string} operation Name of the calling operation, used in errors
+ * @param {string} topicId Target topic
+ * @param {object} message Message body, serialized as JSON
+ * @returns {Promise<TopicMessageResult>}
+ */
+async function submitMessage(client, operation, topicId, message) {
+  return submitTopicMessage(client, operation, topicId, JSON.stringify(message));
+}
+
+async function submitTopicMessage(client, operation, topicId, message, context = {}) {
+  const { transactionId, receipt } = await client._submit(operation, new TopicMessageSubmitTransaction({
+    topicId: TopicId.fromString(topicId.toString()),
+    message
+  }), context);
+
+  return {
+    transactionId,
+    topicId: topicId.toString(),
+    sequenceNumber: Number(receipt.topicSequenceNumber.toString())
+  };
+}
+
+module.exports = {
+  createRegistryTopic,
+  followIndexedHead,
+  publishEvent,
+  recordAttestation,
+  recordDispute,
+  recordDisputeResolution,
+  recordExpiry,
+  recordIssuance,
+  recordReassessmentRequest,
+  recordRetirement,
+  recordTokenization,
+  recordTransfer,
+  recordVerification,
+  registerParcel,
+  setParcelHead,
+  submitMessage
+};
@@ -0,0 +1,304 @@
+/**
+ * Registry indexer
+ *
+ * Pages through the land registry topic on the mirror node, in consensus
+ * order, and folds every message into the registry state (see
+ * lib/registry-state). The state is saved after each page, and the next sync
+ * continues after the last consensus timestamp it saw.
+ *
+ * Each registry event the state accepts can be handed to `onEvent` (see
+ * lib/event-watcher) before its page is saved. When the handler fails, the
+ * page is not saved and the next sync reads it again, so every accepted event
+ * reaches the handler at least once.
+ *
+ * A message that cannot be applied is recorded in the state's `rejected`
+ * list and skipped, so it never holds up the messages after it.
+ */
+const { MirrorNodeError, ParcelIdentityError } = require('./errors');
+const { MirrorNodeClient, mirrorNodeUrlFromEnv } = require('./mirror-node');
+const { parcelIdOf } = require('./registry-messages');
+const { applyTopicMessage, createRegistryState } = require('./registry-state');
+const { MemoryRegistryStore } = require('./registry-store');
+
+// Messages per mirror node page (the mirror node maximum)
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * @typedef {object} SyncResult
+ * @property {number} processed Messages (chunks) read from the topic in this sync
+ * @property {?string} lastConsensusTimestamp Consensus timestamp the next sync resumes after
+ * @property {number} parcels Number of parcels in the state
+ */
+
+/**
+ * @typedef {object} AppliedRegistryEvent
+ * @property {object} envelope The event's envelope (see lib/registry-messages)
+ * @property {string} consensusTimestamp Consensus timestamp of the message that completed the event
+ * @property {number} sequenceNumber Sequence number of that message
+ * @property {?ParcelState} parcel The parcel's state right after the event
+ */
+
+class RegistryIndexer {
+  /**
+   * @param {object} options
+   * @param {string} options.topicId Land registry topic
+   * @param {string} [options.mirrorNodeUrl] Mirror node base URL (defaults to testnet)
+   * @param {object} [options.store] Store with async load() and save(state) (defaults to memory)
+   * @param {number} [options.pageSize] Messages per mirror node request
+   * @param {Function} [options.fetch] fetch implementation (defaults to the global fetch)
+   */
+  constructor({ topicId, mirrorNodeUrl, store, pageSize = DEFAULT_PAGE_SIZE, fetch }) {
+    if (!topicId) {
+      throw new Error('RegistryIndexer needs the registry topic ID');
+    }
+    this.topicId = topicId.toString();
+    this.mirrorNode = new MirrorNodeClient({ url: mirrorNodeUrl, fetch });
+    this.store = store || new MemoryRegistryStore();
+    this.pageSize = pageSize;
+    this.state = null;
+    /**
+     * Called with each registry event the sync applies, in consensus order; the
+     * page is saved once the returned promise resolves
+     * @type {?function(AppliedRegistryEvent): (void|Promise<void>)}
+     */
+    this.onEvent = null;
+  }
+
+  /**
+   * Create an indexer for LAND_REGISTRY_TOPIC_ID on the configured mirror node
+   *
+   * @param {object} [env] Environment variables (defaults to process.env)
+   * @param {object} [options] Other RegistryIndexer options
+   * @returns {RegistryIndexer}
+   */
+  static fromEnv(env = process.env, options = {}) {
+    if (!env.LAND_REGISTRY_TOPIC_ID && !options.topicId) {
+      throw new Error('Environment variable LAND_REGISTRY_TOPIC_ID must be present');
+    }
+    return new RegistryIndexer({
+      topicId: env.LAND_REGISTRY_TOPIC_ID,
+      mirrorNodeUrl: mirrorNodeUrlFromEnv(env),
+      ...options
+    });
+  }
+
+  /**
+   * Read every message after the saved position and update the state
+   *
+   * @returns {Promise<SyncResult>}
+   * @throws {MirrorNodeError} When the mirror node cannot be read or does not know the topic
+   */
+  async sync() {
+    const state = await this._loadState();
+    let processed = 0;
+
+    let next = `/api/v1/topics/${this.topicId}/messages?order=asc&limit=${this.pageSize}`;
+    if (state.lastConsensusTimestamp) {
+      next += `&timestamp=gt:${state.lastConsensusTimestamp}`;
+    }
+
+    while (next) {
+      const page = await this.mirrorNode.get(next);
+      if (!page) {
+        throw new MirrorNodeError(`The mirror node does not know topic ${this.topicId}`, 404);
+      }
+
+      const applied = [];
+      const onEvent = this.onEvent
+        ? (envelope, { consensusTimestamp, sequenceNumber }) => applied.push({
+          envelope,
+          consensusTimestamp,
+          sequenceNumber,
+          parcel: state.parcels[envelope.parcelId] ? JSON.parse(JSON.stringify(state.parcels[envelope.parcelId])) : null
+        })
+        : undefined;
+      for (const message of page.messages || []) {
+        try {
+          applyTopicMessage(state, fromMirrorMessage(message), { onEvent });
+        } catch (error) {
+          // Record the message and move past it, so it cannot stop every later sync at the same place
+          state.lastConsensusTimestamp = message.consensus_timestamp;
+          state.lastSequenceNumber = message.sequence_number;
+          state.rejected.push({
+            sequenceNumber: message.sequence_number,
+            consensusTimestamp: message.consensus_timestamp,
+            reason: `Message could not be applied: ${error.message}`
+          });
+        }
+        processed += 1;
+      }
+      try {
+        for (const event of applied) {
+          await this.onEvent(event);
+        }
+      } catch (error) {
+        // Drop the unsaved page, so the next sync applies (and hands over) its events again
+        this.state = null;
+        throw error;
+      }
+      await this.store.save(state);
+
+      next = page.messages && page.messages.length > 0 && page.links ? page.links.next : null;
+    }
+
+    return {
+      processed,
+      lastConsensusTimestamp: state.lastConsensusTimestamp,
+      parcels: Object.keys(state.parcels).length
+    };
+  }
+
+  /**
+   * Get the indexed state of one parcel (as of the last sync)
+   *
+   * Names are data, so a name only finds a parcel when no other registered parcel carries it.
+   *
+   * @param {string} parcel Parcel ID or parcel name
+   * @returns {Promise<?ParcelState>}
+   * @throws {ParcelIdentityError} AMBIGUOUS_PARCEL_NAME when several parcels carry the name
+   */
+  async getParcel(parcel) {
+    const state = await this._loadState();
+    const byId = state.parcels[parcel.replace(/^0x/i, '').toLowerCase()];
+    if (byId) {
+      return byId;
+    }
+    const named = Object.values(state.parcels).filter(({ name }) => name === parcel);
+    if (named.length > 1) {
+      throw new ParcelIdentityError(parcel, `is the name of ${named.length} registered parcels; use the parcel ID`,
+        'AMBIGUOUS_PARCEL_NAME', named.map(({ parcelId }) => parcelId));
+    }
+    return named[0] || null;
+  }
+
+  /**
+   * Give a parcel record the ID it was registered under, when the record does not keep it (as of the last sync)
+   *
+   * The record is matched by name among the parcels the account registered
+   * or, for parcels whose ID was derived from their name, owns. A record that
+   * has its ID, or that the account has not registered, is returned as it is.
+   *
+   * @param {object} parcel Parcel record
+   * @param {string} account Account ID of the registrant
+   * @returns {Promise<object>} The record, with the parcelId of its registration when one was found
+   * @throws {ParcelIdentityError} AMBIGUOUS_PARCEL_NAME when the account registered several parcels of the name
+   */
+  async identifyParcel(parcel, account) {
+    if (parcel.parcelId) {
+      return parcel;
+    }
+    const state = await this._loadState();
+    const registered = Object.values(state.parcels).filter(({ name, registrant, owner }) => name === parcel.name &&
+      (registrant || owner) === account.toString());
+    if (registered.length > 1) {
+      throw new ParcelIdentityError(parcel.name, `is the name of ${registered.length} parcels registered by ${account}; ` +
+        'give the record its parcel ID', 'AMBIGUOUS_PARCEL_NAME', registered.map(({ parcelId }) => parcelId));
+    }
+    return registered.length === 1 ? { ...parcel, parcelId: registered[0].parcelId } : parcel;
+  }
+
+  /**
+   * Get the indexed state of the parcel an NFT stands for (as of the last sync)
+   *
+   * @param {string} tokenId NFT collection
+   * @param {number} serial Serial number
+   * @returns {Promise<?ParcelState>}
+   */
+  async getParcelByNft(tokenId, serial) {
+    const state = await this._loadState();
+    return Object.values(state.parcels).find(({ nft }) => nft && nft.tokenId === tokenId.toString() &&
+      nft.serial === Number(serial)) || null;
+  }
+
+  /**
+   * Get every recorded share of a retirement, one per source parcel (as of the last sync)
+   *
+   * @param {string} retirementId
+   * @returns {Promise<Array<object>>} The parcels' retirement records, with the parcel's ID and name
+   */
+  async getRetirement(retirementId) {
+    const state = await this._loadState();
+    return Object.values(state.parcels).flatMap(({ parcelId, name, retirements }) => (retirements || [])
+      .filter((retirement) => retirement.retirementId === retirementId)
+      .map((retirement) => ({ parcelId, name, ...retirement })));
+  }
+
+  /**
+   * Get the indexed state of every parcel (as of the last sync)
+   *
+   * @returns {Promise<ParcelState[]>}
+   */
+  async getParcels() {
+    const state = await this._loadState();
+    return Object.values(state.parcels);
+  }
+
+  async _loadState() {
+    if (!this.state) {
+      const saved = await this.store.load();
+      if (saved && saved.topicId !== this.topicId) {
+        throw new Error(`The store holds the state of topic ${saved.topicId}, not ${this.topicId}`);
+      }
+      // State saved before the registry message protocol is keyed by parcel
+      // name and has no event hashes, and state saved before boundaries were
+      // indexed cannot feed the spatial index: replay the topic from the start instead
+      this.state = saved && saved.eventHeads && Object.values(saved.parcels).every((parcel) => parcel.boundaries)
+        ? saved
+        : createRegistryState(this.topicId);
+    }
+    return this.state;
+  }
+}
+
+// Convert a mirror node topic message to the TopicMessage shape of lib/registry-state
+function fromMirrorMessage(message) {
+  const chunkInfo = message.chunk_info;
+  return {
+    consensusTimestamp: message.consensus_timestamp,
+    sequenceNumber: message.sequence_number,
+    contents: Buffer.from(message.message, 'base64'),
+    payerAccountId: message.payer_account_id || null,
+    chunkInfo: chunkInfo && chunkInfo.total > 1
+      ? {
+        initialTransactionId: formatTransactionId(chunkInfo.initial_transaction_id),
+        number: chunkInfo.number,
+        total: chunkInfo.total
+      }
+      : null
+  };
+}
+
+// The mirror node returns the initial transaction ID of a chunked message as an object
+function formatTransactionId(transactionId) {
+  if (typeof transactionId === 'string') {
+    return transactionId;
+  }
+  return `${transactionId.account_id}@${transactionId.transaction_valid_start}`;
+}
+
+/**
+ * Publish an event of a parcel so it follows the parcel's latest event, whoever published that
+ *
+ * The indexer is synced first and its head of the parcel seeds the client's
+ * (see BiodiversityRegistryClient#followIndexedHead). Without an indexer the
+ * event follows the last one this client published.
+ *
+ * @param {BiodiversityRegistryClient} registry Client publishing the event
+ * @param {?RegistryIndexer} indexer Indexer of the registry topic
+ * @param {object} parcel Parcel record with its `parcelId`
+ * @param {function(string): Promise<TopicMessageResult>} publish Publishes the event, given the parcel ID
+ * @returns {Promise<TopicMessageResult>}
+ */
+async function publishAfterIndexedHead(registry, indexer, parcel, publish) {
+  const parcelId = parcelIdOf(parcel);
+  if (indexer) {
+    await indexer.sync();
+    registry.followIndexedHead(parcelId, indexer.state.eventHeads[parcelId]);
+  }
+  return publish(parcelId);
+}
+
+module.exports = {
+  RegistryIndexer,
+  publishAfterIndexedHead
+};
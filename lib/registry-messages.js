@@ -0,0 +1,520 @@
+/**
+ * Registry message protocol
+ *
+ * Every event on the land registry topic is a versioned envelope:
+ *
+ *   {
+ *     "protocol": "biodiversity-registry",
+ *     "version": 1,
+ *     "type": "parcel.registered" | "attestation.submitted" | "parcel.verified" |
+ *             "verification.disputed" | "dispute.resolved" | "verification.expired" |
+ *             "reassessment.requested" | "parcel.tokenized" | "parcel.transferred" |
+ *             "credits.issued" | "credits.retired",
+ *     "parcelId": "<40 hex characters>",
+ *     "timestamp": "<ISO 8601 time the event was created>",
+ *     "previousHash": "<event hash of the parcel's previous event>" | null,
+ *     "payload": { ... },
+ *     "checksum": "<sha256 of the canonical JSON of the payload>"
+ *   }
+ *
+ * The parcel ID is derived from the account that first registered the parcel
+ * (its registrant) and a random nonce, both carried by that parcel.registered
+ * event, so no two parcels share an ID and nobody can claim another
+ * registrant's ID; the parcel name is data, and renaming a parcel keeps its
+ * ID. The ID is also the parcel's key in the BiodiversityLandParcel contract.
+ * Parcels registered before carry an ID derived from their name, which still
+ * replays. The previous hash links each event to the one before it for the
+ * same parcel, so a missing or reordered event is detected on replay.
+ *
+ * HCS accepts at most 1024 bytes per transaction. Larger envelopes are split
+ * into chunk frames that each fit in one message and are reassembled (and
+ * checked against the hash of the whole envelope) by the reader.
+ */
+const crypto = require('crypto');
+const { ParcelIdentityError, RegistryMessageError } = require('./errors');
+
+const PROTOCOL = 'biodiversity-registry';
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+const EVENT_TYPES = {
+  PARCEL_REGISTERED: 'parcel.registered',
+  ATTESTATION_SUBMITTED: 'attestation.submitted',
+  PARCEL_VERIFIED: 'parcel.verified',
+  VERIFICATION_DISPUTED: 'verification.disputed',
+  DISPUTE_RESOLVED: 'dispute.resolved',
+  VERIFICATION_EXPIRED: 'verification.expired',
+  REASSESSMENT_REQUESTED: 'reassessment.requested',
+  PARCEL_TOKENIZED: 'parcel.tokenized',
+  PARCEL_TRANSFERRED: 'parcel.transferred',
+  CREDITS_ISSUED: 'credits.issued',
+  CREDITS_RETIRED: 'credits.retired'
+};
+
+// Type of the frames a large envelope is split into
+const CHUNK_TYPE = 'chunk';
+
+// Largest message HCS accepts in a single transaction
+const MAX_MESSAGE_SIZE = 1024;
+
+// Raw bytes per chunk frame: base64 grows them to 800 characters, leaving
+// room for the frame's other fields within MAX_MESSAGE_SIZE
+const CHUNK_DATA_SIZE = 600;
+
+// Most chunk frames one envelope may be split into
+const MAX_CHUNKS = 50;
+
+const VERIFICATION_STATUSES = ['approved', 'rejected', 'pending', 'disputed', 'expired'];
+
+const PARCEL_ID_PATTERN = /^[0-9a-f]{40}$/;
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * @typedef {object} RegistryEnvelope
+ * @property {string} protocol Always "biodiversity-registry"
+ * @property {number} version Protocol version
+ * @property {string} type One of EVENT_TYPES
+ * @property {string} parcelId Parcel the event belongs to
+ * @property {string} timestamp When the publisher created the event (ISO 8601)
+ * @property {?string} previousHash Event hash of the parcel's previous event
+ * @property {object} payload Event data (see validatePayload)
+ * @property {string} checksum sha256 of the canonical JSON of the payload
+ */
+
+/**
+ * @typedef {object} ChunkFrame
+ * @property {string} protocol Always "biodiversity-registry"
+ * @property {number} version Protocol version
+ * @property {string} type Always "chunk"
+ * @property {{messageHash: string, number: number, total: number}} chunk
+ *   sha256 of the whole encoded envelope and the frame's position (1-based)
+ * @property {string} data Base64 slice of the encoded envelope
+ */
+
+/**
+ * Serialize a JSON value with object keys sorted, so equal values always
+ * produce the same bytes (and the same hash)
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Derive a parcel ID from its registrant and nonce
+ *
+ * @param {string} registrant Account ID of the account registering the parcel
+ * @param {string} nonce Random value chosen at the first registration (see createParcelNonce)
+ * @returns {string} 40 hex characters
+ */
+function parcelIdFor(registrant, nonce) {
+  return sha256(canonicalJson({ registrant: registrant.toString(), nonce })).slice(0, 40);
+}
+
+/**
+ * Create a random nonce for a new parcel ID
+ *
+ * @returns {string} 32 hex characters
+ */
+function createParcelNonce() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+/**
+ * Derive the parcel ID of a parcel registered before IDs were derived from the registrant
+ *
+ * @param {string} name Registered parcel name
+ * @returns {string} 40 hex characters
+ */
+function legacyParcelIdFor(name) {
+  return sha256(name).slice(0, 40);
+}
+
+/**
+ * Give a parcel record a new parcel ID, unless it has one
+ *
+ * The ID and its nonce are kept with the record: the first registration
+ * publishes them, and every later event and contract call uses the ID.
+ *
+ * @param {object} parcel Parcel record
+ * @param {string} registrant Account ID of the account registering the parcel
+ * @param {object} [options]
+ * @param {string} [options.nonce] Nonce to derive the ID from (defaults to a random one)
+ * @returns {object} The record with its parcelId and nonce (the same record when it had an ID)
+ */
+function assignParcelId(parcel, registrant, { nonce = createParcelNonce() } = {}) {
+  if (parcel.parcelId) {
+    return parcel;
+  }
+  return { ...parcel, parcelId: parcelIdFor(registrant, nonce), nonce };
+}
+
+/**
+ * ID of a parcel record
+ *
+ * @param {object} parcel Parcel record with the parcelId it was registered with (see assignParcelId)
+ * @returns {string} 40 hex characters
+ * @throws {ParcelIdentityError} MISSING_PARCEL_ID when the record has no ID yet
+ */
+function parcelIdOf(parcel) {
+  const parcelId = typeof parcel.parcelId === 'string' ? parcel.parcelId.replace(/^0x/i, '').toLowerCase() : null;
+  if (!parcelId || !PARCEL_ID_PATTERN.test(parcelId)) {
+    throw new ParcelIdentityError(parcel.name, 'has no parcel ID: assign one before registering it, ' +
+      'or take the ID it was registered with from the registry', 'MISSING_PARCEL_ID');
+  }
+  return parcelId;
+}
+
+/**
+ * Build an envelope for an event, computing its payload checksum
+ *
+ * @param {object} event
+ * @param {string} event.type One of EVENT_TYPES
+ * @param {string} event.parcelId
+ * @param {object} event.payload
+ * @param {?string} [event.previousHash] Event hash of the parcel's previous event
+ * @param {string} [event.timestamp] Defaults to now
+ * @returns {RegistryEnvelope}
+ * @throws {RegistryMessageError} When the event is not valid
+ */
+function createEnvelope({ type, parcelId, payload, previousHash = null, timestamp = new Date().toISOString() }) {
+  const envelope = {
+    protocol: PROTOCOL,
+    version: PROTOCOL_VERSION,
+    type,
+    parcelId,
+    timestamp,
+    previousHash,
+    payload,
+    checksum: payload && typeof payload === 'object' ? sha256(canonicalJson(payload)) : null
+  };
+  validateEnvelope(envelope);
+  return envelope;
+}
+
+/**
+ * Hash identifying an event; the parcel's next event links to it as previousHash
+ *
+ * @param {RegistryEnvelope} envelope
+ * @returns {string} 64 hex characters
+ */
+function eventHash(envelope) {
+  return sha256(canonicalJson(envelope));
+}
+
+/**
+ * Encode an envelope as the bytes submitted to the topic
+ *
+ * @param {RegistryEnvelope} envelope
+ * @returns {Buffer}
+ * @throws {RegistryMessageError} When the envelope is not valid
+ */
+function encodeMessage(envelope) {
+  validateEnvelope(envelope);
+  return Buffer.from(canonicalJson(envelope), 'utf8');
+}
+
+/**
+ * Encode an envelope as one or more topic messages of at most MAX_MESSAGE_SIZE bytes
+ *
+ * @param {RegistryEnvelope} envelope
+ * @returns {Buffer[]} The encoded envelope, or its chunk frames in order
+ * @throws {RegistryMessageError} When the envelope is not valid or too large
+ */
+function encodeMessages(envelope) {
+  const bytes = encodeMessage(envelope);
+  if (bytes.length <= MAX_MESSAGE_SIZE) {
+    return [bytes];
+  }
+
+  const total = Math.ceil(bytes.length / CHUNK_DATA_SIZE);
+  if (total > MAX_CHUNKS) {
+    throw new RegistryMessageError(`Message of ${bytes.length} bytes needs more than ${MAX_CHUNKS} chunks`);
+  }
+
+  const messageHash = sha256(bytes);
+  const frames = [];
+  for (let number = 1; number <= total; number++) {
+    const data = bytes.subarray((number - 1) * CHUNK_DATA_SIZE, number * CHUNK_DATA_SIZE);
+    frames.push(Buffer.from(canonicalJson({
+      protocol: PROTOCOL,
+      version: PROTOCOL_VERSION,
+      type: CHUNK_TYPE,
+      chunk: { messageHash, number, total },
+      data: data.toString('base64')
+    }), 'utf8'));
+  }
+  return frames;
+}
+
+/**
+ * Decode one topic message: an envelope or a chunk frame
+ *
+ * @param {Buffer|string} contents Message bytes
+ * @returns {RegistryEnvelope|ChunkFrame}
+ * @throws {RegistryMessageError} When the message does not follow the protocol
+ */
+function decodeMessage(contents) {
+  let message;
+  try {
+    message = JSON.parse(contents.toString('utf8'));
+  } catch (error) {
+    throw new RegistryMessageError('Message is not valid JSON');
+  }
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    throw new RegistryMessageError('Message is not a JSON object');
+  }
+  if (message.protocol !== PROTOCOL) {
+    throw new RegistryMessageError(`Message is not a ${PROTOCOL} message`);
+  }
+  if (!SUPPORTED_VERSIONS.includes(message.version)) {
+    throw new RegistryMessageError(`Unsupported protocol version ${JSON.stringify(message.version)}`);
+  }
+
+  if (message.type === CHUNK_TYPE) {
+    validateChunkFrame(message);
+  } else {
+    validateEnvelope(message);
+  }
+  return message;
+}
+
+/**
+ * Whether a decoded message is a chunk frame rather than a complete envelope
+ *
+ * @param {RegistryEnvelope|ChunkFrame} message
+ * @returns {boolean}
+ */
+function isChunkFrame(message) {
+  return message.type === CHUNK_TYPE;
+}
+
+/**
+ * Add a chunk frame to the pending chunks and return the envelope once all
+ * of its frames have arrived
+ *
+ * `pending` is a plain object so it can be saved with the rest of the
+ * reader's state between runs.
+ *
+ * @param {Object<string, object>} pending Chunks received so far, updated in place
+ * @param {ChunkFrame} frame
+ * @returns {?RegistryEnvelope} The reassembled envelope, or null while chunks are missing
+ * @throws {RegistryMessageError} When the frame does not fit the message's first frame, or the
+ *   reassembled bytes do not match the message hash
+ */
+function assembleChunk(pending, frame) {
+  const { messageHash, number, total } = frame.chunk;
+  const entry = pending[messageHash] || { total, chunks: {} };
+  if (total !== entry.total) {
+    throw new RegistryMessageError(`Chunk frame of message ${messageHash} has a total of ${total}, ` +
+      `its first frame ${entry.total}`);
+  }
+  if (!Number.isInteger(number) || number < 1 || number > entry.total) {
+    throw new RegistryMessageError(`Chunk number must be an integer from 1 to ${entry.total}`);
+  }
+  entry.chunks[number] = frame.data;
+  pending[messageHash] = entry;
+  if (Object.keys(entry.chunks).length < entry.total) {
+    return null;
+  }
+
+  delete pending[messageHash];
+  const chunks = [];
+  for (let position = 1; position <= entry.total; position++) {
+    if (typeof entry.chunks[position] !== 'string') {
+      throw new RegistryMessageError(`Chunk ${position} of ${entry.total} of message ${messageHash} is missing`);
+    }
+    chunks.push(Buffer.from(entry.chunks[position], 'base64'));
+  }
+  const bytes = Buffer.concat(chunks);
+  if (sha256(bytes) !== messageHash) {
+    throw new RegistryMessageError(`Reassembled message does not match its hash ${messageHash}`);
+  }
+
+  const message = decodeMessage(bytes);
+  if (isChunkFrame(message)) {
+    throw new RegistryMessageError('Reassembled message is itself a chunk');
+  }
+  return message;
+}
+
+function validateEnvelope(envelope) {
+  if (envelope.protocol !== PROTOCOL) {
+    throw new RegistryMessageError(`Message is not a ${PROTOCOL} message`);
+  }
+  if (!SUPPORTED_VERSIONS.includes(envelope.version)) {
+    throw new RegistryMessageError(`Unsupported protocol version ${JSON.stringify(envelope.version)}`);
+  }
+  if (!Object.values(EVENT_TYPES).includes(envelope.type)) {
+    throw new RegistryMessageError(`Unknown event type ${JSON.stringify(envelope.type)}`);
+  }
+  if (typeof envelope.parcelId !== 'string' || !PARCEL_ID_PATTERN.test(envelope.parcelId)) {
+    throw new RegistryMessageError('parcelId must be 40 lowercase hex characters');
+  }
+  if (typeof envelope.timestamp !== 'string' || Number.isNaN(Date.parse(envelope.timestamp))) {
+    throw new RegistryMessageError('timestamp must be an ISO 8601 date');
+  }
+  if (envelope.previousHash !== null && (typeof envelope.previousHash !== 'string' || !HASH_PATTERN.test(envelope.previousHash))) {
+    throw new RegistryMessageError('previousHash must be null or 64 lowercase hex characters');
+  }
+  if (!envelope.payload || typeof envelope.payload !== 'object' || Array.isArray(envelope.payload)) {
+    throw new RegistryMessageError('payload must be an object');
+  }
+  if (envelope.checksum !== sha256(canonicalJson(envelope.payload))) {
+    throw new RegistryMessageError('checksum does not match the payload');
+  }
+  validatePayload(envelope.type, envelope.payload);
+}
+
+function validatePayload(type, payload) {
+  switch (type) {
+    case EVENT_TYPES.PARCEL_REGISTERED:
+      if (typeof payload.name !== 'string' || payload.name.trim() === '') {
+        throw new RegistryMessageError('parcel.registered payload needs the parcel name');
+      }
+      if (!Array.isArray(payload.boundaries) || !payload.boundaries.every((point) => point && typeof point === 'object')) {
+        throw new RegistryMessageError('parcel.registered payload needs the parcel boundaries');
+      }
+      if (payload.nonce !== undefined && (typeof payload.nonce !== 'string' || payload.nonce === '' ||
+        typeof payload.registrant !== 'string' || payload.registrant === '')) {
+        throw new RegistryMessageError('parcel.registered nonce must be a string, given with the registrant');
+      }
+      break;
+    case EVENT_TYPES.ATTESTATION_SUBMITTED:
+      if (typeof payload.approved !== 'boolean') {
+        throw new RegistryMessageError('attestation.submitted payload needs approved (true or false)');
+      }
+      if (!Number.isInteger(payload.biodiversityScore) || payload.biodiversityScore < 0 || payload.biodiversityScore > 100) {
+        throw new RegistryMessageError('biodiversityScore must be an integer from 0 to 100');
+      }
+      break;
+    case EVENT_TYPES.VERIFICATION_DISPUTED:
+      if (typeof payload.reason !== 'string' || payload.reason.trim() === '') {
+        throw new RegistryMessageError('verification.disputed payload needs a reason');
+      }
+      break;
+    case EVENT_TYPES.DISPUTE_RESOLVED:
+      if (typeof payload.upheld !== 'boolean') {
+        throw new RegistryMessageError('dispute.resolved payload needs upheld (true or false)');
+      }
+      break;
+    case EVENT_TYPES.PARCEL_VERIFIED:
+      if (!VERIFICATION_STATUSES.includes(payload.verificationStatus)) {
+        throw new RegistryMessageError(`verificationStatus must be one of ${VERIFICATION_STATUSES.join(', ')}`);
+      }
+      if (payload.biodiversityRating !== undefined &&
+        (!Number.isInteger(payload.biodiversityRating) || payload.biodiversityRating < 1 || payload.biodiversityRating > 5)) {
+        throw new RegistryMessageError('biodiversityRating must be an integer from 1 to 5');
+      }
+      if (payload.expiresAt !== undefined && payload.expiresAt !== null &&
+        (!Number.isSafeInteger(payload.expiresAt) || payload.expiresAt <= 0)) {
+        throw new RegistryMessageError('expiresAt must be null or a Unix timestamp in seconds');
+      }
+      break;
+    case EVENT_TYPES.PARCEL_TOKENIZED:
+      validateNftReference(type, payload);
+      break;
+    case EVENT_TYPES.PARCEL_TRANSFERRED:
+      validateNftReference(type, payload);
+      if (typeof payload.to !== 'string' || payload.to === '') {
+        throw new RegistryMessageError('parcel.transferred payload needs the receiving account (to)');
+      }
+      break;
+    case EVENT_TYPES.CREDITS_ISSUED:
+      if (!Number.isSafeInteger(payload.amount) || payload.amount <= 0) {
+        throw new RegistryMessageError('credits.issued amount must be a positive integer');
+      }
+      if (typeof payload.tokenId !== 'string') {
+        throw new RegistryMessageError('credits.issued payload needs the token ID');
+      }
+      if (payload.parcelNft !== undefined) {
+        if (!payload.parcelNft || typeof payload.parcelNft !== 'object') {
+          throw new RegistryMessageError('credits.issued parcelNft must be an object');
+        }
+        validateNftReference('credits.issued parcelNft', payload.parcelNft);
+      }
+      if (payload.verifiedAt !== undefined && (!Number.isSafeInteger(payload.verifiedAt) || payload.verifiedAt <= 0)) {
+        throw new RegistryMessageError('credits.issued verifiedAt must be a positive integer (Unix seconds)');
+      }
+      if (payload.allowed !== undefined && (!Number.isSafeInteger(payload.allowed) || payload.allowed < payload.amount)) {
+        throw new RegistryMessageError('credits.issued allowed must be an integer of at least the amount');
+      }
+      break;
+    case EVENT_TYPES.CREDITS_RETIRED:
+      if (!Number.isSafeInteger(payload.amount) || payload.amount <= 0) {
+        throw new RegistryMessageError('credits.retired amount must be a positive integer');
+      }
+      for (const field of ['retirementId', 'tokenId', 'beneficiary', 'reason', 'retirementTransactionId']) {
+        if (typeof payload[field] !== 'string' || payload[field].trim() === '') {
+          throw new RegistryMessageError(`credits.retired payload needs ${field}`);
+        }
+      }
+      break;
+    default:
+      break;
+  }
+}
+
+// A parcel NFT is referenced by its collection and serial number
+function validateNftReference(context, reference) {
+  if (typeof reference.tokenId !== 'string' || reference.tokenId === '') {
+    throw new RegistryMessageError(`${context} needs the NFT token ID`);
+  }
+  if (!Number.isSafeInteger(reference.serial) || reference.serial <= 0) {
+    throw new RegistryMessageError(`${context} needs the NFT serial number (a positive integer)`);
+  }
+}
+
+function validateChunkFrame(frame) {
+  const chunk = frame.chunk;
+  if (!chunk || typeof chunk !== 'object' || typeof chunk.messageHash !== 'string' || !HASH_PATTERN.test(chunk.messageHash)) {
+    throw new RegistryMessageError('Chunk frame needs the hash of the whole message');
+  }
+  if (!Number.isInteger(chunk.total) || chunk.total < 2 || chunk.total > MAX_CHUNKS) {
+    throw new RegistryMessageError(`Chunk total must be an integer from 2 to ${MAX_CHUNKS}`);
+  }
+  if (!Number.isInteger(chunk.number) || chunk.number < 1 || chunk.number > chunk.total) {
+    throw new RegistryMessageError(`Chunk number must be an integer from 1 to ${chunk.total}`);
+  }
+  if (typeof frame.data !== 'string') {
+    throw new RegistryMessageError('Chunk frame needs its base64 data');
+  }
+}
+
+module.exports = {
+  CHUNK_DATA_SIZE,
+  EVENT_TYPES,
+  VERIFICATION_STATUSES,
+  MAX_MESSAGE_SIZE,
+  PROTOCOL,
+  PROTOCOL_VERSION,
+  assembleChunk,
+  canonicalJson,
+  createEnvelope,
+  decodeMessage,
+  encodeMessage,
+  encodeMessages,
+  eventHash,
+  isChunkFrame,
+  assignParcelId,
+  createParcelNonce,
+  legacyParcelIdFor,
+  parcelIdFor,
+  parcelIdOf
+};
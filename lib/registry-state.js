@@ -0,0 +1,585 @@
+/**
+ * Registry state rebuilt from the land registry topic
+ *
+ * The registry topic is the source of truth: every parcel registration,
+ * verification, re-assessment, NFT transfer, credit issuance and retirement is an event on it. Applying the
+ * topic's messages in consensus order to an empty state yields the current
+ * state of every parcel. The state is plain JSON, so it can be saved and
+ * later resumed from its last consensus timestamp.
+ */
+const { RegistryMessageError } = require('./errors');
+const { geometryHash, parcelRecordHash } = require('./parcel-record');
+const {
+  EVENT_TYPES,
+  assembleChunk,
+  decodeMessage,
+  eventHash,
+  isChunkFrame,
+  legacyParcelIdFor,
+  parcelIdFor
+} = require('./registry-messages');
+
+/**
+ * @typedef {object} TopicMessage
+ * @property {string} consensusTimestamp Consensus timestamp ("seconds.nanos")
+ * @property {number} sequenceNumber Sequence number on the topic
+ * @property {Buffer} contents Message bytes (one chunk of a chunked message)
+ * @property {?string} [payerAccountId] Account that paid for the message, when the source says
+ * @property {?{initialTransactionId: string, number: number, total: number}} chunkInfo
+ *   Chunk position, for messages split over several transactions
+ */
+
+/**
+ * @typedef {object} ParcelState
+ * @property {string} parcelId See lib/registry-messages
+ * @property {string} name Name of the latest registration; names are data and need not be unique
+ * @property {?string} registrant Account whose first registration the parcel ID was derived from
+ *   (null for parcels whose ID was derived from their name)
+ * @property {string} owner Account that registered the parcel or, once tokenized, last received its NFT
+ * @property {string} recordHash sha256 of the canonical record of the latest registration (see lib/parcel-record)
+ * @property {string} geometryHash sha256 of the canonical boundary polygon of the latest registration
+ * @property {Array<{latitude: number, longitude: number}>} boundaries Boundary polygon of the latest registration
+ * @property {?{tokenId: string, serial: number}} nft The parcel's NFT, once tokenized
+ * @property {Array<object>} transfers Every transfer of the parcel's NFT, in consensus order
+ * @property {boolean} verified Whether the latest verification approved the parcel's current data
+ *   (a registration that changes the record hash resets it, as the contract does for new data)
+ * @property {?string} verificationStatus Outcome of the latest verification
+ * @property {?number} verificationExpiresAt When the latest approval lapses (Unix seconds; null when it never does)
+ * @property {number} biodiversityRating Assessed rating when verified, declared rating otherwise
+ * @property {Array<object>} scoreHistory Assessed score of every verification decision, in consensus order
+ * @property {Array<object>} attestations Every verifier's attestation, in consensus order
+ * @property {?object} dispute Latest dispute of the parcel's verification
+ * @property {number} creditsMinted Total credits issued for the parcel
+ * @property {Array<object>} issuances Every recorded issuance, in consensus order
+ * @property {number} creditsRetired Total credits retired from the parcel's issuances
+ * @property {Array<object>} retirements Every recorded retirement, in consensus order
+ */
+
+/**
+ * @typedef {object} RegistryState
+ * @property {string} topicId
+ * @property {?string} lastConsensusTimestamp Consensus timestamp of the last applied message
+ * @property {number} lastSequenceNumber Sequence number of the last applied message
+ * @property {Object<string, ParcelState>} parcels Parcels by parcel ID
+ * @property {Object<string, string>} eventHeads Event hash of the latest event of each parcel ID
+ * @property {Object<string, object>} pendingChunks Chunks (and chunk frames) of messages not yet complete
+ * @property {Array<{sequenceNumber: number, consensusTimestamp: string, reason: string}>} rejected
+ *   Messages that could not be applied
+ */
+
+// Registration fields copied into the parcel state
+const REGISTRATION_FIELDS = [
+  'owner',
+  'ecosystemType',
+  'areaInAcres',
+  'computedAreaInAcres',
+  'areaReviewRequired',
+  'overlapReviewRequired',
+  'overlaps',
+  'conservationStatus',
+  'protectionStartDate',
+  'parcelAddress',
+  'tokenId'
+];
+
+/**
+ * Create the state of a topic before any message
+ *
+ * @param {string} topicId
+ * @returns {RegistryState}
+ */
+function createRegistryState(topicId) {
+  return {
+    topicId: topicId.toString(),
+    lastConsensusTimestamp: null,
+    lastSequenceNumber: 0,
+    parcels: {},
+    eventHeads: {},
+    pendingChunks: {},
+    rejected: []
+  };
+}
+
+/**
+ * Apply one topic message (or message chunk) to the state
+ *
+ * Registry events follow the message protocol of lib/registry-messages.
+ * Messages published before the protocol existed (untyped registrations,
+ * "verification", "smart_contract_verification" and "issuance" messages) are
+ * still applied, so older topics replay to the same state.
+ *
+ * Messages that cannot be applied are recorded in `state.rejected` instead of
+ * failing, so one malformed message never stops the replay.
+ *
+ * @param {RegistryState} state State to update in place
+ * @param {TopicMessage} message
+ * @param {object} [options]
+ * @param {function(object, TopicMessage): void} [options.onEvent] Called with the envelope of each
+ *   protocol event the state accepts (see lib/registry-messages), and the message that completed it
+ * @returns {RegistryState} The same state
+ */
+function applyTopicMessage(state, message, options = {}) {
+  state.lastConsensusTimestamp = message.consensusTimestamp;
+  state.lastSequenceNumber = message.sequenceNumber;
+
+  let contents;
+  try {
+    contents = collectChunks(state, message);
+  } catch (error) {
+    if (error instanceof RegistryMessageError) {
+      return reject(state, message, error.message);
+    }
+    throw error;
+  }
+  if (!contents) {
+    return state;
+  }
+
+  let body;
+  try {
+    body = JSON.parse(contents.toString('utf8'));
+  } catch (error) {
+    return reject(state, message, 'Message is not valid JSON');
+  }
+  if (!body || typeof body !== 'object') {
+    return reject(state, message, 'Message is not a JSON object');
+  }
+  if (body.protocol === undefined) {
+    return applyLegacyMessage(state, message, body);
+  }
+
+  let envelope;
+  try {
+    envelope = decodeMessage(contents);
+    if (isChunkFrame(envelope)) {
+      envelope = assembleChunk(state.pendingChunks, envelope);
+    }
+  } catch (error) {
+    if (error instanceof RegistryMessageError) {
+      return reject(state, message, error.message);
+    }
+    throw error;
+  }
+  if (!envelope) {
+    return state;
+  }
+  const rejected = state.rejected.length;
+  applyEvent(state, message, envelope);
+  if (options.onEvent && state.rejected.length === rejected) {
+    options.onEvent(envelope, message);
+  }
+  return state;
+}
+
+// Buffer chunks until a chunked message is complete; returns the full contents or null.
+// Throws a RegistryMessageError for a chunk that does not fit the message's first chunk.
+function collectChunks(state, message) {
+  const { chunkInfo } = message;
+  if (!chunkInfo || chunkInfo.total <= 1) {
+    return message.contents;
+  }
+
+  const key = chunkInfo.initialTransactionId;
+  const pending = state.pendingChunks[key] || { total: chunkInfo.total, chunks: {} };
+  if (chunkInfo.total !== pending.total) {
+    throw new RegistryMessageError(`Chunk of ${key} has a total of ${chunkInfo.total}, its first chunk ${pending.total}`);
+  }
+  if (!Number.isInteger(chunkInfo.number) || chunkInfo.number < 1 || chunkInfo.number > pending.total) {
+    throw new RegistryMessageError(`Chunk number of ${key} must be an integer from 1 to ${pending.total}`);
+  }
+  pending.chunks[chunkInfo.number] = message.contents.toString('base64');
+  state.pendingChunks[key] = pending;
+  if (Object.keys(pending.chunks).length < pending.total) {
+    return null;
+  }
+
+  delete state.pendingChunks[key];
+  const chunks = [];
+  for (let number = 1; number <= pending.total; number++) {
+    if (typeof pending.chunks[number] !== 'string') {
+      throw new RegistryMessageError(`Chunk ${number} of ${pending.total} of ${key} is missing`);
+    }
+    chunks.push(Buffer.from(pending.chunks[number], 'base64'));
+  }
+  return Buffer.concat(chunks);
+}
+
+function applyEvent(state, message, envelope) {
+  const { parcelId } = envelope;
+  const head = state.eventHeads[parcelId] || null;
+  if (envelope.previousHash !== head) {
+    return reject(state, message, `Event does not follow the last event of parcel ${parcelId}`);
+  }
+  // The link only orders events: an event that is linked correctly but
+  // cannot be applied (e.g. a duplicate issuance) still becomes the head,
+  // unless no registration claimed the parcel ID (yet)
+  state.eventHeads[parcelId] = eventHash(envelope);
+  applyEventType(state, message, envelope);
+  if (!state.parcels[parcelId]) {
+    delete state.eventHeads[parcelId];
+  }
+  return state;
+}
+
+function applyEventType(state, message, envelope) {
+  const { parcelId } = envelope;
+  switch (envelope.type) {
+    case EVENT_TYPES.PARCEL_REGISTERED:
+      return applyRegistration(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.ATTESTATION_SUBMITTED:
+      return applyAttestation(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.PARCEL_VERIFIED:
+      return applyVerification(state, message, parcelId, parcelId, envelope.payload);
+    case EVENT_TYPES.VERIFICATION_DISPUTED:
+      return applyDispute(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.DISPUTE_RESOLVED:
+      return applyDisputeResolution(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.VERIFICATION_EXPIRED:
+      return applyExpiry(state, message, parcelId);
+    case EVENT_TYPES.REASSESSMENT_REQUESTED:
+      return applyReassessmentRequest(state, message, parcelId);
+    case EVENT_TYPES.PARCEL_TOKENIZED:
+      return applyTokenization(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.PARCEL_TRANSFERRED:
+      return applyTransfer(state, message, parcelId, envelope.payload);
+    case EVENT_TYPES.CREDITS_ISSUED:
+      return applyIssuance(state, message, parcelId, parcelId, envelope.payload);
+    case EVENT_TYPES.CREDITS_RETIRED:
+      return applyRetirement(state, message, parcelId, envelope.payload);
+    default:
+      return reject(state, message, `Unknown event type "${envelope.type}"`);
+  }
+}
+
+function applyLegacyMessage(state, message, body) {
+  if (body.type === undefined && typeof body.name === 'string' && Array.isArray(body.boundaries) &&
+    body.boundaries.every((point) => point && typeof point === 'object')) {
+    return applyRegistration(state, message, legacyParcelIdFor(body.name), body);
+  }
+
+  const label = `"${body.landParcelName}"`;
+  const parcelId = typeof body.landParcelName === 'string' ? legacyParcelIdFor(body.landParcelName) : null;
+  if (body.type === 'verification') {
+    return applyVerification(state, message, parcelId, label, body);
+  }
+  if (body.type === 'smart_contract_verification') {
+    // These carried the contract's 0-100 score in biodiversityRating
+    const { biodiversityRating, ...verification } = body;
+    return applyVerification(state, message, parcelId, label, {
+      ...verification,
+      biodiversityScore: body.biodiversityScore !== undefined ? body.biodiversityScore : biodiversityRating
+    });
+  }
+  if (body.type === 'issuance') {
+    return applyIssuance(state, message, parcelId, label, body);
+  }
+  return reject(state, message, `Unknown message type "${body.type}"`);
+}
+
+function applyRegistration(state, message, parcelId, body) {
+  const existing = state.parcels[parcelId];
+  const payer = message.payerAccountId || null;
+  // Events are validated by lib/registry-messages; registrations from before the protocol are not
+  if (body.nonce !== undefined && (typeof body.nonce !== 'string' || typeof body.registrant !== 'string')) {
+    return reject(state, message, `Registration of parcel ${parcelId} has a nonce without a registrant`);
+  }
+  if (!existing) {
+    // The first registration claims the ID: it must be derived from the paying registrant and its nonce,
+    // or from the name for parcels registered before
+    const derived = body.nonce !== undefined ? parcelIdFor(body.registrant, body.nonce) : legacyParcelIdFor(body.name);
+    if (derived !== parcelId) {
+      return reject(state, message, `Parcel ID ${parcelId} is not derived from the registration's ` +
+        `${body.nonce !== undefined ? 'registrant and nonce' : 'name'}`);
+    }
+    if (body.nonce !== undefined && payer && payer !== body.registrant) {
+      return reject(state, message, `Registration of parcel ${parcelId} for registrant ${body.registrant} was paid by ${payer}`);
+    }
+  } else if (payer && ![existing.registrant, existing.owner].includes(payer)) {
+    return reject(state, message, `Registration of parcel ${parcelId} by ${payer}, who is neither its registrant nor its owner`);
+  }
+
+  const parcel = existing || {
+    parcelId,
+    name: body.name,
+    registrant: body.nonce !== undefined ? body.registrant : null,
+    registeredAt: message.consensusTimestamp,
+    registrationSequenceNumber: message.sequenceNumber,
+    verified: false,
+    verificationStatus: null,
+    verifiedAt: null,
+    verifier: null,
+    verificationExpiresAt: null,
+    biodiversityRating: body.biodiversityRating,
+    scoreHistory: [],
+    attestations: [],
+    dispute: null,
+    creditsMinted: 0,
+    issuances: [],
+    creditsRetired: 0,
+    retirements: [],
+    nft: null,
+    transfers: []
+  };
+
+  // A repeated registration (e.g. a retried batch or a rename) updates the parcel data only;
+  // the owner only changes hands with the parcel NFT
+  for (const field of REGISTRATION_FIELDS) {
+    if (body[field] !== undefined && !(existing && field === 'owner')) {
+      parcel[field] = body[field];
+    }
+  }
+  // Computed from the record itself, so they can be checked against the contract (see lib/parcel-record)
+  const recordHash = parcelRecordHash(body);
+  if (existing && existing.recordHash !== recordHash) {
+    // Changed data was never verified: like the contract, wait for a new verification
+    parcel.verified = false;
+    parcel.verificationStatus = 'pending';
+    parcel.verifiedAt = null;
+    parcel.verifier = null;
+    parcel.verificationExpiresAt = null;
+    parcel.dispute = null;
+    parcel.dataChangedAt = message.consensusTimestamp;
+  }
+  parcel.name = body.name;
+  parcel.recordHash = recordHash;
+  parcel.geometryHash = geometryHash(body.boundaries);
+  parcel.boundaries = body.boundaries.map(({ latitude, longitude }) => ({ latitude, longitude }));
+  parcel.declaredBiodiversityRating = body.biodiversityRating;
+  if (!parcel.verified) {
+    parcel.biodiversityRating = body.biodiversityRating;
+  }
+  parcel.updatedAt = message.consensusTimestamp;
+
+  state.parcels[parcelId] = parcel;
+  return state;
+}
+
+function applyVerification(state, message, parcelId, label, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Verification for unregistered parcel ${label}`);
+  }
+
+  parcel.verificationStatus = body.verificationStatus || 'approved';
+  parcel.verified = parcel.verificationStatus === 'approved';
+  parcel.verifiedAt = message.consensusTimestamp;
+  parcel.verifier = body.verifier || null;
+  if (body.biodiversityRating !== undefined) {
+    parcel.biodiversityRating = body.biodiversityRating;
+  }
+  if (body.contractId !== undefined) {
+    parcel.contractId = body.contractId;
+  }
+  if (body.biodiversityScore !== undefined) {
+    parcel.biodiversityScore = body.biodiversityScore;
+    // State saved before score history was indexed has no list yet
+    parcel.scoreHistory = parcel.scoreHistory || [];
+    parcel.scoreHistory.push({
+      biodiversityScore: body.biodiversityScore,
+      verificationStatus: parcel.verificationStatus,
+      consensusTimestamp: message.consensusTimestamp
+    });
+  }
+  parcel.verificationExpiresAt = body.expiresAt || null;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyExpiry(state, message, parcelId) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel || parcel.verificationStatus !== 'approved') {
+    return reject(state, message, `Expiry of a verification that is not approved for parcel ${parcelId}`);
+  }
+
+  parcel.verificationStatus = 'expired';
+  parcel.verified = false;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyReassessmentRequest(state, message, parcelId) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Re-assessment for unregistered parcel ${parcelId}`);
+  }
+
+  // The attestations so far stay listed; the new round's attestations follow them
+  parcel.verificationStatus = 'pending';
+  parcel.verified = false;
+  parcel.verificationExpiresAt = null;
+  parcel.dispute = null;
+  parcel.reassessmentRequestedAt = message.consensusTimestamp;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyAttestation(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Attestation for unregistered parcel ${parcelId}`);
+  }
+
+  // State saved before attestations were indexed has no list yet
+  parcel.attestations = parcel.attestations || [];
+  parcel.attestations.push({
+    verifier: body.verifier || null,
+    approved: body.approved,
+    biodiversityScore: body.biodiversityScore,
+    notes: body.notes || '',
+    consensusTimestamp: message.consensusTimestamp
+  });
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyDispute(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Dispute for unregistered parcel ${parcelId}`);
+  }
+
+  parcel.dispute = {
+    challenger: body.challenger || null,
+    reason: body.reason,
+    raisedAt: message.consensusTimestamp,
+    resolved: false,
+    upheld: false
+  };
+  parcel.verificationStatus = 'disputed';
+  parcel.verified = false;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyDisputeResolution(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel || !parcel.dispute || parcel.dispute.resolved) {
+    return reject(state, message, `Resolution without an open dispute for parcel ${parcelId}`);
+  }
+
+  parcel.dispute.resolved = true;
+  parcel.dispute.upheld = body.upheld;
+  parcel.dispute.resolvedAt = message.consensusTimestamp;
+  parcel.verificationStatus = body.upheld ? 'rejected' : 'approved';
+  parcel.verified = !body.upheld;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyTokenization(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Tokenization of unregistered parcel ${parcelId}`);
+  }
+  // One parcel is one NFT: a second NFT would split its ownership and credits
+  if (parcel.nft && (parcel.nft.tokenId !== body.tokenId || parcel.nft.serial !== body.serial)) {
+    return reject(state, message, `Parcel ${parcelId} is already tokenized as ${formatNft(parcel.nft)}`);
+  }
+
+  parcel.nft = { tokenId: body.tokenId, serial: body.serial };
+  parcel.tokenizedAt = parcel.tokenizedAt || message.consensusTimestamp;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyTransfer(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel || !parcel.nft) {
+    return reject(state, message, `Transfer of parcel ${parcelId}, which is not tokenized`);
+  }
+  if (parcel.nft.tokenId !== body.tokenId || parcel.nft.serial !== body.serial) {
+    return reject(state, message, `Transfer of ${formatNft(body)}, which is not the NFT of parcel ${parcelId}`);
+  }
+
+  // State saved before transfers were indexed has no list yet
+  parcel.transfers = parcel.transfers || [];
+  parcel.transfers.push({
+    from: body.from || parcel.owner || null,
+    to: body.to,
+    transferTransactionId: body.transferTransactionId || null,
+    consensusTimestamp: message.consensusTimestamp
+  });
+  parcel.owner = body.to;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyIssuance(state, message, parcelId, label, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Issuance for unregistered parcel ${label}`);
+  }
+  if (!Number.isSafeInteger(body.amount) || body.amount <= 0) {
+    return reject(state, message, 'Issuance amount must be a positive integer');
+  }
+  // A retried workflow may record the same mint twice
+  if (body.mintTransactionId && parcel.issuances.some((issuance) => issuance.mintTransactionId === body.mintTransactionId)) {
+    return reject(state, message, `Issuance for mint ${body.mintTransactionId} was already recorded`);
+  }
+
+  parcel.issuances.push({
+    methodology: body.methodology,
+    asOf: body.asOf || null,
+    amount: body.amount,
+    allowed: body.allowed || null,
+    tokenId: body.tokenId,
+    mintTransactionId: body.mintTransactionId,
+    parcelNft: body.parcelNft || null,
+    verifiedAt: body.verifiedAt || null,
+    consensusTimestamp: message.consensusTimestamp,
+    sequenceNumber: message.sequenceNumber
+  });
+  parcel.creditsMinted += body.amount;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function applyRetirement(state, message, parcelId, body) {
+  const parcel = state.parcels[parcelId];
+  if (!parcel) {
+    return reject(state, message, `Retirement from unregistered parcel ${parcelId}`);
+  }
+  // State saved before retirements were indexed has no totals yet
+  parcel.retirements = parcel.retirements || [];
+  parcel.creditsRetired = parcel.creditsRetired || 0;
+  if (parcel.retirements.some((retirement) => retirement.retirementId === body.retirementId)) {
+    return reject(state, message, `Retirement ${body.retirementId} was already recorded for parcel ${parcelId}`);
+  }
+  // Credits can only be retired once: never more than the parcel was issued
+  if (parcel.creditsRetired + body.amount > parcel.creditsMinted) {
+    return reject(state, message, `Retirement ${body.retirementId} of ${body.amount} exceeds the ` +
+      `${parcel.creditsMinted - parcel.creditsRetired} unretired credits of parcel ${parcelId}`);
+  }
+
+  parcel.retirements.push({
+    retirementId: body.retirementId,
+    amount: body.amount,
+    tokenId: body.tokenId,
+    beneficiary: body.beneficiary,
+    reason: body.reason,
+    retirementTransactionId: body.retirementTransactionId,
+    consensusTimestamp: message.consensusTimestamp,
+    sequenceNumber: message.sequenceNumber
+  });
+  parcel.creditsRetired += body.amount;
+  parcel.updatedAt = message.consensusTimestamp;
+  return state;
+}
+
+function formatNft({ tokenId, serial }) {
+  return `${tokenId}#${serial}`;
+}
+
+function reject(state, message, reason) {
+  state.rejected.push({
+    sequenceNumber: message.sequenceNumber,
+    consensusTimestamp: message.consensusTimestamp,
+    reason
+  });
+  return state;
+}
+
+module.exports = {
+  applyTopicMessage,
+  createRegistryState
+};
@@ -0,0 +1,75 @@
+/**
+ * Local stores for the indexed registry state and pipeline checkpoints
+ *
+ * A store keeps one JSON document. The indexer saves its RegistryState (see
+ * lib/registry-state) after every page of messages, so an interrupted sync
+ * resumes from the last saved consensus timestamp; the registration pipeline
+ * (see lib/registration-pipeline) and credit retirement (see
+ * lib/credit-retirement) save their checkpoints the same way.
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Store that keeps the state in a JSON file
+ */
+class JsonFileRegistryStore {
+  /**
+   * @param {string} filePath File the state is kept in
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Load the saved state
+   *
+   * @returns {Promise<?object>} The state, or null when nothing was saved yet
+   */
+  async load() {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Save the state, replacing the file atomically so a crash never leaves half a state
+   *
+   * @param {object} state
+   * @returns {Promise<void>}
+   */
+  async save(state) {
+    const directory = path.dirname(path.resolve(this.filePath));
+    await fs.promises.mkdir(directory, { recursive: true });
+    const temporaryPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.writeFile(temporaryPath, JSON.stringify(state, null, 2));
+    await fs.promises.rename(temporaryPath, this.filePath);
+  }
+}
+
+/**
+ * Store that keeps the state in memory (for tests and one-off replays)
+ */
+class MemoryRegistryStore {
+  constructor() {
+    this.state = null;
+  }
+
+  async load() {
+    return this.state ? JSON.parse(JSON.stringify(this.state)) : null;
+  }
+
+  async save(state) {
+    this.state = JSON.parse(JSON.stringify(state));
+  }
+}
+
+module.exports = {
+  JsonFileRegistryStore,
+  MemoryRegistryStore
+};
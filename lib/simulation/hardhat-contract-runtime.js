@@ -0,0 +1,182 @@
+/**
+ * Contract runtime for the simulated ledger, backed by the Hardhat in-memory network
+ *
+ * Hedera accounts call contracts from their long-zero EVM address
+ * (0x000...0 followed by the account number), exactly as on Hedera, so
+ * `msg.sender` inside the contract matches what the real network would see.
+ * Block timestamps follow the simulated ledger's consensus clock.
+ */
+
+// Balance given to every impersonated account so it can pay for gas (100 ETH)
+const ACCOUNT_GAS_BALANCE = '0x56BC75E2D63100000';
+
+// Selector of the Solidity Error(string) revert payload
+const ERROR_STRING_SELECTOR = '0x08c379a0';
+
+class HardhatContractRuntime {
+  /**
+   * @param {object} [hre] Hardhat runtime environment (defaults to require('hardhat'))
+   */
+  constructor(hre = require('hardhat')) {
+    if (hre.network.name !== 'hardhat') {
+      throw new Error(
+        `The simulated ledger runs contracts on the in-memory "hardhat" network, not "${hre.network.name}"`
+      );
+    }
+    this.hre = hre;
+    this.provider = hre.network.provider;
+    this.fundedAddresses = new Set();
+    this.compiled = false;
+  }
+
+  /**
+   * Deploy a contract from the project's Hardhat artifacts
+   *
+   * @param {string} contractName Name of the contract artifact
+   * @param {object} context Execution context
+   * @param {string} context.from EVM address of the deploying account
+   * @param {number} context.timestamp Block timestamp (Unix seconds)
+   * @param {number} context.gas Gas limit
+   * @returns {Promise<{evmAddress: string, gasUsed: number}>}
+   */
+  async deploy(contractName, { from, timestamp, gas }) {
+    if (!this.compiled) {
+      await this.hre.run('compile', { quiet: true });
+      this.compiled = true;
+    }
+    const artifact = await this.hre.artifacts.readArtifact(contractName);
+    const receipt = await this._send({ from, data: artifact.bytecode, gas, timestamp });
+
+    return {
+      evmAddress: receipt.contractAddress,
+      gasUsed: Number(receipt.gasUsed)
+    };
+  }
+
+  /**
+   * Execute a state-changing contract call
+   *
+   * @param {string} to EVM address of the contract
+   * @param {Uint8Array|string} calldata ABI-encoded function call
+   * @param {object} context Same execution context as deploy
+   * @returns {Promise<{success: boolean, gasUsed: number, logs: Array, revertReason: ?string, revertData: ?string}>}
+   */
+  async execute(to, calldata, { from, timestamp, gas }) {
+    try {
+      const receipt = await this._send({ from, to, data: toHex(calldata), gas, timestamp });
+      return {
+        success: true,
+        gasUsed: Number(receipt.gasUsed),
+        logs: receipt.logs.map(({ address, topics, data }) => ({ address, topics, data })),
+        revertReason: null,
+        revertData: null
+      };
+    } catch (error) {
+      const revertData = extractRevertData(error);
+      return {
+        success: false,
+        gasUsed: gas,
+        logs: [],
+        revertReason: decodeRevertReason(revertData) || error.message,
+        revertData
+      };
+    }
+  }
+
+  /**
+   * Run a read-only contract call against the latest state
+   *
+   * When the ledger's clock has moved past the latest block (see
+   * SimulatedLedger#advanceTime), an empty block is mined at that time first,
+   * so views that depend on `block.timestamp` see the ledger's time.
+   *
+   * @param {string} to EVM address of the contract
+   * @param {Uint8Array|string} calldata ABI-encoded function call
+   * @param {object} context
+   * @param {string} context.from EVM address of the caller
+   * @param {number} context.gas Gas limit
+   * @param {number} [context.timestamp] Current time of the ledger (Unix seconds)
+   * @returns {Promise<string>} ABI-encoded return data (0x-prefixed hex)
+   * @throws {Error} With the call's `revertData` when the contract reverts
+   */
+  async call(to, calldata, { from, gas, timestamp }) {
+    if (timestamp !== undefined) {
+      const latest = await this.provider.request({ method: 'eth_getBlockByNumber', params: ['latest', false] });
+      if (timestamp > Number(latest.timestamp)) {
+        await this.provider.request({ method: 'evm_mine', params: [toQuantity(timestamp)] });
+      }
+    }
+    try {
+      return await this.provider.request({
+        method: 'eth_call',
+        params: [{ from, to, data: toHex(calldata), gas: toQuantity(gas) }, 'latest']
+      });
+    } catch (error) {
+      const revertData = extractRevertData(error);
+      if (revertData === null) {
+        throw error;
+      }
+      throw Object.assign(new Error(decodeRevertReason(revertData) || 'Call reverted'), { revertData });
+    }
+  }
+
+  // Send a transaction from an impersonated account at the given block time
+  async _send({ from, to, data, gas, timestamp }) {
+    await this._prepareAccount(from);
+    await this.provider.request({ method: 'evm_setNextBlockTimestamp', params: [toQuantity(timestamp)] });
+
+    const hash = await this.provider.request({
+      method: 'eth_sendTransaction',
+      params: [{ from, to, data, gas: toQuantity(gas) }]
+    });
+    const receipt = await this.provider.request({ method: 'eth_getTransactionReceipt', params: [hash] });
+    if (receipt.status !== '0x1') {
+      throw new Error('Transaction reverted without a reason');
+    }
+    return receipt;
+  }
+
+  async _prepareAccount(address) {
+    if (this.fundedAddresses.has(address)) {
+      return;
+    }
+    await this.provider.request({ method: 'hardhat_impersonateAccount', params: [address] });
+    await this.provider.request({ method: 'hardhat_setBalance', params: [address, ACCOUNT_GAS_BALANCE] });
+    this.fundedAddresses.add(address);
+  }
+}
+
+function toHex(bytes) {
+  return typeof bytes === 'string' ? bytes : `0x${Buffer.from(bytes).toString('hex')}`;
+}
+
+function toQuantity(number) {
+  return `0x${Number(number).toString(16)}`;
+}
+
+// Hardhat attaches the revert payload to the error (or its cause)
+function extractRevertData(error) {
+  for (let current = error; current; current = current.cause || current.error) {
+    if (typeof current.data === 'string' && current.data.startsWith('0x')) {
+      return current.data;
+    }
+    if (current.data && typeof current.data.data === 'string') {
+      return current.data.data;
+    }
+  }
+  return null;
+}
+
+// Decode a Solidity Error(string) revert payload
+function decodeRevertReason(revertData) {
+  if (!revertData || !revertData.startsWith(ERROR_STRING_SELECTOR)) {
+    return null;
+  }
+  const payload = Buffer.from(revertData.slice(10), 'hex');
+  const length = Number(BigInt(`0x${payload.subarray(32, 64).toString('hex')}`));
+  return payload.subarray(64, 64 + length).toString('utf8');
+}
+
+module.exports = {
+  HardhatContractRuntime
+};
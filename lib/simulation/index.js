@@ -0,0 +1,33 @@
+/**
+ * Offline simulation of the Hedera network
+ *
+ * createSimulatedLedger() returns a ledger whose contracts run on the Hardhat
+ * in-memory network, so the full registration → verification → mint flow can
+ * run deterministically without network access.
+ */
+const { DEFAULT_START_TIME, SimulatedLedger, evmAddressOf } = require('./simulated-ledger');
+const { HardhatContractRuntime } = require('./hardhat-contract-runtime');
+const { MockMirrorNode } = require('./mock-mirror-node');
+
+/**
+ * Create a simulated ledger backed by the Hardhat in-memory network
+ *
+ * @param {object} [options] SimulatedLedger options; `hre` selects the Hardhat runtime
+ * @returns {SimulatedLedger}
+ */
+function createSimulatedLedger(options = {}) {
+  const { hre, ...ledgerOptions } = options;
+  return new SimulatedLedger({
+    contractRuntime: new HardhatContractRuntime(hre),
+    ...ledgerOptions
+  });
+}
+
+module.exports = {
+  DEFAULT_START_TIME,
+  SimulatedLedger,
+  HardhatContractRuntime,
+  MockMirrorNode,
+  createSimulatedLedger,
+  evmAddressOf
+};
@@ -0,0 +1,334 @@
+/**
+ * Mock Hedera mirror node REST API
+ *
+ * Serves the subset of the mirror node API the registry uses, from entities
+ * registered explicitly and, when given, from a simulated ledger. It listens
+ * on a local port, so code under test talks to it over real HTTP exactly as it
+ * would to a mirror node.
+ */
+const crypto = require('crypto');
+const http = require('http');
+const { evmAddressOf } = require('./simulated-ledger');
+
+class MockMirrorNode {
+  /**
+   * @param {object} [options]
+   * @param {object} [options.ledger] Simulated ledger whose accounts, contracts, contract logs, NFTs,
+   *   topic messages and transactions are served
+   */
+  constructor(options = {}) {
+    this.ledger = options.ledger || null;
+    this.entities = { contracts: new Map(), accounts: new Map() };
+    this.requests = [];
+    this.server = null;
+    this.url = null;
+  }
+
+  /**
+   * Serve a contract
+   *
+   * @param {string} contractId Contract ID (shard.realm.num)
+   * @param {string} evmAddress EVM address the contract is called at
+   * @returns {MockMirrorNode}
+   */
+  addContract(contractId, evmAddress) {
+    this.entities.contracts.set(contractId.toString(), { contract_id: contractId.toString(), evm_address: evmAddress });
+    return this;
+  }
+
+  /**
+   * Serve an account
+   *
+   * @param {string} accountId Account ID (shard.realm.num)
+   * @param {string} [evmAddress] Alias address (defaults to the long-zero address)
+   * @returns {MockMirrorNode}
+   */
+  addAccount(accountId, evmAddress = evmAddressOf(accountId)) {
+    this.entities.accounts.set(accountId.toString(), { account: accountId.toString(), evm_address: evmAddress });
+    return this;
+  }
+
+  /**
+   * Start listening on a free local port
+   *
+   * @returns {Promise<string>} Base URL of the mock, e.g. http://127.0.0.1:40123
+   */
+  async start() {
+    this.server = http.createServer((request, response) => this._handle(request, response));
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening
+   *
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (this.server) {
+      await new Promise((resolve) => this.server.close(resolve));
+      this.server = null;
+    }
+  }
+
+  _handle(request, response) {
+    this.requests.push(request.url);
+    const url = new URL(request.url, 'http://mirror');
+
+    const topicMatch = /^\/api\/v1\/topics\/([^/]+)\/messages$/.exec(url.pathname);
+    if (topicMatch) {
+      this._topicMessages(decodeURIComponent(topicMatch[1]), url, response);
+      return;
+    }
+
+    const logsMatch = /^\/api\/v1\/contracts\/([^/]+)\/results\/logs$/.exec(url.pathname);
+    if (logsMatch) {
+      this._contractLogs(decodeURIComponent(logsMatch[1]), url, response);
+      return;
+    }
+
+    const nftMatch = /^\/api\/v1\/tokens\/([^/]+)\/nfts\/(\d+)$/.exec(url.pathname);
+    if (nftMatch) {
+      this._nft(decodeURIComponent(nftMatch[1]), Number(nftMatch[2]), response);
+      return;
+    }
+
+    const transactionMatch = /^\/api\/v1\/transactions\/([^/]+)$/.exec(url.pathname);
+    if (transactionMatch) {
+      this._transaction(decodeURIComponent(transactionMatch[1]), response);
+      return;
+    }
+
+    const match = /^\/api\/v1\/(contracts|accounts)\/([^/]+)$/.exec(url.pathname);
+    const entity = match ? this._find(match[1], decodeURIComponent(match[2])) : null;
+    if (!entity) {
+      respond(response, 404, NOT_FOUND);
+      return;
+    }
+    respond(response, 200, entity);
+  }
+
+  // Page through a ledger topic's messages in ascending consensus order
+  _topicMessages(topicId, url, response) {
+    if (!this.ledger || !this.ledger.topics.has(topicId)) {
+      respond(response, 404, NOT_FOUND);
+      return;
+    }
+
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 25, 100);
+    const filter = parseTimestampFilter(url.searchParams.get('timestamp'));
+    if (filter === undefined) {
+      respond(response, 400, INVALID_TIMESTAMP);
+      return;
+    }
+    const messages = this.ledger.getTopicMessages(topicId)
+      .filter((message) => filter(message.consensusTimestamp.toString()))
+      .slice(0, limit)
+      .map(toMirrorMessage);
+
+    const last = messages[messages.length - 1];
+    const next = messages.length === limit
+      ? `/api/v1/topics/${topicId}/messages?order=asc&limit=${limit}&timestamp=gt:${last.consensus_timestamp}`
+      : null;
+    respond(response, 200, { messages, links: { next } });
+  }
+
+  // List the event logs of a ledger contract's successful calls in ascending consensus order
+  _contractLogs(contractKey, url, response) {
+    const entity = this._find('contracts', contractKey);
+    if (!entity || !this.ledger) {
+      respond(response, 404, NOT_FOUND);
+      return;
+    }
+
+    const limit = Math.min(Number(url.searchParams.get('limit')) || 25, 100);
+    const filter = parseTimestampFilter(url.searchParams.get('timestamp'));
+    if (filter === undefined) {
+      respond(response, 400, INVALID_TIMESTAMP);
+      return;
+    }
+    // index=gt:<n> continues the logs of one transaction, so it needs an exact timestamp
+    const indexFilter = url.searchParams.get('index');
+    const indexMatch = /^gt:(\d+)$/.exec(indexFilter || '');
+    if (indexFilter && (!indexMatch || !/^(eq:)?\d+\.\d{9}$/.test(url.searchParams.get('timestamp')))) {
+      respond(response, 400, { _status: { messages: [{ message: 'Invalid parameter: index' }] } });
+      return;
+    }
+    const logs = [];
+    for (const record of this.ledger.records.values()) {
+      const result = record.contractFunctionResult;
+      const timestamp = record.consensusTimestamp.toString();
+      if (!result || record.receipt.status.toString() !== 'SUCCESS' ||
+        result.contractId.toString() !== entity.contract_id || !filter(timestamp)) {
+        continue;
+      }
+      const transactionHash = `0x${crypto.createHash('sha256').update(record.transactionId.toString()).digest('hex')}`;
+      result.logs.forEach(({ address, topics, data }, index) => {
+        if (indexMatch && index <= Number(indexMatch[1])) {
+          return;
+        }
+        logs.push({
+          address: address.toLowerCase(),
+          contract_id: entity.contract_id,
+          data,
+          index,
+          root_contract_id: entity.contract_id,
+          timestamp,
+          topics,
+          transaction_hash: transactionHash
+        });
+      });
+    }
+    respond(response, 200, { logs: logs.slice(0, limit), links: { next: null } });
+  }
+
+  // Serve one NFT of a ledger token with its current holder
+  _nft(tokenId, serial, response) {
+    const nft = this.ledger && this.ledger.tokens.has(tokenId) ? this.ledger.getNft(tokenId, serial) : null;
+    if (!nft) {
+      respond(response, 404, NOT_FOUND);
+      return;
+    }
+    respond(response, 200, {
+      account_id: nft.accountId.toString(),
+      deleted: false,
+      metadata: nft.metadata.toString('base64'),
+      serial_number: nft.serial,
+      token_id: tokenId
+    });
+  }
+
+  // Serve a ledger transaction by its mirror node ID (payer-seconds-nanos)
+  _transaction(mirrorTransactionId, response) {
+    const match = /^(\d+\.\d+\.\d+)-(\d+)-(\d{9})$/.exec(mirrorTransactionId);
+    const record = match && this.ledger
+      ? this.ledger.records.get(`${match[1]}@${match[2]}.${match[3]}`)
+      : null;
+    if (!record) {
+      respond(response, 404, NOT_FOUND);
+      return;
+    }
+    const { receipt } = record;
+    const entityId = receipt.tokenId || receipt.topicId || receipt.contractId;
+    respond(response, 200, {
+      transactions: [{
+        consensus_timestamp: record.consensusTimestamp.toString(),
+        entity_id: entityId ? entityId.toString() : null,
+        memo_base64: Buffer.from(record.transactionMemo).toString('base64'),
+        name: MIRROR_TRANSACTION_NAMES[record.transactionType] || 'UNKNOWN',
+        nonce: 0,
+        result: receipt.status.toString(),
+        scheduled: false,
+        transaction_id: mirrorTransactionId
+      }]
+    });
+  }
+
+  // Find an entity by ID or EVM address, like the mirror node does
+  _find(collection, key) {
+    const entities = new Map(this.entities[collection]);
+    for (const entity of this._ledgerEntities(collection)) {
+      entities.set(Object.values(entity)[0], entity);
+    }
+
+    const address = key.toLowerCase();
+    for (const [id, entity] of entities) {
+      if (id === key || (entity.evm_address && entity.evm_address.toLowerCase() === address)) {
+        return entity;
+      }
+    }
+    return null;
+  }
+
+  _ledgerEntities(collection) {
+    if (!this.ledger) {
+      return [];
+    }
+    if (collection === 'contracts') {
+      return [...this.ledger.contracts.values()].map(({ contractId, evmAddress }) => ({
+        contract_id: contractId.toString(),
+        evm_address: evmAddress.toLowerCase()
+      }));
+    }
+    return [...this.ledger.accounts.values()].map(({ accountId }) => ({
+      account: accountId.toString(),
+      evm_address: evmAddressOf(accountId)
+    }));
+  }
+}
+
+const NOT_FOUND = { _status: { messages: [{ message: 'Not found' }] } };
+
+// Mirror node transaction names of the SDK transactions the simulated ledger runs
+const MIRROR_TRANSACTION_NAMES = {
+  TokenCreateTransaction: 'TOKENCREATION',
+  TokenMintTransaction: 'TOKENMINT',
+  TokenBurnTransaction: 'TOKENBURN',
+  TokenWipeTransaction: 'TOKENWIPE',
+  TokenAssociateTransaction: 'TOKENASSOCIATE',
+  TokenGrantKycTransaction: 'TOKENGRANTKYC',
+  TokenRevokeKycTransaction: 'TOKENREVOKEKYC',
+  TokenFreezeTransaction: 'TOKENFREEZE',
+  TokenUnfreezeTransaction: 'TOKENUNFREEZE',
+  TokenPauseTransaction: 'TOKENPAUSE',
+  TokenUnpauseTransaction: 'TOKENUNPAUSE',
+  TransferTransaction: 'CRYPTOTRANSFER',
+  TopicCreateTransaction: 'CONSENSUSCREATETOPIC',
+  TopicMessageSubmitTransaction: 'CONSENSUSSUBMITMESSAGE',
+  ContractCreateTransaction: 'CONTRACTCREATEINSTANCE',
+  ContractExecuteTransaction: 'CONTRACTCALL'
+};
+
+const INVALID_TIMESTAMP = { _status: { messages: [{ message: 'Invalid parameter: timestamp' }] } };
+
+// Only the timestamp=gt:<seconds.nanos> filter used for ascending paging and exact timestamps
+// are supported; returns a predicate on consensus timestamps, or undefined for any other filter
+function parseTimestampFilter(filter) {
+  if (!filter) {
+    return () => true;
+  }
+  const match = /^(gt:|eq:)?(\d+\.\d{9})$/.exec(filter);
+  if (!match) {
+    return undefined;
+  }
+  const bound = toNanos(match[2]);
+  return match[1] === 'gt:'
+    ? (timestamp) => toNanos(timestamp) > bound
+    : (timestamp) => toNanos(timestamp) === bound;
+}
+
+function toNanos(timestamp) {
+  const [seconds, nanos] = timestamp.split('.');
+  return BigInt(seconds) * 1000000000n + BigInt(nanos.padEnd(9, '0'));
+}
+
+// Shape a simulated ledger message like a mirror node topic message
+function toMirrorMessage(message) {
+  const chunkInfo = message.chunkInfo;
+  const [accountId, validStart] = chunkInfo ? chunkInfo.initialTransactionId.split('@') : [];
+  return {
+    consensus_timestamp: message.consensusTimestamp.toString(),
+    topic_id: message.topicId,
+    message: message.contents.toString('base64'),
+    running_hash: Buffer.from(message.runningHash).toString('base64'),
+    sequence_number: message.sequenceNumber,
+    payer_account_id: message.payerAccountId,
+    chunk_info: chunkInfo
+      ? {
+        initial_transaction_id: { account_id: accountId, transaction_valid_start: validStart, nonce: 0, scheduled: false },
+        number: chunkInfo.number,
+        total: chunkInfo.total
+      }
+      : null
+  };
+}
+
+function respond(response, status, body) {
+  response.writeHead(status, { 'content-type': 'application/json' });
+  response.end(JSON.stringify(body));
+}
+
+module.exports = {
+  MockMirrorNode
+};
@@ -0,0 +1,1031 @@
+/**
+ * In-process simulated Hedera ledger
+ *
+ * The simulated ledger executes the same SDK transaction and query objects the
+ * scripts send to the real network, and keeps real state for them:
+ * - entity IDs (tokens, topics, contracts) are allocated sequentially
+ * - token supply and account balances are tracked per token; accounts must be
+ *   associated with a token to hold it, and NFTs are tracked per serial
+ * - fungible tokens can be burned from the treasury and wiped from other accounts
+ * - tokens with a KYC, freeze or pause key only move between accounts granted
+ *   KYC and not frozen, and not at all while paused
+ * - topic messages get sequence numbers, consensus timestamps and a running hash
+ * - contracts run on the Hardhat in-memory network (see HardhatContractRuntime)
+ *
+ * Consensus time is a deterministic clock that advances one second per
+ * transaction, so the same flow always produces the same IDs and timestamps.
+ * Failed transactions reach "consensus" like on Hedera: their receipt carries
+ * the failure status and getReceipt() throws the SDK's ReceiptStatusError.
+ * Failed queries throw a PrecheckStatusError; for a reverted contract call it
+ * carries the revert data, like the network's. Like the network, a
+ * TransactionReceiptQuery only finds receipts up to three minutes after
+ * consensus (records and getTransactionReceipt() keep them forever).
+ * Signatures are not checked; the payer is taken from the transaction ID.
+ *
+ * injectFailure() makes the next transactions fail the way a busy or flaky
+ * network does, to exercise retries and resumed runs.
+ */
+const crypto = require('crypto');
+const {
+  AccountBalanceQuery,
+  AccountId,
+  ContractCallQuery,
+  ContractExecuteTransaction,
+  ContractFunctionResult,
+  ContractId,
+  Hbar,
+  Long,
+  MaxAttemptsOrTimeoutError,
+  PrecheckStatusError,
+  ReceiptStatusError,
+  Status,
+  Timestamp,
+  TokenAssociateTransaction,
+  TokenBurnTransaction,
+  TokenCreateTransaction,
+  TokenFreezeTransaction,
+  TokenGrantKycTransaction,
+  TokenId,
+  TokenInfoQuery,
+  TokenMintTransaction,
+  TokenPauseTransaction,
+  TokenRevokeKycTransaction,
+  TokenSupplyType,
+  TokenType,
+  TokenUnfreezeTransaction,
+  TokenUnpauseTransaction,
+  TopicCreateTransaction,
+  TopicId,
+  TokenWipeTransaction,
+  TopicMessageSubmitTransaction,
+  TransactionId,
+  TransactionReceipt,
+  TransactionReceiptQuery,
+  TransactionRecordQuery,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+
+// 2025-01-01T00:00:00Z, also the genesis time of the Hardhat network
+const DEFAULT_START_TIME = 1735689600;
+
+// Maximum HCS message chunk size and chunk count, as enforced by the SDK
+const MESSAGE_CHUNK_SIZE = 1024;
+const MAX_MESSAGE_CHUNKS = 20;
+
+const DEFAULT_CONTRACT_GAS = 4000000;
+
+// Seconds after consensus the network answers receipt queries for a transaction
+const RECEIPT_LIFETIME = 180;
+
+/**
+ * Internal failure raised by a transaction handler with a Hedera status
+ */
+class LedgerFailure extends Error {
+  constructor(status, message) {
+    super(message || status.toString());
+    this.status = status;
+  }
+}
+
+/**
+ * Mirrors the SDK's TransactionResponse for a simulated transaction
+ */
+class SimulatedTransactionResponse {
+  constructor(ledger, transactionId) {
+    this.ledger = ledger;
+    this.transactionId = transactionId;
+  }
+
+  /**
+   * @returns {Promise<TransactionReceipt>}
+   * @throws {ReceiptStatusError} When the transaction failed
+   */
+  async getReceipt() {
+    const { receipt } = this.ledger._recordFor(this.transactionId);
+    if (receipt.status !== Status.Success) {
+      throw new ReceiptStatusError({
+        status: receipt.status,
+        transactionId: this.transactionId,
+        transactionReceipt: receipt
+      });
+    }
+    return receipt;
+  }
+
+  /**
+   * @returns {Promise<object>} Record with receipt, consensus timestamp and contract result
+   */
+  async getRecord() {
+    await this.getReceipt();
+    return this.ledger._recordFor(this.transactionId);
+  }
+}
+
+class SimulatedLedger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.operatorId] Account paying for transactions (created automatically)
+   * @param {number} [options.startTime] Consensus time of the first transaction minus one second (Unix seconds)
+   * @param {number} [options.firstEntityNum] Entity number of the first created entity
+   * @param {object} [options.contractRuntime] Runtime for contract calls (e.g. HardhatContractRuntime)
+   */
+  constructor(options = {}) {
+    this.operatorId = AccountId.fromString(options.operatorId || '0.0.2');
+    this.contractRuntime = options.contractRuntime || null;
+    this.clock = options.startTime !== undefined ? options.startTime : DEFAULT_START_TIME;
+    this.nextEntityNum = options.firstEntityNum || 1001;
+
+    this.accounts = new Map();
+    this.tokens = new Map();
+    this.topics = new Map();
+    this.contracts = new Map();
+    this.records = new Map();
+    // Failures injectFailure() queued for the next transactions
+    this.injectedFailures = [];
+
+    this.handlers = [
+      [TokenCreateTransaction, (transaction, context) => this._createToken(transaction, context)],
+      [TokenMintTransaction, (transaction, context) => this._mintToken(transaction, context)],
+      [TokenBurnTransaction, (transaction, context) => this._burnToken(transaction, context)],
+      [TokenWipeTransaction, (transaction, context) => this._wipeToken(transaction, context)],
+      [TokenAssociateTransaction, (transaction, context) => this._associateTokens(transaction, context)],
+      [TokenGrantKycTransaction, (transaction) => this._setKyc(transaction, true)],
+      [TokenRevokeKycTransaction, (transaction) => this._setKyc(transaction, false)],
+      [TokenFreezeTransaction, (transaction) => this._setFrozen(transaction, true)],
+      [TokenUnfreezeTransaction, (transaction) => this._setFrozen(transaction, false)],
+      [TokenPauseTransaction, (transaction) => this._setPaused(transaction, true)],
+      [TokenUnpauseTransaction, (transaction) => this._setPaused(transaction, false)],
+      [TransferTransaction, (transaction, context) => this._transfer(transaction, context)],
+      [TopicCreateTransaction, (transaction, context) => this._createTopic(transaction, context)],
+      [TopicMessageSubmitTransaction, (transaction, context) => this._submitMessage(transaction, context)],
+      [ContractExecuteTransaction, (transaction, context) => this._executeContract(transaction, context)]
+    ];
+
+    this.createAccount({ accountId: this.operatorId.toString(), hbars: 10000 });
+  }
+
+  /**
+   * Create an account on the simulated ledger
+   *
+   * @param {object} [options]
+   * @param {string} [options.accountId] Explicit account ID (allocated when omitted)
+   * @param {number} [options.hbars] Initial hbar balance
+   * @returns {AccountId}
+   */
+  createAccount(options = {}) {
+    const accountId = options.accountId
+      ? AccountId.fromString(options.accountId)
+      : new AccountId(this._nextEntityNum());
+    this.accounts.set(accountId.toString(), {
+      accountId,
+      hbars: options.hbars || 0,
+      balances: new Map(),
+      // KYC and freeze status per associated token
+      relationships: new Map()
+    });
+    return accountId;
+  }
+
+  /**
+   * Give a transaction a deterministic transaction ID and freeze it
+   *
+   * Use instead of freezeWith(client) to keep transaction IDs reproducible.
+   *
+   * @param {object} transaction SDK transaction
+   * @param {string} [payerId] Paying account (defaults to the operator)
+   * @returns {object} The frozen transaction
+   */
+  freeze(transaction, payerId) {
+    const payer = payerId ? AccountId.fromString(payerId) : this.operatorId;
+    this.validStartNanos = (this.validStartNanos || 0) + 1;
+    transaction
+      .setTransactionId(TransactionId.withValidStart(payer, new Timestamp(this.clock, this.validStartNanos)))
+      .setNodeAccountIds([new AccountId(3)]);
+    return transaction.freeze();
+  }
+
+  /**
+   * Make the next transactions fail
+   *
+   * By default the transaction is turned away before it runs, with a
+   * PrecheckStatusError of the status (e.g. BUSY). With afterExecution the
+   * transaction runs and reaches consensus, but its response is lost: execute()
+   * throws the SDK's MaxAttemptsOrTimeoutError, as when a node stops answering.
+   *
+   * @param {Status} status Precheck status to fail with (ignored with afterExecution)
+   * @param {object} [options]
+   * @param {number} [options.count] Number of transactions to fail
+   * @param {boolean} [options.afterExecution] Lose the response of executed transactions instead
+   */
+  injectFailure(status, { count = 1, afterExecution = false } = {}) {
+    for (let i = 0; i < count; i++) {
+      this.injectedFailures.push({ status, afterExecution });
+    }
+  }
+
+  /**
+   * Execute an SDK transaction against the simulated ledger
+   *
+   * @param {object} transaction SDK transaction (frozen or not)
+   * @returns {Promise<SimulatedTransactionResponse>}
+   * @throws {PrecheckStatusError} When the transaction ID was already used, or for an injected failure
+   * @throws {MaxAttemptsOrTimeoutError} For an injected lost response
+   */
+  async execute(transaction) {
+    const handler = this.handlers.find(([type]) => transaction instanceof type);
+    if (!handler) {
+      throw new Error(`The simulated ledger does not support ${transaction.constructor.name}`);
+    }
+
+    const transactionId = transaction.transactionId ||
+      TransactionId.withValidStart(this.operatorId, new Timestamp(this.clock, 0));
+    const failure = this.injectedFailures.shift();
+    if (failure && !failure.afterExecution) {
+      throw new PrecheckStatusError({
+        status: failure.status,
+        transactionId,
+        nodeId: new AccountId(3),
+        contractFunctionResult: null
+      });
+    }
+    if (this.records.has(transactionId.toString())) {
+      throw new PrecheckStatusError({
+        status: Status.DuplicateTransaction,
+        transactionId,
+        nodeId: new AccountId(3),
+        contractFunctionResult: null
+      });
+    }
+
+    const context = {
+      transactionId,
+      payerId: transactionId.accountId,
+      consensusTimestamp: this._tick()
+    };
+    const record = {
+      transactionId,
+      transactionType: transaction.constructor.name,
+      consensusTimestamp: context.consensusTimestamp,
+      transactionMemo: transaction.transactionMemo || '',
+      contractFunctionResult: null,
+      receipt: null
+    };
+
+    try {
+      const result = (await handler[1](transaction, context)) || {};
+      record.contractFunctionResult = result.contractFunctionResult || null;
+      record.receipt = buildReceipt(Status.Success, result.receipt);
+    } catch (error) {
+      if (!(error instanceof LedgerFailure)) {
+        throw error;
+      }
+      record.contractFunctionResult = error.contractFunctionResult || null;
+      record.receipt = buildReceipt(error.status);
+    }
+
+    this.records.set(transactionId.toString(), record);
+    if (failure) {
+      throw new MaxAttemptsOrTimeoutError(`max attempts of 1 was reached for request with last error being: ` +
+        `GrpcServiceError: ${transactionId} timed out`, '0.0.3');
+    }
+    return new SimulatedTransactionResponse(this, transactionId);
+  }
+
+  /**
+   * Run an SDK query against the simulated ledger
+   *
+   * Supports TokenInfoQuery, AccountBalanceQuery, TransactionReceiptQuery, TransactionRecordQuery
+   * and ContractCallQuery.
+   *
+   * @param {object} query SDK query
+   * @returns {Promise<object>}
+   */
+  async query(query) {
+    if (query instanceof TokenInfoQuery) {
+      return this._tokenInfo(query.tokenId);
+    }
+    if (query instanceof AccountBalanceQuery) {
+      return this._accountBalance(query.accountId);
+    }
+    if (query instanceof TransactionReceiptQuery) {
+      return this._transactionReceipt(query.transactionId, query.validateStatus);
+    }
+    if (query instanceof TransactionRecordQuery) {
+      return this._transactionRecord(query.transactionId);
+    }
+    if (query instanceof ContractCallQuery) {
+      return this._callContract(query);
+    }
+    throw new Error(`The simulated ledger does not support ${query.constructor.name}`);
+  }
+
+  /**
+   * Deploy a contract from the project's Hardhat artifacts
+   *
+   * @param {string} contractName Name of the compiled contract
+   * @param {object} [options]
+   * @param {number} [options.gas] Gas limit for the deployment
+   * @returns {Promise<{contractId: ContractId, evmAddress: string, transactionId: TransactionId}>}
+   */
+  async deployContract(contractName, options = {}) {
+    const runtime = this._requireContractRuntime();
+    const transactionId = TransactionId.withValidStart(this.operatorId, new Timestamp(this.clock, 0));
+    const consensusTimestamp = this._tick();
+
+    const { evmAddress } = await runtime.deploy(contractName, {
+      from: evmAddressOf(this.operatorId),
+      timestamp: consensusTimestamp.seconds.toNumber(),
+      gas: options.gas || DEFAULT_CONTRACT_GAS
+    });
+
+    const contractId = new ContractId(this._nextEntityNum());
+    this.contracts.set(contractId.toString(), { contractId, evmAddress, contractName });
+    this.records.set(transactionId.toString(), {
+      transactionId,
+      transactionType: 'ContractCreateTransaction',
+      consensusTimestamp,
+      transactionMemo: '',
+      contractFunctionResult: null,
+      receipt: buildReceipt(Status.Success, { contractId })
+    });
+
+    return { contractId, evmAddress, transactionId };
+  }
+
+  /**
+   * Get the receipt of an executed transaction
+   *
+   * @param {TransactionId|string} transactionId
+   * @returns {TransactionReceipt}
+   */
+  getTransactionReceipt(transactionId) {
+    return this._recordFor(transactionId).receipt;
+  }
+
+  /**
+   * Get all messages submitted to a topic, in consensus order
+   *
+   * @param {TopicId|string} topicId
+   * @returns {Array<{topicId: string, sequenceNumber: number, consensusTimestamp: Timestamp,
+   *   contents: Buffer, runningHash: Buffer, payerAccountId: string,
+   *   chunkInfo: ?{number: number, total: number, initialTransactionId: string}}>}
+   */
+  getTopicMessages(topicId) {
+    const topic = this.topics.get(topicId.toString());
+    if (!topic) {
+      throw new Error(`Unknown topic ${topicId}`);
+    }
+    return topic.messages.map((message) => ({ ...message }));
+  }
+
+  /**
+   * Get an account's balance of a token
+   *
+   * @param {AccountId|string} accountId
+   * @param {TokenId|string} tokenId
+   * @returns {bigint}
+   */
+  getTokenBalance(accountId, tokenId) {
+    const account = this.accounts.get(accountId.toString());
+    if (!account) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+    return account.balances.get(tokenId.toString()) || 0n;
+  }
+
+  /**
+   * Get the KYC and freeze status of an account for a token
+   *
+   * @param {AccountId|string} accountId
+   * @param {TokenId|string} tokenId
+   * @returns {?{kycGranted: boolean, frozen: boolean}} null when the account is not associated
+   */
+  getTokenRelationship(accountId, tokenId) {
+    const account = this.accounts.get(accountId.toString());
+    if (!account) {
+      throw new Error(`Unknown account ${accountId}`);
+    }
+    const relationship = account.relationships.get(tokenId.toString());
+    return relationship ? { ...relationship } : null;
+  }
+
+  /**
+   * Get an NFT of a non-fungible token
+   *
+   * @param {string} tokenId
+   * @param {number} serial
+   * @returns {?{serial: number, accountId: AccountId, metadata: Buffer}} null when the serial was never minted
+   */
+  getNft(tokenId, serial) {
+    const token = this.tokens.get(tokenId.toString());
+    if (!token) {
+      throw new Error(`Unknown token ${tokenId}`);
+    }
+    return token.nfts.get(Number(serial)) || null;
+  }
+
+  /**
+   * Move consensus time forward, e.g. past a contract's challenge window
+   *
+   * @param {number} seconds Whole seconds to skip
+   */
+  advanceTime(seconds) {
+    if (!Number.isInteger(seconds) || seconds < 0) {
+      throw new Error('advanceTime needs a non-negative whole number of seconds');
+    }
+    this.clock += seconds;
+  }
+
+  // ---- Transaction handlers ----
+
+  _createToken(transaction, { payerId }) {
+    if (!transaction.tokenName) {
+      throw new LedgerFailure(Status.MissingTokenName);
+    }
+    if (!transaction.tokenSymbol) {
+      throw new LedgerFailure(Status.MissingTokenSymbol);
+    }
+    const treasuryId = (transaction.treasuryAccountId || payerId).toString();
+    const treasury = this.accounts.get(treasuryId);
+    if (!treasury) {
+      throw new LedgerFailure(Status.InvalidTreasuryAccountForToken);
+    }
+
+    const tokenType = transaction.tokenType || TokenType.FungibleCommon;
+    const supplyType = transaction.supplyType || TokenSupplyType.Infinite;
+    const initialSupply = BigInt((transaction.initialSupply || Long.ZERO).toString());
+    const maxSupply = BigInt((transaction.maxSupply || Long.ZERO).toString());
+
+    if (supplyType === TokenSupplyType.Finite && maxSupply <= 0n) {
+      throw new LedgerFailure(Status.InvalidTokenMaxSupply);
+    }
+    if (supplyType === TokenSupplyType.Finite && initialSupply > maxSupply) {
+      throw new LedgerFailure(Status.InvalidTokenInitialSupply);
+    }
+    if (tokenType === TokenType.NonFungibleUnique && initialSupply !== 0n) {
+      throw new LedgerFailure(Status.InvalidTokenInitialSupply);
+    }
+
+    const tokenId = new TokenId(this._nextEntityNum());
+    this.tokens.set(tokenId.toString(), {
+      tokenId,
+      name: transaction.tokenName,
+      symbol: transaction.tokenSymbol,
+      decimals: tokenType === TokenType.NonFungibleUnique ? 0 : Number(transaction.decimals || 0),
+      tokenType,
+      supplyType,
+      maxSupply,
+      totalSupply: initialSupply,
+      treasuryAccountId: AccountId.fromString(treasuryId),
+      adminKey: transaction.adminKey,
+      supplyKey: transaction.supplyKey,
+      kycKey: transaction.kycKey,
+      freezeKey: transaction.freezeKey,
+      pauseKey: transaction.pauseKey,
+      wipeKey: transaction.wipeKey,
+      freezeDefault: Boolean(transaction.freezeDefault),
+      paused: false,
+      tokenMemo: transaction.tokenMemo || '',
+      nfts: new Map()
+    });
+    treasury.balances.set(tokenId.toString(), initialSupply);
+    // Like on Hedera, the treasury is granted KYC and never frozen by default
+    treasury.relationships.set(tokenId.toString(), { kycGranted: true, frozen: false });
+
+    return { receipt: { tokenId } };
+  }
+
+  _mintToken(transaction) {
+    const token = this._requireUnpaused(transaction.tokenId);
+    if (!token.supplyKey) {
+      throw new LedgerFailure(Status.TokenHasNoSupplyKey);
+    }
+
+    const treasury = this.accounts.get(token.treasuryAccountId.toString());
+    const serials = [];
+    let minted;
+
+    if (token.tokenType === TokenType.NonFungibleUnique) {
+      const metadata = transaction.metadata || [];
+      if (metadata.length === 0) {
+        throw new LedgerFailure(Status.InvalidTokenMintMetadata);
+      }
+      minted = BigInt(metadata.length);
+      this._checkSupplyCap(token, minted);
+      for (const entry of metadata) {
+        const serial = token.nfts.size + 1;
+        token.nfts.set(serial, {
+          serial,
+          accountId: token.treasuryAccountId,
+          metadata: Buffer.from(entry)
+        });
+        serials.push(Long.fromNumber(serial));
+      }
+    } else {
+      minted = BigInt((transaction.amount || Long.ZERO).toString());
+      if (minted <= 0n) {
+        throw new LedgerFailure(Status.InvalidTokenMintAmount);
+      }
+      this._checkSupplyCap(token, minted);
+    }
+
+    token.totalSupply += minted;
+    const key = token.tokenId.toString();
+    treasury.balances.set(key, (treasury.balances.get(key) || 0n) + minted);
+
+    return { receipt: { totalSupply: Long.fromString(token.totalSupply.toString()), serials } };
+  }
+
+  // Fungible burns only: the burned amount leaves the treasury and the supply
+  _burnToken(transaction) {
+    const token = this._requireUnpaused(transaction.tokenId);
+    if (token.tokenType === TokenType.NonFungibleUnique) {
+      throw new Error('The simulated ledger does not support NFT burns');
+    }
+    if (!token.supplyKey) {
+      throw new LedgerFailure(Status.TokenHasNoSupplyKey);
+    }
+    const amount = BigInt((transaction.amount || Long.ZERO).toString());
+    if (amount <= 0n) {
+      throw new LedgerFailure(Status.InvalidTokenBurnAmount);
+    }
+
+    const key = token.tokenId.toString();
+    const treasury = this.accounts.get(token.treasuryAccountId.toString());
+    if (treasury.balances.get(key) < amount) {
+      throw new LedgerFailure(Status.InsufficientTokenBalance);
+    }
+    treasury.balances.set(key, treasury.balances.get(key) - amount);
+    token.totalSupply -= amount;
+
+    return { receipt: { totalSupply: Long.fromString(token.totalSupply.toString()) } };
+  }
+
+  // Fungible wipes only: the wiped amount leaves a non-treasury account and the supply
+  _wipeToken(transaction) {
+    const token = this._requireUnpaused(transaction.tokenId);
+    if (token.tokenType === TokenType.NonFungibleUnique) {
+      throw new Error('The simulated ledger does not support NFT wipes');
+    }
+    if (!token.wipeKey) {
+      throw new LedgerFailure(Status.TokenHasNoWipeKey);
+    }
+    if (String(transaction.accountId) === token.treasuryAccountId.toString()) {
+      throw new LedgerFailure(Status.CannotWipeTokenTreasuryAccount);
+    }
+
+    const key = token.tokenId.toString();
+    const account = this._requireAssociated(String(transaction.accountId), key);
+    const amount = BigInt((transaction.amount || Long.ZERO).toString());
+    if (amount <= 0n || account.balances.get(key) < amount) {
+      throw new LedgerFailure(Status.InvalidWipingAmount);
+    }
+    account.balances.set(key, account.balances.get(key) - amount);
+    token.totalSupply -= amount;
+
+    return { receipt: { totalSupply: Long.fromString(token.totalSupply.toString()) } };
+  }
+
+  _associateTokens(transaction) {
+    const account = this.accounts.get(String(transaction.accountId));
+    if (!account) {
+      throw new LedgerFailure(Status.InvalidAccountId);
+    }
+    const tokens = transaction.tokenIds.map((tokenId) => this._requireUnpaused(tokenId));
+    if (tokens.some((token) => account.balances.has(token.tokenId.toString()))) {
+      throw new LedgerFailure(Status.TokenAlreadyAssociatedToAccount);
+    }
+    for (const token of tokens) {
+      account.balances.set(token.tokenId.toString(), 0n);
+      // Tokens without a KYC key need no KYC; with a freeze key, new holders start frozen if freezeDefault is set
+      account.relationships.set(token.tokenId.toString(), {
+        kycGranted: !token.kycKey,
+        frozen: Boolean(token.freezeKey) && token.freezeDefault
+      });
+    }
+    return {};
+  }
+
+  _setKyc(transaction, granted) {
+    const token = this._requireUnpaused(transaction.tokenId);
+    if (!token.kycKey) {
+      throw new LedgerFailure(Status.TokenHasNoKycKey);
+    }
+    const key = token.tokenId.toString();
+    this._requireAssociated(String(transaction.accountId), key).relationships.get(key).kycGranted = granted;
+    return {};
+  }
+
+  _setFrozen(transaction, frozen) {
+    const token = this._requireUnpaused(transaction.tokenId);
+    if (!token.freezeKey) {
+      throw new LedgerFailure(Status.TokenHasNoFreezeKey);
+    }
+    const key = token.tokenId.toString();
+    this._requireAssociated(String(transaction.accountId), key).relationships.get(key).frozen = frozen;
+    return {};
+  }
+
+  _setPaused(transaction, paused) {
+    const token = this._requireToken(transaction.tokenId);
+    if (!token.pauseKey) {
+      throw new LedgerFailure(Status.TokenHasNoPauseKey);
+    }
+    token.paused = paused;
+    return {};
+  }
+
+  // Token and NFT transfers only; every check passes before any balance changes
+  _transfer(transaction) {
+    if (transaction._hbarTransfers.length > 0) {
+      throw new Error('The simulated ledger does not support hbar transfers');
+    }
+    if (transaction._tokenTransfers.length === 0 && transaction._nftTransfers.length === 0) {
+      throw new LedgerFailure(Status.EmptyTokenTransferBody);
+    }
+
+    const changes = [];
+    const totals = new Map();
+    for (const { tokenId, accountId, amount } of transaction._tokenTransfers) {
+      const token = this._requireUnpaused(tokenId);
+      const key = token.tokenId.toString();
+      totals.set(key, (totals.get(key) || 0n) + BigInt(amount.toString()));
+      changes.push({ account: this._requireTransferable(accountId, key), key, amount: BigInt(amount.toString()) });
+    }
+    if ([...totals.values()].some((total) => total !== 0n)) {
+      throw new LedgerFailure(Status.TransfersNotZeroSumForToken);
+    }
+
+    const moves = [];
+    for (const { tokenId, senderAccountId, receiverAccountId, serialNumber } of transaction._nftTransfers) {
+      const token = this._requireUnpaused(tokenId);
+      const key = token.tokenId.toString();
+      const nft = token.nfts.get(serialNumber.toNumber());
+      if (!nft) {
+        throw new LedgerFailure(Status.InvalidNftId);
+      }
+      if (nft.accountId.toString() !== senderAccountId.toString()) {
+        throw new LedgerFailure(Status.SenderDoesNotOwnNftSerialNo);
+      }
+      const sender = this._requireTransferable(senderAccountId, key);
+      const receiver = this._requireTransferable(receiverAccountId, key);
+      changes.push({ account: sender, key, amount: -1n }, { account: receiver, key, amount: 1n });
+      moves.push({ nft, receiverAccountId });
+    }
+
+    const balances = new Map();
+    for (const { account, key, amount } of changes) {
+      const id = `${account.accountId}/${key}`;
+      const balance = (balances.has(id) ? balances.get(id).balance : account.balances.get(key)) + amount;
+      if (balance < 0n) {
+        throw new LedgerFailure(Status.InsufficientTokenBalance);
+      }
+      balances.set(id, { account, key, balance });
+    }
+
+    for (const { account, key, balance } of balances.values()) {
+      account.balances.set(key, balance);
+    }
+    for (const { nft, receiverAccountId } of moves) {
+      nft.accountId = AccountId.fromString(receiverAccountId.toString());
+    }
+    return {};
+  }
+
+  _createTopic(transaction) {
+    const topicId = new TopicId(this._nextEntityNum());
+    this.topics.set(topicId.toString(), {
+      topicId,
+      memo: transaction.topicMemo || '',
+      adminKey: transaction.adminKey,
+      submitKey: transaction.submitKey,
+      sequenceNumber: 0,
+      runningHash: Buffer.alloc(48),
+      messages: []
+    });
+    return { receipt: { topicId } };
+  }
+
+  _submitMessage(transaction, { transactionId, payerId, consensusTimestamp }) {
+    const topic = this.topics.get(String(transaction.topicId));
+    if (!topic) {
+      throw new LedgerFailure(Status.InvalidTopicId);
+    }
+    const contents = Buffer.from(transaction.message || []);
+    if (contents.length === 0) {
+      throw new LedgerFailure(Status.InvalidTopicMessage);
+    }
+
+    // Messages over the chunk size are split like the SDK does, one chunk per message
+    const total = Math.ceil(contents.length / MESSAGE_CHUNK_SIZE);
+    if (total > Math.min(transaction.maxChunks || MAX_MESSAGE_CHUNKS, MAX_MESSAGE_CHUNKS)) {
+      throw new LedgerFailure(Status.InvalidTopicMessage, 'Message requires more chunks than allowed');
+    }
+
+    for (let index = 0; index < total; index++) {
+      const chunk = contents.subarray(index * MESSAGE_CHUNK_SIZE, (index + 1) * MESSAGE_CHUNK_SIZE);
+      const chunkTimestamp = new Timestamp(consensusTimestamp.seconds, consensusTimestamp.nanos.toNumber() + index);
+      topic.sequenceNumber += 1;
+      topic.runningHash = nextRunningHash(topic, chunkTimestamp, chunk);
+      topic.messages.push({
+        topicId: topic.topicId.toString(),
+        sequenceNumber: topic.sequenceNumber,
+        consensusTimestamp: chunkTimestamp,
+        contents: Buffer.from(chunk),
+        runningHash: topic.runningHash,
+        payerAccountId: payerId.toString(),
+        chunkInfo: total > 1
+          ? { number: index + 1, total, initialTransactionId: transactionId.toString() }
+          : null
+      });
+    }
+
+    return {
+      receipt: {
+        topicSequenceNumber: Long.fromNumber(topic.sequenceNumber),
+        topicRunningHash: topic.runningHash
+      }
+    };
+  }
+
+  async _executeContract(transaction, { payerId, consensusTimestamp }) {
+    const contract = this._requireContract(transaction.contractId);
+    const runtime = this._requireContractRuntime();
+    const gas = Number((transaction.gas || Long.ZERO).toString());
+
+    const result = await runtime.execute(contract.evmAddress, transaction.functionParameters || new Uint8Array(), {
+      from: evmAddressOf(payerId),
+      timestamp: consensusTimestamp.seconds.toNumber(),
+      gas
+    });
+    const contractFunctionResult = {
+      contractId: contract.contractId,
+      gasUsed: result.gasUsed,
+      logs: result.logs,
+      // Hedera reports the revert data as 0x hex, and other failures as text
+      errorMessage: result.revertData || result.revertReason
+    };
+
+    if (!result.success) {
+      const failure = new LedgerFailure(
+        /out of gas/i.test(result.revertReason || '') ? Status.InsufficientGas : Status.ContractRevertExecuted,
+        result.revertReason
+      );
+      failure.contractFunctionResult = contractFunctionResult;
+      throw failure;
+    }
+
+    return { receipt: { contractId: contract.contractId }, contractFunctionResult };
+  }
+
+  // ---- Query handlers ----
+
+  _tokenInfo(tokenId) {
+    const token = this._requireToken(tokenId, true);
+    return {
+      tokenId: token.tokenId,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      totalSupply: Long.fromString(token.totalSupply.toString()),
+      treasuryAccountId: token.treasuryAccountId,
+      adminKey: token.adminKey,
+      supplyKey: token.supplyKey,
+      kycKey: token.kycKey,
+      freezeKey: token.freezeKey,
+      pauseKey: token.pauseKey,
+      wipeKey: token.wipeKey,
+      defaultFreezeStatus: token.freezeKey ? token.freezeDefault : null,
+      defaultKycStatus: token.kycKey ? false : null,
+      pauseStatus: token.pauseKey ? token.paused : null,
+      tokenType: token.tokenType,
+      supplyType: token.supplyType,
+      maxSupply: Long.fromString(token.maxSupply.toString()),
+      tokenMemo: token.tokenMemo
+    };
+  }
+
+  _transactionReceipt(transactionId, validateStatus) {
+    const record = transactionId && this.records.get(transactionId.toString());
+    if (!record || this.clock > record.consensusTimestamp.seconds.toNumber() + RECEIPT_LIFETIME) {
+      throw this._queryError(Status.ReceiptNotFound);
+    }
+    if (validateStatus && record.receipt.status !== Status.Success) {
+      throw new ReceiptStatusError({ status: record.receipt.status, transactionId, transactionReceipt: record.receipt });
+    }
+    return record.receipt;
+  }
+
+  _transactionRecord(transactionId) {
+    const record = transactionId && this.records.get(transactionId.toString());
+    if (!record) {
+      throw this._queryError(Status.RecordNotFound);
+    }
+    return record;
+  }
+
+  _accountBalance(accountId) {
+    const account = this.accounts.get(String(accountId));
+    if (!account) {
+      throw this._queryError(Status.InvalidAccountId);
+    }
+    const balances = new Map(
+      [...account.balances].map(([tokenId, amount]) => [tokenId, Long.fromString(amount.toString())])
+    );
+    return {
+      accountId: account.accountId,
+      hbars: new Hbar(account.hbars),
+      tokens: {
+        get: (tokenId) => balances.get(tokenId.toString()) || null,
+        toJSON: () => Object.fromEntries([...balances].map(([id, amount]) => [id, amount.toString()]))
+      }
+    };
+  }
+
+  async _callContract(query) {
+    const contract = this._requireContract(query.contractId, true);
+    const runtime = this._requireContractRuntime();
+    const gas = Number((query.gas || Long.fromNumber(DEFAULT_CONTRACT_GAS)).toString());
+    let output;
+    try {
+      output = await runtime.call(contract.evmAddress, query.functionParameters || new Uint8Array(), {
+        from: evmAddressOf(query.senderAccountId || this.operatorId),
+        gas,
+        timestamp: this.clock
+      });
+    } catch (error) {
+      if (error.revertData === undefined) {
+        throw error;
+      }
+      throw this._queryError(Status.ContractRevertExecuted, { contractId: contract.contractId, errorMessage: error.revertData });
+    }
+
+    return new ContractFunctionResult({
+      _createResult: false,
+      contractId: contract.contractId,
+      bytes: Buffer.from(output.slice(2), 'hex'),
+      errorMessage: '',
+      bloom: new Uint8Array(),
+      gasUsed: Long.ZERO,
+      logs: [],
+      createdContractIds: [],
+      evmAddress: null,
+      gas: Long.fromNumber(gas),
+      amount: Long.ZERO,
+      functionParameters: new Uint8Array(),
+      senderAccountId: null,
+      stateChanges: [],
+      signerNonce: null
+    });
+  }
+
+  // ---- Helpers ----
+
+  // A failed query, as the SDK reports it: a PrecheckStatusError for the query's payment transaction
+  _queryError(status, contractFunctionResult = null) {
+    return new PrecheckStatusError({
+      status,
+      transactionId: TransactionId.withValidStart(this.operatorId, new Timestamp(this.clock, 0)),
+      nodeId: new AccountId(3),
+      contractFunctionResult
+    });
+  }
+
+  _tick() {
+    this.clock += 1;
+    this.validStartNanos = 0;
+    return new Timestamp(this.clock, 0);
+  }
+
+  _nextEntityNum() {
+    return this.nextEntityNum++;
+  }
+
+  _recordFor(transactionId) {
+    const record = this.records.get(transactionId.toString());
+    if (!record) {
+      throw new Error(`Unknown transaction ${transactionId}`);
+    }
+    return record;
+  }
+
+  _requireToken(tokenId, isQuery) {
+    const token = tokenId && this.tokens.get(tokenId.toString());
+    if (!token) {
+      if (isQuery) {
+        throw this._queryError(Status.InvalidTokenId);
+      }
+      throw new LedgerFailure(Status.InvalidTokenId);
+    }
+    return token;
+  }
+
+  _requireUnpaused(tokenId) {
+    const token = this._requireToken(tokenId);
+    if (token.paused) {
+      throw new LedgerFailure(Status.TokenIsPaused);
+    }
+    return token;
+  }
+
+  // An associated account that can send or receive the token: not frozen and granted KYC
+  _requireTransferable(accountId, tokenId) {
+    const account = this._requireAssociated(accountId, tokenId);
+    const { kycGranted, frozen } = account.relationships.get(tokenId);
+    if (frozen) {
+      throw new LedgerFailure(Status.AccountFrozenForToken);
+    }
+    if (!kycGranted) {
+      throw new LedgerFailure(Status.AccountKycNotGrantedForToken);
+    }
+    return account;
+  }
+
+  _requireAssociated(accountId, tokenId) {
+    const account = this.accounts.get(accountId.toString());
+    if (!account) {
+      throw new LedgerFailure(Status.InvalidAccountId);
+    }
+    if (!account.balances.has(tokenId)) {
+      throw new LedgerFailure(Status.TokenNotAssociatedToAccount);
+    }
+    return account;
+  }
+
+  _requireContract(contractId, isQuery) {
+    let contract = contractId && this.contracts.get(contractId.toString());
+    if (!contract && contractId && contractId.evmAddress) {
+      const evmAddress = `0x${Buffer.from(contractId.evmAddress).toString('hex')}`.toLowerCase();
+      contract = [...this.contracts.values()].find((entry) => entry.evmAddress.toLowerCase() === evmAddress);
+    }
+    if (!contract) {
+      if (isQuery) {
+        throw this._queryError(Status.InvalidContractId);
+      }
+      throw new LedgerFailure(Status.InvalidContractId);
+    }
+    return contract;
+  }
+
+  _requireContractRuntime() {
+    if (!this.contractRuntime) {
+      throw new Error('The simulated ledger was created without a contract runtime');
+    }
+    return this.contractRuntime;
+  }
+
+  _checkSupplyCap(token, amount) {
+    if (token.supplyType === TokenSupplyType.Finite && token.totalSupply + amount > token.maxSupply) {
+      throw new LedgerFailure(Status.TokenMaxSupplyReached);
+    }
+  }
+}
+
+// Build an SDK receipt with the given status and fields
+function buildReceipt(status, fields = {}) {
+  return new TransactionReceipt({
+    status,
+    accountId: null,
+    fileId: null,
+    contractId: null,
+    topicId: null,
+    tokenId: null,
+    scheduleId: null,
+    exchangeRate: null,
+    nextExchangeRate: null,
+    topicSequenceNumber: null,
+    topicRunningHash: null,
+    totalSupply: null,
+    scheduledTransactionId: null,
+    serials: [],
+    duplicates: [],
+    children: [],
+    nodeId: null,
+    ...fields
+  });
+}
+
+// Long-zero EVM address of a Hedera account, used as msg.sender in contracts
+function evmAddressOf(accountId) {
+  return `0x${AccountId.fromString(accountId.toString()).toSolidityAddress()}`;
+}
+
+// Chain each message into the topic's running hash (SHA-384), like HCS does
+function nextRunningHash(topic, consensusTimestamp, contents) {
+  const header = Buffer.alloc(28);
+  header.writeBigInt64BE(BigInt(topic.topicId.num.toString()), 0);
+  header.writeBigInt64BE(BigInt(consensusTimestamp.seconds.toString()), 8);
+  header.writeInt32BE(consensusTimestamp.nanos.toNumber(), 16);
+  header.writeBigInt64BE(BigInt(topic.sequenceNumber), 20);
+  return crypto.createHash('sha384')
+    .update(topic.runningHash)
+    .update(header)
+    .update(crypto.createHash('sha384').update(contents).digest())
+    .digest();
+}
+
+module.exports = {
+  DEFAULT_START_TIME,
+  SimulatedLedger,
+  evmAddressOf
+};
@@ -0,0 +1,87 @@
+/**
+ * Settling the transactions of an interrupted run
+ *
+ * The registration pipeline and credit retirement checkpoint the ID of every
+ * transaction before sending it (see BiodiversityRegistryClient#onSubmit), so
+ * a run that stops before it learns how a transaction went can find out when
+ * it resumes: from the receipt while the network keeps it, then from the
+ * mirror node once the transaction has either reached consensus or expired.
+ */
+const { PipelineCheckpointError } = require('./errors');
+
+// Seconds after its valid start by which a transaction has either reached
+// consensus and shows on the mirror node, or expired (valid duration 120s)
+const SETTLE_TIME = 180;
+
+/**
+ * @typedef {object} TransactionOutcome
+ * @property {string} transactionId
+ * @property {string} status Receipt status, e.g. "SUCCESS", or "NOT_FOUND" when it never reached consensus
+ * @property {?string} tokenId Token the transaction created
+ * @property {?string} topicId Topic the transaction created
+ * @property {?number} sequenceNumber Sequence number of a topic message (null from the mirror node)
+ * @property {?string} totalSupply Token supply after a mint, burn or wipe (null from the mirror node)
+ * @property {?string} consensusTimestamp Consensus timestamp (null from the receipt)
+ */
+
+/**
+ * Outcome of a transaction an interrupted run sent
+ *
+ * @param {BiodiversityRegistryClient} registry Client that sent the transaction
+ * @param {MirrorNodeClient} mirrorNode Mirror node of the network
+ * @param {string} transactionId
+ * @param {object} options
+ * @param {string} options.step Step of the run that sent the transaction
+ * @returns {Promise<TransactionOutcome>}
+ * @throws {PipelineCheckpointError} UNCONFIRMED_TRANSACTION while the transaction may still reach consensus
+ */
+async function settleTransaction(registry, mirrorNode, transactionId, { step }) {
+  try {
+    return { ...await registry.getReceipt(transactionId), consensusTimestamp: null };
+  } catch (error) {
+    // The SDK keeps asking while the receipt is not found, then times out
+    if (!error.retryable) {
+      throw error;
+    }
+  }
+
+  // Network time in Unix seconds: the ledger clock when simulating
+  const now = registry.isSimulated ? registry.ledger.clock : Date.now() / 1000;
+  if (now <= validStartOf(transactionId) + SETTLE_TIME) {
+    throw new PipelineCheckpointError(
+      `The ${step} transaction ${transactionId} may still reach consensus; resume again in a few minutes`,
+      'UNCONFIRMED_TRANSACTION', { step, transactionId });
+  }
+  const found = await mirrorNode.get(`/api/v1/transactions/${mirrorTransactionId(transactionId)}`);
+  const transaction = found && found.transactions.find((candidate) => !candidate.scheduled && !candidate.nonce);
+  if (!transaction) {
+    // Past its valid duration and not on the mirror node: it never reached consensus
+    return { transactionId, status: 'NOT_FOUND' };
+  }
+  return {
+    transactionId,
+    status: transaction.result,
+    tokenId: transaction.name === 'TOKENCREATION' ? transaction.entity_id : null,
+    topicId: transaction.name === 'CONSENSUSCREATETOPIC' ? transaction.entity_id : null,
+    sequenceNumber: null,
+    totalSupply: null,
+    consensusTimestamp: transaction.consensus_timestamp
+  };
+}
+
+// Valid start of a transaction ID ("0.0.2@1735689600.000000001") in Unix seconds
+function validStartOf(transactionId) {
+  return Number(transactionId.split('@')[1].split('.')[0]);
+}
+
+// Mirror node form of a transaction ID: 0.0.2@1735689600.000000001 → 0.0.2-1735689600-000000001
+function mirrorTransactionId(transactionId) {
+  const [accountId, validStart] = transactionId.split('@');
+  const [seconds, nanos] = validStart.split('.');
+  return `${accountId}-${seconds}-${nanos.padEnd(9, '0')}`;
+}
+
+module.exports = {
+  SETTLE_TIME,
+  settleTransaction
+};
@@ -0,0 +1,504 @@
+/**
+ * Multi-party verification workflow
+ *
+ * A parcel's data is verified by independent attestations in the
+ * BiodiversityLandParcel contract: each registered verifier approves or
+ * rejects it with its own score and notes, and the data is decided once the
+ * contract's quorum (`requiredAttestations`) agrees. After an approval, other
+ * verifiers can dispute it during the challenge window; the contract owner
+ * then upholds or dismisses the dispute. Credits are only issued once the
+ * contract reports `canIssueCredits`. Approvals lapse after the contract's
+ * validity period; a re-assessment starts a new round of attestations, and
+ * the contract keeps the score of every round.
+ *
+ * Every step is also published on the registry topic (attestation.submitted,
+ * parcel.verified, verification.disputed, dispute.resolved,
+ * verification.expired, reassessment.requested, credits.issued), so the
+ * registry indexer can show the whole history.
+ *
+ * An issuance is checkpointed to a store (see lib/registry-store) before its
+ * credits are minted, with the ID of the mint before it is sent, like a
+ * credit retirement. When a run stops between the mint and its
+ * credits.issued event, the next issueCredits settles the mint from its
+ * receipt or the mirror node (see lib/transaction-settlement) and publishes
+ * the event, rather than minting the credits again.
+ */
+const {
+  IssuanceLimitError,
+  ParcelRecordMismatchError,
+  PipelineCheckpointError,
+  VerificationIncompleteError
+} = require('./errors');
+const { IssuanceLedger } = require('./issuance-ledger');
+const { calculateIssuance } = require('./issuance-methodology');
+const { parcelRecordHash } = require('./parcel-record');
+const { parcelAddress, scoreToRating } = require('./registry-client');
+const { publishAfterIndexedHead } = require('./registry-indexer');
+const { parcelIdOf } = require('./registry-messages');
+const { MemoryRegistryStore } = require('./registry-store');
+const { settleTransaction } = require('./transaction-settlement');
+
+// Issuance checkpoint format version
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * @typedef {object} VerificationState
+ * @property {string} parcelAddress EVM address of the parcel in the contract
+ * @property {string} status One of CONTRACT_VERIFICATION_STATUSES (see lib/registry-client)
+ * @property {string} recordHash Hash of the parcel record the contract holds (see lib/parcel-record)
+ * @property {number} approvals Attestations approving the current data when it was last attested
+ *   (for approved data, the quorum that decided it)
+ * @property {number} rejections Attestations rejecting the current data when it was last attested
+ * @property {number} currentApprovals Approving attestations of accounts that are still verifiers
+ * @property {number} requiredAttestations Quorum of the contract
+ * @property {number} challengeWindow Seconds after approval during which it can be disputed
+ * @property {number} validityPeriod Seconds after approval until it lapses (0 = never)
+ * @property {?number} verifiedAt When the quorum approved the data (Unix seconds)
+ * @property {?number} challengeEndsAt When the challenge window closes (Unix seconds)
+ * @property {?number} expiresAt When the approval lapses (Unix seconds; null when not approved or never)
+ * @property {?number} attestedScore Average score of the approving attestations of current verifiers
+ *   (rounded down, as in the contract)
+ * @property {boolean} canIssueCredits Whether credits can be issued now
+ * @property {Array<object>} attestations Every attestation on the current data, with `current`
+ *   false for those of revoked verifiers, which no longer count
+ * @property {?object} dispute Latest dispute of the current data
+ * @property {Array<object>} scoreHistory Outcome of every verification round, oldest first
+ */
+
+/**
+ * @typedef {object} IssuanceCheckpoint
+ * @property {number} version
+ * @property {string} operatorId Account minting the credits
+ * @property {string} topicId
+ * @property {string} tokenId Credit token
+ * @property {string} parcelId
+ * @property {string} name Name of the parcel
+ * @property {object} issuance What issueCredits returns, without the mint transaction
+ * @property {?string} mintTransactionId The mint, once it went through
+ * @property {SubmittedTransaction[]} transactions Transactions of the mint, in the order they were sent
+ * @property {boolean} finished Whether the credits.issued event was published, or nothing was minted
+ */
+
+class VerificationWorkflow {
+  /**
+   * @param {object} options
+   * @param {BiodiversityRegistryClient} options.registry Client of the account taking the actions
+   * @param {string} options.contractId BiodiversityLandParcel contract
+   * @param {string} options.topicId Registry topic
+   * @param {RegistryIndexer} [options.indexer] Indexer of the registry topic; when given, it is
+   *   synced before each event so the event links to the parcel's latest event, whoever published it
+   * @param {object} [options.store] Issuance checkpoint store with async load() and save(checkpoint)
+   *   (defaults to memory)
+   */
+  constructor({ registry, contractId, topicId, indexer = null, store = null }) {
+    if (!registry || !contractId || !topicId) {
+      throw new Error('VerificationWorkflow needs a registry client, the contract ID and the registry topic ID');
+    }
+    this.registry = registry;
+    this.contractId = contractId.toString();
+    this.topicId = topicId.toString();
+    this.indexer = indexer;
+    this.issuanceLedger = indexer ? new IssuanceLedger({ indexer }) : null;
+    this.store = store || new MemoryRegistryStore();
+  }
+
+  /**
+   * Get where a parcel is in the verification workflow
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @returns {Promise<VerificationState>}
+   */
+  async getState(parcel) {
+    const address = parcelAddress(parcel);
+    const data = await this.registry.getBiodiversityData(this.contractId, address);
+    const policy = await this.registry.getVerificationPolicy(this.contractId);
+    const attestations = await this.registry.getAttestations(this.contractId, address);
+    const dispute = await this.registry.getDispute(this.contractId, address);
+    const canIssueCredits = await this.registry.canIssueCredits(this.contractId, address);
+    const expiresAt = await this.registry.getVerificationExpiry(this.contractId, address);
+    const scoreHistory = await this.registry.getScoreHistory(this.contractId, address);
+    const verifiers = await this.registry.getVerifiers(this.contractId);
+
+    const counted = attestations.map((attestation) => ({ ...attestation, current: verifiers.includes(attestation.verifier) }));
+    const approving = counted.filter((attestation) => attestation.approved && attestation.current);
+    const verifiedAt = data.verificationTimestamp || null;
+    return {
+      parcelAddress: address,
+      status: data.status,
+      recordHash: data.recordHash,
+      approvals: data.approvals,
+      rejections: data.rejections,
+      currentApprovals: approving.length,
+      ...policy,
+      verifiedAt,
+      challengeEndsAt: verifiedAt !== null ? verifiedAt + policy.challengeWindow : null,
+      expiresAt,
+      attestedScore: approving.length > 0
+        ? Math.floor(approving.reduce((sum, attestation) => sum + attestation.score, 0) / approving.length)
+        : null,
+      canIssueCredits,
+      attestations: counted,
+      dispute,
+      scoreHistory
+    };
+  }
+
+  /**
+   * Attest a parcel's data as this client's account (a registered verifier)
+   *
+   * When this attestation completes the quorum, the decision is also
+   * published as a parcel.verified event.
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {object} attestation
+   * @param {boolean} [attestation.approved] Whether the data is approved (defaults to true)
+   * @param {number} attestation.score The verifier's own score from 0-100
+   * @param {string} [attestation.notes] Notes or a reference to the verifier's report
+   * @returns {Promise<VerificationState>} State after the attestation
+   * @throws {HederaTransactionError} When the contract refuses the attestation
+   */
+  async attest(parcel, { approved = true, score, notes = '' }) {
+    const { transactionId } = await this.registry.attestBiodiversityData(
+      this.contractId, parcelAddress(parcel), { approved, score, notes }
+    );
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordAttestation(this.topicId, {
+      parcelId,
+      approved,
+      biodiversityScore: score,
+      notes,
+      contractId: this.contractId,
+      attestationTransactionId: transactionId
+    }));
+
+    // Attestations are only accepted while undecided, so a decision now was made by this one
+    const state = await this.getState(parcel);
+    if (state.status === 'approved' || state.status === 'rejected') {
+      // The contract recorded the decision's score as the latest entry of the history
+      const { score } = state.scoreHistory[state.scoreHistory.length - 1];
+      await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordVerification(this.topicId, {
+        parcelId,
+        verificationStatus: state.status,
+        approvals: state.approvals,
+        rejections: state.rejections,
+        requiredAttestations: state.requiredAttestations,
+        contractId: this.contractId,
+        biodiversityScore: score,
+        ...(state.status === 'approved'
+          ? { biodiversityRating: scoreToRating(score), expiresAt: state.expiresAt }
+          : {})
+      }));
+    }
+    return state;
+  }
+
+  /**
+   * Dispute a parcel's approval as this client's account (a registered verifier
+   * that did not approve it), during the challenge window
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {string} reason Why the approval is disputed
+   * @returns {Promise<VerificationState>} State after the dispute
+   * @throws {HederaTransactionError} When the contract refuses the dispute
+   */
+  async dispute(parcel, reason) {
+    const { transactionId } = await this.registry.disputeVerification(this.contractId, parcelAddress(parcel), reason);
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordDispute(this.topicId, {
+      parcelId,
+      reason,
+      contractId: this.contractId,
+      disputeTransactionId: transactionId
+    }));
+    return this.getState(parcel);
+  }
+
+  /**
+   * Resolve a parcel's dispute as the contract owner
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @param {boolean} upheld True to reject the data, false to restore the approval
+   * @returns {Promise<VerificationState>} State after the resolution
+   * @throws {HederaTransactionError} When the contract refuses the resolution
+   */
+  async resolveDispute(parcel, upheld) {
+    const { transactionId } = await this.registry.resolveDispute(this.contractId, parcelAddress(parcel), upheld);
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordDisputeResolution(this.topicId, {
+      parcelId,
+      upheld,
+      contractId: this.contractId,
+      resolutionTransactionId: transactionId
+    }));
+    return this.getState(parcel);
+  }
+
+  /**
+   * Mark a parcel's approval as expired: anyone can once it has lapsed, the
+   * contract owner at any time
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @returns {Promise<VerificationState>} State after the expiry
+   * @throws {HederaTransactionError} When the contract refuses the expiry
+   */
+  async expire(parcel) {
+    const { transactionId } = await this.registry.expireVerification(this.contractId, parcelAddress(parcel));
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordExpiry(this.topicId, {
+      parcelId,
+      contractId: this.contractId,
+      expiryTransactionId: transactionId
+    }));
+    return this.getState(parcel);
+  }
+
+  /**
+   * Start a new round of attestations on a parcel's decided data, as its
+   * registrant or the contract owner
+   *
+   * The data must be rejected, expired, or approved with an approval that
+   * has lapsed: a new approval allows new credits, so an approval that still
+   * holds has to be expired first (see expire). The verifiers then attest
+   * again (see attest); the score of the new round is added to the parcel's
+   * score history.
+   *
+   * @param {object} parcel Parcel record with its `parcelId`
+   * @returns {Promise<VerificationState>} State after the request
+   * @throws {HederaTransactionError} When the contract refuses the request
+   */
+  async requestReassessment(parcel) {
+    const { transactionId } = await this.registry.requestReassessment(this.contractId, parcelAddress(parcel));
+    await publishAfterIndexedHead(this.registry, this.indexer, parcel, (parcelId) => this.registry.recordReassessmentRequest(this.topicId, {
+      parcelId,
+      contractId: this.contractId,
+      reassessmentTransactionId: transactionId
+    }));
+    return this.getState(parcel);
+  }
+
+  /**
+   * Check that credits can be issued for a parcel now, and calculate them
+   *
+   * This is what issueCredits checks before it mints; a caller that mints
+   * itself (e.g. a checkpointed pipeline) mints the amount returned, tagged
+   * with its verifiedAt and allowed (see issueCredits).
+   *
+   * The issuance uses the lower of the declared rating and the rating of the
+   * verifiers' average score, so verification can only lower the amount.
+   * The amount is calculated from the parcel record given, so it has to be
+   * the record the contract verified (same record hash).
+   *
+   * Each approval allows one issuance's worth of credits: the issuance ledger
+   * refuses to mint again for the same verification round, or to mint more
+   * than the round has left, so only a re-assessment allows new credits. The
+   * round's first issuance fixes its methodology and allowance; later parts
+   * of the round are calculated the same way.
+   *
+   * @param {object} parcel Validated parcel record
+   * @param {object} [options]
+   * @param {string} [options.methodology] Issuance methodology ID (defaults to the methodology of
+   *   the round's first issuance, or the default methodology for a round without issuances)
+   * @param {number} [options.amount] Credits to mint, to issue a round in parts
+   *   (defaults to what the verification round has left)
+   * @returns {Promise<{methodology: string, asOf: number, amount: number, factors: object,
+   *   biodiversityRating: number, verifiedAt: number, allowed: number}>} allowed is what the
+   *   whole verification round allows
+   * @throws {VerificationIncompleteError} When credits cannot be issued for the parcel yet
+   * @throws {ParcelRecordMismatchError} When the parcel record is not the one the contract holds
+   * @throws {IssuanceLimitError} When the verification round's credits were already issued,
+   *   the amount is more than it has left, or the round was issued with another methodology
+   */
+  async authorizeIssuance(parcel, { methodology, amount } = {}) {
+    if (!this.issuanceLedger) {
+      throw new Error('Issuing credits needs a registry indexer, to check what was already issued for the parcel');
+    }
+    const state = await this.getState(parcel);
+    if (!state.canIssueCredits) {
+      throw new VerificationIncompleteError(parcel.name, state);
+    }
+    const recordHash = parcelRecordHash(parcel);
+    if (recordHash !== state.recordHash) {
+      throw new ParcelRecordMismatchError(parcel.name, recordHash, state.recordHash);
+    }
+
+    const { verifiedAt } = state;
+    const { opening, allowed, issued } = await this.issuanceLedger.getEntitlement(parcel, { verifiedAt });
+    if (opening && opening.methodology && methodology && methodology !== opening.methodology) {
+      throw new IssuanceLimitError(parcel.name, 'METHODOLOGY_MISMATCH', {
+        verifiedAt, allowed, issued, requested: amount, methodology: opening.methodology, requestedMethodology: methodology
+      });
+    }
+
+    const biodiversityRating = Math.min(parcel.biodiversityRating, scoreToRating(state.attestedScore));
+    const calculated = opening && opening.methodology
+      ? calculateIssuance({ ...parcel, biodiversityRating }, {
+        methodology: opening.methodology,
+        asOf: opening.asOf || undefined,
+        recompute: true
+      })
+      : calculateIssuance({ ...parcel, biodiversityRating }, { methodology });
+    const entitlement = await this.issuanceLedger.authorize(parcel, { verifiedAt, allowed: calculated.amount, amount });
+    return { ...calculated, amount: entitlement.amount, biodiversityRating, verifiedAt, allowed: entitlement.allowed };
+  }
+
+  /**
+   * Mint credits for a parcel whose verification is complete, and record the issuance
+   *
+   * The credits are checked and calculated by authorizeIssuance. When the
+   * parcel is tokenized, the mint memo and the credits.issued event name its
+   * NFT, so the credits trace back to the parcel's serial. The event also
+   * records the round's allowance, which fixes it for the round's later parts.
+   *
+   * An issuance the store holds from a run that stopped halfway is finished
+   * first. When it was for the same parcel and token, its result is returned
+   * (with `resumed` true) and nothing more is minted.
+   *
+   * @param {object} parcel Validated parcel record
+   * @param {object} options
+   * @param {string} options.tokenId Credit token
+   * @param {string} [options.methodology] Issuance methodology ID (see authorizeIssuance)
+   * @param {{tokenId: string, serial: number}} [options.parcelNft] The parcel's NFT
+   *   (defaults to the NFT on the registry topic)
+   * @param {number} [options.amount] Credits to mint, to issue a round in parts
+   *   (defaults to what the verification round has left)
+   * @returns {Promise<{methodology: string, asOf: number, amount: number, factors: object,
+   *   mintTransactionId: string, biodiversityRating: number, parcelNft: ?object, verifiedAt: number,
+   *   allowed: number, resumed: boolean}>} allowed is what the whole verification round allows
+   * @throws {VerificationIncompleteError} When credits cannot be issued for the parcel yet
+   * @throws {ParcelRecordMismatchError} When the parcel record is not the one the contract holds
+   * @throws {IssuanceLimitError} When the verification round's credits were already issued,
+   *   the amount is more than it has left, or the round was issued with another methodology
+   * @throws {PipelineCheckpointError} CHECKPOINT_MISMATCH when the stored issuance is another
+   *   account's or topic's, UNCONFIRMED_TRANSACTION when its mint may still reach consensus
+   */
+  async issueCredits(parcel, { tokenId, methodology, parcelNft, amount }) {
+    const saved = await this.store.load();
+    if (saved && !saved.finished) {
+      const resumed = await this._resumeIssuance(saved);
+      if (resumed && saved.parcelId === parcelIdOf(parcel) && saved.tokenId === tokenId.toString()) {
+        return resumed;
+      }
+    }
+
+    const { biodiversityRating, verifiedAt, allowed, ...issuance } = await this.authorizeIssuance(parcel, { methodology, amount });
+    const nft = parcelNft || await this._indexedNft(parcel);
+    const checkpoint = {
+      version: CHECKPOINT_VERSION,
+      operatorId: this.registry.operatorId.toString(),
+      topicId: this.topicId,
+      tokenId: tokenId.toString(),
+      parcelId: parcelIdOf(parcel),
+      name: parcel.name,
+      issuance: {
+        ...issuance,
+        biodiversityRating,
+        parcelNft: nft ? { tokenId: nft.tokenId.toString(), serial: Number(nft.serial) } : null,
+        verifiedAt,
+        allowed
+      },
+      mintTransactionId: null,
+      transactions: [],
+      finished: false
+    };
+    await this._save(checkpoint);
+
+    const memo = nft ? `BIO issuance ${issuance.methodology} parcel ${nft.tokenId}#${nft.serial}` : `BIO issuance ${issuance.methodology}`;
+    const onSubmit = this.registry.onSubmit;
+    this.registry.onSubmit = async (transaction) => {
+      checkpoint.transactions.push(transaction);
+      await this._save(checkpoint);
+    };
+    try {
+      checkpoint.mintTransactionId = (await this.registry.mintCredits(tokenId, issuance.amount, { memo })).transactionId;
+    } finally {
+      this.registry.onSubmit = onSubmit;
+    }
+    await this._save(checkpoint);
+    return this._recordIssuance(checkpoint, { resumed: false });
+  }
+
+  // Settle the mint of an issuance that stopped halfway and publish its event; null when nothing was minted
+  async _resumeIssuance(checkpoint) {
+    if (checkpoint.version !== CHECKPOINT_VERSION) {
+      throw new PipelineCheckpointError(`Checkpoint version ${checkpoint.version} is not supported`, 'CHECKPOINT_MISMATCH');
+    }
+    if (checkpoint.operatorId !== this.registry.operatorId.toString() || checkpoint.topicId !== this.topicId) {
+      throw new PipelineCheckpointError(
+        `The issuance for "${checkpoint.name}" is account ${checkpoint.operatorId}'s on topic ${checkpoint.topicId}, ` +
+        `not ${this.registry.operatorId}'s on topic ${this.topicId}`, 'CHECKPOINT_MISMATCH');
+    }
+
+    if (!checkpoint.mintTransactionId) {
+      // A mint is a single transaction, so the last one sent decides
+      const last = checkpoint.transactions[checkpoint.transactions.length - 1];
+      const outcome = last
+        ? await settleTransaction(this.registry, this.indexer.mirrorNode, last.transactionId, { step: 'mintCredits' })
+        : null;
+      if (!outcome || outcome.status !== 'SUCCESS') {
+        // Nothing was minted, so the issuance is over
+        checkpoint.finished = true;
+        await this._save(checkpoint);
+        return null;
+      }
+      checkpoint.mintTransactionId = last.transactionId;
+      await this._save(checkpoint);
+    }
+    return this._recordIssuance(checkpoint, { resumed: true });
+  }
+
+  // Count the mint against its round and publish its credits.issued event, unless a stopped run already did
+  async _recordIssuance(checkpoint, { resumed }) {
+    const { parcelNft, biodiversityRating, verifiedAt, allowed, ...issuance } = checkpoint.issuance;
+    const { parcelId, tokenId, mintTransactionId } = checkpoint;
+    this.issuanceLedger.record({ parcelId }, {
+      verifiedAt,
+      amount: issuance.amount,
+      mintTransactionId,
+      methodology: issuance.methodology,
+      asOf: issuance.asOf,
+      allowed
+    });
+
+    // The event of a resumed issuance may have gone out just before its run stopped
+    if (!resumed || !await this._issuanceIndexed(parcelId, mintTransactionId)) {
+      await publishAfterIndexedHead(this.registry, this.indexer, { parcelId }, () => this.registry.recordIssuance(this.topicId, {
+        parcelId,
+        tokenId,
+        mintTransactionId,
+        ...(parcelNft ? { parcelNft } : {}),
+        verifiedAt,
+        allowed,
+        ...issuance
+      }));
+    }
+    checkpoint.finished = true;
+    await this._save(checkpoint);
+
+    return { ...issuance, biodiversityRating, mintTransactionId, parcelNft, verifiedAt, allowed, resumed };
+  }
+
+  // Whether the indexer has the credits.issued event of a mint
+  async _issuanceIndexed(parcelId, mintTransactionId) {
+    await this.indexer.sync();
+    const indexed = await this.indexer.getParcel(parcelId);
+    return Boolean(indexed) && indexed.issuances.some((issuance) => issuance.mintTransactionId === mintTransactionId);
+  }
+
+  // The parcel's NFT on the registry topic, if the workflow has an indexer and the parcel is tokenized
+  async _indexedNft(parcel) {
+    if (!this.indexer) {
+      return null;
+    }
+    await this.indexer.sync();
+    const indexed = await this.indexer.getParcel(parcelIdOf(parcel));
+    return indexed && indexed.nft ? indexed.nft : null;
+  }
+
+
+  // A dry run leaves no checkpoint behind, as it mints nothing
+  async _save(checkpoint) {
+    if (!this.registry.dryRun) {
+      await this.store.save(checkpoint);
+    }
+  }
+}
+
+module.exports = {
+  VerificationWorkflow
+};
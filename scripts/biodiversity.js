@@ -0,0 +1,1039 @@
+#!/usr/bin/env node
+/**
+ * biodiversity: command line for day-to-day registry operations
+ *
+ * One entry point for the steps operators run by hand: creating the credit
+ * token, the parcel NFT collection and the registry topic, deploying or
+ * attaching the BiodiversityLandParcel contract, registering and verifying
+ * parcels, and minting, retiring and transferring credits. Entity IDs come
+ * from flags, the environment or the deployment manifest (see
+ * lib/deployment-manifest), so nothing has to be edited in the source.
+ * Creating the token, collection or topic and deploying or attaching the
+ * contract record the new ID in the manifest for the network.
+ *
+ * Usage:
+ *   biodiversity token create [--max-supply 1000000]
+ *   biodiversity collection create
+ *   biodiversity collection associate
+ *   biodiversity topic create [--memo "..."]
+ *   biodiversity parcel register <file> [--area-tolerance 0.1] [--area-mismatch review|reject]
+ *     [--overlap-tolerance 0.01] [--overlap review|reject]
+ *   biodiversity parcel verify <parcel> --score 80 [--reject] [--notes "..."]
+ *   biodiversity parcel status <parcel>
+ *   biodiversity parcel dispute <parcel> --reason "..."
+ *   biodiversity parcel resolve <parcel> --upheld|--dismissed
+ *   biodiversity parcel check <parcel>
+ *   biodiversity parcel scan [--warning-days 30] [--expire]
+ *   biodiversity parcel reassess <parcel>
+ *   biodiversity parcel history <parcel>
+ *   biodiversity parcel transfer <parcel> --to 0.0.1234 [--to-address 0x...]
+ *   biodiversity parcel reconcile
+ *   biodiversity parcel export <file>
+ *   biodiversity credits mint <parcel> [--amount 50] [--methodology weighted@2.1.0]
+ *     [--checkpoint issuance-checkpoint.json]
+ *   biodiversity credits retire --source "<parcel>:<amount>" ... --beneficiary <name> --reason <text>
+ *     [--from 0.0.xxxxx] [--out-dir certificates] [--checkpoint retirement-checkpoint.json]
+ *   biodiversity credits retire --resume [--checkpoint retirement-checkpoint.json]
+ *   biodiversity credits transfer --to <account-id> --amount 25
+ *   biodiversity contract deploy
+ *   biodiversity contract attach <contract-id|evm-address>
+ *   biodiversity status
+ *
+ * <file> holds one parcel or an array of parcels (see
+ * sample-data/sample-land-parcels.json), or a GeoJSON FeatureCollection of
+ * parcel polygons (see lib/parcel-geojson). <parcel> is a parcel's name or
+ * parcel ID, looked up in the --parcels file (defaults to the sample data); a
+ * record without its parcelId takes the ID of the registered parcel of its
+ * name. parcel register gives each new parcel an ID (see
+ * lib/registry-messages) and prints it with its nonce: keep both with the
+ * record. A record this account registered before is registered again under
+ * its ID.
+ * parcel register takes each parcel through the same steps as
+ * scripts/register-parcels.js (see lib/parcel-onboarding): the registration,
+ * the contract data and the parcel's NFT. It measures each parcel against every
+ * parcel on the registry topic (see lib/parcel-overlap); parcels overlapping one
+ * by more than the tolerance are registered for review (or refused) without
+ * contract data. It exits with status 1 when a parcel failed.
+ * parcel export writes the registered parcels as GeoJSON, for GIS tools.
+ * parcel verify and parcel dispute run as a registered verifier, parcel resolve
+ * as the contract owner (see lib/verification-workflow).
+ * parcel check recomputes the record and geometry hashes of the parcel (see
+ * lib/parcel-record) and compares them with its registration on the topic
+ * and its data in the contract; it exits with status 1 when they differ.
+ * parcel scan lists the parcels whose approval is about to lapse, has lapsed
+ * or has expired (see lib/reassessment-scheduler), and with --expire marks the
+ * lapsed ones as expired; it can run on a schedule (e.g. daily from cron).
+ * parcel reassess starts a re-assessment, as the parcel's registrant or the
+ * contract owner, and parcel history prints the score of every verification
+ * round and its trend.
+ * collection associate runs as the receiving account, before a parcel
+ * transfer: HTS only delivers tokens to associated accounts. parcel transfer
+ * runs as the holder of the parcel's NFT, and moves the parcel's registrant
+ * role in the contract with it (see lib/parcel-nfts). parcel reconcile runs as
+ * the contract owner and records the NFTs that changed hands outside the
+ * registry.
+ * credits mint checkpoints the issuance before minting (see
+ * lib/verification-workflow); when one stopped before its credits.issued
+ * event, the next credits mint publishes the event instead of minting again.
+ * credits retire checkpoints the retirement before burning anything (see
+ * lib/credit-retirement); one that stopped halfway is finished with --resume.
+ *
+ * Options for every command:
+ *   --network local|previewnet|testnet|mainnet (overrides HEDERA_NETWORK)
+ *   --token-id, --collection-id, --topic-id, --contract-id (override BIO_TOKEN_ID,
+ *     PARCEL_NFT_TOKEN_ID, LAND_REGISTRY_TOPIC_ID and LAND_REGISTRY_CONTRACT_ID,
+ *     which override the manifest)
+ *   --manifest (overrides DEPLOYMENT_MANIFEST; defaults to deployments.json)
+ *   --mirror-node-url (overrides HEDERA_MIRROR_NODE_URL)
+ *   --json      print the result as JSON instead of text, and an error as
+ *               { "error": { "code", "message" } }
+ *   --dry-run   sign the transactions and show them without sending them
+ *               (queries still run, so the command is checked against the network)
+ *
+ * Environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY (the account taking the action)
+ *   BIO_MAX_SUPPLY, ISSUANCE_METHODOLOGY, AREA_TOLERANCE, AREA_MISMATCH_ACTION,
+ *   OVERLAP_TOLERANCE, OVERLAP_ACTION
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { CreditRetirement, renderCertificateHtml } = require('../lib/credit-retirement');
+const { CreditTransfers } = require('../lib/credit-transfers');
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { ParcelIdentityError, ParcelOverlapError } = require('../lib/errors');
+const { DEFAULT_AREA_TOLERANCE, checkDeclaredArea } = require('../lib/geo-area');
+const { DEFAULT_METHODOLOGY, getIssuanceMethodology } = require('../lib/issuance-methodology');
+const { explorerLink, getNetworkProfile } = require('../lib/network-profiles');
+const { readParcelsFile, registryToGeoJson } = require('../lib/parcel-geojson');
+const { ParcelNfts } = require('../lib/parcel-nfts');
+const { onboardParcel } = require('../lib/parcel-onboarding');
+const { DEFAULT_OVERLAP_TOLERANCE, ParcelSpatialIndex } = require('../lib/parcel-overlap');
+const { compareParcelData, parcelFacts } = require('../lib/parcel-record');
+const { assertValidParcel } = require('../lib/parcel-validation');
+const { DEFAULT_WARNING_PERIOD, ReassessmentScheduler, scoreTrend } = require('../lib/reassessment-scheduler');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId, parcelIdOf } = require('../lib/registry-messages');
+const { JsonFileRegistryStore } = require('../lib/registry-store');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+
+const DEFAULT_PARCELS_FILE = path.join(__dirname, '..', 'sample-data', 'sample-land-parcels.json');
+const DEFAULT_OUT_DIR = 'certificates';
+const DEFAULT_ISSUANCE_CHECKPOINT = 'issuance-checkpoint.json';
+const DEFAULT_RETIREMENT_CHECKPOINT = 'retirement-checkpoint.json';
+const AREA_MISMATCH_ACTIONS = ['reject', 'review'];
+const OVERLAP_ACTIONS = ['reject', 'review'];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Options taking a value, by flag
+const VALUE_OPTIONS = {
+  '--network': 'network',
+  '--token-id': 'tokenId',
+  '--topic-id': 'topicId',
+  '--contract-id': 'contractId',
+  '--collection-id': 'collectionId',
+  '--mirror-node-url': 'mirrorNodeUrl',
+  '--manifest': 'manifestFile',
+  '--parcels': 'parcelsFile',
+  '--max-supply': 'maxSupply',
+  '--memo': 'memo',
+  '--area-tolerance': 'areaTolerance',
+  '--area-mismatch': 'areaMismatchAction',
+  '--overlap-tolerance': 'overlapTolerance',
+  '--overlap': 'overlapAction',
+  '--score': 'score',
+  '--notes': 'notes',
+  '--amount': 'amount',
+  '--methodology': 'methodology',
+  '--beneficiary': 'beneficiary',
+  '--reason': 'reason',
+  '--from': 'from',
+  '--to': 'to',
+  '--out-dir': 'outDir',
+  '--checkpoint': 'checkpoint',
+  '--warning-days': 'warningDays',
+  '--to-address': 'toAddress'
+};
+
+// Options without a value, by flag
+const SWITCHES = {
+  '--json': 'json',
+  '--dry-run': 'dryRun',
+  '--reject': 'reject',
+  '--resume': 'resume',
+  '--expire': 'expire',
+  '--upheld': 'upheld',
+  '--dismissed': 'dismissed'
+};
+
+// Every command: what it needs and what it does. Commands without a client
+// (registry: false) send nothing through the SDK.
+const COMMANDS = {
+  'token create': { run: createToken },
+  'collection create': { run: createCollection },
+  'collection associate': { run: associateCollection },
+  'topic create': { run: createTopic },
+  'parcel register': { run: registerParcels, args: ['file'] },
+  'parcel verify': { run: verifyParcel, args: ['parcel'] },
+  'parcel status': { run: showParcelStatus, args: ['parcel'] },
+  'parcel dispute': { run: disputeParcel, args: ['parcel'] },
+  'parcel resolve': { run: resolveDispute, args: ['parcel'] },
+  'parcel check': { run: checkParcel, args: ['parcel'] },
+  'parcel scan': { run: scanParcels },
+  'parcel reassess': { run: reassessParcel, args: ['parcel'] },
+  'parcel history': { run: showScoreHistory, args: ['parcel'] },
+  'parcel transfer': { run: transferParcel, args: ['parcel'] },
+  'parcel reconcile': { run: reconcileParcels },
+  'parcel export': { run: exportParcels, args: ['file'], registry: false },
+  'credits mint': { run: mintCredits, args: ['parcel'] },
+  'credits retire': { run: retireCredits },
+  'credits transfer': { run: transferCredits },
+  'contract deploy': { run: deployContract, registry: false },
+  'contract attach': { run: attachContract, args: ['contract'] },
+  status: { run: showStatus }
+};
+
+// Main function
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const command = COMMANDS[options.command];
+  const env = environmentFor(options);
+  const manifest = applyDeploymentManifest(env);
+
+  const registry = command.registry === false
+    ? null
+    : BiodiversityRegistryClient.fromEnv(env, { dryRun: options.dryRun });
+  let outcome;
+  try {
+    outcome = await command.run({ options, env, registry, manifest });
+  } finally {
+    if (registry) {
+      registry.close();
+    }
+  }
+
+  const planned = outcome.planned || (registry ? registry.plannedTransactions : []);
+  if (options.json) {
+    const output = { command: options.command, network: env.HEDERA_NETWORK, dryRun: options.dryRun };
+    console.log(JSON.stringify(options.dryRun ? { ...output, transactions: planned } : { ...output, result: outcome.result }, null, 2));
+  } else if (options.dryRun) {
+    printPlanned(planned);
+  } else {
+    outcome.lines.forEach((line) => console.log(line));
+  }
+  return outcome.failed ? 1 : 0;
+}
+
+// token create: the BIO credit token, with the operator holding every key
+async function createToken({ options, env, registry, manifest }) {
+  const maxSupply = options.maxSupply || env.BIO_MAX_SUPPLY || undefined;
+  const result = await registry.createCreditToken({ maxSupply });
+  return {
+    result,
+    lines: [
+      `Created the BIO credit token ${result.tokenId} (transaction ${result.transactionId})`,
+      ...recordDeployment({ options, env, manifest }, { tokenId: result.tokenId }, 'token', result.tokenId)
+    ]
+  };
+}
+
+// collection create: the parcel NFT collection, with the operator as its supply key
+async function createCollection({ options, env, registry, manifest }) {
+  const result = await registry.createParcelCollection();
+  return {
+    result,
+    lines: [
+      `Created the parcel NFT collection ${result.tokenId} (transaction ${result.transactionId})`,
+      ...recordDeployment({ options, env, manifest }, { parcelNftTokenId: result.tokenId }, 'token', result.tokenId)
+    ]
+  };
+}
+
+// collection associate: associate the operator's account with the parcel NFT collection, to receive parcels
+async function associateCollection({ env, registry }) {
+  const collectionId = requireEnv(env, 'PARCEL_NFT_TOKEN_ID', '--collection-id');
+  const { transactionId } = await registry.associateTokens([collectionId]);
+  return {
+    result: { accountId: registry.operatorId.toString(), collectionId, transactionId },
+    lines: [
+      `Associated ${registry.operatorId} with the parcel NFT collection ${collectionId}`,
+      `Transaction: ${transactionId}`
+    ]
+  };
+}
+
+// topic create: the land registry topic
+async function createTopic({ options, env, registry, manifest }) {
+  const result = await registry.createRegistryTopic(options.memo ? { memo: options.memo } : {});
+  return {
+    result,
+    lines: [
+      `Created the registry topic ${result.topicId} (transaction ${result.transactionId})`,
+      ...recordDeployment({ options, env, manifest }, { topicId: result.topicId }, 'topic', result.topicId)
+    ]
+  };
+}
+
+// parcel register <file>: onboard each parcel like scripts/register-parcels.js (see
+// lib/parcel-onboarding): its registration on the topic, its data in the contract for the
+// verifiers and its NFT. Parcels whose declared area is outside the tolerance, or that
+// overlap a registered parcel (or one earlier in the file) by more than the overlap
+// tolerance, are registered for review (or refused) without contract data or NFT.
+async function registerParcels({ options, env, registry }) {
+  const records = readParcelsFile(options.file);
+  const topicId = requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id');
+  const contractId = requireEnv(env, 'LAND_REGISTRY_CONTRACT_ID', '--contract-id');
+  const collectionId = requireEnv(env, 'PARCEL_NFT_TOKEN_ID', '--collection-id');
+  const tolerance = fraction(options.areaTolerance, env.AREA_TOLERANCE, DEFAULT_AREA_TOLERANCE, '--area-tolerance', '0.1 for 10%');
+  const mismatchAction = options.areaMismatchAction || env.AREA_MISMATCH_ACTION || 'review';
+  const overlapTolerance = fraction(options.overlapTolerance, env.OVERLAP_TOLERANCE, DEFAULT_OVERLAP_TOLERANCE,
+    '--overlap-tolerance', '0.01 for 1%');
+  const overlapAction = options.overlapAction || env.OVERLAP_ACTION || 'review';
+  if (!AREA_MISMATCH_ACTIONS.includes(mismatchAction)) {
+    throw new Error(`--area-mismatch must be one of: ${AREA_MISMATCH_ACTIONS.join(', ')}`);
+  }
+  if (!OVERLAP_ACTIONS.includes(overlapAction)) {
+    throw new Error(`--overlap must be one of: ${OVERLAP_ACTIONS.join(', ')}`);
+  }
+
+  const indexer = RegistryIndexer.fromEnv(env);
+  await indexer.sync();
+  const spatialIndex = ParcelSpatialIndex.fromRegistry(await indexer.getParcels());
+
+  // The ID this account registered each parcel under, or a new one
+  const operatorId = registry.operatorId.toString();
+  const parcels = [];
+  for (const record of records) {
+    assertValidParcel(record);
+    parcels.push(assignParcelId(await indexer.identifyParcel(record, operatorId), operatorId));
+  }
+
+  // Check every parcel before anything is sent to the network
+  const checks = parcels.map((parcel) => {
+    const areaCheck = checkDeclaredArea(parcel, { tolerance });
+    if (!areaCheck.withinTolerance && mismatchAction === 'reject') {
+      throw new Error(`"${parcel.name}" declares ${areaCheck.declaredAcres} acres but its boundaries enclose ` +
+        `${areaCheck.computedAcres} acres; nothing was registered`);
+    }
+    const overlapCheck = spatialIndex.checkOverlap(parcel, { tolerance: overlapTolerance });
+    if (!overlapCheck.withinTolerance && overlapAction === 'reject') {
+      throw new ParcelOverlapError(parcel.name, overlapCheck);
+    }
+    // Later parcels in the file must not claim this parcel's land either
+    spatialIndex.add(parcel);
+    return { areaCheck, overlapCheck };
+  });
+
+  const nfts = new ParcelNfts({ registry, topicId, collectionId, contractId, indexer });
+  const result = [];
+  const lines = [];
+  for (const [index, parcel] of parcels.entries()) {
+    const { areaCheck, overlapCheck } = checks[index];
+    const onboarding = await onboardParcel({ registry, nfts, contractId, tokenId: env.BIO_TOKEN_ID || null }, parcel,
+      { areaCheck, overlapCheck });
+    result.push(onboarding);
+
+    if (onboarding.failedStep === 'registration') {
+      lines.push(`Failed to register "${parcel.name}": ${onboarding.error}`);
+      continue;
+    }
+    lines.push(`Registered "${parcel.name}" as parcel ${onboarding.parcelId} ` +
+      `(sequence number ${onboarding.topicSequenceNumber})`);
+    if (parcel.nonce) {
+      lines.push(`  New parcel ID: keep "parcelId": "${onboarding.parcelId}" and "nonce": "${parcel.nonce}" with the record`);
+    }
+    overlapCheck.overlaps.forEach((overlap) => lines.push(`  Overlaps "${overlap.name}" (${overlap.parcelId}) by ` +
+      `${overlap.sharedAcres} acres, ${(overlap.ratio * 100).toFixed(1)}% of the smaller parcel`));
+    if (!areaCheck.withinTolerance) {
+      lines.push(`  Declared area is outside the ${tolerance * 100}% tolerance: registered for review, without contract data`);
+    }
+    if (!overlapCheck.withinTolerance) {
+      lines.push(`  Overlap is beyond the ${overlapTolerance * 100}% tolerance: registered for review, without contract data`);
+    }
+    if (onboarding.status === 'awaiting-verification') {
+      lines.push(`  Added its data to contract ${contractId} and minted it as NFT ${collectionId}#${onboarding.nftSerial}; ` +
+        "it now awaits the verifiers' attestations");
+    } else if (onboarding.status === 'failed') {
+      lines.push(`  Failed at step "${onboarding.failedStep}": ${onboarding.error}` +
+        (onboarding.retryable ? ' (a temporary failure: registering the file again can succeed)' : ''));
+    }
+  }
+  return { result, lines, failed: result.some(({ status }) => status === 'failed') };
+}
+
+// parcel verify <parcel>: attest the parcel's data as a registered verifier
+async function verifyParcel({ options, env, registry }) {
+  const score = Number(options.score);
+  if (!(Number.isInteger(score) && score >= 0 && score <= 100)) {
+    throw new Error('parcel verify needs --score with a whole number from 0-100');
+  }
+  const workflow = verificationWorkflow(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+
+  const approved = !options.reject;
+  const state = await workflow.attest(parcel, { approved, score, notes: options.notes || '' });
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, approved, score, state },
+    lines: [
+      `${approved ? 'Approved' : 'Rejected'} the data of "${parcel.name}" with a score of ${score}`,
+      `Status: ${state.status} (${state.approvals} approval(s), ${state.rejections} rejection(s), ` +
+        `${state.requiredAttestations} required)`,
+      `Credits can be issued: ${state.canIssueCredits ? 'yes' : 'no'}`
+    ]
+  };
+}
+
+// parcel status <parcel>: where the parcel is in the verification workflow
+async function showParcelStatus({ options, env, registry }) {
+  const workflow = verificationWorkflow(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+  const state = await workflow.getState(parcel);
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, state },
+    lines: [`Parcel "${parcel.name}"`, ...stateLines(state)]
+  };
+}
+
+// parcel dispute <parcel>: dispute the parcel's approval within the challenge window, as a registered verifier
+async function disputeParcel({ options, env, registry }) {
+  if (!options.reason) {
+    throw new Error('parcel dispute needs --reason');
+  }
+  const workflow = verificationWorkflow(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+  const state = await workflow.dispute(parcel, options.reason);
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, reason: options.reason, state },
+    lines: [`Disputed the approval of "${parcel.name}"`, ...stateLines(state)]
+  };
+}
+
+// parcel resolve <parcel>: uphold or dismiss the dispute of the parcel's approval, as the contract owner
+async function resolveDispute({ options, env, registry }) {
+  if (options.upheld === options.dismissed) {
+    throw new Error('parcel resolve needs either --upheld or --dismissed');
+  }
+  const workflow = verificationWorkflow(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+  const upheld = options.upheld;
+  const state = await workflow.resolveDispute(parcel, upheld);
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, upheld, state },
+    lines: [`${upheld ? 'Upheld' : 'Dismissed'} the dispute of "${parcel.name}"`, ...stateLines(state)]
+  };
+}
+
+// parcel check <parcel>: compare the parcel record with its registration on the topic and its data in the contract
+async function checkParcel({ options, env, registry }) {
+  if (!env.LAND_REGISTRY_TOPIC_ID && !env.LAND_REGISTRY_CONTRACT_ID) {
+    throw new Error('parcel check needs the registry topic (--topic-id) or the contract (--contract-id)');
+  }
+  const indexer = env.LAND_REGISTRY_TOPIC_ID ? RegistryIndexer.fromEnv(env) : null;
+  const parcel = await findParcel(options.parcelsFile, options.parcel, indexer);
+  // A record without an ID that is not on the topic either has no registration to compare with
+  const parcelId = parcel.parcelId ? parcelIdOf(parcel) : null;
+  const facts = parcelFacts(parcel);
+  const result = { parcelId, name: parcel.name, ...facts, topic: null, contract: null };
+  const lines = [
+    `Parcel "${parcel.name}"`,
+    `  record hash:   ${facts.recordHash}`,
+    `  geometry hash: ${facts.geometryHash}`
+  ];
+  const report = (source, mismatches) => {
+    lines.push(mismatches.length === 0
+      ? `${source}: matches`
+      : `${source}: differs in ${mismatches.map(({ field }) => field).join(', ')}`);
+    mismatches.forEach(({ field, expected, actual }) => lines.push(`  ${field}: expected ${expected}, found ${actual}`));
+  };
+
+  if (indexer) {
+    await indexer.sync();
+    const registration = parcelId ? await indexer.getParcel(parcelId) : null;
+    const mismatches = registration
+      ? ['recordHash', 'geometryHash']
+        .filter((field) => registration[field] !== facts[field])
+        .map((field) => ({ field, expected: facts[field], actual: registration[field] }))
+      : [{ field: 'registration', expected: 'parcel.registered', actual: 'none' }];
+    result.topic = { topicId: indexer.topicId, mismatches };
+    report(`Registry topic ${indexer.topicId}`, mismatches);
+  }
+
+  if (env.LAND_REGISTRY_CONTRACT_ID) {
+    const contractId = env.LAND_REGISTRY_CONTRACT_ID;
+    const data = parcelId ? await registry.getBiodiversityData(contractId, parcelId) : null;
+    const mismatches = !data || /^0x0{40}$/.test(data.registrant)
+      ? [{ field: 'data', expected: 'addBiodiversityData', actual: 'none' }]
+      : compareParcelData(parcel, data);
+    result.contract = { contractId, mismatches };
+    report(`Contract ${contractId}`, mismatches);
+  }
+
+  const failed = [result.topic, result.contract].some((source) => source && source.mismatches.length > 0);
+  return { result: { ...result, matches: !failed }, lines, failed };
+}
+
+// parcel scan: list the parcels due for re-assessment and, with --expire, expire the lapsed approvals
+async function scanParcels({ options, env, registry }) {
+  const warningDays = Number(options.warningDays !== undefined ? options.warningDays : DEFAULT_WARNING_PERIOD / SECONDS_PER_DAY);
+  if (!Number.isFinite(warningDays) || warningDays < 0) {
+    throw new Error('--warning-days must be a non-negative number');
+  }
+  const workflow = verificationWorkflow(env, registry);
+  const policy = await registry.getVerificationPolicy(workflow.contractId);
+  const scheduler = new ReassessmentScheduler({
+    workflow,
+    indexer: workflow.indexer,
+    warningPeriod: warningDays * SECONDS_PER_DAY
+  });
+  const due = await scheduler.findDue();
+  const lines = [
+    policy.validityPeriod === 0
+      ? 'The contract has no validity period: approvals never lapse'
+      : `Approvals are valid for ${formatDays(policy.validityPeriod)}`,
+    `${due.length} parcel(s) due for re-assessment:`
+  ];
+  for (const parcel of due) {
+    const expiry = parcel.expiresAt !== null ? ` (${new Date(parcel.expiresAt * 1000).toISOString()})` : '';
+    const topic = parcel.topicStatus !== parcel.contractStatus ? `, topic says ${parcel.topicStatus}` : '';
+    lines.push(`- ${parcel.name}: ${parcel.due}${expiry}${topic}`);
+  }
+
+  const expired = options.expire ? await scheduler.expireLapsed(due) : null;
+  if (expired) {
+    lines.push(`Expired ${expired.filter((result) => result.status === 'expired').length} lapsed approval(s)`);
+    expired.filter((result) => result.error).forEach((result) => lines.push(`- ${result.name}: ${result.error}`));
+  }
+  return {
+    result: { validityPeriod: policy.validityPeriod, due, expired },
+    lines,
+    failed: Boolean(expired && expired.some((result) => result.error))
+  };
+}
+
+// parcel reassess <parcel>: start a re-assessment of the parcel's lapsed, rejected or expired data
+async function reassessParcel({ options, env, registry }) {
+  const workflow = verificationWorkflow(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+  const state = await workflow.requestReassessment(parcel);
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, state },
+    lines: [
+      `Requested a re-assessment of "${parcel.name}" (status: ${state.status})`,
+      'The verifiers can now attest again with biodiversity parcel verify'
+    ]
+  };
+}
+
+// parcel history <parcel>: the score of every verification round of the parcel and its trend
+async function showScoreHistory({ options, env, registry }) {
+  const contractId = requireEnv(env, 'LAND_REGISTRY_CONTRACT_ID', '--contract-id');
+  const indexer = env.LAND_REGISTRY_TOPIC_ID ? RegistryIndexer.fromEnv(env) : null;
+  const parcel = await findParcel(options.parcelsFile, options.parcel, indexer);
+  const parcelId = parcelIdOf(parcel);
+  const history = await registry.getScoreHistory(contractId, parcelId);
+  const trend = scoreTrend(history);
+  return {
+    result: { parcelId, name: parcel.name, history, trend },
+    lines: [
+      `Score history of "${parcel.name}" (${parcelId}):`,
+      ...history.map((record) => `- ${new Date(record.timestamp * 1000).toISOString()}: ${record.score} ` +
+        `(${record.approved ? 'approved' : 'rejected'})`),
+      trend.direction === null
+        ? 'Not enough approved rounds to show a trend'
+        : `Trend: ${trend.direction} (${trend.first} -> ${trend.latest} over ${trend.rounds} approved rounds)`
+    ]
+  };
+}
+
+// parcel transfer <parcel>: move the parcel's NFT and its registrant role in the contract to another account
+async function transferParcel({ options, env, registry }) {
+  if (!options.to) {
+    throw new Error('parcel transfer needs --to with the receiving account ID');
+  }
+  const nfts = parcelNfts(env, registry);
+  const parcel = await findParcel(options.parcelsFile, options.parcel, nfts.indexer);
+  const transfer = await nfts.transfer(parcel, { to: options.to, toAddress: options.toAddress });
+  return {
+    result: { parcelId: parcelIdOf(parcel), name: parcel.name, to: options.to, ...transfer },
+    lines: [
+      `Transferred "${parcel.name}" (NFT ${transfer.tokenId}#${transfer.serial}) to ${options.to}`,
+      `NFT transfer: ${transfer.transferTransactionId}`,
+      `Registrant transfer: ${transfer.registrantTransactionId}`
+    ]
+  };
+}
+
+// parcel reconcile: record the parcel NFTs that changed hands outside the registry, as the contract owner
+async function reconcileParcels({ env, registry }) {
+  const results = await parcelNfts(env, registry).reconcile();
+  return {
+    result: results,
+    lines: [
+      `${results.length} parcel(s) changed hands outside the registry:`,
+      ...results.map((result) => `- ${result.name}: ${result.from} -> ${result.to} ` +
+        `(${result.status}${result.error ? `: ${result.error}` : ''})`)
+    ],
+    failed: results.some((result) => result.status === 'failed')
+  };
+}
+
+// parcel export <file>: write every registered parcel, with its status, as a GeoJSON FeatureCollection
+async function exportParcels({ options, env }) {
+  requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id');
+  const indexer = RegistryIndexer.fromEnv(env);
+  await indexer.sync();
+  const collection = registryToGeoJson(await indexer.getParcels());
+  fs.writeFileSync(options.file, `${JSON.stringify(collection, null, 2)}\n`);
+  return {
+    result: { topicId: indexer.topicId, file: options.file, parcels: collection.features.length },
+    lines: [`Exported ${collection.features.length} parcel(s) of registry topic ${indexer.topicId} to ${options.file}`]
+  };
+}
+
+// credits mint <parcel>: issue what the parcel's verification round allows (or --amount of it)
+async function mintCredits({ options, env, registry }) {
+  const methodology = options.methodology || env.ISSUANCE_METHODOLOGY || DEFAULT_METHODOLOGY;
+  // Fail on an unknown methodology before anything is sent to the network
+  getIssuanceMethodology(methodology);
+  const amount = options.amount !== undefined ? positiveAmount(options.amount) : undefined;
+  const workflow = new VerificationWorkflow({
+    registry,
+    contractId: requireEnv(env, 'LAND_REGISTRY_CONTRACT_ID', '--contract-id'),
+    topicId: requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id'),
+    indexer: RegistryIndexer.fromEnv(env),
+    store: new JsonFileRegistryStore(options.checkpoint || DEFAULT_ISSUANCE_CHECKPOINT)
+  });
+  const parcel = await findParcel(options.parcelsFile, options.parcel, workflow.indexer);
+
+  const issuance = await workflow.issueCredits(parcel, {
+    tokenId: requireEnv(env, 'BIO_TOKEN_ID', '--token-id'),
+    methodology,
+    amount
+  });
+  return {
+    result: issuance,
+    lines: [
+      `${issuance.resumed ? 'Finished the issuance of' : 'Minted'} ${issuance.amount} BIO for "${parcel.name}" ` +
+        `(methodology ${issuance.methodology}, rating ${issuance.biodiversityRating})`,
+      `The verification round allows ${issuance.allowed} in total`,
+      `Transaction: ${issuance.mintTransactionId}`,
+      ...(issuance.parcelNft ? [`Issued for parcel NFT ${issuance.parcelNft.tokenId}#${issuance.parcelNft.serial}`] : [])
+    ]
+  };
+}
+
+// credits retire: burn or wipe credits and write the retirement certificate
+async function retireCredits({ options, env, registry }) {
+  if (!options.resume && (options.sources.length === 0 || !options.beneficiary || !options.reason)) {
+    throw new Error('credits retire needs --beneficiary, --reason and at least one --source "<parcel-name>:<amount>", ' +
+      'or --resume');
+  }
+  const retirement = new CreditRetirement({
+    registry,
+    topicId: requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id'),
+    tokenId: requireEnv(env, 'BIO_TOKEN_ID', '--token-id'),
+    indexer: RegistryIndexer.fromEnv(env),
+    store: new JsonFileRegistryStore(options.checkpoint || DEFAULT_RETIREMENT_CHECKPOINT)
+  });
+
+  const certificate = options.resume
+    ? await retirement.resume()
+    : await retirement.retire({
+      sources: options.sources,
+      beneficiary: options.beneficiary,
+      reason: options.reason,
+      from: options.from || null
+    });
+  if (options.dryRun) {
+    return { result: certificate, lines: [] };
+  }
+
+  const outDir = options.outDir || DEFAULT_OUT_DIR;
+  fs.mkdirSync(outDir, { recursive: true });
+  const jsonFile = path.join(outDir, `${certificate.certificateId}.json`);
+  const htmlFile = path.join(outDir, `${certificate.certificateId}.html`);
+  fs.writeFileSync(jsonFile, JSON.stringify(certificate, null, 2));
+  fs.writeFileSync(htmlFile, renderCertificateHtml(certificate));
+
+  return {
+    result: { ...certificate, files: [jsonFile, htmlFile] },
+    lines: [
+      `Retired ${certificate.credits.amount} BIO on behalf of ${certificate.beneficiary} ` +
+        `(${certificate.credits.method} from ${certificate.credits.retiredFrom})`,
+      `Transaction: ${certificate.retirementTransaction.transactionId}`,
+      `Certificate ${certificate.certificateId} written to ${jsonFile} and ${htmlFile}`
+    ]
+  };
+}
+
+// credits transfer: send credits from the operator to a KYC'd account
+async function transferCredits({ options, env, registry }) {
+  if (!options.to) {
+    throw new Error('credits transfer needs --to with the receiving account ID');
+  }
+  const transfers = new CreditTransfers({ registry, tokenId: requireEnv(env, 'BIO_TOKEN_ID', '--token-id') });
+  const result = await transfers.transfer(options.to, positiveAmount(options.amount));
+  return {
+    result,
+    lines: [
+      `Transferred ${result.amount} BIO from ${result.from} to ${result.to}`,
+      `Transaction: ${result.transactionId}`
+    ]
+  };
+}
+
+// contract deploy: deploy BiodiversityLandParcel through the network's JSON-RPC relay
+async function deployContract({ options, env, manifest }) {
+  // Hardhat picks its network when it is first loaded
+  process.env.HARDHAT_NETWORK = getNetworkProfile(env.HEDERA_NETWORK).hardhatNetwork;
+  const hre = require('hardhat');
+  await hre.run('compile', { quiet: true });
+  const factory = await hre.ethers.getContractFactory('BiodiversityLandParcel');
+
+  if (options.dryRun) {
+    const { data } = factory.getDeployTransaction();
+    return {
+      planned: [{
+        operation: 'deployContract',
+        type: 'EthereumTransaction',
+        transactionId: null,
+        memo: '',
+        fields: {
+          relay: hre.network.config.url,
+          from: await factory.signer.getAddress(),
+          bytecodeBytes: String(hre.ethers.utils.hexDataLength(data)),
+          gas: String(hre.network.config.gas)
+        }
+      }]
+    };
+  }
+
+  const contract = await factory.deploy();
+  await contract.deployed();
+  // The Hedera contract ID is only known to the network, so look it up on the mirror node
+  const contractId = await EntityResolver.fromEnv(env).resolveContractId(contract.address);
+  return {
+    result: { contractId, evmAddress: contract.address, transactionHash: contract.deployTransaction.hash },
+    lines: [
+      `Deployed BiodiversityLandParcel as ${contractId} (${contract.address})`,
+      ...recordDeployment({ options, env, manifest }, { contractId, contractEvmAddress: contract.address }, 'contract', contractId)
+    ]
+  };
+}
+
+// contract attach <contract>: check that an existing contract is a BiodiversityLandParcel and show its IDs
+async function attachContract({ options, env, registry, manifest }) {
+  const resolver = EntityResolver.fromEnv(env);
+  const isEvmAddress = /^(0x)?[0-9a-fA-F]{40}$/.test(options.contract);
+  const contractId = isEvmAddress ? await resolver.resolveContractId(options.contract) : options.contract;
+  const evmAddress = isEvmAddress ? `0x${options.contract.replace(/^0x/, '')}` : await resolver.contractEvmAddress(contractId);
+  const owner = await registry.getContractOwner(contractId);
+  const policy = await registry.getVerificationPolicy(contractId);
+
+  return {
+    result: { contractId, evmAddress, owner, policy },
+    lines: [
+      `Contract ${contractId} (${evmAddress}) is a BiodiversityLandParcel contract owned by ${owner}`,
+      `Verification policy: ${policy.requiredAttestations} attestation(s), ` +
+        `${policy.challengeWindow} second challenge window, validity ${policy.validityPeriod || 'unlimited'}`,
+      ...recordDeployment({ options, env, manifest }, { contractId, contractEvmAddress: evmAddress }, 'contract', contractId)
+    ]
+  };
+}
+
+// status: the configured entities and their current state
+async function showStatus({ env, registry, manifest }) {
+  const result = {
+    network: env.HEDERA_NETWORK,
+    operatorId: registry.operatorId.toString(),
+    manifest: { file: manifest.filePath, deployment: manifest.get(env.HEDERA_NETWORK) },
+    token: null,
+    topic: null,
+    contract: null
+  };
+  const lines = [
+    `Network: ${result.network}`,
+    `Operator: ${result.operatorId}`,
+    `Deployment manifest: ${manifest.filePath}` +
+      (Object.keys(result.manifest.deployment).length === 0 ? ` (nothing recorded for ${result.network})` : '')
+  ];
+
+  if (env.BIO_TOKEN_ID) {
+    result.token = await registry.getTokenInfo(env.BIO_TOKEN_ID);
+    const { tokenId, symbol, totalSupply, maxSupply, paused } = result.token;
+    lines.push(`Credit token: ${tokenId} (${symbol}), supply ${totalSupply} of ${maxSupply === '0' ? 'unlimited' : maxSupply}` +
+      (paused ? ', paused' : ''));
+  } else {
+    lines.push('Credit token: not set (--token-id or BIO_TOKEN_ID)');
+  }
+
+  if (env.LAND_REGISTRY_TOPIC_ID) {
+    const indexer = RegistryIndexer.fromEnv(env);
+    await indexer.sync();
+    const parcels = await indexer.getParcels();
+    result.topic = {
+      topicId: indexer.topicId,
+      lastSequenceNumber: indexer.state.lastSequenceNumber,
+      parcels: parcels.length,
+      verified: parcels.filter((parcel) => parcel.verified).length,
+      creditsMinted: parcels.reduce((total, parcel) => total + parcel.creditsMinted, 0),
+      creditsRetired: parcels.reduce((total, parcel) => total + (parcel.creditsRetired || 0), 0),
+      rejectedMessages: indexer.state.rejected.length
+    };
+    lines.push(`Registry topic: ${result.topic.topicId}, ${result.topic.lastSequenceNumber} message(s), ` +
+      `${result.topic.parcels} parcel(s) (${result.topic.verified} verified), ` +
+      `${result.topic.creditsMinted} credits issued, ${result.topic.creditsRetired} retired`);
+  } else {
+    lines.push('Registry topic: not set (--topic-id or LAND_REGISTRY_TOPIC_ID)');
+  }
+
+  if (env.LAND_REGISTRY_CONTRACT_ID) {
+    const contractId = env.LAND_REGISTRY_CONTRACT_ID;
+    result.contract = {
+      contractId,
+      owner: await registry.getContractOwner(contractId),
+      policy: await registry.getVerificationPolicy(contractId),
+      verifiers: await registry.getVerifiers(contractId)
+    };
+    lines.push(`Contract: ${contractId}, owned by ${result.contract.owner}, ` +
+      `${result.contract.verifiers.length} verifier(s), ${result.contract.policy.requiredAttestations} attestation(s) required`);
+  } else {
+    lines.push('Contract: not set (--contract-id or LAND_REGISTRY_CONTRACT_ID)');
+  }
+
+  return { result, lines };
+}
+
+// Record new or attached entities in the manifest for the network (not on a dry run),
+// returning what to tell the operator
+function recordDeployment({ options, env, manifest }, entities, type, id) {
+  if (options.dryRun) {
+    return [];
+  }
+  manifest.record(env.HEDERA_NETWORK, entities);
+  const link = explorerLink(env.HEDERA_NETWORK, type, id);
+  return [
+    `Recorded in ${manifest.filePath} for ${env.HEDERA_NETWORK}; later commands on ${env.HEDERA_NETWORK} use it`,
+    ...(link ? [link] : [])
+  ];
+}
+
+// Print the transactions a dry run signed but did not send
+function printPlanned(planned) {
+  if (planned.length === 0) {
+    console.log('Dry run: no transactions would be sent');
+    return;
+  }
+  console.log(`Dry run: ${planned.length} transaction(s) would be sent`);
+  planned.forEach((transaction, index) => {
+    const chunk = transaction.chunks > 1 ? ` (message ${transaction.chunk} of ${transaction.chunks})` : '';
+    console.log(`\n${index + 1}. ${transaction.type} for ${transaction.operation}${chunk}`);
+    if (transaction.transactionId) {
+      console.log(`   Transaction ID: ${transaction.transactionId}`);
+    }
+    for (const [field, value] of Object.entries(transaction.fields)) {
+      console.log(`   ${field}: ${Array.isArray(value) ? value.join(', ') : value}`);
+    }
+    for (const transfer of transaction.tokenTransfers || []) {
+      console.log(`   transfer: ${transfer.amount} of ${transfer.tokenId} for ${transfer.accountId}`);
+    }
+    if (transaction.messageBytes !== undefined) {
+      console.log(`   message: ${transaction.messageBytes} bytes`);
+    }
+    if (transaction.memo) {
+      console.log(`   memo: ${transaction.memo}`);
+    }
+  });
+}
+
+// The environment with the command line's network and entity IDs in place of the variables
+function environmentFor(options) {
+  const env = { ...process.env };
+  const overrides = {
+    HEDERA_NETWORK: options.network,
+    BIO_TOKEN_ID: options.tokenId,
+    LAND_REGISTRY_TOPIC_ID: options.topicId,
+    LAND_REGISTRY_CONTRACT_ID: options.contractId,
+    PARCEL_NFT_TOKEN_ID: options.collectionId,
+    HEDERA_MIRROR_NODE_URL: options.mirrorNodeUrl,
+    DEPLOYMENT_MANIFEST: options.manifestFile
+  };
+  for (const [name, value] of Object.entries(overrides)) {
+    if (value !== undefined) {
+      env[name] = value;
+    }
+  }
+  env.HEDERA_NETWORK = getNetworkProfile(env.HEDERA_NETWORK || undefined).name;
+  return env;
+}
+
+// Where a parcel is in the verification workflow, as text
+function stateLines(state) {
+  const lines = [
+    `Contract address: ${state.parcelAddress}`,
+    `Status: ${state.status} (${state.approvals} approval(s), ${state.rejections} rejection(s), ` +
+      `${state.requiredAttestations} required)`,
+    ...state.attestations.map((attestation) => `- ${attestation.verifier} ${attestation.approved ? 'approved' : 'rejected'} ` +
+      `with a score of ${attestation.score}${attestation.notes ? ` - ${attestation.notes}` : ''}`)
+  ];
+  if (state.attestedScore !== null) {
+    lines.push(`Attested score: ${state.attestedScore}`);
+  }
+  if (state.challengeEndsAt !== null) {
+    lines.push(`Challenge window: until ${new Date(state.challengeEndsAt * 1000).toISOString()}`);
+  }
+  if (state.dispute) {
+    const outcome = state.dispute.resolved ? (state.dispute.upheld ? 'upheld' : 'dismissed') : 'open';
+    lines.push(`Dispute by ${state.dispute.challenger} (${outcome}): ${state.dispute.reason}`);
+  }
+  lines.push(`Credits can be issued: ${state.canIssueCredits ? 'yes' : 'no'}`);
+  return lines;
+}
+
+// The parcel NFTs of the configured collection, contract and registry topic
+function parcelNfts(env, registry) {
+  return new ParcelNfts({
+    registry,
+    topicId: requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id'),
+    collectionId: requireEnv(env, 'PARCEL_NFT_TOKEN_ID', '--collection-id'),
+    contractId: requireEnv(env, 'LAND_REGISTRY_CONTRACT_ID', '--contract-id'),
+    indexer: RegistryIndexer.fromEnv(env),
+    resolver: EntityResolver.fromEnv(env)
+  });
+}
+
+// The verification workflow on the configured contract and registry topic
+function verificationWorkflow(env, registry) {
+  return new VerificationWorkflow({
+    registry,
+    contractId: requireEnv(env, 'LAND_REGISTRY_CONTRACT_ID', '--contract-id'),
+    topicId: requireEnv(env, 'LAND_REGISTRY_TOPIC_ID', '--topic-id'),
+    indexer: RegistryIndexer.fromEnv(env)
+  });
+}
+
+// Find the parcel record by name or parcel ID in the parcels file (JSON or GeoJSON), with the ID
+// it was registered under: the record's own, or that of the registered parcel of its name
+async function findParcel(parcelsFile, nameOrId, indexer) {
+  const id = nameOrId.replace(/^0x/i, '').toLowerCase();
+  const records = readParcelsFile(parcelsFile);
+  let matches = records.filter((candidate) => (candidate.parcelId && parcelIdOf(candidate) === id) ||
+    candidate.name === nameOrId);
+  if (indexer) {
+    await indexer.sync();
+  }
+  // An ID the record does not keep: the record of the name it was registered with
+  const registered = indexer && matches.length === 0 ? await indexer.getParcel(nameOrId) : null;
+  if (registered) {
+    matches = records.filter((candidate) => !candidate.parcelId && candidate.name === registered.name);
+  }
+  if (matches.length === 0) {
+    throw new Error(`No parcel named or with ID "${nameOrId}" in ${parcelsFile}`);
+  }
+  if (matches.length > 1) {
+    throw new ParcelIdentityError(nameOrId, `is the name of ${matches.length} parcels in ${parcelsFile}; use the parcel ID`,
+      'AMBIGUOUS_PARCEL_NAME');
+  }
+  const [parcel] = matches;
+  if (parcel.parcelId || !indexer) {
+    return parcel;
+  }
+  const named = registered || await indexer.getParcel(parcel.name);
+  return named ? { ...parcel, parcelId: named.parcelId } : parcel;
+}
+
+// A fraction from its option, its environment variable or the default
+function fraction(option, variable, defaultValue, flag, example) {
+  const value = Number(option !== undefined ? option : variable || defaultValue);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${flag} must be a non-negative fraction (e.g. ${example})`);
+  }
+  return value;
+}
+
+function formatDays(seconds) {
+  return `${Math.round((seconds / SECONDS_PER_DAY) * 10) / 10} days`;
+}
+
+function positiveAmount(value) {
+  const amount = Number(value);
+  if (!Number.isSafeInteger(amount) || amount <= 0) {
+    throw new Error('--amount needs a positive whole number');
+  }
+  return amount;
+}
+
+function requireEnv(env, name, flag) {
+  if (!env[name]) {
+    throw new Error(`Set ${flag} or the environment variable ${name}`);
+  }
+  return env[name];
+}
+
+// Parse "<parcel-name>:<amount>"; the name itself may contain colons
+function parseSource(value) {
+  const separator = value ? value.lastIndexOf(':') : -1;
+  const amount = Number(value && value.slice(separator + 1));
+  if (separator <= 0 || !Number.isSafeInteger(amount) || amount <= 0) {
+    throw new Error(`--source must be "<parcel>:<amount>", not "${value}"`);
+  }
+  const parcel = value.slice(0, separator);
+  return /^(0x)?[0-9a-f]{40}$/i.test(parcel)
+    ? { parcelId: parcel.replace(/^0x/i, '').toLowerCase(), amount }
+    : { name: parcel, amount };
+}
+
+// Parse the command, its arguments and the options from the command line
+function parseArgs(args) {
+  const options = { json: false, dryRun: false, reject: false, expire: false, upheld: false, dismissed: false, sources: [], parcelsFile: DEFAULT_PARCELS_FILE };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (VALUE_OPTIONS[args[i]]) {
+      const value = args[++i];
+      if (value === undefined) {
+        throw new Error(`${args[i - 1]} requires a value`);
+      }
+      options[VALUE_OPTIONS[args[i - 1]]] = value;
+    } else if (args[i] === '--source') {
+      options.sources.push(parseSource(args[++i]));
+    } else if (SWITCHES[args[i]]) {
+      options[SWITCHES[args[i]]] = true;
+    } else if (args[i].startsWith('--')) {
+      throw new Error(`Unknown option "${args[i]}"`);
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const name = COMMANDS[positional[0]] ? positional[0] : positional.slice(0, 2).join(' ');
+  const command = COMMANDS[name];
+  if (!command) {
+    throw new Error(`Usage: biodiversity <command> [options], where <command> is one of:\n  ` +
+      Object.entries(COMMANDS).map(([commandName, { args: names = [] }]) =>
+        [commandName, ...names.map((argName) => `<${argName}>`)].join(' ')).join('\n  '));
+  }
+  const commandArgs = positional.slice(name.split(' ').length);
+  const names = command.args || [];
+  if (commandArgs.length !== names.length) {
+    throw new Error(`Usage: biodiversity ${[name, ...names.map((argName) => `<${argName}>`)].join(' ')} [options]`);
+  }
+  names.forEach((argName, index) => {
+    options[argName] = commandArgs[index];
+  });
+
+  return { ...options, command: name };
+}
+
+// Run the script
+main()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    if (process.argv.includes('--json')) {
+      console.log(JSON.stringify({ error: { code: error.code || null, message: error.message } }, null, 2));
+    } else {
+      console.error(`\nError: ${error.message}`);
+    }
+    process.exit(1);
+  });
@@ -1,10 +1,18 @@
-// Script to deploy the BiodiversityLandParcel contract to Hedera Testnet
-// Using the Hardhat deployment approach with JSON-RPC relay
+// Script to deploy the BiodiversityLandParcel contract to a Hedera network
+// Using the Hardhat deployment approach with JSON-RPC relay:
+//   npx hardhat run scripts/deploy-biodiversity-contract.js --network hederaTestnet
+// (hederaLocal, hederaPreviewnet and hederaMainnet deploy to the other networks).
+// The contract is recorded in the deployment manifest, where the other scripts find it.
 require("dotenv").config();
 const hre = require("hardhat");
+const { DeploymentManifest } = require("../lib/deployment-manifest");
+const { EntityResolver } = require("../lib/entity-resolver");
+const { explorerLink, networkProfileForHardhat } = require("../lib/network-profiles");
 
 async function main() {
-  console.log("Deploying BiodiversityLandParcel contract to Hedera Testnet...");
+  // null on Hardhat's in-memory network, which is gone when the script ends
+  const profile = networkProfileForHardhat(hre.network.name);
+  console.log(`Deploying BiodiversityLandParcel contract to ${profile ? `Hedera ${profile.name}` : hre.network.name}...`);
 
   // Get the contract factory
   const BiodiversityLandParcel = await hre.ethers.getContractFactory("BiodiversityLandParcel");
@@ -24,7 +32,21 @@ async function main() {
   // Print deployment information
   console.log("\nDeployment successful!");
   console.log(`Contract address (Ethereum format): ${contractAddress}`);
-  console.log(`You can view your contract on HashScan: https://hashscan.io/testnet/contract/${contractAddress}`);
+  if (profile) {
+    // The Hedera contract ID is only known to the network, so look it up on the mirror node
+    const env = { ...process.env, HEDERA_NETWORK: profile.name };
+    const contractId = await EntityResolver.fromEnv(env).resolveContractId(contractAddress);
+    console.log(`Contract ID (Hedera format): ${contractId}`);
+
+    const manifest = DeploymentManifest.fromEnv();
+    manifest.record(profile.name, { contractId, contractEvmAddress: contractAddress });
+    console.log(`Recorded in ${manifest.filePath} for ${profile.name}; the other scripts use it with HEDERA_NETWORK=${profile.name}`);
+
+    const link = explorerLink(profile, "contract", contractId);
+    if (link) {
+      console.log(`You can view your contract on HashScan: ${link}`);
+    }
+  }
   
   // Wait for a few confirmations
   console.log("\nContract deployment confirmed and ready for interaction!");
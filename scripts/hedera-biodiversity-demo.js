@@ -4,159 +4,191 @@
  * This script demonstrates:
  * 1. Creating a fungible token on Hedera to represent biodiversity credits
  * 2. Creating a topic and sending messages (for land parcel registry)
- * 3. Basic token operations (minting, transfers)
+ * 3. Submitting the parcel data to the BiodiversityLandParcel contract, whose
+ *    verifiers approve it
+ * 4. Basic token operations (minting, transfers)
+ * 5. Recording which issuance methodology produced each mint
+ *
+ * Credits are only minted once the contract reports that the parcel can be
+ * credited (see lib/verification-workflow); until then the run stops after
+ * submitting the data.
+ *
+ * Run with --simulate (or SIMULATE=true) to run the whole flow against the
+ * in-process simulated ledger, without credentials or network access. The
+ * simulation deploys its own contract and has a simulated verifier approve
+ * the data.
+ *
+ * Against a network the run is checkpointed after every step (in
+ * registration-checkpoint.json, or the file given with --checkpoint). When it
+ * stops halfway, or to mint once the verifiers approved the data, run it
+ * again with --resume: it continues from the last completed step with the
+ * token and topic created already, and settles the transaction that was in
+ * flight instead of sending it twice.
+ *
+ * Otherwise it runs on HEDERA_NETWORK (local, previewnet, testnet or
+ * mainnet; see lib/network-profiles), with the contract given by --contract
+ * or LAND_REGISTRY_CONTRACT_ID. The demo always creates its own token and
+ * topic, so it neither reads nor records the deployment manifest.
+ *
+ * Usage:
+ *   node scripts/hedera-biodiversity-demo.js [--simulate] [--resume] [--checkpoint <file>] [--contract <id>]
  */
 require('dotenv').config();
-const {
-  Client,
-  PrivateKey,
-  TokenCreateTransaction,
-  TokenInfoQuery,
-  TokenMintTransaction,
-  TokenType,
-  TransferTransaction,
-  TopicCreateTransaction,
-  TopicMessageSubmitTransaction,
-  Hbar,
-  AccountId
-} = require('@hashgraph/sdk');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { assertValidParcel } = require('../lib/parcel-validation');
+const { assertDeclaredArea } = require('../lib/geo-area');
+const { mirrorNodeUrlFromEnv } = require('../lib/mirror-node');
+const { explorerLink, networkProfileFromEnv } = require('../lib/network-profiles');
+const { loadOperatorKey } = require('../lib/operator-key');
+const { RegistrationPipeline } = require('../lib/registration-pipeline');
+const { BiodiversityRegistryClient, ratingToScore } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { JsonFileRegistryStore, MemoryRegistryStore } = require('../lib/registry-store');
+const { MockMirrorNode, createSimulatedLedger, evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+
+// Operator account used when simulating without credentials
+const SIMULATED_OPERATOR_ID = '0.0.2';
+
+const DEFAULT_CHECKPOINT_FILE = 'registration-checkpoint.json';
+
+// What each pipeline step reports
+const STEP_MESSAGES = {
+  createCreditToken: ({ tokenId }) => `Token created successfully! Token ID: ${tokenId}`,
+  createRegistryTopic: ({ topicId }) => `Topic created successfully! Topic ID: ${topicId}`,
+  registerParcel: ({ sequenceNumber }) => `Land parcel registered successfully! Sequence number: ${sequenceNumber}`,
+  addBiodiversityData: ({ transactionId }) => `Parcel data submitted for verification! Transaction: ${transactionId}`,
+  authorizeIssuance: ({ amount, methodology, biodiversityRating }) =>
+    `Verified with biodiversity rating ${biodiversityRating}/5: ${amount} BIO to mint (methodology ${methodology})`,
+  mintCredits: ({ transactionId }) => `Minted the BIO tokens successfully! Transaction: ${transactionId}`,
+  recordIssuance: () => 'Issuance recorded on the registry topic so auditors can recompute it'
+};
 
 // Main function
 async function main() {
   console.log('\n----- HEDERA BIODIVERSITY TOKEN DEMO -----\n');
   
+  // Sample land parcel data, validated before anything is sent to the network
+  const landParcel = {
+    name: "Amazon Rainforest Preserve",
+    boundaries: [
+      { latitude: -3.4653, longitude: -62.2159 },
+      { latitude: -3.4471, longitude: -62.2159 },
+      { latitude: -3.4471, longitude: -62.1978 },
+      { latitude: -3.4653, longitude: -62.1978 },
+      { latitude: -3.4653, longitude: -62.2159 }
+    ],
+    areaInAcres: 1000,
+    ecosystemType: "Tropical Rainforest",
+    conservationStatus: "Indigenous Reserve",
+    protectionStartDate: 1262304000,
+    notableSpecies: [
+      "Jaguar",
+      "Giant Otter",
+      "Harpy Eagle",
+      "Amazonian Manatee",
+      "Brazil Nut Tree"
+    ],
+    biodiversityRating: 5,
+    verificationNotes: "Intact lowland rainforest with high species richness and no recorded deforestation since protection began."
+  };
+  assertValidParcel(landParcel);
+  assertDeclaredArea(landParcel);
+  
   // Step 1: Validate environment and setup client
   console.log('Setting up Hedera client...');
-  const operatorId = process.env.OPERATOR_ID;
+  const options = parseArgs(process.argv.slice(2));
+  const simulate = options.simulate || process.env.SIMULATE === 'true';
+  if (simulate && options.resume) {
+    throw new Error('A simulated run lives only as long as the process, so it cannot be resumed');
+  }
+  const operatorId = process.env.OPERATOR_ID || (simulate ? SIMULATED_OPERATOR_ID : undefined);
   const operatorKey = process.env.OPERATOR_KEY;
   
-  if (!operatorId || !operatorKey) {
+  if (!operatorId || (!operatorKey && !simulate)) {
     throw new Error('Environment variables OPERATOR_ID and OPERATOR_KEY must be present');
   }
   
-  // Convert DER-encoded private key if necessary
-  // This function would need proper implementation based on your key format
-  const privateKey = getPrivateKeyFromEnv(operatorKey);
+  // Parse the DER or raw operator key (see lib/operator-key).
+  // The simulated ledger does not check signatures, so without a key any key will do there.
+  const privateKey = operatorKey ? loadOperatorKey() : PrivateKey.generateED25519();
   
-  // Create Hedera client
-  const client = Client.forTestnet();
-  client.setOperator(AccountId.fromString(operatorId), privateKey);
+  // With --simulate every transaction runs against the in-process simulated ledger,
+  // with the contract on the Hardhat in-memory network and a mock mirror node
+  const ledger = simulate ? createSimulatedLedger({ operatorId }) : null;
+  const registry = ledger
+    ? BiodiversityRegistryClient.forSimulation({ ledger, operatorKey: privateKey })
+    : BiodiversityRegistryClient.forNetwork({ operatorId, operatorKey: privateKey, network: networkProfileFromEnv().name });
+  const mirror = ledger ? new MockMirrorNode({ ledger }) : null;
+  const mirrorNodeUrl = mirror ? await mirror.start() : mirrorNodeUrlFromEnv();
   
   console.log(`Using Hedera account: ${operatorId}`);
-  console.log('Connection established successfully!');
-  
-  // Step 2: Create a biodiversity token
-  console.log('\nCreating Biodiversity Token...');
-  const tokenCreateTx = await new TokenCreateTransaction()
-    .setTokenName('Biodiversity Credits')
-    .setTokenSymbol('BIO')
-    .setDecimals(0)
-    .setInitialSupply(0)
-    .setTreasuryAccountId(AccountId.fromString(operatorId))
-    .setAdminKey(privateKey.publicKey)
-    .setSupplyKey(privateKey.publicKey)
-    .freezeWith(client)
-    .sign(privateKey);
-  
-  const tokenCreateSubmit = await tokenCreateTx.execute(client);
-  const tokenCreateRx = await tokenCreateSubmit.getReceipt(client);
-  const tokenId = tokenCreateRx.tokenId;
-  
-  console.log(`Token created successfully! Token ID: ${tokenId}`);
-  
-  // Step 3: Create a topic for land parcel registry
-  console.log('\nCreating a topic for land parcel registry...');
-  const topicCreateTx = await new TopicCreateTransaction()
-    .setAdminKey(privateKey.publicKey)
-    .setSubmitKey(privateKey.publicKey)
-    .setTopicMemo('Biodiversity Land Registry')
-    .freezeWith(client)
-    .sign(privateKey);
-  
-  const topicCreateSubmit = await topicCreateTx.execute(client);
-  const topicCreateRx = await topicCreateSubmit.getReceipt(client);
-  const topicId = topicCreateRx.topicId;
-  
-  console.log(`Topic created successfully! Topic ID: ${topicId}`);
-  
-  // Step 4: Register a land parcel by submitting a message to the topic
-  console.log('\nRegistering a land parcel...');
-  
-  // Sample land parcel data
-  const landParcel = {
-    name: "Amazon Rainforest Preserve",
-    areaInAcres: 1000,
-    ecosystemType: "Tropical Rainforest",
-    owner: operatorId,
-    timestamp: new Date().toISOString(),
-    coordinates: [
-      { lat: -3.4653, lng: -62.2159 },
-      { lat: -3.4651, lng: -62.2152 },
-      { lat: -3.4659, lng: -62.2149 }
-    ]
-  };
+  console.log(simulate ? 'Running against the simulated ledger (no network)' : 'Connection established successfully!');
   
-  // Submit land parcel registration to the topic
-  const messageSubmitTx = await new TopicMessageSubmitTransaction({
-    topicId: topicId,
-    message: JSON.stringify(landParcel)
-  })
-    .freezeWith(client)
-    .sign(privateKey);
+  const contractId = ledger ? (await ledger.deployContract('BiodiversityLandParcel')).contractId : await contractFromOptions(options);
+  console.log(`Verifying through the BiodiversityLandParcel contract ${contractId}`);
   
-  const messageSubmitSubmit = await messageSubmitTx.execute(client);
-  const messageSubmitRx = await messageSubmitSubmit.getReceipt(client);
-  
-  console.log(`Land parcel registered successfully! Sequence number: ${messageSubmitRx.topicSequenceNumber}`);
-  
-  // Step 5: Submit verification message
-  console.log('\nVerifying the land parcel...');
-  const verificationMessage = {
-    type: "verification",
-    landParcelName: landParcel.name,
-    verificationStatus: "approved",
-    verifier: operatorId,
-    timestamp: new Date().toISOString(),
-    biodiversityRating: 5 // on a scale of 1-5
+  // Steps 2-6 run as a checkpointed pipeline, so an interrupted network run
+  // continues with --resume instead of creating a second token and topic
+  const pipeline = new RegistrationPipeline({
+    registry,
+    parcel: landParcel,
+    contractId,
+    mirrorNodeUrl,
+    // A simulated ledger lives as long as the process, so its run is not worth keeping
+    store: ledger ? new MemoryRegistryStore() : new JsonFileRegistryStore(options.checkpoint),
+    tokenOptions: { maxSupply: process.env.BIO_MAX_SUPPLY || undefined }
+  });
+  pipeline.onStep = ({ step, description, output, status }) => {
+    if (status === 'skipped') {
+      console.log(`\n${description}: done in the interrupted run`);
+      return;
+    }
+    console.log(`\n${description}...`);
+    console.log(`${STEP_MESSAGES[step](output)}${status === 'recovered' ? ' (sent by the interrupted run)' : ''}`);
   };
-  
-  const verificationSubmitTx = await new TopicMessageSubmitTransaction({
-    topicId: topicId,
-    message: JSON.stringify(verificationMessage)
-  })
-    .freezeWith(client)
-    .sign(privateKey);
-  
-  await verificationSubmitTx.execute(client);
-  
-  console.log('Land parcel verified successfully!');
-  
-  // Step 6: Mint biodiversity tokens based on the assessment
-  console.log('\nMinting biodiversity tokens...');
-  // Calculate tokens based on area and biodiversity rating
-  const tokensToMint = landParcel.areaInAcres * verificationMessage.biodiversityRating;
-  
-  const mintTx = await new TokenMintTransaction()
-    .setTokenId(tokenId)
-    .setAmount(tokensToMint)
-    .freezeWith(client)
-    .sign(privateKey);
-  
-  const mintTxSubmit = await mintTx.execute(client);
-  await mintTxSubmit.getReceipt(client);
-  
-  console.log(`Minted ${tokensToMint} BIO tokens successfully!`);
+
+  let outputs;
+  try {
+    outputs = await pipeline.run({ resume: options.resume });
+  } catch (error) {
+    if (error.code === 'VERIFICATION_INCOMPLETE' && ledger) {
+      // The registrant cannot verify its own data: a simulated verifier approves it, then the run resumes
+      console.log(`\n${error.message}`);
+      await approveAsSimulatedVerifier(ledger, registry, pipeline.parcel, { contractId, mirrorNodeUrl, store: pipeline.store });
+      outputs = await pipeline.run({ resume: true });
+    } else if (error.code === 'VERIFICATION_INCOMPLETE') {
+      console.log(`\n${error.message}`);
+      console.log(`\nThe run is checkpointed in ${options.checkpoint}. Once the contract's verifiers approved the data ` +
+        'and its challenge window passed, run again with --resume to mint the credits.');
+      registry.close();
+      return;
+    } else {
+      if (!ledger) {
+        console.error(`\nThe run is checkpointed in ${options.checkpoint}; run again with --resume to continue it`);
+      }
+      throw error;
+    }
+  }
+  const { tokenId } = outputs.createCreditToken;
+  const { topicId } = outputs.createRegistryTopic;
+  const issuance = outputs.authorizeIssuance;
+  const tokensToMint = issuance.amount;
   
   // Step 7: Get token info
   console.log('\nRetrieving token information...');
-  const tokenInfo = await new TokenInfoQuery()
-    .setTokenId(tokenId)
-    .execute(client);
+  const tokenInfo = await registry.getTokenInfo(tokenId);
+  registry.close();
+  if (mirror) {
+    await mirror.stop();
+  }
   
   console.log('Token Information:');
   console.log(`- Name: ${tokenInfo.name}`);
   console.log(`- Symbol: ${tokenInfo.symbol}`);
   console.log(`- Total Supply: ${tokenInfo.totalSupply}`);
+  console.log(`- Max Supply: ${tokenInfo.supplyType === 'FINITE' ? tokenInfo.maxSupply : 'uncapped'}`);
   console.log(`- Decimals: ${tokenInfo.decimals}`);
   
   console.log('\n----- DEMO COMPLETED SUCCESSFULLY -----');
@@ -164,27 +196,61 @@ async function main() {
   console.log(`1. Created Biodiversity Token (ID: ${tokenId})`);
   console.log(`2. Created Land Registry Topic (ID: ${topicId})`);
   console.log(`3. Registered a land parcel (${landParcel.name})`);
-  console.log(`4. Verified the land parcel with biodiversity rating: ${verificationMessage.biodiversityRating}/5`);
-  console.log(`5. Minted ${tokensToMint} BIO tokens`);
-  console.log('\nYou can now use these IDs to explore the data on the Hedera Testnet Explorer:');
-  console.log(`https://hashscan.io/testnet/token/${tokenId}`);
-  console.log(`https://hashscan.io/testnet/topic/${topicId}`);
+  console.log(`4. Verified the land parcel in contract ${contractId} with biodiversity rating: ${issuance.biodiversityRating}/5`);
+  console.log(`5. Minted ${tokensToMint} BIO tokens (methodology ${issuance.methodology})`);
+  if (ledger) {
+    console.log(`\nSimulated treasury balance: ${ledger.getTokenBalance(operatorId, tokenId)} BIO`);
+    return;
+  }
+  const profile = networkProfileFromEnv();
+  if (profile.explorerUrl) {
+    console.log(`\nYou can now use these IDs to explore the data on HashScan (${profile.name}):`);
+    console.log(explorerLink(profile, 'token', tokenId));
+    console.log(explorerLink(profile, 'topic', topicId));
+  }
 }
 
-// Helper function to handle DER-encoded private key
-// This is a placeholder - you would need to implement proper key conversion
-function getPrivateKeyFromEnv(keyString) {
-  // Check if key is in DER format
-  if (keyString.startsWith('302e')) {
-    // This is just a placeholder for demo purposes
-    // In a real implementation, you would properly convert the DER key
-    console.log('Warning: Using placeholder private key for demo');
-    // Generate a placeholder private key for the demo
-    return PrivateKey.generateED25519();
+// A new account on the simulated ledger, granted the verifier role, approves the parcel data
+async function approveAsSimulatedVerifier(ledger, registry, parcel, { contractId, mirrorNodeUrl, store }) {
+  const verifierId = ledger.createAccount({ hbars: 100 }).toString();
+  await registry.grantVerifier(contractId, evmAddressOf(verifierId));
+  const { topicId } = (await store.load()).outputs.createRegistryTopic;
+  const verifier = new VerificationWorkflow({
+    registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: verifierId }),
+    contractId,
+    topicId,
+    indexer: new RegistryIndexer({ topicId, mirrorNodeUrl })
+  });
+  const state = await verifier.attest(parcel, { score: ratingToScore(parcel.biodiversityRating), notes: 'Simulated field survey' });
+  console.log(`Simulated verifier ${verifierId} approved the parcel data (score ${state.attestedScore})`);
+}
+
+// The contract of a network run: --contract or LAND_REGISTRY_CONTRACT_ID, as a contract ID or EVM address
+async function contractFromOptions(options) {
+  const contract = options.contract || process.env.LAND_REGISTRY_CONTRACT_ID;
+  if (!contract) {
+    throw new Error('Set LAND_REGISTRY_CONTRACT_ID or pass --contract: the parcel is verified through the contract');
   }
-  
-  // Otherwise assume it's already in the right format
-  return PrivateKey.fromString(keyString);
+  return contract.startsWith('0x') ? EntityResolver.fromEnv().resolveContractId(contract) : contract;
+}
+
+// Parse --simulate, --resume, --checkpoint and --contract from the command line
+function parseArgs(args) {
+  const options = { simulate: false, resume: false, checkpoint: DEFAULT_CHECKPOINT_FILE, contract: null };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--simulate') {
+      options.simulate = true;
+    } else if (args[i] === '--resume') {
+      options.resume = true;
+    } else if (args[i] === '--checkpoint' && args[i + 1]) {
+      options.checkpoint = args[++i];
+    } else if (args[i] === '--contract' && args[i + 1]) {
+      options.contract = args[++i];
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+  return options;
 }
 
 // Run the script
@@ -0,0 +1,112 @@
+/**
+ * Rebuild the land registry state from the registry topic
+ *
+ * This script pages through the registry topic on the mirror node and
+ * rebuilds the current state of every parcel (registered, verified, rating
+ * and credits minted) from the registration, verification and issuance
+ * messages. The state is saved to a local JSON file; running the script again
+ * only reads the messages that arrived since the last run.
+ *
+ * Usage:
+ *   node scripts/index-registry.js [--topic 0.0.x] [--store registry-state.json]
+ *     [--follow] [--interval 10]
+ *
+ * With --follow the script keeps polling the topic every --interval seconds
+ * until it is interrupted (Ctrl+C).
+ *
+ * Environment variables:
+ *   LAND_REGISTRY_TOPIC_ID (unless --topic is given)
+ *   HEDERA_MIRROR_NODE_URL or HEDERA_NETWORK (mirror node to read from)
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { JsonFileRegistryStore } = require('../lib/registry-store');
+
+const DEFAULT_STORE_FILE = 'registry-state.json';
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+// Main function
+async function main() {
+  console.log('\n----- LAND REGISTRY INDEXER -----\n');
+
+  applyDeploymentManifest();
+  const { topicId, storeFile, follow, interval } = parseArgs(process.argv.slice(2));
+  const indexer = RegistryIndexer.fromEnv(process.env, {
+    ...(topicId ? { topicId } : {}),
+    store: new JsonFileRegistryStore(storeFile)
+  });
+
+  console.log(`Indexing registry topic ${indexer.topicId} from ${indexer.mirrorNode.url}`);
+  console.log(`State file: ${storeFile}`);
+
+  let stopped = false;
+  process.on('SIGINT', () => {
+    stopped = true;
+  });
+
+  do {
+    const result = await indexer.sync();
+    console.log(`\nRead ${result.processed} new message(s); up to consensus timestamp ${result.lastConsensusTimestamp || '-'}`);
+    if (result.processed > 0 || !follow) {
+      printParcels(await indexer.getParcels());
+    }
+    if (follow && !stopped) {
+      await new Promise((resolve) => setTimeout(resolve, interval * 1000));
+    }
+  } while (follow && !stopped);
+}
+
+function printParcels(parcels) {
+  if (parcels.length === 0) {
+    console.log('No parcels registered yet');
+    return;
+  }
+  console.log(`\n${parcels.length} parcel(s):`);
+  for (const parcel of parcels) {
+    const verification = parcel.verified ? 'verified' : (parcel.verificationStatus || 'unverified');
+    console.log(`- ${parcel.name}: ${verification}, rating ${parcel.biodiversityRating}/5, ` +
+      `${parcel.creditsMinted} credit(s) minted`);
+  }
+}
+
+// Parse the topic, state file and polling options from the command line
+function parseArgs(args) {
+  let topicId = null;
+  let storeFile = DEFAULT_STORE_FILE;
+  let follow = false;
+  let interval = DEFAULT_INTERVAL_SECONDS;
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--topic') {
+      topicId = args[++i];
+    } else if (args[i] === '--store') {
+      storeFile = args[++i];
+    } else if (args[i] === '--follow') {
+      follow = true;
+    } else if (args[i] === '--interval') {
+      interval = Number(args[++i]);
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+
+  if (!storeFile) {
+    throw new Error('--store requires a file path');
+  }
+  if (!Number.isFinite(interval) || interval <= 0) {
+    throw new Error('--interval must be a positive number of seconds');
+  }
+
+  return { topicId, storeFile, follow, interval };
+}
+
+// Run the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,153 @@
+/**
+ * Manage the verifiers of the BiodiversityLandParcel contract
+ *
+ * Only registered verifiers can verify parcel data in the contract. This
+ * script lets the contract owner (the deploying account) grant and revoke the
+ * verifier role, and lets anyone list the current verifiers. Every grant and
+ * revocation emits a VerifierGranted or VerifierRevoked event, which the
+ * mirror node indexes with the contract's logs. The owner also sets the
+ * verification policy: the quorum of attestations, the challenge window and
+ * how long an approval stays valid.
+ *
+ * Usage:
+ *   node scripts/manage-verifiers.js list [--contract 0.0.x]
+ *   node scripts/manage-verifiers.js grant <account> [--contract 0.0.x]
+ *   node scripts/manage-verifiers.js revoke <account> [--contract 0.0.x]
+ *   node scripts/manage-verifiers.js policy [--quorum 2] [--window 86400] [--validity-days 365] [--contract 0.0.x]
+ *
+ * <account> is an account ID (0.0.x) or the EVM address the verifier calls the
+ * contract from. Account IDs are resolved through the mirror node, so ECDSA
+ * accounts get their alias address, which is what the contract sees.
+ *
+ * Environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY (the contract owner, for grant, revoke and policy changes)
+ *   LAND_REGISTRY_CONTRACT_ID (unless --contract is given)
+ *   HEDERA_NETWORK, HEDERA_MIRROR_NODE_URL
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { EntityResolver, normalizeEvmAddress } = require('../lib/entity-resolver');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+
+const COMMANDS = ['list', 'grant', 'revoke', 'policy'];
+const SECONDS_PER_DAY = 24 * 60 * 60;
+
+// Main function
+async function main() {
+  console.log('\n----- BIODIVERSITY CONTRACT VERIFIERS -----\n');
+
+  applyDeploymentManifest();
+  const { command, account, contractId, policy } = parseArgs(process.argv.slice(2));
+  const registry = BiodiversityRegistryClient.fromEnv();
+  const resolver = EntityResolver.fromEnv();
+
+  try {
+    console.log(`Contract: ${contractId}`);
+    console.log(`Owner: ${await describeAddress(resolver, await registry.getContractOwner(contractId))}`);
+
+    if (command === 'grant' || command === 'revoke') {
+      const verifierAddress = await toEvmAddress(resolver, account);
+      const { transactionId } = command === 'grant'
+        ? await registry.grantVerifier(contractId, verifierAddress)
+        : await registry.revokeVerifier(contractId, verifierAddress);
+      console.log(`\n${command === 'grant' ? 'Granted' : 'Revoked'} verifier role for ${account} (${verifierAddress})`);
+      console.log(`Transaction: ${transactionId}`);
+    }
+
+    if (command === 'policy') {
+      await updatePolicy(registry, contractId, policy);
+      return;
+    }
+
+    const verifiers = await registry.getVerifiers(contractId);
+    console.log(`\n${verifiers.length} verifier(s):`);
+    for (const address of verifiers) {
+      console.log(`- ${await describeAddress(resolver, address)}`);
+    }
+  } finally {
+    registry.close();
+  }
+}
+
+// Show the verification policy, changing the given parts first
+async function updatePolicy(registry, contractId, changes) {
+  let policy = await registry.getVerificationPolicy(contractId);
+  if (Object.keys(changes).length > 0) {
+    const { transactionId } = await registry.setVerificationPolicy(contractId, { ...policy, ...changes });
+    console.log(`\nUpdated the verification policy`);
+    console.log(`Transaction: ${transactionId}`);
+    policy = await registry.getVerificationPolicy(contractId);
+  }
+
+  console.log('\nVerification policy:');
+  console.log(`- Quorum: ${policy.requiredAttestations} matching attestation(s)`);
+  console.log(`- Challenge window: ${policy.challengeWindow} seconds`);
+  console.log(`- Validity period: ${policy.validityPeriod === 0 ? 'none (approvals never lapse)' : `${policy.validityPeriod / SECONDS_PER_DAY} days`}`);
+}
+
+// The EVM address the contract sees for an account ID or address
+async function toEvmAddress(resolver, account) {
+  if (/^\d+\.\d+\.\d+$/.test(account)) {
+    return resolver.accountEvmAddress(account);
+  }
+  return normalizeEvmAddress(account);
+}
+
+// Show an address with its account ID, when the mirror node knows it
+async function describeAddress(resolver, address) {
+  try {
+    return `${address} (${await resolver.resolveAccountId(address)})`;
+  } catch (error) {
+    return address;
+  }
+}
+
+// Parse the command, account and contract from the command line
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: manage-verifiers.js <${COMMANDS.join('|')}> [account] [--contract 0.0.x]`);
+  }
+
+  let account = null;
+  let contractId = process.env.LAND_REGISTRY_CONTRACT_ID || null;
+  const policy = {};
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--contract') {
+      contractId = rest[++i];
+    } else if (command === 'policy' && rest[i] === '--quorum') {
+      policy.requiredAttestations = Number(rest[++i]);
+    } else if (command === 'policy' && rest[i] === '--window') {
+      policy.challengeWindow = Number(rest[++i]);
+    } else if (command === 'policy' && rest[i] === '--validity-days') {
+      policy.validityPeriod = Math.round(Number(rest[++i]) * SECONDS_PER_DAY);
+    } else if (!account && !rest[i].startsWith('--')) {
+      account = rest[i];
+    } else {
+      throw new Error(`Unknown argument "${rest[i]}"`);
+    }
+  }
+
+  for (const [name, value] of Object.entries(policy)) {
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative whole number`);
+    }
+  }
+  if (command !== 'list' && command !== 'policy' && !account) {
+    throw new Error(`${command} needs the verifier's account ID or EVM address`);
+  }
+  if (!contractId) {
+    throw new Error('Set LAND_REGISTRY_CONTRACT_ID or pass --contract');
+  }
+
+  return { command, account, contractId, policy };
+}
+
+// Run the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,78 @@
+/**
+ * Reconcile the issuance ledger with the BIO token's supply
+ *
+ * Every mint of BIO credits is recorded as a credits.issued event on the
+ * registry topic, and every retirement as a credits.retired event. The
+ * credits issued minus the credits retired must equal the token's total
+ * supply on the network; a difference means credits were minted without being
+ * recorded for a parcel, or recorded credits never reached the token.
+ *
+ * Usage:
+ *   node scripts/reconcile-issuance.js
+ *
+ * Exits with status 1 when the ledger and the token disagree.
+ *
+ * Environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY
+ *   BIO_TOKEN_ID, LAND_REGISTRY_TOPIC_ID
+ *   HEDERA_NETWORK, HEDERA_MIRROR_NODE_URL
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { IssuanceLedger } = require('../lib/issuance-ledger');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+
+// Main function
+async function main() {
+  console.log('\n----- BIODIVERSITY ISSUANCE RECONCILIATION -----\n');
+
+  applyDeploymentManifest();
+  requireEnv('LAND_REGISTRY_TOPIC_ID');
+  const registry = BiodiversityRegistryClient.fromEnv();
+  const ledger = new IssuanceLedger({
+    registry,
+    tokenId: requireEnv('BIO_TOKEN_ID'),
+    indexer: RegistryIndexer.fromEnv()
+  });
+
+  try {
+    const report = await ledger.reconcile();
+    console.log(`Token: ${report.tokenId}`);
+    for (const parcel of report.parcels) {
+      console.log(`- ${parcel.name}: ${parcel.issued} issued, ${parcel.retired} retired`);
+    }
+    console.log(`\nIssued on the registry topic: ${report.issued}`);
+    console.log(`Retired on the registry topic: ${report.retired}`);
+    console.log(`Expected supply: ${report.expectedSupply}`);
+    console.log(`Total supply on the network: ${report.totalSupply}` +
+      (report.maxSupply !== null ? ` (max supply ${report.maxSupply})` : ' (uncapped)'));
+
+    if (report.consistent) {
+      console.log('\nThe issuance ledger matches the token supply');
+    } else {
+      console.log(`\nMismatch of ${report.difference}: ` + (report.difference > 0
+        ? 'the token holds credits no credits.issued event accounts for'
+        : 'recorded credits are missing from the token'));
+      process.exitCode = 1;
+    }
+  } finally {
+    registry.close();
+  }
+}
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Environment variable ${name} must be present`);
+  }
+  return process.env[name];
+}
+
+// Run the script
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  });
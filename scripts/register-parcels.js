@@ -0,0 +1,298 @@
+/**
+ * Batch registration of land parcels from a parcels JSON file
+ *
+ * This script onboards every parcel in a file that follows the schema of
+ * sample-data/sample-land-parcels.json, or in a GeoJSON FeatureCollection of
+ * parcel polygons (see lib/parcel-geojson). For each parcel it (see
+ * lib/parcel-onboarding, which `biodiversity parcel register` shares):
+ * 1. Submits the land parcel registration message to the registry topic (HCS)
+ * 2. Adds the parcel's biodiversity data to the BiodiversityLandParcel contract
+ * 3. Mints the parcel's NFT, whose metadata points at its registry entry, and
+ *    publishes a parcel.tokenized event linking the parcel to the NFT
+ *
+ * No credits are minted here: the contract data must first be approved by a
+ * quorum of verifiers and survive the challenge window. Registered parcels are
+ * reported as awaiting verification; `biodiversity parcel verify` collects the
+ * attestations and `biodiversity credits mint` issues the credits.
+ *
+ * Parcels are checked against the parcel schema first; invalid parcels are
+ * skipped and never reach the network. The declared acreage is then compared
+ * with the geodesic area of the boundary polygon. Parcels outside the tolerance
+ * are either rejected or registered for review without contract data,
+ * because over-declared acreage would turn into over-minted credits. The
+ * boundaries are also measured against every parcel already on the registry
+ * topic and earlier in the batch (see lib/parcel-overlap): land that is
+ * already registered must not earn credits twice, so parcels overlapping one
+ * by more than the overlap tolerance are likewise rejected or registered for
+ * review, and the results name the overlapping parcels and the shared area.
+ * A failure on one parcel does not stop the batch. The outcome of every parcel
+ * is written to a results file so failed parcels can be retried.
+ *
+ * A parcel record without a parcelId that this account registered before
+ * (found by name on the registry topic) is registered again under its ID;
+ * any other gets a new ID (see lib/registry-messages). The results file
+ * records each parcel's ID and nonce: keep them with the record.
+ *
+ * Usage:
+ *   node scripts/register-parcels.js [parcels-file] [--out results-file]
+ *     [--area-tolerance 0.1] [--area-mismatch review|reject]
+ *     [--overlap-tolerance 0.01] [--overlap review|reject]
+ *
+ * Required environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY, LAND_REGISTRY_CONTRACT_ID
+ * Optional environment variables (created on the fly when empty):
+ *   BIO_TOKEN_ID, PARCEL_NFT_TOKEN_ID, LAND_REGISTRY_TOPIC_ID
+ *   BIO_MAX_SUPPLY (cap of a newly created BIO token)
+ *   HEDERA_MIRROR_NODE_URL (to find the registered parcels and those tokenized by an earlier run)
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from
+ *     it, and the token, collection and topic created are recorded in it)
+ * Optional environment variables (overridden by the command line options):
+ *   AREA_TOLERANCE, AREA_MISMATCH_ACTION, OVERLAP_TOLERANCE, OVERLAP_ACTION
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { DEFAULT_AREA_TOLERANCE } = require('../lib/geo-area');
+const { networkProfileFromEnv } = require('../lib/network-profiles');
+const { readParcelsFile } = require('../lib/parcel-geojson');
+const { ParcelNfts } = require('../lib/parcel-nfts');
+const { onboardParcels } = require('../lib/parcel-onboarding');
+const { DEFAULT_OVERLAP_TOLERANCE, ParcelSpatialIndex } = require('../lib/parcel-overlap');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+
+const DEFAULT_PARCELS_FILE = path.join(__dirname, '..', 'sample-data', 'sample-land-parcels.json');
+const DEFAULT_RESULTS_FILE = 'parcel-registration-results.json';
+const AREA_MISMATCH_ACTIONS = ['reject', 'review'];
+const OVERLAP_ACTIONS = ['reject', 'review'];
+
+// Main function
+async function main() {
+  console.log('\n----- BATCH LAND PARCEL REGISTRATION -----\n');
+
+  const {
+    parcelsFile,
+    resultsFile,
+    areaTolerance,
+    areaMismatchAction,
+    overlapTolerance,
+    overlapAction
+  } = parseArgs(process.argv.slice(2));
+
+  // Step 1: Load the parcels to onboard
+  console.log(`Loading parcels from ${parcelsFile}...`);
+  const parcels = readParcelsFile(parcelsFile);
+  console.log(`Found ${parcels.length} parcel(s) to register`);
+
+  // Step 2: Validate environment and setup client
+  console.log('\nSetting up Hedera client...');
+  const manifest = applyDeploymentManifest();
+  const contractId = process.env.LAND_REGISTRY_CONTRACT_ID;
+  if (!contractId) {
+    throw new Error('Environment variable LAND_REGISTRY_CONTRACT_ID must be present (deploy the contract first)');
+  }
+
+  const registry = BiodiversityRegistryClient.fromEnv();
+  const operatorId = registry.operatorId.toString();
+
+  console.log(`Using Hedera account: ${operatorId}`);
+  console.log(`Using BiodiversityLandParcel contract: ${contractId}`);
+
+  // Step 3: Reuse or create the BIO token, the parcel NFT collection and the registry topic
+  const tokenId = process.env.BIO_TOKEN_ID || await createBiodiversityToken(registry);
+  const collectionId = process.env.PARCEL_NFT_TOKEN_ID || await createParcelCollection(registry);
+  const topicId = process.env.LAND_REGISTRY_TOPIC_ID || await createRegistryTopic(registry);
+
+  // Record what was created, so later runs and the other scripts reuse it
+  const created = {};
+  if (!process.env.BIO_TOKEN_ID) {
+    created.tokenId = tokenId;
+  }
+  if (!process.env.PARCEL_NFT_TOKEN_ID) {
+    created.parcelNftTokenId = collectionId;
+  }
+  if (!process.env.LAND_REGISTRY_TOPIC_ID) {
+    created.topicId = topicId;
+  }
+  if (Object.keys(created).length > 0) {
+    const network = networkProfileFromEnv().name;
+    manifest.record(network, created);
+    console.log(`Recorded the new entities in ${manifest.filePath} for ${network}`);
+  }
+
+  console.log(`Using token: ${tokenId}`);
+  console.log(`Using parcel NFT collection: ${collectionId}`);
+  console.log(`Using registry topic: ${topicId}`);
+
+  const indexer = RegistryIndexer.fromEnv(process.env, { topicId });
+  const nfts = new ParcelNfts({ registry, topicId, collectionId, contractId, indexer });
+
+  // Index the boundaries of every parcel already on the registry topic (a new topic has none)
+  if (process.env.LAND_REGISTRY_TOPIC_ID) {
+    await indexer.sync();
+  }
+  const spatialIndex = ParcelSpatialIndex.fromRegistry(process.env.LAND_REGISTRY_TOPIC_ID ? await indexer.getParcels() : []);
+  console.log(`Checking overlaps against ${spatialIndex.size} registered parcel(s)`);
+
+  // Step 4: Check and register each parcel (see lib/parcel-onboarding), recording the outcome of every step
+  const results = await onboardParcels({ registry, nfts, contractId, tokenId, spatialIndex }, parcels, {
+    areaTolerance,
+    areaMismatchAction,
+    overlapTolerance,
+    overlapAction,
+    onResult: (result, index) => reportResult(result, index, parcels.length, { collectionId, areaTolerance, overlapTolerance })
+  });
+
+  // Step 5: Write the results file
+  const succeeded = results.filter((result) => result.status === 'awaiting-verification').length;
+  const inReview = results.filter((result) => result.status === 'review').length;
+  const report = {
+    parcelsFile,
+    operatorId,
+    tokenId,
+    collectionId,
+    topicId,
+    contractId,
+    areaTolerance,
+    areaMismatchAction,
+    overlapTolerance,
+    overlapAction,
+    completedAt: new Date().toISOString(),
+    summary: {
+      total: results.length,
+      succeeded,
+      review: inReview,
+      failed: results.length - succeeded - inReview
+    },
+    results
+  };
+  fs.writeFileSync(resultsFile, JSON.stringify(report, null, 2));
+  registry.close();
+
+  console.log('\n----- BATCH REGISTRATION COMPLETED -----');
+  console.log(`\n${succeeded} of ${results.length} parcel(s) registered successfully`);
+  if (inReview > 0) {
+    console.log(`${inReview} parcel(s) flagged for review`);
+  }
+  if (succeeded > 0) {
+    console.log('Registered parcels await verification: attest them with biodiversity parcel verify and issue credits with biodiversity credits mint');
+  }
+  console.log(`Results written to ${resultsFile}`);
+
+  if (succeeded < results.length) {
+    process.exitCode = 1;
+  }
+}
+
+// Print the outcome of one parcel of the batch
+function reportResult(result, index, total, { collectionId, areaTolerance, overlapTolerance }) {
+  console.log(`\n[${index + 1}/${total}] "${result.name}"`);
+  if (result.areaCheck && !result.areaCheck.withinTolerance) {
+    console.warn(`Declares ${result.areaCheck.declaredAcres} acres but its boundaries enclose ` +
+      `${result.areaCheck.computedAcres} acres`);
+  }
+  (result.overlapCheck ? result.overlapCheck.overlaps : []).forEach((overlap) => console.warn(`Overlaps "${overlap.name}" by ` +
+    `${overlap.sharedAcres} acres (${(overlap.ratio * 100).toFixed(1)}% of the smaller parcel)`));
+
+  if (result.status === 'awaiting-verification') {
+    console.log(`Registered as NFT ${collectionId}#${result.nftSerial}; credits are issued once its data is verified`);
+  } else if (result.status === 'review') {
+    console.warn(`Registered for ${result.reviewReasons.join(' and ')} review; ` +
+      'no data was added to the contract and no tokens were minted');
+  } else if (result.failedStep === 'validation') {
+    console.error('Skipped: the parcel failed schema validation');
+    result.validationErrors.forEach((error) => console.error(`  - ${error.field}: ${error.message}`));
+  } else if (result.failedStep === 'identification') {
+    console.error(`Skipped: ${result.error}`);
+  } else if (result.failedStep === 'area-check') {
+    console.error(`Skipped: the declared area is outside the ${areaTolerance * 100}% tolerance`);
+  } else if (result.failedStep === 'overlap-check') {
+    console.error(`Skipped: it overlaps registered land by more than the ${overlapTolerance * 100}% tolerance`);
+  } else {
+    console.error(`Failed at step "${result.failedStep}": ${result.error}` +
+      (result.retryable ? ' (a temporary failure: running the batch again can succeed)' : ''));
+  }
+}
+
+// Create the fungible BIO token used for biodiversity credits
+async function createBiodiversityToken(registry) {
+  console.log('\nCreating Biodiversity Token...');
+  const { tokenId } = await registry.createCreditToken({ maxSupply: process.env.BIO_MAX_SUPPLY || undefined });
+  console.log(`Token created successfully! Token ID: ${tokenId}`);
+  return tokenId;
+}
+
+// Create the NFT collection in which each parcel is minted
+async function createParcelCollection(registry) {
+  console.log('\nCreating the parcel NFT collection...');
+  const { tokenId } = await registry.createParcelCollection();
+  console.log(`Collection created successfully! Token ID: ${tokenId}`);
+  return tokenId;
+}
+
+// Create the topic used as the land parcel registry
+async function createRegistryTopic(registry) {
+  console.log('\nCreating a topic for land parcel registry...');
+  const { topicId } = await registry.createRegistryTopic();
+  console.log(`Topic created successfully! Topic ID: ${topicId}`);
+  return topicId;
+}
+
+// Parse the parcels file and options from the command line
+function parseArgs(args) {
+  let parcelsFile = DEFAULT_PARCELS_FILE;
+  let resultsFile = DEFAULT_RESULTS_FILE;
+  let areaTolerance = process.env.AREA_TOLERANCE
+    ? Number(process.env.AREA_TOLERANCE)
+    : DEFAULT_AREA_TOLERANCE;
+  let areaMismatchAction = process.env.AREA_MISMATCH_ACTION || 'review';
+  let overlapTolerance = process.env.OVERLAP_TOLERANCE
+    ? Number(process.env.OVERLAP_TOLERANCE)
+    : DEFAULT_OVERLAP_TOLERANCE;
+  let overlapAction = process.env.OVERLAP_ACTION || 'review';
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--out') {
+      resultsFile = args[++i];
+      if (!resultsFile) {
+        throw new Error('--out requires a file path');
+      }
+    } else if (args[i] === '--area-tolerance') {
+      areaTolerance = Number(args[++i]);
+    } else if (args[i] === '--area-mismatch') {
+      areaMismatchAction = args[++i];
+    } else if (args[i] === '--overlap-tolerance') {
+      overlapTolerance = Number(args[++i]);
+    } else if (args[i] === '--overlap') {
+      overlapAction = args[++i];
+    } else {
+      parcelsFile = args[i];
+    }
+  }
+
+  if (!Number.isFinite(areaTolerance) || areaTolerance < 0) {
+    throw new Error('Area tolerance must be a non-negative fraction (e.g. 0.1 for 10%)');
+  }
+  if (!AREA_MISMATCH_ACTIONS.includes(areaMismatchAction)) {
+    throw new Error(`Area mismatch action must be one of: ${AREA_MISMATCH_ACTIONS.join(', ')}`);
+  }
+
+  if (!Number.isFinite(overlapTolerance) || overlapTolerance < 0) {
+    throw new Error('Overlap tolerance must be a non-negative fraction (e.g. 0.01 for 1%)');
+  }
+  if (!OVERLAP_ACTIONS.includes(overlapAction)) {
+    throw new Error(`Overlap action must be one of: ${OVERLAP_ACTIONS.join(', ')}`);
+  }
+
+  return { parcelsFile, resultsFile, areaTolerance, areaMismatchAction, overlapTolerance, overlapAction };
+}
+
+// Run the script
+main()
+  .then(() => process.exit())
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,162 @@
+/**
+ * Retire BIO credits and write the retirement certificate
+ *
+ * Retired credits are burned (from the treasury) or wiped (from the account
+ * given with --from), so they leave circulation and the token's total supply.
+ * A credits.retired event is published for every source parcel, and the
+ * certificate is written as JSON and as printable HTML (print it to PDF from
+ * a browser).
+ *
+ * The retirement is checkpointed (in retirement-checkpoint.json, or the file
+ * given with --checkpoint) before anything is burned. When it stops between
+ * the burn and its events, run the script again with --resume to record it
+ * and write its certificate; a new retirement is refused until then.
+ *
+ * Usage:
+ *   node scripts/retire-credits.js --beneficiary "Acme Ltd" --reason "2025 offset"
+ *     --source "Amazon Rainforest Preserve:50" [--source "<parcel-name>:<amount>" ...]
+ *     [--from 0.0.xxxxx] [--out-dir certificates] [--checkpoint <file>]
+ *   node scripts/retire-credits.js --resume [--checkpoint <file>] [--out-dir certificates]
+ *
+ * Runs as the account holding the token's supply key (and wipe key, for --from).
+ *
+ * Environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY
+ *   BIO_TOKEN_ID, LAND_REGISTRY_TOPIC_ID
+ *   HEDERA_NETWORK, HEDERA_MIRROR_NODE_URL
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { CreditRetirement, renderCertificateHtml } = require('../lib/credit-retirement');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { JsonFileRegistryStore } = require('../lib/registry-store');
+
+const DEFAULT_OUT_DIR = 'certificates';
+const DEFAULT_CHECKPOINT_FILE = 'retirement-checkpoint.json';
+
+// Main function
+async function main() {
+  console.log('\n----- BIODIVERSITY CREDIT RETIREMENT -----\n');
+
+  applyDeploymentManifest();
+  const options = parseArgs(process.argv.slice(2));
+  const registry = BiodiversityRegistryClient.fromEnv();
+  const retirement = new CreditRetirement({
+    registry,
+    topicId: requireEnv('LAND_REGISTRY_TOPIC_ID'),
+    tokenId: requireEnv('BIO_TOKEN_ID'),
+    indexer: RegistryIndexer.fromEnv(),
+    store: new JsonFileRegistryStore(options.checkpoint)
+  });
+
+  let certificate;
+  try {
+    certificate = options.resume
+      ? await retirement.resume()
+      : await retirement.retire({
+        sources: options.sources,
+        beneficiary: options.beneficiary,
+        reason: options.reason,
+        from: options.from
+      });
+  } catch (error) {
+    // The store keeps a retirement that stopped halfway until it is resumed
+    const checkpoint = await retirement.store.load().catch(() => null);
+    if (checkpoint && !checkpoint.finished) {
+      console.error(`Retirement ${checkpoint.retirementId} is checkpointed in ${options.checkpoint}; ` +
+        'run again with --resume to finish it');
+    }
+    throw error;
+  } finally {
+    registry.close();
+  }
+
+  fs.mkdirSync(options.outDir, { recursive: true });
+  const jsonFile = path.join(options.outDir, `${certificate.certificateId}.json`);
+  const htmlFile = path.join(options.outDir, `${certificate.certificateId}.html`);
+  fs.writeFileSync(jsonFile, JSON.stringify(certificate, null, 2));
+  fs.writeFileSync(htmlFile, renderCertificateHtml(certificate));
+
+  console.log(`Retired ${certificate.credits.amount} BIO on behalf of ${certificate.beneficiary} ` +
+    `(${certificate.credits.method} from ${certificate.credits.retiredFrom})`);
+  console.log(`Transaction: ${certificate.retirementTransaction.transactionId} ` +
+    `at ${certificate.retirementTransaction.consensusTimestamp}`);
+  for (const source of certificate.sources) {
+    console.log(`- ${source.amount} from "${source.name}" (event #${source.event.sequenceNumber})`);
+  }
+  console.log(`\nCertificate ${certificate.certificateId} written to ${jsonFile} and ${htmlFile}`);
+}
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Environment variable ${name} must be present`);
+  }
+  return process.env[name];
+}
+
+// Parse "<parcel-name>:<amount>"; the name itself may contain colons
+function parseSource(value) {
+  const separator = value ? value.lastIndexOf(':') : -1;
+  const amount = Number(value && value.slice(separator + 1));
+  if (separator <= 0 || !Number.isSafeInteger(amount) || amount <= 0) {
+    throw new Error(`--source must be "<parcel-name>:<amount>", not "${value}"`);
+  }
+  return { name: value.slice(0, separator), amount };
+}
+
+// Parse the options from the command line
+function parseArgs(args) {
+  const options = {
+    sources: [],
+    beneficiary: null,
+    reason: null,
+    from: null,
+    outDir: DEFAULT_OUT_DIR,
+    resume: false,
+    checkpoint: DEFAULT_CHECKPOINT_FILE
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--source') {
+      options.sources.push(parseSource(args[++i]));
+    } else if (args[i] === '--beneficiary') {
+      options.beneficiary = args[++i];
+    } else if (args[i] === '--reason') {
+      options.reason = args[++i];
+    } else if (args[i] === '--from') {
+      options.from = args[++i];
+    } else if (args[i] === '--out-dir') {
+      options.outDir = args[++i];
+    } else if (args[i] === '--resume') {
+      options.resume = true;
+    } else if (args[i] === '--checkpoint') {
+      options.checkpoint = args[++i];
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+
+  if (!options.resume && (options.sources.length === 0 || !options.beneficiary || !options.reason)) {
+    throw new Error('Usage: retire-credits.js --beneficiary <name> --reason <text> --source "<parcel-name>:<amount>" ... ' +
+      '| --resume');
+  }
+  if (!options.outDir) {
+    throw new Error('--out-dir requires a directory');
+  }
+  if (!options.checkpoint) {
+    throw new Error('--checkpoint requires a file');
+  }
+
+  return options;
+}
+
+// Run the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  });
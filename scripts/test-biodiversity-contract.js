@@ -2,116 +2,152 @@
  * Test script for the BiodiversityLandParcel smart contract
  * 
  * This script demonstrates:
- * 1. Deploying the BiodiversityLandParcel smart contract to Hedera Testnet
+ * 1. Deploying the BiodiversityLandParcel smart contract to a Hedera network
  * 2. Creating a biodiversity token using Hedera Token Service (HTS)
  * 3. Creating a topic for land parcel registry using Hedera Consensus Service (HCS)
  * 4. Registering a land parcel
  * 5. Adding biodiversity data using the smart contract
- * 6. Verifying biodiversity data using the smart contract
+ * 6. Granting the verifier role to a second account, which verifies the
+ *    biodiversity data using the smart contract (on the network the verifier
+ *    account comes from VERIFIER_ID and VERIFIER_KEY)
  * 7. Recording verification to the consensus service
  * 
  * The script supports two modes:
- * - Network mode: Connects to Hedera Testnet when credentials are valid
- * - Simulation mode: Runs in simulation when network connection fails
+ * - Network mode: Connects to HEDERA_NETWORK (local, previewnet, testnet or
+ *   mainnet; see lib/network-profiles) when credentials are valid, and deploys
+ *   through that network's JSON-RPC relay
+ * - Simulation mode: Runs every step against the in-process simulated ledger
+ *   (lib/simulation), with the contract on the Hardhat in-memory network.
+ *   Used when the network cannot be reached, or forced with --simulate
+ *   (or SIMULATE=true), which needs no credentials at all.
  * 
- * You can also choose to use a pre-deployed contract or deploy a new one
- * by changing the USE_DEPLOYED_CONTRACT flag below.
+ * On the network a new contract is deployed, unless --contract names an
+ * existing one by contract ID or EVM address (for example the pre-deployed
+ * contract in the README), which the operator must own:
+ *   node scripts/test-biodiversity-contract.js --contract 0x30280aFAB4768895041088d65976A2fB8cF52eEF
  */
 
 require('dotenv').config();
 const {
-  Client,
   PrivateKey,
-  ContractCreateTransaction,
-  ContractExecuteTransaction,
-  ContractFunctionParameters,
-  ContractCallQuery,
   ContractId,
-  TokenCreateTransaction,
-  TokenType,
-  TokenSupplyType,
-  TopicCreateTransaction,
-  TopicMessageSubmitTransaction,
+  TokenId,
   AccountId,
-  FileCreateTransaction,
-  Hbar,
   AccountBalanceQuery
 } = require('@hashgraph/sdk');
-const fs = require('fs');
-const path = require('path');
-// Add ethers for contract deployment via JSON-RPC
-const { ethers } = require('hardhat');
+const { assertValidParcel } = require('../lib/parcel-validation');
+const { assertDeclaredArea } = require('../lib/geo-area');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { HederaTransactionError } = require('../lib/errors');
+const { explorerLink, networkProfileFromEnv } = require('../lib/network-profiles');
+const { loadOperatorKey, parseOperatorKey } = require('../lib/operator-key');
+const { compareParcelData } = require('../lib/parcel-record');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { createSimulatedLedger } = require('../lib/simulation');
 
-// ======== CONFIGURATION OPTIONS ========
-// Set this to true to use the pre-deployed contract, or false to deploy a new one
-const USE_DEPLOYED_CONTRACT = false;
-
-// Pre-deployed contract information
-const DEPLOYED_CONTRACT_ADDRESS = "0x30280aFAB4768895041088d65976A2fB8cF52eEF"; // EVM address format
-const DEPLOYED_CONTRACT_ID = "0.0.5847080"; // Hedera ID format (you may need to get the exact ID from HashScan)
-// ======================================
+// Operator account used when simulating without credentials
+const SIMULATED_OPERATOR_ID = "0.0.2";
 
 // Main function
 async function main() {
   console.log('\n----- HEDERA BIODIVERSITY SMART CONTRACT DEMO -----\n');
   
+  // Sample land parcel data, validated before anything is sent to the network
+  const landParcel = {
+    name: "Amazon Rainforest Preserve",
+    boundaries: [
+      { latitude: -3.4653, longitude: -62.2159 },
+      { latitude: -3.4471, longitude: -62.2159 },
+      { latitude: -3.4471, longitude: -62.1978 },
+      { latitude: -3.4653, longitude: -62.1978 },
+      { latitude: -3.4653, longitude: -62.2159 }
+    ],
+    areaInAcres: 1000,
+    ecosystemType: "Tropical Rainforest",
+    conservationStatus: "Indigenous Reserve",
+    protectionStartDate: 1262304000,
+    notableSpecies: [
+      "Jaguar",
+      "Giant Otter",
+      "Harpy Eagle",
+      "Amazonian Manatee",
+      "Brazil Nut Tree"
+    ],
+    biodiversityRating: 5,
+    verificationNotes: "Intact lowland rainforest with high species richness and no recorded deforestation since protection began."
+  };
+  assertValidParcel(landParcel);
+  assertDeclaredArea(landParcel);
+  
   // Step 1: Set up the Hedera client with account credentials from .env file
   console.log('Setting up Hedera client...');
   
-  let client;
+  const forceSimulation = process.argv.includes('--simulate') || process.env.SIMULATE === 'true';
+  const contractFlag = process.argv.indexOf('--contract');
+  const existingContract = contractFlag !== -1 ? process.argv[contractFlag + 1] : null;
+  if (contractFlag !== -1 && !existingContract) {
+    throw new Error('--contract requires a contract ID or EVM address');
+  }
   let operatorId;
   let privateKey;
-  let network = true; // Flag to indicate if we're using real network or simulation
+  let network = !forceSimulation; // Flag to indicate if we're using real network or simulation
   
-  try {
-    // Check if we have the credentials in the .env file
-    if (process.env.OPERATOR_ID && process.env.OPERATOR_KEY) {
-      console.log('Credentials found in .env file');
-      operatorId = process.env.OPERATOR_ID;
-      
-      // Parse the private key
-      try {
-        privateKey = PrivateKey.fromString(process.env.OPERATOR_KEY);
-        console.log('Successfully parsed private key');
-      } catch (error) {
-        console.error(`Error parsing private key: ${error.message}`);
-        throw new Error('Invalid private key format');
-      }
-    } else {
-      throw new Error('Missing OPERATOR_ID or OPERATOR_KEY in .env file');
-    }
-    
-    // Create Hedera client
-    console.log('Creating Hedera client...');
-    client = Client.forTestnet();
+  if (process.env.OPERATOR_ID && process.env.OPERATOR_KEY) {
+    console.log('Credentials found in .env file');
+    operatorId = process.env.OPERATOR_ID;
     
+    // Parse the DER or raw private key (see lib/operator-key)
+    privateKey = loadOperatorKey();
+    console.log(`Successfully parsed ${privateKey.type} private key`);
+  } else if (forceSimulation) {
+    // The simulated ledger does not check signatures, so any key will do
+    operatorId = SIMULATED_OPERATOR_ID;
+    privateKey = PrivateKey.generateED25519();
+    console.log(`No credentials found; simulating with operator account ${operatorId}`);
+  } else {
+    throw new Error('Missing OPERATOR_ID or OPERATOR_KEY in .env file (use --simulate to run without them)');
+  }
+  
+  // Create the registry client
+  console.log('Creating Hedera client...');
+  const profile = networkProfileFromEnv();
+  let registry = network
+    ? BiodiversityRegistryClient.forNetwork({ operatorId, operatorKey: privateKey, network: profile.name })
+    : null;
+  console.log(`Using Hedera account: ${operatorId}`);
+  
+  if (network) {
     try {
-      client.setOperator(AccountId.fromString(operatorId), privateKey);
-      console.log(`Using Hedera account: ${operatorId}`);
-      
       // Test connection
       console.log('Testing connection to Hedera network...');
       const balance = await new AccountBalanceQuery()
         .setAccountId(AccountId.fromString(operatorId))
-        .execute(client);
+        .execute(registry.client);
       
       console.log(`Account balance: ${balance.hbars.toString()}`);
       console.log('Connection established successfully!');
     } catch (error) {
-      console.error(`Error connecting to Hedera network: ${error.message}`);
-      console.log(`
------------------------------------------------------
-SIMULATION MODE: Running in simulation mode since we couldn't connect to Hedera.
-This will demonstrate the flow without making actual transactions.
------------------------------------------------------`);
-      
-      // Continue with simulation
+      const failure = HederaTransactionError.from('AccountBalanceQuery', error);
+      registry.close();
+      // Only an unreachable network falls back to the simulation; a refusal (e.g. of the account) is an error
+      if (!failure.retryable) {
+        throw failure;
+      }
+      console.error(`Error connecting to Hedera network: ${failure.message}`);
       network = false;
     }
-  } catch (error) {
-    console.error(`Error setting up client: ${error.message}`);
-    console.log('Exiting...');
-    return;
+  }
+  
+  // In simulation mode every transaction runs against the simulated ledger
+  const ledger = network ? null : createSimulatedLedger({ operatorId });
+  if (!network) {
+    registry = BiodiversityRegistryClient.forSimulation({ ledger, operatorKey: privateKey });
+    console.log(`
+-----------------------------------------------------
+SIMULATION MODE: Running against the in-process simulated ledger.
+Tokens, balances, topic messages and contract state are all simulated;
+the contract runs on the Hardhat in-memory network.
+-----------------------------------------------------`);
   }
   
   // Step 2: Deploy the BiodiversityLandParcel smart contract
@@ -121,219 +157,137 @@ This will demonstrate the flow without making actual transactions.
   let contractId;
   let contractAddress;
   
-  if (USE_DEPLOYED_CONTRACT && network) {
-    // Use the pre-deployed contract instead of deploying a new one
-    console.log(`Using pre-deployed contract: ${DEPLOYED_CONTRACT_ID} (${DEPLOYED_CONTRACT_ADDRESS})`);
-    contractId = ContractId.fromString(DEPLOYED_CONTRACT_ID);
-    contractAddress = DEPLOYED_CONTRACT_ADDRESS;
-    console.log(`Successfully connected to deployed contract!`);
-  } else {
-    // If we're in simulation mode or USE_DEPLOYED_CONTRACT is false, we'll deploy a new contract or use a placeholder
-    if (!network) {
-      console.log('Running in simulation mode with placeholder contract ID');
-      contractId = ContractId.fromString("0.0.1234567"); // Placeholder for simulation
-      contractAddress = "0x0000000000000000000000000000000000001234"; // Placeholder address
+  if (!network) {
+    console.log('Deploying contract to the simulated ledger...');
+    const deployment = await ledger.deployContract('BiodiversityLandParcel');
+    contractId = deployment.contractId;
+    contractAddress = deployment.evmAddress;
+    console.log(`BiodiversityLandParcel contract deployed successfully!`);
+    console.log(`Contract address (EVM format): ${contractAddress}`);
+    console.log(`Contract ID (Hedera format): ${contractId}`);
+  } else if (existingContract) {
+    // Use an existing contract instead of deploying a new one (the Hedera ID or EVM address is looked up)
+    const resolver = EntityResolver.fromEnv();
+    if (/^(0x)?[0-9a-fA-F]{40}$/.test(existingContract)) {
+      contractAddress = existingContract;
+      contractId = ContractId.fromString(await resolver.resolveContractId(contractAddress));
     } else {
-      // Deploy a new contract using ethers.js and Hardhat (compatible with JSON-RPC relay)
-      try {
-        console.log('Deploying new contract using ethers.js...');
-        
-        // Get the contract factory
-        const BiodiversityLandParcel = await ethers.getContractFactory("BiodiversityLandParcel");
-        
-        // Deploy the contract
-        console.log('Starting deployment...');
-        const biodiversityContract = await BiodiversityLandParcel.deploy();
-        
-        // Wait for deployment to complete
-        console.log('Waiting for deployment to complete...');
-        await biodiversityContract.deployed();
-        
-        // Get the contract address
-        contractAddress = biodiversityContract.address;
-        
-        // Convert EVM address to Hedera ID format
-        const contractIdStr = await convertAddressToContractId(contractAddress);
-        contractId = ContractId.fromString(contractIdStr);
-        
-        console.log(`BiodiversityLandParcel contract deployed successfully!`);
-        console.log(`Contract address (EVM format): ${contractAddress}`);
-        console.log(`Contract ID (Hedera format): ${contractId}`);
-      } catch (error) {
-        console.error(`Error deploying contract: ${error.message}`);
-        console.log('Continuing with simulation using placeholder contract ID');
-        contractId = ContractId.fromString("0.0.1234567"); // Placeholder for simulation
-        contractAddress = "0x0000000000000000000000000000000000001234"; // Placeholder address
-      }
+      contractId = ContractId.fromString(existingContract);
+      contractAddress = await resolver.contractEvmAddress(existingContract);
     }
+    console.log(`Using existing contract: ${contractId} (${contractAddress})`);
+    console.log(`Successfully connected to deployed contract!`);
+  } else {
+    // Deploy a new contract using ethers.js and Hardhat (compatible with JSON-RPC relay)
+    console.log('Deploying new contract using ethers.js...');
+    
+    // Hardhat picks its network when it is first loaded: the relay of HEDERA_NETWORK (see hardhat.config.js)
+    process.env.HARDHAT_NETWORK = profile.hardhatNetwork;
+    const { ethers } = require('hardhat');
+    
+    // Get the contract factory
+    const BiodiversityLandParcel = await ethers.getContractFactory("BiodiversityLandParcel");
+    
+    // Deploy the contract
+    console.log('Starting deployment...');
+    const biodiversityContract = await BiodiversityLandParcel.deploy();
+    
+    // Wait for deployment to complete
+    console.log('Waiting for deployment to complete...');
+    await biodiversityContract.deployed();
+    
+    // Get the contract address
+    contractAddress = biodiversityContract.address;
+    
+    // Look up the Hedera ID of the new contract on the mirror node
+    contractId = ContractId.fromString(await EntityResolver.fromEnv().resolveContractId(contractAddress));
+    
+    console.log(`BiodiversityLandParcel contract deployed successfully!`);
+    console.log(`Contract address (EVM format): ${contractAddress}`);
+    console.log(`Contract ID (Hedera format): ${contractId}`);
   }
   
   // Step 3: Create a biodiversity token
   console.log('\nCreating Biodiversity Token...');
   
-  let tokenId;
-  try {
-    const tokenCreateTx = await new TokenCreateTransaction()
-      .setTokenName('Biodiversity Credits')
-      .setTokenSymbol('BIO')
-      .setDecimals(0)
-      .setInitialSupply(0)
-      .setTreasuryAccountId(AccountId.fromString(operatorId))
-      .setAdminKey(privateKey.publicKey)
-      .setSupplyKey(privateKey.publicKey)
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    const tokenCreateSubmit = await tokenCreateTx.execute(client);
-    const tokenCreateRx = await tokenCreateSubmit.getReceipt(client);
-    tokenId = tokenCreateRx.tokenId;
-    
-    console.log(`Token created successfully! Token ID: ${tokenId}`);
-  } catch (error) {
-    console.error(`Error creating token: ${error.message}`);
-    // Use placeholder token ID for simulation
-    tokenId = { toSolidityAddress: () => "0000000000000000000000000000000000001234" };
-    console.log('Using placeholder token ID for simulation');
-  }
+  const { tokenId } = await registry.createCreditToken({ maxSupply: process.env.BIO_MAX_SUPPLY || undefined });
+  // The token's EVM address doubles as the land parcel identifier in the contract
+  const parcelAddress = TokenId.fromString(tokenId).toSolidityAddress();
+  
+  console.log(`Token created successfully! Token ID: ${tokenId}`);
   
   // Step 4: Create a topic for land parcel registry (using HCS)
   console.log('\nCreating a topic for land parcel registry...');
   
-  let topicId;
-  try {
-    const topicCreateTx = await new TopicCreateTransaction()
-      .setAdminKey(privateKey.publicKey)
-      .setSubmitKey(privateKey.publicKey)
-      .setTopicMemo('Biodiversity Land Registry')
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    const topicCreateSubmit = await topicCreateTx.execute(client);
-    const topicCreateRx = await topicCreateSubmit.getReceipt(client);
-    topicId = topicCreateRx.topicId;
-    
-    console.log(`Topic created successfully! Topic ID: ${topicId}`);
-  } catch (error) {
-    console.error(`Error creating topic: ${error.message}`);
-    topicId = "0.0.7890123"; // Placeholder for simulation
-    console.log('Using placeholder topic ID for simulation');
-  }
+  const { topicId } = await registry.createRegistryTopic();
+  
+  console.log(`Topic created successfully! Topic ID: ${topicId}`);
   
   // Step 5: Register a land parcel by submitting a message to the topic
   console.log('\nRegistering a land parcel...');
   
-  // Sample land parcel data
-  const landParcel = {
-    name: "Amazon Rainforest Preserve",
-    areaInAcres: 1000,
-    ecosystemType: "Tropical Rainforest",
-    owner: operatorId,
-    timestamp: new Date().toISOString(),
-    coordinates: [
-      { lat: -3.4653, lng: -62.2159 },
-      { lat: -3.4651, lng: -62.2152 },
-      { lat: -3.4659, lng: -62.2149 }
-    ],
-    tokenId: tokenId.toString ? tokenId.toString() : "0.0.1234" // Link to the token ID
-  };
+  // Submit land parcel registration to the topic, linked to the token ID
+  const registration = await registry.registerParcel(topicId, landParcel, { tokenId });
   
-  try {
-    // Submit land parcel registration to the topic
-    const messageSubmitTx = await new TopicMessageSubmitTransaction({
-      topicId: topicId,
-      message: JSON.stringify(landParcel)
-    })
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    const messageSubmitSubmit = await messageSubmitTx.execute(client);
-    const messageSubmitRx = await messageSubmitSubmit.getReceipt(client);
-    
-    console.log(`Land parcel registered successfully! Sequence number: ${messageSubmitRx.topicSequenceNumber}`);
-  } catch (error) {
-    console.error(`Error registering land parcel: ${error.message}`);
-    console.log('Simulating land parcel registration...');
-  }
+  console.log(`Land parcel registered successfully! Sequence number: ${registration.sequenceNumber}`);
   
   // Step 6: Use the smart contract to add biodiversity data
   console.log('\nAdding biodiversity data using the smart contract...');
   
-  try {
-    // Call the addBiodiversityData function of the contract
-    const addDataTx = await new ContractExecuteTransaction()
-      .setContractId(contractId)
-      .setGas(100000)
-      .setFunction(
-        "addBiodiversityData", 
-        new ContractFunctionParameters()
-          .addAddress(tokenId.toSolidityAddress ? tokenId.toSolidityAddress() : "0000000000000000000000000000000000001234") // The token ID as the land parcel identifier
-          .addUint256(75) // Biodiversity score (0-100)
-          .addString("Tropical Rainforest") // Ecosystem type
-      )
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    const addDataSubmit = await addDataTx.execute(client);
-    await addDataSubmit.getReceipt(client);
-    
-    console.log('Biodiversity data added successfully to the contract!');
-  } catch (error) {
-    console.error(`Error adding biodiversity data: ${error.message}`);
-    console.log('Simulating biodiversity data addition...');
-  }
+  // Biodiversity score (0-100), with the hashes, area and species count of the parcel record
+  await registry.addBiodiversityData(contractId, parcelAddress, 75, landParcel);
+  
+  console.log('Biodiversity data added successfully to the contract!');
   
   // Step 7: Use the smart contract to verify the biodiversity data
+  // Only a registered verifier that did not submit the data can verify it,
+  // so the owner grants the role to a second account first
   console.log('\nVerifying biodiversity data using the smart contract...');
   
-  try {
-    const verifyDataTx = await new ContractExecuteTransaction()
-      .setContractId(contractId)
-      .setGas(100000)
-      .setFunction(
-        "verifyBiodiversityData",
-        new ContractFunctionParameters()
-          .addAddress(tokenId.toSolidityAddress ? tokenId.toSolidityAddress() : "0000000000000000000000000000000000001234") // The token ID as the land parcel identifier
-      )
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    const verifyDataSubmit = await verifyDataTx.execute(client);
-    await verifyDataSubmit.getReceipt(client);
+  const verifier = await createVerifierClient(ledger);
+  let verified = false;
+  if (verifier) {
+    await registry.grantVerifier(contractId, verifier.evmAddress);
+    console.log(`Granted the verifier role to ${verifier.registry.operatorId} (${verifier.evmAddress})`);
     
+    await verifier.registry.verifyBiodiversityData(contractId, parcelAddress);
+    verifier.registry.close();
+    verified = true;
     console.log('Biodiversity data verified successfully through the contract!');
-  } catch (error) {
-    console.error(`Error verifying biodiversity data: ${error.message}`);
-    console.log('Simulating biodiversity data verification...');
+  } else {
+    console.log('Skipped: set VERIFIER_ID and VERIFIER_KEY to verify with a second account');
   }
   
   // Step 8: Record the verification in the consensus service for transparency
-  console.log('\nRecording verification to the consensus service...');
-  const verificationMessage = {
-    type: "smart_contract_verification",
-    landParcelName: landParcel.name,
-    contractId: contractId.toString(),
-    tokenId: tokenId.toString ? tokenId.toString() : "0.0.1234",
-    verifier: operatorId,
-    timestamp: new Date().toISOString(),
-    biodiversityRating: 75 // Using the same score from the contract
-  };
-  
-  try {
-    const verificationSubmitTx = await new TopicMessageSubmitTransaction({
-      topicId: topicId,
-      message: JSON.stringify(verificationMessage)
-    })
-      .freezeWith(client)
-      .sign(privateKey);
-    
-    await verificationSubmitTx.execute(client);
+  if (verified) {
+    console.log('\nRecording verification to the consensus service...');
+    // The rating stays on the 1-5 scale of the registry; the contract score is recorded alongside
+    await registry.recordVerification(topicId, {
+      parcelId: registration.parcelId,
+      contractId: contractId.toString(),
+      tokenId,
+      verifier: verifier.registry.operatorId.toString(),
+      biodiversityRating: landParcel.biodiversityRating,
+      biodiversityScore: 75 // Using the same score from the contract
+    });
     
     console.log('Verification recorded successfully in the consensus service!');
-  } catch (error) {
-    console.error(`Error recording verification: ${error.message}`);
-    console.log('Simulating verification recording...');
   }
   
+  // Step 9: Read the verified data back from the contract
+  console.log('\nReading biodiversity data back from the contract...');
+  const data = await registry.getBiodiversityData(contractId, parcelAddress);
+  registry.close();
+  console.log(`- Biodiversity score: ${data.biodiversityScore}`);
+  console.log(`- Ecosystem type: ${data.ecosystemType}`);
+  console.log(`- Verified: ${data.isVerified} (by ${data.verifier} at ${data.verificationTimestamp})`);
+  console.log(`- Area: ${data.areaSquareMeters} m², ${data.speciesCount} notable species`);
+  // Anyone holding the parcel record can recompute the hashes and compare them with the contract
+  const mismatches = compareParcelData(landParcel, data);
+  console.log(`- Record hash: ${data.recordHash} (${mismatches.length === 0
+    ? 'matches the parcel record'
+    : `differs from the parcel record in ${mismatches.map(({ field }) => field).join(', ')}`})`);
+  
   console.log('\n----- DEMO COMPLETED SUCCESSFULLY -----');
   console.log('\nSummary:');
   console.log(`1. Deployed BiodiversityLandParcel smart contract (ID: ${contractId})`);
@@ -341,12 +295,48 @@ This will demonstrate the flow without making actual transactions.
   console.log(`3. Created Land Registry Topic (ID: ${topicId})`);
   console.log(`4. Registered a land parcel (${landParcel.name})`);
   console.log(`5. Added biodiversity data to the smart contract`);
-  console.log(`6. Verified biodiversity data through the smart contract`);
-  console.log(`7. Recorded verification in the consensus service`);
-  console.log('\nYou can now use these IDs to explore the data on the Hedera Testnet Explorer:');
-  console.log(`https://hashscan.io/testnet/contract/${contractId}`);
-  console.log(`https://hashscan.io/testnet/token/${tokenId}`);
-  console.log(`https://hashscan.io/testnet/topic/${topicId}`);
+  console.log(`6. ${verified ? 'Verified' : 'Did not verify'} biodiversity data through the smart contract`);
+  if (verified) {
+    console.log(`7. Recorded verification in the consensus service`);
+  }
+  
+  if (ledger) {
+    console.log('\nSimulated registry topic messages:');
+    for (const message of ledger.getTopicMessages(topicId)) {
+      console.log(`- #${message.sequenceNumber} at ${message.consensusTimestamp} (${message.contents.length} bytes)`);
+    }
+    return;
+  }
+  
+  if (profile.explorerUrl) {
+    console.log(`\nYou can now use these IDs to explore the data on HashScan (${profile.name}):`);
+    console.log(explorerLink(profile, 'contract', contractId));
+    console.log(explorerLink(profile, 'token', tokenId));
+    console.log(explorerLink(profile, 'topic', topicId));
+  }
+}
+
+// Registry client for the verifier account, with the EVM address the contract sees for it:
+// a new account on the simulated ledger, or VERIFIER_ID / VERIFIER_KEY on the network
+async function createVerifierClient(ledger) {
+  if (ledger) {
+    const verifierId = ledger.createAccount({ hbars: 100 }).toString();
+    return {
+      registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: verifierId }),
+      evmAddress: `0x${AccountId.fromString(verifierId).toSolidityAddress()}`
+    };
+  }
+  if (!process.env.VERIFIER_ID || !process.env.VERIFIER_KEY) {
+    return null;
+  }
+  return {
+    registry: BiodiversityRegistryClient.forNetwork({
+      network: networkProfileFromEnv().name,
+      operatorId: process.env.VERIFIER_ID,
+      operatorKey: parseOperatorKey(process.env.VERIFIER_KEY, { keyType: process.env.VERIFIER_KEY_TYPE })
+    }),
+    evmAddress: await EntityResolver.fromEnv().accountEvmAddress(process.env.VERIFIER_ID)
+  };
 }
 
 // Run the script
@@ -357,20 +347,3 @@ main()
     console.error(error.stack);
     process.exit(1);
   });
-
-// Helper function to convert EVM address to Hedera Contract ID format
-// This is a simplified version - in production, you would use the mirror node API
-async function convertAddressToContractId(evmAddress) {
-  // For this demo, we'll just use a placeholder conversion if we can't get the real ID
-  // In production, you would query the mirror node to get the contract ID
-  
-  try {
-    // Simple conversion for demo purposes - this won't work for all addresses
-    // In a real app, you would use the mirror node API to get the correct conversion
-    const contractNum = parseInt(evmAddress.slice(-7), 16);
-    return `0.0.${contractNum}`;
-  } catch (error) {
-    console.log('Could not convert EVM address to Hedera ID format');
-    return "0.0.1234567"; // Default placeholder
-  }
-}
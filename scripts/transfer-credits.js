@@ -0,0 +1,123 @@
+/**
+ * Transfer BIO credits between KYC'd accounts, and manage the token's KYC,
+ * freeze and pause controls
+ *
+ * An account can only hold credits once it has associated itself with the BIO
+ * token and the holder of the token's KYC key has granted it KYC. Frozen
+ * accounts cannot send or receive credits, and a paused token does not move
+ * at all. HTS refusals are reported with what is missing.
+ *
+ * Usage:
+ *   node scripts/transfer-credits.js associate
+ *   node scripts/transfer-credits.js grant-kyc <account-id>
+ *   node scripts/transfer-credits.js revoke-kyc <account-id>
+ *   node scripts/transfer-credits.js freeze <account-id>
+ *   node scripts/transfer-credits.js unfreeze <account-id>
+ *   node scripts/transfer-credits.js pause
+ *   node scripts/transfer-credits.js unpause
+ *   node scripts/transfer-credits.js transfer --to <account-id> --amount 25
+ *
+ * associate runs as the account that will hold credits, transfer as the
+ * sending account, and the other commands as the holder of the token's KYC,
+ * freeze and pause keys (the account that created the token).
+ *
+ * Environment variables:
+ *   OPERATOR_ID, OPERATOR_KEY (the account taking the action)
+ *   BIO_TOKEN_ID
+ *   HEDERA_NETWORK
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { CreditTransfers } = require('../lib/credit-transfers');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+
+// Commands taking the account ID they act on
+const ACCOUNT_COMMANDS = ['grant-kyc', 'revoke-kyc', 'freeze', 'unfreeze'];
+const COMMANDS = ['associate', ...ACCOUNT_COMMANDS, 'pause', 'unpause', 'transfer'];
+
+// Main function
+async function main() {
+  console.log('\n----- BIODIVERSITY CREDIT TRANSFER -----\n');
+
+  applyDeploymentManifest();
+  const options = parseArgs(process.argv.slice(2));
+  const registry = BiodiversityRegistryClient.fromEnv();
+  const transfers = new CreditTransfers({ registry, tokenId: requireEnv('BIO_TOKEN_ID') });
+  console.log(`Account: ${registry.operatorId}`);
+  console.log(`Token: ${transfers.tokenId}`);
+
+  try {
+    if (options.command === 'associate') {
+      const { transactionId, alreadyAssociated } = await transfers.associate();
+      console.log(alreadyAssociated
+        ? '\nThe account is already associated with the token'
+        : `\nAssociated the account with the token (transaction ${transactionId})`);
+      console.log('The holder of the KYC key has to grant it KYC before it can hold credits');
+    } else if (options.command === 'transfer') {
+      const { transactionId } = await transfers.transfer(options.to, options.amount);
+      console.log(`\nTransferred ${options.amount} BIO to ${options.to}`);
+      console.log(`Transaction: ${transactionId}`);
+    } else {
+      const actions = {
+        'grant-kyc': ['Granted KYC to', () => transfers.grantKyc(options.accountId)],
+        'revoke-kyc': ['Revoked the KYC of', () => transfers.revokeKyc(options.accountId)],
+        freeze: ['Froze', () => transfers.freeze(options.accountId)],
+        unfreeze: ['Unfroze', () => transfers.unfreeze(options.accountId)],
+        pause: ['Paused', () => transfers.pause()],
+        unpause: ['Unpaused', () => transfers.unpause()]
+      };
+      const [done, action] = actions[options.command];
+      const { transactionId } = await action();
+      console.log(`\n${done} ${options.accountId || 'the token'}`);
+      console.log(`Transaction: ${transactionId}`);
+    }
+  } finally {
+    registry.close();
+  }
+}
+
+function requireEnv(name) {
+  if (!process.env[name]) {
+    throw new Error(`Environment variable ${name} must be present`);
+  }
+  return process.env[name];
+}
+
+// Parse the command, account and options from the command line
+function parseArgs(args) {
+  const [command, ...rest] = args;
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Usage: transfer-credits.js <${COMMANDS.join('|')}> [account-id] [options]`);
+  }
+
+  const options = { command, accountId: null, to: null, amount: null };
+  for (let i = 0; i < rest.length; i++) {
+    if (command === 'transfer' && rest[i] === '--to') {
+      options.to = rest[++i];
+    } else if (command === 'transfer' && rest[i] === '--amount') {
+      options.amount = Number(rest[++i]);
+    } else if (ACCOUNT_COMMANDS.includes(command) && !options.accountId && !rest[i].startsWith('--')) {
+      options.accountId = rest[i];
+    } else {
+      throw new Error(`Unknown argument "${rest[i]}"`);
+    }
+  }
+
+  if (ACCOUNT_COMMANDS.includes(command) && !options.accountId) {
+    throw new Error(`${command} needs the account ID`);
+  }
+  if (command === 'transfer' && (!options.to || !(Number.isSafeInteger(options.amount) && options.amount > 0))) {
+    throw new Error('transfer needs --to with the receiving account ID and --amount with a positive whole number');
+  }
+
+  return options;
+}
+
+// Run the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,221 @@
+/**
+ * Watch contract and registry activity and notify downstream systems
+ *
+ * This script polls the BiodiversityLandParcel contract's event logs and the
+ * registry topic's new messages, turns them into normalized events (see
+ * lib/event-watcher) and sends each to the configured outputs: signed HTTP
+ * webhooks, a JSONL file and stdout. It keeps running until it is interrupted
+ * (Ctrl+C); its position is saved, so a restarted watcher continues where it
+ * stopped and sends nothing twice unless a delivery failed.
+ *
+ * Usage:
+ *   node scripts/watch-events.js [--config watcher.json] [--webhook <url>]... [--jsonl <file>]
+ *     [--stdout] [--json] [--events parcel.verified,credits.*] [--source mirror|json-rpc]
+ *     [--from-block <n>] [--skip-history] [--store event-watcher-state.json]
+ *     [--registry-store event-watcher-registry.json] [--interval 10] [--once]
+ *
+ * Outputs come from --config, a JSON file of the form
+ *   { "outputs": [{ "type": "webhook", "url": "...", "events": ["parcel.verified"] },
+ *                 { "type": "jsonl", "file": "events.jsonl" }, { "type": "stdout" }] }
+ * and from --webhook, --jsonl and --stdout, which send the --events types
+ * (every event when omitted). Without any output, events are printed to stdout.
+ *
+ * --source json-rpc reads the contract logs from the JSON-RPC relay instead of
+ * the mirror node, from --from-block on. --skip-history moves past the events
+ * that happened before the first run without sending them. --once polls a
+ * single time and exits. Progress goes to stderr, so stdout carries only events.
+ *
+ * Environment variables:
+ *   LAND_REGISTRY_CONTRACT_ID (contract events; skipped when unset)
+ *   LAND_REGISTRY_TOPIC_ID (registry events; skipped when unset)
+ *   WEBHOOK_URL (a webhook added to the outputs), WEBHOOK_SECRET (signs webhook requests)
+ *   HEDERA_NETWORK, HEDERA_MIRROR_NODE_URL
+ *   HEDERA_JSON_RPC_URL (with --source json-rpc; defaults to the network's relay)
+ *   DEPLOYMENT_MANIFEST (entity IDs not set in the environment are read from it)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const { applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { BiodiversityRegistryError } = require('../lib/errors');
+const { createEventOutputs } = require('../lib/event-outputs');
+const { JsonRpcLogSource, MirrorNodeLogSource, RegistryEventWatcher } = require('../lib/event-watcher');
+const { mirrorNodeUrlFromEnv } = require('../lib/mirror-node');
+const { networkProfileFromEnv } = require('../lib/network-profiles');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { JsonFileRegistryStore } = require('../lib/registry-store');
+
+const DEFAULT_STORE_FILE = 'event-watcher-state.json';
+const DEFAULT_REGISTRY_STORE_FILE = 'event-watcher-registry.json';
+const DEFAULT_INTERVAL_SECONDS = 10;
+
+// Main function
+async function main() {
+  console.error('\n----- REGISTRY EVENT WATCHER -----\n');
+
+  applyDeploymentManifest();
+  const options = parseArgs(process.argv.slice(2));
+  const contractId = process.env.LAND_REGISTRY_CONTRACT_ID;
+  const topicId = process.env.LAND_REGISTRY_TOPIC_ID;
+  if (!contractId && !topicId) {
+    throw new Error('Set LAND_REGISTRY_CONTRACT_ID, LAND_REGISTRY_TOPIC_ID or both');
+  }
+  const mirrorNodeUrl = mirrorNodeUrlFromEnv();
+
+  const registryStore = new JsonFileRegistryStore(options.registryStoreFile);
+  const store = new JsonFileRegistryStore(options.storeFile);
+  const indexer = topicId ? new RegistryIndexer({ topicId, mirrorNodeUrl, store: registryStore }) : null;
+  const logSource = contractId ? await createLogSource(contractId, mirrorNodeUrl, options) : null;
+  const outputs = createEventOutputs(outputSpecs(options));
+  const watcher = new RegistryEventWatcher({ indexer, logSource, outputs, store });
+
+  console.error(`Registry topic: ${topicId || '- (not watched)'}`);
+  console.error(`Contract logs: ${logSource ? `${logSource.contract} via ${options.source}` : '- (not watched)'}`);
+  console.error(`Outputs: ${outputs.map((output) => output.name + (output.events ? ` (${output.events.join(', ')})` : ''))
+    .join('; ')}`);
+
+  // History is only skipped on the first run, before anything was saved
+  let deliver = !(options.skipHistory && !(await store.load()) && !(await registryStore.load()));
+
+  let stopped = false;
+  process.on('SIGINT', () => {
+    stopped = true;
+  });
+
+  do {
+    try {
+      const result = await watcher.poll({ deliver });
+      const skipped = deliver ? '' : ' (history skipped)';
+      if (options.once || result.registryEvents + result.contractEvents > 0) {
+        console.error(`${new Date().toISOString()}: ${result.registryEvents} registry event(s), ` +
+          `${result.contractEvents} contract event(s), ${result.deliveries} delivery(ies)${skipped}`);
+      }
+      deliver = true;
+    } catch (error) {
+      // Failed deliveries and unreachable services are retried on the next poll
+      if (options.once || !(error instanceof BiodiversityRegistryError)) {
+        throw error;
+      }
+      console.error(`${new Date().toISOString()}: ${error.code}: ${error.message}; retrying in ${options.interval}s`);
+    }
+    if (!options.once && !stopped) {
+      await new Promise((resolve) => setTimeout(resolve, options.interval * 1000));
+    }
+  } while (!options.once && !stopped);
+}
+
+// Read the contract logs from the mirror node, or from the JSON-RPC relay at the contract's EVM address
+async function createLogSource(contractId, mirrorNodeUrl, options) {
+  if (options.source === 'mirror') {
+    return new MirrorNodeLogSource({ contractId, mirrorNodeUrl });
+  }
+  const contractAddress = await new EntityResolver({ mirrorNodeUrl }).contractEvmAddress(contractId);
+  return new JsonRpcLogSource({
+    contractAddress,
+    rpcUrl: process.env.HEDERA_JSON_RPC_URL || networkProfileFromEnv().relayUrl,
+    fromBlock: options.fromBlock
+  });
+}
+
+// Outputs of the config file, the command line and WEBHOOK_URL; stdout when none is given
+function outputSpecs(options) {
+  const specs = [];
+  if (options.configFile) {
+    const config = JSON.parse(fs.readFileSync(options.configFile, 'utf8'));
+    if (!Array.isArray(config.outputs)) {
+      throw new Error(`${options.configFile} must hold an "outputs" array`);
+    }
+    specs.push(...config.outputs);
+  }
+  const events = options.events;
+  const webhooks = [...options.webhooks];
+  if (process.env.WEBHOOK_URL && !webhooks.includes(process.env.WEBHOOK_URL)) {
+    webhooks.push(process.env.WEBHOOK_URL);
+  }
+  webhooks.forEach((url) => specs.push({ type: 'webhook', url, events }));
+  if (options.jsonlFile) {
+    specs.push({ type: 'jsonl', file: options.jsonlFile, events });
+  }
+  if (options.stdout || specs.length === 0) {
+    specs.push({ type: 'stdout', format: options.json ? 'json' : 'text', events });
+  }
+  return specs;
+}
+
+// Parse the outputs, event source and polling options from the command line
+function parseArgs(args) {
+  const options = {
+    configFile: null,
+    webhooks: [],
+    jsonlFile: null,
+    stdout: false,
+    json: false,
+    events: undefined,
+    source: 'mirror',
+    fromBlock: 0,
+    skipHistory: false,
+    storeFile: DEFAULT_STORE_FILE,
+    registryStoreFile: DEFAULT_REGISTRY_STORE_FILE,
+    interval: DEFAULT_INTERVAL_SECONDS,
+    once: false
+  };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--config') {
+      options.configFile = args[++i];
+    } else if (args[i] === '--webhook') {
+      options.webhooks.push(args[++i]);
+    } else if (args[i] === '--jsonl') {
+      options.jsonlFile = args[++i];
+    } else if (args[i] === '--stdout') {
+      options.stdout = true;
+    } else if (args[i] === '--json') {
+      options.json = true;
+    } else if (args[i] === '--events') {
+      options.events = (args[++i] || '').split(',').map((type) => type.trim()).filter(Boolean);
+    } else if (args[i] === '--source') {
+      options.source = args[++i];
+    } else if (args[i] === '--from-block') {
+      options.fromBlock = Number(args[++i]);
+    } else if (args[i] === '--skip-history') {
+      options.skipHistory = true;
+    } else if (args[i] === '--store') {
+      options.storeFile = args[++i];
+    } else if (args[i] === '--registry-store') {
+      options.registryStoreFile = args[++i];
+    } else if (args[i] === '--interval') {
+      options.interval = Number(args[++i]);
+    } else if (args[i] === '--once') {
+      options.once = true;
+    } else {
+      throw new Error(`Unknown argument "${args[i]}"`);
+    }
+  }
+
+  if (options.webhooks.some((url) => !url)) {
+    throw new Error('--webhook requires a URL');
+  }
+  if (!options.storeFile || !options.registryStoreFile) {
+    throw new Error('--store and --registry-store require a file path');
+  }
+  if (options.source !== 'mirror' && options.source !== 'json-rpc') {
+    throw new Error('--source must be "mirror" or "json-rpc"');
+  }
+  if (!Number.isInteger(options.fromBlock) || options.fromBlock < 0) {
+    throw new Error('--from-block must be a block number');
+  }
+  if (!Number.isFinite(options.interval) || options.interval <= 0) {
+    throw new Error('--interval must be a positive number of seconds');
+  }
+
+  return options;
+}
+
+// Run the script
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(`\nError: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  });
@@ -0,0 +1,158 @@
+const { execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { expect } = require('chai');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { MockMirrorNode, SimulatedLedger } = require('../lib/simulation');
+
+const CLI = path.join(__dirname, '..', 'scripts', 'biodiversity.js');
+
+const PARCEL = {
+  name: 'Atlantic Forest Corridor',
+  boundaries: [
+    { latitude: -23.5, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.2 }
+  ],
+  areaInAcres: 280,
+  ecosystemType: 'Tropical Rainforest',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Golden Lion Tamarin', 'Southern Muriqui'],
+  biodiversityRating: 4
+};
+
+// The CLI runs as its own process, on testnet settings: dry runs only sign their
+// transactions, and the registry topic is read from the mock mirror node
+describe('biodiversity command line', function () {
+  this.timeout(60000);
+
+  let ledger;
+  let mirror;
+  let topicId;
+  let workDir;
+  let parcelsFile;
+
+  before(async function () {
+    ledger = new SimulatedLedger();
+    mirror = new MockMirrorNode({ ledger });
+    await mirror.start();
+    ({ topicId } = await BiodiversityRegistryClient.forSimulation({ ledger }).createRegistryTopic());
+
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'biodiversity-cli-'));
+    parcelsFile = path.join(workDir, 'parcels.json');
+    fs.writeFileSync(parcelsFile, JSON.stringify([PARCEL]));
+  });
+
+  after(async function () {
+    await mirror.stop();
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
+
+  // Run the CLI, resolving with its exit code and output
+  function run(args, env = {}) {
+    return new Promise((resolve) => {
+      execFile(process.execPath, [CLI, ...args], {
+        // Away from the repository's .env and deployments.json
+        cwd: workDir,
+        env: {
+          PATH: process.env.PATH,
+          OPERATOR_ID: '0.0.2',
+          OPERATOR_KEY: PrivateKey.generateED25519().toStringDer(),
+          HEDERA_NETWORK: 'testnet',
+          HEDERA_MIRROR_NODE_URL: mirror.url,
+          LAND_REGISTRY_TOPIC_ID: topicId,
+          LAND_REGISTRY_CONTRACT_ID: '0.0.5005',
+          PARCEL_NFT_TOKEN_ID: '0.0.5006',
+          ...env
+        }
+      }, (error, stdout, stderr) => resolve({ code: error ? error.code : 0, stdout, stderr }));
+    });
+  }
+
+  it('plans the registration, the contract data and the NFT of parcel register', async function () {
+    const { code, stdout } = await run(['parcel', 'register', parcelsFile, '--dry-run', '--json']);
+
+    expect(code).to.equal(0);
+    const output = JSON.parse(stdout);
+    expect(output).to.include({ command: 'parcel register', network: 'testnet', dryRun: true });
+    expect(output.transactions.map(({ operation, type }) => [operation, type])).to.deep.equal([
+      ['registerParcel', 'TopicMessageSubmitTransaction'],
+      ['addBiodiversityData', 'ContractExecuteTransaction'],
+      ['mintNft', 'TokenMintTransaction']
+    ]);
+    expect(output.transactions[2].fields).to.include({ tokenId: '0.0.5006' });
+    expect(ledger.getTopicMessages(topicId)).to.have.length(0);
+  });
+
+  it('shows the planned transactions as text', async function () {
+    const { code, stdout } = await run(['parcel', 'register', parcelsFile, '--dry-run']);
+
+    expect(code).to.equal(0);
+    expect(stdout).to.include('Dry run: 3 transaction(s) would be sent');
+    expect(stdout).to.include('TokenMintTransaction for mintNft');
+  });
+
+  it('prints errors as JSON with --json', async function () {
+    // Two parcels on the same land: the second overlaps the first
+    const overlapping = path.join(workDir, 'overlapping.json');
+    fs.writeFileSync(overlapping, JSON.stringify([PARCEL, { ...PARCEL, name: 'Corridor Extension' }]));
+    const refused = await run(['parcel', 'register', overlapping, '--overlap', 'reject', '--dry-run', '--json']);
+
+    expect(refused).to.include({ code: 1, stderr: '' });
+    const { error } = JSON.parse(refused.stdout);
+    expect(error.code).to.equal('PARCEL_OVERLAP');
+    expect(error.message).to.include('Boundaries of "Corridor Extension" overlap "Atlantic Forest Corridor"');
+
+    const missing = await run(['parcel', 'register', parcelsFile, '--json'], { PARCEL_NFT_TOKEN_ID: '' });
+    expect(missing.code).to.equal(1);
+    expect(JSON.parse(missing.stdout)).to.deep.equal({
+      error: { code: null, message: 'Set --collection-id or the environment variable PARCEL_NFT_TOKEN_ID' }
+    });
+
+    const usage = await run(['parcel', 'frobnicate', '--json']);
+    expect(usage.code).to.equal(1);
+    expect(JSON.parse(usage.stdout).error.message).to.match(/^Usage: biodiversity <command>/);
+  });
+
+  it('checks the options of the re-assessment commands before anything is sent', async function () {
+    const warning = await run(['parcel', 'scan', '--warning-days', '-1', '--json']);
+    expect(warning.code).to.equal(1);
+    expect(JSON.parse(warning.stdout).error.message).to.equal('--warning-days must be a non-negative number');
+
+    const unknown = await run(['parcel', 'history', 'Unknown Reserve', '--parcels', parcelsFile, '--json']);
+    expect(unknown.code).to.equal(1);
+    expect(JSON.parse(unknown.stdout).error.message).to.equal(`No parcel named or with ID "Unknown Reserve" in ${parcelsFile}`);
+
+    const usage = await run(['parcel', 'reassess', '--json']);
+    expect(usage.code).to.equal(1);
+    expect(JSON.parse(usage.stdout).error.message).to.equal('Usage: biodiversity parcel reassess <parcel> [options]');
+  });
+
+  it('checks the options of the dispute and transfer commands before anything is sent', async function () {
+    const cases = [
+      [['parcel', 'dispute', PARCEL.name], 'parcel dispute needs --reason'],
+      [['parcel', 'resolve', PARCEL.name], 'parcel resolve needs either --upheld or --dismissed'],
+      [['parcel', 'resolve', PARCEL.name, '--upheld', '--dismissed'], 'parcel resolve needs either --upheld or --dismissed'],
+      [['parcel', 'transfer', PARCEL.name, '--to-address', '0x'], 'parcel transfer needs --to with the receiving account ID'],
+      [['collection', 'associate'], 'Set --collection-id or the environment variable PARCEL_NFT_TOKEN_ID']
+    ];
+    for (const [args, message] of cases) {
+      const { code, stdout } = await run([...args, '--parcels', parcelsFile, '--json'], { PARCEL_NFT_TOKEN_ID: '' });
+      expect(code).to.equal(1);
+      expect(JSON.parse(stdout).error.message).to.equal(message);
+    }
+  });
+
+  it('prints errors as text without --json', async function () {
+    const { code, stdout, stderr } = await run(['parcel', 'register', parcelsFile], { PARCEL_NFT_TOKEN_ID: '' });
+
+    expect(code).to.equal(1);
+    expect(stdout).to.equal('');
+    expect(stderr).to.include('Error: Set --collection-id or the environment variable PARCEL_NFT_TOKEN_ID');
+  });
+});
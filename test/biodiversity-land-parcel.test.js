@@ -0,0 +1,363 @@
+const { expect } = require('chai');
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs');
+const { artifacts, ethers, network } = require('hardhat');
+const { decodeRevert } = require('../lib/hedera-status');
+
+// Address of the Hedera Token Service precompile
+const HTS_PRECOMPILE = '0x0000000000000000000000000000000000000167';
+
+// BiodiversityLandParcel VerificationStatus values
+const STATUS = { Unverified: 0, Pending: 1, Approved: 2, Rejected: 3, Disputed: 4 };
+
+// HTS response codes (see contracts/HederaResponseCodes.sol)
+const SUCCESS = 22;
+const ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN = 176;
+const INSUFFICIENT_TOKEN_BALANCE = 178;
+const TOKEN_NOT_ASSOCIATED_TO_ACCOUNT = 184;
+const TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT = 194;
+
+const TOKEN = '0x00000000000000000000000000000000000003e9';
+
+// Area in square metres, species count, record hash and geometry hash of a parcel record (see lib/parcel-record)
+const RECORD_HASH = `0x${'a1'.repeat(32)}`;
+const GEOMETRY_HASH = `0x${'b2'.repeat(32)}`;
+const FACTS = [485623, 5, RECORD_HASH, GEOMETRY_HASH];
+
+// Install MockHederaTokenService's code at the precompile address, where the contract calls HTS
+async function installHtsPrecompile() {
+  const { deployedBytecode } = await artifacts.readArtifact('MockHederaTokenService');
+  await network.provider.send('hardhat_setCode', [HTS_PRECOMPILE, deployedBytecode]);
+  return ethers.getContractAt('MockHederaTokenService', HTS_PRECOMPILE);
+}
+
+describe('BiodiversityLandParcel', function () {
+  let contract;
+  let owner;
+  let registrant;
+  let verifier;
+  let secondVerifier;
+  let thirdVerifier;
+  let stranger;
+  let nextParcel = 1;
+
+  before(async function () {
+    [owner, registrant, verifier, secondVerifier, stranger, thirdVerifier] = await ethers.getSigners();
+    contract = await (await ethers.getContractFactory('BiodiversityLandParcel')).deploy();
+    await contract.deployed();
+    await contract.grantVerifier(verifier.address);
+    await contract.grantVerifier(secondVerifier.address);
+    await contract.grantVerifier(thirdVerifier.address);
+  });
+
+  // Move the network's clock forward
+  async function advanceTime(seconds) {
+    await network.provider.send('evm_increaseTime', [seconds]);
+    await network.provider.send('evm_mine');
+  }
+
+  // A parcel address no other test used
+  function newParcel() {
+    return ethers.utils.getAddress(ethers.utils.hexZeroPad(ethers.utils.hexlify(0x1000 + nextParcel++), 20));
+  }
+
+  async function registeredParcel(score = 80) {
+    const parcel = newParcel();
+    await contract.connect(registrant).addBiodiversityData(parcel, score, 'Wetland', ...FACTS);
+    return parcel;
+  }
+
+  describe('parcel data', function () {
+    it('stores the data as unverified, with the caller as registrant', async function () {
+      const parcel = newParcel();
+      await expect(contract.connect(registrant).addBiodiversityData(parcel, 64, 'Mangrove Forest', ...FACTS))
+        .to.emit(contract, 'BiodiversityDataAdded').withArgs(parcel, 64, 'Mangrove Forest')
+        .and.to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Unverified);
+
+      const data = await contract.getBiodiversityData(parcel);
+      expect(data.biodiversityScore).to.equal(64);
+      expect(data.ecosystemType).to.equal('Mangrove Forest');
+      expect(data.registrant).to.equal(registrant.address);
+      expect(data.isVerified).to.equal(false);
+      expect(data.verificationTimestamp).to.equal(0);
+      expect(data.status).to.equal(STATUS.Unverified);
+      expect(data.recordHash).to.equal(RECORD_HASH);
+      expect(data.geometryHash).to.equal(GEOMETRY_HASH);
+      expect(data.areaSquareMeters).to.equal(485623);
+      expect(data.speciesCount).to.equal(5);
+    });
+
+    it('requires the record hashes and the area', async function () {
+      const parcel = newParcel();
+      await expect(contract.connect(registrant).addBiodiversityData(parcel, 64, 'Grassland', 0, 5, RECORD_HASH, GEOMETRY_HASH))
+        .to.be.revertedWith('Area must be greater than 0');
+      await expect(contract.connect(registrant).addBiodiversityData(parcel, 64, 'Grassland', 1000, 5, ethers.constants.HashZero, GEOMETRY_HASH))
+        .to.be.revertedWith('Record and geometry hashes are required');
+    });
+
+    it('keeps every version of the data in the assessment history', async function () {
+      const parcel = newParcel();
+      const updatedHash = `0x${'c3'.repeat(32)}`;
+      await contract.connect(registrant).addBiodiversityData(parcel, 60, 'Grassland', ...FACTS);
+      await contract.connect(verifier).attestBiodiversityData(parcel, true, 62, '');
+      await expect(contract.connect(registrant).addBiodiversityData(parcel, 75, 'Grassland', 500000, 7, updatedHash, GEOMETRY_HASH))
+        .to.emit(contract, 'AssessmentRecorded').withArgs(parcel, 1, updatedHash, GEOMETRY_HASH);
+      await contract.connect(verifier).attestBiodiversityData(parcel, true, 74, '');
+
+      const history = await contract.getAssessmentHistory(parcel);
+      expect(history.map(({ biodiversityScore, recordHash, speciesCount, registrant: submitter }) =>
+        [biodiversityScore.toNumber(), recordHash, speciesCount.toNumber(), submitter])).to.deep.equal([
+        [60, RECORD_HASH, 5, registrant.address],
+        [75, updatedHash, 7, registrant.address]
+      ]);
+      expect((await contract.getBiodiversityData(parcel)).recordHash).to.equal(updatedHash);
+      // Each verification round points at the version it decided
+      expect((await contract.getScoreHistory(parcel)).map(({ assessment }) => assessment.toNumber())).to.deep.equal([0, 1]);
+    });
+
+    it('accepts scores from 0 to 100 only', async function () {
+      const parcel = newParcel();
+      await contract.connect(registrant).addBiodiversityData(parcel, 0, 'Grassland', ...FACTS);
+      await contract.connect(registrant).addBiodiversityData(parcel, 100, 'Grassland', ...FACTS);
+      expect((await contract.getBiodiversityData(parcel)).biodiversityScore).to.equal(100);
+
+      await expect(contract.connect(registrant).addBiodiversityData(parcel, 101, 'Grassland', ...FACTS))
+        .to.be.revertedWith('Biodiversity score must be 0-100');
+      await expect(contract.connect(verifier).attestBiodiversityData(parcel, true, 101, ''))
+        .to.be.revertedWith('Biodiversity score must be 0-100');
+    });
+  });
+
+  describe('verification', function () {
+    afterEach(async function () {
+      await contract.setVerificationPolicy(1, 0, 0);
+    });
+
+    it('only verifies existing data, by registered verifiers other than the registrant', async function () {
+      await expect(contract.connect(verifier).verifyBiodiversityData(newParcel()))
+        .to.be.revertedWith('No biodiversity data exists for this token');
+
+      const parcel = await registeredParcel();
+      await expect(contract.connect(stranger).verifyBiodiversityData(parcel))
+        .to.be.revertedWith('Caller is not a registered verifier');
+
+      const ownParcel = newParcel();
+      await contract.connect(verifier).addBiodiversityData(ownParcel, 50, 'Wetland', ...FACTS);
+      await expect(contract.connect(verifier).verifyBiodiversityData(ownParcel))
+        .to.be.revertedWith('Registrant cannot verify its own data');
+    });
+
+    it('approves the data with the verifier, time and score on record', async function () {
+      const parcel = await registeredParcel(72);
+      const verification = contract.connect(verifier).attestBiodiversityData(parcel, true, 68, 'Field survey 2025');
+
+      await expect(verification)
+        .to.emit(contract, 'AttestationSubmitted').withArgs(parcel, verifier.address, true, 68)
+        .and.to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Approved)
+        .and.to.emit(contract, 'BiodiversityDataVerified').withArgs(parcel, verifier.address, anyValue)
+        .and.to.emit(contract, 'ScoreRecorded').withArgs(parcel, 68, true);
+
+      const { timestamp } = await ethers.provider.getBlock((await (await verification).wait()).blockNumber);
+      const data = await contract.getBiodiversityData(parcel);
+      expect(data.isVerified).to.equal(true);
+      expect(data.verifier).to.equal(verifier.address);
+      expect(data.verificationTimestamp).to.equal(timestamp);
+      expect(await contract.canIssueCredits(parcel)).to.equal(true);
+    });
+
+    it('waits for the quorum and takes each verifier\'s attestation once', async function () {
+      await contract.setVerificationPolicy(2, 0, 0);
+      const parcel = await registeredParcel();
+
+      await expect(contract.connect(verifier).attestBiodiversityData(parcel, true, 80, ''))
+        .to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Pending);
+      expect(await contract.canIssueCredits(parcel)).to.equal(false);
+      await expect(contract.connect(verifier).attestBiodiversityData(parcel, true, 80, ''))
+        .to.be.revertedWith('Verifier already attested this data');
+
+      await expect(contract.connect(secondVerifier).attestBiodiversityData(parcel, true, 90, ''))
+        .to.emit(contract, 'ScoreRecorded').withArgs(parcel, 85, true);
+      await expect(contract.connect(stranger).verifyBiodiversityData(parcel))
+        .to.be.revertedWith('Caller is not a registered verifier');
+    });
+
+    it('refuses attestations once the data is decided', async function () {
+      const parcel = await registeredParcel();
+      await expect(contract.connect(verifier).attestBiodiversityData(parcel, false, 20, 'Habitat degraded'))
+        .to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Rejected);
+
+      await expect(contract.connect(secondVerifier).verifyBiodiversityData(parcel))
+        .to.be.revertedWith('Verification of this data is already decided');
+      expect(await contract.canIssueCredits(parcel)).to.equal(false);
+    });
+
+    it('counts only the attestations of current verifiers towards the quorum', async function () {
+      await contract.setVerificationPolicy(2, 0, 0);
+      const pending = await registeredParcel();
+      await contract.connect(verifier).attestBiodiversityData(pending, true, 90, '');
+      await contract.revokeVerifier(verifier.address);
+      await expect(contract.connect(secondVerifier).attestBiodiversityData(pending, true, 70, ''))
+        .to.not.emit(contract, 'ScoreRecorded');
+      const data = await contract.getBiodiversityData(pending);
+      expect(data.status).to.equal(STATUS.Pending);
+      expect(data.approvals).to.equal(1);
+      // The revoked verifier's score is not part of the decision either
+      await expect(contract.connect(thirdVerifier).attestBiodiversityData(pending, true, 80, ''))
+        .to.emit(contract, 'ScoreRecorded').withArgs(pending, 75, true);
+      await contract.grantVerifier(verifier.address);
+
+      const approved = await registeredParcel();
+      await contract.connect(verifier).attestBiodiversityData(approved, true, 80, '');
+      await contract.connect(secondVerifier).attestBiodiversityData(approved, true, 80, '');
+      expect(await contract.canIssueCredits(approved)).to.equal(true);
+      await contract.revokeVerifier(verifier.address);
+      expect(await contract.canIssueCredits(approved)).to.equal(false);
+      await contract.grantVerifier(verifier.address);
+      expect(await contract.canIssueCredits(approved)).to.equal(true);
+    });
+
+    it('lets a verifier that rejected the data dispute its approval', async function () {
+      await contract.setVerificationPolicy(2, 3600, 0);
+      const parcel = await registeredParcel();
+      await contract.connect(verifier).attestBiodiversityData(parcel, false, 30, 'Wetland drained in 2023');
+      await contract.connect(secondVerifier).attestBiodiversityData(parcel, true, 80, '');
+      await expect(contract.connect(thirdVerifier).attestBiodiversityData(parcel, true, 80, ''))
+        .to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Approved);
+
+      await expect(contract.connect(secondVerifier).disputeVerification(parcel, 'Changed my mind'))
+        .to.be.revertedWith('Verifier approved this data');
+      await expect(contract.connect(verifier).disputeVerification(parcel, 'Wetland drained in 2023'))
+        .to.emit(contract, 'VerificationDisputed').withArgs(parcel, verifier.address, 'Wetland drained in 2023')
+        .and.to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Disputed);
+      expect((await contract.disputes(parcel)).challenger).to.equal(verifier.address);
+    });
+
+    it('keeps the challenge window running after a dismissed dispute', async function () {
+      await contract.setVerificationPolicy(1, 3600, 0);
+      const parcel = await registeredParcel();
+      await contract.connect(verifier).attestBiodiversityData(parcel, true, 80, '');
+      await contract.connect(secondVerifier).disputeVerification(parcel, 'Boundaries overlap a quarry');
+      await expect(contract.resolveDispute(parcel, false))
+        .to.emit(contract, 'VerificationStatusChanged').withArgs(parcel, STATUS.Approved);
+
+      expect(await contract.canIssueCredits(parcel)).to.equal(false);
+      await advanceTime(3600);
+      expect(await contract.canIssueCredits(parcel)).to.equal(true);
+    });
+
+    it('lets each verifier dispute an approval once', async function () {
+      await contract.setVerificationPolicy(1, 3600, 0);
+      const parcel = await registeredParcel();
+      await contract.connect(verifier).attestBiodiversityData(parcel, true, 80, '');
+      await contract.connect(secondVerifier).disputeVerification(parcel, 'Boundaries overlap a quarry');
+      await contract.resolveDispute(parcel, false);
+
+      await expect(contract.connect(secondVerifier).disputeVerification(parcel, 'Boundaries overlap a quarry'))
+        .to.be.revertedWith('Verifier already disputed this approval');
+      await expect(contract.connect(thirdVerifier).disputeVerification(parcel, 'Species list is out of date'))
+        .to.emit(contract, 'VerificationDisputed').withArgs(parcel, thirdVerifier.address, 'Species list is out of date');
+      await contract.resolveDispute(parcel, false);
+
+      // A new approval of the data can be disputed again
+      await contract.expireVerification(parcel);
+      await contract.requestReassessment(parcel);
+      await contract.connect(verifier).attestBiodiversityData(parcel, true, 80, '');
+      await expect(contract.connect(secondVerifier).disputeVerification(parcel, 'Boundaries overlap a quarry'))
+        .to.emit(contract, 'VerificationDisputed');
+    });
+
+    it('validates the verification policy', async function () {
+      await expect(contract.setVerificationPolicy(0, 0, 0)).to.be.revertedWith('Quorum must be at least 1');
+      await expect(contract.setVerificationPolicy(1, 3600, 3600))
+        .to.be.revertedWith('Validity period must exceed the challenge window');
+      await expect(contract.setVerificationPolicy(3, 3600, 7200))
+        .to.emit(contract, 'VerificationPolicyUpdated').withArgs(3, 3600, 7200);
+      await expect(contract.connect(stranger).setVerificationPolicy(1, 0, 0)).to.be.revertedWith('Caller is not the owner');
+    });
+  });
+
+  describe('HTS token operations', function () {
+    let hts;
+    let holder;
+    let receiver;
+    let marketplace;
+
+    before(async function () {
+      [, , , , , holder, receiver, marketplace] = await ethers.getSigners();
+      hts = await installHtsPrecompile();
+    });
+
+    after(async function () {
+      // Later suites expect the in-memory network's empty precompile address
+      await network.provider.send('hardhat_setCode', [HTS_PRECOMPILE, '0x']);
+    });
+
+    it('associates accounts with tokens through the precompile', async function () {
+      expect(await contract.connect(holder).callStatic.associateToken(holder.address, TOKEN)).to.equal(SUCCESS);
+      await expect(contract.connect(holder).associateToken(holder.address, TOKEN))
+        .to.emit(hts, 'TokenAssociated').withArgs(holder.address, TOKEN);
+      expect(await hts.isAssociated(TOKEN, holder.address)).to.equal(true);
+
+      await expect(contract.connect(stranger).associateToken(holder.address, TOKEN))
+        .to.be.revertedWith('Caller can only associate its own account');
+    });
+
+    it('reverts with the response code when HTS refuses an association', async function () {
+      await expect(contract.connect(holder).associateToken(holder.address, TOKEN))
+        .to.be.revertedWithCustomError(contract, 'TokenAssociationFailed')
+        .withArgs(holder.address, TOKEN, TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT);
+    });
+
+    it('transfers tokens between associated accounts', async function () {
+      await hts.setBalance(TOKEN, holder.address, 10);
+      await contract.connect(receiver).associateToken(receiver.address, TOKEN);
+
+      expect(await contract.connect(holder).callStatic.transferToken(TOKEN, holder.address, receiver.address, 4))
+        .to.equal(SUCCESS);
+      await expect(contract.connect(holder).transferToken(TOKEN, holder.address, receiver.address, 4))
+        .to.emit(hts, 'TokenTransferred').withArgs(TOKEN, holder.address, receiver.address, 4);
+      expect(await hts.balanceOf(TOKEN, holder.address)).to.equal(6);
+      expect(await hts.balanceOf(TOKEN, receiver.address)).to.equal(4);
+    });
+
+    it('lets approved transfer operators move the holder\'s tokens', async function () {
+      await expect(contract.connect(marketplace).transferToken(TOKEN, holder.address, receiver.address, 1))
+        .to.be.revertedWith('Caller cannot move tokens from this account');
+
+      await contract.connect(holder).setTransferOperator(marketplace.address, true);
+      await expect(contract.connect(marketplace).transferToken(TOKEN, holder.address, receiver.address, 1))
+        .to.emit(hts, 'TokenTransferred').withArgs(TOKEN, holder.address, receiver.address, 1);
+      await contract.connect(holder).setTransferOperator(marketplace.address, false);
+      expect(await hts.balanceOf(TOKEN, holder.address)).to.equal(5);
+    });
+
+    it('reverts with the response code when HTS refuses a transfer', async function () {
+      await expect(contract.connect(holder).transferToken(TOKEN, holder.address, stranger.address, 1))
+        .to.be.revertedWithCustomError(contract, 'TokenTransferFailed')
+        .withArgs(TOKEN, holder.address, stranger.address, TOKEN_NOT_ASSOCIATED_TO_ACCOUNT);
+      await expect(contract.connect(holder).transferToken(TOKEN, holder.address, receiver.address, 50))
+        .to.be.revertedWithCustomError(contract, 'TokenTransferFailed')
+        .withArgs(TOKEN, holder.address, receiver.address, INSUFFICIENT_TOKEN_BALANCE);
+
+      await hts.setResponseCode(ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN);
+      await expect(contract.connect(holder).transferToken(TOKEN, holder.address, receiver.address, 1))
+        .to.be.revertedWithCustomError(contract, 'TokenTransferFailed')
+        .withArgs(TOKEN, holder.address, receiver.address, ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN);
+      await hts.setResponseCode(0);
+      expect(await hts.balanceOf(TOKEN, holder.address)).to.equal(5);
+
+      await expect(contract.connect(holder).transferToken(TOKEN, holder.address, receiver.address, 0))
+        .to.be.revertedWith('Amount must be positive');
+    });
+
+    it('reverts with data the error layer explains', async function () {
+      const data = contract.interface.encodeFunctionData('transferToken', [TOKEN, holder.address, receiver.address, 50]);
+      // The in-memory network answers a reverted call with its revert data
+      const revertData = await ethers.provider.call({ from: holder.address, to: contract.address, data });
+
+      expect(decodeRevert(revertData)).to.include({
+        errorName: 'TokenTransferFailed',
+        responseStatus: 'INSUFFICIENT_TOKEN_BALANCE'
+      });
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const { Status } = require('@hashgraph/sdk');
+const { expect } = require('chai');
+const { CreditRetirement, renderCertificateHtml } = require('../lib/credit-retirement');
+const { RetirementNotRecordedError } = require('../lib/errors');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { MemoryRegistryStore } = require('../lib/registry-store');
+const { evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+describe('CreditRetirement', function () {
+  let ledger;
+  let mirror;
+  let registry;
+  let topicId;
+  let tokenId;
+  let issued;
+  let parcelIds;
+
+  before(async function () {
+    const network = await startSimulatedNetwork();
+    ({ ledger, mirror } = network);
+    const { contractId } = network;
+
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId } = await registry.createCreditToken());
+    await registry.setVerificationPolicy(contractId, { requiredAttestations: 1, challengeWindow: 0 });
+    const verifier = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+    await registry.grantVerifier(contractId, evmAddressOf(verifier.operatorId));
+
+    // Two verified parcels with credits issued for each
+    issued = {};
+    parcelIds = {};
+    for (const name of ['Monteverde Cloud Forest', 'Osa Peninsula Lowlands']) {
+      const parcel = assignParcelId(parcelNamed(name), registry.operatorId.toString());
+      parcelIds[name] = parcel.parcelId;
+      await registry.registerParcel(topicId, parcel);
+      await registry.addBiodiversityData(contractId, parcelAddress(parcel), 80, parcel);
+      await new VerificationWorkflow({ registry: verifier, contractId, topicId, indexer: indexer() }).attest(parcel, { score: 80 });
+      const workflow = new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer() });
+      issued[name] = (await workflow.issueCredits(parcel, { tokenId })).amount;
+    }
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  function indexer() {
+    return new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+  }
+
+  function retirement(options = {}) {
+    return new CreditRetirement({ registry, topicId, tokenId, indexer: indexer(), ...options });
+  }
+
+  async function totalSupply() {
+    return Number((await registry.getTokenInfo(tokenId)).totalSupply);
+  }
+
+  it('burns treasury credits, records the retirement per source parcel and certifies it', async function () {
+    const supplyBefore = await totalSupply();
+    const certificate = await retirement().retire({
+      sources: [{ name: 'Monteverde Cloud Forest', amount: 10 }, { name: 'Osa Peninsula Lowlands', amount: 5 }],
+      beneficiary: 'Acme Coffee Roasters',
+      reason: '2025 scope 3 offset'
+    });
+
+    expect(await totalSupply()).to.equal(supplyBefore - 15);
+    expect(certificate).to.deep.include({ beneficiary: 'Acme Coffee Roasters', registryTopicId: topicId });
+    expect(certificate.credits).to.deep.equal({ tokenId, amount: 15, method: 'burn', retiredFrom: ledger.operatorId.toString() });
+    expect(certificate.retirementTransaction.totalSupplyAfter).to.equal(String(supplyBefore - 15));
+    expect(certificate.retirementTransaction.consensusTimestamp).to.match(/^\d+\.\d{9}$/);
+    const record = await registry.getTransactionRecord(certificate.retirementTransaction.transactionId);
+    expect(record.memo).to.equal(`BIO retirement ${certificate.certificateId}`);
+
+    expect(certificate.sources.map(({ name, amount }) => ({ name, amount }))).to.deep.equal([
+      { name: 'Monteverde Cloud Forest', amount: 10 },
+      { name: 'Osa Peninsula Lowlands', amount: 5 }
+    ]);
+    expect(certificate.sources[0].issuanceTransactionIds).to.have.length(1);
+    expect(certificate.sources[0].event.consensusTimestamp).to.match(/^\d+\.\d{9}$/);
+
+    const state = indexer();
+    await state.sync();
+    expect(state.state.rejected).to.deep.equal([]);
+    const recorded = await state.getRetirement(certificate.certificateId);
+    expect(recorded.map(({ name, amount, beneficiary }) => ({ name, amount, beneficiary }))).to.deep.equal([
+      { name: 'Monteverde Cloud Forest', amount: 10, beneficiary: 'Acme Coffee Roasters' },
+      { name: 'Osa Peninsula Lowlands', amount: 5, beneficiary: 'Acme Coffee Roasters' }
+    ]);
+    expect((await state.getParcel('Monteverde Cloud Forest')).creditsRetired).to.equal(10);
+
+    const html = renderCertificateHtml({ ...certificate, beneficiary: 'Acme <Coffee> & Co' });
+    expect(html).to.include(certificate.certificateId);
+    expect(html).to.include(certificate.retirementTransaction.transactionId);
+    expect(html).to.include('Acme &lt;Coffee&gt; &amp; Co');
+  });
+
+  it('wipes credits a buyer holds', async function () {
+    const buyer = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+    await buyer.associateTokens([tokenId]);
+    await registry.grantKyc(tokenId, buyer.operatorId.toString());
+    await registry.transferCredits(tokenId, buyer.operatorId.toString(), 7);
+
+    const certificate = await retirement().retire({
+      // A source given by its parcel ID
+      sources: [{ parcelId: parcelIds['Osa Peninsula Lowlands'], amount: 7 }],
+      beneficiary: 'Buyer Ltd',
+      reason: 'Voluntary offset',
+      from: buyer.operatorId.toString()
+    });
+    expect(certificate.credits).to.include({ method: 'wipe', retiredFrom: buyer.operatorId.toString() });
+    expect(certificate.sources[0]).to.include({ parcelId: parcelIds['Osa Peninsula Lowlands'], name: 'Osa Peninsula Lowlands' });
+    expect(ledger.getTokenBalance(buyer.operatorId, tokenId)).to.equal(0n);
+  });
+
+  it('refuses to retire more credits than a parcel has left, before anything is burned', async function () {
+    const supplyBefore = await totalSupply();
+    const available = issued['Monteverde Cloud Forest'] - 10;
+    const error = await retirement().retire({
+      sources: [{ name: 'Monteverde Cloud Forest', amount: available + 1 }],
+      beneficiary: 'Acme Coffee Roasters',
+      reason: 'Double counting attempt'
+    }).catch((caught) => caught);
+
+    expect(error.code).to.equal('INSUFFICIENT_CREDITS');
+    expect(error.available).to.equal(available);
+    expect(await totalSupply()).to.equal(supplyBefore);
+  });
+
+  it('rejects retirement events for credits the parcel no longer has', async function () {
+    const state = indexer();
+    await state.sync();
+    const parcel = await state.getParcel('Osa Peninsula Lowlands');
+    registry.followIndexedHead(parcel.parcelId, state.state.eventHeads[parcel.parcelId]);
+
+    // Published directly, bypassing the check CreditRetirement makes first
+    await registry.recordRetirement(topicId, {
+      parcelId: parcel.parcelId,
+      retirementId: 'RET-REPLAYED',
+      amount: parcel.creditsMinted - parcel.creditsRetired + 1,
+      tokenId,
+      beneficiary: 'Someone Else',
+      reason: 'Claiming retired credits again',
+      retirementTransactionId: '0.0.2@1.0'
+    });
+    await state.sync();
+    expect(state.state.rejected).to.have.length(1);
+    expect(state.state.rejected[0].reason).to.match(/^Retirement RET-REPLAYED of \d+ exceeds/);
+    expect((await state.getParcel(parcel.parcelId)).creditsRetired).to.equal(parcel.creditsRetired);
+  });
+
+  it('resumes a retirement that stopped between the burn and its events', async function () {
+    const store = new MemoryRegistryStore();
+    const supplyBefore = await totalSupply();
+    const request = { sources: [{ name: 'Osa Peninsula Lowlands', amount: 3 }], beneficiary: 'Acme Coffee Roasters', reason: 'Q3 offset' };
+
+    // The burn goes through, but the run loses its response and stops
+    const crashing = BiodiversityRegistryClient.forSimulation({ ledger });
+    crashing.retry.attempts = 1;
+    ledger.injectFailure(null, { afterExecution: true });
+    const error = await new CreditRetirement({ registry: crashing, topicId, tokenId, indexer: indexer(), store })
+      .retire(request).catch((caught) => caught);
+    expect(error).to.include({ code: 'HEDERA_ERROR', retryable: true });
+    expect(await totalSupply()).to.equal(supplyBefore - 3);
+    const saved = await store.load();
+    expect(saved).to.include({ retired: null, finished: false });
+    expect(saved.pending.step).to.equal('retireCredits');
+
+    // No other retirement until this one is recorded
+    const refused = await retirement({ store }).retire(request).catch((caught) => caught);
+    expect(refused).to.include({ code: 'UNFINISHED_RETIREMENT' });
+
+    const certificate = await retirement({ store }).resume();
+    expect(await totalSupply()).to.equal(supplyBefore - 3);
+    expect(certificate.certificateId).to.equal(saved.retirementId);
+    expect(certificate.retirementTransaction).to.include({
+      transactionId: saved.pending.transactions[0].transactionId,
+      totalSupplyAfter: String(supplyBefore - 3)
+    });
+    expect(certificate.sources[0].event.consensusTimestamp).to.match(/^\d+\.\d{9}$/);
+
+    const state = indexer();
+    await state.sync();
+    expect((await state.getRetirement(certificate.certificateId)).map(({ amount }) => amount)).to.deep.equal([3]);
+    expect((await retirement({ store }).resume().catch((caught) => caught)).code).to.equal('NOTHING_TO_RESUME');
+  });
+
+  it('issues no certificate when a concurrent retirement took the credits first', async function () {
+    const state = indexer();
+    await state.sync();
+    const parcel = await state.getParcel('Monteverde Cloud Forest');
+    const available = parcel.creditsMinted - parcel.creditsRetired;
+    const supplyBefore = await totalSupply();
+
+    // The other retirement completes after this one checked the parcel, before it burns
+    const racing = BiodiversityRegistryClient.forSimulation({ ledger });
+    const burnCredits = racing.burnCredits.bind(racing);
+    racing.burnCredits = async (...args) => {
+      await retirement().retire({
+        sources: [{ name: 'Monteverde Cloud Forest', amount: 1 }],
+        beneficiary: 'Faster Buyer',
+        reason: 'Concurrent offset'
+      });
+      return burnCredits(...args);
+    };
+    const store = new MemoryRegistryStore();
+    const error = await new CreditRetirement({ registry: racing, topicId, tokenId, indexer: indexer(), store }).retire({
+      sources: [{ name: 'Monteverde Cloud Forest', amount: available }],
+      beneficiary: 'Slower Buyer',
+      reason: 'Concurrent offset'
+    }).catch((caught) => caught);
+
+    expect(error).to.be.instanceOf(RetirementNotRecordedError);
+    expect(error).to.include({ code: 'RETIREMENT_NOT_RECORDED', parcelName: 'Monteverde Cloud Forest' });
+    expect(error.reason).to.match(new RegExp(`^Retirement ${error.retirementId} of ${available} exceeds`));
+    expect(error.retirementTransactionId).to.equal((await store.load()).retired.transactionId);
+    expect(await totalSupply()).to.equal(supplyBefore - 1 - available);
+    expect((await store.load()).finished).to.equal(true);
+    await state.sync();
+    expect(await state.getRetirement(error.retirementId)).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,135 @@
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { CreditTransferError, HederaTransactionError } = require('../lib/errors');
+const { CreditTransfers } = require('../lib/credit-transfers');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { evmAddressOf } = require('../lib/simulation');
+const { createNetworkLedger, startSimulatedNetwork } = require('./helpers/network');
+
+describe('CreditTransfers', function () {
+  let ledger;
+  let tokenId;
+  let treasury;
+  let buyer;
+  let buyerId;
+
+  before(async function () {
+    ledger = await createNetworkLedger();
+    const registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ tokenId } = await registry.createCreditToken());
+    await registry.mintCredits(tokenId, 100);
+
+    treasury = new CreditTransfers({ registry, tokenId });
+    buyerId = ledger.createAccount({ hbars: 100 }).toString();
+    buyer = new CreditTransfers({ registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: buyerId }), tokenId });
+  });
+
+  async function failure(promise) {
+    const error = await promise.catch((caught) => caught);
+    expect(error).to.be.instanceOf(CreditTransferError);
+    expect(error).to.be.instanceOf(HederaTransactionError);
+    return error;
+  }
+
+  it('creates credit tokens with KYC, freeze and pause keys', async function () {
+    const info = await treasury.registry.getTokenInfo(tokenId);
+    expect(info).to.include({ kycRequired: true, freezeDefault: false, paused: false });
+    expect(ledger.getTokenRelationship(ledger.operatorId, tokenId)).to.deep.equal({ kycGranted: true, frozen: false });
+  });
+
+  it('only delivers credits to associated accounts granted KYC', async function () {
+    const unassociated = await failure(treasury.transfer(buyerId, 10));
+    expect(unassociated.code).to.equal('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    expect(unassociated.message).to.include(`${ledger.operatorId} or ${buyerId} is not associated with ${tokenId}`);
+
+    expect(await buyer.associate()).to.include({ alreadyAssociated: false });
+    expect(await buyer.associate()).to.deep.equal({ transactionId: null, alreadyAssociated: true });
+    const withoutKyc = await failure(treasury.transfer(buyerId, 10));
+    expect(withoutKyc.code).to.equal('ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN');
+    expect(withoutKyc.reason).to.equal(`${ledger.operatorId} or ${buyerId} has not been granted KYC for ${tokenId}`);
+
+    await treasury.grantKyc(buyerId);
+    expect(await treasury.transfer(buyerId, 10)).to.include({ from: ledger.operatorId.toString(), to: buyerId, amount: 10 });
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(10n);
+
+    // Revoking KYC keeps the balance but stops it from moving
+    await treasury.revokeKyc(buyerId);
+    expect((await failure(buyer.transfer(ledger.operatorId.toString(), 5))).code).to.equal('ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN');
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(10n);
+    await treasury.grantKyc(buyerId);
+  });
+
+  it('stops frozen accounts and paused tokens', async function () {
+    await treasury.freeze(buyerId);
+    expect((await failure(treasury.transfer(buyerId, 5))).code).to.equal('ACCOUNT_FROZEN_FOR_TOKEN');
+    await treasury.unfreeze(buyerId);
+
+    await treasury.pause();
+    expect(await treasury.registry.getTokenInfo(tokenId)).to.include({ paused: true });
+    const paused = await failure(buyer.transfer(ledger.operatorId.toString(), 5));
+    expect(paused.message).to.equal(`transferCredits failed: ${tokenId} is paused (TOKEN_IS_PAUSED)`);
+    expect((await treasury.registry.mintCredits(tokenId, 1).catch((caught) => caught)).code).to.equal('TOKEN_IS_PAUSED');
+
+    await treasury.unpause();
+    await buyer.transfer(ledger.operatorId.toString(), 5);
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(5n);
+  });
+
+  it('explains tokens created without compliance keys', async function () {
+    const { tokenId: legacy } = await treasury.registry.createParcelCollection();
+    const error = await failure(new CreditTransfers({ registry: treasury.registry, tokenId: legacy }).grantKyc(buyerId));
+    expect(error.code).to.equal('TOKEN_HAS_NO_KYC_KEY');
+  });
+});
+
+describe('BiodiversityLandParcel token transfers', function () {
+  let contract;
+  let holder;
+  let marketplace;
+  let stranger;
+
+  const TOKEN = '0x00000000000000000000000000000000000003e9';
+
+  before(async function () {
+    [holder, marketplace, stranger] = await ethers.getSigners();
+    contract = await (await ethers.getContractFactory('BiodiversityLandParcel')).deploy();
+    await contract.deployed();
+  });
+
+  it('only lets accounts associate themselves', async function () {
+    await expect(contract.connect(stranger).associateToken(holder.address, TOKEN))
+      .to.be.revertedWith('Caller can only associate its own account');
+  });
+
+  it('only lets the holder and its approved operators move its tokens', async function () {
+    await expect(contract.connect(stranger).transferToken(TOKEN, holder.address, stranger.address, 5))
+      .to.be.revertedWith('Caller cannot move tokens from this account');
+    await expect(contract.connect(marketplace).transferToken(TOKEN, holder.address, stranger.address, 5))
+      .to.be.revertedWith('Caller cannot move tokens from this account');
+    await expect(contract.connect(holder).transferToken(TOKEN, holder.address, stranger.address, 0))
+      .to.be.revertedWith('Amount must be positive');
+
+    await expect(contract.connect(holder).setTransferOperator(marketplace.address, true))
+      .to.emit(contract, 'TransferOperatorUpdated').withArgs(holder.address, marketplace.address, true);
+    expect(await contract.isTransferOperator(holder.address, marketplace.address)).to.equal(true);
+    expect(await contract.isTransferOperator(holder.address, holder.address)).to.equal(true);
+    expect(await contract.isTransferOperator(marketplace.address, holder.address)).to.equal(false);
+    // The approved call reaches the HTS precompile, which the in-memory network does not have
+    await expect(contract.connect(marketplace).transferToken(TOKEN, holder.address, stranger.address, 5))
+      .to.not.be.revertedWith('Caller cannot move tokens from this account');
+
+    await contract.connect(holder).setTransferOperator(marketplace.address, false);
+    expect(await contract.isTransferOperator(holder.address, marketplace.address)).to.equal(false);
+    await expect(contract.connect(holder).setTransferOperator(holder.address, true))
+      .to.be.revertedWith('Caller cannot be its own operator');
+  });
+
+  it('reads operators through the registry client', async function () {
+    const { ledger, contractId } = await startSimulatedNetwork({ mirrorNode: false });
+    const registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    const operator = evmAddressOf(ledger.createAccount({ hbars: 100 }));
+
+    await registry.setTransferOperator(contractId, operator, true);
+    expect(await registry.isTransferOperator(contractId, evmAddressOf(ledger.operatorId), operator)).to.equal(true);
+  });
+});
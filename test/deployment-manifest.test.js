@@ -0,0 +1,101 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const hre = require('hardhat');
+const { DeploymentManifest, applyDeploymentManifest } = require('../lib/deployment-manifest');
+const { NetworkConfigError } = require('../lib/errors');
+const { mirrorNodeUrlFromEnv } = require('../lib/mirror-node');
+const { NETWORK_PROFILES, explorerLink, getNetworkProfile, networkProfileForHardhat } = require('../lib/network-profiles');
+
+describe('Network profiles', function () {
+  it('has a Hardhat network for every profile', function () {
+    for (const profile of Object.values(NETWORK_PROFILES)) {
+      const network = hre.config.networks[profile.hardhatNetwork];
+      expect(network, profile.hardhatNetwork).to.include({ url: profile.relayUrl, chainId: profile.chainId });
+      expect(networkProfileForHardhat(profile.hardhatNetwork)).to.equal(profile);
+    }
+    expect(networkProfileForHardhat('hardhat')).to.equal(null);
+  });
+
+  it('defaults the mirror node to the network', function () {
+    expect(mirrorNodeUrlFromEnv({ HEDERA_NETWORK: 'local' })).to.equal('http://localhost:5551');
+    expect(mirrorNodeUrlFromEnv({ HEDERA_NETWORK: 'mainnet' })).to.equal('https://mainnet.mirrornode.hedera.com');
+  });
+
+  it('links to the explorer of the network', function () {
+    expect(explorerLink('previewnet', 'token', '0.0.1234')).to.equal('https://hashscan.io/previewnet/token/0.0.1234');
+    expect(explorerLink(getNetworkProfile('local'), 'token', '0.0.1234')).to.equal(null);
+  });
+
+  it('rejects unknown networks', function () {
+    expect(() => getNetworkProfile('devnet'))
+      .to.throw(NetworkConfigError, 'local, previewnet, testnet, mainnet')
+      .with.property('code', 'UNKNOWN_NETWORK');
+  });
+});
+
+describe('DeploymentManifest', function () {
+  let directory;
+  let filePath;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'deployment-manifest-'));
+    filePath = path.join(directory, 'deployments.json');
+  });
+
+  afterEach(function () {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('records deployments per network and reads them back', function () {
+    const manifest = DeploymentManifest.load(filePath);
+    expect(manifest.get('testnet')).to.deep.equal({});
+
+    manifest.record('testnet', { contractId: '0.0.1001', contractEvmAddress: `0x${'ab'.repeat(20)}` });
+    manifest.record('testnet', { tokenId: '0.0.1002' });
+    manifest.record('local', { topicId: '0.0.1003' });
+
+    const loaded = DeploymentManifest.fromEnv({ DEPLOYMENT_MANIFEST: filePath });
+    expect(loaded.get('testnet')).to.include({ contractId: '0.0.1001', tokenId: '0.0.1002' });
+    expect(loaded.get('local')).to.include({ topicId: '0.0.1003' });
+    expect(loaded.get('mainnet')).to.deep.equal({});
+    expect(fs.readdirSync(directory)).to.deep.equal(['deployments.json']);
+  });
+
+  it('fills the variables the environment does not set', function () {
+    DeploymentManifest.load(filePath).record('local', { contractId: '0.0.1001', tokenId: '0.0.1002', topicId: '0.0.1003' });
+    const env = { HEDERA_NETWORK: 'local', DEPLOYMENT_MANIFEST: filePath, BIO_TOKEN_ID: '0.0.2002' };
+
+    applyDeploymentManifest(env);
+
+    expect(env).to.include({
+      LAND_REGISTRY_CONTRACT_ID: '0.0.1001',
+      BIO_TOKEN_ID: '0.0.2002',
+      LAND_REGISTRY_TOPIC_ID: '0.0.1003'
+    });
+    expect(env).to.not.have.property('PARCEL_NFT_TOKEN_ID');
+  });
+
+  it('leaves other networks alone', function () {
+    DeploymentManifest.load(filePath).record('testnet', { contractId: '0.0.1001' });
+    const env = { HEDERA_NETWORK: 'mainnet', DEPLOYMENT_MANIFEST: filePath };
+
+    applyDeploymentManifest(env);
+
+    expect(env).to.not.have.property('LAND_REGISTRY_CONTRACT_ID');
+  });
+
+  it('rejects malformed manifests', function () {
+    fs.writeFileSync(filePath, JSON.stringify({ version: 1, networks: { testnet: { tokenId: 'BIO' } } }));
+    expect(() => DeploymentManifest.load(filePath))
+      .to.throw(NetworkConfigError, 'testnet.tokenId must be an entity ID')
+      .with.property('code', 'INVALID_MANIFEST');
+
+    fs.writeFileSync(filePath, '{"networks": {}}');
+    expect(() => DeploymentManifest.load(filePath)).to.throw(NetworkConfigError, 'is invalid');
+
+    expect(() => DeploymentManifest.load(filePath).record('devnet', { tokenId: '0.0.1' }))
+      .to.throw(NetworkConfigError, 'is invalid');
+  });
+});
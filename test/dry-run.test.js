@@ -0,0 +1,89 @@
+const { expect } = require('chai');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { SimulatedLedger } = require('../lib/simulation');
+
+const PARCEL = {
+  name: 'Atlantic Forest Corridor',
+  boundaries: [
+    { latitude: -23.5, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.2 }
+  ],
+  areaInAcres: 250,
+  ecosystemType: 'Tropical Rainforest',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Golden Lion Tamarin', 'Southern Muriqui'],
+  biodiversityRating: 4,
+  verificationNotes: 'Restored corridor linking two forest fragments.'
+};
+
+describe('Dry runs', function () {
+  let ledger;
+  let registry;
+  let dryRun;
+
+  beforeEach(function () {
+    ledger = new SimulatedLedger();
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    dryRun = BiodiversityRegistryClient.forSimulation({ ledger, dryRun: true });
+  });
+
+  it('describes transactions instead of sending them', async function () {
+    const { transactionId, tokenId } = await dryRun.createCreditToken({ maxSupply: 5000 });
+
+    expect(tokenId).to.equal('unknown');
+    expect(ledger.tokens.size).to.equal(0);
+    expect(dryRun.plannedTransactions).to.deep.equal([{
+      operation: 'createCreditToken',
+      type: 'TokenCreateTransaction',
+      transactionId,
+      memo: '',
+      fields: {
+        tokenName: 'Biodiversity Credits',
+        tokenSymbol: 'BIO',
+        decimals: '0',
+        maxSupply: '5000',
+        treasuryAccountId: ledger.operatorId.toString()
+      }
+    }]);
+  });
+
+  it('shows every message of a registry event', async function () {
+    const { topicId } = await registry.createRegistryTopic();
+    const registration = await dryRun.registerParcel(topicId, PARCEL);
+
+    expect(ledger.getTopicMessages(topicId)).to.have.length(0);
+    const [message] = dryRun.plannedTransactions;
+    expect(message).to.include({
+      operation: 'registerParcel',
+      type: 'TopicMessageSubmitTransaction',
+      eventHash: registration.eventHash,
+      chunk: 1,
+      chunks: registration.chunks
+    });
+    expect(message.fields).to.deep.equal({ topicId });
+    expect(message.messageBytes).to.be.greaterThan(0);
+  });
+
+  it('keeps going after a transaction it did not send', async function () {
+    const { tokenId } = await registry.createCreditToken();
+    await registry.mintCredits(tokenId, 100);
+    const receiver = ledger.createAccount({ hbars: 10 }).toString();
+
+    const burn = await dryRun.burnCredits(tokenId, 40, { memo: 'BIO retirement test' });
+    await dryRun.transferCredits(tokenId, receiver, 25);
+
+    // A transaction that was not sent has no record yet
+    expect(await dryRun.getTransactionRecord(burn.transactionId))
+      .to.deep.equal({ transactionId: burn.transactionId, consensusTimestamp: null, memo: 'BIO retirement test' });
+    expect(dryRun.plannedTransactions.map(({ operation }) => operation)).to.deep.equal(['burnCredits', 'transferCredits']);
+    expect(dryRun.plannedTransactions[1].tokenTransfers).to.have.deep.members([
+      { tokenId, accountId: ledger.operatorId.toString(), amount: '-25' },
+      { tokenId, accountId: receiver, amount: '25' }
+    ]);
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(100n);
+  });
+});
@@ -0,0 +1,96 @@
+const { expect } = require('chai');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { EntityResolutionError, MirrorNodeError } = require('../lib/errors');
+const { MockMirrorNode } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+const CONTRACT_ADDRESS = '0x30280afab4768895041088d65976a2fb8cf52eef';
+const ALIAS_ADDRESS = '0x1d3b8a9f2c7e6b5a4d3c2b1a0f9e8d7c6b5a4f3e';
+
+describe('EntityResolver', function () {
+  let mirror;
+  let resolver;
+
+  beforeEach(async function () {
+    mirror = new MockMirrorNode()
+      .addContract('0.0.5847080', CONTRACT_ADDRESS)
+      .addAccount('0.0.4321', ALIAS_ADDRESS);
+    await mirror.start();
+    resolver = new EntityResolver({ mirrorNodeUrl: mirror.url, retries: 1, retryDelay: 0 });
+  });
+
+  afterEach(async function () {
+    await mirror.stop();
+  });
+
+  it('resolves long-zero addresses locally', async function () {
+    expect(await resolver.resolveContractId('0x00000000000000000000000000000000005938a8')).to.equal('0.0.5847208');
+    expect(await resolver.resolveAccountId('00000000000000000000000000000000000010e1')).to.equal('0.0.4321');
+    expect(await resolver.resolveTokenId('0x00000000000000000000000000000000000003e9')).to.equal('0.0.1001');
+    expect(await resolver.tokenEvmAddress('0.0.1001')).to.equal('0x00000000000000000000000000000000000003e9');
+    expect(mirror.requests).to.be.empty;
+  });
+
+  it('looks up contract addresses on the mirror node, not from the address digits', async function () {
+    expect(await resolver.resolveContractId('0x30280aFAB4768895041088d65976A2fB8cF52eEF')).to.equal('0.0.5847080');
+    expect(await resolver.contractEvmAddress('0.0.5847080')).to.equal(CONTRACT_ADDRESS);
+    expect(mirror.requests).to.deep.equal([`/api/v1/contracts/${CONTRACT_ADDRESS}`]);
+  });
+
+  it('caches mirror node answers in both directions', async function () {
+    expect(await resolver.accountEvmAddress('0.0.4321')).to.equal(ALIAS_ADDRESS);
+    expect(await resolver.resolveAccountId(ALIAS_ADDRESS)).to.equal('0.0.4321');
+    expect(await resolver.accountEvmAddress('0.0.4321')).to.equal(ALIAS_ADDRESS);
+    expect(mirror.requests).to.have.length(1);
+
+    resolver.clearCache();
+    await resolver.resolveAccountId(ALIAS_ADDRESS);
+    expect(mirror.requests).to.have.length(2);
+  });
+
+  it('retries and then reports entities the mirror node does not know', async function () {
+    const unknown = '0xffffffffffffffffffffffffffffffffffffffff';
+    const error = await resolver.resolveContractId(unknown).catch((caught) => caught);
+    expect(error).to.be.instanceOf(EntityResolutionError);
+    expect(error.code).to.equal('ENTITY_NOT_FOUND');
+    expect(mirror.requests).to.have.length(2);
+  });
+
+  it('rejects malformed addresses and IDs without calling the mirror node', async function () {
+    const cases = [
+      [() => resolver.resolveContractId('0x1234'), 'INVALID_ENTITY'],
+      [() => resolver.contractEvmAddress('not-an-id'), 'INVALID_ENTITY'],
+      [() => resolver.resolveTokenId(CONTRACT_ADDRESS), 'ENTITY_NOT_FOUND']
+    ];
+    for (const [call, code] of cases) {
+      const error = await call().catch((caught) => caught);
+      expect(error).to.be.instanceOf(EntityResolutionError);
+      expect(error.code).to.equal(code);
+    }
+    expect(mirror.requests).to.be.empty;
+  });
+
+  it('reports an unreachable mirror node', async function () {
+    await mirror.stop();
+    const error = await resolver.resolveContractId(CONTRACT_ADDRESS).catch((caught) => caught);
+    expect(error).to.be.instanceOf(MirrorNodeError);
+    expect(error.code).to.equal('MIRROR_NODE_ERROR');
+  });
+
+  it('reads from fromEnv configuration', function () {
+    expect(EntityResolver.fromEnv({ HEDERA_MIRROR_NODE_URL: `${mirror.url}/` }).mirrorNode.url).to.equal(mirror.url);
+    expect(EntityResolver.fromEnv({ HEDERA_NETWORK: 'mainnet' }).mirrorNode.url)
+      .to.equal('https://mainnet.mirrornode.hedera.com');
+    expect(() => EntityResolver.fromEnv({ HEDERA_NETWORK: 'localnet' })).to.throw(MirrorNodeError);
+  });
+
+  it('resolves contracts deployed on the simulated ledger', async function () {
+    const { mirror: ledgerMirror, contractId, contractAddress } = await startSimulatedNetwork();
+    try {
+      const ledgerResolver = new EntityResolver({ mirrorNodeUrl: ledgerMirror.url, retries: 0 });
+      expect(await ledgerResolver.resolveContractId(contractAddress)).to.equal(contractId.toString());
+    } finally {
+      await ledgerMirror.stop();
+    }
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ethers, network } = require('hardhat');
+const { CONTRACT_EVENTS } = require('../lib/contract-events');
+const { WebhookDeliveryError } = require('../lib/errors');
+const {
+  JsonlFileOutput,
+  StdoutOutput,
+  WEBHOOK_HEADERS,
+  WebhookOutput,
+  verifyWebhookSignature
+} = require('../lib/event-outputs');
+const { JsonRpcLogSource, MirrorNodeLogSource, RegistryEventWatcher } = require('../lib/event-watcher');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { evmAddressOf } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+const PARCEL = {
+  name: 'Atlantic Forest Corridor',
+  boundaries: [
+    { latitude: -23.4, longitude: -45.1 },
+    { latitude: -23.4, longitude: -45.08 },
+    { latitude: -23.38, longitude: -45.08 },
+    { latitude: -23.38, longitude: -45.1 },
+    { latitude: -23.4, longitude: -45.1 }
+  ],
+  areaInAcres: 1100,
+  ecosystemType: 'Tropical Rainforest',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Golden Lion Tamarin', 'Jaguar'],
+  biodiversityRating: 4
+};
+
+// Output that keeps the events it is sent
+function recorder() {
+  const events = [];
+  return { events, accepts: () => true, send: async (event) => events.push(event) };
+}
+
+// fetch that answers with the next status of the list (the last one once the list is used up)
+function fakeFetch(statuses) {
+  const requests = [];
+  const fetch = async (url, options) => {
+    requests.push({ url, ...options });
+    const status = statuses[Math.min(requests.length, statuses.length) - 1];
+    return { ok: status < 300, status };
+  };
+  return { fetch, requests };
+}
+
+describe('Registry event watcher', function () {
+  it('knows every event of the compiled contract', async function () {
+    const { interface: contractInterface } = await ethers.getContractFactory('BiodiversityLandParcel');
+    const events = Object.values(contractInterface.events);
+
+    expect(Object.keys(CONTRACT_EVENTS)).to.have.length(events.length);
+    for (const event of events) {
+      const known = CONTRACT_EVENTS[contractInterface.getEventTopic(event)];
+      expect(known, event.format()).to.include({ name: event.name });
+      expect(known.inputs.map(([name, , indexed]) => [name, Boolean(indexed)]))
+        .to.deep.equal(event.inputs.map(({ name, indexed }) => [name, indexed]));
+    }
+  });
+
+  it('signs webhook requests and retries transient failures only', async function () {
+    const event = { id: 'topic:0.0.1:1', type: 'parcel.verified', data: {} };
+    const delays = [];
+    const retry = { attempts: 3, minDelay: 100, delay: async (milliseconds) => delays.push(milliseconds) };
+
+    const flaky = fakeFetch([503, 429, 204]);
+    await new WebhookOutput({ url: 'https://crm.example/hooks', secret: 'shh', retry, fetch: flaky.fetch }).send(event);
+    expect(flaky.requests).to.have.length(3);
+    expect(delays).to.deep.equal([100, 200]);
+
+    const { headers, body } = flaky.requests[2];
+    expect(JSON.parse(body)).to.deep.equal(event);
+    expect(headers).to.include({ [WEBHOOK_HEADERS.event]: 'parcel.verified', [WEBHOOK_HEADERS.eventId]: event.id });
+    const request = { body, timestamp: headers[WEBHOOK_HEADERS.timestamp], signature: headers[WEBHOOK_HEADERS.signature] };
+    expect(verifyWebhookSignature('shh', request)).to.equal(true);
+    expect(verifyWebhookSignature('other secret', request)).to.equal(false);
+    expect(verifyWebhookSignature('shh', { ...request, body: body.replace('verified', 'rejected') })).to.equal(false);
+    expect(verifyWebhookSignature('shh', request, { now: Number(request.timestamp) + 3600 })).to.equal(false);
+
+    const refused = fakeFetch([400]);
+    const error = await new WebhookOutput({ url: 'https://crm.example/hooks', retry, fetch: refused.fetch })
+      .send(event).catch((failure) => failure);
+    expect(error).to.be.instanceOf(WebhookDeliveryError);
+    expect(error).to.include({ code: 'WEBHOOK_DELIVERY_FAILED', attempts: 1, httpStatus: 400 });
+    expect(refused.requests[0].headers).to.not.have.property(WEBHOOK_HEADERS.signature);
+  });
+
+  describe('on the network', function () {
+    let ledger;
+    let mirror;
+    let registry;
+    let contractId;
+    let contractAddress;
+    let topicId;
+    let verifierId;
+    let directory;
+    let parcel;
+
+    before(async function () {
+      ({ ledger, mirror, contractId, contractAddress } = await startSimulatedNetwork());
+      registry = BiodiversityRegistryClient.forSimulation({ ledger });
+      ({ topicId } = await registry.createRegistryTopic());
+      verifierId = ledger.createAccount({ hbars: 100 });
+      await registry.grantVerifier(contractId, evmAddressOf(verifierId));
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'event-watcher-'));
+
+      parcel = assignParcelId(PARCEL, registry.operatorId.toString());
+      const address = parcelAddress(parcel);
+      await registry.registerParcel(topicId, parcel, { parcelAddress: address });
+      await registry.addBiodiversityData(contractId, address, 80, parcel);
+      const verifier = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: verifierId.toString() });
+      await verifier.attestBiodiversityData(contractId, address, { score: 85 });
+      await registry.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 5 });
+    });
+
+    after(async function () {
+      await mirror.stop();
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    function watcherFor(outputs, options = {}) {
+      return new RegistryEventWatcher({
+        indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url }),
+        logSource: new MirrorNodeLogSource({ contractId, mirrorNodeUrl: mirror.url, pageSize: 3 }),
+        outputs,
+        ...options
+      });
+    }
+
+    it('sends registry events and decoded contract events to every output', async function () {
+      const all = recorder();
+      const jsonlFile = path.join(directory, 'events.jsonl');
+      let printed = '';
+      const stdout = new StdoutOutput({
+        events: ['parcel.*', 'BiodiversityDataVerified'],
+        stream: { write: (text) => { printed += text; } }
+      });
+      const watcher = watcherFor([all, new JsonlFileOutput({ filePath: jsonlFile }), stdout]);
+
+      const result = await watcher.poll();
+      const { parcelId } = parcel;
+      expect(all.events.map(({ type }) => type)).to.deep.equal([
+        'parcel.registered',
+        'parcel.verified',
+        'VerifierGranted',
+        'BiodiversityDataAdded',
+        'AssessmentRecorded',
+        'VerificationStatusChanged',
+        'AttestationSubmitted',
+        'VerificationStatusChanged',
+        'BiodiversityDataVerified',
+        'ScoreRecorded'
+      ]);
+      expect(result).to.deep.equal({ registryEvents: 2, contractEvents: 8, deliveries: 10 + 10 + 3 });
+
+      const [registered, verified] = all.events;
+      expect(registered).to.include({ id: `topic:${topicId}:1`, source: 'topic', parcelId, parcelName: PARCEL.name });
+      expect(verified.data).to.include({ biodiversityRating: 5 });
+      const onChain = all.events.find(({ type }) => type === 'BiodiversityDataVerified');
+      expect(onChain).to.include({ source: 'contract', contract: contractId.toString(), parcelId, parcelName: PARCEL.name });
+      expect(onChain.data).to.include({ tokenId: `0x${parcelId}`, verifier: evmAddressOf(verifierId) });
+      expect(all.events.filter(({ type }) => type === 'VerificationStatusChanged').map(({ data }) => data.status))
+        .to.deep.equal(['unverified', 'approved']);
+      expect(all.events.find(({ type }) => type === 'BiodiversityDataAdded').data)
+        .to.include({ biodiversityScore: 80, ecosystemType: 'Tropical Rainforest' });
+      expect(all.events.find(({ type }) => type === 'VerifierGranted')).to.include({ parcelId: null, parcelName: null });
+
+      const lines = fs.readFileSync(jsonlFile, 'utf8').trim().split('\n').map((line) => JSON.parse(line));
+      expect(lines).to.deep.equal(JSON.parse(JSON.stringify(all.events)));
+      expect(printed.trim().split('\n')).to.have.length(3);
+      expect(printed).to.include(`parcel.verified  "${PARCEL.name}"`);
+
+      // Nothing new: nothing is sent again
+      expect(await watcher.poll()).to.deep.equal({ registryEvents: 0, contractEvents: 0, deliveries: 0 });
+      await registry.expireVerification(contractId, parcelAddress(parcel));
+      await registry.requestReassessment(contractId, parcelAddress(parcel));
+      await watcher.poll();
+      expect(all.events.slice(10).map(({ type }) => type))
+        .to.deep.equal(['VerificationStatusChanged', 'VerificationStatusChanged', 'ReassessmentRequested']);
+    });
+
+    it('sends the events of a failed poll again on the next one', async function () {
+      const unreachable = fakeFetch([500]);
+      const retry = { attempts: 2, minDelay: 1, delay: async () => {} };
+      const events = ['parcel.verified', 'BiodiversityDataVerified'];
+      const failing = watcherFor([new WebhookOutput({ url: 'https://crm.example/hooks', events, retry, fetch: unreachable.fetch })]);
+
+      const error = await failing.poll().catch((failure) => failure);
+      expect(error).to.be.instanceOf(WebhookDeliveryError).and.include({ attempts: 2, httpStatus: 500 });
+      expect(unreachable.requests).to.have.length(2);
+
+      const crm = fakeFetch([200]);
+      failing.outputs = [new WebhookOutput({ url: 'https://crm.example/hooks', events, retry, fetch: crm.fetch })];
+      expect(await failing.poll()).to.include({ deliveries: 2 });
+      expect(crm.requests.map(({ headers }) => headers[WEBHOOK_HEADERS.event])).to.deep.equal(events);
+    });
+
+    it('reads the same contract events over JSON-RPC', async function () {
+      const fromMirror = recorder();
+      await new RegistryEventWatcher({
+        logSource: new MirrorNodeLogSource({ contractId, mirrorNodeUrl: mirror.url }),
+        outputs: [fromMirror]
+      }).poll();
+      const fromRelay = recorder();
+      const logSource = new JsonRpcLogSource({
+        contractAddress,
+        request: (method, params) => network.provider.request({ method, params }),
+        blockRange: 100
+      });
+      await new RegistryEventWatcher({ logSource, outputs: [fromRelay] }).poll();
+
+      // The relay also has the constructor's events, which the mock mirror node does not serve
+      expect(fromRelay.events.slice(0, 2).map(({ type }) => type)).to.deep.equal(['OwnershipTransferred', 'VerificationPolicyUpdated']);
+      const summary = ({ type, parcelId, data }) => ({ type, parcelId, data });
+      expect(fromRelay.events.slice(2).map(summary)).to.deep.equal(fromMirror.events.map(summary));
+      expect(fromRelay.events[2]).to.include({ consensusTimestamp: null, contract: contractAddress.toLowerCase() });
+      expect(fromRelay.events[2].blockNumber).to.be.a('number');
+    });
+  });
+});
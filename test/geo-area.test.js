@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { AreaMismatchError } = require('../lib/errors');
+const {
+  SQUARE_METERS_PER_ACRE,
+  assertDeclaredArea,
+  checkDeclaredArea,
+  polygonAreaAcres,
+  polygonAreaSquareMeters
+} = require('../lib/geo-area');
+const sampleParcels = require('../sample-data/sample-land-parcels.json');
+
+// Radius of the WGS84 authalic sphere in metres
+const RADIUS = 6371007.1809;
+
+// The cell from 0 to 1 degree of latitude and longitude: R² · Δλ · (sin φ₂ − sin φ₁) ≈ 12,364 km²
+const DEGREE_CELL = [
+  { latitude: 0, longitude: 0 },
+  { latitude: 0, longitude: 1 },
+  { latitude: 1, longitude: 1 },
+  { latitude: 1, longitude: 0 }
+];
+const DEGREE_CELL_SQUARE_METERS = RADIUS * RADIUS * (Math.PI / 180) * Math.sin(Math.PI / 180);
+
+// A 0.01 by 0.01 degree square in the Cerrado, about 294 acres
+const SQUARE = {
+  name: 'Cerrado Square',
+  boundaries: [
+    { latitude: -15.8, longitude: -47.9 },
+    { latitude: -15.8, longitude: -47.89 },
+    { latitude: -15.79, longitude: -47.89 },
+    { latitude: -15.79, longitude: -47.9 }
+  ]
+};
+
+describe('Geodesic area', function () {
+  it('measures a polygon of known area', function () {
+    expect(polygonAreaSquareMeters(DEGREE_CELL)).to.be.closeTo(DEGREE_CELL_SQUARE_METERS, 1);
+    expect(DEGREE_CELL_SQUARE_METERS / 1e6).to.be.closeTo(12364, 1);
+    expect(polygonAreaAcres(DEGREE_CELL)).to.be.closeTo(DEGREE_CELL_SQUARE_METERS / SQUARE_METERS_PER_ACRE, 1e-3);
+  });
+
+  it('does not depend on the winding order, the closing vertex or the antimeridian', function () {
+    const area = polygonAreaSquareMeters(DEGREE_CELL);
+    expect(polygonAreaSquareMeters(DEGREE_CELL.slice().reverse())).to.be.closeTo(area, 1e-3);
+    expect(polygonAreaSquareMeters([...DEGREE_CELL, DEGREE_CELL[0]])).to.be.closeTo(area, 1e-3);
+
+    const acrossAntimeridian = DEGREE_CELL.map(({ latitude, longitude }) => ({
+      latitude,
+      longitude: longitude === 0 ? 179.5 : -179.5
+    }));
+    expect(polygonAreaSquareMeters(acrossAntimeridian)).to.be.closeTo(area, 1);
+    expect(polygonAreaSquareMeters(DEGREE_CELL.slice(0, 2))).to.equal(0);
+  });
+
+  it('accepts declared areas up to the tolerance either way', function () {
+    const computed = polygonAreaAcres(SQUARE.boundaries);
+    expect(computed).to.be.closeTo(294, 0.1);
+
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 1.0999 }))
+      .to.include({ withinTolerance: true, overDeclared: true, difference: 0.0999, tolerance: 0.1 });
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 1.1001 }))
+      .to.include({ withinTolerance: false, overDeclared: true, difference: 0.1001 });
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 0.9001 }))
+      .to.include({ withinTolerance: true, overDeclared: false, difference: 0.0999 });
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 0.8999 }))
+      .to.include({ withinTolerance: false, overDeclared: false, difference: 0.1001 });
+
+    // A custom tolerance moves the boundary
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 1.2 }, { tolerance: 0.2001 }))
+      .to.include({ withinTolerance: true, tolerance: 0.2001 });
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: computed * 1.0001 }, { tolerance: 0 }))
+      .to.include({ withinTolerance: false });
+    expect(checkDeclaredArea({ ...SQUARE, areaInAcres: 1, boundaries: SQUARE.boundaries.slice(0, 2) }))
+      .to.include({ computedAcres: 0, difference: Infinity, withinTolerance: false });
+  });
+
+  it('flags the over-declared Redwood sample parcel', function () {
+    const redwood = sampleParcels.find(({ name }) => name === 'Ancient Redwood Grove');
+
+    expect(checkDeclaredArea(redwood)).to.deep.equal({
+      declaredAcres: 120,
+      computedAcres: 53.83,
+      difference: 1.2291,
+      tolerance: 0.1,
+      withinTolerance: false,
+      overDeclared: true
+    });
+    expect(() => assertDeclaredArea(redwood)).to.throw(
+      AreaMismatchError,
+      'Declared area of "Ancient Redwood Grove" (120 acres) differs from its boundary area (53.83 acres) ' +
+      'by 122.9%, more than the 10.0% tolerance'
+    );
+    try {
+      assertDeclaredArea(redwood);
+    } catch (error) {
+      expect(error).to.include({ code: 'AREA_MISMATCH', parcelName: 'Ancient Redwood Grove' });
+      expect(error.check).to.deep.equal(checkDeclaredArea(redwood));
+    }
+  });
+
+  it('returns the check of a parcel within the tolerance', function () {
+    const coastalSage = sampleParcels.find(({ name }) => name === 'Coastal Sage Sanctuary');
+    expect(assertDeclaredArea(coastalSage)).to.deep.equal(checkDeclaredArea(coastalSage))
+      .and.to.include({ withinTolerance: true, computedAcres: 71.59 });
+    expect(() => assertDeclaredArea(coastalSage, { tolerance: 0.05 })).to.throw(AreaMismatchError);
+  });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { AccountId, ContractCallQuery, ContractFunctionParameters, MaxAttemptsOrTimeoutError, Status } = require('@hashgraph/sdk');
+const { ContractRevertError, HederaTransactionError, MirrorNodeError } = require('../lib/errors');
+const { decodeRevert, describeStatus, isTransientFailure } = require('../lib/hedera-status');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { evmAddressOf } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+describe('Hedera status explanations', function () {
+  it('explains response codes by SDK status, name or number', function () {
+    expect(describeStatus(Status.TokenIsPaused)).to.deep.equal({
+      status: 'TOKEN_IS_PAUSED',
+      code: 265,
+      explanation: 'the token is paused',
+      retryable: false
+    });
+    expect(describeStatus(184)).to.include({ status: 'TOKEN_NOT_ASSOCIATED_TO_ACCOUNT', code: 184 });
+    expect(describeStatus('BUSY')).to.include({ retryable: true });
+    // Statuses without a written explanation are described by their name
+    expect(describeStatus('INVALID_RENEWAL_PERIOD').explanation).to.equal('invalid renewal period');
+    expect(describeStatus('NOT_A_STATUS')).to.include({ code: null, retryable: false });
+  });
+
+  it('treats gRPC, socket and timeout failures as transient', function () {
+    expect(isTransientFailure({ name: 'GrpcServiceError', status: 'UNAVAILABLE' })).to.equal(true);
+    expect(isTransientFailure({ name: 'GrpcServiceError', status: 'INVALID_ARGUMENT' })).to.equal(false);
+    expect(isTransientFailure({ name: 'MaxAttemptsOrTimeoutError' })).to.equal(true);
+    expect(isTransientFailure(new MaxAttemptsOrTimeoutError('timed out', '0.0.3'))).to.equal(true);
+    expect(isTransientFailure(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } }))).to.equal(true);
+    expect(isTransientFailure(new Error('Credits to transfer must be a positive whole amount'))).to.equal(false);
+
+    expect(new MirrorNodeError('Rate limited', 429).retryable).to.equal(true);
+    expect(new MirrorNodeError('Bad request', 400).retryable).to.equal(false);
+  });
+
+  it('defines every Hedera response code in HederaResponseCodes.sol', function () {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'contracts', 'HederaResponseCodes.sol'), 'utf8');
+    const constants = [...source.matchAll(/int internal constant (\w+) = (-?\d+);/g)];
+    expect(constants.length).to.be.greaterThan(350);
+    for (const [, name, code] of constants) {
+      expect(Status._fromCode(Number(code)).toString(), name).to.equal(name);
+    }
+  });
+});
+
+describe('Contract revert decoding', function () {
+  let contract;
+
+  before(async function () {
+    contract = await (await ethers.getContractFactory('BiodiversityLandParcel')).deploy();
+    await contract.deployed();
+  });
+
+  it('decodes revert strings and panics', function () {
+    const data = ethers.utils.hexConcat([
+      ethers.utils.id('Error(string)').slice(0, 10),
+      ethers.utils.defaultAbiCoder.encode(['string'], ['Caller is not the owner'])
+    ]);
+    expect(decodeRevert(data)).to.include({ errorName: 'Error', reason: 'Caller is not the owner' });
+
+    const panic = ethers.utils.hexConcat([
+      ethers.utils.id('Panic(uint256)').slice(0, 10),
+      ethers.utils.defaultAbiCoder.encode(['uint256'], [0x11])
+    ]);
+    expect(decodeRevert(panic).reason).to.equal('panic 0x11 (arithmetic overflow or underflow)');
+    expect(decodeRevert('0x')).to.equal(null);
+    expect(decodeRevert('0x12345678').reason).to.equal('unknown contract error 0x12345678');
+  });
+
+  it('decodes the HTS response code of the contract\'s custom errors', function () {
+    const [holder, receiver] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const token = '0x00000000000000000000000000000000000003e9';
+
+    const transfer = decodeRevert(contract.interface.encodeErrorResult('TokenTransferFailed', [token, holder, receiver, 176]));
+    expect(transfer).to.include({
+      errorName: 'TokenTransferFailed',
+      responseCode: 176,
+      responseStatus: 'ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN'
+    });
+    expect(transfer.args.slice(0, 3)).to.deep.equal([token, holder.toLowerCase(), receiver.toLowerCase()]);
+    expect(transfer.reason).to.match(/^HTS refused the token transfer: ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN/);
+
+    const association = decodeRevert(contract.interface.encodeErrorResult('TokenAssociationFailed', [holder, token, 194]));
+    expect(association).to.include({ errorName: 'TokenAssociationFailed', responseStatus: 'TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT' });
+  });
+});
+
+describe('HederaTransactionError', function () {
+  let ledger;
+  let contractId;
+  let registry;
+  let stranger;
+
+  before(async function () {
+    ({ ledger, contractId } = await startSimulatedNetwork({ mirrorNode: false }));
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    stranger = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+  });
+
+  it('explains failed transactions', async function () {
+    const { tokenId } = await registry.createCreditToken();
+    await registry.pauseToken(tokenId);
+    const error = await registry.mintCredits(tokenId, 10).catch((caught) => caught);
+
+    expect(error).to.be.instanceOf(HederaTransactionError);
+    expect(error).to.include({ code: 'TOKEN_IS_PAUSED', phase: 'receipt', retryable: false, explanation: 'the token is paused' });
+    expect(error.message).to.equal('mintCredits failed: TOKEN_IS_PAUSED (the token is paused)');
+  });
+
+  it('reports the revert reason of contract transactions', async function () {
+    const error = await stranger.grantVerifier(contractId, evmAddressOf(stranger.operatorId)).catch((caught) => caught);
+
+    expect(error).to.be.instanceOf(ContractRevertError);
+    expect(error).to.include({
+      code: 'CONTRACT_REVERT_EXECUTED',
+      phase: 'receipt',
+      reason: 'Caller is not the owner',
+      errorName: 'Error',
+      retryable: false
+    });
+    expect(error.message).to.equal('grantVerifier failed: Caller is not the owner (CONTRACT_REVERT_EXECUTED)');
+  });
+
+  it('reports the revert reason of contract calls', async function () {
+    const query = new ContractCallQuery()
+      .setContractId(contractId)
+      .setGas(100000)
+      .setSenderAccountId(AccountId.fromString(stranger.operatorId.toString()))
+      .setFunction('revokeVerifier', new ContractFunctionParameters().addAddress(evmAddressOf(stranger.operatorId).slice(2)));
+    const cause = await ledger.query(query).catch((caught) => caught);
+    const error = HederaTransactionError.from('revokeVerifier', cause);
+
+    expect(error).to.be.instanceOf(ContractRevertError);
+    expect(error).to.include({ phase: 'precheck', reason: 'Caller is not the owner' });
+  });
+
+  it('marks failures the network may get past as retryable', async function () {
+    const error = await registry.getTransactionRecord(`${registry.operatorId}@1.1`).catch((caught) => caught);
+    expect(error).to.include({ code: 'RECORD_NOT_FOUND', phase: 'precheck', retryable: true });
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * Simulated network for the tests that run the contract
+ *
+ * The simulated ledger runs contracts on the Hardhat in-memory network, which
+ * every test file shares. Other tests already moved that network past the
+ * default start time, so each ledger starts at the time of its latest block.
+ */
+const { ethers } = require('hardhat');
+const { MockMirrorNode, createSimulatedLedger } = require('../../lib/simulation');
+
+/**
+ * Create a simulated ledger whose clock starts at the latest block of the in-memory network
+ *
+ * @returns {Promise<SimulatedLedger>}
+ */
+async function createNetworkLedger() {
+  const { timestamp } = await ethers.provider.getBlock('latest');
+  return createSimulatedLedger({ startTime: timestamp });
+}
+
+/**
+ * Start a simulated ledger with a mock mirror node and a BiodiversityLandParcel contract
+ *
+ * Stop the mirror node (`mirror.stop()`) once the tests are done.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.mirrorNode] Whether to start a mock mirror node (defaults to true)
+ * @param {boolean} [options.contract] Whether to deploy the contract (defaults to true)
+ * @returns {Promise<{ledger: SimulatedLedger, mirror: ?MockMirrorNode, contractId: ?string, contractAddress: ?string}>}
+ */
+async function startSimulatedNetwork({ mirrorNode = true, contract = true } = {}) {
+  const ledger = await createNetworkLedger();
+  const mirror = mirrorNode ? new MockMirrorNode({ ledger }) : null;
+  if (mirror) {
+    await mirror.start();
+  }
+  const deployed = contract ? await ledger.deployContract('BiodiversityLandParcel') : null;
+  return {
+    ledger,
+    mirror,
+    contractId: deployed ? deployed.contractId : null,
+    contractAddress: deployed ? deployed.evmAddress : null
+  };
+}
+
+module.exports = {
+  createNetworkLedger,
+  startSimulatedNetwork
+};
@@ -0,0 +1,45 @@
+/**
+ * Parcel records for the tests
+ */
+
+// Degrees of latitude and longitude on each side of a parcel
+const SIDE = 0.01;
+
+/**
+ * A 300-acre rainforest parcel record, a square of 0.01° whose ring starts and ends at its south-west corner
+ *
+ * @param {string} name
+ * @param {object} [fields] Fields replacing the defaults; `latitude` and `longitude` place the
+ *   south-west corner (defaults to -3.4, -62.2)
+ * @returns {object}
+ */
+function parcelNamed(name, { latitude = -3.4, longitude = -62.2, ...fields } = {}) {
+  const north = round(latitude + SIDE);
+  const east = round(longitude + SIDE);
+  return {
+    name,
+    boundaries: [
+      { latitude, longitude },
+      { latitude, longitude: east },
+      { latitude: north, longitude: east },
+      { latitude: north, longitude },
+      { latitude, longitude }
+    ],
+    areaInAcres: 300,
+    ecosystemType: 'Tropical Rainforest',
+    conservationStatus: 'Indigenous Territory',
+    protectionStartDate: 1262304000,
+    notableSpecies: ['Harpy Eagle'],
+    biodiversityRating: 4,
+    ...fields
+  };
+}
+
+// Keep the corners at the precision they are written with (-3.4 + 0.01 is -3.3899999999999997)
+function round(degrees) {
+  return Math.round(degrees * 1e6) / 1e6;
+}
+
+module.exports = {
+  parcelNamed
+};
@@ -0,0 +1,249 @@
+const { expect } = require('chai');
+const { IssuanceLedger } = require('../lib/issuance-ledger');
+const { parcelRecordHash } = require('../lib/parcel-record');
+const { BiodiversityRegistryClient, DEFAULT_CREDIT_MAX_SUPPLY, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { MemoryRegistryStore } = require('../lib/registry-store');
+const { evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+describe('IssuanceLedger', function () {
+  let ledger;
+  let mirror;
+  let contractId;
+  let topicId;
+  let tokenId;
+  let registry;
+  let owner;
+  let verifier;
+
+  before(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId } = await registry.createCreditToken());
+    await registry.setVerificationPolicy(contractId, { requiredAttestations: 1, challengeWindow: 0 });
+
+    owner = new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer() });
+    const verifierRegistry = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+    await registry.grantVerifier(contractId, evmAddressOf(verifierRegistry.operatorId));
+    verifier = new VerificationWorkflow({ registry: verifierRegistry, contractId, topicId, indexer: indexer() });
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  function indexer() {
+    return new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+  }
+
+  async function verified(name) {
+    const parcel = assignParcelId(parcelNamed(name), registry.operatorId.toString());
+    await registry.registerParcel(topicId, parcel);
+    await registry.addBiodiversityData(contractId, parcelAddress(parcel), 80, parcel);
+    await verifier.attest(parcel, { score: 80 });
+    return parcel;
+  }
+
+  async function totalSupply() {
+    return Number((await registry.getTokenInfo(tokenId)).totalSupply);
+  }
+
+  it('creates capped credit tokens, whose cap HTS enforces', async function () {
+    expect(await registry.getTokenInfo(tokenId)).to.include({ supplyType: 'FINITE', maxSupply: String(DEFAULT_CREDIT_MAX_SUPPLY) });
+
+    const { tokenId: small } = await registry.createCreditToken({ maxSupply: 10 });
+    await registry.mintCredits(small, 10);
+    const error = await registry.mintCredits(small, 1).catch((caught) => caught);
+    expect(error.code).to.equal('TOKEN_MAX_SUPPLY_REACHED');
+
+    const { tokenId: uncapped } = await registry.createCreditToken({ maxSupply: null });
+    expect(await registry.getTokenInfo(uncapped)).to.include({ supplyType: 'INFINITE' });
+    expect((await registry.createCreditToken({ maxSupply: 'lots' }).catch((caught) => caught)).message).to.match(/positive whole number/);
+  });
+
+  it('issues a verification round in parts, then refuses excess and duplicate mints', async function () {
+    const parcel = await verified('Jau National Park');
+
+    const first = await owner.issueCredits(parcel, { tokenId, amount: 10 });
+    expect(first.amount).to.equal(10);
+    expect(first.allowed).to.be.greaterThan(10);
+    expect(first.verifiedAt).to.be.a('number');
+
+    const supplyBefore = await totalSupply();
+    const excess = await owner.issueCredits(parcel, { tokenId, amount: first.allowed }).catch((caught) => caught);
+    expect(excess.code).to.equal('EXCESS_ISSUANCE');
+    expect(excess).to.include({ allowed: first.allowed, issued: 10, requested: first.allowed });
+
+    const rest = await owner.issueCredits(parcel, { tokenId });
+    expect(rest.amount).to.equal(first.allowed - 10);
+
+    // Another account's workflow sees the same ledger on the registry topic
+    const duplicate = await new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer() })
+      .issueCredits(parcel, { tokenId }).catch((caught) => caught);
+    expect(duplicate.code).to.equal('DUPLICATE_ISSUANCE');
+    expect(duplicate.message).to.match(/were already issued for the verification of/);
+    expect(await totalSupply()).to.equal(supplyBefore + rest.amount);
+
+    const state = indexer();
+    await state.sync();
+    const indexed = await state.getParcel(parcel.name);
+    expect(indexed.creditsMinted).to.equal(first.allowed);
+    expect(indexed.issuances.map((issuance) => issuance.verifiedAt)).to.deep.equal([first.verifiedAt, first.verifiedAt]);
+  });
+
+  it('keeps the methodology and allowance of the first issuance of a round', async function () {
+    const parcel = await verified('Tapajos Forest');
+
+    const first = await owner.issueCredits(parcel, { tokenId, methodology: 'area-rating@1.1.0', amount: 10 });
+    expect(first).to.include({ methodology: 'area-rating@1.1.0', amount: 10 });
+
+    // A methodology that calculates more cannot raise the round's allowance
+    const switched = await owner.issueCredits(parcel, { tokenId, methodology: 'weighted@2.1.0' }).catch((caught) => caught);
+    expect(switched).to.include({ code: 'METHODOLOGY_MISMATCH', methodology: 'area-rating@1.1.0', requestedMethodology: 'weighted@2.1.0' });
+    const issuanceLedger = new IssuanceLedger({ indexer: indexer() });
+    expect(await issuanceLedger.getEntitlement(parcel, { verifiedAt: first.verifiedAt, allowed: first.allowed * 10 }))
+      .to.include({ allowed: first.allowed, issued: 10 });
+
+    const rest = await owner.issueCredits(parcel, { tokenId });
+    expect(rest).to.include({ methodology: 'area-rating@1.1.0', asOf: first.asOf, allowed: first.allowed, amount: first.allowed - 10 });
+  });
+
+  it('refuses to issue for a record the contract did not verify', async function () {
+    const parcel = await verified('Negro River Igapo');
+    const supplyBefore = await totalSupply();
+
+    const error = await owner.issueCredits({ ...parcel, areaInAcres: 3000 }, { tokenId }).catch((caught) => caught);
+    expect(error).to.include({ code: 'RECORD_MISMATCH', contractRecordHash: parcelRecordHash(parcel) });
+    expect(error.message).to.match(/is not the record the contract verified/);
+    expect(await totalSupply()).to.equal(supplyBefore);
+  });
+
+  it('allows a new issuance once the parcel is re-assessed', async function () {
+    const parcel = await verified('Anavilhanas Archipelago');
+    const first = await owner.issueCredits(parcel, { tokenId });
+
+    // Approvals here never lapse: a holding approval is not re-assessed until the owner expires it
+    ledger.advanceTime(60);
+    expect((await owner.requestReassessment(parcel).catch((caught) => caught)).code).to.equal('CONTRACT_REVERT_EXECUTED');
+    await owner.expire(parcel);
+    expect((await owner.issueCredits(parcel, { tokenId }).catch((caught) => caught)).code).to.equal('VERIFICATION_INCOMPLETE');
+    await owner.requestReassessment(parcel);
+    await verifier.attest(parcel, { score: 80 });
+
+    const second = await owner.issueCredits(parcel, { tokenId });
+    expect(second.verifiedAt).to.be.greaterThan(first.verifiedAt);
+    expect(second.amount).to.be.greaterThan(0);
+    expect((await owner.issueCredits(parcel, { tokenId }).catch((caught) => caught)).code).to.equal('DUPLICATE_ISSUANCE');
+  });
+
+  it('finishes an issuance that stopped before its event instead of minting again', async function () {
+    const parcel = await verified('Jurua River Varzea');
+    const store = new MemoryRegistryStore();
+    const supplyBefore = await totalSupply();
+
+    // The mint goes through, but the run exits before it publishes the credits.issued event
+    const crashing = BiodiversityRegistryClient.forSimulation({ ledger });
+    crashing.recordIssuance = async () => {
+      throw new Error('process exited');
+    };
+    const exited = new VerificationWorkflow({ registry: crashing, contractId, topicId, indexer: indexer(), store });
+    expect((await exited.issueCredits(parcel, { tokenId }).catch((caught) => caught)).message).to.equal('process exited');
+    const saved = await store.load();
+    expect(saved).to.include({ parcelId: parcel.parcelId, finished: false });
+    expect(saved.mintTransactionId).to.equal(saved.transactions[0].transactionId);
+    const minted = (await totalSupply()) - supplyBefore;
+    expect(minted).to.equal(saved.issuance.amount);
+
+    const rerun = new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer(), store });
+    const finished = await rerun.issueCredits(parcel, { tokenId });
+    expect(finished).to.include({ resumed: true, amount: minted, mintTransactionId: saved.mintTransactionId });
+    expect(await totalSupply()).to.equal(supplyBefore + minted);
+    expect(await store.load()).to.include({ finished: true });
+
+    const state = indexer();
+    await state.sync();
+    expect((await state.getParcel(parcel.parcelId)).issuances.map((issuance) => issuance.mintTransactionId))
+      .to.deep.equal([saved.mintTransactionId]);
+    expect((await rerun.issueCredits(parcel, { tokenId }).catch((caught) => caught)).code).to.equal('DUPLICATE_ISSUANCE');
+  });
+
+  it('settles a mint whose response was lost before it publishes the event', async function () {
+    const parcel = await verified('Purus Headwaters');
+    const store = new MemoryRegistryStore();
+    const supplyBefore = await totalSupply();
+
+    const crashing = BiodiversityRegistryClient.forSimulation({ ledger });
+    crashing.retry.attempts = 1;
+    ledger.injectFailure(null, { afterExecution: true });
+    const lost = await new VerificationWorkflow({ registry: crashing, contractId, topicId, indexer: indexer(), store })
+      .issueCredits(parcel, { tokenId }).catch((caught) => caught);
+    expect(lost).to.include({ code: 'HEDERA_ERROR', retryable: true });
+    const saved = await store.load();
+    expect(saved).to.include({ mintTransactionId: null, finished: false });
+    expect(saved.transactions).to.have.length(1);
+
+    const finished = await new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer(), store })
+      .issueCredits(parcel, { tokenId });
+    expect(finished).to.include({ resumed: true, mintTransactionId: saved.transactions[0].transactionId });
+    expect(await totalSupply()).to.equal(supplyBefore + finished.amount);
+
+    // Another account cannot finish it
+    await store.save(saved);
+    const other = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 10 }).toString() });
+    const mismatch = await new VerificationWorkflow({ registry: other, contractId, topicId, indexer: indexer(), store })
+      .issueCredits(parcel, { tokenId }).catch((caught) => caught);
+    expect(mismatch.code).to.equal('CHECKPOINT_MISMATCH');
+  });
+
+  it('counts untagged issuances and mints not indexed yet against the current round', async function () {
+    const parcel = await verified('Mamiraua Floodplain');
+    const { verifiedAt } = await owner.getState(parcel);
+
+    // Recorded without a verification round, as before rounds were tagged
+    const state = indexer();
+    await state.sync();
+    const { parcelId } = parcel;
+    registry.followIndexedHead(parcelId, state.state.eventHeads[parcelId]);
+    await registry.recordIssuance(topicId, {
+      parcelId,
+      tokenId,
+      mintTransactionId: '0.0.2@1.1',
+      methodology: 'weighted@2.0.0',
+      amount: 30
+    });
+    const issuanceLedger = new IssuanceLedger({ indexer: indexer() });
+    expect(await issuanceLedger.getEntitlement(parcel, { verifiedAt, allowed: 100 })).to.include({ issued: 30, remaining: 70 });
+
+    // A mint whose credits.issued event the mirror node does not show yet
+    issuanceLedger.record(parcel, { verifiedAt, amount: 70, mintTransactionId: '0.0.2@2.2' });
+    const error = await issuanceLedger.authorize(parcel, { verifiedAt, allowed: 100 }).catch((caught) => caught);
+    expect(error.code).to.equal('DUPLICATE_ISSUANCE');
+    // A later round is not held back by an earlier one
+    expect(await issuanceLedger.authorize(parcel, { verifiedAt: verifiedAt + 3600, allowed: 100 })).to.include({ amount: 100 });
+  });
+
+  it('reconciles the registry with the token supply', async function () {
+    const reconciler = new IssuanceLedger({ registry, tokenId, indexer: indexer() });
+    const report = await reconciler.reconcile();
+    expect(report.consistent).to.equal(false);
+    // The untagged issuance of the previous test was recorded without a mint
+    expect(report.difference).to.equal(-30);
+    expect(report.maxSupply).to.equal(DEFAULT_CREDIT_MAX_SUPPLY);
+    expect(report.issued - report.retired).to.equal(report.expectedSupply);
+
+    await registry.mintCredits(tokenId, 30, { memo: 'BIO issuance weighted@2.0.0' });
+    const matched = await reconciler.reconcile();
+    expect(matched).to.include({ consistent: true, difference: 0, totalSupply: await totalSupply() });
+    expect(matched.parcels.find(({ name }) => name === 'Mamiraua Floodplain')).to.include({ issued: 30, retired: 0 });
+
+    // Credits minted outside the workflow show up as a surplus
+    await registry.mintCredits(tokenId, 5);
+    expect(await reconciler.reconcile()).to.include({ consistent: false, difference: 5 });
+  });
+});
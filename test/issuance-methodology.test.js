@@ -0,0 +1,119 @@
+const { expect } = require('chai');
+const {
+  DEFAULT_METHODOLOGY,
+  METHODOLOGIES,
+  SUPERSEDED_METHODOLOGIES,
+  calculateIssuance,
+  getIssuanceMethodology,
+  getMethodology,
+  listMethodologies
+} = require('../lib/issuance-methodology');
+const sampleParcels = require('../sample-data/sample-land-parcels.json');
+
+// 2025-01-01T00:00:00Z
+const AS_OF = 1735689600;
+
+// Declares 120 acres, but its boundaries enclose 53.83
+const REDWOOD = sampleParcels.find(({ name }) => name === 'Ancient Redwood Grove');
+// Declares 85 acres, less than the 103.6 its boundaries enclose
+const HIGHLAND = sampleParcels.find(({ name }) => name === 'Highland Meadow Wetland');
+
+describe('Issuance methodologies', function () {
+  it('calculates with the default methodology, now unless told otherwise', function () {
+    const before = Math.floor(Date.now() / 1000);
+    const issuance = calculateIssuance(HIGHLAND);
+
+    expect(issuance.methodology).to.equal(DEFAULT_METHODOLOGY).and.to.equal('weighted@2.1.0');
+    expect(issuance.asOf).to.be.within(before, before + 5);
+    expect(calculateIssuance(HIGHLAND, { asOf: AS_OF })).to.deep.equal({
+      methodology: 'weighted@2.1.0',
+      asOf: AS_OF,
+      amount: 520,
+      factors: {
+        areaInAcres: 85,
+        computedAreaInAcres: 103.6,
+        creditedAreaInAcres: 85,
+        biodiversityRating: 4,
+        ecosystemWeight: 1.2,
+        conservationStatusWeight: 0.95,
+        protectionYears: 22,
+        protectionWeight: 1.22,
+        threatenedSpecies: ['Boreal Toad', 'Yellow-billed Cuckoo'],
+        threatenedSpeciesWeight: 1.1
+      }
+    });
+  });
+
+  it('credits the lower of the declared and the boundary area', function () {
+    const weighted = calculateIssuance(REDWOOD, { asOf: AS_OF });
+    expect(weighted.factors).to.include({ areaInAcres: 120, computedAreaInAcres: 53.83, creditedAreaInAcres: 53.83 });
+    // 53.83 × 5 × 1.25 (old growth) × 1.0 (national park) × 1.23 (23 years) × 1.1 (two threatened species)
+    expect(weighted.amount).to.equal(455);
+
+    const areaRating = calculateIssuance(REDWOOD, { methodology: 'area-rating@1.1.0', asOf: AS_OF });
+    expect(areaRating).to.include({ methodology: 'area-rating@1.1.0', amount: 269 });
+    expect(areaRating.factors).to.deep.equal({
+      areaInAcres: 120,
+      computedAreaInAcres: 53.83,
+      creditedAreaInAcres: 53.83,
+      biodiversityRating: 5
+    });
+    expect(calculateIssuance(HIGHLAND, { methodology: 'area-rating@1.1.0', asOf: AS_OF }).amount).to.equal(85 * 4);
+  });
+
+  it('weights protection time as of the evaluation time', function () {
+    const protectedFor = (years) => calculateIssuance(HIGHLAND, {
+      asOf: HIGHLAND.protectionStartDate + years * 365.25 * 24 * 60 * 60
+    }).factors;
+
+    expect(protectedFor(0)).to.include({ protectionYears: 0, protectionWeight: 1 });
+    expect(protectedFor(10.5)).to.include({ protectionYears: 10, protectionWeight: 1.1 });
+    expect(protectedFor(40)).to.include({ protectionYears: 40, protectionWeight: 1.25 });
+    expect(calculateIssuance(HIGHLAND, { asOf: HIGHLAND.protectionStartDate - 1 }).factors).to.include({ protectionYears: 0 });
+  });
+
+  it('keeps superseded versions for recomputing past issuances only', function () {
+    expect(SUPERSEDED_METHODOLOGIES).to.deep.equal({
+      'area-rating@1.0.0': 'area-rating@1.1.0',
+      'weighted@2.0.0': 'weighted@2.1.0'
+    });
+    expect(listMethodologies().map(({ id, supersededBy }) => [id, supersededBy])).to.deep.equal([
+      ['area-rating@1.0.0', 'area-rating@1.1.0'],
+      ['weighted@2.0.0', 'weighted@2.1.0'],
+      ['area-rating@1.1.0', null],
+      ['weighted@2.1.0', null]
+    ]);
+
+    expect(() => calculateIssuance(REDWOOD, { methodology: 'weighted@2.0.0', asOf: AS_OF }))
+      .to.throw('Issuance methodology "weighted@2.0.0" was superseded by "weighted@2.1.0"');
+    expect(() => getIssuanceMethodology('area-rating@1.0.0')).to.throw('superseded by "area-rating@1.1.0"');
+    expect(getIssuanceMethodology('weighted@2.1.0')).to.equal(METHODOLOGIES['weighted@2.1.0']);
+
+    // Past issuances recompute to the amounts minted at the time, on the declared area
+    expect(calculateIssuance(REDWOOD, { methodology: 'area-rating@1.0.0', asOf: AS_OF, recompute: true }))
+      .to.deep.equal({
+        methodology: 'area-rating@1.0.0',
+        asOf: AS_OF,
+        amount: 600,
+        factors: { areaInAcres: 120, biodiversityRating: 5 }
+      });
+    const weighted = calculateIssuance(REDWOOD, { methodology: 'weighted@2.0.0', asOf: AS_OF, recompute: true });
+    expect(weighted.amount).to.equal(1014);
+    expect(weighted.factors).to.not.have.property('creditedAreaInAcres');
+  });
+
+  it('refuses unknown methodologies and edits to published ones', function () {
+    expect(() => getMethodology('weighted@3.0.0'))
+      .to.throw('Unknown issuance methodology "weighted@3.0.0" (available: area-rating@1.0.0, weighted@2.0.0, ' +
+        'area-rating@1.1.0, weighted@2.1.0)');
+    expect(() => calculateIssuance(REDWOOD, { methodology: 'weighted', recompute: true })).to.throw('Unknown issuance methodology');
+
+    // Published methodologies and their reference lists are frozen
+    expect(Object.isFrozen(METHODOLOGIES)).to.equal(true);
+    for (const methodology of Object.values(METHODOLOGIES)) {
+      expect(Object.isFrozen(methodology), methodology.id).to.equal(true);
+    }
+    expect(Object.isFrozen(METHODOLOGIES['weighted@2.1.0'].threatenedSpecies)).to.equal(true);
+    expect(METHODOLOGIES['weighted@2.1.0'].ecosystemWeights).to.equal(METHODOLOGIES['weighted@2.0.0'].ecosystemWeights);
+  });
+});
@@ -0,0 +1,95 @@
+const { expect } = require('chai');
+const { PrivateKey } = require('@hashgraph/sdk');
+const { OperatorKeyError } = require('../lib/errors');
+const { hardhatAccounts, loadOperatorKey, parseOperatorKey, toEvmPrivateKey } = require('../lib/operator-key');
+
+const ED25519_KEY = PrivateKey.generateED25519();
+const ECDSA_KEY = PrivateKey.generateECDSA();
+
+// The error a call throws, or null
+function failureOf(call) {
+  try {
+    call();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+describe('Operator keys', function () {
+  it('parses DER-encoded ED25519 and ECDSA keys', function () {
+    const ed25519 = parseOperatorKey(ED25519_KEY.toStringDer());
+    expect(ed25519.type).to.equal('ED25519');
+    expect(ed25519.toStringRaw()).to.equal(ED25519_KEY.toStringRaw());
+
+    const ecdsa = parseOperatorKey(ECDSA_KEY.toStringDer());
+    expect(ecdsa.type).to.equal('secp256k1');
+    expect(ecdsa.toStringRaw()).to.equal(ECDSA_KEY.toStringRaw());
+
+    // Whitespace, upper case and a 0x prefix do not matter, and a matching key type is accepted
+    const padded = `  0x${ECDSA_KEY.toStringDer().toUpperCase()}\n`;
+    expect(parseOperatorKey(padded, { keyType: 'ECDSA' }).toStringRaw()).to.equal(ECDSA_KEY.toStringRaw());
+  });
+
+  it('refuses a key type that contradicts the DER encoding', function () {
+    const error = failureOf(() => parseOperatorKey(ED25519_KEY.toStringDer(), { keyType: 'ecdsa' }));
+    expect(error).to.be.instanceOf(OperatorKeyError).and.include({ code: 'INVALID_OPERATOR_KEY' });
+    expect(error.message).to.equal('Operator key is a DER-encoded ed25519 key, but the key type is set to ecdsa');
+  });
+
+  it('reads 0x-prefixed raw keys as ECDSA', function () {
+    const key = parseOperatorKey(`0x${ECDSA_KEY.toStringRaw()}`);
+    expect(key.type).to.equal('secp256k1');
+    expect(key.toStringRaw()).to.equal(ECDSA_KEY.toStringRaw());
+  });
+
+  it('reads bare raw keys by OPERATOR_KEY_TYPE', function () {
+    const ed25519 = loadOperatorKey({ OPERATOR_KEY: ED25519_KEY.toStringRaw(), OPERATOR_KEY_TYPE: 'ed25519' });
+    expect(ed25519.type).to.equal('ED25519');
+    expect(ed25519.publicKey.toStringRaw()).to.equal(ED25519_KEY.publicKey.toStringRaw());
+
+    const ecdsa = loadOperatorKey({ OPERATOR_KEY: ECDSA_KEY.toStringRaw(), OPERATOR_KEY_TYPE: ' ECDSA ' });
+    expect(ecdsa.type).to.equal('secp256k1');
+    expect(ecdsa.publicKey.toStringRaw()).to.equal(ECDSA_KEY.publicKey.toStringRaw());
+
+    // The key type also overrides the ECDSA default of 0x-prefixed keys
+    expect(parseOperatorKey(`0x${ED25519_KEY.toStringRaw()}`, { keyType: 'ed25519' }).type).to.equal('ED25519');
+  });
+
+  it('refuses a bare raw key without a key type', function () {
+    const error = failureOf(() => loadOperatorKey({ OPERATOR_KEY: ECDSA_KEY.toStringRaw() }));
+    expect(error).to.be.instanceOf(OperatorKeyError);
+    expect(error.message).to.equal(
+      'Operator key is a raw hex key, which does not say whether it is ED25519 or ECDSA; ' +
+      'set OPERATOR_KEY_TYPE to "ed25519" or "ecdsa", or use the DER-encoded key'
+    );
+    expect(error.message).to.not.include(ECDSA_KEY.toStringRaw());
+  });
+
+  it('refuses missing, malformed and unknown keys', function () {
+    expect(failureOf(() => loadOperatorKey({})).message).to.equal('Environment variable OPERATOR_KEY must be present');
+    expect(failureOf(() => parseOperatorKey('  ')).message).to.equal('Operator key is empty');
+    expect(failureOf(() => parseOperatorKey('not a key')).message).to.equal('Operator key must be hex encoded');
+    expect(failureOf(() => parseOperatorKey('abcd')).message)
+      .to.equal('Operator key is neither a DER-encoded key nor a raw 32-byte key (got 2 bytes)');
+    expect(failureOf(() => parseOperatorKey(ECDSA_KEY.toStringRaw(), { keyType: 'rsa' })).message)
+      .to.equal('Unknown operator key type "rsa" (expected one of: ed25519, ecdsa)');
+    for (const call of [() => loadOperatorKey({}), () => parseOperatorKey('abcd')]) {
+      expect(failureOf(call)).to.be.instanceOf(OperatorKeyError);
+    }
+  });
+
+  it('derives the EVM private key of secp256k1 keys only', function () {
+    expect(toEvmPrivateKey(ECDSA_KEY)).to.equal(`0x${ECDSA_KEY.toStringRaw()}`);
+    expect(hardhatAccounts({ OPERATOR_KEY: ECDSA_KEY.toStringDer() })).to.deep.equal([`0x${ECDSA_KEY.toStringRaw()}`]);
+    expect(hardhatAccounts({})).to.deep.equal([]);
+
+    const error = failureOf(() => toEvmPrivateKey(ED25519_KEY));
+    expect(error).to.be.instanceOf(OperatorKeyError);
+    expect(error.message).to.equal(
+      'Operator key is an ED25519 key, which cannot sign EVM transactions; ' +
+      'use an ECDSA secp256k1 account for the JSON-RPC relay'
+    );
+    expect(() => hardhatAccounts({ OPERATOR_KEY: ED25519_KEY.toStringDer() })).to.throw(OperatorKeyError);
+  });
+});
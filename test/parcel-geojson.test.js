@@ -0,0 +1,121 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { GeoJsonError } = require('../lib/errors');
+const {
+  parcelsFromGeoJson,
+  parcelsToGeoJson,
+  readParcelsFile,
+  registryToGeoJson
+} = require('../lib/parcel-geojson');
+const { parcelRecordHash } = require('../lib/parcel-record');
+const { assignParcelId } = require('../lib/registry-messages');
+
+const SAMPLE_FILE = path.join(__dirname, '..', 'sample-data', 'sample-land-parcels.json');
+
+// A feature with the given geometry, named "Drawn in QGIS"
+function feature(geometry) {
+  return { type: 'Feature', geometry, properties: { name: 'Drawn in QGIS' } };
+}
+
+describe('Parcel GeoJSON', function () {
+  const parcels = JSON.parse(fs.readFileSync(SAMPLE_FILE, 'utf8'));
+
+  it('exports parcels as polygon features and imports them back unchanged', function () {
+    const collection = parcelsToGeoJson(parcels);
+    const [first] = collection.features;
+
+    expect(collection.type).to.equal('FeatureCollection');
+    expect(first).to.not.have.property('id');
+    expect(first.geometry.type).to.equal('Polygon');
+    expect(first.geometry.coordinates[0]).to.deep.equal(
+      parcels[0].boundaries.map(({ latitude, longitude }) => [longitude, latitude]));
+    expect(first.properties).to.not.have.property('boundaries');
+    expect(first.properties).to.include({ name: parcels[0].name, areaInAcres: parcels[0].areaInAcres });
+
+    const imported = parcelsFromGeoJson(JSON.parse(JSON.stringify(collection)));
+    expect(imported).to.deep.equal(parcels);
+    expect(imported.map(parcelRecordHash)).to.deep.equal(parcels.map(parcelRecordHash));
+
+    // A registered record keeps its ID, as the feature id and among the properties
+    const registered = assignParcelId(parcels[0], '0.0.1001');
+    const feature = parcelsToGeoJson([registered]).features[0];
+    expect(feature.id).to.equal(registered.parcelId);
+    expect(parcelsFromGeoJson(JSON.parse(JSON.stringify(feature)))).to.deep.equal([registered]);
+  });
+
+  it('reads parcels files as JSON or GeoJSON', function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'parcel-geojson-'));
+    try {
+      const geoJsonFile = path.join(directory, 'parcels.geojson');
+      fs.writeFileSync(geoJsonFile, JSON.stringify(parcelsToGeoJson(parcels)));
+      const singleFile = path.join(directory, 'parcel.json');
+      fs.writeFileSync(singleFile, JSON.stringify(parcels[0]));
+
+      expect(readParcelsFile(geoJsonFile)).to.deep.equal(parcels);
+      expect(readParcelsFile(singleFile)).to.deep.equal([parcels[0]]);
+      expect(readParcelsFile(SAMPLE_FILE)).to.deep.equal(parcels);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('reads a MultiPolygon of one polygon and ignores altitudes', function () {
+    const ring = [[-47.9, -15.8, 1020], [-47.88, -15.8, 1015], [-47.88, -15.78, 1011], [-47.9, -15.8, 1020]];
+    const [parcel] = parcelsFromGeoJson(feature({ type: 'MultiPolygon', coordinates: [[ring]] }));
+
+    expect(parcel).to.deep.equal({
+      name: 'Drawn in QGIS',
+      boundaries: [
+        { latitude: -15.8, longitude: -47.9 },
+        { latitude: -15.8, longitude: -47.88 },
+        { latitude: -15.78, longitude: -47.88 },
+        { latitude: -15.8, longitude: -47.9 }
+      ]
+    });
+  });
+
+  it('rejects features that are not a single polygon without holes', function () {
+    const ring = [[0, 0], [0, 1], [1, 1], [0, 0]];
+    const hole = [[0.1, 0.2], [0.1, 0.3], [0.2, 0.3], [0.1, 0.2]];
+
+    expect(() => parcelsFromGeoJson(feature({ type: 'Polygon', coordinates: [ring, hole] })))
+      .to.throw(GeoJsonError, 'Feature "Drawn in QGIS" has holes')
+      .with.property('code', 'INVALID_GEOJSON');
+    expect(() => parcelsFromGeoJson(feature({ type: 'MultiPolygon', coordinates: [[ring], [ring]] })))
+      .to.throw(GeoJsonError, 'MultiPolygon of 2 polygons');
+    expect(() => parcelsFromGeoJson({ type: 'FeatureCollection', features: [{ type: 'Feature', geometry: { type: 'Point', coordinates: [0, 0] } }] }))
+      .to.throw(GeoJsonError, 'Feature 1 is a Point');
+    expect(() => parcelsFromGeoJson(parcels)).to.throw(GeoJsonError, 'FeatureCollection or Feature');
+  });
+
+  it('exports the registry with flat status properties', function () {
+    const [parcel] = parcels;
+    const state = {
+      parcelId: assignParcelId(parcel, '0.0.1001').parcelId,
+      name: parcel.name,
+      boundaries: parcel.boundaries,
+      owner: '0.0.1001',
+      areaInAcres: parcel.areaInAcres,
+      verificationStatus: 'approved',
+      creditsMinted: 500,
+      nft: { tokenId: '0.0.2002', serial: 3 },
+      attestations: [{ verifier: '0.0.3003' }]
+    };
+
+    const [exported] = registryToGeoJson([state]).features;
+    expect(exported.id).to.equal(state.parcelId);
+    expect(exported.geometry).to.deep.equal(parcelsToGeoJson([parcel]).features[0].geometry);
+    expect(exported.properties).to.deep.equal({
+      parcelId: state.parcelId,
+      name: parcel.name,
+      owner: '0.0.1001',
+      areaInAcres: parcel.areaInAcres,
+      verificationStatus: 'approved',
+      creditsMinted: 500,
+      nftTokenId: '0.0.2002',
+      nftSerial: 3
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { expect } = require('chai');
+const { EntityResolver } = require('../lib/entity-resolver');
+const { ParcelNfts, parcelNftMetadata } = require('../lib/parcel-nfts');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+describe('ParcelNfts', function () {
+  let ledger;
+  let mirror;
+  let registry;
+  let contractId;
+  let topicId;
+  let collectionId;
+  let creditTokenId;
+  let verifier;
+
+  before(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId: collectionId } = await registry.createParcelCollection());
+    ({ tokenId: creditTokenId } = await registry.createCreditToken());
+    await registry.setVerificationPolicy(contractId, { requiredAttestations: 1, challengeWindow: 0 });
+    verifier = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+    await registry.grantVerifier(contractId, evmAddressOf(verifier.operatorId));
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  function indexer() {
+    return new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+  }
+
+  function nftsFor(client) {
+    return new ParcelNfts({
+      registry: client,
+      topicId,
+      collectionId,
+      contractId,
+      indexer: indexer(),
+      resolver: new EntityResolver({ mirrorNodeUrl: mirror.url, retries: 0 })
+    });
+  }
+
+  async function register(name) {
+    const parcel = assignParcelId(parcelNamed(name), registry.operatorId.toString());
+    await registry.registerParcel(topicId, parcel);
+    await registry.addBiodiversityData(contractId, parcelAddress(parcel), 80, parcel);
+    return parcel;
+  }
+
+  async function holderClient() {
+    const client = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }).toString() });
+    await client.associateTokens([collectionId]);
+    return client;
+  }
+
+  it('mints one NFT per parcel pointing at its registry entry, and links issued credits to it', async function () {
+    const parcel = await register('Cloud Forest Reserve');
+    const nfts = nftsFor(registry);
+
+    const tokenized = await nfts.tokenize(parcel);
+    expect(tokenized).to.include({ tokenId: collectionId, serial: 1, alreadyTokenized: false });
+    expect(ledger.getNft(collectionId, 1).metadata.toString()).to.equal(`hcs://biodiversity-registry/${topicId}/${parcel.parcelId}`);
+    expect(await nfts.tokenize(parcel)).to.include({ serial: 1, alreadyTokenized: true });
+
+    await new VerificationWorkflow({ registry: verifier, contractId, topicId, indexer: indexer() }).attest(parcel, { score: 80 });
+    const workflow = new VerificationWorkflow({ registry, contractId, topicId, indexer: indexer() });
+    const issuance = await workflow.issueCredits(parcel, { tokenId: creditTokenId });
+    expect(issuance.parcelNft).to.deep.equal({ tokenId: collectionId, serial: 1 });
+
+    const state = indexer();
+    await state.sync();
+    expect(state.state.rejected).to.deep.equal([]);
+    const record = await state.getParcelByNft(collectionId, 1);
+    expect(record.name).to.equal(parcel.name);
+    expect(record.issuances[0].parcelNft).to.deep.equal({ tokenId: collectionId, serial: 1 });
+  });
+
+  it('moves the registry owner and the contract registrant with the NFT', async function () {
+    const parcel = await register('Highland Meadow');
+    await nftsFor(registry).tokenize(parcel);
+    const buyer = await holderClient();
+
+    const transfer = await nftsFor(registry).transfer(parcel, { to: buyer.operatorId.toString() });
+    expect(transfer.registrantTransactionId).to.be.a('string');
+    expect(ledger.getNft(collectionId, transfer.serial).accountId.toString()).to.equal(buyer.operatorId.toString());
+    expect((await registry.getBiodiversityData(contractId, parcelAddress(parcel))).registrant)
+      .to.equal(evmAddressOf(buyer.operatorId));
+
+    const state = indexer();
+    await state.sync();
+    const record = await state.getParcel(parcel.name);
+    expect(record.owner).to.equal(buyer.operatorId.toString());
+    expect(record.transfers.map(({ from, to }) => ({ from, to }))).to.deep.equal([
+      { from: ledger.operatorId.toString(), to: buyer.operatorId.toString() }
+    ]);
+  });
+
+  it('refuses to transfer to an account that is not associated with the collection', async function () {
+    const parcel = await register('Wetland Corridor');
+    await nftsFor(registry).tokenize(parcel);
+    const stranger = ledger.createAccount({ hbars: 100 }).toString();
+
+    const error = await nftsFor(registry).transfer(parcel, { to: stranger }).catch((caught) => caught);
+    expect(error.code).to.equal('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    const untokenized = await register('Untokenized Grassland');
+    expect((await nftsFor(registry).transfer(untokenized, { to: stranger }).catch((caught) => caught)).code)
+      .to.equal('PARCEL_NOT_TOKENIZED');
+  });
+
+  it('reconciles NFTs transferred outside the registry', async function () {
+    const parcel = await register('Karst Woodland');
+    const { serial } = await nftsFor(registry).tokenize(parcel);
+    const buyer = await holderClient();
+    await registry.transferNft(collectionId, serial, buyer.operatorId.toString());
+
+    expect(await nftsFor(registry).reconcile()).to.deep.equal([
+      { name: parcel.name, from: ledger.operatorId.toString(), to: buyer.operatorId.toString(), status: 'transferred' }
+    ]);
+    expect(await nftsFor(registry).reconcile()).to.deep.equal([]);
+    expect((await registry.getBiodiversityData(contractId, parcelAddress(parcel))).registrant)
+      .to.equal(evmAddressOf(buyer.operatorId));
+    const state = indexer();
+    await state.sync();
+    expect((await state.getParcel(parcel.name)).owner).to.equal(buyer.operatorId.toString());
+  });
+
+  it('keeps NFT metadata within the HTS limit', function () {
+    expect(Buffer.byteLength(parcelNftMetadata('0.0.123456789', assignParcelId(parcelNamed('x'), '0.0.123456789')))).to.be.at.most(100);
+  });
+});
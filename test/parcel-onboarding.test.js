@@ -0,0 +1,152 @@
+const { Status } = require('@hashgraph/sdk');
+const { expect } = require('chai');
+const { checkDeclaredArea } = require('../lib/geo-area');
+const { ParcelNfts } = require('../lib/parcel-nfts');
+const { onboardParcel, onboardParcels } = require('../lib/parcel-onboarding');
+const { ParcelSpatialIndex } = require('../lib/parcel-overlap');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { evmAddressOf } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+describe('Parcel onboarding', function () {
+  let ledger;
+  let mirror;
+  let registry;
+  let contractId;
+  let topicId;
+  let collectionId;
+
+  before(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId: collectionId } = await registry.createParcelCollection());
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  function nftsFor(client) {
+    return new ParcelNfts({
+      registry: client,
+      topicId,
+      collectionId,
+      contractId,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url })
+    });
+  }
+
+  function checksOf(parcel, options = {}) {
+    return {
+      areaCheck: checkDeclaredArea(parcel, options),
+      overlapCheck: new ParcelSpatialIndex().checkOverlap(parcel)
+    };
+  }
+
+  it('registers a parcel, adds its data for the verifiers and mints its NFT', async function () {
+    const parcel = assignParcelId(parcelNamed('Jaguar Corridor', { latitude: -3.4 }), registry.operatorId.toString());
+    const nfts = nftsFor(registry);
+    const result = await onboardParcel({ registry, nfts, contractId }, parcel, checksOf(parcel));
+
+    expect(result).to.include({ name: 'Jaguar Corridor', parcelId: parcel.parcelId, nonce: parcel.nonce,
+      status: 'awaiting-verification', topicSequenceNumber: '1' });
+    expect(result.contractTransactionId).to.be.a('string');
+    expect(result.nftMintTransactionId).to.be.a('string');
+
+    // The parcel.tokenized event links the registered parcel to its NFT
+    await nfts.indexer.sync();
+    const indexed = await nfts.indexer.getParcel(parcel.parcelId);
+    expect(indexed.nft).to.deep.equal({ tokenId: collectionId, serial: result.nftSerial });
+    const data = await registry.getBiodiversityData(contractId, parcel.parcelId);
+    expect(data).to.include({ biodiversityScore: 80, ecosystemType: 'Tropical Rainforest', registrant: evmAddressOf(registry.operatorId) });
+  });
+
+  it('registers a parcel that needs review without contract data or NFT', async function () {
+    const parcel = assignParcelId({ ...parcelNamed('Oxbow Lagoon', { latitude: -3.2 }), areaInAcres: 900 }, registry.operatorId.toString());
+    const result = await onboardParcel({ registry, nfts: nftsFor(registry), contractId }, parcel, checksOf(parcel));
+
+    expect(result).to.include({ status: 'review' });
+    expect(result.reviewReasons).to.deep.equal(['area']);
+    expect(result).to.not.have.property('contractTransactionId');
+    expect(result).to.not.have.property('nftSerial');
+  });
+
+  it('registers a parcel again under its ID, after its latest event, keeping its NFT', async function () {
+    const parcel = assignParcelId(parcelNamed('Tapir Floodplain', { latitude: -3.0 }), registry.operatorId.toString());
+    const first = await onboardParcel({ registry, nfts: nftsFor(registry), contractId }, parcel, checksOf(parcel));
+
+    // A later run has not published the parcel's events itself
+    const rerun = BiodiversityRegistryClient.forSimulation({ ledger });
+    const nfts = nftsFor(rerun);
+    await nfts.indexer.sync();
+    const again = await onboardParcel({ registry: rerun, nfts, contractId }, parcel, checksOf(parcel));
+
+    expect(again).to.include({ status: 'awaiting-verification', nftSerial: first.nftSerial, nftMintTransactionId: null });
+    await nfts.indexer.sync();
+    expect(nfts.indexer.state.rejected).to.deep.equal([]);
+  });
+
+  it('records the step that failed instead of throwing', async function () {
+    const parcel = assignParcelId(parcelNamed('Heron Marsh', { latitude: -2.8 }), registry.operatorId.toString());
+    const flaky = BiodiversityRegistryClient.forSimulation({ ledger, retry: { attempts: 1 } });
+    ledger.injectFailure(Status.Busy);
+    const result = await onboardParcel({ registry: flaky, nfts: nftsFor(flaky), contractId }, parcel, checksOf(parcel));
+
+    expect(result).to.include({ status: 'failed', failedStep: 'registration', errorCode: 'BUSY', retryable: true });
+    expect(result).to.not.have.property('registrationTransactionId');
+  });
+
+  it('onboards a batch, recording the parcels it skipped or that failed without stopping', async function () {
+    const flaky = BiodiversityRegistryClient.forSimulation({ ledger, retry: { attempts: 1 } });
+    // The contract data of the third parcel fails; the fourth is still onboarded
+    let contractCalls = 0;
+    flaky.onSubmit = ({ operation }) => {
+      if (operation === 'addBiodiversityData' && ++contractCalls === 2) {
+        ledger.injectFailure(Status.Busy);
+      }
+    };
+    const records = [
+      parcelNamed('Sloth Canopy', { latitude: -2.4 }),
+      { ...parcelNamed('Unmapped Grove', { latitude: -2.2 }), boundaries: [] },
+      parcelNamed('Manatee Inlet', { latitude: -2.0 }),
+      // Claims the land of the first parcel of the batch
+      parcelNamed('Canopy Annex', { latitude: -2.4 }),
+      parcelNamed('Otter Creek', { latitude: -1.8 })
+    ];
+    const reported = [];
+    const results = await onboardParcels(
+      { registry: flaky, nfts: nftsFor(flaky), contractId, spatialIndex: new ParcelSpatialIndex() },
+      records,
+      { overlapAction: 'reject', onResult: (result, index) => reported.push(index) }
+    );
+
+    expect(results.map(({ name, status, failedStep }) => [name, status, failedStep])).to.deep.equal([
+      ['Sloth Canopy', 'awaiting-verification', undefined],
+      ['Unmapped Grove', 'failed', 'validation'],
+      ['Manatee Inlet', 'failed', 'contract'],
+      ['Canopy Annex', 'failed', 'overlap-check'],
+      ['Otter Creek', 'awaiting-verification', undefined]
+    ]);
+    expect(reported).to.deep.equal([0, 1, 2, 3, 4]);
+    expect(results[1].validationErrors.map(({ field }) => field)).to.include('boundaries');
+    expect(results[2]).to.include({ errorCode: 'BUSY', retryable: true });
+    expect(results[2].registrationTransactionId).to.be.a('string');
+    expect(results[3].overlapCheck.overlaps.map(({ name }) => name)).to.deep.equal(['Sloth Canopy']);
+    // Records without an ID get a new one, to keep with the record
+    expect(results[4].nonce).to.match(/^[0-9a-f]{32}$/);
+  });
+
+  it('plans the registration, the contract data and the mint on a dry run', async function () {
+    const parcel = assignParcelId(parcelNamed('Macaw Ridge', { latitude: -2.6 }), registry.operatorId.toString());
+    const dryRun = BiodiversityRegistryClient.forSimulation({ ledger, dryRun: true });
+    const result = await onboardParcel({ registry: dryRun, nfts: nftsFor(dryRun), contractId }, parcel, checksOf(parcel));
+
+    expect(result).to.include({ status: 'awaiting-verification', nftSerial: null });
+    expect(dryRun.plannedTransactions.map(({ operation }) => operation))
+      .to.deep.equal(['registerParcel', 'addBiodiversityData', 'mintNft']);
+  });
+});
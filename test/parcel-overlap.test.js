@@ -0,0 +1,156 @@
+const { expect } = require('chai');
+const { ParcelOverlapError } = require('../lib/errors');
+const {
+  SQUARE_METERS_PER_ACRE,
+  polygonAreaAcres,
+  polygonAreaSquareMeters,
+  polygonIntersectionSquareMeters
+} = require('../lib/geo-area');
+const { ParcelSpatialIndex } = require('../lib/parcel-overlap');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+// A square parcel with its south-west corner at the given point
+function square(name, latitude, longitude, size = 0.01) {
+  const boundaries = [
+    { latitude, longitude },
+    { latitude, longitude: longitude + size },
+    { latitude: latitude + size, longitude: longitude + size },
+    { latitude: latitude + size, longitude },
+    { latitude, longitude }
+  ];
+  return {
+    name,
+    boundaries,
+    areaInAcres: Math.round(polygonAreaAcres(boundaries)),
+    ecosystemType: 'Grassland',
+    conservationStatus: 'Private Reserve',
+    protectionStartDate: 1262304000,
+    notableSpecies: ['Burrowing Owl'],
+    biodiversityRating: 3
+  };
+}
+
+// A parcel record with the ID of its registration
+function registered(parcel) {
+  return assignParcelId(parcel, '0.0.1001');
+}
+
+describe('Parcel overlaps', function () {
+  it('measures the area two polygons share', function () {
+    const parcel = square('Base', 10, 20).boundaries;
+    const area = polygonAreaSquareMeters(parcel);
+
+    expect(polygonIntersectionSquareMeters(parcel, parcel)).to.be.closeTo(area, 1e-6 * area);
+    expect(polygonIntersectionSquareMeters(parcel, parcel.slice().reverse())).to.be.closeTo(area, 1e-6 * area);
+    expect(polygonIntersectionSquareMeters(parcel, square('Half', 10.005, 20).boundaries) / area).to.be.closeTo(0.5, 1e-4);
+    expect(polygonIntersectionSquareMeters(parcel, square('Neighbour', 10, 20.01).boundaries)).to.equal(0);
+  });
+
+  it('measures concave polygons', function () {
+    // An L shape: a 0.02° square without its north-east quarter
+    const lShape = [
+      { latitude: 0, longitude: 0 },
+      { latitude: 0, longitude: 0.02 },
+      { latitude: 0.01, longitude: 0.02 },
+      { latitude: 0.01, longitude: 0.01 },
+      { latitude: 0.02, longitude: 0.01 },
+      { latitude: 0.02, longitude: 0 }
+    ];
+    const notch = square('Notch', 0.01, 0.01).boundaries;
+    const centre = square('Centre', 0.005, 0.005).boundaries;
+
+    expect(polygonIntersectionSquareMeters(lShape, notch)).to.equal(0);
+    expect(polygonIntersectionSquareMeters(lShape, centre) / polygonAreaSquareMeters(centre)).to.be.closeTo(0.75, 1e-6);
+    expect(polygonIntersectionSquareMeters(centre, lShape) / polygonAreaSquareMeters(centre)).to.be.closeTo(0.75, 1e-6);
+  });
+
+  it('reports the parcels a boundary overlaps and the shared area', function () {
+    const base = registered(square('Base', 10, 20));
+    const neighbour = registered(square('Neighbour', 10, 20.01));
+    const index = ParcelSpatialIndex.fromRegistry([base, neighbour]);
+    const shifted = square('Shifted', 10, 20.005);
+
+    const overlaps = index.findOverlaps(shifted);
+    expect(overlaps.map(({ parcelId, name, ratio }) => ({ parcelId, name, ratio }))).to.have.deep.members([
+      { parcelId: base.parcelId, name: 'Base', ratio: 0.5 },
+      { parcelId: neighbour.parcelId, name: 'Neighbour', ratio: 0.5 }
+    ]);
+    expect(overlaps[0].sharedAcres).to.be.closeTo(polygonAreaAcres(square('Base', 10, 20).boundaries) / 2, 0.01);
+    expect(overlaps[0].sharedAreaSquareMeters / SQUARE_METERS_PER_ACRE).to.be.closeTo(overlaps[0].sharedAcres, 0.01);
+
+    // A parcel registered again does not overlap itself, but a new parcel of the same name does
+    const moved = { ...base, boundaries: square('Base', 10, 20.002).boundaries };
+    expect(index.findOverlaps(moved).map(({ name }) => name)).to.deep.equal(['Neighbour']);
+    expect(index.findOverlaps(square('Base', 10, 20.002)).map(({ name }) => name)).to.have.members(['Base', 'Neighbour']);
+  });
+
+  it('measures overlaps against the smaller parcel', function () {
+    const index = ParcelSpatialIndex.fromRegistry([registered(square('Reserve', 10, 20, 0.1))]);
+
+    const inside = index.checkOverlap(square('Inside', 10.05, 20.05));
+    expect(inside.withinTolerance).to.equal(false);
+    expect(inside.overlaps[0]).to.include({ name: 'Reserve', ratio: 1 });
+
+    const sliver = index.checkOverlap(square('Sliver', 10.0995, 20.05), { tolerance: 0.1 });
+    expect(sliver.overlaps[0].ratio).to.be.closeTo(0.05, 0.001);
+    expect(sliver.withinTolerance).to.equal(true);
+
+    expect(() => index.assertNoOverlap(square('Inside', 10.05, 20.05)))
+      .to.throw(ParcelOverlapError, '"Reserve"')
+      .with.property('code', 'PARCEL_OVERLAP');
+  });
+
+  it('finds overlaps across grid cells and the antimeridian', function () {
+    const index = new ParcelSpatialIndex({ cellSize: 0.01 });
+    const large = registered(square('Large', 10, 20, 0.05));
+    index.add(large);
+    const dateline = registered(square('Dateline', -17, 179.995));
+    dateline.boundaries = dateline.boundaries.map(({ latitude, longitude }) => ({
+      latitude,
+      longitude: longitude > 180 ? longitude - 360 : longitude
+    }));
+    index.add(dateline);
+
+    expect(index.findOverlaps(square('Corner', 10.045, 20.045)).map(({ name }) => name)).to.deep.equal(['Large']);
+    expect(index.findOverlaps(square('East', -17, -179.999, 0.002)).map(({ name }) => name)).to.deep.equal(['Dateline']);
+
+    expect(index.remove(large.parcelId)).to.equal(true);
+    expect(index.findOverlaps(square('Corner', 10.045, 20.045))).to.deep.equal([]);
+    expect(index.size).to.equal(1);
+  });
+
+  describe('on the network', function () {
+    let ledger;
+    let mirror;
+    let registry;
+    let topicId;
+
+    before(async function () {
+      ({ ledger, mirror } = await startSimulatedNetwork({ contract: false }));
+      registry = BiodiversityRegistryClient.forSimulation({ ledger });
+      ({ topicId } = await registry.createRegistryTopic());
+    });
+
+    after(async function () {
+      await mirror.stop();
+    });
+
+    it('rebuilds the index from the registry topic', async function () {
+      await registry.registerParcel(topicId, square('Base', 10, 20));
+      const shifted = square('Shifted', 10, 20.005);
+      const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+      await indexer.sync();
+
+      const check = ParcelSpatialIndex.fromRegistry(await indexer.getParcels()).checkOverlap(shifted);
+      expect(check.overlaps.map(({ name }) => name)).to.deep.equal(['Base']);
+      await registry.registerParcel(topicId, shifted, { overlaps: check.overlaps, overlapReviewRequired: true });
+      await indexer.sync();
+
+      expect(await indexer.getParcel('Shifted')).to.deep.include({ overlapReviewRequired: true, overlaps: check.overlaps });
+      expect(ParcelSpatialIndex.fromRegistry(await indexer.getParcels()).size).to.equal(2);
+    });
+  });
+});
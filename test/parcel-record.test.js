@@ -0,0 +1,116 @@
+const { expect } = require('chai');
+const {
+  canonicalParcelRecord,
+  compareParcelData,
+  geometryHash,
+  parcelFacts,
+  parcelGeometry,
+  parcelRecordHash
+} = require('../lib/parcel-record');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { assignParcelId } = require('../lib/registry-messages');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+const PARCEL = {
+  name: 'Cerrado Headwaters',
+  boundaries: [
+    { latitude: -15.8, longitude: -47.9 },
+    { latitude: -15.8, longitude: -47.88 },
+    { latitude: -15.78, longitude: -47.88 },
+    { latitude: -15.78, longitude: -47.9 },
+    { latitude: -15.8, longitude: -47.9 }
+  ],
+  areaInAcres: 1300,
+  ecosystemType: 'Savanna',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Maned Wolf', 'Giant Anteater', 'Buriti Palm'],
+  biodiversityRating: 4
+};
+
+describe('Parcel records', function () {
+  it('hashes the schema fields only, whatever their order', function () {
+    const reordered = Object.fromEntries(Object.entries(PARCEL).reverse());
+    const registered = assignParcelId(PARCEL, '0.0.1001');
+    const published = { ...registered, owner: '0.0.1001', parcelAddress: parcelAddress(registered), tokenId: '0.0.2002' };
+
+    expect(parcelRecordHash(reordered)).to.equal(parcelRecordHash(PARCEL));
+    expect(parcelRecordHash(published)).to.equal(parcelRecordHash(PARCEL));
+    expect(canonicalParcelRecord(published)).to.not.have.any.keys('owner', 'parcelAddress', 'tokenId', 'parcelId', 'nonce');
+    expect(parcelRecordHash({ ...PARCEL, notableSpecies: ['Maned Wolf'] })).to.not.equal(parcelRecordHash(PARCEL));
+  });
+
+  it('hashes the boundaries as a closed GeoJSON polygon', function () {
+    const open = PARCEL.boundaries.slice(0, -1);
+
+    expect(parcelGeometry(open)).to.deep.equal({
+      type: 'Polygon',
+      coordinates: [[[-47.9, -15.8], [-47.88, -15.8], [-47.88, -15.78], [-47.9, -15.78], [-47.9, -15.8]]]
+    });
+    expect(geometryHash(open)).to.equal(geometryHash(PARCEL.boundaries));
+    expect(geometryHash(PARCEL.boundaries.slice().reverse())).to.not.equal(geometryHash(PARCEL.boundaries));
+  });
+
+  it('reports the fields that differ from the contract data', function () {
+    const data = { ...parcelFacts(PARCEL), ecosystemType: 'Savanna' };
+    expect(compareParcelData(PARCEL, data)).to.deep.equal([]);
+
+    expect(compareParcelData({ ...PARCEL, areaInAcres: 1400 }, data)).to.deep.equal([
+      { field: 'recordHash', expected: parcelRecordHash({ ...PARCEL, areaInAcres: 1400 }), actual: data.recordHash },
+      { field: 'areaSquareMeters', expected: 5665599, actual: 5260913 }
+    ]);
+  });
+
+  describe('on the network', function () {
+    let ledger;
+    let mirror;
+    let registry;
+    let contractId;
+    let topicId;
+    let parcel;
+
+    before(async function () {
+      ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+      registry = BiodiversityRegistryClient.forSimulation({ ledger });
+      ({ topicId } = await registry.createRegistryTopic());
+      parcel = assignParcelId(PARCEL, registry.operatorId.toString());
+    });
+
+    after(async function () {
+      await mirror.stop();
+    });
+
+    it('stores the same hashes in the contract as the indexer computes from the topic', async function () {
+      const address = parcelAddress(parcel);
+      await registry.registerParcel(topicId, parcel, { parcelAddress: address });
+      await registry.addBiodiversityData(contractId, address, 80, PARCEL);
+
+      const data = await registry.getBiodiversityData(contractId, address);
+      expect(data).to.include({ ...parcelFacts(PARCEL), ecosystemType: 'Savanna', biodiversityScore: 80 });
+
+      const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+      await indexer.sync();
+      const registration = await indexer.getParcel(PARCEL.name);
+      expect(registration).to.include({ recordHash: data.recordHash, geometryHash: data.geometryHash });
+    });
+
+    it('keeps every version of the data in the assessment history', async function () {
+      const address = parcelAddress(parcel);
+      const resurveyed = { ...PARCEL, notableSpecies: [...PARCEL.notableSpecies, 'Hyacinth Macaw'] };
+      await registry.addBiodiversityData(contractId, address, 85, resurveyed);
+
+      const history = await registry.getAssessmentHistory(contractId, address);
+      expect(history.map(({ biodiversityScore, speciesCount, recordHash }) => ({ biodiversityScore, speciesCount, recordHash })))
+        .to.deep.equal([
+          { biodiversityScore: 80, speciesCount: 3, recordHash: parcelRecordHash(PARCEL) },
+          { biodiversityScore: 85, speciesCount: 4, recordHash: parcelRecordHash(resurveyed) }
+        ]);
+      expect(compareParcelData(PARCEL, await registry.getBiodiversityData(contractId, address)))
+        .to.have.deep.members([
+          { field: 'recordHash', expected: parcelRecordHash(PARCEL), actual: parcelRecordHash(resurveyed) },
+          { field: 'speciesCount', expected: 3, actual: 4 }
+        ]);
+    });
+  });
+});
@@ -0,0 +1,191 @@
+const { expect } = require('chai');
+const { ParcelValidationError } = require('../lib/errors');
+const { ECOSYSTEM_TYPES, assertValidParcel, validateParcel } = require('../lib/parcel-validation');
+const sampleParcels = require('../sample-data/sample-land-parcels.json');
+
+// 2024-01-01T00:00:00Z, so the tests do not depend on the clock
+const NOW = 1704067200;
+
+const PARCEL = {
+  name: 'Pantanal Floodplain',
+  boundaries: [
+    { latitude: -18.0, longitude: -57.0 },
+    { latitude: -18.0, longitude: -56.98 },
+    { latitude: -17.98, longitude: -56.98 },
+    { latitude: -17.98, longitude: -57.0 },
+    { latitude: -18.0, longitude: -57.0 }
+  ],
+  areaInAcres: 1300,
+  ecosystemType: 'Freshwater Wetland',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Hyacinth Macaw', 'Jaguar'],
+  biodiversityRating: 5
+};
+
+// Field errors of a parcel with some fields replaced
+function errorsOf(changes) {
+  return validateParcel({ ...PARCEL, ...changes }, { now: NOW }).errors;
+}
+
+describe('Parcel validation', function () {
+  it('accepts a valid parcel and every sample parcel', function () {
+    expect(validateParcel(PARCEL, { now: NOW })).to.deep.equal({ valid: true, errors: [] });
+    for (const parcel of sampleParcels) {
+      expect(validateParcel(parcel).errors, parcel.name).to.deep.equal([]);
+    }
+  });
+
+  it('reports missing fields and fields of the wrong type', function () {
+    const { name, areaInAcres, ...incomplete } = PARCEL;
+    expect(validateParcel(incomplete, { now: NOW }).errors).to.deep.equal([
+      { field: 'name', message: 'is required' },
+      { field: 'areaInAcres', message: 'is required' }
+    ]);
+    expect(errorsOf({ areaInAcres: '1300', notableSpecies: 'Jaguar', verificationNotes: 7 })).to.deep.equal([
+      { field: 'areaInAcres', message: 'must be of type number' },
+      { field: 'notableSpecies', message: 'must be of type array' },
+      { field: 'verificationNotes', message: 'must be of type string' }
+    ]);
+    expect(errorsOf({ areaInAcres: NaN })).to.deep.equal([{ field: 'areaInAcres', message: 'must be of type number' }]);
+    expect(validateParcel([PARCEL]).errors).to.deep.equal([{ field: '(record)', message: 'must be an object' }]);
+    expect(validateParcel(null)).to.include({ valid: false });
+  });
+
+  it('checks the value of each field', function () {
+    expect(errorsOf({ name: '  ', conservationStatus: '' })).to.deep.equal([
+      { field: 'name', message: 'must not be empty' },
+      { field: 'conservationStatus', message: 'must not be empty' }
+    ]);
+    expect(errorsOf({ areaInAcres: 0 })).to.deep.equal([{ field: 'areaInAcres', message: 'must be greater than 0' }]);
+    for (const biodiversityRating of [0, 6, 3.5]) {
+      expect(errorsOf({ biodiversityRating })).to.deep.equal([
+        { field: 'biodiversityRating', message: 'must be an integer from 1 to 5' }
+      ]);
+    }
+    expect(errorsOf({ notableSpecies: ['Jaguar', '', 'Jaguar'] })).to.deep.equal([
+      { field: 'notableSpecies[1]', message: 'must be a non-empty string' },
+      { field: 'notableSpecies[2]', message: 'duplicates "Jaguar"' }
+    ]);
+  });
+
+  it('accepts only the known ecosystem types', function () {
+    for (const ecosystemType of ECOSYSTEM_TYPES) {
+      expect(errorsOf({ ecosystemType }), ecosystemType).to.deep.equal([]);
+    }
+    for (const ecosystemType of ['Rainforest', 'tropical rainforest', 'Tropical Rainforest ']) {
+      const [error, ...others] = errorsOf({ ecosystemType });
+      expect(others).to.deep.equal([]);
+      expect(error.field).to.equal('ecosystemType');
+      expect(error.message).to.match(/^must be one of the known ecosystem types \(Alpine Meadow, /);
+    }
+  });
+
+  it('rejects out-of-range coordinates and degenerate polygons', function () {
+    expect(errorsOf({ boundaries: [PARCEL.boundaries[0], { latitude: 91, longitude: -181 }, { latitude: 'x' }] }))
+      .to.deep.equal([
+        { field: 'boundaries[1].latitude', message: 'must be a number from -90 to 90' },
+        { field: 'boundaries[1].longitude', message: 'must be a number from -180 to 180' },
+        { field: 'boundaries[2].latitude', message: 'must be a number from -90 to 90' },
+        { field: 'boundaries[2].longitude', message: 'must be a number from -180 to 180' }
+      ]);
+    expect(errorsOf({ boundaries: [...PARCEL.boundaries.slice(0, 2), PARCEL.boundaries[0]] })).to.deep.equal([
+      { field: 'boundaries', message: 'must describe a closed polygon with at least 3 distinct vertices' }
+    ]);
+    const collinear = [
+      { latitude: -18.0, longitude: -57.0 },
+      { latitude: -18.0, longitude: -56.99 },
+      { latitude: -18.0, longitude: -56.98 },
+      { latitude: -18.0, longitude: -57.0 }
+    ];
+    expect(errorsOf({ boundaries: collinear })).to.deep.equal([
+      { field: 'boundaries', message: 'must enclose a non-zero area (vertices are collinear)' }
+    ]);
+    const repeated = [PARCEL.boundaries[0], PARCEL.boundaries[1], PARCEL.boundaries[1], ...PARCEL.boundaries.slice(2)];
+    expect(errorsOf({ boundaries: repeated })).to.deep.include({ field: 'boundaries[2]', message: 'repeats the previous vertex' });
+  });
+
+  it('requires the last vertex to repeat the first, as GeoJSON rings do', function () {
+    expect(errorsOf({ boundaries: PARCEL.boundaries.slice(0, -1) })).to.deep.equal([
+      { field: 'boundaries', message: 'must be a closed ring whose last vertex repeats the first' }
+    ]);
+    expect(errorsOf({ boundaries: [] })).to.deep.equal([
+      { field: 'boundaries', message: 'must describe a closed polygon with at least 3 distinct vertices' }
+    ]);
+  });
+
+  it('checks polygons crossing the antimeridian with contiguous longitudes', function () {
+    // A square on Taveuni, Fiji, with a vertex on the antimeridian in its south edge
+    const taveuni = [
+      { latitude: -16.8, longitude: 179.99 },
+      { latitude: -16.8, longitude: 180 },
+      { latitude: -16.8, longitude: -179.99 },
+      { latitude: -16.79, longitude: -179.99 },
+      { latitude: -16.79, longitude: 179.99 },
+      { latitude: -16.8, longitude: 179.99 }
+    ];
+    expect(errorsOf({ boundaries: taveuni })).to.deep.equal([]);
+
+    const [a, b, c, d, e] = taveuni;
+    const bowTie = [a, c, e, { latitude: -16.792, longitude: -179.995 }, a];
+    expect(errorsOf({ boundaries: bowTie })).to.deep.equal([
+      { field: 'boundaries', message: 'polygon must not intersect itself (edge 1 crosses edge 3)' }
+    ]);
+    // -180 and 180 are the same meridian
+    expect(errorsOf({ boundaries: [a, b, { ...b, longitude: -180 }, c, d, e, a] })).to.deep.include({
+      field: 'boundaries[2]', message: 'repeats the previous vertex'
+    });
+  });
+
+  it('rejects self-intersecting polygons', function () {
+    const [a, b, c, d] = PARCEL.boundaries;
+    // A "bow tie": the edge from b crosses the edge back to a
+    const bowTie = [a, b, { latitude: -17.98, longitude: -56.995 }, { latitude: -17.99, longitude: -56.98 }, a];
+    expect(errorsOf({ boundaries: bowTie })).to.deep.equal([
+      { field: 'boundaries', message: 'polygon must not intersect itself (edge 1 crosses edge 3)' }
+    ]);
+    // A vertex touching a non-adjacent edge also counts
+    const touching = [a, b, c, { latitude: -18.0, longitude: -56.99 }, d, a];
+    expect(errorsOf({ boundaries: touching })).to.have.length(1)
+      .and.to.have.nested.property('[0].message').that.matches(/^polygon must not intersect itself/);
+  });
+
+  it('accepts protection dates from 1900 up to now in Unix seconds', function () {
+    expect(errorsOf({ protectionStartDate: NOW })).to.deep.equal([]);
+    expect(errorsOf({ protectionStartDate: -2208988800 })).to.deep.equal([]);
+    expect(errorsOf({ protectionStartDate: -2208988801 })).to.deep.equal([
+      { field: 'protectionStartDate', message: 'must not be earlier than 1900-01-01' }
+    ]);
+    expect(errorsOf({ protectionStartDate: NOW + 1 })).to.deep.equal([
+      { field: 'protectionStartDate', message: 'must not be in the future' }
+    ]);
+    expect(errorsOf({ protectionStartDate: 1262304000000 })).to.deep.equal([
+      { field: 'protectionStartDate', message: 'is in the future (the value looks like milliseconds; use Unix seconds)' }
+    ]);
+    expect(errorsOf({ protectionStartDate: 1262304000.5 })).to.deep.equal([
+      { field: 'protectionStartDate', message: 'must be a whole number of seconds since the Unix epoch' }
+    ]);
+  });
+
+  it('throws a ParcelValidationError listing every problem', function () {
+    expect(() => assertValidParcel(PARCEL, { now: NOW })).to.not.throw();
+
+    const error = (() => {
+      try {
+        assertValidParcel({ ...PARCEL, areaInAcres: -1, biodiversityRating: 9 }, { now: NOW });
+      } catch (failure) {
+        return failure;
+      }
+      return null;
+    })();
+    expect(error).to.be.instanceOf(ParcelValidationError);
+    expect(error).to.include({ code: 'PARCEL_VALIDATION_FAILED', parcelName: PARCEL.name });
+    expect(error.errors.map(({ field }) => field)).to.deep.equal(['areaInAcres', 'biodiversityRating']);
+    expect(error.message).to.equal(
+      'Invalid land parcel "Pantanal Floodplain":\n' +
+      '  - areaInAcres: must be greater than 0\n' +
+      '  - biodiversityRating: must be an integer from 1 to 5'
+    );
+    expect(() => assertValidParcel({ areaInAcres: 1 })).to.throw(ParcelValidationError, '"(unnamed parcel)"');
+  });
+});
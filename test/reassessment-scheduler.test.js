@@ -0,0 +1,138 @@
+const { expect } = require('chai');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { ReassessmentScheduler, scoreTrend } = require('../lib/reassessment-scheduler');
+const { assignParcelId } = require('../lib/registry-messages');
+const { evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+const VALIDITY_PERIOD = 1000;
+
+describe('ReassessmentScheduler', function () {
+  let ledger;
+  let mirror;
+  let contractId;
+  let topicId;
+  let owner;
+  let verifier;
+
+  before(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+
+    const registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    await registry.setVerificationPolicy(contractId, { requiredAttestations: 1, challengeWindow: 0, validityPeriod: VALIDITY_PERIOD });
+
+    const workflowFor = (accountId) => new VerificationWorkflow({
+      registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: accountId.toString() }),
+      contractId,
+      topicId,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url })
+    });
+    owner = workflowFor(ledger.operatorId);
+    verifier = workflowFor(ledger.createAccount({ hbars: 100 }));
+    await registry.grantVerifier(contractId, evmAddressOf(verifier.registry.operatorId));
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  async function register(name) {
+    const parcel = assignParcelId(parcelNamed(name), owner.registry.operatorId.toString());
+    await owner.registry.registerParcel(topicId, parcel);
+    await owner.registry.addBiodiversityData(contractId, parcelAddress(parcel), 80, parcel);
+    return parcel;
+  }
+
+  function schedulerFor(workflow, warningPeriod) {
+    return new ReassessmentScheduler({
+      workflow,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url }),
+      warningPeriod
+    });
+  }
+
+  it('finds expiring and lapsed approvals, expires them and re-assesses them with a new score', async function () {
+    const lapsing = await register('Logged Lowland Forest');
+    const expiring = await register('Riverine Forest');
+    await register('Unverified Upland');
+
+    const approved = await verifier.attest(lapsing, { score: 60 });
+    expect(approved.expiresAt).to.equal(approved.verifiedAt + VALIDITY_PERIOD);
+    ledger.advanceTime(600);
+    await verifier.attest(expiring, { score: 70 });
+    ledger.advanceTime(500);
+
+    const due = await schedulerFor(owner, 600).findDue({ now: ledger.clock });
+    expect(due.map(({ name, due: reason, topicStatus }) => ({ name, reason, topicStatus }))).to.deep.equal([
+      { name: 'Logged Lowland Forest', reason: 'lapsed', topicStatus: 'approved' },
+      { name: 'Riverine Forest', reason: 'expiring', topicStatus: 'approved' }
+    ]);
+    expect((await owner.getState(lapsing)).canIssueCredits).to.equal(false);
+
+    // Anyone may expire a lapsed approval, but only the owner one that has not lapsed
+    const error = await verifier.expire(expiring).catch((caught) => caught);
+    expect(error.code).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await schedulerFor(verifier).expireLapsed(due)).to.deep.equal([{ name: 'Logged Lowland Forest', status: 'expired' }]);
+
+    const afterExpiry = await schedulerFor(owner, 0).findDue({ now: ledger.clock });
+    expect(afterExpiry).to.deep.include({
+      name: 'Logged Lowland Forest',
+      parcelId: parcelAddress(lapsing),
+      due: 'expired',
+      contractStatus: 'expired',
+      topicStatus: 'expired',
+      expiresAt: null
+    });
+
+    // The re-assessment keeps the data and records the new round's score next to the old one
+    expect(await owner.requestReassessment(lapsing)).to.include({ status: 'unverified', approvals: 0 });
+    const reassessed = await verifier.attest(lapsing, { score: 75, notes: 'Regrowth since logging' });
+    expect(reassessed).to.include({ status: 'approved', attestedScore: 75 });
+    expect(reassessed.scoreHistory.map((record) => record.score)).to.deep.equal([60, 75]);
+    expect(scoreTrend(reassessed.scoreHistory)).to.include({ direction: 'up', change: 15, rounds: 2 });
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    expect(indexer.state.rejected).to.deep.equal([]);
+    const record = await indexer.getParcel(lapsing.name);
+    expect(record).to.include({ verificationStatus: 'approved', verificationExpiresAt: reassessed.expiresAt });
+    expect(record.scoreHistory.map((entry) => entry.biodiversityScore)).to.deep.equal([60, 75]);
+  });
+
+  it('only lets the registrant or the owner request a re-assessment of decided data', async function () {
+    const parcel = await register('Coastal Mangrove');
+    expect((await owner.requestReassessment(parcel).catch((caught) => caught)).code).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    await verifier.attest(parcel, { approved: false, score: 30 });
+    expect((await verifier.requestReassessment(parcel).catch((caught) => caught)).code).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await owner.requestReassessment(parcel)).to.include({ status: 'unverified', rejections: 0 });
+    expect((await owner.getState(parcel)).scoreHistory).to.have.length(1);
+  });
+
+  it('re-assesses an approval only once it has lapsed', async function () {
+    const parcel = await register('Terra Firme Plateau');
+    await verifier.attest(parcel, { score: 80 });
+
+    // A new approval would allow a new round of credits for the same period
+    expect((await owner.requestReassessment(parcel).catch((caught) => caught)).code).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await owner.getState(parcel)).to.include({ status: 'approved', canIssueCredits: true });
+
+    ledger.advanceTime(VALIDITY_PERIOD);
+    expect(await owner.requestReassessment(parcel)).to.include({ status: 'unverified', approvals: 0 });
+  });
+
+  it('reports the trend of the approving rounds only', function () {
+    const round = (score, approved = true) => ({ score, approved, timestamp: 0 });
+    expect(scoreTrend([round(80), round(20, false), round(65)])).to.deep.equal({
+      direction: 'down', change: -15, first: 80, latest: 65, rounds: 2
+    });
+    expect(scoreTrend([round(70), round(70)])).to.include({ direction: 'stable', change: 0 });
+    expect(scoreTrend([round(70), round(90, false)])).to.deep.equal({
+      direction: null, change: null, first: 70, latest: 70, rounds: 1
+    });
+  });
+});
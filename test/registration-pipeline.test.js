@@ -0,0 +1,236 @@
+const { expect } = require('chai');
+const { Status } = require('@hashgraph/sdk');
+const { HederaTransactionError, PipelineCheckpointError, VerificationIncompleteError } = require('../lib/errors');
+const { RegistrationPipeline } = require('../lib/registration-pipeline');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { MemoryRegistryStore } = require('../lib/registry-store');
+const { SimulatedLedger, evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+const PARCEL = {
+  name: 'Atlantic Forest Corridor',
+  boundaries: [
+    { latitude: -23.5, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.19 },
+    { latitude: -23.49, longitude: -45.2 },
+    { latitude: -23.5, longitude: -45.2 }
+  ],
+  areaInAcres: 250,
+  ecosystemType: 'Tropical Rainforest',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Golden Lion Tamarin', 'Southern Muriqui'],
+  biodiversityRating: 4,
+  verificationNotes: 'Restored corridor linking two forest fragments.'
+};
+
+// No waiting between attempts
+const RETRY = { minDelay: 0, delay: async () => {} };
+
+describe('Transaction retries', function () {
+  let ledger;
+  let registry;
+
+  beforeEach(function () {
+    ledger = new SimulatedLedger();
+    registry = BiodiversityRegistryClient.forSimulation({ ledger, retry: RETRY });
+  });
+
+  it('sends transactions the network was too busy for again', async function () {
+    ledger.injectFailure(Status.Busy, { count: 2 });
+    ledger.injectFailure(Status.PlatformTransactionNotCreated);
+    const { tokenId } = await registry.createCreditToken();
+
+    expect(ledger.tokens.size).to.equal(1);
+    expect(ledger.tokens.has(tokenId)).to.equal(true);
+  });
+
+  it('gives up after the configured attempts', async function () {
+    ledger.injectFailure(Status.Busy, { count: 5 });
+    const error = await registry.createRegistryTopic().catch((caught) => caught);
+
+    expect(error).to.be.instanceOf(HederaTransactionError);
+    expect(error).to.include({ code: 'BUSY', phase: 'precheck', retryable: true });
+    expect(ledger.topics.size).to.equal(0);
+  });
+
+  it('does not mint twice when the response of a mint is lost', async function () {
+    const { tokenId } = await registry.createCreditToken();
+    ledger.injectFailure(null, { afterExecution: true });
+    const mint = await registry.mintCredits(tokenId, 40);
+
+    expect(mint.totalSupply).to.equal('40');
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(40n);
+  });
+
+  it('does not send transactions that failed at consensus again', async function () {
+    const { tokenId } = await registry.createCreditToken();
+    await registry.pauseToken(tokenId);
+    const submitted = [];
+    registry.onSubmit = (transaction) => submitted.push(transaction);
+
+    const error = await registry.mintCredits(tokenId, 10).catch((caught) => caught);
+    expect(error).to.include({ code: 'TOKEN_IS_PAUSED', phase: 'receipt' });
+    expect(submitted).to.have.length(1);
+    expect(submitted[0]).to.include({ operation: 'mintCredits' });
+  });
+
+  it('reads receipts of earlier transactions', async function () {
+    const { transactionId, topicId } = await registry.createRegistryTopic();
+    expect(await registry.getReceipt(transactionId)).to.include({ status: 'SUCCESS', topicId, tokenId: null });
+
+    // Like the network, receipts are only kept for a few minutes
+    ledger.advanceTime(181);
+    const error = await registry.getReceipt(transactionId).catch((caught) => caught);
+    expect(error).to.include({ code: 'RECEIPT_NOT_FOUND', retryable: true });
+  });
+});
+
+describe('RegistrationPipeline', function () {
+  let ledger;
+  let store;
+  let mirror;
+  let contractId;
+  let verifierId;
+
+  beforeEach(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+    store = new MemoryRegistryStore();
+    verifierId = ledger.createAccount({ hbars: 100 }).toString();
+    await BiodiversityRegistryClient.forSimulation({ ledger }).grantVerifier(contractId, evmAddressOf(verifierId));
+  });
+
+  afterEach(async function () {
+    await mirror.stop();
+  });
+
+  // A pipeline with its own client, like a new run of the demo
+  function pipelineFor(options = {}) {
+    const registry = BiodiversityRegistryClient.forSimulation({ ledger, retry: { ...RETRY, attempts: 2 } });
+    return new RegistrationPipeline({ registry, parcel: PARCEL, contractId, mirrorNodeUrl: mirror.url, store, ...options });
+  }
+
+  // The contract's verifier approves the parcel data the run submitted
+  async function approve(score = 70) {
+    const { parcelId, outputs } = await store.load();
+    const { topicId } = outputs.createRegistryTopic;
+    const verifier = new VerificationWorkflow({
+      registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: verifierId }),
+      contractId,
+      topicId,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url })
+    });
+    await verifier.attest({ ...PARCEL, parcelId }, { score });
+  }
+
+  async function indexedState(topicId) {
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    return indexer.state;
+  }
+
+  it('stops before minting until the contract\'s verifiers approved the parcel', async function () {
+    const error = await pipelineFor().run().catch((caught) => caught);
+    expect(error).to.be.instanceOf(VerificationIncompleteError);
+    expect(error.message).to.match(/unverified \(0 of 1 approvals\)/);
+    const stopped = await store.load();
+    expect(stopped.completedSteps).to.deep.equal(['createCreditToken', 'createRegistryTopic', 'registerParcel', 'addBiodiversityData']);
+    // The record came without an ID: the run gave it one, which the resumed run keeps
+    expect(stopped).to.include({ parcelId: stopped.outputs.registerParcel.parcelId, parcelName: PARCEL.name });
+    expect(stopped.nonce).to.match(/^[0-9a-f]{32}$/);
+    expect(Number((await pipelineFor().registry.getTokenInfo(stopped.outputs.createCreditToken.tokenId)).totalSupply)).to.equal(0);
+
+    await approve(70);
+    const outputs = await pipelineFor().run({ resume: true });
+    const checkpoint = await store.load();
+
+    expect(checkpoint.completedSteps).to.deep.equal(RegistrationPipeline.steps);
+    expect(checkpoint.pending).to.equal(null);
+    expect(checkpoint.parcelHead).to.equal(outputs.recordIssuance.eventHash);
+    // The verifier's score of 70 (rating 4) is the declared rating
+    expect(outputs.authorizeIssuance).to.include({ biodiversityRating: 4, allowed: outputs.authorizeIssuance.amount });
+    const { tokenId } = outputs.createCreditToken;
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(BigInt(outputs.authorizeIssuance.amount));
+
+    // The issuance follows the verifier's events and counts against the verification round
+    const { topicId } = outputs.createRegistryTopic;
+    const state = await indexedState(topicId);
+    expect(state.rejected).to.deep.equal([]);
+    expect(state.parcels[outputs.registerParcel.parcelId].issuances[0])
+      .to.include({ verifiedAt: outputs.authorizeIssuance.verifiedAt, allowed: outputs.authorizeIssuance.amount });
+    const owner = new VerificationWorkflow({
+      registry: pipelineFor().registry,
+      contractId,
+      topicId,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url })
+    });
+    const registered = { ...PARCEL, parcelId: outputs.registerParcel.parcelId };
+    expect(state.parcels[registered.parcelId].registrant).to.equal(ledger.operatorId.toString());
+    expect((await owner.issueCredits(registered, { tokenId }).catch((caught) => caught)).code).to.equal('DUPLICATE_ISSUANCE');
+  });
+
+  it('resumes after a failure without creating the token and topic again', async function () {
+    // The run stops at the registry topic, after creating the token
+    const first = pipelineFor();
+    first.onStep = ({ step }) => step === 'createCreditToken' && ledger.injectFailure(Status.Busy, { count: 2 });
+    const error = await first.run().catch((caught) => caught);
+    expect(error).to.include({ code: 'BUSY' });
+    expect((await store.load()).completedSteps).to.deep.equal(['createCreditToken']);
+
+    // The topic transaction never reached consensus, but that is only certain once it expired
+    const early = await pipelineFor().run({ resume: true }).catch((caught) => caught);
+    expect(early).to.be.instanceOf(PipelineCheckpointError);
+    expect(early).to.include({ code: 'UNCONFIRMED_TRANSACTION', step: 'createRegistryTopic' });
+
+    ledger.advanceTime(181);
+    const statuses = [];
+    const resumed = pipelineFor();
+    resumed.onStep = ({ step, status }) => statuses.push(`${step}:${status}`);
+    expect((await resumed.run({ resume: true }).catch((caught) => caught)).code).to.equal('VERIFICATION_INCOMPLETE');
+
+    expect(statuses.slice(0, 2)).to.deep.equal(['createCreditToken:skipped', 'createRegistryTopic:completed']);
+    expect(ledger.tokens.size).to.equal(1);
+    expect(ledger.topics.size).to.equal(1);
+    expect(ledger.tokens.has((await store.load()).outputs.createCreditToken.tokenId)).to.equal(true);
+  });
+
+  it('completes a step from the receipt of the transaction an interrupted run sent', async function () {
+    await pipelineFor().run().catch((caught) => caught);
+    await approve();
+
+    // The mint goes through, but the run loses its response and stops
+    const second = pipelineFor();
+    second.registry.retry.attempts = 1;
+    second.onStep = ({ step, status }) => step === 'authorizeIssuance' && status === 'completed' &&
+      ledger.injectFailure(null, { afterExecution: true });
+    const error = await second.run({ resume: true }).catch((caught) => caught);
+    expect(error).to.include({ code: 'HEDERA_ERROR', retryable: true });
+    expect((await store.load()).pending.step).to.equal('mintCredits');
+
+    const statuses = [];
+    const resumed = pipelineFor();
+    resumed.onStep = ({ step, status }) => statuses.push(`${step}:${status}`);
+    const outputs = await resumed.run({ resume: true });
+
+    expect(statuses.slice(-2)).to.deep.equal(['mintCredits:recovered', 'recordIssuance:completed']);
+    const { tokenId } = outputs.createCreditToken;
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(BigInt(outputs.authorizeIssuance.amount));
+
+    // The resumed run's events link to the interrupted runs' and the verifier's
+    const state = await indexedState(outputs.createRegistryTopic.topicId);
+    expect(state.rejected).to.deep.equal([]);
+    expect(state.eventHeads[outputs.registerParcel.parcelId]).to.equal(outputs.recordIssuance.eventHash);
+  });
+
+  it('refuses to resume the checkpoint of another parcel or contract', async function () {
+    await pipelineFor().run().catch((caught) => caught);
+    for (const options of [{ parcel: { ...PARCEL, name: 'Pantanal Wetland' } }, { contractId: '0.0.424242' }]) {
+      const error = await pipelineFor(options).run({ resume: true }).catch((caught) => caught);
+      expect(error).to.be.instanceOf(PipelineCheckpointError);
+      expect(error.code).to.equal('CHECKPOINT_MISMATCH');
+    }
+  });
+});
@@ -0,0 +1,267 @@
+const { expect } = require('chai');
+const { ParcelValidationError } = require('../lib/errors');
+const { parcelFacts } = require('../lib/parcel-record');
+const {
+  BiodiversityRegistryClient,
+  DEFAULT_CREDIT_MAX_SUPPLY,
+  parcelAddress,
+  ratingToScore,
+  scoreToRating
+} = require('../lib/registry-client');
+const tokenOperations = require('../lib/registry-client/token-operations');
+const topicOperations = require('../lib/registry-client/topic-operations');
+const { EVENT_TYPES, assignParcelId, decodeMessage, isChunkFrame } = require('../lib/registry-messages');
+const { SimulatedLedger, evmAddressOf } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+async function failure(promise) {
+  const error = await promise.catch((caught) => caught);
+  expect(error).to.be.instanceOf(Error);
+  return error;
+}
+
+describe('Registry client token operations', function () {
+  let ledger;
+  let registry;
+  let buyerId;
+  let buyer;
+
+  beforeEach(function () {
+    ledger = new SimulatedLedger();
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    buyerId = ledger.createAccount({ hbars: 100 }).toString();
+    buyer = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: buyerId });
+  });
+
+  it('creates a capped credit token whose keys are all the operator\'s', async function () {
+    const { tokenId, transactionId } = await registry.createCreditToken();
+    expect(transactionId).to.be.a('string');
+    expect(await registry.getTokenInfo(tokenId)).to.deep.equal({
+      tokenId,
+      name: 'Biodiversity Credits',
+      symbol: 'BIO',
+      decimals: 0,
+      totalSupply: '0',
+      treasuryAccountId: ledger.operatorId.toString(),
+      supplyType: 'FINITE',
+      maxSupply: String(DEFAULT_CREDIT_MAX_SUPPLY),
+      kycRequired: true,
+      freezeDefault: false,
+      paused: false
+    });
+
+    const uncapped = await registry.createCreditToken({ maxSupply: null });
+    expect(await registry.getTokenInfo(uncapped.tokenId)).to.include({ supplyType: 'INFINITE', maxSupply: '0' });
+    const error = await failure(registry.createCreditToken({ maxSupply: 1.5 }));
+    expect(error.message).to.equal('Credit token maxSupply must be a positive whole number, not "1.5"');
+  });
+
+  it('mints, burns, transfers and wipes credits, reporting the total supply', async function () {
+    const { tokenId } = await tokenOperations.createCreditToken(registry, { maxSupply: 500 });
+    expect(await registry.mintCredits(tokenId, 200, { memo: 'BIO issuance' })).to.include({ totalSupply: '200' });
+    expect(await registry.burnCredits(tokenId, 50)).to.include({ totalSupply: '150' });
+
+    await buyer.associateTokens([tokenId]);
+    await registry.grantKyc(tokenId, buyerId);
+    await registry.transferCredits(tokenId, buyerId, 40);
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(40n);
+
+    expect(await registry.wipeCredits(tokenId, buyerId, 15)).to.include({ totalSupply: '135' });
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(25n);
+    expect((await failure(registry.mintCredits(tokenId, 400))).code).to.equal('TOKEN_MAX_SUPPLY_REACHED');
+  });
+
+  it('freezes, unfreezes, pauses and revokes KYC through the token\'s keys', async function () {
+    const { tokenId } = await registry.createCreditToken();
+    await registry.mintCredits(tokenId, 100);
+    await buyer.associateTokens([tokenId]);
+    await registry.grantKyc(tokenId, buyerId);
+
+    await registry.freezeAccount(tokenId, buyerId);
+    expect(ledger.getTokenRelationship(buyerId, tokenId)).to.deep.equal({ kycGranted: true, frozen: true });
+    expect((await failure(registry.transferCredits(tokenId, buyerId, 1))).code).to.equal('ACCOUNT_FROZEN_FOR_TOKEN');
+    await registry.unfreezeAccount(tokenId, buyerId);
+
+    await registry.pauseToken(tokenId);
+    expect(await registry.getTokenInfo(tokenId)).to.include({ paused: true });
+    expect((await failure(registry.transferCredits(tokenId, buyerId, 1))).code).to.equal('TOKEN_IS_PAUSED');
+    await registry.unpauseToken(tokenId);
+
+    await registry.revokeKyc(tokenId, buyerId);
+    expect((await failure(registry.transferCredits(tokenId, buyerId, 1))).code).to.equal('ACCOUNT_KYC_NOT_GRANTED_FOR_TOKEN');
+    expect(ledger.getTokenBalance(buyerId, tokenId)).to.equal(0n);
+  });
+
+  it('mints parcel NFTs with their metadata and transfers them', async function () {
+    const { tokenId } = await registry.createParcelCollection();
+    expect(await registry.getTokenInfo(tokenId)).to.include({ symbol: 'BIOPARCEL', supplyType: 'INFINITE', kycRequired: false });
+
+    const first = await registry.mintNft(tokenId, 'hcs://biodiversity-registry/0.0.1/a');
+    const second = await tokenOperations.mintNft(registry, tokenId, Buffer.from('hcs://biodiversity-registry/0.0.1/b'));
+    expect([first.serial, second.serial]).to.deep.equal([1, 2]);
+    expect(ledger.getNft(tokenId, 1).metadata.toString()).to.equal('hcs://biodiversity-registry/0.0.1/a');
+
+    expect((await failure(registry.transferNft(tokenId, 2, buyerId))).code).to.equal('TOKEN_NOT_ASSOCIATED_TO_ACCOUNT');
+    await buyer.associateTokens([tokenId]);
+    await registry.transferNft(tokenId, 2, buyerId);
+    expect(ledger.getNft(tokenId, 2).accountId.toString()).to.equal(buyerId);
+    expect(ledger.getNft(tokenId, 1).accountId.toString()).to.equal(ledger.operatorId.toString());
+  });
+});
+
+describe('Registry client topic operations', function () {
+  let ledger;
+  let registry;
+  let topicId;
+
+  beforeEach(async function () {
+    ledger = new SimulatedLedger();
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic({ memo: 'Test registry' }));
+  });
+
+  function envelopes() {
+    return ledger.getTopicMessages(topicId).map(({ contents }) => decodeMessage(contents));
+  }
+
+  it('creates the registry topic with the operator as its admin and submit key', async function () {
+    const topic = ledger.topics.get(topicId);
+    expect(topic.memo).to.equal('Test registry');
+    expect(topic.submitKey.toString()).to.equal(registry.operatorKey.publicKey.toString());
+  });
+
+  it('registers a parcel under a new ID and links its next event to the registration', async function () {
+    const registration = await registry.registerParcel(topicId, parcelNamed('Kinkajou Hollow'), { tokenId: '0.0.1001' });
+    expect(registration).to.include({ topicId, sequenceNumber: 1, chunks: 1 });
+    expect(registration.parcelId).to.match(/^[0-9a-f]{40}$/);
+
+    const verification = await registry.recordVerification(topicId, { parcelId: registration.parcelId, biodiversityRating: 4 });
+    const [registered, verified] = envelopes();
+    expect(registered).to.include({ type: EVENT_TYPES.PARCEL_REGISTERED, parcelId: registration.parcelId, previousHash: null });
+    expect(registered.payload).to.include({ name: 'Kinkajou Hollow', registrant: registry.operatorId.toString(),
+      owner: registry.operatorId.toString(), tokenId: '0.0.1001' });
+    expect(registered.payload.nonce).to.match(/^[0-9a-f]{32}$/);
+    expect(verified).to.include({ type: EVENT_TYPES.PARCEL_VERIFIED, previousHash: registration.eventHash });
+    expect(verified.payload).to.include({ verificationStatus: 'approved', biodiversityRating: 4 });
+    expect(verification.sequenceNumber).to.equal(2);
+  });
+
+  it('refuses invalid parcels before anything is submitted', async function () {
+    const error = await failure(registry.registerParcel(topicId, { ...parcelNamed('Broken Grove'), areaInAcres: -1 }));
+    expect(error).to.be.instanceOf(ParcelValidationError);
+    expect(ledger.getTopicMessages(topicId)).to.deep.equal([]);
+  });
+
+  it('splits large events into chunk frames, returning the sequence number of the last', async function () {
+    const parcel = assignParcelId(parcelNamed('Tamarin Reach'), registry.operatorId.toString());
+    const result = await registry.registerParcel(topicId, { ...parcel, verificationNotes: 'n'.repeat(3000) });
+
+    const frames = envelopes();
+    expect(result.chunks).to.equal(frames.length).and.be.greaterThan(1);
+    expect(result.sequenceNumber).to.equal(frames.length);
+    expect(result.parcelId).to.equal(parcel.parcelId);
+    expect(frames.every(isChunkFrame)).to.equal(true);
+  });
+
+  it('follows the indexed head of a parcel only when another publisher wrote it', async function () {
+    const { parcelId, eventHash } = await registry.registerParcel(topicId, parcelNamed('Agouti Flats'));
+
+    // The indexer trails this client's own events
+    topicOperations.followIndexedHead(registry, parcelId, 'f'.repeat(64));
+    registry.followIndexedHead(parcelId, eventHash);
+    expect(registry.parcelHeads.get(parcelId)).to.equal('f'.repeat(64));
+
+    registry.setParcelHead(parcelId, eventHash);
+    registry.followIndexedHead(parcelId, eventHash);
+    expect(registry.parcelHeads.get(parcelId)).to.equal(eventHash);
+    registry.setParcelHead(parcelId, null);
+    expect(registry.parcelHeads.has(parcelId)).to.equal(false);
+  });
+
+  it('submits plain JSON messages to other topics', async function () {
+    const { topicId: otherTopicId } = await registry.createRegistryTopic({ memo: 'Notices' });
+    const result = await registry.submitMessage('notice', otherTopicId, { notice: 'maintenance' });
+
+    expect(result).to.deep.include({ topicId: otherTopicId, sequenceNumber: 1 });
+    expect(JSON.parse(ledger.getTopicMessages(otherTopicId)[0].contents)).to.deep.equal({ notice: 'maintenance' });
+  });
+});
+
+describe('Registry client contract operations', function () {
+  this.timeout(60000);
+
+  let ledger;
+  let contractId;
+  let owner;
+  let verifier;
+  let verifierAddress;
+
+  before(async function () {
+    ({ ledger, contractId } = await startSimulatedNetwork({ mirrorNode: false }));
+    owner = BiodiversityRegistryClient.forSimulation({ ledger });
+    const verifierId = ledger.createAccount({ hbars: 100 });
+    verifier = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: verifierId.toString() });
+    verifierAddress = evmAddressOf(verifierId).toLowerCase();
+    await owner.grantVerifier(contractId, verifierAddress);
+  });
+
+  it('converts between ratings and scores, and parcels and their addresses', function () {
+    expect([1, 3, 5].map(ratingToScore)).to.deep.equal([20, 60, 100]);
+    expect([0, 49, 50, 100].map(scoreToRating)).to.deep.equal([1, 2, 3, 5]);
+    const parcel = assignParcelId(parcelNamed('Ocelot Draw'), owner.operatorId.toString());
+    expect(parcelAddress(parcel)).to.equal(parcel.parcelId);
+  });
+
+  it('stores parcel data with the hashes of its record and reads it back', async function () {
+    const parcel = assignParcelId(parcelNamed('Capybara Bend', { notableSpecies: ['Capybara', 'Jabiru'] }),
+      owner.operatorId.toString());
+    await owner.addBiodiversityData(contractId, `0x${parcelAddress(parcel)}`, ratingToScore(4), parcel);
+
+    const facts = parcelFacts(parcel);
+    const data = await owner.getBiodiversityData(contractId, parcelAddress(parcel));
+    expect(data).to.include({
+      biodiversityScore: 80,
+      ecosystemType: 'Tropical Rainforest',
+      isVerified: false,
+      registrant: evmAddressOf(owner.operatorId).toLowerCase(),
+      recordHash: facts.recordHash,
+      geometryHash: facts.geometryHash,
+      areaSquareMeters: facts.areaSquareMeters,
+      speciesCount: 2
+    });
+    const history = await owner.getAssessmentHistory(contractId, parcelAddress(parcel));
+    expect(history.map(({ biodiversityScore, recordHash }) => [biodiversityScore, recordHash]))
+      .to.deep.equal([[80, facts.recordHash]]);
+  });
+
+  it('takes attestations under the verification policy and reports when credits can be issued', async function () {
+    await owner.setVerificationPolicy(contractId, { requiredAttestations: 1, challengeWindow: 60, validityPeriod: 3600 });
+    expect(await owner.getVerificationPolicy(contractId))
+      .to.deep.equal({ requiredAttestations: 1, challengeWindow: 60, validityPeriod: 3600 });
+
+    const parcel = assignParcelId(parcelNamed('Toucan Spur', { latitude: -3.2 }), owner.operatorId.toString());
+    const address = parcelAddress(parcel);
+    await owner.addBiodiversityData(contractId, address, ratingToScore(4), parcel);
+    await verifier.attestBiodiversityData(contractId, address, { score: 76, notes: 'Field survey' });
+
+    const [attestation] = await owner.getAttestations(contractId, address);
+    expect(attestation).to.include({ verifier: verifierAddress, approved: true, score: 76, notes: 'Field survey' });
+    expect(await owner.getBiodiversityData(contractId, address)).to.include({ status: 'approved', approvals: 1 });
+    expect(await owner.canIssueCredits(contractId, address)).to.equal(false);
+    expect(await owner.getDispute(contractId, address)).to.equal(null);
+
+    ledger.advanceTime(61);
+    expect(await owner.canIssueCredits(contractId, address)).to.equal(true);
+    const [round] = await owner.getScoreHistory(contractId, address);
+    expect(round).to.include({ score: 76, approved: true });
+    expect(await owner.getVerificationExpiry(contractId, address)).to.equal(round.timestamp + 3600);
+  });
+
+  it('fails contract calls the contract reverts with the revert code', async function () {
+    const error = await failure(verifier.grantVerifier(contractId, verifierAddress));
+    expect(error.code).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await owner.getVerifiers(contractId)).to.deep.equal([verifierAddress]);
+    expect(await owner.getContractOwner(contractId)).to.equal(evmAddressOf(owner.operatorId).toLowerCase());
+  });
+});
@@ -0,0 +1,353 @@
+const { expect } = require('chai');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parcelRecordHash } = require('../lib/parcel-record');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { MAX_MESSAGE_SIZE, assignParcelId, legacyParcelIdFor } = require('../lib/registry-messages');
+const { JsonFileRegistryStore, MemoryRegistryStore } = require('../lib/registry-store');
+const { MockMirrorNode, SimulatedLedger } = require('../lib/simulation');
+
+const PARCEL = {
+  name: 'Cloud Forest Reserve',
+  boundaries: [
+    { latitude: 10.3, longitude: -84.8 },
+    { latitude: 10.3, longitude: -84.79 },
+    { latitude: 10.31, longitude: -84.79 },
+    { latitude: 10.31, longitude: -84.8 },
+    { latitude: 10.3, longitude: -84.8 }
+  ],
+  areaInAcres: 300,
+  ecosystemType: 'Tropical Rainforest',
+  conservationStatus: 'Private Reserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['Resplendent Quetzal', 'Three-wattled Bellbird'],
+  biodiversityRating: 4,
+  verificationNotes: 'x'.repeat(1500)
+};
+
+describe('RegistryIndexer', function () {
+  let ledger;
+  let registry;
+  let mirror;
+  let topicId;
+  let tokenId;
+  // PARCEL with the ID and nonce of its registration by the registry's operator
+  let parcel;
+
+  beforeEach(async function () {
+    ledger = new SimulatedLedger();
+    registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    parcel = assignParcelId(PARCEL, registry.operatorId.toString());
+    mirror = new MockMirrorNode({ ledger });
+    await mirror.start();
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId } = await registry.createCreditToken());
+  });
+
+  afterEach(async function () {
+    await mirror.stop();
+  });
+
+  async function issue(parcelId, amount) {
+    const mint = await registry.mintCredits(tokenId, amount);
+    await registry.recordIssuance(topicId, {
+      parcelId,
+      tokenId,
+      mintTransactionId: mint.transactionId,
+      methodology: 'weighted@2.0.0',
+      amount
+    });
+    return mint;
+  }
+
+  it('rebuilds parcel state from registrations, verifications and issuances', async function () {
+    await registry.registerParcel(topicId, parcel);
+    await registry.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 5 });
+    await issue(parcel.parcelId, 1200);
+    await issue(parcel.parcelId, 300);
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    const result = await indexer.sync();
+
+    const indexed = await indexer.getParcel(PARCEL.name);
+    expect(result.parcels).to.equal(1);
+    expect(indexed).to.include({
+      verified: true,
+      verificationStatus: 'approved',
+      biodiversityRating: 5,
+      declaredBiodiversityRating: 4,
+      creditsMinted: 1500,
+      ecosystemType: 'Tropical Rainforest'
+    });
+    expect(indexed.issuances.map((issuance) => issuance.amount)).to.deep.equal([1200, 300]);
+  });
+
+  it('waits for a new verification when a registration changes the parcel data', async function () {
+    await registry.registerParcel(topicId, parcel);
+    await registry.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 5, expiresAt: 1900000000 });
+    // A retried registration of the same record keeps the verification
+    await registry.registerParcel(topicId, parcel);
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    expect(await indexer.getParcel(PARCEL.name)).to.include({
+      verified: true,
+      verificationStatus: 'approved',
+      biodiversityRating: 5,
+      recordHash: parcelRecordHash(PARCEL)
+    });
+
+    const enlarged = { ...parcel, areaInAcres: 600 };
+    await registry.registerParcel(topicId, enlarged);
+    await indexer.sync();
+    const changed = await indexer.getParcel(PARCEL.name);
+    expect(changed).to.include({
+      verified: false,
+      verificationStatus: 'pending',
+      verifiedAt: null,
+      verificationExpiresAt: null,
+      biodiversityRating: 4,
+      areaInAcres: 600,
+      recordHash: parcelRecordHash(enlarged)
+    });
+    expect(changed.dataChangedAt).to.be.a('string');
+  });
+
+  it('reassembles events split into chunk frames', async function () {
+    const { chunks } = await registry.registerParcel(topicId, parcel);
+    const messages = ledger.getTopicMessages(topicId);
+    expect(chunks).to.be.greaterThan(1);
+    expect(messages).to.have.length(chunks);
+    for (const message of messages) {
+      expect(message.contents.length).to.be.at.most(MAX_MESSAGE_SIZE);
+    }
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    const result = await indexer.sync();
+    expect(result.processed).to.equal(chunks);
+    expect((await indexer.getParcel(PARCEL.name)).verified).to.equal(false);
+  });
+
+  it('replays messages published before the message protocol', async function () {
+    // Untyped registration (chunked by HCS) and the two old verification formats
+    await registry.submitMessage('test', topicId, { ...PARCEL, owner: '0.0.2' });
+    await registry.submitMessage('test', topicId, { type: 'verification', landParcelName: PARCEL.name, biodiversityRating: 5 });
+    await registry.submitMessage('test', topicId, {
+      type: 'smart_contract_verification',
+      landParcelName: PARCEL.name,
+      contractId: '0.0.5005',
+      biodiversityRating: 75
+    });
+    await issue(legacyParcelIdFor(PARCEL.name), 40);
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+
+    expect(indexer.state.rejected).to.deep.equal([]);
+    expect(await indexer.getParcel(legacyParcelIdFor(PARCEL.name))).to.include({
+      name: PARCEL.name,
+      verified: true,
+      biodiversityRating: 5,
+      biodiversityScore: 75,
+      contractId: '0.0.5005',
+      creditsMinted: 40
+    });
+  });
+
+  it('rejects events that do not follow the last event of their parcel', async function () {
+    await registry.registerParcel(topicId, parcel);
+
+    // A second publisher that has not seen the registration
+    const verifier = BiodiversityRegistryClient.forSimulation({ ledger });
+    await verifier.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 2 });
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    const { parcelId } = parcel;
+    expect(indexer.state.rejected.map((entry) => entry.reason)).to.deep.equal([
+      `Event does not follow the last event of parcel ${parcelId}`
+    ]);
+
+    // Seeded with the indexed head, the verifier links to the registration
+    verifier.setParcelHead(parcelId, indexer.state.eventHeads[parcelId]);
+    await verifier.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 2 });
+    await indexer.sync();
+    expect(await indexer.getParcel(parcelId)).to.include({ verified: true, biodiversityRating: 2 });
+  });
+
+  it('resumes from the saved consensus timestamp, across chunk boundaries', async function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'registry-indexer-'));
+    const storeFile = path.join(directory, 'state.json');
+    try {
+      const { chunks } = await registry.registerParcel(topicId, parcel);
+
+      // Page size 1 saves the state after the first chunk of the registration;
+      // the mirror node then becomes unreachable before the second chunk
+      let requests = 0;
+      const failAfterFirstPage = (...args) => (++requests > 1 ? Promise.reject(new Error('connection reset')) : fetch(...args));
+      const first = new RegistryIndexer({
+        topicId,
+        mirrorNodeUrl: mirror.url,
+        pageSize: 1,
+        fetch: failAfterFirstPage,
+        store: new JsonFileRegistryStore(storeFile)
+      });
+      const error = await first.sync().catch((caught) => caught);
+      expect(error.code).to.equal('MIRROR_NODE_ERROR');
+      expect(Object.keys(JSON.parse(fs.readFileSync(storeFile, 'utf8')).pendingChunks)).to.have.length(1);
+
+      await registry.recordVerification(topicId, { parcelId: parcel.parcelId, biodiversityRating: 4 });
+      await issue(parcel.parcelId, 50);
+
+      mirror.requests.length = 0;
+      const resumed = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url, store: new JsonFileRegistryStore(storeFile) });
+      const result = await resumed.sync();
+
+      const saved = JSON.parse(fs.readFileSync(storeFile, 'utf8'));
+      expect(result.processed).to.equal(chunks + 1);
+      expect(mirror.requests[0]).to.match(/timestamp=gt:\d+\.\d{9}$/);
+      expect(saved.parcels[parcel.parcelId]).to.include({ verified: true, creditsMinted: 50 });
+      expect(saved.pendingChunks).to.deep.equal({});
+      expect(saved.lastSequenceNumber).to.equal(chunks + 2);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps parcels of the same name apart, by the registrant and nonce of their IDs', async function () {
+    const neighbour = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }) });
+    const first = await registry.registerParcel(topicId, PARCEL);
+    const second = await neighbour.registerParcel(topicId, { ...PARCEL, areaInAcres: 310 });
+    expect(first.parcelId).to.not.equal(second.parcelId);
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    expect(indexer.state.rejected).to.deep.equal([]);
+    expect(await indexer.getParcel(first.parcelId)).to.include({ registrant: registry.operatorId.toString(), areaInAcres: 300 });
+    expect(await indexer.getParcel(`0x${second.parcelId.toUpperCase()}`)).to.include({ areaInAcres: 310 });
+
+    // The name no longer names one parcel; each registrant still finds its own
+    const error = await indexer.getParcel(PARCEL.name).catch((caught) => caught);
+    expect(error).to.include({ code: 'AMBIGUOUS_PARCEL_NAME' });
+    expect(error.parcelIds).to.have.members([first.parcelId, second.parcelId]);
+    expect(await indexer.identifyParcel(PARCEL, neighbour.operatorId)).to.include({ parcelId: second.parcelId });
+    expect(await indexer.identifyParcel(PARCEL, '0.0.9999')).to.not.have.property('parcelId');
+  });
+
+  it('rejects registrations that claim a parcel ID they cannot derive or another registrant holds', async function () {
+    const squatter = BiodiversityRegistryClient.forSimulation({ ledger, operatorId: ledger.createAccount({ hbars: 100 }) });
+    const registrant = registry.operatorId.toString();
+
+    // Claiming the owner's ID first: its nonce does not derive it from the squatter, and naming the
+    // owner as registrant does not help when the squatter pays
+    await squatter.registerParcel(topicId, parcel);
+    squatter.setParcelHead(parcel.parcelId, null);
+    await squatter.publishEvent('registerParcel', topicId, {
+      type: 'parcel.registered',
+      parcelId: parcel.parcelId,
+      payload: { ...PARCEL, nonce: parcel.nonce, registrant, owner: registrant }
+    });
+    await registry.registerParcel(topicId, parcel);
+    // Once registered, only the registrant or the owner updates the parcel
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    squatter.followIndexedHead(parcel.parcelId, indexer.state.eventHeads[parcel.parcelId]);
+    await squatter.registerParcel(topicId, { ...parcel, name: 'Squatted Reserve' });
+    await indexer.sync();
+
+    expect(indexer.state.rejected.map((entry) => entry.reason)).to.deep.equal([
+      `Parcel ID ${parcel.parcelId} is not derived from the registration's registrant and nonce`,
+      `Registration of parcel ${parcel.parcelId} for registrant ${registrant} was paid by ${squatter.operatorId}`,
+      `Registration of parcel ${parcel.parcelId} by ${squatter.operatorId}, who is neither its registrant nor its owner`
+    ]);
+    expect(await indexer.getParcel(parcel.parcelId)).to.include({ name: PARCEL.name, registrant, owner: registrant });
+  });
+
+  it('keeps the parcel ID when a parcel is renamed', async function () {
+    await registry.registerParcel(topicId, parcel);
+    await registry.registerParcel(topicId, { ...parcel, name: 'Monteverde Cloud Forest Reserve' });
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    expect(indexer.state.rejected).to.deep.equal([]);
+    expect(await indexer.getParcels()).to.have.length(1);
+    expect(await indexer.getParcel('Monteverde Cloud Forest Reserve')).to.include({ parcelId: parcel.parcelId });
+    expect(await indexer.getParcel(PARCEL.name)).to.equal(null);
+  });
+
+  it('records messages it cannot apply without stopping', async function () {
+    await registry.submitMessage('test', topicId, { type: 'verification', landParcelName: 'Unknown Parcel' });
+    await registry.registerParcel(topicId, parcel);
+    const mint = await issue(parcel.parcelId, 10);
+    await registry.recordIssuance(topicId, {
+      parcelId: parcel.parcelId,
+      tokenId,
+      mintTransactionId: mint.transactionId,
+      amount: 10
+    });
+    await registry.submitMessage('test', topicId, { type: 'appraisal' });
+    // An untyped registration with a nonce but no registrant
+    await registry.submitMessage('test', topicId, { ...PARCEL, name: 'Orphan Reserve', nonce: 'abc' });
+
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url, store: new MemoryRegistryStore() });
+    await indexer.sync();
+
+    const { rejected } = indexer.state;
+    expect(rejected.map((entry) => entry.reason)).to.deep.equal([
+      'Verification for unregistered parcel "Unknown Parcel"',
+      `Issuance for mint ${mint.transactionId} was already recorded`,
+      'Unknown message type "appraisal"',
+      `Registration of parcel ${legacyParcelIdFor('Orphan Reserve')} has a nonce without a registrant`
+    ]);
+    expect((await indexer.getParcel(PARCEL.name)).creditsMinted).to.equal(10);
+  });
+
+  it('moves past chunks that do not fit their message and messages it cannot read', async function () {
+    // Untyped registrations, chunked by HCS
+    await registry.submitMessage('test', topicId, { ...PARCEL, name: 'Retotaled Reserve' });
+    const { sequenceNumber: unreadable } = await registry.submitMessage('test', topicId, { ...PARCEL, name: 'Unread Reserve' });
+    await registry.registerParcel(topicId, parcel);
+    const [, second] = ledger.getTopicMessages(topicId);
+    const { total } = second.chunkInfo;
+
+    // The mirror node reports another total for the second chunk of the first
+    // message, and no initial transaction for the last chunk of the second
+    const corrupting = async (...args) => {
+      const page = await (await fetch(...args)).json();
+      for (const message of page.messages || []) {
+        if (message.sequence_number === 2) {
+          message.chunk_info.total += 1;
+        } else if (message.sequence_number === unreadable) {
+          message.chunk_info.initial_transaction_id = null;
+        }
+      }
+      return { ok: true, status: 200, json: async () => page };
+    };
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url, pageSize: 2, fetch: corrupting });
+    await indexer.sync();
+
+    const { rejected, lastSequenceNumber } = indexer.state;
+    expect(rejected.map((entry) => entry.sequenceNumber)).to.deep.equal([2, unreadable]);
+    expect(rejected[0].reason).to.match(new RegExp(`has a total of ${total + 1}, its first chunk ${total}$`));
+    expect(rejected[1].reason).to.match(/^Message could not be applied: /);
+    expect(lastSequenceNumber).to.equal(ledger.getTopicMessages(topicId).length);
+    expect(await indexer.getParcel(parcel.parcelId)).to.include({ name: PARCEL.name });
+  });
+
+  it('refuses a store that belongs to another topic', async function () {
+    const store = new MemoryRegistryStore();
+    await store.save({ topicId: '0.0.9999', parcels: {} });
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url, store });
+    const error = await indexer.sync().catch((caught) => caught);
+    expect(error.message).to.contain('0.0.9999');
+  });
+
+  it('reports an unknown topic', async function () {
+    const indexer = new RegistryIndexer({ topicId: '0.0.424242', mirrorNodeUrl: mirror.url });
+    const error = await indexer.sync().catch((caught) => caught);
+    expect(error.code).to.equal('MIRROR_NODE_ERROR');
+    expect(error.httpStatus).to.equal(404);
+  });
+});
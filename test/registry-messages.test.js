@@ -0,0 +1,175 @@
+const { expect } = require('chai');
+const { RegistryMessageError } = require('../lib/errors');
+const {
+  EVENT_TYPES,
+  MAX_MESSAGE_SIZE,
+  assembleChunk,
+  assignParcelId,
+  canonicalJson,
+  createEnvelope,
+  decodeMessage,
+  encodeMessage,
+  encodeMessages,
+  eventHash,
+  isChunkFrame,
+  legacyParcelIdFor,
+  parcelIdFor,
+  parcelIdOf
+} = require('../lib/registry-messages');
+
+const PARCEL_ID = parcelIdFor('0.0.1001', '5f1c3e0b9a7d4c2e8f6a1b3d5c7e9f01');
+
+function registration(payload = {}) {
+  return createEnvelope({
+    type: EVENT_TYPES.PARCEL_REGISTERED,
+    parcelId: PARCEL_ID,
+    timestamp: '2025-01-01T00:00:00.000Z',
+    payload: { name: 'Cloud Forest Reserve', boundaries: [], ...payload }
+  });
+}
+
+function decodeError(contents) {
+  try {
+    decodeMessage(Buffer.from(typeof contents === 'string' ? contents : JSON.stringify(contents)));
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected the message to be rejected');
+}
+
+describe('registry messages', function () {
+  it('serializes JSON with sorted keys', function () {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: null }, skipped: undefined }))
+      .to.equal('{"a":{"c":null,"d":[2,{"e":0,"f":1}]},"b":1}');
+  });
+
+  it('round-trips an envelope', function () {
+    const envelope = registration();
+    const decoded = decodeMessage(encodeMessage(envelope));
+    expect(decoded).to.deep.equal(envelope);
+    expect(decoded.version).to.equal(1);
+    expect(eventHash(decoded)).to.equal(eventHash(envelope));
+  });
+
+  it('links an event to the previous event of its parcel', function () {
+    const first = registration();
+    const next = createEnvelope({
+      type: EVENT_TYPES.PARCEL_VERIFIED,
+      parcelId: PARCEL_ID,
+      previousHash: eventHash(first),
+      payload: { verificationStatus: 'approved', biodiversityRating: 4 }
+    });
+    expect(decodeMessage(encodeMessage(next)).previousHash).to.match(/^[0-9a-f]{64}$/);
+  });
+
+  it('rejects messages it cannot parse', function () {
+    const envelope = registration();
+    const cases = [
+      ['not json', 'Message is not valid JSON'],
+      [{ type: 'verification' }, 'Message is not a biodiversity-registry message'],
+      [{ ...envelope, version: 2 }, 'Unsupported protocol version 2'],
+      [{ ...envelope, type: 'parcel.appraised' }, 'Unknown event type "parcel.appraised"'],
+      [{ ...envelope, parcelId: 'Cloud Forest Reserve' }, 'parcelId must be 40 lowercase hex characters'],
+      [{ ...envelope, payload: { ...envelope.payload, name: 'Other' } }, 'checksum does not match the payload']
+    ];
+    for (const [contents, message] of cases) {
+      const error = decodeError(contents);
+      expect(error.code).to.equal('INVALID_REGISTRY_MESSAGE');
+      expect(error.message).to.equal(message);
+    }
+  });
+
+  it('validates the payload of each event type', function () {
+    expect(() => createEnvelope({
+      type: EVENT_TYPES.CREDITS_ISSUED,
+      parcelId: PARCEL_ID,
+      payload: { tokenId: '0.0.1001', amount: 0 }
+    })).to.throw('credits.issued amount must be a positive integer');
+    expect(() => createEnvelope({
+      type: EVENT_TYPES.PARCEL_VERIFIED,
+      parcelId: PARCEL_ID,
+      payload: { verificationStatus: 'maybe' }
+    })).to.throw('verificationStatus must be one of approved, rejected, pending, disputed, expired');
+    expect(() => createEnvelope({
+      type: EVENT_TYPES.PARCEL_TRANSFERRED,
+      parcelId: PARCEL_ID,
+      payload: { tokenId: '0.0.1002', serial: 1 }
+    })).to.throw('parcel.transferred payload needs the receiving account (to)');
+    expect(() => createEnvelope({
+      type: EVENT_TYPES.CREDITS_ISSUED,
+      parcelId: PARCEL_ID,
+      payload: { tokenId: '0.0.1001', amount: 10, parcelNft: { tokenId: '0.0.1002', serial: 0 } }
+    })).to.throw('credits.issued parcelNft needs the NFT serial number (a positive integer)');
+    expect(() => createEnvelope({
+      type: EVENT_TYPES.CREDITS_ISSUED,
+      parcelId: PARCEL_ID,
+      payload: { tokenId: '0.0.1001', amount: 10, verifiedAt: '2025-01-01' }
+    })).to.throw('credits.issued verifiedAt must be a positive integer (Unix seconds)');
+    expect(() => registration({ nonce: '5f1c3e0b9a7d4c2e8f6a1b3d5c7e9f01' }))
+      .to.throw('parcel.registered nonce must be a string, given with the registrant');
+  });
+
+  it('derives parcel IDs from the registrant and a nonce, not the name', function () {
+    const parcel = { name: 'Cloud Forest Reserve', boundaries: [] };
+    const first = assignParcelId(parcel, '0.0.1001');
+    const second = assignParcelId(parcel, '0.0.1001');
+    expect(first.nonce).to.match(/^[0-9a-f]{32}$/);
+    expect(first.parcelId).to.equal(parcelIdFor('0.0.1001', first.nonce)).and.not.equal(second.parcelId);
+    expect(parcelIdFor('0.0.1002', first.nonce)).to.not.equal(first.parcelId);
+    expect(assignParcelId(first, '0.0.1002')).to.equal(first);
+    expect(assignParcelId(parcel, '0.0.1001', { nonce: '5f1c3e0b9a7d4c2e8f6a1b3d5c7e9f01' }).parcelId).to.equal(PARCEL_ID);
+    expect(legacyParcelIdFor(parcel.name)).to.match(/^[0-9a-f]{40}$/);
+
+    expect(parcelIdOf({ parcelId: `0x${PARCEL_ID.toUpperCase()}` })).to.equal(PARCEL_ID);
+    expect(() => parcelIdOf(parcel)).to.throw('"Cloud Forest Reserve" has no parcel ID')
+      .with.property('code', 'MISSING_PARCEL_ID');
+  });
+
+  it('splits large envelopes into chunk frames and reassembles them', function () {
+    const envelope = registration({ verificationNotes: 'x'.repeat(3000) });
+    const frames = encodeMessages(envelope);
+    expect(frames.length).to.be.greaterThan(1);
+
+    const pending = {};
+    const results = frames.reverse().map((frame) => {
+      expect(frame.length).to.be.at.most(MAX_MESSAGE_SIZE);
+      const decoded = decodeMessage(frame);
+      expect(isChunkFrame(decoded)).to.equal(true);
+      return assembleChunk(pending, decoded);
+    });
+
+    expect(results.slice(0, -1)).to.deep.equal(new Array(frames.length - 1).fill(null));
+    expect(results[results.length - 1]).to.deep.equal(envelope);
+    expect(pending).to.deep.equal({});
+  });
+
+  it('rejects chunk frames that do not reassemble to their hash', function () {
+    const frames = encodeMessages(registration({ verificationNotes: 'x'.repeat(3000) })).map((frame) => decodeMessage(frame));
+    frames[0].data = Buffer.from('tampered').toString('base64');
+
+    const pending = {};
+    const assemble = () => frames.forEach((frame) => assembleChunk(pending, frame));
+    expect(assemble).to.throw(/does not match its hash/);
+  });
+
+  it('rejects chunk frames that do not fit the first frame of their message', function () {
+    const frames = encodeMessages(registration({ verificationNotes: 'x'.repeat(3000) })).map((frame) => decodeMessage(frame));
+    const { total } = frames[0].chunk;
+    const pending = {};
+    assembleChunk(pending, frames[0]);
+
+    const retotaled = { ...frames[1], chunk: { ...frames[1].chunk, total: total + 1 } };
+    expect(() => assembleChunk(pending, retotaled)).to.throw(RegistryMessageError, `has a total of ${total + 1}`);
+    const outOfRange = { ...frames[1], chunk: { ...frames[1].chunk, number: total + 1 } };
+    expect(() => assembleChunk(pending, outOfRange)).to.throw(RegistryMessageError, `from 1 to ${total}`);
+
+    // Pending chunks saved with a stray entry in place of the first chunk
+    const { messageHash } = frames[0].chunk;
+    const saved = { total, chunks: { stray: frames[0].data } };
+    frames.slice(1, -1).forEach((frame) => {
+      saved.chunks[frame.chunk.number] = frame.data;
+    });
+    expect(() => assembleChunk({ [messageHash]: saved }, frames[total - 1]))
+      .to.throw(RegistryMessageError, `Chunk 1 of ${total} of message ${messageHash} is missing`);
+  });
+});
@@ -0,0 +1,214 @@
+const {
+  AccountBalanceQuery,
+  ContractCallQuery,
+  ContractExecuteTransaction,
+  MaxAttemptsOrTimeoutError,
+  PrecheckStatusError,
+  PrivateKey,
+  ReceiptStatusError,
+  Status,
+  TokenAssociateTransaction,
+  TokenCreateTransaction,
+  TokenInfoQuery,
+  TokenMintTransaction,
+  TokenSupplyType,
+  TopicCreateTransaction,
+  TopicMessageSubmitTransaction,
+  TransactionReceiptQuery,
+  TransactionRecordQuery,
+  TransferTransaction
+} = require('@hashgraph/sdk');
+const { expect } = require('chai');
+const { ethers } = require('hardhat');
+const { SimulatedLedger, evmAddressOf } = require('../lib/simulation');
+const { createNetworkLedger } = require('./helpers/network');
+
+const SUPPLY_KEY = PrivateKey.generateED25519().publicKey;
+
+// Create a fungible token with the operator as its treasury
+async function createToken(ledger, { maxSupply = null, supplyKey = SUPPLY_KEY } = {}) {
+  const transaction = new TokenCreateTransaction()
+    .setTokenName('Biodiversity Credit')
+    .setTokenSymbol('BIO')
+    .setTreasuryAccountId(ledger.operatorId);
+  if (supplyKey) {
+    transaction.setSupplyKey(supplyKey);
+  }
+  if (maxSupply !== null) {
+    transaction.setSupplyType(TokenSupplyType.Finite).setMaxSupply(maxSupply);
+  }
+  const receipt = await (await ledger.execute(ledger.freeze(transaction))).getReceipt();
+  return receipt.tokenId.toString();
+}
+
+async function rejection(promise) {
+  const error = await promise.catch((caught) => caught);
+  expect(error).to.be.instanceOf(Error);
+  return error;
+}
+
+describe('SimulatedLedger', function () {
+  it('allocates entity IDs and consensus timestamps deterministically', async function () {
+    const run = async () => {
+      const ledger = new SimulatedLedger({ startTime: 1700000000 });
+      const tokenId = await createToken(ledger);
+      const response = await ledger.execute(ledger.freeze(new TopicCreateTransaction()));
+      const record = await response.getRecord();
+      return { tokenId, topicId: record.receipt.topicId.toString(), transactionId: response.transactionId.toString(),
+        consensusTimestamp: record.consensusTimestamp.seconds.toNumber() };
+    };
+
+    const first = await run();
+    expect(first).to.include({ tokenId: '0.0.1001', topicId: '0.0.1002', consensusTimestamp: 1700000002 });
+    expect(await run()).to.deep.equal(first);
+  });
+
+  it('records failed transactions with their status, like the network', async function () {
+    const ledger = new SimulatedLedger();
+    const tokenId = await createToken(ledger, { supplyKey: null });
+    const response = await ledger.execute(ledger.freeze(new TokenMintTransaction().setTokenId(tokenId).setAmount(10)));
+
+    const error = await rejection(response.getReceipt());
+    expect(error).to.be.instanceOf(ReceiptStatusError);
+    expect(error.status).to.equal(Status.TokenHasNoSupplyKey);
+    expect(ledger.getTransactionReceipt(response.transactionId).status).to.equal(Status.TokenHasNoSupplyKey);
+
+    // The failed transaction still used its ID
+    const duplicate = new TokenMintTransaction().setTokenId(tokenId).setAmount(10).setTransactionId(response.transactionId);
+    const replayed = await rejection(ledger.execute(duplicate));
+    expect(replayed).to.be.instanceOf(PrecheckStatusError);
+    expect(replayed.status).to.equal(Status.DuplicateTransaction);
+  });
+
+  it('moves tokens only between associated accounts, and all transfers of a transaction or none', async function () {
+    const ledger = new SimulatedLedger();
+    const tokenId = await createToken(ledger);
+    await ledger.execute(ledger.freeze(new TokenMintTransaction().setTokenId(tokenId).setAmount(100)));
+    const buyer = ledger.createAccount({ hbars: 10 });
+    const transfer = (amount) => ledger.freeze(new TransferTransaction()
+      .addTokenTransfer(tokenId, ledger.operatorId, -amount)
+      .addTokenTransfer(tokenId, buyer, amount));
+
+    const unassociated = await rejection((await ledger.execute(transfer(10))).getReceipt());
+    expect(unassociated.status).to.equal(Status.TokenNotAssociatedToAccount);
+
+    await ledger.execute(ledger.freeze(new TokenAssociateTransaction().setAccountId(buyer).setTokenIds([tokenId])));
+    const overdrawn = await rejection((await ledger.execute(transfer(150))).getReceipt());
+    expect(overdrawn.status).to.equal(Status.InsufficientTokenBalance);
+    const unbalanced = ledger.freeze(new TransferTransaction()
+      .addTokenTransfer(tokenId, ledger.operatorId, -10)
+      .addTokenTransfer(tokenId, buyer, 5));
+    expect((await rejection((await ledger.execute(unbalanced)).getReceipt())).status)
+      .to.equal(Status.TransfersNotZeroSumForToken);
+    expect(ledger.getTokenBalance(buyer, tokenId)).to.equal(0n);
+
+    await (await ledger.execute(transfer(30))).getReceipt();
+    expect(ledger.getTokenBalance(buyer, tokenId)).to.equal(30n);
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(70n);
+  });
+
+  it('refuses mints past the maximum supply', async function () {
+    const ledger = new SimulatedLedger();
+    const tokenId = await createToken(ledger, { maxSupply: 100 });
+    const mint = (amount) => ledger.execute(ledger.freeze(new TokenMintTransaction().setTokenId(tokenId).setAmount(amount)));
+
+    const receipt = await (await mint(100)).getReceipt();
+    expect(receipt.totalSupply.toNumber()).to.equal(100);
+    expect((await rejection((await mint(1)).getReceipt())).status).to.equal(Status.TokenMaxSupplyReached);
+    const info = await ledger.query(new TokenInfoQuery().setTokenId(tokenId));
+    expect(info.totalSupply.toNumber()).to.equal(100);
+    expect(info.maxSupply.toNumber()).to.equal(100);
+  });
+
+  it('splits large topic messages into chunks with sequence numbers and a running hash', async function () {
+    const ledger = new SimulatedLedger();
+    const { topicId } = await (await ledger.execute(ledger.freeze(new TopicCreateTransaction()))).getReceipt();
+    const submit = (message) => ledger.execute(ledger.freeze(new TopicMessageSubmitTransaction()
+      .setTopicId(topicId)
+      .setMessage(message)));
+
+    await submit('short');
+    const response = await submit('x'.repeat(2500));
+    const receipt = await response.getReceipt();
+    expect(receipt.topicSequenceNumber.toNumber()).to.equal(4);
+
+    const messages = ledger.getTopicMessages(topicId);
+    expect(messages.map(({ sequenceNumber, chunkInfo }) => [sequenceNumber, chunkInfo && chunkInfo.number])).to.deep.equal([
+      [1, null], [2, 1], [3, 2], [4, 3]
+    ]);
+    expect(messages[1].chunkInfo).to.deep.include({ total: 3, initialTransactionId: response.transactionId.toString() });
+    expect(Buffer.concat(messages.slice(1).map(({ contents }) => contents)).toString()).to.equal('x'.repeat(2500));
+    expect(new Set(messages.map(({ runningHash }) => runningHash.toString('hex'))).size).to.equal(4);
+    expect(Buffer.from(receipt.topicRunningHash).equals(messages[3].runningHash)).to.equal(true);
+
+    const empty = await rejection((await submit('')).getReceipt());
+    expect(empty.status).to.equal(Status.InvalidTopicMessage);
+  });
+
+  it('turns transactions away before they run, or loses their response after they ran', async function () {
+    const ledger = new SimulatedLedger();
+    const tokenId = await createToken(ledger);
+    const mint = () => ledger.execute(ledger.freeze(new TokenMintTransaction().setTokenId(tokenId).setAmount(10)));
+
+    ledger.injectFailure(Status.Busy);
+    const busy = await rejection(mint());
+    expect(busy).to.be.instanceOf(PrecheckStatusError);
+    expect(busy.status).to.equal(Status.Busy);
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(0n);
+
+    ledger.injectFailure(Status.Busy, { afterExecution: true });
+    expect(await rejection(mint())).to.be.instanceOf(MaxAttemptsOrTimeoutError);
+    // The mint reached consensus even though its response was lost
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(10n);
+
+    await mint();
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(20n);
+  });
+
+  it('answers queries, finding receipts for three minutes and records for good', async function () {
+    const ledger = new SimulatedLedger();
+    const tokenId = await createToken(ledger);
+    const response = await ledger.execute(ledger.freeze(new TokenMintTransaction().setTokenId(tokenId).setAmount(25)));
+
+    const balance = await ledger.query(new AccountBalanceQuery().setAccountId(ledger.operatorId));
+    expect(balance.tokens.get(tokenId).toNumber()).to.equal(25);
+    expect((await ledger.query(new TransactionReceiptQuery().setTransactionId(response.transactionId))).status)
+      .to.equal(Status.Success);
+
+    ledger.advanceTime(181);
+    const expired = await rejection(ledger.query(new TransactionReceiptQuery().setTransactionId(response.transactionId)));
+    expect(expired).to.be.instanceOf(PrecheckStatusError);
+    expect(expired.status).to.equal(Status.ReceiptNotFound);
+    const record = await ledger.query(new TransactionRecordQuery().setTransactionId(response.transactionId));
+    expect(record.transactionType).to.equal('TokenMintTransaction');
+
+    const unknown = await rejection(ledger.query(new TokenInfoQuery().setTokenId('0.0.9999')));
+    expect(unknown).to.be.instanceOf(PrecheckStatusError);
+    expect(unknown.status).to.equal(Status.InvalidTokenId);
+  });
+
+  it('runs contract calls on the in-memory network, as the paying account', async function () {
+    const ledger = await createNetworkLedger();
+    const { contractId, evmAddress } = await ledger.deployContract('BiodiversityLandParcel');
+    const contract = (await ethers.getContractFactory('BiodiversityLandParcel')).interface;
+    const call = (name, args = []) => new ContractCallQuery()
+      .setContractId(contractId)
+      .setGas(100000)
+      .setFunctionParameters(Buffer.from(contract.encodeFunctionData(name, args).slice(2), 'hex'));
+
+    const owner = await ledger.query(call('owner'));
+    expect(owner.getAddress(0).toLowerCase()).to.equal(evmAddressOf(ledger.operatorId).replace(/^0x/, '').toLowerCase());
+    expect(evmAddress).to.match(/^0x[0-9a-fA-F]{40}$/);
+
+    // Only the owner grants the verifier role: the call of another account is reverted and recorded as such
+    const stranger = ledger.createAccount({ hbars: 10 });
+    const grantVerifier = ledger.freeze(new ContractExecuteTransaction()
+      .setContractId(contractId)
+      .setGas(200000)
+      .setFunctionParameters(Buffer.from(contract.encodeFunctionData('grantVerifier', [evmAddressOf(stranger)]).slice(2), 'hex')),
+    stranger.toString());
+    const reverted = await rejection((await ledger.execute(grantVerifier)).getReceipt());
+    expect(reverted.status).to.equal(Status.ContractRevertExecuted);
+    expect((await ledger.query(call('isVerifier', [evmAddressOf(stranger)]))).getBool(0)).to.equal(false);
+  });
+});
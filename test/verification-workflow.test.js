@@ -0,0 +1,183 @@
+const { expect } = require('chai');
+const { BiodiversityRegistryClient, parcelAddress } = require('../lib/registry-client');
+const { RegistryIndexer } = require('../lib/registry-indexer');
+const { assignParcelId } = require('../lib/registry-messages');
+const { evmAddressOf } = require('../lib/simulation');
+const { VerificationWorkflow } = require('../lib/verification-workflow');
+const { startSimulatedNetwork } = require('./helpers/network');
+const { parcelNamed } = require('./helpers/parcels');
+
+const CHALLENGE_WINDOW = 3600;
+
+describe('VerificationWorkflow', function () {
+  let ledger;
+  let mirror;
+  let contractId;
+  let topicId;
+  let tokenId;
+  let owner;
+  let verifiers;
+
+  before(async function () {
+    ({ ledger, mirror, contractId } = await startSimulatedNetwork());
+
+    const registry = BiodiversityRegistryClient.forSimulation({ ledger });
+    ({ topicId } = await registry.createRegistryTopic());
+    ({ tokenId } = await registry.createCreditToken());
+    await registry.setVerificationPolicy(contractId, { requiredAttestations: 2, challengeWindow: CHALLENGE_WINDOW });
+
+    // Each account publishes through its own workflow, linked through its own indexer
+    const workflowFor = (accountId) => new VerificationWorkflow({
+      registry: BiodiversityRegistryClient.forSimulation({ ledger, operatorId: accountId.toString() }),
+      contractId,
+      topicId,
+      indexer: new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url })
+    });
+    owner = workflowFor(ledger.operatorId);
+    verifiers = [1, 2, 3].map(() => workflowFor(ledger.createAccount({ hbars: 100 })));
+
+    // The owner registers the parcels, so it is also made a verifier to show it cannot attest them
+    for (const workflow of [owner, ...verifiers]) {
+      await registry.grantVerifier(contractId, evmAddressOf(workflow.registry.operatorId));
+    }
+  });
+
+  after(async function () {
+    await mirror.stop();
+  });
+
+  async function register(name, score = 80) {
+    const parcel = assignParcelId(parcelNamed(name), owner.registry.operatorId.toString());
+    await owner.registry.registerParcel(topicId, parcel);
+    await owner.registry.addBiodiversityData(contractId, parcelAddress(parcel), score, parcel);
+    return parcel;
+  }
+
+  async function failure(promise) {
+    const error = await promise.catch((caught) => caught);
+    expect(error).to.be.instanceOf(Error);
+    return error;
+  }
+
+  async function indexed(parcel) {
+    const indexer = new RegistryIndexer({ topicId, mirrorNodeUrl: mirror.url });
+    await indexer.sync();
+    expect(indexer.state.rejected).to.deep.equal([]);
+    return indexer.getParcel(parcel.name);
+  }
+
+  it('approves data once the quorum of verifiers agrees', async function () {
+    const parcel = await register('Quorum Forest');
+
+    expect((await failure(owner.attest(parcel, { score: 90 }))).code).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    const first = await verifiers[0].attest(parcel, { score: 70, notes: 'Camera trap survey' });
+    expect(first).to.include({ status: 'pending', approvals: 1, requiredAttestations: 2, canIssueCredits: false });
+    expect((await failure(verifiers[0].attest(parcel, { score: 70 }))).code).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    const second = await verifiers[1].attest(parcel, { score: 90 });
+    expect(second).to.include({ status: 'approved', approvals: 2, attestedScore: 80 });
+    expect(second.challengeEndsAt).to.equal(second.verifiedAt + CHALLENGE_WINDOW);
+    expect(second.attestations.map((attestation) => attestation.notes)).to.deep.equal(['Camera trap survey', '']);
+
+    expect((await failure(verifiers[2].attest(parcel, { score: 50 }))).code).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    const record = await indexed(parcel);
+    expect(record).to.include({ verificationStatus: 'approved', verified: true, biodiversityScore: 80 });
+    expect(record.attestations.map((attestation) => attestation.biodiversityScore)).to.deep.equal([70, 90]);
+  });
+
+  it('rejects data once the quorum of verifiers rejects it', async function () {
+    const parcel = await register('Rejected Wetland');
+
+    await verifiers[0].attest(parcel, { approved: false, score: 20, notes: 'Drained since survey' });
+    const state = await verifiers[1].attest(parcel, { approved: false, score: 25 });
+    expect(state).to.include({ status: 'rejected', rejections: 2, attestedScore: null, canIssueCredits: false });
+
+    const error = await failure(owner.issueCredits(parcel, { tokenId }));
+    expect(error.code).to.equal('VERIFICATION_INCOMPLETE');
+    expect(error.message).to.match(/rejected \(0 of 2 approvals\)/);
+    expect(await indexed(parcel)).to.include({ verificationStatus: 'rejected', verified: false });
+  });
+
+  it('mints only after quorum, once the challenge window has passed', async function () {
+    const parcel = await register('Patient Meadow', 60);
+
+    expect((await failure(owner.issueCredits(parcel, { tokenId }))).message).to.match(/unverified \(0 of 2 approvals\)/);
+    await verifiers[0].attest(parcel, { score: 60 });
+    expect((await failure(owner.issueCredits(parcel, { tokenId }))).message).to.match(/pending \(1 of 2 approvals\)/);
+    await verifiers[1].attest(parcel, { score: 60 });
+    expect((await failure(owner.issueCredits(parcel, { tokenId }))).message).to.match(/challenge window is open/);
+
+    ledger.advanceTime(CHALLENGE_WINDOW);
+    const issuance = await owner.issueCredits(parcel, { tokenId });
+    // The verifiers' score of 60 (rating 3) caps the declared rating of 5
+    expect(issuance.biodiversityRating).to.equal(3);
+    expect(issuance.amount).to.be.greaterThan(0);
+    expect(ledger.getTokenBalance(ledger.operatorId, tokenId)).to.equal(BigInt(issuance.amount));
+
+    const record = await indexed(parcel);
+    expect(record.creditsMinted).to.equal(issuance.amount);
+    expect(record.issuances).to.have.length(1);
+  });
+
+  it('lets a verifier that did not approve dispute an approval until the owner resolves it', async function () {
+    const dismissed = await register('Disputed Savanna');
+    const upheld = await register('Overstated Reef');
+    for (const parcel of [dismissed, upheld]) {
+      await verifiers[0].attest(parcel, { score: 80 });
+      await verifiers[1].attest(parcel, { score: 80 });
+    }
+
+    expect((await failure(verifiers[0].dispute(dismissed, 'Own approval'))).code).to.equal('CONTRACT_REVERT_EXECUTED');
+    const disputed = await verifiers[2].dispute(dismissed, 'Boundaries overlap a logging concession');
+    expect(disputed).to.include({ status: 'disputed', canIssueCredits: false });
+    expect(disputed.dispute).to.include({ reason: 'Boundaries overlap a logging concession', resolved: false });
+    expect((await failure(owner.issueCredits(dismissed, { tokenId }))).code).to.equal('VERIFICATION_INCOMPLETE');
+
+    // A dismissed dispute restores the approval, but the challenge window keeps running
+    const restored = await owner.resolveDispute(dismissed, false);
+    expect(restored).to.include({ status: 'approved', canIssueCredits: false });
+    expect(restored.dispute).to.include({ resolved: true, upheld: false });
+    const error = await failure(owner.issueCredits(dismissed, { tokenId }));
+    expect(error.message).to.match(/its challenge window is open until/);
+
+    await verifiers[2].dispute(upheld, 'Species list copied from another parcel');
+    expect(await owner.resolveDispute(upheld, true)).to.include({ status: 'rejected', canIssueCredits: false });
+
+    expect((await indexed(dismissed)).dispute).to.include({ resolved: true, upheld: false });
+    expect(await indexed(upheld)).to.include({ verificationStatus: 'rejected', verified: false });
+  });
+
+  it('stops issuance when a verifier that approved the data is revoked', async function () {
+    const parcel = await register('Revoked Approval Fen');
+    await verifiers[0].attest(parcel, { score: 90 });
+    await verifiers[1].attest(parcel, { score: 70 });
+    ledger.advanceTime(CHALLENGE_WINDOW);
+
+    const revoked = evmAddressOf(verifiers[1].registry.operatorId);
+    await owner.registry.revokeVerifier(contractId, revoked);
+    try {
+      const state = await owner.getState(parcel);
+      expect(state).to.include({ status: 'approved', approvals: 2, currentApprovals: 1, attestedScore: 90, canIssueCredits: false });
+      expect(state.attestations.map(({ current }) => current)).to.deep.equal([true, false]);
+      const error = await failure(owner.issueCredits(parcel, { tokenId }));
+      expect(error.message).to.equal(
+        'Credits cannot be issued for "Revoked Approval Fen": only 1 of the 2 approvals that decided it are from current verifiers'
+      );
+    } finally {
+      await owner.registry.grantVerifier(contractId, revoked);
+    }
+    expect(await owner.getState(parcel)).to.include({ currentApprovals: 2, canIssueCredits: true });
+  });
+
+  it('refuses disputes once the challenge window has passed', async function () {
+    const parcel = await register('Settled Grassland');
+    await verifiers[0].attest(parcel, { score: 80 });
+    await verifiers[1].attest(parcel, { score: 80 });
+
+    ledger.advanceTime(CHALLENGE_WINDOW);
+    expect((await failure(verifiers[2].dispute(parcel, 'Too late'))).code).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await owner.getState(parcel)).to.include({ status: 'approved', canIssueCredits: true });
+  });
+});
@@ -0,0 +1,92 @@
+const { expect } = require('chai');
+const { BiodiversityRegistryClient } = require('../lib/registry-client');
+const { evmAddressOf } = require('../lib/simulation');
+const { startSimulatedNetwork } = require('./helpers/network');
+
+const PARCEL_ADDRESS = '0x00000000000000000000000000000000000004d2';
+
+const PARCEL = {
+  name: 'Marsh Creek Wetland',
+  boundaries: [
+    { latitude: 38.1, longitude: -122.3 },
+    { latitude: 38.1, longitude: -122.29 },
+    { latitude: 38.11, longitude: -122.29 },
+    { latitude: 38.11, longitude: -122.3 },
+    { latitude: 38.1, longitude: -122.3 }
+  ],
+  areaInAcres: 220,
+  ecosystemType: 'Freshwater Wetland',
+  conservationStatus: 'Land Trust Preserve',
+  protectionStartDate: 1262304000,
+  notableSpecies: ['California Black Rail'],
+  biodiversityRating: 3
+};
+
+describe('BiodiversityLandParcel verifier roles', function () {
+  let contractId;
+  let owner;
+  let registrant;
+  let verifier;
+  let verifierAddress;
+
+  before(async function () {
+    const network = await startSimulatedNetwork({ mirrorNode: false });
+    const { ledger } = network;
+    ({ contractId } = network);
+
+    const client = (accountId) => BiodiversityRegistryClient.forSimulation({ ledger, operatorId: accountId.toString() });
+    const verifierId = ledger.createAccount({ hbars: 100 });
+    owner = client(ledger.operatorId);
+    registrant = client(ledger.createAccount({ hbars: 100 }));
+    verifier = client(verifierId);
+    verifierAddress = evmAddressOf(verifierId).toLowerCase();
+  });
+
+  async function failure(promise) {
+    const error = await promise.catch((caught) => caught);
+    expect(error).to.be.instanceOf(Error);
+    return error.code;
+  }
+
+  it('makes the deploying account the owner, with no verifiers', async function () {
+    expect(await owner.getContractOwner(contractId)).to.equal(evmAddressOf(owner.operatorId).toLowerCase());
+    expect(await owner.getVerifiers(contractId)).to.deep.equal([]);
+  });
+
+  it('lets only the owner grant and revoke verifiers', async function () {
+    expect(await failure(registrant.grantVerifier(contractId, verifierAddress))).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    await owner.grantVerifier(contractId, verifierAddress);
+    expect(await owner.getVerifiers(contractId)).to.deep.equal([verifierAddress]);
+    expect(await failure(owner.grantVerifier(contractId, verifierAddress))).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    expect(await failure(registrant.revokeVerifier(contractId, verifierAddress))).to.equal('CONTRACT_REVERT_EXECUTED');
+    await owner.revokeVerifier(contractId, verifierAddress);
+    expect(await owner.getVerifiers(contractId)).to.deep.equal([]);
+  });
+
+  it('lets only the registrant change parcel data', async function () {
+    await registrant.addBiodiversityData(contractId, PARCEL_ADDRESS, 60, PARCEL);
+    expect(await failure(owner.addBiodiversityData(contractId, PARCEL_ADDRESS, 90, PARCEL))).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    await registrant.addBiodiversityData(contractId, PARCEL_ADDRESS, 70, PARCEL);
+    const data = await owner.getBiodiversityData(contractId, PARCEL_ADDRESS);
+    expect(data).to.include({ biodiversityScore: 70, registrant: evmAddressOf(registrant.operatorId).toLowerCase() });
+  });
+
+  it('accepts verifications only from registered verifiers other than the registrant', async function () {
+    await owner.grantVerifier(contractId, verifierAddress);
+    await owner.grantVerifier(contractId, evmAddressOf(registrant.operatorId));
+
+    expect(await failure(owner.verifyBiodiversityData(contractId, PARCEL_ADDRESS))).to.equal('CONTRACT_REVERT_EXECUTED');
+    expect(await failure(registrant.verifyBiodiversityData(contractId, PARCEL_ADDRESS))).to.equal('CONTRACT_REVERT_EXECUTED');
+
+    await verifier.verifyBiodiversityData(contractId, PARCEL_ADDRESS);
+    expect(await owner.getBiodiversityData(contractId, PARCEL_ADDRESS)).to.include({ isVerified: true, verifier: verifierAddress });
+  });
+
+  it('clears the verification when the registrant changes the data', async function () {
+    await registrant.addBiodiversityData(contractId, PARCEL_ADDRESS, 80, PARCEL);
+    expect(await owner.getBiodiversityData(contractId, PARCEL_ADDRESS)).to.include({ isVerified: false, biodiversityScore: 80 });
+  });
+});